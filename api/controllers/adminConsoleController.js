@@ -89,10 +89,47 @@ function resolveConsoleCapabilities(user) {
   };
 }
 
-function createAdminConsoleController({ db, bcrypt, paths, hazmatDb, gagesDb }) {
+function readCasUpdatePackage(req) {
+  const body = req.body || {};
+  const updatePackage = body.package && body.changes ? body : body.update_package;
+  if (!updatePackage) {
+    throw new Error('update package is required');
+  }
+  return updatePackage;
+}
+
+function casUpdateErrorStatus(message) {
+  if (/unavailable|not configured|require the master/i.test(message)) return 503;
+  if (/required|invalid|format|integrity|both updates/i.test(message)) return 400;
+  return /already installed|does not match|no applied|not found/i.test(message) ? 409 : 500;
+}
+
+function createAdminConsoleController({ db, bcrypt, paths, hazmatDb, gagesDb, casService }) {
   const Department = gagesDb.Department;
   const CalibrationAsset = gagesDb.CalibrationAsset;
   const Material = hazmatDb.Material;
+  const HazmatLog = hazmatDb.CommandLog;
+
+  function ensureCasUpdatesAvailable() {
+    if (!casService || typeof casService.applyUpdatePackage !== 'function') {
+      throw new Error('local CAS database unavailable');
+    }
+  }
+
+  async function recordCasDatasetLog(req, action, detail, metadata) {
+    if (!HazmatLog) return;
+    await HazmatLog.create({
+      module: 'inventory',
+      entity_type: 'cas_dataset',
+      entity_id: String(metadata.version || 'none'),
+      action,
+      actor_id: req.user && req.user.id ? req.user.id : null,
+      actor_name: req.user && (req.user.display_name || req.user.username) ? (req.user.display_name || req.user.username) : 'System',
+      detail,
+      metadata,
+      timestamp: new Date().toISOString(),
+    });
+  }
 
   return {
     serveConsole: (req, res) => {
@@ -417,6 +454,72 @@ function createAdminConsoleController({ db, bcrypt, paths, hazmatDb, gagesDb })
         return res.status(500).json({ error: 'failed to delete department' });
       }
     },
+
+    casDataset: async (req, res) => {
+      try {
+        if (!casService || typeof casService.getClassSummary !== 'function') {
+          return res.status(503).json({ error: 'local CAS database unavailable' });
+        }
+        const summary = casService.getClassSummary();
+        return res.json({
+          total_records: summary.total_records,
+          dataset_version: summary.dataset_version,
+          dataset_generated_at: summary.dataset_generated_at,
+          source: summary.source,
+          update_version: summary.update_version,
+          history: summary.history,
+        });
+      } catch (error) {
+        console.error('admin cas dataset', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load CAS dataset status' });
+      }
+    },
+
+    previewCasUpdate: async (req, res) => {
+      try {
+        ensureCasUpdatesAvailable();
+        return res.json(casService.previewUpdatePackage(readCasUpdatePackage(req)));
+      } catch (error) {
+        const message = error && error.message ? error.message : 'failed to preview CAS update package';
+        return res.status(casUpdateErrorStatus(message)).json({ error: message });
+      }
+    },
+
+    applyCasUpdate: async (req, res) => {
+      try {
+        ensureCasUpdatesAvailable();
+        const actor = req.user && (req.user.display_name || req.user.username) ? (req.user.display_name || req.user.username) : null;
+        const result = casService.applyUpdatePackage(readCasUpdatePackage(req), { actor });
+        await recordCasDatasetLog(req, 'cas_update_applied', `Applied CAS dataset ${result.version}`, {
+          version: result.version,
+          previous_version: result.installed_version,
+          sha256: result.sha256,
+          added: result.added.length,
+          changed: result.changed.length,
+          removed: result.removed.length,
+        });
+        return res.json(result);
+      } catch (error) {
+        const message = error && error.message ? error.message : 'failed to apply CAS update package';
+        return res.status(casUpdateErrorStatus(message)).json({ error: message });
+      }
+    },
+
+    rollbackCasUpdate: async (req, res) => {
+      try {
+        ensureCasUpdatesAvailable();
+        const actor = req.user && (req.user.display_name || req.user.username) ? (req.user.display_name || req.user.username) : null;
+        const entry = casService.rollbackUpdate({ actor });
+        await recordCasDatasetLog(req, 'cas_update_rolled_back', `Rolled CAS dataset back to ${entry.version || 'no update layer'}`, {
+          version: entry.version,
+          previous_version: entry.previous_version,
+        });
+        return res.json(entry);
+      } catch (error) {
+        const message = error && error.message ? error.message : 'failed to roll back CAS dataset';
+        return res.status(casUpdateErrorStatus(message)).json({ error: message });
+      }
+    },
   };
 }
 
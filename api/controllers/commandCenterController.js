@@ -1,6 +1,7 @@
 const path = require('path');
 const crypto = require('crypto');
 const { createRequire } = require('module');
+const { canonicalizeRole, hasPermission } = require('../../config/access');
 
 const backendRequire = createRequire(path.join(__dirname, '..', '..', 'backend', 'package.json'));
 const QRCode = backendRequire('qrcode');
@@ -14,26 +15,112 @@ const {
   DEFAULT_INTERVAL_MONTHS,
   DEFAULT_MAX_DAILY_CALIBRATIONS,
   DEFAULT_UNIT_OF_MEASURE,
+  CALIBRATION_CATEGORIES,
+  addDays,
+  computeCalibrationDueAnchor,
   computeCalibrationStatus,
-  computeNextCalibrationDate,
   defaultAlertLeadDays,
   defaultGracePeriodDays,
   deriveIntervalDays,
+  evaluateTestPoint,
+  expandDateRange,
+  listCalibrationSlotConflicts,
   normalizeAllowedDays,
   normalizeCategory,
+  normalizeIntervalAdjustmentPolicy,
   normalizeIntervalDays,
   normalizeIntervalMode,
   normalizeIntervalMonths,
   normalizeMaxDailyCalibrations,
   normalizeNonNegativeInteger,
   normalizePositiveInteger,
+  normalizeTestPoints,
   normalizeText,
   normalizeUnitOfMeasure,
+  planNextCalibration,
+  proposeIntervalAdjustment,
+  summarizeTestPointResults,
 } = require('../../models/calibrationRules');
+const {
+  buildEmptyMeasurementGrid,
+  evaluateGageStudy,
+  normalizeMeasurementGrid,
+  normalizeStudyShape,
+} = require('../../models/gageStudy');
+const {
+  STORAGE_GROUPS,
+  evaluateAreaCompatibility,
+  normalizeCorrosiveType,
+} = require('../../models/storageCompatibility');
 
 const HIGH_HAZARD_CODES = new Set(['explosive', 'flammable', 'oxidizing', 'toxic', 'corrosive', 'health_hazard']);
 const DEBUG_TICKET_STATUSES = new Set(['OPEN', 'BENCH', 'FIXED', 'SCRAP']);
 const CLOSED_DEBUG_STATUSES = new Set(['FIXED', 'SCRAP']);
+const CUSTODY_RETURN_CONDITIONS = new Set(['good', 'damaged', 'needs_repair', 'needs_calibration']);
+const CLOSED_CONTAINER_STATUSES = new Set(['empty', 'disposed']);
+const SCAN_SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SCAN_SESSION_DEFAULT_DAYS = 7;
+const REORDER_DEFAULT_WINDOW_DAYS = 30;
+const FORECAST_DEFAULT_WINDOW_DAYS = 90;
+const FORECAST_DEFAULT_HORIZON_DAYS = 30;
+const OPEN_PURCHASE_REQUEST_STATUSES = ['requested', 'ordered'];
+const OPEN_WASTE_CONTAINER_STATUSES = ['accumulating', 'manifested'];
+const WASTE_ACCUMULATION_DEFAULT_DAYS = 90;
+const WASTE_ACCUMULATION_MAX_DAYS = 365;
+const WASTE_DUE_SOON_DAYS = 14;
+const WASTE_REASONS = new Set(['expired', 'spent', 'contaminated', 'surplus']);
+const CYCLE_COUNT_SCOPES = ['department', 'storage_area'];
+const CYCLE_COUNT_REASON = 'cycle count';
+const MATERIAL_TRANSFER_STATUSES = ['requested', 'approved', 'rejected', 'cancelled'];
+const CALIBRATION_BLACKOUT_KINDS = ['holiday', 'shutdown', 'time_off'];
+const CALIBRATION_PLANNER_MAX_DAYS = 366;
+const CALIBRATION_PLANNER_DEFAULT_DAYS = 42;
+const CALIBRATION_SHIPMENT_OUTCOMES = ['calibrated', 'rejected'];
+const CALIBRATION_IMPACT_DISPOSITION_LABELS = {
+  no_impact: 'No Impact',
+  reinspect: 'Re-inspect Product',
+  rework: 'Rework',
+  scrap: 'Scrap',
+  notify_customer: 'Notify Customer',
+};
+const INCIDENT_TYPE_LABELS = {
+  spill: 'Spill',
+  exposure: 'Exposure',
+  release: 'Release',
+  fire: 'Fire',
+  near_miss: 'Near Miss',
+  other: 'Other',
+};
+// Material fields a partial transfer copies onto the split record for the receiving department.
+const MATERIAL_SPLIT_FIELDS = [
+  'name', 'primary_class', 'division', 'cas_number', 'components', 'ghs_symbols', 'ghs_auto_symbols',
+  'ghs_manual_overrides', 'received_date', 'expiration_date', 'min_threshold', 'manufacturer', 'sds_not_required',
+  'sds_id', 'sds_file_path', 'image_paths', 'container_size', 'storage_map_id', 'storage_area_id', 'corrosive_type',
+];
+const SDS_REVIEW_DEFAULT_AGE_DAYS = 1095;
+const LABEL_BATCH_LIMIT = 500;
+const LABEL_COPY_LIMIT = 50;
+// GHS assigns signal words per hazard category; without category data, use the stricter word these pictograms usually carry.
+const DANGER_SIGNAL_SYMBOLS = new Set(['explosive', 'flammable', 'oxidizing', 'toxic', 'corrosive', 'health_hazard']);
+const QUANTITY_LIMIT_FIELDS = ['max_area_mass_kg', 'max_area_volume_l', 'max_facility_mass_kg', 'max_facility_volume_l'];
+const INDUSTRIAL_CONTAINER_LITRES = { drum: 208.198, IBC: 1000 };
+const HAZARD_CLASS_LABELS = {
+  '1': 'Explosives',
+  '2.1': 'Flammable Gases',
+  '2.2': 'Non-flammable Gases',
+  '2.3': 'Toxic Gases',
+  '3': 'Flammable Liquids',
+  '4.1': 'Flammable Solids',
+  '4.2': 'Spontaneously Combustible',
+  '4.3': 'Dangerous When Wet',
+  '5.1': 'Oxidizers',
+  '5.2': 'Organic Peroxides',
+  '6.1': 'Toxic Substances',
+  '6.2': 'Infectious Substances',
+  '7': 'Radioactive Materials',
+  '8': 'Corrosives',
+  '9': 'Miscellaneous Hazards',
+};
 const MATERIAL_CLASS_RULES = [
   { symbol: 'explosive', classCode: '1', division: '1.1' },
   { symbol: 'flammable', classCode: '2', division: '3' },
@@ -63,6 +150,10 @@ function normalizeDivision(value) {
   return text || '';
 }
 
+function escapeLikePattern(value) {
+  return String(value || '').replace(/[\\%_]/g, (match) => `\\${match}`);
+}
+
 function normalizeLabelId(value) {
   return String(value || '').trim().toUpperCase();
 }
@@ -124,6 +215,23 @@ function decodeLabelId(labelId) {
   };
 }
 
+function expandLabelDecoder(decoded) {
+  const divisionCode = String((decoded && decoded.division_code) || '');
+  const dateMatch = String((decoded && decoded.date_code) || '').match(/^(\d{2})(\d{2})(\d{2})$/);
+  const labelDate = dateMatch ? normalizeDate(`20${dateMatch[3]}-${dateMatch[1]}-${dateMatch[2]}`) : null;
+  return {
+    primary_class: (decoded && decoded.class_code) || null,
+    division: /^\d{2,3}$/.test(divisionCode) ? `${divisionCode[0]}.${divisionCode.slice(1)}` : (divisionCode || null),
+    // Labels generated without an expiry carry their creation date instead.
+    expiration_date: labelDate && daysUntil(labelDate) > 0 ? labelDate : null,
+  };
+}
+
+function readScanSessionId(req) {
+  const value = String((req && req.body && req.body.scan_session_id) || (req && req.query && req.query.scan_session_id) || '').trim();
+  return SCAN_SESSION_ID_PATTERN.test(value) ? value : null;
+}
+
 function deriveClassDivisionFromSymbols(symbols) {
   const normalized = normalizeSymbols(symbols);
   if (!normalized.length) {
@@ -154,7 +262,7 @@ async function materialLabelIdExists(Material, labelId, excludeId, transaction)
     ? { label_id: labelId, id: { [Op.ne]: excludeId } }
     : { label_id: labelId };
 
-  const existing = await Material.findOne({ where: whereClause, transaction });
+  const existing = await Material.unscoped().findOne({ where: whereClause, transaction });
   return Boolean(existing);
 }
 
@@ -243,6 +351,10 @@ function normalizeNumber(value, fallback = 0) {
   return Number.isFinite(numeric) ? numeric : fallback;
 }
 
+function roundQuantity(value) {
+  return Math.round(normalizeNumber(value) * 1000000) / 1000000;
+}
+
 function normalizeCasNumber(value) {
   const text = String(value || '').trim();
   if (!text) return null;
@@ -255,6 +367,71 @@ function normalizeManufacturer(value) {
   return text || null;
 }
 
+function normalizeComponentConcentration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric < 0 || numeric > 100) {
+    throw new Error('component concentration is invalid; use 0-100 percent');
+  }
+  return Number(numeric.toFixed(4));
+}
+
+function normalizeMaterialComponents(value) {
+  let source = value;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (error) {
+      throw new Error('components are invalid');
+    }
+  }
+  if (source === undefined || source === null) return [];
+  if (!Array.isArray(source)) {
+    throw new Error('components are invalid');
+  }
+
+  const seen = new Set();
+  return source
+    .map((entry) => {
+      const casNumber = normalizeCasNumber(entry && entry.cas_number);
+      if (!casNumber) {
+        throw new Error('component cas_number must match XXX-XX-X format');
+      }
+      if (seen.has(casNumber)) {
+        throw new Error(`component ${casNumber} already exists in this mixture`);
+      }
+      seen.add(casNumber);
+
+      const concentrationMin = normalizeComponentConcentration(entry.concentration_min);
+      const concentrationMax = normalizeComponentConcentration(entry.concentration_max);
+      if (concentrationMin != null && concentrationMax != null && concentrationMin > concentrationMax) {
+        throw new Error(`component ${casNumber} concentration range is invalid`);
+      }
+
+      return {
+        cas_number: casNumber,
+        name: normalizeOptionalText(entry.name),
+        concentration_min: concentrationMin,
+        concentration_max: concentrationMax,
+      };
+    })
+    .sort((left, right) => {
+      const leftShare = left.concentration_max != null ? left.concentration_max : (left.concentration_min || 0);
+      const rightShare = right.concentration_max != null ? right.concentration_max : (right.concentration_min || 0);
+      return rightShare - leftShare || left.cas_number.localeCompare(right.cas_number);
+    });
+}
+
+// Primary CAS first, then mixture components; thresholds, SDS matching and CAS searches resolve against this list.
+function listMaterialCasNumbers(material) {
+  const payload = material && typeof material.toJSON === 'function' ? material.toJSON() : (material || {});
+  const casNumbers = [normalizeCasNumber(payload.cas_number)];
+  (Array.isArray(payload.components) ? payload.components : []).forEach((component) => {
+    casNumbers.push(normalizeCasNumber(component && component.cas_number));
+  });
+  return Array.from(new Set(casNumbers.filter(Boolean)));
+}
+
 function normalizeManufacturerKey(value) {
   const text = normalizeManufacturer(value);
   return text ? text.toLowerCase() : '';
@@ -393,6 +570,13 @@ function daysUntil(value) {
   return Math.round((target.getTime() - todayKey.getTime()) / 86400000);
 }
 
+function daysBetween(startValue, endValue) {
+  const startKey = dateOnlyKey(startValue);
+  const endKey = dateOnlyKey(endValue);
+  if (!startKey || !endKey) return null;
+  return Math.round((new Date(endKey).getTime() - new Date(startKey).getTime()) / 86400000);
+}
+
 function buildCertificateId(assetId) {
   const now = new Date();
   const stamp = [
@@ -429,7 +613,22 @@ function buildCfeUid(moduleName, id) {
 function resolveMaterialThreshold(payload, options = {}) {
   const manualThreshold = normalizeNumber(payload && payload.min_threshold);
   const casNumber = normalizeCasNumber(payload && payload.cas_number);
+  const casThresholdLookup = options && options.casThresholdLookup instanceof Map
+    ? options.casThresholdLookup
+    : null;
   if (!casNumber) {
+    // Mixtures without a primary CAS reorder at the highest default among their components.
+    const componentThresholds = listMaterialCasNumbers(payload)
+      .filter((componentCas) => casThresholdLookup && casThresholdLookup.has(componentCas))
+      .map((componentCas) => normalizeNumber(casThresholdLookup.get(componentCas)));
+    if (componentThresholds.length) {
+      return {
+        manualThreshold,
+        effectiveThreshold: Math.max(...componentThresholds),
+        thresholdSource: 'cas_component',
+      };
+    }
+
     return {
       manualThreshold,
       effectiveThreshold: manualThreshold,
@@ -437,12 +636,9 @@ function resolveMaterialThreshold(payload, options = {}) {
     };
   }
 
-  const casThresholdLookup = options && options.casThresholdLookup instanceof Map
-    ? options.casThresholdLookup
-    : null;
   const casThresholdValue = casThresholdLookup && casThresholdLookup.has(casNumber)
     ? normalizeNumber(casThresholdLookup.get(casNumber))
-    : normalizeNumber(options && options.casThresholdValue);
+    : 0;
 
   return {
     manualThreshold,
@@ -466,6 +662,11 @@ function formatMaterial(material, options = {}) {
   const assignedDepartment = normalizeText(payload.assigned_department, DEFAULT_DEPARTMENT);
   const sdsNotRequired = normalizeSdsNotRequired(payload && payload.sds_not_required, true);
   const sdsId = normalizeNumericId(payload && payload.sds_id) || null;
+  const components = Array.isArray(payload.components) ? payload.components : [];
+  const containers = Array.isArray(payload.containers)
+    ? sortContainersForConsumption(payload.containers).map(formatMaterialContainer)
+    : null;
+  const activeContainers = containers ? containers.filter((container) => container.status === 'active') : [];
 
   return {
     id: payload.id,
@@ -478,6 +679,8 @@ function formatMaterial(material, options = {}) {
     division,
     label_decoder: decodeLabelId(labelId),
     cas_number: normalizeCasNumber(payload.cas_number),
+    components,
+    is_mixture: components.length > 0,
     ghs_symbols: ghsSymbols,
     ghs_auto_symbols: ghsAutoSymbols,
     ghs_manual_overrides: ghsManualOverrides,
@@ -487,6 +690,10 @@ function formatMaterial(material, options = {}) {
     sds_not_required: sdsNotRequired,
     sds_id: sdsId,
     sds_file_path: normalizeSdsPath(payload && payload.sds_file_path),
+    storage_map_id: normalizeOptionalText(payload.storage_map_id),
+    storage_area_id: normalizeOptionalText(payload.storage_area_id),
+    corrosive_type: normalizeCorrosiveType(payload.corrosive_type),
+    received_date: payload.received_date || null,
     expiration_date: payload.expiration_date,
     stock_level: stockLevel,
     min_threshold: threshold.effectiveThreshold,
@@ -497,9 +704,53 @@ function formatMaterial(material, options = {}) {
     days_remaining: daysRemaining,
     low_stock: stockLevel <= threshold.effectiveThreshold,
     high_hazard: ghsSymbols.some((symbol) => HIGH_HAZARD_CODES.has(symbol)),
+    containers: containers || [],
+    active_container_count: activeContainers.length,
+    next_container_expiration: activeContainers.length ? (activeContainers[0].expiration_date || null) : null,
+    ...formatArchiveState(payload),
+  };
+}
+
+function formatMaterialContainer(container) {
+  const payload = container && typeof container.toJSON === 'function' ? container.toJSON() : (container || {});
+  const daysRemaining = daysUntil(payload.expiration_date);
+  return {
+    id: payload.id,
+    material_id: payload.material_id,
+    container_label: normalizeLabelId(payload.container_label),
+    lot_number: payload.lot_number || null,
+    received_date: payload.received_date || null,
+    expiration_date: payload.expiration_date || null,
+    location: payload.location || null,
+    initial_quantity: normalizeNumber(payload.initial_quantity),
+    remaining_quantity: normalizeNumber(payload.remaining_quantity),
+    status: String(payload.status || 'active'),
+    expired: typeof daysRemaining === 'number' ? daysRemaining < 0 : false,
+    days_remaining: daysRemaining,
+    created_at: payload.created_at || null,
   };
 }
 
+function sortContainersForConsumption(containers) {
+  return (Array.isArray(containers) ? containers.slice() : []).sort((left, right) => {
+    const leftExpiration = dateOnlyKey(left && left.expiration_date);
+    const rightExpiration = dateOnlyKey(right && right.expiration_date);
+    if (leftExpiration !== rightExpiration) {
+      if (!leftExpiration) return 1;
+      if (!rightExpiration) return -1;
+      return leftExpiration < rightExpiration ? -1 : 1;
+    }
+
+    const leftReceived = dateOnlyKey(left && left.received_date) || '';
+    const rightReceived = dateOnlyKey(right && right.received_date) || '';
+    if (leftReceived !== rightReceived) {
+      return leftReceived < rightReceived ? -1 : 1;
+    }
+
+    return normalizeNumber(left && left.id) - normalizeNumber(right && right.id);
+  });
+}
+
 function formatCalibration(asset) {
   const payload = asset && typeof asset.toJSON === 'function' ? asset.toJSON() : asset;
   const daysRemaining = daysUntil(payload.next_cal);
@@ -516,6 +767,10 @@ function formatCalibration(asset) {
   })).toUpperCase() || 'WARNING';
   const graceRemaining = typeof daysRemaining === 'number' ? Math.max(0, gracePeriodDays + daysRemaining) : null;
   const templatePayload = template ? formatTemplate(template, { module: 'calibration' }) : null;
+  const openCustody = Array.isArray(payload.custody_records)
+    ? payload.custody_records.find((record) => record && !record.checked_in_at)
+    : null;
+  const custody = openCustody ? formatCalibrationCustody(openCustody) : null;
 
   return {
     id: payload.id,
@@ -557,6 +812,7 @@ function formatCalibration(asset) {
       DEFAULT_ALLOWED_DAYS
     ),
     next_cal: payload.next_cal,
+    planned_technician_id: payload.planned_technician_id || null,
     unit_of_measure: normalizeUnitOfMeasure(
       payload.unit_of_measure || (templatePayload && templatePayload.unit_of_measure),
       DEFAULT_UNIT_OF_MEASURE
@@ -572,7 +828,18 @@ function formatCalibration(asset) {
     days_until_due: daysRemaining,
     grace_remaining_days: graceRemaining,
     locked_for_checkout: status === 'LOCKED',
+    last_cal_result: payload.last_cal_result || null,
+    out_of_tolerance: Boolean(payload.out_of_tolerance),
+    gage_rr_result: payload.gage_rr_result || null,
+    gage_rr_percent: payload.gage_rr_percent === null || payload.gage_rr_percent === undefined ? null : Number(payload.gage_rr_percent),
+    gage_rr_failed: payload.gage_rr_result === 'fail',
+    interval_override_days: normalizePositiveInteger(payload.interval_override_days, null),
+    checked_out: Boolean(custody),
+    at_vendor: Boolean(custody && custody.shipment_id),
+    custody,
+    return_overdue: Boolean(custody && custody.return_overdue),
     template: templatePayload,
+    ...formatArchiveState(payload),
   };
 }
 
@@ -601,6 +868,24 @@ function formatTemplate(template, options = {}) {
     unit_of_measure: normalizeUnitOfMeasure(payload.unit_of_measure, DEFAULT_UNIT_OF_MEASURE),
     assigned_department: payload.assigned_department || DEFAULT_DEPARTMENT,
     asset_count: Array.isArray(payload.assets) ? payload.assets.length : normalizeNumber(payload.asset_count, 0),
+    ...(moduleName === 'calibration'
+      ? {
+        test_points: normalizeTestPoints(payload.test_points, normalizeUnitOfMeasure(payload.unit_of_measure, DEFAULT_UNIT_OF_MEASURE)),
+        ...formatIntervalAdjustmentPolicy(payload),
+      }
+      : {}),
+  };
+}
+
+function formatIntervalAdjustmentPolicy(payload) {
+  const policy = normalizeIntervalAdjustmentPolicy(payload);
+  return {
+    interval_adjust_enabled: policy.enabled,
+    interval_extend_after: policy.extend_after,
+    interval_extend_percent: policy.extend_percent,
+    interval_shorten_percent: policy.shorten_percent,
+    interval_min_days: policy.min_days,
+    interval_max_days: policy.max_days,
   };
 }
 
@@ -686,11 +971,17 @@ function normalizeMaterialPayload(payload) {
   }
 
   const containerSize = normalizeContainerSize(payload || {});
+  const corrosiveType = normalizeCorrosiveType(payload && payload.corrosive_type);
+  const storageAreaId = normalizeOptionalText(payload && payload.storage_area_id);
 
   if (!name) {
     throw new Error('name is required');
   }
 
+  if (payload && payload.corrosive_type && !corrosiveType) {
+    throw new Error('corrosive_type is invalid; use acid or base');
+  }
+
   if (!primaryClass) {
     throw new Error('primary_class is required');
   }
@@ -702,11 +993,15 @@ function normalizeMaterialPayload(payload) {
     primary_class: primaryClass,
     division: division || '0',
     cas_number: casNumber,
+    components: normalizeMaterialComponents(payload && payload.components),
     assigned_department: normalizeText(payload && payload.assigned_department, DEFAULT_DEPARTMENT),
     manufacturer: normalizeManufacturer(payload && payload.manufacturer),
     sds_not_required: sdsNotRequired,
     sds_id: normalizeNumericId(payload && payload.sds_id) || null,
     sds_file_path: normalizeSdsPath(payload && payload.sds_file_path),
+    storage_map_id: storageAreaId ? normalizeOptionalText(payload.storage_map_id) : null,
+    storage_area_id: storageAreaId,
+    corrosive_type: corrosiveType,
     ghs_symbols: selectedSymbols,
     ghs_auto_symbols: autoSymbols,
     ghs_manual_overrides: manualOverrides,
@@ -750,6 +1045,61 @@ function normalizeCasThresholdPayload(payload) {
   };
 }
 
+function normalizeHazardClassKey(value) {
+  const text = String(value || '').trim();
+  return /^\d(\.\d{1,2})?$/.test(text) && text !== '0' ? text : null;
+}
+
+function describeHazardClass(hazardClass) {
+  const key = normalizeHazardClassKey(hazardClass);
+  if (!key) return 'Unclassified';
+  return HAZARD_CLASS_LABELS[key] || HAZARD_CLASS_LABELS[key.split('.')[0]] || `Class ${key}`;
+}
+
+function normalizeQuantityLimitPayload(payload) {
+  const hazardClass = normalizeHazardClassKey(payload && payload.hazard_class);
+  if (!hazardClass) {
+    throw new Error('hazard_class must be a class or division such as 3 or 5.1');
+  }
+
+  const limits = {};
+  QUANTITY_LIMIT_FIELDS.forEach((field) => {
+    const raw = payload ? payload[field] : null;
+    if (raw === null || raw === undefined || raw === '') {
+      limits[field] = null;
+      return;
+    }
+    const numeric = Number(raw);
+    if (!Number.isFinite(numeric) || numeric < 0) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+    limits[field] = numeric;
+  });
+  if (QUANTITY_LIMIT_FIELDS.every((field) => limits[field] === null)) {
+    throw new Error('at least one quantity limit is required');
+  }
+
+  return {
+    hazard_class: hazardClass,
+    label: normalizeOptionalText(payload && payload.label) || describeHazardClass(hazardClass),
+    ...limits,
+  };
+}
+
+function formatQuantityLimit(record) {
+  const payload = record && typeof record.toJSON === 'function' ? record.toJSON() : (record || {});
+  return {
+    id: payload.id,
+    hazard_class: payload.hazard_class,
+    label: payload.label || describeHazardClass(payload.hazard_class),
+    max_area_mass_kg: payload.max_area_mass_kg,
+    max_area_volume_l: payload.max_area_volume_l,
+    max_facility_mass_kg: payload.max_facility_mass_kg,
+    max_facility_volume_l: payload.max_facility_volume_l,
+    updated_at: payload.updated_at || null,
+  };
+}
+
 function formatCasThresholdDefault(record) {
   const payload = record && typeof record.toJSON === 'function' ? record.toJSON() : (record || {});
   return {
@@ -780,10 +1130,83 @@ function formatSdsDocument(record) {
     manufacturer_id: manufacturerId,
     manufacturer: manufacturerName,
     sds_file_path: normalizeSdsPath(payload.sds_file_path),
+    revision_date: normalizeDate(payload.revision_date),
     created_at: payload.created_at || null,
   };
 }
 
+function deriveSignalWord(symbols) {
+  const hazardSymbols = normalizeSymbols(symbols).filter((symbol) => symbol !== 'non_hazardous');
+  if (!hazardSymbols.length) return null;
+  return hazardSymbols.some((symbol) => DANGER_SIGNAL_SYMBOLS.has(symbol)) ? 'Danger' : 'Warning';
+}
+
+function normalizeLabelHazardStatements(value) {
+  return (Array.isArray(value) ? value : [])
+    .map((entry) => (typeof entry === 'string'
+      ? { code: null, text: entry.trim() }
+      : { code: String((entry && entry.code) || '').trim() || null, text: String((entry && entry.text) || '').trim() }))
+    .filter((entry) => entry.code || entry.text);
+}
+
+function mergeStatementsByCode(target, entries) {
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    const code = String((entry && entry.code) || '').trim();
+    if (code && !target.has(code)) target.set(code, { code, text: String(entry.text || '').trim() });
+  });
+}
+
+function combineMaterialHazardProfile(entries) {
+  const symbols = new Set();
+  const hazardStatements = new Map();
+  const precautionaryStatements = new Map();
+  const signalWords = new Set();
+
+  const components = entries.map(({ component, record }) => {
+    const autoSymbols = normalizeSymbols(record && record.ghs_auto_symbols).filter((symbol) => symbol !== 'non_hazardous');
+    autoSymbols.forEach((symbol) => symbols.add(symbol));
+    mergeStatementsByCode(hazardStatements, record && record.hazard_statements);
+    mergeStatementsByCode(precautionaryStatements, record && record.precautionary_statements);
+    if (record && record.signal_word) signalWords.add(record.signal_word);
+
+    return {
+      ...component,
+      name: component.name || (record && record.name) || null,
+      found: Boolean(record),
+      signal_word: (record && record.signal_word) || null,
+      ghs_auto_symbols: autoSymbols,
+      hazard_statements: (record && record.hazard_statements) || [],
+      exposure_limits: (record && record.exposure_limits) || [],
+    };
+  });
+
+  const ghsAutoSymbols = Array.from(symbols).sort();
+  const byCode = (left, right) => left.code.localeCompare(right.code);
+  return {
+    components,
+    ghs_auto_symbols: ghsAutoSymbols,
+    signal_word: signalWords.has('Danger') ? 'Danger' : (signalWords.has('Warning') ? 'Warning' : null),
+    hazard_statements: Array.from(hazardStatements.values()).sort(byCode),
+    precautionary_statements: Array.from(precautionaryStatements.values()).sort(byCode),
+  };
+}
+
+function formatSdsRevision(record) {
+  const payload = record && typeof record.toJSON === 'function' ? record.toJSON() : (record || {});
+  return {
+    id: normalizeNumericId(payload.id),
+    sds_document_id: normalizeNumericId(payload.sds_document_id),
+    revision_number: Number(payload.revision_number) || 1,
+    revision_date: normalizeDate(payload.revision_date),
+    sds_file_path: normalizeSdsPath(payload.sds_file_path),
+    uploaded_by: payload.uploaded_by || null,
+    uploaded_at: payload.uploaded_at || null,
+    supersedes_id: normalizeNumericId(payload.supersedes_id) || null,
+    superseded_at: payload.superseded_at || null,
+    current: !payload.superseded_at,
+  };
+}
+
 function normalizeTemplateId(value) {
   const numeric = Number(value);
   return Number.isInteger(numeric) && numeric > 0 ? numeric : null;
@@ -809,10 +1232,21 @@ function normalizeDepartmentPayload(payload) {
   const supervisor = normalizeDepartmentName(
     normalizeOptionalText(payload && (payload.supervisor || payload.department_supervisor)) || ''
   );
+  const supervisorEmail = String((payload && payload.supervisor_email) || '').trim().toLowerCase();
+  if (supervisorEmail && !/^[^\s@,;]+@[^\s@,;]+$/.test(supervisorEmail)) {
+    throw new Error('supervisor_email format is invalid');
+  }
+
+  const supervisorUserId = payload && payload.supervisor_user_id;
+  if (supervisorUserId !== undefined && supervisorUserId !== null && supervisorUserId !== '' && !normalizeNumericId(supervisorUserId)) {
+    throw new Error('supervisor_user_id is invalid');
+  }
 
   return {
     name,
     supervisor,
+    supervisor_email: supervisorEmail,
+    supervisor_user_id: normalizeNumericId(supervisorUserId) || null,
   };
 }
 
@@ -837,6 +1271,8 @@ function formatDepartment(department) {
     id: payload.id,
     name: normalizeDepartmentName(payload.name),
     supervisor: normalizeDepartmentName(payload.supervisor),
+    supervisor_email: String(payload.supervisor_email || '').trim() || null,
+    supervisor_user_id: payload.supervisor_user_id || null,
   };
 }
 
@@ -859,7 +1295,7 @@ function normalizeCost(value) {
 function normalizeAttachmentPath(value) {
   const text = String(value || '').trim();
   if (!text) return null;
-  if (!text.startsWith('/calibration-attachments/')) return null;
+  if (!/^\/calibration-attachments\/[^/\\]+$/.test(text)) return null;
   return text;
 }
 
@@ -937,9 +1373,74 @@ function normalizeTemplatePayload(payload, options = {}) {
     interval_days: schedule.intervalDays,
     max_daily_calibrations: schedule.maxDailyCalibrations,
     allowed_days: JSON.stringify(schedule.allowedDays),
+    test_points: JSON.stringify(normalizeTemplateTestPoints(payload && payload.test_points, basePayload.unit_of_measure)),
+    ...normalizeIntervalAdjustmentPayload(payload || {}),
   };
 }
 
+function normalizeIntervalAdjustmentPayload(payload) {
+  const policy = formatIntervalAdjustmentPolicy(payload);
+  if (!policy.interval_adjust_enabled) return policy;
+
+  const readInteger = (key, label) => {
+    const value = payload[key];
+    if (value === undefined || value === null || value === '') return policy[key];
+    const numeric = Number(value);
+    if (!Number.isInteger(numeric) || numeric <= 0) throw new Error(`${label} must be a positive whole number`);
+    return numeric;
+  };
+  const extendAfter = readInteger('interval_extend_after', 'interval_extend_after');
+  const extendPercent = readInteger('interval_extend_percent', 'interval_extend_percent');
+  const shortenPercent = readInteger('interval_shorten_percent', 'interval_shorten_percent');
+  const minDays = readInteger('interval_min_days', 'interval_min_days');
+  const maxDays = readInteger('interval_max_days', 'interval_max_days');
+  if (!minDays || !maxDays) {
+    throw new Error('interval_min_days and interval_max_days are required when interval adjustment is enabled');
+  }
+  if (minDays > maxDays) {
+    throw new Error('interval_min_days must be less than or equal to interval_max_days');
+  }
+  if (shortenPercent >= 100) {
+    throw new Error('interval_shorten_percent must be below 100');
+  }
+
+  return {
+    interval_adjust_enabled: true,
+    interval_extend_after: extendAfter,
+    interval_extend_percent: extendPercent,
+    interval_shorten_percent: shortenPercent,
+    interval_min_days: minDays,
+    interval_max_days: maxDays,
+  };
+}
+
+function normalizeTemplateTestPoints(value, unitOfMeasure) {
+  let source = value;
+  if (typeof source === 'string') {
+    try {
+      source = source.trim() ? JSON.parse(source) : [];
+    } catch (error) {
+      throw new Error('test_points must be a JSON array');
+    }
+  }
+  if (source === undefined || source === null) return [];
+  if (!Array.isArray(source)) {
+    throw new Error('test_points must be an array');
+  }
+
+  const rows = source.filter((point) => point && ['label', 'nominal', 'tolerance'].some((key) => String(point[key] ?? '').trim() !== ''));
+  rows.forEach((point, index) => {
+    if (!Number.isFinite(Number(point.nominal)) || String(point.nominal ?? '').trim() === '') {
+      throw new Error(`test point ${index + 1} nominal must be a number`);
+    }
+    if (!Number.isFinite(Number(point.tolerance)) || Number(point.tolerance) < 0 || String(point.tolerance ?? '').trim() === '') {
+      throw new Error(`test point ${index + 1} tolerance must be a non-negative number`);
+    }
+  });
+
+  return normalizeTestPoints(rows, unitOfMeasure);
+}
+
 function normalizeCalibrationPayload(payload) {
   const toolName = String((payload && payload.tool_name) || '').trim();
   const serialNumber = String((payload && payload.serial_number) || '').trim();
@@ -985,9 +1486,55 @@ function normalizeUsagePayload(payload) {
   return {
     quantity,
     reason,
+    container_id: normalizeNumericId(payload && payload.container_id) || null,
+    container_label: normalizeLabelId(payload && payload.container_label) || null,
   };
 }
 
+function normalizeMaterialContainerPayload(payload, options = {}) {
+  const partial = Boolean(options.partial);
+  const source = payload || {};
+  const normalized = {};
+
+  if (!partial || Object.prototype.hasOwnProperty.call(source, 'quantity') || Object.prototype.hasOwnProperty.call(source, 'initial_quantity')) {
+    const quantity = normalizeNumber(source.quantity != null ? source.quantity : source.initial_quantity, NaN);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new Error('quantity must be greater than zero');
+    }
+    normalized.initial_quantity = quantity;
+    normalized.remaining_quantity = quantity;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(source, 'container_label')) {
+    normalized.container_label = normalizeLabelId(source.container_label) || null;
+  }
+  if (Object.prototype.hasOwnProperty.call(source, 'lot_number')) {
+    normalized.lot_number = normalizeOptionalText(source.lot_number);
+  }
+  if (Object.prototype.hasOwnProperty.call(source, 'location')) {
+    normalized.location = normalizeOptionalText(source.location);
+  }
+  if (partial && Object.prototype.hasOwnProperty.call(source, 'status')) {
+    const status = String(source.status || '').trim().toLowerCase();
+    if (!CLOSED_CONTAINER_STATUSES.has(status)) {
+      throw new Error('status is invalid; containers can only be marked empty or disposed');
+    }
+    normalized.status = status;
+  }
+
+  ['received_date', 'expiration_date'].forEach((field) => {
+    if (!Object.prototype.hasOwnProperty.call(source, field)) return;
+    const raw = source[field];
+    const value = normalizeDate(raw);
+    if (raw && !value) {
+      throw new Error(`${field} format is invalid`);
+    }
+    normalized[field] = value;
+  });
+
+  return normalized;
+}
+
 function normalizeVerificationPayload(payload) {
   return {
     notes: String((payload && payload.notes) || '').trim(),
@@ -996,8 +1543,57 @@ function normalizeVerificationPayload(payload) {
 
 function normalizeCheckoutPayload(payload) {
   const reason = String((payload && payload.reason) || '').trim() || 'Asset check-out';
+  const holder = normalizeOptionalText(payload && (payload.holder_name || payload.holder));
+  const rawReturnDate = payload && payload.expected_return_date;
+  const expectedReturnDate = normalizeDate(rawReturnDate);
+  if (rawReturnDate && !expectedReturnDate) {
+    throw new Error('expected_return_date format is invalid');
+  }
+  if (expectedReturnDate && daysUntil(expectedReturnDate) < 0) {
+    throw new Error('expected_return_date cannot be in the past');
+  }
+
   return {
     reason,
+    holder_name: holder,
+    holder_user_id: normalizeNumericId(payload && payload.holder_user_id) || null,
+    expected_return_date: expectedReturnDate,
+  };
+}
+
+function normalizeCheckinPayload(payload) {
+  const condition = String((payload && payload.condition) || 'good').trim().toLowerCase().replace(/[^a-z]+/g, '_');
+  if (!CUSTODY_RETURN_CONDITIONS.has(condition)) {
+    throw new Error(`condition is invalid; use ${Array.from(CUSTODY_RETURN_CONDITIONS).join(', ')}`);
+  }
+
+  return {
+    condition,
+    notes: String((payload && payload.notes) || '').trim(),
+  };
+}
+
+function formatCalibrationCustody(record) {
+  const payload = record && typeof record.toJSON === 'function' ? record.toJSON() : (record || {});
+  const returnDays = daysUntil(payload.expected_return_date);
+  const open = !payload.checked_in_at;
+  return {
+    id: payload.id,
+    asset_id: payload.asset_id,
+    holder_name: payload.holder_name,
+    holder_user_id: payload.holder_user_id || null,
+    reason: payload.reason || null,
+    checked_out_at: payload.checked_out_at,
+    checked_out_by: payload.checked_out_by || null,
+    expected_return_date: payload.expected_return_date || null,
+    checked_in_at: payload.checked_in_at || null,
+    checked_in_by: payload.checked_in_by || null,
+    return_condition: payload.return_condition || null,
+    return_notes: payload.return_notes || null,
+    shipment_id: payload.shipment_id || null,
+    open,
+    days_until_return: open ? returnDays : null,
+    return_overdue: open && typeof returnDays === 'number' && returnDays < 0,
   };
 }
 
@@ -1006,2445 +1602,8734 @@ function normalizeCertificatePayload(payload) {
   if (!technician) {
     throw new Error('technician is required');
   }
+  const readings = payload && payload.readings;
+  if (readings !== undefined && readings !== null && !Array.isArray(readings)) {
+    throw new Error('readings must be an array');
+  }
   return {
     technician,
+    readings: Array.isArray(readings) ? readings : [],
+    notes: String((payload && payload.notes) || '').trim(),
   };
 }
 
-function normalizeDebugSerial(value) {
-  return String(value || '').trim().toUpperCase();
+function isMissingReading(value) {
+  return value === undefined || value === null || String(value).trim() === '';
 }
 
-function normalizeFailureStatus(value) {
-  const normalized = String(value || 'OPEN').trim().toUpperCase();
-  return DEBUG_TICKET_STATUSES.has(normalized) ? normalized : 'OPEN';
+function buildMeasurementReadings(testPoints, readings, unitOfMeasure) {
+  const labelKey = (value) => String(value || '').trim().toLowerCase();
+  if (testPoints.length) {
+    readings.forEach((entry, index) => {
+      if (!entry || !labelKey(entry.label)) throw new Error(`reading ${index + 1} requires the test point label`);
+      if (!testPoints.some((point) => labelKey(point.label) === labelKey(entry.label))) {
+        throw new Error(`reading ${index + 1} does not match a template test point`);
+      }
+    });
+  }
+  const readingFor = (point) => readings.find((entry) => labelKey(entry.label) === labelKey(point.label)) || {};
+
+  const points = testPoints.length
+    ? testPoints.map((point) => ({ point, reading: readingFor(point) }))
+    : readings.map((reading, index) => {
+      const [point] = normalizeTestPoints([{ label: `Point ${index + 1}`, ...reading }], unitOfMeasure);
+      if (!point) {
+        throw new Error(`reading ${index + 1} requires nominal and tolerance when the template defines no test points`);
+      }
+      return { point, reading };
+    });
+
+  return points.map(({ point, reading }) => {
+    if (isMissingReading(reading.as_found) || !Number.isFinite(Number(reading.as_found))) {
+      throw new Error(`as_found reading is required for ${point.label}`);
+    }
+    if (!isMissingReading(reading.as_left) && !Number.isFinite(Number(reading.as_left))) {
+      throw new Error(`as_left reading for ${point.label} must be a number`);
+    }
+    return evaluateTestPoint(point, reading);
+  });
 }
 
-function normalizeCompactText(value) {
-  return String(value || '').trim().replace(/\s+/g, ' ');
+function parseJsonList(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(String(value || '[]'));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
 }
 
-function normalizeFingerprintToken(value) {
-  return normalizeCompactText(value).toLowerCase();
+function formatCalibrationRecord(record) {
+  const payload = record && typeof record.toJSON === 'function' ? record.toJSON() : (record || {});
+  return {
+    id: payload.id,
+    asset_id: payload.asset_id,
+    template_id: payload.template_id || null,
+    certificate_id: payload.certificate_id || null,
+    technician: payload.technician,
+    calibration_date: payload.calibration_date,
+    performed_at: payload.performed_at,
+    as_found_result: payload.as_found_result,
+    as_left_result: payload.as_left_result,
+    result: payload.result,
+    readings: parseJsonList(payload.readings),
+    notes: payload.notes || null,
+    issued_at: payload.issued_at || null,
+    valid_until: payload.valid_until || null,
+    certificate_url: payload.certificate_file ? `/public/certs/${encodeURIComponent(payload.certificate_file)}` : null,
+    certificate_sha256: payload.certificate_sha256 || null,
+  };
 }
 
-function splitDelimitedValues(value) {
-  if (Array.isArray(value)) {
-    return value;
+function formatCalibrationGageStudy(study) {
+  const payload = study && typeof study.toJSON === 'function' ? study.toJSON() : (study || {});
+  const results = payload.results ? parseJsonObject(payload.results) : null;
+  return {
+    id: payload.id,
+    study_number: payload.study_number,
+    asset_id: payload.asset_id,
+    status: payload.status,
+    characteristic: payload.characteristic || null,
+    operators: parseJsonList(payload.operators),
+    part_count: payload.part_count,
+    trial_count: payload.trial_count,
+    tolerance: payload.tolerance === null || payload.tolerance === undefined ? null : Number(payload.tolerance),
+    measurements: parseJsonList(payload.measurements),
+    results,
+    result: payload.result || null,
+    percent_grr: payload.percent_grr === null || payload.percent_grr === undefined ? null : Number(payload.percent_grr),
+    ndc: payload.ndc === null || payload.ndc === undefined ? null : Number(payload.ndc),
+    notes: payload.notes || null,
+    created_at: payload.created_at,
+    created_by: payload.created_by || null,
+    completed_at: payload.completed_at || null,
+    completed_by: payload.completed_by || null,
+  };
+}
+
+function normalizeGageStudyPayload(payload) {
+  const shape = normalizeStudyShape(payload || {});
+  const rawTolerance = payload && payload.tolerance;
+  let tolerance = null;
+  if (rawTolerance !== undefined && rawTolerance !== null && rawTolerance !== '') {
+    tolerance = Number(rawTolerance);
+    if (!Number.isFinite(tolerance) || tolerance <= 0) {
+      throw new Error('tolerance must be a positive number');
+    }
   }
 
-  const raw = String(value || '').trim();
-  if (!raw) return [];
-  return raw.split(/[;,|]+/);
+  return {
+    ...shape,
+    characteristic: String((payload && payload.characteristic) || '').trim() || null,
+    tolerance,
+    notes: String((payload && payload.notes) || '').trim() || null,
+  };
 }
 
-function normalizeTechnicianValues(value) {
-  const unique = new Map();
-  splitDelimitedValues(value)
-    .map((entry) => normalizeCompactText(entry))
-    .filter(Boolean)
-    .forEach((entry) => {
-      const key = entry.toLowerCase();
-      if (!unique.has(key)) {
-        unique.set(key, entry);
-      }
-    });
-  return Array.from(unique.values());
+function parseJsonObject(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(String(value || '{}'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
 }
 
-function mergeTechnicianValues(...sources) {
-  const unique = new Map();
-  sources.forEach((source) => {
-    normalizeTechnicianValues(source).forEach((entry) => {
-      const key = entry.toLowerCase();
-      if (!unique.has(key)) {
-        unique.set(key, entry);
-      }
-    });
-  });
-  return Array.from(unique.values());
+function formatCalibrationImpactReview(review) {
+  const payload = review && typeof review.toJSON === 'function' ? review.toJSON() : (review || {});
+  const asset = payload.asset || null;
+  const usages = parseJsonList(payload.usages).map((usage) => ({
+    ...usage,
+    disposition: usage.disposition || null,
+    disposition_label: usage.disposition ? CALIBRATION_IMPACT_DISPOSITION_LABELS[usage.disposition] || usage.disposition : null,
+  }));
+  return {
+    id: payload.id,
+    asset_id: payload.asset_id,
+    record_id: payload.record_id || null,
+    status: payload.status,
+    finding: payload.finding || null,
+    window_start: payload.window_start || null,
+    window_end: payload.window_end,
+    usages,
+    pending_dispositions: usages.filter((usage) => !usage.disposition).length,
+    opened_at: payload.opened_at,
+    opened_by: payload.opened_by || null,
+    closed_at: payload.closed_at || null,
+    closed_by: payload.closed_by || null,
+    resolution: payload.resolution || null,
+    tool_name: asset ? asset.tool_name : null,
+    serial_number: asset ? asset.serial_number : null,
+    assigned_department: asset ? asset.assigned_department || null : null,
+  };
 }
 
-function compactTechnicianText(values, maxLength = 240) {
-  const normalized = normalizeTechnicianValues(values);
-  if (!normalized.length) return '';
+function normalizeOutOfTolerancePayload(payload) {
+  const finding = String((payload && payload.finding) || '').trim();
+  if (!finding) {
+    throw new Error('finding is required');
+  }
 
-  const output = [];
-  for (const value of normalized) {
-    const next = output.length ? `${output.join(', ')}, ${value}` : value;
-    if (next.length > maxLength) break;
-    output.push(value);
+  const today = normalizeDate(new Date());
+  const foundOn = normalizeDate(payload && payload.found_on) || today;
+  if (foundOn > today) {
+    throw new Error('found_on cannot be in the future');
   }
-  return output.join(', ');
-}
 
-function normalizeImportStatus(value) {
-  const raw = String(value || '').trim().toUpperCase();
-  if (!raw) return '';
-  return DEBUG_TICKET_STATUSES.has(raw) ? raw : '';
+  const windowStart = normalizeDate(payload && payload.window_start);
+  if (windowStart && windowStart > foundOn) {
+    throw new Error('window_start must be on or before found_on');
+  }
+
+  return { finding, found_on: foundOn, window_start: windowStart };
 }
 
-function buildDebugImportNotes(payload) {
-  const noteRows = [
-    ['Failure Notes', payload && (payload.failure_notes || payload.failure_note)],
-    ['Repair Notes', payload && (payload.repair_notes || payload.repair_note || payload.rework_notes)],
-    ['Verification Notes', payload && (payload.verification_notes || payload.verification_note)],
-    ['Comments', payload && (payload.comments || payload.comment)],
-    ['General Notes', payload && payload.notes],
-  ];
+function normalizeImpactDispositions(payload) {
+  const entries = Array.isArray(payload && payload.dispositions) ? payload.dispositions : [];
+  if (!entries.length) {
+    throw new Error('dispositions are required');
+  }
 
-  return noteRows
-    .map(([label, value]) => {
-      const normalized = normalizeCompactText(value);
-      return normalized ? `${label}: ${normalized}` : '';
-    })
-    .filter(Boolean)
-    .join('\n');
+  return entries.map((entry) => {
+    const logId = normalizeNumericId(entry && entry.log_id);
+    if (!logId) {
+      throw new Error('log_id is required for each disposition');
+    }
+    const disposition = String((entry && entry.disposition) || '').trim().toLowerCase();
+    if (!CALIBRATION_IMPACT_DISPOSITION_LABELS[disposition]) {
+      throw new Error(`disposition must be one of ${Object.keys(CALIBRATION_IMPACT_DISPOSITION_LABELS).join(', ')}`);
+    }
+    const notes = String((entry && entry.notes) || '').trim() || null;
+    if (disposition !== 'no_impact' && !notes) {
+      throw new Error('notes are required unless the disposition is no impact');
+    }
+    return { log_id: logId, disposition, notes };
+  });
 }
 
-function buildDebugImportFingerprint(payload) {
-  const source = [
-    normalizeFingerprintToken(payload && payload.serial_number),
-    normalizeFingerprintToken(payload && payload.failure_signature),
-    normalizeFingerprintToken(payload && payload.note_text),
-    normalizeTechnicianValues(payload && payload.technicians).map((entry) => entry.toLowerCase()).sort().join('|'),
-    normalizeFingerprintToken(payload && payload.source_reference),
-  ].join('::');
+function normalizeCalibrationTechnicianPayload(payload) {
+  const name = String((payload && payload.name) || '').trim().replace(/\s+/g, ' ');
+  if (!name) {
+    throw new Error('name is required');
+  }
 
-  return crypto.createHash('sha1').update(source).digest('hex');
-}
+  const email = String((payload && payload.email) || '').trim().toLowerCase();
+  if (email && !/^[^\s@,;]+@[^\s@,;]+$/.test(email)) {
+    throw new Error('email format is invalid');
+  }
 
-function appendImportVerification(existingValue, importPayload) {
-  const current = normalizeCompactText(existingValue);
-  const noteText = normalizeCompactText(importPayload && importPayload.note_text);
-  const technicians = normalizeTechnicianValues(importPayload && importPayload.technicians);
-  const sourceFile = normalizeCompactText(importPayload && importPayload.source_file);
+  const rawSkills = Array.isArray(payload && payload.skills)
+    ? payload.skills
+    : String((payload && payload.skills) || '').split(/[;,|]/);
+  const skills = Array.from(new Set(rawSkills
+    .map((entry) => String(entry || '').trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const category = normalizeCategory(entry, null);
+      if (!category) {
+        throw new Error(`skills must be one of ${CALIBRATION_CATEGORIES.join(', ')}`);
+      }
+      return category;
+    })));
 
-  const details = [];
-  if (noteText) details.push(noteText);
-  if (technicians.length) details.push(`Technicians: ${technicians.join(', ')}`);
-  if (sourceFile) details.push(`Source: ${sourceFile}`);
-  if (!details.length) return current;
+  const dailyCapacity = Number(payload && payload.daily_capacity);
+  if (!Number.isInteger(dailyCapacity) || dailyCapacity <= 0) {
+    throw new Error('daily_capacity must be a positive whole number');
+  }
 
-  const block = `[Import ${new Date().toISOString()}] ${details.join(' | ')}`;
-  return current ? `${current}\n\n${block}` : block;
+  return {
+    name,
+    email: email || null,
+    skills,
+    available_days: normalizeAllowedDays(payload && payload.available_days, DEFAULT_ALLOWED_DAYS),
+    daily_capacity: dailyCapacity,
+    active: !(payload && (payload.active === false || String(payload.active).toLowerCase() === 'false')),
+  };
 }
 
-function formatDebugTimelineEntry(entry) {
-  const payload = entry && typeof entry.toJSON === 'function' ? entry.toJSON() : (entry || {});
+function formatCalibrationTechnician(technician) {
+  const payload = technician && typeof technician.toJSON === 'function' ? technician.toJSON() : (technician || {});
   return {
     id: payload.id,
-    ticket_id: payload.ticket_id,
-    event_type: payload.event_type || '',
-    source_file: payload.source_file || '',
-    source_row_number: Number(payload.source_row_number) || null,
-    source_reference: payload.source_reference || '',
-    technician_list: normalizeTechnicianValues(payload.technician_list),
-    note_text: payload.note_text || '',
-    failure_signature_before: payload.failure_signature_before || '',
-    failure_signature_after: payload.failure_signature_after || '',
-    fingerprint_hash: payload.fingerprint_hash || '',
-    metadata: payload.metadata || {},
-    created_at: payload.created_at || null,
+    name: payload.name,
+    email: payload.email || null,
+    skills: parseJsonList(payload.skills),
+    available_days: normalizeAllowedDays(payload.available_days, DEFAULT_ALLOWED_DAYS),
+    daily_capacity: normalizePositiveInteger(payload.daily_capacity, 1),
+    active: payload.active !== false,
   };
 }
 
-function normalizeDebugImportPayload(payload, index = 0) {
-  const serialNumber = normalizeDebugSerial(payload && (payload.serial_number || payload.serial || payload.sn || payload.board_serial));
-  const failureSignature = normalizeText(payload && (payload.failure_signature || payload.failure || payload.symptom || payload.issue));
-  if (!serialNumber || !failureSignature) {
-    throw new Error('serial_number and failure_signature are required');
+function normalizeCalibrationBlackoutPayload(payload) {
+  const name = String((payload && payload.name) || '').trim();
+  if (!name) {
+    throw new Error('name is required');
   }
 
-  const benchTime = Number(payload && (payload.total_bench_time || payload.bench_hours || payload.bench_time));
-  const rowNumber = Number(payload && (payload.source_row_number || payload.row_number || payload.row));
-  const noteText = buildDebugImportNotes(payload || {});
-  const verificationFromRow = normalizeCompactText(payload && payload.verification_pass);
-  const technicians = mergeTechnicianValues(
-    payload && payload.technicians,
-    payload && payload.technician_id,
-    payload && payload.technician,
-    payload && payload.tech,
-    payload && payload.techs,
-    payload && payload.worked_by
-  );
+  const kind = String((payload && payload.kind) || 'holiday').trim().toLowerCase();
+  if (!CALIBRATION_BLACKOUT_KINDS.includes(kind)) {
+    throw new Error(`kind must be one of ${CALIBRATION_BLACKOUT_KINDS.join(', ')}`);
+  }
 
-  const normalized = {
-    serial_number: serialNumber,
-    model_rev: normalizeText(payload && payload.model_rev),
-    failure_signature: failureSignature,
-    technician_id: compactTechnicianText(technicians),
-    technicians,
-    department_id: normalizeNumericId(payload && payload.department_id) || null,
-    department_name: normalizeDepartmentName(payload && (payload.department_name || payload.department || payload.dept)),
-    status: normalizeImportStatus(payload && payload.status),
-    total_bench_time: Number.isFinite(benchTime) && benchTime >= 0 ? benchTime : 0,
-    verification_pass: verificationFromRow,
-    note_text: noteText,
-    source_file: normalizeCompactText(payload && (payload.source_file || payload.file_name || payload.filename)),
-    source_row_number: Number.isInteger(rowNumber) && rowNumber > 0 ? rowNumber : (index + 2),
-    source_reference: normalizeText(payload && (payload.source_reference || payload.reference || payload.rma || payload.rma_number || payload.ticket_reference)),
+  const startDate = normalizeDate(payload && payload.start_date);
+  if (!startDate) {
+    throw new Error('start_date is required');
+  }
+  const endDate = normalizeDate(payload && payload.end_date) || startDate;
+  if (endDate < startDate) {
+    throw new Error('end_date must be on or after start_date');
+  }
+  if (expandDateRange(startDate, endDate, CALIBRATION_PLANNER_MAX_DAYS + 1).length > CALIBRATION_PLANNER_MAX_DAYS) {
+    throw new Error(`blackout range must be ${CALIBRATION_PLANNER_MAX_DAYS} days or fewer`);
+  }
+
+  const technicianId = normalizeNumericId(payload && payload.technician_id);
+  if (kind === 'time_off' && !technicianId) {
+    throw new Error('technician_id is required for time off');
+  }
+
+  return {
+    name,
+    kind,
+    start_date: startDate,
+    end_date: endDate,
+    technician_id: kind === 'time_off' ? technicianId : null,
   };
+}
 
-  normalized.fingerprint_hash = buildDebugImportFingerprint(normalized);
-  return normalized;
+function formatCalibrationBlackout(blackout) {
+  const payload = blackout && typeof blackout.toJSON === 'function' ? blackout.toJSON() : (blackout || {});
+  return {
+    id: payload.id,
+    name: payload.name,
+    kind: payload.kind,
+    start_date: payload.start_date,
+    end_date: payload.end_date,
+    technician_id: payload.technician_id || null,
+    created_at: payload.created_at || null,
+    created_by: payload.created_by || null,
+  };
 }
 
-function normalizeDebugTicketPayload(payload) {
-  const serialNumber = normalizeDebugSerial(payload && payload.serial_number);
-  const failureSignature = normalizeText(payload && payload.failure_signature);
-  if (!serialNumber || !failureSignature) {
-    throw new Error('serial_number and failure_signature are required');
+function normalizeCalibrationShipmentPayload(payload) {
+  const vendor = String((payload && payload.vendor) || '').trim().replace(/\s+/g, ' ');
+  if (!vendor) {
+    throw new Error('vendor is required');
   }
 
-  const departmentId = Number(payload && payload.department_id);
-  const benchTime = Number(payload && payload.total_bench_time);
+  const assetIds = Array.from(new Set((Array.isArray(payload && payload.asset_ids) ? payload.asset_ids : [])
+    .map(normalizeNumericId)
+    .filter(Boolean)));
+  if (!assetIds.length) {
+    throw new Error('asset_ids must list at least one calibration asset');
+  }
+
+  const shippedAt = normalizeDate(payload && payload.shipped_at) || normalizeDate(new Date());
+  const expectedReturnDate = normalizeDate(payload && payload.expected_return_date);
+  if (expectedReturnDate && expectedReturnDate < shippedAt) {
+    throw new Error('expected_return_date must be on or after shipped_at');
+  }
 
   return {
-    serial_number: serialNumber,
-    model_rev: normalizeText(payload && payload.model_rev),
-    failure_signature: failureSignature,
-    technician_id: normalizeText(payload && payload.technician_id),
-    department_id: Number.isInteger(departmentId) && departmentId > 0 ? departmentId : null,
-    status: normalizeFailureStatus(payload && payload.status),
-    total_bench_time: Number.isFinite(benchTime) && benchTime >= 0 ? benchTime : 0,
-    verification_pass: normalizeText(payload && payload.verification_pass),
+    vendor,
+    asset_ids: assetIds,
+    shipped_at: shippedAt,
+    expected_return_date: expectedReturnDate,
+    vendor_reference: normalizeOptionalText(payload && payload.vendor_reference),
+    notes: String((payload && payload.notes) || '').trim() || null,
   };
 }
 
-function normalizeDebugComponentPayload(payload) {
-  const refDesignator = String(payload && payload.ref_designator ? payload.ref_designator : '').trim().toUpperCase();
-  if (!refDesignator) {
-    throw new Error('ref_designator is required');
+function normalizeCalibrationShipmentReceipt(payload) {
+  const receivedAt = normalizeDate(payload && payload.received_at) || normalizeDate(new Date());
+  const entries = Array.isArray(payload && payload.items) ? payload.items : [];
+  if (!entries.length) {
+    throw new Error('items are required');
   }
 
+  const items = entries.map((entry) => {
+    const assetId = normalizeNumericId(entry && entry.asset_id);
+    if (!assetId) {
+      throw new Error('asset_id is required for each returned item');
+    }
+
+    const outcome = String((entry && entry.outcome) || 'calibrated').trim().toLowerCase();
+    if (!CALIBRATION_SHIPMENT_OUTCOMES.includes(outcome)) {
+      throw new Error(`outcome must be one of ${CALIBRATION_SHIPMENT_OUTCOMES.join(', ')}`);
+    }
+
+    const notes = String((entry && entry.notes) || '').trim() || null;
+    if (outcome === 'rejected') {
+      if (!notes) {
+        throw new Error('notes are required when the vendor rejects an asset');
+      }
+      return { asset_id: assetId, outcome, notes, vendor_cal_date: null, as_found_result: null, certificate_path: null };
+    }
+
+    const vendorCalDate = normalizeDate(entry && entry.vendor_cal_date);
+    if (!vendorCalDate) {
+      throw new Error('vendor_cal_date is required for calibrated assets');
+    }
+    if (vendorCalDate > receivedAt) {
+      throw new Error('vendor_cal_date must be on or before received_at');
+    }
+
+    if (!String((entry && entry.certificate_path) || '').trim()) {
+      throw new Error('certificate_path is required for calibrated assets');
+    }
+    const certificatePath = normalizeAttachmentPath(entry.certificate_path);
+    if (!certificatePath) {
+      throw new Error('certificate_path must be an uploaded calibration attachment');
+    }
+    if (!/\.pdf$/i.test(certificatePath)) {
+      throw new Error('certificate_path must be a PDF');
+    }
+
+    const asFoundResult = String((entry && entry.as_found_result) || 'pass').trim().toLowerCase();
+    if (asFoundResult !== 'pass' && asFoundResult !== 'fail') {
+      throw new Error('as_found_result must be pass or fail');
+    }
+
+    return {
+      asset_id: assetId,
+      outcome,
+      notes,
+      vendor_cal_date: vendorCalDate,
+      as_found_result: asFoundResult,
+      certificate_path: certificatePath,
+    };
+  });
+
+  return { received_at: receivedAt, items };
+}
+
+function formatCalibrationShipmentItem(item, shipment) {
+  const payload = item && typeof item.toJSON === 'function' ? item.toJSON() : (item || {});
+  const asset = payload.asset || null;
+  const returned = payload.status !== 'out';
+  const returnDays = shipment.status === 'shipped' && !returned ? daysUntil(shipment.expected_return_date) : null;
   return {
-    ref_designator: refDesignator,
-    component_type: normalizeText(payload && payload.component_type),
-    failure_mode: normalizeText(payload && payload.failure_mode),
-    lot_code: normalizeText(payload && payload.lot_code),
+    id: payload.id,
+    asset_id: payload.asset_id,
+    tool_name: asset ? asset.tool_name : null,
+    serial_number: asset ? asset.serial_number : null,
+    status: payload.status,
+    received_at: payload.received_at || null,
+    received_by: payload.received_by || null,
+    vendor_cal_date: payload.vendor_cal_date || null,
+    as_found_result: payload.as_found_result || null,
+    certificate_path: payload.certificate_path || null,
+    record_id: payload.record_id || null,
+    notes: payload.notes || null,
+    turnaround_days: returned ? daysBetween(shipment.shipped_at, payload.received_at) : null,
+    returned_late: Boolean(returned && shipment.expected_return_date && payload.received_at > shipment.expected_return_date),
+    overdue: typeof returnDays === 'number' && returnDays < 0,
   };
 }
 
-function formatDebugComponent(component) {
-  const payload = component && typeof component.toJSON === 'function' ? component.toJSON() : (component || {});
+function formatCalibrationShipment(shipment) {
+  const payload = shipment && typeof shipment.toJSON === 'function' ? shipment.toJSON() : (shipment || {});
+  const items = (Array.isArray(payload.items) ? payload.items : [])
+    .map((item) => formatCalibrationShipmentItem(item, payload))
+    .sort((left, right) => left.id - right.id);
   return {
     id: payload.id,
-    ticket_id: payload.ticket_id,
-    ref_designator: payload.ref_designator,
-    component_type: payload.component_type || '',
-    failure_mode: payload.failure_mode || '',
-    lot_code: payload.lot_code || '',
+    shipment_number: payload.shipment_number,
+    vendor: payload.vendor,
+    vendor_reference: payload.vendor_reference || null,
+    status: payload.status,
+    shipped_at: payload.shipped_at,
+    expected_return_date: payload.expected_return_date || null,
+    received_at: payload.received_at || null,
+    notes: payload.notes || null,
     created_at: payload.created_at || null,
+    created_by: payload.created_by || null,
+    items,
+    out_count: items.filter((item) => item.status === 'out').length,
+    overdue: items.some((item) => item.overdue),
   };
 }
 
-function getWeekStartIso(value) {
-  const parsed = new Date(value);
-  if (Number.isNaN(parsed.getTime())) return null;
-  const day = (parsed.getUTCDay() + 6) % 7;
-  parsed.setUTCHours(0, 0, 0, 0);
-  parsed.setUTCDate(parsed.getUTCDate() - day);
-  return parsed.toISOString().slice(0, 10);
+function buildVendorPerformance(shipments) {
+  const vendors = new Map();
+  shipments.forEach((shipment) => {
+    const key = shipment.vendor.toLowerCase();
+    if (!vendors.has(key)) {
+      vendors.set(key, {
+        vendor: shipment.vendor,
+        shipments: 0,
+        items_sent: 0,
+        items_returned: 0,
+        items_out: 0,
+        turnaround_total: 0,
+        late_returns: 0,
+        overdue_items: 0,
+        rejected: 0,
+      });
+    }
+    const entry = vendors.get(key);
+    entry.shipments += 1;
+    shipment.items.forEach((item) => {
+      entry.items_sent += 1;
+      if (item.status === 'out') {
+        entry.items_out += 1;
+        if (item.overdue) entry.overdue_items += 1;
+        return;
+      }
+      entry.items_returned += 1;
+      entry.turnaround_total += item.turnaround_days || 0;
+      if (item.returned_late) entry.late_returns += 1;
+      if (item.status === 'rejected') entry.rejected += 1;
+    });
+  });
+
+  return Array.from(vendors.values())
+    .map(({ turnaround_total: turnaroundTotal, ...entry }) => ({
+      ...entry,
+      average_turnaround_days: entry.items_returned ? Math.round((turnaroundTotal / entry.items_returned) * 10) / 10 : null,
+      rejection_rate: entry.items_returned ? Math.round((entry.rejected / entry.items_returned) * 1000) / 10 : null,
+    }))
+    .sort((left, right) => left.vendor.localeCompare(right.vendor));
 }
 
-function buildLogActor(req) {
+function buildAssetFallbackTemplate(asset) {
   return {
-    actor_id: req.user && req.user.id ? req.user.id : null,
-    actor_name: req.user && (req.user.display_name || req.user.username) ? (req.user.display_name || req.user.username) : 'System',
+    category: asset.category,
+    cal_interval_days: normalizePositiveInteger(asset.cal_frequency, DEFAULT_INTERVAL_DAYS),
+    interval_mode: DEFAULT_INTERVAL_MODE,
+    interval_months: DEFAULT_INTERVAL_MONTHS,
+    interval_days: normalizePositiveInteger(asset.cal_frequency, DEFAULT_INTERVAL_DAYS),
+    max_daily_calibrations: DEFAULT_MAX_DAILY_CALIBRATIONS,
+    allowed_days: DEFAULT_ALLOWED_DAYS,
   };
 }
 
-function createCommandCenterController({ hazmatDb, gagesDb, debugDb, paths, calibrationAttachmentUpload, hazmatSdsUpload, casService }) {
-  const {
-    Material,
-    CasThresholdDefault,
-    SdsDocument,
-    Manufacturer,
-    UsageLog,
-    HazmatTemplate,
-    CommandLog: HazmatLog,
-    sequelize: hazmatSequelize,
-  } = hazmatDb;
-  const {
-    Department,
-    CalibrationTemplate,
-    CalibrationAsset,
-    CommandLog: GageLog,
-    sequelize: gagesSequelize,
-  } = gagesDb;
-  const {
-    FailureTicket,
-    FaultyComponent,
-    DebugTicketHistory,
-    CommandLog: DebugLog,
-    sequelize: debugSequelize,
-  } = debugDb || {};
+// Approved interval adjustments are stored per asset and replace the template interval while the policy stays on.
+function buildAssetScheduleTemplate(asset, template) {
+  const source = template || buildAssetFallbackTemplate(asset);
+  const payload = typeof source.toJSON === 'function' ? source.toJSON() : source;
+  const overrideDays = normalizePositiveInteger(asset && asset.interval_override_days, null);
+  if (!overrideDays || !normalizeIntervalAdjustmentPolicy(payload).enabled) return source;
+  return {
+    ...payload,
+    interval_mode: 'days',
+    interval_days: overrideDays,
+    cal_interval_days: overrideDays,
+  };
+}
 
-  function runSingleUpload(uploadHandler, req, res) {
-    return new Promise((resolve, reject) => {
-      if (!uploadHandler || typeof uploadHandler.single !== 'function') {
-        return reject(new Error('upload handler is not configured'));
-      }
+function formatCalibrationIntervalProposal(proposal) {
+  const payload = proposal && typeof proposal.toJSON === 'function' ? proposal.toJSON() : (proposal || {});
+  const asset = payload.asset || {};
+  return {
+    id: payload.id,
+    asset_id: payload.asset_id,
+    tool_name: asset.tool_name || null,
+    serial_number: asset.serial_number || null,
+    assigned_department: asset.assigned_department || null,
+    template_id: payload.template_id || null,
+    record_id: payload.record_id || null,
+    direction: payload.direction,
+    current_interval_days: payload.current_interval_days,
+    proposed_interval_days: payload.proposed_interval_days,
+    consecutive_passes: payload.consecutive_passes,
+    basis: payload.basis || null,
+    status: payload.status,
+    proposed_at: payload.proposed_at,
+    proposed_by: payload.proposed_by || null,
+    decided_at: payload.decided_at || null,
+    decided_by: payload.decided_by || null,
+    decision_notes: payload.decision_notes || null,
+  };
+}
 
-      uploadHandler.single('file')(req, res, (error) => {
-        if (error) return reject(error);
-        return resolve(req.file || null);
-      });
-    });
-  }
+function buildReorderItemKey(material) {
+  const payload = material && typeof material.toJSON === 'function' ? material.toJSON() : (material || {});
+  const identity = normalizeCasNumber(payload.cas_number) || String(payload.name || '').trim().toLowerCase();
+  return `${identity}|${normalizeManufacturerKey(payload.manufacturer)}`;
+}
 
-  function buildRelativeUploadPath(folderName, fileName) {
-    const safeFolder = String(folderName || '').replace(/^\/+|\/+$/g, '');
-    const safeFile = encodeURIComponent(String(fileName || '').trim());
-    return `/uploads/${safeFolder}/${safeFile}`;
-  }
+function buildReorderSuggestions(materials, options = {}) {
+  const windowDays = options.windowDays || REORDER_DEFAULT_WINDOW_DAYS;
+  const consumedByMaterial = options.consumedByMaterial instanceof Map ? options.consumedByMaterial : new Map();
+  const pendingByItem = options.pendingByItem instanceof Map ? options.pendingByItem : new Map();
+  const groups = new Map();
 
-  async function recordHazmatLog(req, payload, transaction) {
-    const actor = buildLogActor(req);
-    await HazmatLog.create({
-      ...payload,
-      ...actor,
-      timestamp: new Date().toISOString(),
-    }, { transaction });
+  materials.forEach((material) => {
+    const key = buildReorderItemKey(material);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(material);
+  });
+
+  return Array.from(groups.entries()).map(([key, members]) => {
+    const latest = members.reduce((best, member) => (Number(member.id) > Number(best.id) ? member : best), members[0]);
+    const stockLevel = roundQuantity(members.reduce((sum, member) => sum + normalizeNumber(member.stock_level), 0));
+    const threshold = members.reduce((max, member) => Math.max(max, normalizeNumber(member.effective_min_threshold)), 0);
+    const consumed = roundQuantity(members.reduce((sum, member) => sum + normalizeNumber(consumedByMaterial.get(member.id)), 0));
+    const averageDailyUsage = roundQuantity(consumed / windowDays);
+    const projectedStock = roundQuantity(stockLevel - consumed);
+    const pending = pendingByItem.get(key) || { quantity: 0, request_ids: [] };
+    const target = threshold + consumed;
+    const suggested = Math.max(0, Math.ceil((target - stockLevel - pending.quantity) * 100) / 100);
+    const belowThreshold = stockLevel <= threshold;
+
+    return {
+      item_key: key,
+      material_id: latest.id,
+      material_ids: members.map((member) => member.id),
+      name: latest.name,
+      cas_number: latest.cas_number || null,
+      manufacturer: latest.manufacturer || null,
+      assigned_department: latest.assigned_department,
+      unit: latest.container_size ? latest.container_size.unit : null,
+      stock_level: stockLevel,
+      min_threshold: threshold,
+      consumed_quantity: consumed,
+      average_daily_usage: averageDailyUsage,
+      days_of_cover: averageDailyUsage > 0 ? Math.floor(stockLevel / averageDailyUsage) : null,
+      projected_stock: projectedStock,
+      below_threshold: belowThreshold,
+      pending_quantity: roundQuantity(pending.quantity),
+      open_purchase_request_ids: pending.request_ids,
+      suggested_quantity: suggested,
+      needs_reorder: suggested > 0 && (belowThreshold || projectedStock <= threshold),
+    };
+  }).sort((left, right) => (
+    Number(right.needs_reorder) - Number(left.needs_reorder)
+    || String(left.manufacturer || '').localeCompare(String(right.manufacturer || ''))
+    || String(left.name || '').localeCompare(String(right.name || ''))
+  ));
+}
+
+function normalizePurchaseRequestPayload(payload) {
+  const source = payload || {};
+  const rawLines = Array.isArray(source.lines) ? source.lines : [];
+  if (!rawLines.length) {
+    throw new Error('at least one line is required');
   }
 
-  async function recordGageLog(req, payload, transaction) {
-    const actor = buildLogActor(req);
-    await GageLog.create({
-      ...payload,
-      ...actor,
-      timestamp: new Date().toISOString(),
-    }, { transaction });
+  const merged = new Map();
+  rawLines.forEach((line, index) => {
+    const materialId = normalizeNumericId(line && line.material_id);
+    if (!materialId) {
+      throw new Error(`line ${index + 1} material_id is required`);
+    }
+    const quantity = normalizeNumber(line && line.quantity, NaN);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new Error(`line ${index + 1} quantity must be greater than zero`);
+    }
+    merged.set(materialId, roundQuantity((merged.get(materialId) || 0) + quantity));
+  });
+
+  return {
+    manufacturer_id: normalizeNumericId(source.manufacturer_id) || null,
+    manufacturer: normalizeManufacturer(source.manufacturer),
+    lines: Array.from(merged.entries()).map(([materialId, quantity]) => ({ material_id: materialId, quantity })),
+    notes: normalizeOptionalText(source.notes),
+  };
+}
+
+function normalizePurchaseReceiptPayload(payload) {
+  const rawLines = Array.isArray(payload && payload.lines) ? payload.lines : [];
+  const overrides = new Map();
+  rawLines.forEach((line, index) => {
+    const materialId = normalizeNumericId(line && line.material_id);
+    if (!materialId) return;
+
+    const override = {};
+    if (line.quantity !== undefined && line.quantity !== null && line.quantity !== '') {
+      const quantity = normalizeNumber(line.quantity, NaN);
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        throw new Error(`line ${index + 1} quantity must be greater than zero`);
+      }
+      override.quantity = quantity;
+    }
+    if (line.expiration_date) {
+      const expirationDate = normalizeDate(line.expiration_date);
+      if (!expirationDate) {
+        throw new Error(`line ${index + 1} expiration_date format is invalid`);
+      }
+      override.expiration_date = expirationDate;
+    }
+    overrides.set(materialId, override);
+  });
+
+  return { overrides };
+}
+
+function formatPurchaseRequest(request) {
+  const payload = request && typeof request.toJSON === 'function' ? request.toJSON() : (request || {});
+  const lines = parseJsonList(payload.lines);
+  return {
+    id: payload.id,
+    manufacturer_id: payload.manufacturer_id || null,
+    manufacturer: payload.manufacturer,
+    status: payload.status,
+    lines,
+    total_quantity: roundQuantity(lines.reduce((sum, line) => sum + normalizeNumber(line.quantity), 0)),
+    notes: payload.notes || null,
+    order_reference: payload.order_reference || null,
+    requested_at: payload.requested_at,
+    requested_by: payload.requested_by || null,
+    ordered_at: payload.ordered_at || null,
+    ordered_by: payload.ordered_by || null,
+    received_at: payload.received_at || null,
+    received_by: payload.received_by || null,
+    cancelled_at: payload.cancelled_at || null,
+  };
+}
+
+function normalizeWasteContainerPayload(payload) {
+  const source = payload || {};
+  const wasteStream = normalizeOptionalText(source.waste_stream);
+  if (!wasteStream) {
+    throw new Error('waste_stream is required');
   }
 
-  async function recordDebugLog(req, payload, transaction) {
-    if (!DebugLog) return;
-    const actor = buildLogActor(req);
-    await DebugLog.create({
-      ...payload,
-      ...actor,
-      timestamp: new Date().toISOString(),
-    }, { transaction });
+  const storageAreaId = normalizeOptionalText(source.storage_area_id);
+  if (!storageAreaId) {
+    throw new Error('storage_area_id is required');
   }
 
-  async function recordDebugTimeline(payload, transaction) {
-    if (!DebugTicketHistory) return null;
-    return DebugTicketHistory.create(payload, { transaction });
+  const hazardClass = normalizeHazardClassKey(source.hazard_class);
+  if (normalizeOptionalText(source.hazard_class) && !hazardClass) {
+    throw new Error('hazard_class is invalid');
   }
 
-  async function getCasThresholdLookupMap(transaction) {
-    if (!CasThresholdDefault) return new Map();
+  const hasLimit = source.accumulation_limit_days !== undefined && source.accumulation_limit_days !== null && source.accumulation_limit_days !== '';
+  const limitDays = hasLimit ? Number(source.accumulation_limit_days) : WASTE_ACCUMULATION_DEFAULT_DAYS;
+  if (!Number.isInteger(limitDays) || limitDays <= 0 || limitDays > WASTE_ACCUMULATION_MAX_DAYS) {
+    throw new Error(`accumulation_limit_days must be between 1 and ${WASTE_ACCUMULATION_MAX_DAYS}`);
+  }
 
-    const rows = await CasThresholdDefault.findAll({
-      attributes: ['cas_number', 'min_threshold'],
-      order: [['cas_number', 'ASC']],
-      transaction,
-    });
+  return {
+    waste_stream: wasteStream,
+    hazard_class: hazardClass,
+    storage_map_id: normalizeOptionalText(source.storage_map_id),
+    storage_area_id: storageAreaId,
+    accumulation_limit_days: limitDays,
+    notes: normalizeOptionalText(source.notes),
+  };
+}
 
-    const lookup = new Map();
-    rows.forEach((row) => {
-      const payload = row && typeof row.toJSON === 'function' ? row.toJSON() : row;
-      const casNumber = normalizeCasNumber(payload && payload.cas_number);
-      if (!casNumber) return;
-      lookup.set(casNumber, normalizeNumber(payload.min_threshold));
-    });
+function normalizeWasteTransferPayload(payload) {
+  const source = payload || {};
+  const materialId = normalizeNumericId(source.material_id);
+  if (!materialId) {
+    throw new Error('material_id is required');
+  }
 
-    return lookup;
+  const reason = String(source.reason || '').trim().toLowerCase();
+  if (!WASTE_REASONS.has(reason)) {
+    throw new Error(`reason must be one of ${Array.from(WASTE_REASONS).join(', ')}`);
   }
 
-  async function getCasThresholdValue(casNumber, transaction) {
-    const normalized = normalizeCasNumber(casNumber);
-    if (!normalized || !CasThresholdDefault) return 0;
+  const containerIds = (Array.isArray(source.container_ids) ? source.container_ids : [])
+    .map(normalizeNumericId)
+    .filter(Boolean);
+  return {
+    material_id: materialId,
+    container_ids: Array.from(new Set(containerIds)),
+    reason,
+  };
+}
 
-    const row = await CasThresholdDefault.findOne({
-      attributes: ['cas_number', 'min_threshold'],
-      where: { cas_number: normalized },
-      transaction,
-    });
-    return normalizeNumber(row && row.min_threshold);
+function formatWasteContainer(container, options = {}) {
+  const payload = container && typeof container.toJSON === 'function' ? container.toJSON() : (container || {});
+  const areaIndex = options.storageAreas instanceof Map ? options.storageAreas : new Map();
+  const area = areaIndex.get(`${payload.storage_map_id || ''}::${payload.storage_area_id}`);
+  const items = parseJsonList(payload.items);
+  const limitDays = normalizePositiveLimit(payload.accumulation_limit_days, WASTE_ACCUMULATION_DEFAULT_DAYS, WASTE_ACCUMULATION_MAX_DAYS);
+  const startDate = normalizeDate(payload.accumulation_start_date);
+  const deadline = startDate ? addDays(startDate, limitDays) : null;
+  const daysRemaining = deadline && payload.status === 'accumulating' ? daysUntil(deadline) : null;
+
+  let accumulationStatus = payload.status;
+  if (payload.status === 'accumulating') {
+    if (!startDate) accumulationStatus = 'empty';
+    else if (daysRemaining < 0) accumulationStatus = 'overdue';
+    else if (daysRemaining <= WASTE_DUE_SOON_DAYS) accumulationStatus = 'due_soon';
+    else accumulationStatus = 'ok';
   }
 
-  async function resolveManufacturerRecordForSds(value, transaction, options = {}) {
-    const source = value && typeof value === 'object'
-      ? value
-      : { manufacturer: value };
-    const requireExisting = options.requireExisting !== false;
-    const allowCreate = Boolean(options.allowCreate);
-
-    if (!Manufacturer) {
-      if (requireExisting) {
-        throw new Error('manufacturer catalog is unavailable');
-      }
-      return null;
-    }
+  return {
+    id: payload.id,
+    container_label: payload.container_label,
+    waste_stream: payload.waste_stream,
+    hazard_class: payload.hazard_class || null,
+    storage_map_id: payload.storage_map_id || null,
+    storage_area_id: payload.storage_area_id,
+    map_name: area ? area.map_name : null,
+    area_name: area ? area.area_name : payload.storage_area_id,
+    status: payload.status,
+    accumulation_start_date: startDate,
+    accumulation_limit_days: limitDays,
+    accumulation_deadline: deadline,
+    days_remaining: daysRemaining,
+    accumulation_status: accumulationStatus,
+    items,
+    item_count: items.length,
+    total_mass_kg: roundQuantity(items.reduce((sum, item) => sum + normalizeNumber(item.mass_kg), 0)),
+    total_volume_l: roundQuantity(items.reduce((sum, item) => sum + normalizeNumber(item.volume_l), 0)),
+    notes: payload.notes || null,
+    manifest_number: payload.manifest_number || null,
+    disposal_reference: payload.disposal_reference || null,
+    created_at: payload.created_at,
+    created_by: payload.created_by || null,
+    manifested_at: payload.manifested_at || null,
+    manifested_by: payload.manifested_by || null,
+    disposed_at: payload.disposed_at || null,
+    disposed_by: payload.disposed_by || null,
+  };
+}
 
-    const manufacturerId = normalizeNumericId(source && (source.manufacturer_id || source.id));
-    if (manufacturerId) {
-      const byId = await Manufacturer.findByPk(manufacturerId, { transaction });
-      if (byId) return byId;
-      if (requireExisting) {
-        throw new Error('manufacturer not found');
+function buildWasteManifest(manifestNumber, containers, options = {}) {
+  const formatted = containers.map((container) => formatWasteContainer(container, options));
+  const lines = new Map();
+
+  formatted.forEach((container) => {
+    container.items.forEach((item) => {
+      const key = item.cas_number || `name:${String(item.material_name || '').trim().toLowerCase()}`;
+      if (!lines.has(key)) {
+        lines.set(key, {
+          cas_number: item.cas_number || null,
+          names: [],
+          hazard_classes: [],
+          quantity: 0,
+          mass_kg: 0,
+          volume_l: 0,
+          unmeasured_count: 0,
+          container_labels: [],
+        });
       }
-      return null;
-    }
+      const line = lines.get(key);
+      if (item.material_name && !line.names.includes(item.material_name)) line.names.push(item.material_name);
+      if (item.hazard_class && !line.hazard_classes.includes(item.hazard_class)) line.hazard_classes.push(item.hazard_class);
+      if (!line.container_labels.includes(container.container_label)) line.container_labels.push(container.container_label);
+      line.quantity = roundQuantity(line.quantity + normalizeNumber(item.quantity));
+      line.mass_kg = roundQuantity(line.mass_kg + normalizeNumber(item.mass_kg));
+      line.volume_l = roundQuantity(line.volume_l + normalizeNumber(item.volume_l));
+      if (item.measured === false) line.unmeasured_count += 1;
+    });
+  });
 
-    const manufacturerName = normalizeManufacturer(source && (source.manufacturer || source.name || source.manufacturer_name));
-    if (!manufacturerName) {
-      return null;
-    }
+  const sortedLines = Array.from(lines.values()).sort((left, right) => {
+    if (Boolean(left.cas_number) !== Boolean(right.cas_number)) return left.cas_number ? -1 : 1;
+    return String(left.cas_number || left.names[0] || '').localeCompare(String(right.cas_number || right.names[0] || ''));
+  });
+  const first = formatted[0] || {};
+  return {
+    manifest_number: manifestNumber,
+    manifested_at: first.manifested_at || null,
+    manifested_by: first.manifested_by || null,
+    generated_at: new Date().toISOString(),
+    containers: formatted.map((container) => ({
+      id: container.id,
+      container_label: container.container_label,
+      waste_stream: container.waste_stream,
+      hazard_class: container.hazard_class,
+      map_name: container.map_name,
+      area_name: container.area_name,
+      accumulation_start_date: container.accumulation_start_date,
+      status: container.status,
+      item_count: container.item_count,
+    })),
+    lines: sortedLines,
+    totals: {
+      mass_kg: roundQuantity(sortedLines.reduce((sum, line) => sum + line.mass_kg, 0)),
+      volume_l: roundQuantity(sortedLines.reduce((sum, line) => sum + line.volume_l, 0)),
+      unmeasured_count: sortedLines.reduce((sum, line) => sum + line.unmeasured_count, 0),
+    },
+  };
+}
 
-    const existing = await findManufacturerByName(manufacturerName, transaction);
-    if (existing) return existing;
+function isArchivedListRequest(req) {
+  const value = String((req.query && req.query.archived) || '').trim().toLowerCase();
+  return value === 'true' || value === '1' || value === 'only';
+}
 
-    if (allowCreate) {
-      return Manufacturer.create({ name: manufacturerName }, { transaction });
-    }
+function readArchiveReason(req) {
+  const reason = normalizeOptionalText((req.body && req.body.reason) || (req.query && req.query.reason));
+  if (!reason) {
+    throw new Error('reason is required');
+  }
+  return reason;
+}
 
-    if (requireExisting) {
-      throw new Error('manufacturer not found');
-    }
+function formatArchiveState(payload) {
+  return {
+    archived: Boolean(payload.archived_at),
+    archived_at: payload.archived_at || null,
+    archive_reason: payload.archive_reason || null,
+    archived_by: payload.archived_by || null,
+  };
+}
 
-    return null;
+function normalizeCycleCountPayload(payload) {
+  const source = payload || {};
+  const storageAreaId = normalizeOptionalText(source.storage_area_id);
+  const scope = String(source.scope || (storageAreaId ? 'storage_area' : 'department')).trim().toLowerCase();
+  if (!CYCLE_COUNT_SCOPES.includes(scope)) {
+    throw new Error(`scope must be one of ${CYCLE_COUNT_SCOPES.join(', ')}`);
   }
 
-  async function findSdsDocumentByCasManufacturer(casNumber, manufacturer, transaction) {
-    const normalizedCas = normalizeCasNumber(casNumber);
-    const manufacturerRecord = await resolveManufacturerRecordForSds(manufacturer, transaction, {
-      requireExisting: false,
-      allowCreate: false,
-    });
-    const normalizedManufacturer = normalizeManufacturer(
-      manufacturerRecord && manufacturerRecord.name
-        ? manufacturerRecord.name
-        : (manufacturer && typeof manufacturer === 'object'
-          ? (manufacturer.manufacturer || manufacturer.name || manufacturer.manufacturer_name)
-          : manufacturer)
-    );
+  if (scope === 'storage_area') {
+    if (!storageAreaId) throw new Error('storage_area_id is required');
+    return {
+      scope,
+      assigned_department: null,
+      storage_map_id: normalizeOptionalText(source.storage_map_id),
+      storage_area_id: storageAreaId,
+      notes: normalizeOptionalText(source.notes),
+    };
+  }
 
-    if (!SdsDocument || !normalizedCas) return null;
+  const department = normalizeOptionalText(source.assigned_department);
+  if (!department) throw new Error('assigned_department is required');
+  return {
+    scope,
+    assigned_department: department.replace(/\s+/g, ' '),
+    storage_map_id: null,
+    storage_area_id: null,
+    notes: normalizeOptionalText(source.notes),
+  };
+}
 
-    const baseQuery = {
-      include: [{
-        model: Manufacturer,
-        as: 'manufacturer_record',
-        required: false,
-      }],
-      order: [['id', 'ASC']],
-      transaction,
-    };
+function normalizeCycleCountEntries(payload) {
+  const source = payload || {};
+  const entries = Array.isArray(source.entries) ? source.entries : [source];
+  const normalized = entries.map((entry) => {
+    const lineNumber = normalizeNumericId(entry && entry.line_number);
+    const code = normalizeLabelId(entry && entry.code);
+    if (!lineNumber && !code) {
+      throw new Error('line_number or code is required');
+    }
 
-    if (manufacturerRecord && normalizeNumericId(manufacturerRecord.id)) {
-      const byId = await SdsDocument.findOne({
-        ...baseQuery,
-        where: {
-          cas_number: normalizedCas,
-          manufacturer_id: normalizeNumericId(manufacturerRecord.id),
-        },
-      });
-      if (byId) return byId;
+    const rawQuantity = entry && entry.found_quantity;
+    const hasQuantity = rawQuantity !== undefined && rawQuantity !== null && rawQuantity !== '';
+    const foundQuantity = hasQuantity ? Number(rawQuantity) : null;
+    if (hasQuantity && (!Number.isFinite(foundQuantity) || foundQuantity < 0)) {
+      throw new Error('found_quantity must be zero or greater');
+    }
+    if (!hasQuantity && !code) {
+      throw new Error('found_quantity is required');
     }
 
-    if (!normalizedManufacturer) return null;
+    return {
+      line_number: lineNumber,
+      code,
+      found_quantity: hasQuantity ? roundQuantity(foundQuantity) : null,
+    };
+  });
 
-    return SdsDocument.findOne({
-      ...baseQuery,
-      where: {
-        cas_number: normalizedCas,
-        [Op.and]: [
-          where(fn('lower', col('manufacturer')), normalizeManufacturerKey(normalizedManufacturer)),
-        ],
-      },
-    });
+  if (!normalized.length) {
+    throw new Error('entries are required');
   }
+  return normalized;
+}
 
-  async function findSdsDocumentById(id, transaction) {
-    const normalizedId = normalizeNumericId(id);
-    if (!SdsDocument || !normalizedId) return null;
-    return SdsDocument.findByPk(normalizedId, {
-      include: [{
-        model: Manufacturer,
-        as: 'manufacturer_record',
-        required: false,
-      }],
-      transaction,
-    });
+function formatCycleCountLine(line) {
+  const expected = normalizeNumber(line.expected_quantity);
+  const counted = line.found_quantity !== null && line.found_quantity !== undefined;
+  const variance = counted ? roundQuantity(normalizeNumber(line.found_quantity) - expected) : null;
+  let varianceStatus = 'uncounted';
+  if (counted) {
+    if (variance === 0) varianceStatus = 'match';
+    else varianceStatus = variance > 0 ? 'over' : 'short';
   }
 
-  async function applySdsRequirementPolicy(payload, transaction) {
-    const normalizedPayload = {
-      ...payload,
-      manufacturer: normalizeManufacturer(payload && payload.manufacturer),
-      sds_not_required: normalizeSdsNotRequired(payload && payload.sds_not_required, true),
-      sds_id: normalizeNumericId(payload && payload.sds_id) || null,
-      sds_file_path: normalizeSdsPath(payload && payload.sds_file_path),
-    };
+  return {
+    ...line,
+    expected_quantity: expected,
+    found_quantity: counted ? normalizeNumber(line.found_quantity) : null,
+    variance,
+    variance_status: varianceStatus,
+  };
+}
 
-    if (normalizedPayload.sds_not_required) {
-      return {
-        ...normalizedPayload,
-        sds_id: null,
-        sds_file_path: null,
-      };
-    }
+function formatCycleCount(count, options = {}) {
+  const payload = count && typeof count.toJSON === 'function' ? count.toJSON() : (count || {});
+  const areaIndex = options.storageAreas instanceof Map ? options.storageAreas : new Map();
+  const area = payload.storage_area_id
+    ? areaIndex.get(`${payload.storage_map_id || ''}::${payload.storage_area_id}`)
+    : null;
+  const lines = parseJsonList(payload.lines).map(formatCycleCountLine);
+  const tally = (status) => lines.filter((line) => line.variance_status === status).length;
+  const countedCount = lines.length - tally('uncounted');
 
-    if (!SdsDocument) {
-      throw new Error('sds catalog is unavailable');
-    }
+  return {
+    id: payload.id,
+    count_number: payload.count_number,
+    scope: payload.scope,
+    assigned_department: payload.assigned_department || null,
+    storage_map_id: payload.storage_map_id || null,
+    storage_area_id: payload.storage_area_id || null,
+    map_name: area ? area.map_name : null,
+    area_name: area ? area.area_name : null,
+    status: payload.status,
+    notes: payload.notes || null,
+    lines,
+    summary: {
+      line_count: lines.length,
+      counted_count: countedCount,
+      uncounted_count: tally('uncounted'),
+      match_count: tally('match'),
+      over_count: tally('over'),
+      short_count: tally('short'),
+      accuracy_pct: countedCount ? Math.round((tally('match') / countedCount) * 1000) / 10 : null,
+    },
+    created_at: payload.created_at,
+    created_by: payload.created_by || null,
+    approved_at: payload.approved_at || null,
+    approved_by: payload.approved_by || null,
+    cancelled_at: payload.cancelled_at || null,
+  };
+}
 
-    if (!normalizedPayload.cas_number) {
-      throw new Error('cas_number is required when SDS is required');
-    }
+function normalizeMaterialTransferPayload(payload) {
+  const source = payload || {};
+  const materialId = normalizeNumericId(source.material_id);
+  if (!materialId) throw new Error('material_id is required');
 
-    if (!normalizedPayload.manufacturer) {
-      throw new Error('manufacturer is required when SDS is required');
-    }
+  const toDepartment = normalizeOptionalText(source.to_department);
+  if (!toDepartment) throw new Error('to_department is required');
 
-    const manufacturerRecord = await resolveManufacturerRecordForSds({
-      manufacturer: normalizedPayload.manufacturer,
-    }, transaction, {
-      requireExisting: true,
-      allowCreate: false,
-    });
+  const quantity = Number(source.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new Error('quantity must be greater than zero');
+  }
 
-    if (!manufacturerRecord || !normalizeNumericId(manufacturerRecord.id)) {
-      throw new Error('manufacturer not found');
-    }
+  return {
+    material_id: materialId,
+    container_id: normalizeNumericId(source.container_id) || null,
+    to_department: toDepartment.replace(/\s+/g, ' '),
+    quantity: roundQuantity(quantity),
+    reason: normalizeOptionalText(source.reason),
+  };
+}
 
-    normalizedPayload.manufacturer = normalizeManufacturer(manufacturerRecord.name);
+function formatMaterialTransfer(transfer, options = {}) {
+  const payload = transfer && typeof transfer.toJSON === 'function' ? transfer.toJSON() : (transfer || {});
+  const materials = options.materials instanceof Map ? options.materials : new Map();
+  const material = materials.get(payload.material_id);
+  const splitMaterial = payload.split_material_id ? materials.get(payload.split_material_id) : null;
 
-    let linkedSds = null;
-    if (normalizedPayload.sds_id) {
-      linkedSds = await findSdsDocumentById(normalizedPayload.sds_id, transaction);
-      if (!linkedSds) {
-        throw new Error('sds_id is invalid');
-      }
-    } else {
-      linkedSds = await findSdsDocumentByCasManufacturer(
-        normalizedPayload.cas_number,
-        {
-          manufacturer_id: manufacturerRecord.id,
-          manufacturer: manufacturerRecord.name,
-        },
-        transaction
-      );
-    }
+  return {
+    id: payload.id,
+    transfer_number: payload.transfer_number,
+    material_id: payload.material_id,
+    material_name: material ? material.name : null,
+    label_id: material ? normalizeLabelId(material.label_id) : null,
+    container_id: payload.container_id || null,
+    split_material_id: payload.split_material_id || null,
+    split_label_id: splitMaterial ? normalizeLabelId(splitMaterial.label_id) : null,
+    from_department: payload.from_department,
+    to_department: payload.to_department,
+    quantity: normalizeNumber(payload.quantity),
+    transfer_type: payload.transfer_type || null,
+    status: payload.status,
+    reason: payload.reason || null,
+    requested_at: payload.requested_at,
+    requested_by: payload.requested_by || null,
+    requested_by_id: payload.requested_by_id || null,
+    decided_at: payload.decided_at || null,
+    decided_by: payload.decided_by || null,
+    decision_notes: payload.decision_notes || null,
+  };
+}
 
-    if (!linkedSds) {
-      throw new Error('sds_id is required when SDS is required');
+function normalizeIncidentMaterials(value) {
+  const seen = new Set();
+  return (Array.isArray(value) ? value : []).map((entry) => {
+    const materialId = normalizeNumericId(entry && typeof entry === 'object' ? entry.material_id : entry);
+    if (!materialId) throw new Error('materials must reference material ids');
+    const rawQuantity = entry && typeof entry === 'object' ? entry.quantity : null;
+    const quantity = rawQuantity === null || rawQuantity === undefined || rawQuantity === '' ? null : Number(rawQuantity);
+    if (quantity !== null && (!Number.isFinite(quantity) || quantity < 0)) {
+      throw new Error('material quantity must be zero or greater');
     }
+    return { material_id: materialId, quantity: quantity === null ? null : roundQuantity(quantity) };
+  }).filter((entry) => {
+    if (seen.has(entry.material_id)) return false;
+    seen.add(entry.material_id);
+    return true;
+  });
+}
 
-    const sdsPayload = linkedSds && typeof linkedSds.toJSON === 'function' ? linkedSds.toJSON() : linkedSds;
-    const sdsCasNumber = normalizeCasNumber(sdsPayload && sdsPayload.cas_number);
-    const sdsManufacturerId = normalizeNumericId(
-      sdsPayload && sdsPayload.manufacturer_id != null
-        ? sdsPayload.manufacturer_id
-        : (sdsPayload && sdsPayload.manufacturer_record && sdsPayload.manufacturer_record.id)
-    );
-    const sdsManufacturerKey = normalizeManufacturerKey(sdsPayload && sdsPayload.manufacturer);
-    const payloadManufacturerKey = normalizeManufacturerKey(normalizedPayload.manufacturer);
+function normalizeIncidentPeople(value) {
+  return (Array.isArray(value) ? value : []).map((entry) => {
+    const source = entry && typeof entry === 'object' ? entry : { name: entry };
+    const name = normalizeOptionalText(source.name);
+    if (!name) throw new Error('people entries require a name');
+    return {
+      name,
+      role: normalizeOptionalText(source.role),
+      notes: normalizeOptionalText(source.notes),
+    };
+  });
+}
 
-    if (sdsCasNumber !== normalizedPayload.cas_number) {
-      throw new Error('sds_id does not match cas_number and manufacturer');
-    }
+function normalizeIncidentActionPayload(payload) {
+  const source = payload || {};
+  const description = normalizeOptionalText(source.description);
+  if (!description) throw new Error('corrective action description is required');
+  const owner = normalizeOptionalText(source.owner);
+  if (!owner) throw new Error('corrective action owner is required');
+  const dueDate = normalizeDate(source.due_date);
+  if (source.due_date && !dueDate) throw new Error('due_date must be a valid date');
+
+  return { description, owner, due_date: dueDate };
+}
 
-    if (sdsManufacturerId) {
-      if (sdsManufacturerId !== normalizeNumericId(manufacturerRecord.id)) {
-        throw new Error('sds_id does not match cas_number and manufacturer');
-      }
-    } else if (sdsManufacturerKey !== payloadManufacturerKey) {
-      throw new Error('sds_id does not match cas_number and manufacturer');
-    }
+function normalizeIncidentPayload(payload) {
+  const source = payload || {};
+  const incidentType = String(source.incident_type || '').trim().toLowerCase();
+  if (!INCIDENT_TYPE_LABELS[incidentType]) {
+    throw new Error(`incident_type must be one of ${Object.keys(INCIDENT_TYPE_LABELS).join(', ')}`);
+  }
+  const title = normalizeOptionalText(source.title);
+  if (!title) throw new Error('title is required');
+  const occurredAt = new Date(source.occurred_at);
+  if (!source.occurred_at || Number.isNaN(occurredAt.getTime())) {
+    throw new Error('occurred_at must be a valid date');
+  }
+  if (occurredAt.getTime() > Date.now() + 60000) {
+    throw new Error('occurred_at must not be in the future');
+  }
 
-    const sdsFilePath = normalizeSdsPath(sdsPayload && sdsPayload.sds_file_path);
-    if (!sdsFilePath) {
-      throw new Error('sds_id is missing an uploaded SDS file');
-    }
+  return {
+    incident_type: incidentType,
+    title,
+    occurred_at: occurredAt.toISOString(),
+    storage_map_id: normalizeOptionalText(source.storage_map_id),
+    storage_area_id: normalizeOptionalText(source.storage_area_id),
+    location_notes: normalizeOptionalText(source.location_notes),
+    description: normalizeOptionalText(source.description),
+    materials: normalizeIncidentMaterials(source.materials),
+    people: normalizeIncidentPeople(source.people),
+  };
+}
 
-    return {
-      ...normalizedPayload,
-      sds_id: normalizeNumericId(sdsPayload.id),
-      sds_file_path: sdsFilePath,
-      manufacturer: normalizeManufacturer(
-        (sdsPayload && sdsPayload.manufacturer_record && sdsPayload.manufacturer_record.name)
-        || sdsPayload.manufacturer
-      ),
-    };
-  }
-  async function resolveDebugImportDepartmentId(payload) {
-    const departmentId = normalizeNumericId(payload && payload.department_id);
-    if (departmentId > 0) {
-      await ensureDepartmentExists(departmentId);
-      return departmentId;
-    }
+function formatIncidentAction(action) {
+  const payload = action && typeof action.toJSON === 'function' ? action.toJSON() : (action || {});
+  const today = new Date().toISOString().slice(0, 10);
+  return {
+    id: payload.id,
+    incident_id: payload.incident_id,
+    description: payload.description,
+    owner: payload.owner,
+    due_date: payload.due_date || null,
+    status: payload.status,
+    overdue: payload.status === 'open' && Boolean(payload.due_date) && payload.due_date < today,
+    created_at: payload.created_at,
+    completed_at: payload.completed_at || null,
+    completed_by: payload.completed_by || null,
+    completion_notes: payload.completion_notes || null,
+  };
+}
 
-    const departmentName = normalizeDepartmentName(payload && payload.department_name);
-    if (!departmentName) return null;
+function formatIncident(incident, options = {}) {
+  const payload = incident && typeof incident.toJSON === 'function' ? incident.toJSON() : (incident || {});
+  const areaIndex = options.storageAreas instanceof Map ? options.storageAreas : new Map();
+  const area = payload.storage_area_id
+    ? areaIndex.get(`${payload.storage_map_id || ''}::${payload.storage_area_id}`)
+    : null;
+  const actions = (Array.isArray(options.actions) ? options.actions : []).map(formatIncidentAction);
+  const materialDetails = options.materialDetails instanceof Map ? options.materialDetails : new Map();
+  const locationLabel = [
+    area ? `${area.map_name} · ${area.area_name}` : payload.storage_area_id,
+    payload.location_notes,
+  ].filter(Boolean).join(' · ');
 
-    const department = await findDepartmentByName(departmentName);
-    return department ? department.id : null;
-  }
+  return {
+    id: payload.id,
+    incident_number: payload.incident_number,
+    incident_type: payload.incident_type,
+    incident_type_label: INCIDENT_TYPE_LABELS[payload.incident_type] || payload.incident_type,
+    title: payload.title,
+    occurred_at: payload.occurred_at,
+    storage_map_id: payload.storage_map_id || null,
+    storage_area_id: payload.storage_area_id || null,
+    map_name: area ? area.map_name : null,
+    area_name: area ? area.area_name : null,
+    location_notes: payload.location_notes || null,
+    location_label: locationLabel || null,
+    description: payload.description || null,
+    materials: parseJsonList(payload.materials).map((entry) => ({
+      material_id: entry.material_id,
+      quantity: entry.quantity === null || entry.quantity === undefined ? null : normalizeNumber(entry.quantity),
+      ...(materialDetails.get(entry.material_id) || {}),
+    })),
+    people: parseJsonList(payload.people),
+    status: payload.status,
+    reported_at: payload.reported_at,
+    reported_by: payload.reported_by || null,
+    closed_at: payload.closed_at || null,
+    closed_by: payload.closed_by || null,
+    corrective_actions: actions,
+    open_action_count: actions.filter((action) => action.status === 'open').length,
+    overdue_action_count: actions.filter((action) => action.overdue).length,
+  };
+}
 
-  async function findMasterTicketBySerial(serialNumber, transaction) {
-    return FailureTicket.findOne({
-      where: { serial_number: serialNumber },
-      order: [
-        ['updated_at', 'DESC'],
-        ['id', 'DESC'],
-      ],
-      transaction,
-    });
+function isDepartmentSupervisor(user, department) {
+  const supervisorUserId = normalizeNumericId(department && department.supervisor_user_id);
+  return Boolean(supervisorUserId && user && normalizeNumericId(user.id) === supervisorUserId);
+}
+
+function findCycleCountLine(lines, entry) {
+  if (entry.line_number) {
+    const line = lines.find((candidate) => candidate.line_number === entry.line_number);
+    if (!line) throw new Error(`line ${entry.line_number} not found on this count`);
+    return line;
   }
 
-  async function isDebugImportDuplicate(ticketId, fingerprintHash, transaction) {
-    if (!DebugTicketHistory || !ticketId || !fingerprintHash) return false;
-    const existing = await DebugTicketHistory.findOne({
-      where: {
-        ticket_id: ticketId,
-        fingerprint_hash: fingerprintHash,
-      },
-      transaction,
-    });
-    return Boolean(existing);
+  const byContainer = lines.find((candidate) => normalizeLabelId(candidate.container_label) === entry.code);
+  if (byContainer) return byContainer;
+
+  const byMaterial = lines.filter((candidate) => normalizeLabelId(candidate.label_id) === entry.code);
+  if (byMaterial.length > 1) {
+    throw new Error(`${entry.code} matches ${byMaterial.length} containers; scan the container label`);
+  }
+  if (!byMaterial.length) {
+    throw new Error(`${entry.code} is not on this count`);
   }
+  return byMaterial[0];
+}
 
-  async function buildDepartmentNameMap(transaction) {
-    const query = {};
-    if (transaction && transaction.sequelize === gagesSequelize) {
-      query.transaction = transaction;
+function buildConsumptionForecast(materials, options = {}) {
+  const windowDays = options.windowDays || FORECAST_DEFAULT_WINDOW_DAYS;
+  const horizonDays = options.horizonDays || FORECAST_DEFAULT_HORIZON_DAYS;
+  const consumedByMaterial = options.consumedByMaterial instanceof Map ? options.consumedByMaterial : new Map();
+  const today = normalizeDate(new Date());
+
+  const items = materials.map((material) => {
+    const stockLevel = normalizeNumber(material.stock_level);
+    const threshold = normalizeNumber(material.effective_min_threshold);
+    const consumed = roundQuantity(normalizeNumber(consumedByMaterial.get(material.id)));
+    const daysSinceReceived = material.received_date ? -daysUntil(material.received_date) : null;
+    const observedDays = Math.max(1, daysSinceReceived !== null && daysSinceReceived >= 0
+      ? Math.min(windowDays, daysSinceReceived)
+      : windowDays);
+    const burnRate = roundQuantity(consumed / observedDays);
+    const daysOfSupply = burnRate > 0 ? Math.floor(stockLevel / burnRate) : null;
+    let daysToThreshold = null;
+    if (stockLevel <= threshold) daysToThreshold = 0;
+    else if (burnRate > 0) daysToThreshold = Math.floor((stockLevel - threshold) / burnRate);
+
+    const expirationDate = material.next_container_expiration || material.expiration_date || null;
+    const daysToExpiration = daysUntil(expirationDate);
+    const limiting = [
+      { event: 'threshold', days: daysToThreshold },
+      { event: 'expiration', days: daysToExpiration },
+    ]
+      .filter((candidate) => candidate.days !== null)
+      .sort((left, right) => left.days - right.days)[0] || null;
+    const expiresBeforeDepletion = stockLevel > 0
+      && daysToExpiration !== null
+      && (daysOfSupply === null || daysToExpiration < daysOfSupply);
+
+    return {
+      material_id: material.id,
+      name: material.name,
+      label_id: material.label_id,
+      assigned_department: material.assigned_department,
+      unit: material.container_size ? material.container_size.unit : null,
+      stock_level: stockLevel,
+      min_threshold: threshold,
+      consumed_quantity: consumed,
+      observed_days: observedDays,
+      burn_rate_per_day: burnRate,
+      days_of_supply: daysOfSupply,
+      depletion_date: daysOfSupply === null ? null : addDays(today, daysOfSupply),
+      days_to_threshold: daysToThreshold,
+      threshold_date: daysToThreshold === null ? null : addDays(today, daysToThreshold),
+      expiration_date: expirationDate,
+      days_to_expiration: daysToExpiration,
+      limiting_event: limiting ? limiting.event : null,
+      limiting_date: limiting ? addDays(today, limiting.days) : null,
+      limiting_days: limiting ? limiting.days : null,
+      expires_before_depletion: expiresBeforeDepletion,
+      projected_waste_quantity: expiresBeforeDepletion
+        ? roundQuantity(stockLevel - (burnRate * Math.max(0, daysToExpiration)))
+        : 0,
+      at_risk: Boolean(limiting) && limiting.days <= horizonDays,
+    };
+  }).sort((left, right) => (
+    (left.limiting_days === null ? Infinity : left.limiting_days) - (right.limiting_days === null ? Infinity : right.limiting_days)
+    || String(left.name || '').localeCompare(String(right.name || ''))
+  ));
+
+  const departments = new Map();
+  items.forEach((item) => {
+    const key = item.assigned_department || DEFAULT_DEPARTMENT;
+    if (!departments.has(key)) {
+      departments.set(key, {
+        assigned_department: key,
+        material_count: 0,
+        consuming_material_count: 0,
+        at_risk_count: 0,
+        burn_rate_by_unit: {},
+        next_event: null,
+      });
     }
 
-    const departments = await Department.findAll(query);
-    const byId = new Map();
-    departments.forEach((entry) => {
-      const id = Number(entry.id);
-      if (!Number.isInteger(id) || id <= 0) return;
-      byId.set(id, normalizeDepartmentName(entry.name));
-    });
-    return byId;
-  }
+    const department = departments.get(key);
+    department.material_count += 1;
+    if (item.at_risk) department.at_risk_count += 1;
+    if (item.burn_rate_per_day > 0) {
+      const unit = item.unit || 'units';
+      department.consuming_material_count += 1;
+      department.burn_rate_by_unit[unit] = roundQuantity((department.burn_rate_by_unit[unit] || 0) + item.burn_rate_per_day);
+    }
+    if (item.limiting_date && (!department.next_event || item.limiting_days < department.next_event.days)) {
+      department.next_event = {
+        material_id: item.material_id,
+        name: item.name,
+        event: item.limiting_event,
+        date: item.limiting_date,
+        days: item.limiting_days,
+      };
+    }
+  });
 
-  async function buildChronicFailureCountMap(transaction) {
-    if (!FailureTicket) return new Map();
+  return {
+    materials: items,
+    departments: Array.from(departments.values())
+      .sort((left, right) => right.at_risk_count - left.at_risk_count || left.assigned_department.localeCompare(right.assigned_department)),
+  };
+}
 
-    const cutoff = new Date(Date.now() - (90 * 24 * 60 * 60 * 1000));
-    const rows = await FailureTicket.findAll({
-      attributes: ['serial_number', [fn('COUNT', col('id')), 'failure_count']],
-      where: {
-        created_at: {
-          [Op.gte]: cutoff,
-        },
-      },
-      group: ['serial_number'],
-      raw: true,
-      transaction,
-    });
+function buildStorageCompatibilityReport(materials, storageAreas, options = {}) {
+  const areaIndex = storageAreas instanceof Map ? storageAreas : new Map();
+  const mapId = options.mapId || null;
+  const byArea = new Map();
+  let unassignedCount = 0;
 
-    const map = new Map();
-    rows.forEach((row) => {
-      const serial = normalizeDebugSerial(row.serial_number);
-      if (!serial) return;
-      map.set(serial, Number(row.failure_count) || 0);
-    });
-    return map;
-  }
+  materials.forEach((material) => {
+    if (!material.storage_area_id) {
+      if (material.stock_level > 0) unassignedCount += 1;
+      return;
+    }
+    if (material.stock_level <= 0) return;
+    if (mapId && material.storage_map_id !== mapId) return;
 
-  function formatDebugTicket(ticket, options = {}) {
-    const payload = ticket && typeof ticket.toJSON === 'function' ? ticket.toJSON() : (ticket || {});
-    const serialNumber = normalizeDebugSerial(payload.serial_number);
-    const chronicMap = options.chronicCounts || new Map();
-    const departmentById = options.departmentById || new Map();
-    const chronicCount = Number(chronicMap.get(serialNumber) || 0);
-    const departmentId = Number(payload.department_id);
+    const key = `${material.storage_map_id || ''}::${material.storage_area_id}`;
+    if (!byArea.has(key)) byArea.set(key, []);
+    byArea.get(key).push(material);
+  });
 
+  const areas = Array.from(byArea.entries()).map(([key, areaMaterials]) => {
+    const area = areaIndex.get(key) || null;
+    const evaluation = evaluateAreaCompatibility(areaMaterials);
     return {
-      id: payload.id,
-      serial_number: serialNumber,
-      model_rev: payload.model_rev || '',
-      failure_signature: payload.failure_signature || '',
-      technician_id: payload.technician_id || '',
-      department_id: Number.isInteger(departmentId) && departmentId > 0 ? departmentId : null,
-      department_name: Number.isInteger(departmentId) && departmentId > 0
-        ? (departmentById.get(departmentId) || '')
-        : '',
-      status: normalizeFailureStatus(payload.status),
-      total_bench_time: Number(payload.total_bench_time) || 0,
-      verification_pass: payload.verification_pass || '',
-      chronic_failure: chronicCount > 2,
-      chronic_failure_count_90d: chronicCount,
-      created_at: payload.created_at || null,
-      updated_at: payload.updated_at || null,
-      closed_at: payload.closed_at || null,
-      faulty_components: Array.isArray(payload.faulty_components)
-        ? payload.faulty_components.map(formatDebugComponent)
-        : [],
+      map_id: areaMaterials[0].storage_map_id || null,
+      map_name: area ? area.map_name : null,
+      area_id: areaMaterials[0].storage_area_id,
+      area_name: area ? area.area_name : areaMaterials[0].storage_area_id,
+      area_missing: !area,
+      material_count: areaMaterials.length,
+      materials: areaMaterials.map((material) => ({
+        id: material.id,
+        name: material.name,
+        label_id: material.label_id,
+        division: material.division,
+        stock_level: material.stock_level,
+      })),
+      groups: evaluation.groups.map((group) => ({ id: group, label: STORAGE_GROUPS[group] || group })),
+      violations: evaluation.violations,
+      severity: evaluation.severity,
+      status: evaluation.violations.length ? 'violation' : 'compatible',
     };
-  }
+  }).sort((left, right) => (
+    right.violations.length - left.violations.length
+    || String(left.area_name || '').localeCompare(String(right.area_name || ''))
+  ));
 
-  function collectDebugTechnicianRoster(ticket, timelineEntries) {
-    const list = mergeTechnicianValues(
-      ticket && ticket.technician_id,
-      ...(Array.isArray(timelineEntries)
-        ? timelineEntries.map((entry) => entry && entry.technician_list)
-        : [])
-    );
-    return list;
-  }
+  return {
+    areas,
+    violation_count: areas.reduce((total, area) => total + area.violations.length, 0),
+    violating_area_count: areas.filter((area) => area.violations.length).length,
+    unassigned_count: unassignedCount,
+  };
+}
 
-  async function listSystemicIssueAlerts(transaction) {
-    if (!FaultyComponent || !FailureTicket) return [];
+function measureMaterialQuantity(material) {
+  const size = material && material.container_size;
+  const count = normalizeNumber(material && material.stock_level);
+  if (!size || count <= 0) return null;
 
-    const components = await FaultyComponent.findAll({
-      include: [{
-        model: FailureTicket,
-        as: 'ticket',
-        attributes: ['serial_number'],
-        required: true,
-      }],
-      transaction,
-    });
+  if (size.type === 'mass' && size.normalized) {
+    return { mass_kg: roundQuantity((count * size.normalized.value) / 1000), volume_l: 0 };
+  }
+  if (size.type === 'volume' && size.normalized) {
+    return { mass_kg: 0, volume_l: roundQuantity((count * size.normalized.value) / 1000) };
+  }
+  if (size.type === 'industrial' && INDUSTRIAL_CONTAINER_LITRES[size.unit]) {
+    return { mass_kg: 0, volume_l: roundQuantity(count * size.value * INDUSTRIAL_CONTAINER_LITRES[size.unit]) };
+  }
+  return null;
+}
 
-    const refs = new Map();
-    components.forEach((component) => {
-      const payload = component && typeof component.toJSON === 'function' ? component.toJSON() : component;
-      const ref = String(payload && payload.ref_designator ? payload.ref_designator : '').trim().toUpperCase();
-      const serial = normalizeDebugSerial(payload && payload.ticket ? payload.ticket.serial_number : '');
-      if (!ref || !serial) return;
-      if (!refs.has(ref)) refs.set(ref, new Set());
-      refs.get(ref).add(serial);
+function findQuantityLimit(limitsByClass, hazardClass) {
+  return limitsByClass.get(hazardClass) || limitsByClass.get(String(hazardClass).split('.')[0]) || null;
+}
+
+function summarizeClassQuantities(entries, limitsByClass, scope) {
+  const byClass = new Map();
+  entries.forEach((entry) => {
+    if (!byClass.has(entry.hazard_class)) {
+      byClass.set(entry.hazard_class, { hazard_class: entry.hazard_class, mass_kg: 0, volume_l: 0, materials: [] });
+    }
+    const bucket = byClass.get(entry.hazard_class);
+    bucket.mass_kg = roundQuantity(bucket.mass_kg + entry.mass_kg);
+    bucket.volume_l = roundQuantity(bucket.volume_l + entry.volume_l);
+    bucket.materials.push({
+      id: entry.material.id,
+      name: entry.material.name,
+      label_id: entry.material.label_id,
+      mass_kg: entry.mass_kg,
+      volume_l: entry.volume_l,
     });
+  });
 
-    return Array.from(refs.entries())
-      .map(([refDesignator, serials]) => ({
-        ref_designator: refDesignator,
-        affected_boards: serials.size,
-      }))
-      .filter((item) => item.affected_boards >= 5)
-      .sort((left, right) => right.affected_boards - left.affected_boards || left.ref_designator.localeCompare(right.ref_designator))
-      .map((item) => ({
-        ...item,
-        message: `Potential Design Flaw: ${item.ref_designator} failed across ${item.affected_boards} different boards.`,
-      }));
-  }
+  return Array.from(byClass.values()).map((bucket) => {
+    const limit = scope ? findQuantityLimit(limitsByClass, bucket.hazard_class) : null;
+    const maxMass = limit ? limit[`max_${scope}_mass_kg`] : null;
+    const maxVolume = limit ? limit[`max_${scope}_volume_l`] : null;
+    const massExceeded = maxMass !== null && bucket.mass_kg > maxMass;
+    const volumeExceeded = maxVolume !== null && bucket.volume_l > maxVolume;
+    return {
+      hazard_class: bucket.hazard_class,
+      label: limit && limit.hazard_class === bucket.hazard_class ? limit.label : describeHazardClass(bucket.hazard_class),
+      limit_class: limit ? limit.hazard_class : null,
+      material_count: bucket.materials.length,
+      mass_kg: bucket.mass_kg,
+      volume_l: bucket.volume_l,
+      max_mass_kg: maxMass,
+      max_volume_l: maxVolume,
+      mass_utilization: maxMass ? roundQuantity(bucket.mass_kg / maxMass) : null,
+      volume_utilization: maxVolume ? roundQuantity(bucket.volume_l / maxVolume) : null,
+      exceeded: massExceeded || volumeExceeded,
+      materials: bucket.materials,
+    };
+  }).sort((left, right) => Number(right.exceeded) - Number(left.exceeded)
+    || left.hazard_class.localeCompare(right.hazard_class, undefined, { numeric: true }));
+}
 
-  async function buildDebugPatternAlert(failureSignature, transaction) {
-    if (!FailureTicket || !FaultyComponent) return null;
+function buildQuantityAggregation(materials, options = {}) {
+  const limitsByClass = new Map((options.limits || []).map((limit) => [limit.hazard_class, limit]));
+  const areaIndex = options.storageAreas instanceof Map ? options.storageAreas : new Map();
+  const mapId = options.mapId || null;
+  const measured = [];
+  const unmeasured = [];
+  let unclassifiedCount = 0;
+
+  materials.forEach((material) => {
+    if (normalizeNumber(material.stock_level) <= 0) return;
+    const hazardClass = normalizeHazardClassKey(material.division);
+    if (!hazardClass) {
+      unclassifiedCount += 1;
+      return;
+    }
 
-    const normalized = String(failureSignature || '').trim().toLowerCase();
-    if (!normalized) return null;
+    const quantity = measureMaterialQuantity(material);
+    if (!quantity) {
+      unmeasured.push({
+        material_id: material.id,
+        name: material.name,
+        label_id: material.label_id,
+        hazard_class: hazardClass,
+        reason: material.container_size ? `container unit ${material.container_size.unit} cannot be converted` : 'container size is not set',
+      });
+      return;
+    }
+    measured.push({ material, hazard_class: hazardClass, ...quantity });
+  });
 
-    const tickets = await FailureTicket.findAll({
-      where: where(fn('lower', col('failure_signature')), normalized),
-      include: [{
-        model: FaultyComponent,
-        as: 'faulty_components',
-        required: false,
-      }],
-      transaction,
-    });
+  const byArea = new Map();
+  measured.forEach((entry) => {
+    const key = entry.material.storage_area_id
+      ? `${entry.material.storage_map_id || ''}::${entry.material.storage_area_id}`
+      : '';
+    if (mapId && key && entry.material.storage_map_id !== mapId) return;
+    if (!byArea.has(key)) byArea.set(key, []);
+    byArea.get(key).push(entry);
+  });
 
-    const eligible = tickets.filter((ticket) => Array.isArray(ticket.faulty_components) && ticket.faulty_components.length > 0);
-    const total = eligible.length;
-    if (!total) return null;
+  const areas = Array.from(byArea.entries()).map(([key, entries]) => {
+    const first = entries[0].material;
+    const area = key ? areaIndex.get(key) : null;
+    const classes = summarizeClassQuantities(entries, limitsByClass, key ? 'area' : null);
+    return {
+      map_id: key ? (first.storage_map_id || null) : null,
+      map_name: area ? area.map_name : null,
+      area_id: key ? first.storage_area_id : null,
+      area_name: key ? (area ? area.area_name : first.storage_area_id) : 'Unassigned',
+      area_missing: Boolean(key) && !area,
+      classes,
+      exceeded_count: classes.filter((item) => item.exceeded).length,
+    };
+  }).sort((left, right) => (
+    Number(!left.area_id) - Number(!right.area_id)
+    || right.exceeded_count - left.exceeded_count
+    || String(left.area_name).localeCompare(String(right.area_name))
+  ));
+
+  const facilityClasses = summarizeClassQuantities(measured, limitsByClass, 'facility');
+  const facilityExceeded = facilityClasses.filter((item) => item.exceeded).length;
+  return {
+    facility: {
+      classes: facilityClasses,
+      exceeded_count: facilityExceeded,
+    },
+    areas,
+    unmeasured,
+    unclassified_count: unclassifiedCount,
+    exceeded_count: facilityExceeded + areas.reduce((total, area) => total + area.exceeded_count, 0),
+  };
+}
 
-    const referenceCounts = new Map();
-    eligible.forEach((ticket) => {
-      const refs = new Set(ticket.faulty_components
-        .map((component) => String(component.ref_designator || '').trim().toUpperCase())
-        .filter(Boolean));
-      refs.forEach((ref) => {
-        referenceCounts.set(ref, (referenceCounts.get(ref) || 0) + 1);
-      });
-    });
+function normalizeDebugSerial(value) {
+  return String(value || '').trim().toUpperCase();
+}
 
-    const top = Array.from(referenceCounts.entries())
-      .sort((left, right) => right[1] - left[1] || left[0].localeCompare(right[0]))[0];
-    if (!top) return null;
+function normalizeFailureStatus(value) {
+  const normalized = String(value || 'OPEN').trim().toUpperCase();
+  return DEBUG_TICKET_STATUSES.has(normalized) ? normalized : 'OPEN';
+}
 
-    const percentage = Math.round((top[1] / total) * 100);
-    return {
-      signature: failureSignature,
-      ref_designator: top[0],
-      total_cases: total,
-      matched_cases: top[1],
-      percentage,
-      message: `Pattern Alert: ${percentage}% of boards with this symptom were resolved by replacing ${top[0]} based on previous logs.`,
-    };
+function normalizeCompactText(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ');
+}
+
+function normalizeFingerprintToken(value) {
+  return normalizeCompactText(value).toLowerCase();
+}
+
+function splitDelimitedValues(value) {
+  if (Array.isArray(value)) {
+    return value;
   }
 
-  async function buildDebugAnalytics(transaction) {
-    if (!FailureTicket || !FaultyComponent) {
-      return {
-        pareto: [],
-        yield_trends: [],
-        systemic_alerts: [],
-      };
-    }
+  const raw = String(value || '').trim();
+  if (!raw) return [];
+  return raw.split(/[;,|]+/);
+}
 
-    const [tickets, components, systemicAlerts] = await Promise.all([
-      FailureTicket.findAll({ transaction }),
-      FaultyComponent.findAll({ transaction }),
-      listSystemicIssueAlerts(transaction),
-    ]);
+function normalizeTechnicianValues(value) {
+  const unique = new Map();
+  splitDelimitedValues(value)
+    .map((entry) => normalizeCompactText(entry))
+    .filter(Boolean)
+    .forEach((entry) => {
+      const key = entry.toLowerCase();
+      if (!unique.has(key)) {
+        unique.set(key, entry);
+      }
+    });
+  return Array.from(unique.values());
+}
 
-    const componentCounts = new Map();
-    components.forEach((component) => {
-      const ref = String(component.ref_designator || '').trim().toUpperCase();
-      if (!ref) return;
-      componentCounts.set(ref, (componentCounts.get(ref) || 0) + 1);
+function mergeTechnicianValues(...sources) {
+  const unique = new Map();
+  sources.forEach((source) => {
+    normalizeTechnicianValues(source).forEach((entry) => {
+      const key = entry.toLowerCase();
+      if (!unique.has(key)) {
+        unique.set(key, entry);
+      }
     });
+  });
+  return Array.from(unique.values());
+}
 
-    const pareto = Array.from(componentCounts.entries())
-      .map(([refDesignator, failures]) => ({ ref_designator: refDesignator, failures }))
-      .sort((left, right) => right.failures - left.failures || left.ref_designator.localeCompare(right.ref_designator))
-      .slice(0, 5);
+function compactTechnicianText(values, maxLength = 240) {
+  const normalized = normalizeTechnicianValues(values);
+  if (!normalized.length) return '';
 
-    const weekly = new Map();
-    const ensureWeek = (weekStart) => {
-      if (!weekly.has(weekStart)) {
-        weekly.set(weekStart, {
-          week_start: weekStart,
-          boards_received: 0,
-          boards_fixed: 0,
+  const output = [];
+  for (const value of normalized) {
+    const next = output.length ? `${output.join(', ')}, ${value}` : value;
+    if (next.length > maxLength) break;
+    output.push(value);
+  }
+  return output.join(', ');
+}
+
+function normalizeImportStatus(value) {
+  const raw = String(value || '').trim().toUpperCase();
+  if (!raw) return '';
+  return DEBUG_TICKET_STATUSES.has(raw) ? raw : '';
+}
+
+function buildDebugImportNotes(payload) {
+  const noteRows = [
+    ['Failure Notes', payload && (payload.failure_notes || payload.failure_note)],
+    ['Repair Notes', payload && (payload.repair_notes || payload.repair_note || payload.rework_notes)],
+    ['Verification Notes', payload && (payload.verification_notes || payload.verification_note)],
+    ['Comments', payload && (payload.comments || payload.comment)],
+    ['General Notes', payload && payload.notes],
+  ];
+
+  return noteRows
+    .map(([label, value]) => {
+      const normalized = normalizeCompactText(value);
+      return normalized ? `${label}: ${normalized}` : '';
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+function buildDebugImportFingerprint(payload) {
+  const source = [
+    normalizeFingerprintToken(payload && payload.serial_number),
+    normalizeFingerprintToken(payload && payload.failure_signature),
+    normalizeFingerprintToken(payload && payload.note_text),
+    normalizeTechnicianValues(payload && payload.technicians).map((entry) => entry.toLowerCase()).sort().join('|'),
+    normalizeFingerprintToken(payload && payload.source_reference),
+  ].join('::');
+
+  return crypto.createHash('sha1').update(source).digest('hex');
+}
+
+function appendImportVerification(existingValue, importPayload) {
+  const current = normalizeCompactText(existingValue);
+  const noteText = normalizeCompactText(importPayload && importPayload.note_text);
+  const technicians = normalizeTechnicianValues(importPayload && importPayload.technicians);
+  const sourceFile = normalizeCompactText(importPayload && importPayload.source_file);
+
+  const details = [];
+  if (noteText) details.push(noteText);
+  if (technicians.length) details.push(`Technicians: ${technicians.join(', ')}`);
+  if (sourceFile) details.push(`Source: ${sourceFile}`);
+  if (!details.length) return current;
+
+  const block = `[Import ${new Date().toISOString()}] ${details.join(' | ')}`;
+  return current ? `${current}\n\n${block}` : block;
+}
+
+function formatDebugTimelineEntry(entry) {
+  const payload = entry && typeof entry.toJSON === 'function' ? entry.toJSON() : (entry || {});
+  return {
+    id: payload.id,
+    ticket_id: payload.ticket_id,
+    event_type: payload.event_type || '',
+    source_file: payload.source_file || '',
+    source_row_number: Number(payload.source_row_number) || null,
+    source_reference: payload.source_reference || '',
+    technician_list: normalizeTechnicianValues(payload.technician_list),
+    note_text: payload.note_text || '',
+    failure_signature_before: payload.failure_signature_before || '',
+    failure_signature_after: payload.failure_signature_after || '',
+    fingerprint_hash: payload.fingerprint_hash || '',
+    metadata: payload.metadata || {},
+    created_at: payload.created_at || null,
+  };
+}
+
+function normalizeDebugImportPayload(payload, index = 0) {
+  const serialNumber = normalizeDebugSerial(payload && (payload.serial_number || payload.serial || payload.sn || payload.board_serial));
+  const failureSignature = normalizeText(payload && (payload.failure_signature || payload.failure || payload.symptom || payload.issue));
+  if (!serialNumber || !failureSignature) {
+    throw new Error('serial_number and failure_signature are required');
+  }
+
+  const benchTime = Number(payload && (payload.total_bench_time || payload.bench_hours || payload.bench_time));
+  const rowNumber = Number(payload && (payload.source_row_number || payload.row_number || payload.row));
+  const noteText = buildDebugImportNotes(payload || {});
+  const verificationFromRow = normalizeCompactText(payload && payload.verification_pass);
+  const technicians = mergeTechnicianValues(
+    payload && payload.technicians,
+    payload && payload.technician_id,
+    payload && payload.technician,
+    payload && payload.tech,
+    payload && payload.techs,
+    payload && payload.worked_by
+  );
+
+  const normalized = {
+    serial_number: serialNumber,
+    model_rev: normalizeText(payload && payload.model_rev),
+    failure_signature: failureSignature,
+    technician_id: compactTechnicianText(technicians),
+    technicians,
+    department_id: normalizeNumericId(payload && payload.department_id) || null,
+    department_name: normalizeDepartmentName(payload && (payload.department_name || payload.department || payload.dept)),
+    status: normalizeImportStatus(payload && payload.status),
+    total_bench_time: Number.isFinite(benchTime) && benchTime >= 0 ? benchTime : 0,
+    verification_pass: verificationFromRow,
+    note_text: noteText,
+    source_file: normalizeCompactText(payload && (payload.source_file || payload.file_name || payload.filename)),
+    source_row_number: Number.isInteger(rowNumber) && rowNumber > 0 ? rowNumber : (index + 2),
+    source_reference: normalizeText(payload && (payload.source_reference || payload.reference || payload.rma || payload.rma_number || payload.ticket_reference)),
+  };
+
+  normalized.fingerprint_hash = buildDebugImportFingerprint(normalized);
+  return normalized;
+}
+
+function normalizeDebugTicketPayload(payload) {
+  const serialNumber = normalizeDebugSerial(payload && payload.serial_number);
+  const failureSignature = normalizeText(payload && payload.failure_signature);
+  if (!serialNumber || !failureSignature) {
+    throw new Error('serial_number and failure_signature are required');
+  }
+
+  const departmentId = Number(payload && payload.department_id);
+  const benchTime = Number(payload && payload.total_bench_time);
+
+  return {
+    serial_number: serialNumber,
+    model_rev: normalizeText(payload && payload.model_rev),
+    failure_signature: failureSignature,
+    technician_id: normalizeText(payload && payload.technician_id),
+    department_id: Number.isInteger(departmentId) && departmentId > 0 ? departmentId : null,
+    status: normalizeFailureStatus(payload && payload.status),
+    total_bench_time: Number.isFinite(benchTime) && benchTime >= 0 ? benchTime : 0,
+    verification_pass: normalizeText(payload && payload.verification_pass),
+  };
+}
+
+function normalizeDebugComponentPayload(payload) {
+  const refDesignator = String(payload && payload.ref_designator ? payload.ref_designator : '').trim().toUpperCase();
+  if (!refDesignator) {
+    throw new Error('ref_designator is required');
+  }
+
+  return {
+    ref_designator: refDesignator,
+    component_type: normalizeText(payload && payload.component_type),
+    failure_mode: normalizeText(payload && payload.failure_mode),
+    lot_code: normalizeText(payload && payload.lot_code),
+  };
+}
+
+function formatDebugComponent(component) {
+  const payload = component && typeof component.toJSON === 'function' ? component.toJSON() : (component || {});
+  return {
+    id: payload.id,
+    ticket_id: payload.ticket_id,
+    ref_designator: payload.ref_designator,
+    component_type: payload.component_type || '',
+    failure_mode: payload.failure_mode || '',
+    lot_code: payload.lot_code || '',
+    created_at: payload.created_at || null,
+  };
+}
+
+function getWeekStartIso(value) {
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return null;
+  const day = (parsed.getUTCDay() + 6) % 7;
+  parsed.setUTCHours(0, 0, 0, 0);
+  parsed.setUTCDate(parsed.getUTCDate() - day);
+  return parsed.toISOString().slice(0, 10);
+}
+
+function buildLogActor(req) {
+  return {
+    actor_id: req.user && req.user.id ? req.user.id : null,
+    actor_name: req.user && (req.user.display_name || req.user.username) ? (req.user.display_name || req.user.username) : 'System',
+  };
+}
+
+function createCommandCenterController({
+  hazmatDb,
+  gagesDb,
+  debugDb,
+  paths,
+  calibrationAttachmentUpload,
+  hazmatSdsUpload,
+  casService,
+  calibrationNotifier,
+  archiveRetention,
+  certificateService,
+  labelService,
+  incidentReportService,
+  impactAssessmentReportService,
+  publicBaseUrl,
+  mapService,
+}) {
+  const {
+    Material,
+    CasThresholdDefault,
+    SdsDocument,
+    SdsRevision,
+    Manufacturer,
+    UsageLog,
+    MaterialContainer,
+    HazmatTemplate,
+    PurchaseRequest,
+    QuantityLimit,
+    WasteContainer,
+    CycleCount,
+    MaterialTransfer,
+    Incident,
+    IncidentAction,
+    CommandLog: HazmatLog,
+    sequelize: hazmatSequelize,
+  } = hazmatDb;
+  const {
+    Department,
+    CalibrationTemplate,
+    CalibrationAsset,
+    CalibrationCustody,
+    CalibrationRecord,
+    CalibrationImpactReview,
+    CalibrationTechnician,
+    CalibrationBlackout,
+    CalibrationShipment,
+    CalibrationShipmentItem,
+    CalibrationGageStudy,
+    CalibrationIntervalProposal,
+    CommandLog: GageLog,
+    sequelize: gagesSequelize,
+  } = gagesDb;
+  const {
+    FailureTicket,
+    FaultyComponent,
+    DebugTicketHistory,
+    CommandLog: DebugLog,
+    sequelize: debugSequelize,
+  } = debugDb || {};
+
+  async function buildMaterialLabels(materials) {
+    const casRecords = new Map();
+    const labels = [];
+
+    for (const material of materials) {
+      const formatted = formatMaterial(material);
+      const casNumber = normalizeCasNumber(formatted.cas_number);
+      const profile = await buildMaterialHazardProfile(material, casRecords);
+      labels.push({
+        label_id: formatted.label_id,
+        name: formatted.name,
+        cas_number: casNumber,
+        manufacturer: formatted.manufacturer,
+        ghs_symbols: formatted.ghs_symbols,
+        signal_word: profile.signal_word || deriveSignalWord(formatted.ghs_symbols),
+        hazard_statements: normalizeLabelHazardStatements(profile.hazard_statements),
+        expiration_date: formatted.expiration_date,
+        qr_data_url: formatted.label_id ? await QRCode.toDataURL(formatted.label_id, { margin: 0, width: 240 }) : null,
+      });
+    }
+
+    return labels;
+  }
+
+  function runSingleUpload(uploadHandler, req, res) {
+    return new Promise((resolve, reject) => {
+      if (!uploadHandler || typeof uploadHandler.single !== 'function') {
+        return reject(new Error('upload handler is not configured'));
+      }
+
+      uploadHandler.single('file')(req, res, (error) => {
+        if (error) return reject(error);
+        return resolve(req.file || null);
+      });
+    });
+  }
+
+  function buildRelativeUploadPath(folderName, fileName) {
+    const safeFolder = String(folderName || '').replace(/^\/+|\/+$/g, '');
+    const safeFile = encodeURIComponent(String(fileName || '').trim());
+    return `/uploads/${safeFolder}/${safeFile}`;
+  }
+
+  async function recordHazmatLog(req, payload, transaction) {
+    const actor = buildLogActor(req);
+    const scanSessionId = readScanSessionId(req);
+    await HazmatLog.create({
+      ...payload,
+      ...(scanSessionId ? { metadata: { ...(payload.metadata || {}), scan_session_id: scanSessionId } } : {}),
+      ...actor,
+      timestamp: new Date().toISOString(),
+    }, { transaction });
+  }
+
+  async function recordGageLog(req, payload, transaction) {
+    const actor = buildLogActor(req);
+    await GageLog.create({
+      ...payload,
+      ...actor,
+      timestamp: new Date().toISOString(),
+    }, { transaction });
+  }
+
+  async function recordDebugLog(req, payload, transaction) {
+    if (!DebugLog) return;
+    const actor = buildLogActor(req);
+    await DebugLog.create({
+      ...payload,
+      ...actor,
+      timestamp: new Date().toISOString(),
+    }, { transaction });
+  }
+
+  async function recordDebugTimeline(payload, transaction) {
+    if (!DebugTicketHistory) return null;
+    return DebugTicketHistory.create(payload, { transaction });
+  }
+
+  async function getCasThresholdLookupMap(transaction) {
+    if (!CasThresholdDefault) return new Map();
+
+    const rows = await CasThresholdDefault.findAll({
+      attributes: ['cas_number', 'min_threshold'],
+      order: [['cas_number', 'ASC']],
+      transaction,
+    });
+
+    const lookup = new Map();
+    rows.forEach((row) => {
+      const payload = row && typeof row.toJSON === 'function' ? row.toJSON() : row;
+      const casNumber = normalizeCasNumber(payload && payload.cas_number);
+      if (!casNumber) return;
+      lookup.set(casNumber, normalizeNumber(payload.min_threshold));
+    });
+
+    return lookup;
+  }
+
+  async function getMaterialCasThresholdLookup(material, transaction) {
+    const casNumbers = listMaterialCasNumbers(material);
+    const lookup = new Map();
+    if (!casNumbers.length || !CasThresholdDefault) return lookup;
+
+    const rows = await CasThresholdDefault.findAll({
+      attributes: ['cas_number', 'min_threshold'],
+      where: { cas_number: { [Op.in]: casNumbers } },
+      transaction,
+    });
+    rows.forEach((row) => {
+      const casNumber = normalizeCasNumber(row && row.cas_number);
+      if (casNumber) lookup.set(casNumber, normalizeNumber(row.min_threshold));
+    });
+    return lookup;
+  }
+
+  async function buildMaterialHazardProfile(material, casRecordCache = new Map()) {
+    const payload = material && typeof material.toJSON === 'function' ? material.toJSON() : (material || {});
+    const casNumber = normalizeCasNumber(payload.cas_number);
+    const entries = [];
+    if (casNumber) {
+      entries.push({
+        component: { cas_number: casNumber, name: null, concentration_min: null, concentration_max: null, primary: true },
+      });
+    }
+    (Array.isArray(payload.components) ? payload.components : [])
+      .filter((component) => component.cas_number !== casNumber)
+      .forEach((component) => entries.push({ component: { ...component, primary: false } }));
+
+    for (const entry of entries) {
+      const componentCas = entry.component.cas_number;
+      if (!casRecordCache.has(componentCas)) {
+        casRecordCache.set(componentCas, casService && typeof casService.lookup === 'function'
+          ? await casService.lookup(componentCas).catch(() => null)
+          : null);
+      }
+      entry.record = casRecordCache.get(componentCas);
+    }
+
+    return combineMaterialHazardProfile(entries);
+  }
+
+  // Mixture hazard DNA is derived server-side from every component found in the CAS index.
+  async function applyMixtureHazardProfile(payload) {
+    if (!payload.components.length) return payload;
+
+    const profile = await buildMaterialHazardProfile(payload);
+    if (!profile.components.some((component) => component.found)) return payload;
+    return normalizeMaterialPayload({
+      ...payload,
+      ghs_auto_symbols: profile.ghs_auto_symbols,
+    });
+  }
+
+  async function buildNextContainerLabel(material, transaction) {
+    const baseLabel = normalizeLabelId(material && (material.label_id || material.batch_id)) || `MAT${formatIdSerial(material && material.id)}`;
+    const existing = await MaterialContainer.findAll({
+      attributes: ['container_label'],
+      where: { container_label: { [Op.like]: `${baseLabel}-%` } },
+      transaction,
+    });
+    const usedLabels = new Set(existing.map((entry) => normalizeLabelId(entry.container_label)));
+
+    for (let sequence = existing.length + 1; sequence < existing.length + 1000; sequence += 1) {
+      const candidate = `${baseLabel}-${String(sequence).padStart(2, '0')}`;
+      if (!usedLabels.has(candidate)) return candidate;
+    }
+
+    return `${baseLabel}-${Date.now().toString(36).toUpperCase()}`;
+  }
+
+  async function syncMaterialStockFromContainers(material, transaction) {
+    const containers = await MaterialContainer.findAll({
+      where: { material_id: material.id, status: 'active' },
+      transaction,
+    });
+    const stockLevel = roundQuantity(containers.reduce((sum, container) => sum + normalizeNumber(container.remaining_quantity), 0));
+    if (normalizeNumber(material.stock_level) !== stockLevel) {
+      await material.update({ stock_level: stockLevel }, { transaction });
+    }
+    return stockLevel;
+  }
+
+  async function reconcileMaterialContainers(material, transaction) {
+    if (!MaterialContainer || !material) return;
+
+    const containerCount = await MaterialContainer.count({ where: { material_id: material.id }, transaction });
+    const stockLevel = normalizeNumber(material.stock_level);
+    if (!containerCount) {
+      if (stockLevel <= 0) return;
+      await MaterialContainer.create({
+        material_id: material.id,
+        container_label: await buildNextContainerLabel(material, transaction),
+        lot_number: material.batch_id,
+        received_date: material.received_date || null,
+        expiration_date: material.expiration_date || null,
+        initial_quantity: stockLevel,
+        remaining_quantity: stockLevel,
+        status: 'active',
+      }, { transaction });
+      return;
+    }
+
+    await syncMaterialStockFromContainers(material, transaction);
+  }
+
+  // Container-tracked stock only moves through usage, transfers and cycle counts, which all leave a usage trail.
+  async function assertStockLevelUnchanged(material, source, transaction) {
+    if (!MaterialContainer || !material || !Object.prototype.hasOwnProperty.call(source || {}, 'stock_level')) return;
+    if (roundQuantity(normalizeNumber(source.stock_level)) === roundQuantity(normalizeNumber(material.stock_level))) return;
+
+    const containerCount = await MaterialContainer.count({ where: { material_id: material.id }, transaction });
+    if (containerCount) {
+      throw new Error(`stock_level for ${material.name} is tracked by containers; record usage or a cycle count instead`);
+    }
+  }
+
+  async function loadMaterialConsumption(windowDays) {
+    const since = new Date(Date.now() - (windowDays * 24 * 60 * 60 * 1000));
+    const usageLogs = await UsageLog.findAll({
+      attributes: ['material_id', 'quantity_delta'],
+      where: {
+        timestamp: { [Op.gte]: since },
+        quantity_delta: { [Op.lt]: 0 },
+        kind: 'usage',
+      },
+    });
+
+    const consumedByMaterial = new Map();
+    usageLogs.forEach((usageLog) => {
+      const consumed = consumedByMaterial.get(usageLog.material_id) || 0;
+      consumedByMaterial.set(usageLog.material_id, consumed + Math.abs(normalizeNumber(usageLog.quantity_delta)));
+    });
+    return consumedByMaterial;
+  }
+
+  async function loadPendingPurchaseQuantities(transaction) {
+    const pendingByItem = new Map();
+    if (!PurchaseRequest) return pendingByItem;
+
+    const openRequests = await PurchaseRequest.findAll({
+      where: { status: { [Op.in]: OPEN_PURCHASE_REQUEST_STATUSES } },
+      transaction,
+    });
+    openRequests.forEach((request) => {
+      parseJsonList(request.lines).forEach((line) => {
+        if (!line || !line.item_key) return;
+        const pending = pendingByItem.get(line.item_key) || { quantity: 0, request_ids: [] };
+        pending.quantity += normalizeNumber(line.quantity);
+        if (!pending.request_ids.includes(request.id)) pending.request_ids.push(request.id);
+        pendingByItem.set(line.item_key, pending);
+      });
+    });
+    return pendingByItem;
+  }
+
+  async function buildNextDatedIdentifier(model, field, prefix, transaction) {
+    const datedPrefix = `${prefix}-${normalizeDate(new Date()).replace(/-/g, '')}-`;
+    const existing = await model.findAll({
+      attributes: [field],
+      where: { [field]: { [Op.like]: `${datedPrefix}%` } },
+      transaction,
+    });
+    const sequence = existing.reduce((max, record) => {
+      const value = Number(String(record[field] || '').slice(datedPrefix.length));
+      return Number.isInteger(value) && value > max ? value : max;
+    }, 0) + 1;
+    return `${datedPrefix}${String(sequence).padStart(3, '0')}`;
+  }
+
+  async function loadTransferMaterials(transfers) {
+    const ids = new Set();
+    transfers.forEach((transfer) => {
+      ids.add(transfer.material_id);
+      if (transfer.split_material_id) ids.add(transfer.split_material_id);
+    });
+    if (!ids.size) return new Map();
+
+    const materials = await Material.unscoped().findAll({
+      attributes: ['id', 'name', 'label_id'],
+      where: { id: { [Op.in]: Array.from(ids) } },
+    });
+    return new Map(materials.map((material) => [material.id, material]));
+  }
+
+  // The receiving department's linked supervisor account decides; departments without one fall back to department managers.
+  async function assertTransferApprover(req, transfer) {
+    if (canonicalizeRole(req.user && req.user.role) === 'Admin') return;
+
+    const department = await findDepartmentByName(transfer.to_department);
+    const hasSupervisor = Boolean(department && department.supervisor_user_id);
+    const allowed = hasSupervisor
+      ? isDepartmentSupervisor(req.user, department)
+      : hasPermission(req.user, 'department_management');
+    if (!allowed) {
+      throw new Error(`only the ${transfer.to_department} supervisor can decide this transfer`);
+    }
+  }
+
+  async function recordTransferUsage(req, transfer, entry, transaction) {
+    return UsageLog.create({
+      material_id: entry.material_id || transfer.material_id,
+      container_id: entry.container_id || null,
+      user_id: req.user && req.user.id ? req.user.id : null,
+      quantity_delta: entry.quantity_delta || 0,
+      timestamp: entry.timestamp || new Date().toISOString(),
+      reason: entry.reason,
+      kind: 'transfer',
+      transfer_id: transfer.id,
+      from_department: transfer.from_department,
+      to_department: transfer.to_department,
+    }, { transaction });
+  }
+
+  async function recordTransferLog(req, transfer, action, detail, transaction, metadata = {}) {
+    await recordHazmatLog(req, {
+      module: 'inventory',
+      entity_type: 'material_transfer',
+      entity_id: String(transfer.id),
+      action,
+      detail,
+      metadata: {
+        transfer_number: transfer.transfer_number,
+        material_id: transfer.material_id,
+        split_material_id: transfer.split_material_id || null,
+        from_department: transfer.from_department,
+        to_department: transfer.to_department,
+        quantity: normalizeNumber(transfer.quantity),
+        ...metadata,
+      },
+    }, transaction);
+  }
+
+  // Moves stock on approval: a full transfer reassigns the material, a partial one splits it.
+  async function executeMaterialTransfer(req, transfer, transaction) {
+    const material = await Material.findByPk(transfer.material_id, { transaction });
+    if (!material) throw new Error('material not found');
+    if (material.assigned_department !== transfer.from_department) {
+      throw new Error(`material is no longer assigned to ${transfer.from_department}`);
+    }
+
+    await reconcileMaterialContainers(material, transaction);
+    const activeContainers = sortContainersForConsumption(await MaterialContainer.findAll({
+      where: { material_id: material.id, status: 'active' },
+      transaction,
+    }));
+    let candidates = activeContainers;
+    if (transfer.container_id) {
+      candidates = activeContainers.filter((container) => Number(container.id) === Number(transfer.container_id));
+      if (!candidates.length) throw new Error('container not found');
+    }
+
+    const quantity = normalizeNumber(transfer.quantity);
+    const totalStock = roundQuantity(activeContainers.reduce((sum, container) => sum + normalizeNumber(container.remaining_quantity), 0));
+    const available = roundQuantity(candidates.reduce((sum, container) => sum + normalizeNumber(container.remaining_quantity), 0));
+    if (available < quantity) {
+      throw new Error('quantity exceeds available stock');
+    }
+
+    const timestamp = new Date().toISOString();
+    if (quantity >= totalStock) {
+      await material.update({ assigned_department: transfer.to_department }, { transaction });
+      await recordTransferUsage(req, transfer, {
+        material_id: material.id,
+        timestamp,
+        reason: `Transfer ${transfer.transfer_number}: full quantity moved from ${transfer.from_department} to ${transfer.to_department}`,
+      }, transaction);
+      return { transfer_type: 'full', material, split: null, moved: [] };
+    }
+
+    const source = material.toJSON();
+    const splitPayload = await finalizeMaterialLabelId(Material, {
+      ...MATERIAL_SPLIT_FIELDS.reduce((fields, key) => ({ ...fields, [key]: source[key] }), {}),
+      assigned_department: transfer.to_department,
+      stock_level: 0,
+      label_id: null,
+      batch_id: null,
+    }, { transaction });
+    const split = await Material.create(splitPayload, { transaction });
+
+    const moved = [];
+    let outstanding = quantity;
+    for (const container of candidates) {
+      if (outstanding <= 0) break;
+      const draw = roundQuantity(Math.min(normalizeNumber(container.remaining_quantity), outstanding));
+      if (draw <= 0) continue;
+
+      const remaining = roundQuantity(normalizeNumber(container.remaining_quantity) - draw);
+      await container.update({
+        remaining_quantity: remaining,
+        status: remaining <= 0 ? 'empty' : 'active',
+      }, { transaction });
+      const received = await MaterialContainer.create({
+        material_id: split.id,
+        container_label: await buildNextContainerLabel(split, transaction),
+        lot_number: container.lot_number || null,
+        received_date: container.received_date || null,
+        expiration_date: container.expiration_date || null,
+        location: container.location || null,
+        initial_quantity: draw,
+        remaining_quantity: draw,
+        status: 'active',
+      }, { transaction });
+
+      await recordTransferUsage(req, transfer, {
+        material_id: material.id,
+        container_id: container.id,
+        quantity_delta: -draw,
+        timestamp,
+        reason: `Transfer ${transfer.transfer_number} to ${transfer.to_department}`,
+      }, transaction);
+      await recordTransferUsage(req, transfer, {
+        material_id: split.id,
+        container_id: received.id,
+        quantity_delta: draw,
+        timestamp,
+        reason: `Transfer ${transfer.transfer_number} from ${transfer.from_department}`,
+      }, transaction);
+      moved.push({
+        from_container_label: container.container_label,
+        to_container_label: received.container_label,
+        lot_number: container.lot_number || null,
+        quantity: draw,
+      });
+      outstanding = roundQuantity(outstanding - draw);
+    }
+
+    await syncMaterialStockFromContainers(material, transaction);
+    await syncMaterialStockFromContainers(split, transaction);
+    return { transfer_type: 'partial', material, split, moved };
+  }
+
+  // Hazards and the SDS link are resolved at read time so reports always reflect the current library.
+  async function buildIncidentMaterialDetails(incidents) {
+    const ids = new Set();
+    incidents.forEach((incident) => {
+      parseJsonList(incident.materials).forEach((entry) => ids.add(entry.material_id));
+    });
+    if (!ids.size) return new Map();
+
+    const materials = await Material.unscoped().findAll({ where: { id: { [Op.in]: Array.from(ids) } } });
+    const casRecordCache = new Map();
+    const details = new Map();
+    for (const material of materials) {
+      const formatted = formatMaterial(material);
+      const profile = await buildMaterialHazardProfile(material, casRecordCache);
+      const sdsDocument = formatted.sds_id
+        ? await findSdsDocumentById(formatted.sds_id)
+        : await findSdsDocumentByCasManufacturer(listMaterialCasNumbers(formatted)[0], formatted.manufacturer);
+      details.set(material.id, {
+        name: formatted.name,
+        label_id: formatted.label_id,
+        assigned_department: formatted.assigned_department,
+        archived: Boolean(material.archived_at),
+        cas_numbers: listMaterialCasNumbers(formatted),
+        ghs_symbols: formatted.ghs_symbols,
+        signal_word: profile.signal_word || deriveSignalWord(formatted.ghs_symbols),
+        hazard_statements: profile.hazard_statements,
+        precautionary_statements: profile.precautionary_statements,
+        sds_document_id: sdsDocument ? sdsDocument.id : null,
+        sds_file_path: sdsDocument ? normalizeSdsPath(sdsDocument.sds_file_path) : (formatted.sds_file_path || null),
+        sds_revision_date: sdsDocument ? normalizeDate(sdsDocument.revision_date) : null,
+      });
+    }
+    return details;
+  }
+
+  async function loadIncidentDetail(id) {
+    const incident = await Incident.findByPk(id);
+    if (!incident) return null;
+
+    const actions = await IncidentAction.findAll({
+      where: { incident_id: incident.id },
+      order: [['due_date', 'ASC'], ['id', 'ASC']],
+    });
+    return formatIncident(incident, {
+      actions,
+      materialDetails: await buildIncidentMaterialDetails([incident]),
+      storageAreas: loadStorageAreaIndex(),
+    });
+  }
+
+  async function assertIncidentMaterialsExist(materials, transaction) {
+    if (!materials.length) return;
+    const ids = materials.map((entry) => entry.material_id);
+    const found = await Material.unscoped().findAll({
+      attributes: ['id'],
+      where: { id: { [Op.in]: ids } },
+      transaction,
+    });
+    const foundIds = new Set(found.map((material) => material.id));
+    const missingId = ids.find((id) => !foundIds.has(id));
+    if (missingId) throw new Error(`material ${missingId} not found`);
+  }
+
+  async function recordIncidentLog(req, incident, action, detail, transaction, metadata = {}) {
+    await recordHazmatLog(req, {
+      module: 'hazmat',
+      entity_type: 'incident',
+      entity_id: String(incident.id),
+      action,
+      detail,
+      metadata: {
+        incident_number: incident.incident_number,
+        incident_type: incident.incident_type,
+        ...metadata,
+      },
+    }, transaction);
+  }
+
+  async function buildCycleCountLines(payload, transaction) {
+    const whereClause = payload.scope === 'storage_area'
+      ? { storage_map_id: payload.storage_map_id, storage_area_id: payload.storage_area_id }
+      : { assigned_department: payload.assigned_department };
+    const materials = await Material.findAll({
+      where: whereClause,
+      order: [
+        ['name', 'ASC'],
+        ['id', 'ASC'],
+      ],
+      transaction,
+    });
+
+    const lines = [];
+    for (const material of materials) {
+      await reconcileMaterialContainers(material, transaction);
+      const containers = await MaterialContainer.findAll({
+        where: { material_id: material.id, status: 'active' },
+        transaction,
+      });
+      const base = {
+        material_id: material.id,
+        material_name: material.name,
+        label_id: normalizeLabelId(material.label_id || material.batch_id),
+        cas_number: material.cas_number || null,
+      };
+
+      // Materials with no stock on the books still get a line so stock found on the shelf can be posted.
+      const targets = containers.length ? sortContainersForConsumption(containers) : [null];
+      targets.forEach((container) => {
+        lines.push({
+          ...base,
+          line_number: lines.length + 1,
+          container_id: container ? container.id : null,
+          container_label: container ? normalizeLabelId(container.container_label) : null,
+          lot_number: container ? container.lot_number || null : null,
+          expected_quantity: container ? normalizeNumber(container.remaining_quantity) : 0,
+          found_quantity: null,
+          counted_at: null,
+          counted_by: null,
+          method: null,
+        });
+      });
+    }
+    return lines;
+  }
+
+  async function postCycleCountAdjustments(lines, req, transaction) {
+    const timestamp = new Date().toISOString();
+    const materialIds = Array.from(new Set(lines.map((line) => line.material_id)));
+    const adjusted = [];
+
+    for (const materialId of materialIds) {
+      const material = await Material.findByPk(materialId, { transaction });
+      const materialLines = lines.filter((line) => line.material_id === materialId);
+      if (!material) {
+        materialLines.forEach((line) => { line.adjustment = null; line.skipped = 'material is no longer in inventory'; });
+        continue;
+      }
+
+      let touched = false;
+      for (const line of materialLines) {
+        const variance = formatCycleCountLine(line).variance;
+        line.adjustment = 0;
+        if (!variance) continue;
+
+        let container = line.container_id ? await MaterialContainer.findByPk(line.container_id, { transaction }) : null;
+        if (line.container_id && (!container || container.status === 'disposed')) {
+          line.adjustment = null;
+          line.skipped = 'container is no longer in inventory';
+          continue;
+        }
+
+        let delta;
+        if (container) {
+          // The variance is applied on top of the current balance so usage logged after counting is kept.
+          const current = normalizeNumber(container.remaining_quantity);
+          const remaining = roundQuantity(Math.max(current + variance, 0));
+          delta = roundQuantity(remaining - current);
+          if (!delta) continue;
+          await container.update({
+            remaining_quantity: remaining,
+            status: remaining > 0 ? 'active' : 'empty',
+          }, { transaction });
+        } else {
+          delta = variance;
+          container = await MaterialContainer.create({
+            material_id: material.id,
+            container_label: await buildNextContainerLabel(material, transaction),
+            lot_number: material.batch_id,
+            received_date: normalizeDate(new Date()),
+            expiration_date: material.expiration_date || null,
+            initial_quantity: delta,
+            remaining_quantity: delta,
+            status: 'active',
+          }, { transaction });
+          line.container_id = container.id;
+          line.container_label = normalizeLabelId(container.container_label);
+        }
+
+        await UsageLog.create({
+          material_id: material.id,
+          container_id: container.id,
+          user_id: req.user && req.user.id ? req.user.id : null,
+          quantity_delta: delta,
+          timestamp,
+          reason: CYCLE_COUNT_REASON,
+          kind: 'cycle_count',
+        }, { transaction });
+        line.adjustment = delta;
+        adjusted.push(line);
+        touched = true;
+      }
+
+      if (touched) await syncMaterialStockFromContainers(material, transaction);
+    }
+    return adjusted;
+  }
+
+  async function findPurchaseLineSourceMaterial(line, transaction) {
+    const direct = await Material.findByPk(line.material_id, { transaction });
+    if (direct) return direct;
+
+    const candidates = await Material.findAll({ order: [['id', 'DESC']], transaction });
+    return candidates.find((material) => buildReorderItemKey(material) === line.item_key) || null;
+  }
+
+  function loadStorageAreaIndex() {
+    const index = new Map();
+    if (!mapService || typeof mapService.readFacilityMapStore !== 'function') return index;
+
+    const store = mapService.readFacilityMapStore();
+    (Array.isArray(store && store.maps) ? store.maps : []).forEach((map) => {
+      (Array.isArray(map.areas) ? map.areas : []).forEach((area) => {
+        index.set(`${map.id}::${area.id}`, {
+          map_id: map.id,
+          map_name: map.name || map.id,
+          area_id: area.id,
+          area_name: area.name || area.id,
+          kind: area.kind || null,
+        });
+      });
+    });
+    return index;
+  }
+
+  function applyStorageAreaPolicy(payload) {
+    if (!payload.storage_area_id || !mapService) return payload;
+
+    const areas = Array.from(loadStorageAreaIndex().values())
+      .filter((area) => area.area_id === payload.storage_area_id);
+    const match = payload.storage_map_id
+      ? areas.find((area) => area.map_id === payload.storage_map_id)
+      : areas[0];
+    if (!match) {
+      throw new Error(`storage area ${payload.storage_area_id} not found`);
+    }
+    if (!payload.storage_map_id && areas.length > 1) {
+      throw new Error('storage_map_id is required when the area id exists on several maps');
+    }
+
+    return { ...payload, storage_map_id: match.map_id };
+  }
+
+  async function resolveManufacturerRecordForSds(value, transaction, options = {}) {
+    const source = value && typeof value === 'object'
+      ? value
+      : { manufacturer: value };
+    const requireExisting = options.requireExisting !== false;
+    const allowCreate = Boolean(options.allowCreate);
+
+    if (!Manufacturer) {
+      if (requireExisting) {
+        throw new Error('manufacturer catalog is unavailable');
+      }
+      return null;
+    }
+
+    const manufacturerId = normalizeNumericId(source && (source.manufacturer_id || source.id));
+    if (manufacturerId) {
+      const byId = await Manufacturer.findByPk(manufacturerId, { transaction });
+      if (byId) return byId;
+      if (requireExisting) {
+        throw new Error('manufacturer not found');
+      }
+      return null;
+    }
+
+    const manufacturerName = normalizeManufacturer(source && (source.manufacturer || source.name || source.manufacturer_name));
+    if (!manufacturerName) {
+      return null;
+    }
+
+    const existing = await findManufacturerByName(manufacturerName, transaction);
+    if (existing) return existing;
+
+    if (allowCreate) {
+      return Manufacturer.create({ name: manufacturerName }, { transaction });
+    }
+
+    if (requireExisting) {
+      throw new Error('manufacturer not found');
+    }
+
+    return null;
+  }
+
+  async function findSdsDocumentByCasManufacturer(casNumber, manufacturer, transaction) {
+    const normalizedCas = normalizeCasNumber(casNumber);
+    const manufacturerRecord = await resolveManufacturerRecordForSds(manufacturer, transaction, {
+      requireExisting: false,
+      allowCreate: false,
+    });
+    const normalizedManufacturer = normalizeManufacturer(
+      manufacturerRecord && manufacturerRecord.name
+        ? manufacturerRecord.name
+        : (manufacturer && typeof manufacturer === 'object'
+          ? (manufacturer.manufacturer || manufacturer.name || manufacturer.manufacturer_name)
+          : manufacturer)
+    );
+
+    if (!SdsDocument || !normalizedCas) return null;
+
+    const baseQuery = {
+      include: [{
+        model: Manufacturer,
+        as: 'manufacturer_record',
+        required: false,
+      }],
+      order: [['id', 'ASC']],
+      transaction,
+    };
+
+    if (manufacturerRecord && normalizeNumericId(manufacturerRecord.id)) {
+      const byId = await SdsDocument.findOne({
+        ...baseQuery,
+        where: {
+          cas_number: normalizedCas,
+          manufacturer_id: normalizeNumericId(manufacturerRecord.id),
+        },
+      });
+      if (byId) return byId;
+    }
+
+    if (!normalizedManufacturer) return null;
+
+    return SdsDocument.findOne({
+      ...baseQuery,
+      where: {
+        cas_number: normalizedCas,
+        [Op.and]: [
+          where(fn('lower', col('manufacturer')), normalizeManufacturerKey(normalizedManufacturer)),
+        ],
+      },
+    });
+  }
+
+  async function findSdsDocumentById(id, transaction) {
+    const normalizedId = normalizeNumericId(id);
+    if (!SdsDocument || !normalizedId) return null;
+    return SdsDocument.findByPk(normalizedId, {
+      include: [{
+        model: Manufacturer,
+        as: 'manufacturer_record',
+        required: false,
+      }],
+      transaction,
+    });
+  }
+
+  async function applySdsRequirementPolicy(payload, transaction) {
+    const normalizedPayload = {
+      ...payload,
+      manufacturer: normalizeManufacturer(payload && payload.manufacturer),
+      sds_not_required: normalizeSdsNotRequired(payload && payload.sds_not_required, true),
+      sds_id: normalizeNumericId(payload && payload.sds_id) || null,
+      sds_file_path: normalizeSdsPath(payload && payload.sds_file_path),
+    };
+
+    if (normalizedPayload.sds_not_required) {
+      return {
+        ...normalizedPayload,
+        sds_id: null,
+        sds_file_path: null,
+      };
+    }
+
+    if (!SdsDocument) {
+      throw new Error('sds catalog is unavailable');
+    }
+
+    // A mixture's product SDS may be filed under its primary CAS or any component CAS.
+    const sdsCasNumbers = listMaterialCasNumbers(normalizedPayload);
+    if (!sdsCasNumbers.length) {
+      throw new Error('cas_number or a mixture component is required when SDS is required');
+    }
+
+    if (!normalizedPayload.manufacturer) {
+      throw new Error('manufacturer is required when SDS is required');
+    }
+
+    const manufacturerRecord = await resolveManufacturerRecordForSds({
+      manufacturer: normalizedPayload.manufacturer,
+    }, transaction, {
+      requireExisting: true,
+      allowCreate: false,
+    });
+
+    if (!manufacturerRecord || !normalizeNumericId(manufacturerRecord.id)) {
+      throw new Error('manufacturer not found');
+    }
+
+    normalizedPayload.manufacturer = normalizeManufacturer(manufacturerRecord.name);
+
+    let linkedSds = null;
+    if (normalizedPayload.sds_id) {
+      linkedSds = await findSdsDocumentById(normalizedPayload.sds_id, transaction);
+      if (!linkedSds) {
+        throw new Error('sds_id is invalid');
+      }
+    } else {
+      for (const casNumber of sdsCasNumbers) {
+        linkedSds = await findSdsDocumentByCasManufacturer(
+          casNumber,
+          {
+            manufacturer_id: manufacturerRecord.id,
+            manufacturer: manufacturerRecord.name,
+          },
+          transaction
+        );
+        if (linkedSds) break;
+      }
+    }
+
+    if (!linkedSds) {
+      throw new Error('sds_id is required when SDS is required');
+    }
+
+    const sdsPayload = linkedSds && typeof linkedSds.toJSON === 'function' ? linkedSds.toJSON() : linkedSds;
+    const sdsCasNumber = normalizeCasNumber(sdsPayload && sdsPayload.cas_number);
+    const sdsManufacturerId = normalizeNumericId(
+      sdsPayload && sdsPayload.manufacturer_id != null
+        ? sdsPayload.manufacturer_id
+        : (sdsPayload && sdsPayload.manufacturer_record && sdsPayload.manufacturer_record.id)
+    );
+    const sdsManufacturerKey = normalizeManufacturerKey(sdsPayload && sdsPayload.manufacturer);
+    const payloadManufacturerKey = normalizeManufacturerKey(normalizedPayload.manufacturer);
+
+    if (!sdsCasNumbers.includes(sdsCasNumber)) {
+      throw new Error('sds_id does not match cas_number and manufacturer');
+    }
+
+    if (sdsManufacturerId) {
+      if (sdsManufacturerId !== normalizeNumericId(manufacturerRecord.id)) {
+        throw new Error('sds_id does not match cas_number and manufacturer');
+      }
+    } else if (sdsManufacturerKey !== payloadManufacturerKey) {
+      throw new Error('sds_id does not match cas_number and manufacturer');
+    }
+
+    const sdsFilePath = normalizeSdsPath(sdsPayload && sdsPayload.sds_file_path);
+    if (!sdsFilePath) {
+      throw new Error('sds_id is missing an uploaded SDS file');
+    }
+
+    return {
+      ...normalizedPayload,
+      sds_id: normalizeNumericId(sdsPayload.id),
+      sds_file_path: sdsFilePath,
+      manufacturer: normalizeManufacturer(
+        (sdsPayload && sdsPayload.manufacturer_record && sdsPayload.manufacturer_record.name)
+        || sdsPayload.manufacturer
+      ),
+    };
+  }
+  async function resolveDebugImportDepartmentId(payload) {
+    const departmentId = normalizeNumericId(payload && payload.department_id);
+    if (departmentId > 0) {
+      await ensureDepartmentExists(departmentId);
+      return departmentId;
+    }
+
+    const departmentName = normalizeDepartmentName(payload && payload.department_name);
+    if (!departmentName) return null;
+
+    const department = await findDepartmentByName(departmentName);
+    return department ? department.id : null;
+  }
+
+  async function findMasterTicketBySerial(serialNumber, transaction) {
+    return FailureTicket.findOne({
+      where: { serial_number: serialNumber },
+      order: [
+        ['updated_at', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      transaction,
+    });
+  }
+
+  async function isDebugImportDuplicate(ticketId, fingerprintHash, transaction) {
+    if (!DebugTicketHistory || !ticketId || !fingerprintHash) return false;
+    const existing = await DebugTicketHistory.findOne({
+      where: {
+        ticket_id: ticketId,
+        fingerprint_hash: fingerprintHash,
+      },
+      transaction,
+    });
+    return Boolean(existing);
+  }
+
+  async function buildDepartmentNameMap(transaction) {
+    const query = {};
+    if (transaction && transaction.sequelize === gagesSequelize) {
+      query.transaction = transaction;
+    }
+
+    const departments = await Department.findAll(query);
+    const byId = new Map();
+    departments.forEach((entry) => {
+      const id = Number(entry.id);
+      if (!Number.isInteger(id) || id <= 0) return;
+      byId.set(id, normalizeDepartmentName(entry.name));
+    });
+    return byId;
+  }
+
+  async function buildChronicFailureCountMap(transaction) {
+    if (!FailureTicket) return new Map();
+
+    const cutoff = new Date(Date.now() - (90 * 24 * 60 * 60 * 1000));
+    const rows = await FailureTicket.findAll({
+      attributes: ['serial_number', [fn('COUNT', col('id')), 'failure_count']],
+      where: {
+        created_at: {
+          [Op.gte]: cutoff,
+        },
+      },
+      group: ['serial_number'],
+      raw: true,
+      transaction,
+    });
+
+    const map = new Map();
+    rows.forEach((row) => {
+      const serial = normalizeDebugSerial(row.serial_number);
+      if (!serial) return;
+      map.set(serial, Number(row.failure_count) || 0);
+    });
+    return map;
+  }
+
+  function formatDebugTicket(ticket, options = {}) {
+    const payload = ticket && typeof ticket.toJSON === 'function' ? ticket.toJSON() : (ticket || {});
+    const serialNumber = normalizeDebugSerial(payload.serial_number);
+    const chronicMap = options.chronicCounts || new Map();
+    const departmentById = options.departmentById || new Map();
+    const chronicCount = Number(chronicMap.get(serialNumber) || 0);
+    const departmentId = Number(payload.department_id);
+
+    return {
+      id: payload.id,
+      serial_number: serialNumber,
+      model_rev: payload.model_rev || '',
+      failure_signature: payload.failure_signature || '',
+      technician_id: payload.technician_id || '',
+      department_id: Number.isInteger(departmentId) && departmentId > 0 ? departmentId : null,
+      department_name: Number.isInteger(departmentId) && departmentId > 0
+        ? (departmentById.get(departmentId) || '')
+        : '',
+      status: normalizeFailureStatus(payload.status),
+      total_bench_time: Number(payload.total_bench_time) || 0,
+      verification_pass: payload.verification_pass || '',
+      chronic_failure: chronicCount > 2,
+      chronic_failure_count_90d: chronicCount,
+      created_at: payload.created_at || null,
+      updated_at: payload.updated_at || null,
+      closed_at: payload.closed_at || null,
+      faulty_components: Array.isArray(payload.faulty_components)
+        ? payload.faulty_components.map(formatDebugComponent)
+        : [],
+      ...formatArchiveState(payload),
+    };
+  }
+
+  function collectDebugTechnicianRoster(ticket, timelineEntries) {
+    const list = mergeTechnicianValues(
+      ticket && ticket.technician_id,
+      ...(Array.isArray(timelineEntries)
+        ? timelineEntries.map((entry) => entry && entry.technician_list)
+        : [])
+    );
+    return list;
+  }
+
+  async function listSystemicIssueAlerts(transaction) {
+    if (!FaultyComponent || !FailureTicket) return [];
+
+    const components = await FaultyComponent.findAll({
+      include: [{
+        model: FailureTicket,
+        as: 'ticket',
+        attributes: ['serial_number'],
+        required: true,
+      }],
+      transaction,
+    });
+
+    const refs = new Map();
+    components.forEach((component) => {
+      const payload = component && typeof component.toJSON === 'function' ? component.toJSON() : component;
+      const ref = String(payload && payload.ref_designator ? payload.ref_designator : '').trim().toUpperCase();
+      const serial = normalizeDebugSerial(payload && payload.ticket ? payload.ticket.serial_number : '');
+      if (!ref || !serial) return;
+      if (!refs.has(ref)) refs.set(ref, new Set());
+      refs.get(ref).add(serial);
+    });
+
+    return Array.from(refs.entries())
+      .map(([refDesignator, serials]) => ({
+        ref_designator: refDesignator,
+        affected_boards: serials.size,
+      }))
+      .filter((item) => item.affected_boards >= 5)
+      .sort((left, right) => right.affected_boards - left.affected_boards || left.ref_designator.localeCompare(right.ref_designator))
+      .map((item) => ({
+        ...item,
+        message: `Potential Design Flaw: ${item.ref_designator} failed across ${item.affected_boards} different boards.`,
+      }));
+  }
+
+  async function buildDebugPatternAlert(failureSignature, transaction) {
+    if (!FailureTicket || !FaultyComponent) return null;
+
+    const normalized = String(failureSignature || '').trim().toLowerCase();
+    if (!normalized) return null;
+
+    const tickets = await FailureTicket.findAll({
+      where: where(fn('lower', col('failure_signature')), normalized),
+      include: [{
+        model: FaultyComponent,
+        as: 'faulty_components',
+        required: false,
+      }],
+      transaction,
+    });
+
+    const eligible = tickets.filter((ticket) => Array.isArray(ticket.faulty_components) && ticket.faulty_components.length > 0);
+    const total = eligible.length;
+    if (!total) return null;
+
+    const referenceCounts = new Map();
+    eligible.forEach((ticket) => {
+      const refs = new Set(ticket.faulty_components
+        .map((component) => String(component.ref_designator || '').trim().toUpperCase())
+        .filter(Boolean));
+      refs.forEach((ref) => {
+        referenceCounts.set(ref, (referenceCounts.get(ref) || 0) + 1);
+      });
+    });
+
+    const top = Array.from(referenceCounts.entries())
+      .sort((left, right) => right[1] - left[1] || left[0].localeCompare(right[0]))[0];
+    if (!top) return null;
+
+    const percentage = Math.round((top[1] / total) * 100);
+    return {
+      signature: failureSignature,
+      ref_designator: top[0],
+      total_cases: total,
+      matched_cases: top[1],
+      percentage,
+      message: `Pattern Alert: ${percentage}% of boards with this symptom were resolved by replacing ${top[0]} based on previous logs.`,
+    };
+  }
+
+  async function buildDebugAnalytics(transaction) {
+    if (!FailureTicket || !FaultyComponent) {
+      return {
+        pareto: [],
+        yield_trends: [],
+        systemic_alerts: [],
+      };
+    }
+
+    const [tickets, components, systemicAlerts] = await Promise.all([
+      FailureTicket.findAll({ transaction }),
+      FaultyComponent.findAll({ transaction }),
+      listSystemicIssueAlerts(transaction),
+    ]);
+
+    const componentCounts = new Map();
+    components.forEach((component) => {
+      const ref = String(component.ref_designator || '').trim().toUpperCase();
+      if (!ref) return;
+      componentCounts.set(ref, (componentCounts.get(ref) || 0) + 1);
+    });
+
+    const pareto = Array.from(componentCounts.entries())
+      .map(([refDesignator, failures]) => ({ ref_designator: refDesignator, failures }))
+      .sort((left, right) => right.failures - left.failures || left.ref_designator.localeCompare(right.ref_designator))
+      .slice(0, 5);
+
+    const weekly = new Map();
+    const ensureWeek = (weekStart) => {
+      if (!weekly.has(weekStart)) {
+        weekly.set(weekStart, {
+          week_start: weekStart,
+          boards_received: 0,
+          boards_fixed: 0,
+        });
+      }
+      return weekly.get(weekStart);
+    };
+
+    tickets.forEach((ticket) => {
+      const receivedWeek = getWeekStartIso(ticket.created_at);
+      if (receivedWeek) {
+        ensureWeek(receivedWeek).boards_received += 1;
+      }
+
+      if (normalizeFailureStatus(ticket.status) === 'FIXED') {
+        const fixedWeek = getWeekStartIso(ticket.closed_at || ticket.updated_at || ticket.created_at);
+        if (fixedWeek) {
+          ensureWeek(fixedWeek).boards_fixed += 1;
+        }
+      }
+    });
+
+    const yieldTrends = Array.from(weekly.values())
+      .sort((left, right) => left.week_start.localeCompare(right.week_start));
+
+    const chronicCounts = new Map();
+    const cutoff = Date.now() - (90 * 24 * 60 * 60 * 1000);
+    tickets.forEach((ticket) => {
+      const serial = normalizeDebugSerial(ticket.serial_number);
+      const createdAt = new Date(ticket.created_at || ticket.updated_at || ticket.closed_at);
+      if (!serial || Number.isNaN(createdAt.getTime()) || createdAt.getTime() < cutoff) return;
+      chronicCounts.set(serial, (chronicCounts.get(serial) || 0) + 1);
+    });
+
+    const chronicFailures = Array.from(chronicCounts.entries())
+      .filter((entry) => entry[1] > 2)
+      .map(([serialNumber, count]) => ({
+        serial_number: serialNumber,
+        failure_count_90d: count,
+        message: `Chronic Failure: Board ${serialNumber} has failed ${count} times in the last 90 days.`,
+      }))
+      .sort((left, right) => right.failure_count_90d - left.failure_count_90d || left.serial_number.localeCompare(right.serial_number));
+
+    return {
+      pareto,
+      yield_trends: yieldTrends,
+      systemic_alerts: systemicAlerts,
+      chronic_failures: chronicFailures,
+    };
+  }
+
+  function isDebugLabAvailable() {
+    return Boolean(FailureTicket && FaultyComponent && debugSequelize);
+  }
+
+  function ensureDebugLabAvailable(res) {
+    if (isDebugLabAvailable()) return true;
+    res.status(503).json({ error: 'debug lab module is unavailable' });
+    return false;
+  }
+
+  async function ensureDepartmentExists(departmentId) {
+    if (departmentId == null) return null;
+    const normalizedId = Number(departmentId);
+    if (!Number.isInteger(normalizedId) || normalizedId <= 0) {
+      throw new Error('invalid department_id');
+    }
+    const department = await Department.findByPk(normalizedId);
+    if (!department) {
+      throw new Error('department not found');
+    }
+    return department;
+  }
+
+  async function fetchDebugTicketById(ticketId, transaction) {
+    return FailureTicket.findByPk(ticketId, {
+      include: [{
+        model: FaultyComponent,
+        as: 'faulty_components',
+        required: false,
+      }],
+      transaction,
+    });
+  }
+
+  async function findDepartmentByName(name, transaction) {
+    const normalized = normalizeDepartmentName(name);
+    if (!normalized) return null;
+    return Department.findOne({
+      where: where(fn('lower', col('name')), normalized.toLowerCase()),
+      transaction,
+    });
+  }
+
+  async function findManufacturerByName(name, transaction) {
+    const normalized = normalizeManufacturer(name);
+    if (!normalized || !Manufacturer) return null;
+    return Manufacturer.findOne({
+      where: where(fn('lower', col('name')), normalizeManufacturerKey(normalized)),
+      transaction,
+    });
+  }
+
+  async function resolveCalibrationTemplate(payload, transaction) {
+    if (payload.template_id) {
+      const template = await CalibrationTemplate.findByPk(payload.template_id, { transaction });
+      if (!template) {
+        throw new Error('calibration template not found');
+      }
+      return template;
+    }
+
+    const templatePayload = payload.template_payload || normalizeTemplatePayload({}, {
+      fallbackName: payload.tool_name,
+      module: 'calibration',
+    });
+    const [template] = await CalibrationTemplate.findOrCreate({
+      where: { template_name: templatePayload.template_name },
+      defaults: templatePayload,
+      transaction,
+    });
+    return template;
+  }
+
+  function buildTemplateSchedulingOptions(template) {
+    const source = template && typeof template.toJSON === 'function' ? template.toJSON() : (template || {});
+    const schedule = normalizeTemplateSchedule(source);
+    return {
+      intervalMode: schedule.intervalMode,
+      intervalMonths: schedule.intervalMonths,
+      intervalDays: schedule.intervalDays,
+      calIntervalDays: schedule.derivedIntervalDays,
+      maxDailyCalibrations: schedule.maxDailyCalibrations,
+      allowedDays: schedule.allowedDays,
+    };
+  }
+
+  async function listScheduledCalibrations(transaction, excludedAssetId) {
+    const where = {
+      next_cal: { [Op.not]: null },
+    };
+
+    const excludedId = Number(excludedAssetId);
+    if (Number.isInteger(excludedId) && excludedId > 0) {
+      where.id = { [Op.ne]: excludedId };
+    }
+
+    const assets = await CalibrationAsset.findAll({
+      where,
+      attributes: ['next_cal', 'planned_technician_id'],
+      transaction,
+    });
+    return assets
+      .filter((asset) => asset.next_cal)
+      .map((asset) => ({ date: asset.next_cal, technician_id: asset.planned_technician_id || null }));
+  }
+
+  async function loadPlanningCalendar(transaction, range = {}) {
+    const blackoutWhere = {};
+    if (range.start && range.end) {
+      blackoutWhere.start_date = { [Op.lte]: range.end };
+      blackoutWhere.end_date = { [Op.gte]: range.start };
+    }
+    const [blackouts, technicians] = await Promise.all([
+      CalibrationBlackout.findAll({
+        where: blackoutWhere,
+        order: [['start_date', 'ASC'], ['id', 'ASC']],
+        transaction,
+      }),
+      CalibrationTechnician.findAll({
+        where: { active: true },
+        order: [['name', 'ASC']],
+        transaction,
+      }),
+    ]);
+
+    const blackoutDates = new Set();
+    const timeOffByTechnician = new Map();
+    blackouts.forEach((blackout) => {
+      const days = expandDateRange(blackout.start_date, blackout.end_date, CALIBRATION_PLANNER_MAX_DAYS);
+      if (blackout.kind !== 'time_off') {
+        days.forEach((day) => blackoutDates.add(day));
+        return;
+      }
+      if (!timeOffByTechnician.has(blackout.technician_id)) timeOffByTechnician.set(blackout.technician_id, new Set());
+      days.forEach((day) => timeOffByTechnician.get(blackout.technician_id).add(day));
+    });
+
+    return {
+      blackouts: blackouts.map(formatCalibrationBlackout),
+      blackoutDates,
+      technicians: technicians.map((technician) => ({
+        ...formatCalibrationTechnician(technician),
+        time_off: timeOffByTechnician.get(technician.id) || new Set(),
+      })),
+    };
+  }
+
+  function buildCertificateVerifyUrl(req, certificateId) {
+    const configuredBase = String(publicBaseUrl || '').trim().replace(/\/+$/, '');
+    const requestBase = req && typeof req.get === 'function' && req.get('host')
+      ? `${req.protocol || 'http'}://${req.get('host')}`
+      : '';
+    return `${configuredBase || requestBase}/verify-certificate.html?id=${encodeURIComponent(certificateId)}`;
+  }
+
+  // Suspension follows open out-of-tolerance findings raised after this certificate was issued,
+  // not the asset flag, which is also set by the failed as-found reading this calibration corrected.
+  async function describeCertificateValidity(record) {
+    const [asset, latest, integrity, laterFinding] = await Promise.all([
+      CalibrationAsset.findByPk(record.asset_id),
+      CalibrationRecord.findOne({
+        where: {
+          asset_id: record.asset_id,
+          certificate_id: { [Op.ne]: null },
+        },
+        order: [
+          ['issued_at', 'DESC'],
+          ['id', 'DESC'],
+        ],
+      }),
+      certificateService && record.certificate_file
+        ? certificateService.checkIntegrity(record.certificate_file, record.certificate_sha256)
+        : Promise.resolve('missing'),
+      CalibrationImpactReview.findOne({
+        where: {
+          asset_id: record.asset_id,
+          status: 'open',
+          opened_at: { [Op.gt]: record.issued_at || record.performed_at },
+          [Op.or]: [{ record_id: null }, { record_id: { [Op.ne]: record.id } }],
+        },
+      }),
+    ]);
+
+    let status = 'current';
+    if (!asset) {
+      status = 'withdrawn';
+    } else if (latest && latest.id !== record.id) {
+      status = 'superseded';
+    } else if (laterFinding) {
+      status = 'suspended';
+    } else {
+      const liveStatus = computeCalibrationStatus({
+        nextCalDate: asset.next_cal,
+        alertLeadDays: asset.alert_lead_days,
+        gracePeriodDays: asset.grace_period_days,
+      });
+      if (liveStatus === 'EXPIRED' || liveStatus === 'LOCKED') status = 'expired';
+    }
+
+    return {
+      status,
+      integrity,
+      valid: status === 'current' && integrity === 'verified',
+      superseded_by: status === 'superseded' ? latest.certificate_id : null,
+    };
+  }
+
+  async function findLastGoodCalibrationDate(asset, transaction) {
+    const lastGood = await CalibrationRecord.findOne({
+      where: {
+        asset_id: asset.id,
+        as_left_result: 'pass',
+      },
+      order: [
+        ['calibration_date', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      transaction,
+    });
+    return lastGood ? lastGood.calibration_date : (normalizeDate(asset.last_cal) || null);
+  }
+
+  // Check-outs from the start of windowStart through the end of windowEnd, both as UTC dates.
+  async function collectAssetUsagesInWindow(assetId, windowStart, windowEnd, transaction) {
+    const whereClause = {
+      module: 'calibration',
+      entity_type: 'asset',
+      entity_id: String(assetId),
+      action: 'checked_out',
+    };
+    const timestampRange = {};
+    if (windowStart) timestampRange[Op.gte] = new Date(`${windowStart}T00:00:00.000Z`);
+    if (windowEnd) timestampRange[Op.lt] = new Date(`${addDays(windowEnd, 1)}T00:00:00.000Z`);
+    if (windowStart || windowEnd) whereClause.timestamp = timestampRange;
+
+    const logs = await GageLog.findAll({
+      where: whereClause,
+      order: [['timestamp', 'ASC'], ['id', 'ASC']],
+      transaction,
+    });
+    const custodyIds = logs.map((log) => (log.metadata || {}).custody_id).filter(Boolean);
+    const custodyRecords = custodyIds.length
+      ? await CalibrationCustody.findAll({ where: { id: { [Op.in]: custodyIds } }, transaction })
+      : [];
+    const custodyById = new Map(custodyRecords.map((custody) => [custody.id, custody]));
+
+    return logs.map((log) => {
+      const metadata = log.metadata || {};
+      const custody = custodyById.get(metadata.custody_id) || null;
+      return {
+        log_id: log.id,
+        checked_out_at: log.timestamp,
+        checked_out_by: log.actor_name || null,
+        holder_name: metadata.holder_name || log.actor_name || null,
+        reason: metadata.reason || null,
+        custody_id: metadata.custody_id || null,
+        returned_at: custody ? custody.checked_in_at || null : null,
+        disposition: null,
+        disposition_notes: null,
+      };
+    });
+  }
+
+  async function findOpenImpactReview(assetId, transaction) {
+    return CalibrationImpactReview.findOne({
+      where: { asset_id: assetId, status: 'open' },
+      transaction,
+    });
+  }
+
+  // An asset has at most one open review; a calibration that confirms an open finding is linked to it.
+  async function openCalibrationImpactReview(req, asset, record, windowStart, windowEnd, finding, transaction) {
+    const openReview = await findOpenImpactReview(asset.id, transaction);
+    if (openReview) {
+      if (record && !openReview.record_id) {
+        await openReview.update({ record_id: record.id }, { transaction });
+        await recordGageLog(req, {
+          module: 'calibration',
+          entity_type: 'asset',
+          entity_id: String(asset.id),
+          action: 'impact_review_linked',
+          detail: `${finding}; linked to open impact review #${openReview.id}`,
+          metadata: {
+            impact_review_id: openReview.id,
+            calibration_record_id: record.id,
+            asset_uid: buildAssetUid('calibration', asset.id),
+            cfe_uid: buildCfeUid('calibration', asset.id),
+          },
+        }, transaction);
+      }
+      return openReview;
+    }
+
+    const actor = buildLogActor(req);
+    const usages = await collectAssetUsagesInWindow(asset.id, windowStart, windowEnd, transaction);
+    const impactReview = await CalibrationImpactReview.create({
+      asset_id: asset.id,
+      record_id: record ? record.id : null,
+      status: 'open',
+      finding,
+      window_start: windowStart,
+      window_end: windowEnd,
+      usages,
+      opened_at: new Date().toISOString(),
+      opened_by: actor.actor_name,
+    }, { transaction });
+
+    await recordGageLog(req, {
+      module: 'calibration',
+      entity_type: 'asset',
+      entity_id: String(asset.id),
+      action: 'impact_review_opened',
+      detail: `${finding}; impact review opened covering ${usages.length} check-out(s) since ${windowStart || 'first use'}`,
+      metadata: {
+        impact_review_id: impactReview.id,
+        calibration_record_id: record ? record.id : null,
+        window_start: windowStart,
+        window_end: windowEnd,
+        usage_count: usages.length,
+        asset_uid: buildAssetUid('calibration', asset.id),
+        cfe_uid: buildCfeUid('calibration', asset.id),
+      },
+    }, transaction);
+    return impactReview;
+  }
+
+  // Proposals are only queued here; the asset interval changes when one is approved.
+  async function queueCalibrationIntervalProposal(req, asset, options, transaction) {
+    const template = asset.template || (asset.template_id
+      ? await CalibrationTemplate.findByPk(asset.template_id, { transaction })
+      : null);
+    const policy = normalizeIntervalAdjustmentPolicy(template ? template.toJSON() : {});
+    if (!policy.enabled) return null;
+
+    const lastDecision = await CalibrationIntervalProposal.findOne({
+      where: { asset_id: asset.id, status: { [Op.in]: ['approved', 'rejected'] } },
+      order: [['decided_at', 'DESC'], ['id', 'DESC']],
+      transaction,
+    });
+    const recordWhere = { asset_id: asset.id };
+    if (lastDecision && lastDecision.decided_at) {
+      recordWhere.performed_at = { [Op.gt]: lastDecision.decided_at };
+    }
+    const records = await CalibrationRecord.findAll({
+      where: recordWhere,
+      attributes: ['id', 'as_found_result'],
+      order: [['performed_at', 'DESC'], ['id', 'DESC']],
+      transaction,
+    });
+    const history = options.finding
+      ? [{ as_found_result: 'fail' }].concat(records.map((record) => record.toJSON()))
+      : records.map((record) => record.toJSON());
+    const schedule = buildTemplateSchedulingOptions(buildAssetScheduleTemplate(asset, template));
+    const adjustment = proposeIntervalAdjustment(policy, schedule.calIntervalDays, history);
+    if (!adjustment) return null;
+
+    const pending = await CalibrationIntervalProposal.findOne({
+      where: { asset_id: asset.id, status: 'pending' },
+      transaction,
+    });
+    if (pending
+      && pending.direction === adjustment.direction
+      && pending.proposed_interval_days === adjustment.proposed_interval_days) {
+      return pending;
+    }
+
+    const actor = buildLogActor(req);
+    const basis = adjustment.direction === 'lengthen'
+      ? `${adjustment.consecutive_passes} consecutive in-tolerance calibrations`
+      : (options.finding || 'As-found out of tolerance at calibration');
+    await CalibrationIntervalProposal.update({
+      status: 'superseded',
+      decided_at: new Date().toISOString(),
+      decided_by: actor.actor_name,
+      decision_notes: 'Replaced by a newer proposal',
+    }, {
+      where: { asset_id: asset.id, status: 'pending' },
+      transaction,
+    });
+    const proposal = await CalibrationIntervalProposal.create({
+      asset_id: asset.id,
+      template_id: template ? template.id : null,
+      record_id: options.record ? options.record.id : null,
+      ...adjustment,
+      basis,
+      status: 'pending',
+      proposed_at: new Date().toISOString(),
+      proposed_by: actor.actor_name,
+    }, { transaction });
+
+    await recordGageLog(req, {
+      module: 'calibration',
+      entity_type: 'asset',
+      entity_id: String(asset.id),
+      action: 'interval_proposed',
+      detail: `Proposed to ${adjustment.direction} calibration interval from ${adjustment.current_interval_days} to ${adjustment.proposed_interval_days} days (${basis}); awaiting approval`,
+      metadata: {
+        interval_proposal_id: proposal.id,
+        calibration_record_id: options.record ? options.record.id : null,
+        ...adjustment,
+        asset_uid: buildAssetUid('calibration', asset.id),
+        cfe_uid: buildCfeUid('calibration', asset.id),
+      },
+    }, transaction);
+    return proposal;
+  }
+
+  async function loadCalibrationShipment(id, transaction) {
+    return CalibrationShipment.findByPk(id, {
+      include: [{
+        model: CalibrationShipmentItem,
+        as: 'items',
+        include: [{
+          model: CalibrationAsset.unscoped(),
+          as: 'asset',
+          attributes: ['id', 'tool_name', 'serial_number'],
+          required: false,
+        }],
+      }],
+      transaction,
+    });
+  }
+
+  async function resolveAssetCalibrationPlan(lastCalDate, template, transaction, excludedAssetId) {
+    const normalizedLastCal = normalizeDate(lastCalDate);
+    if (!normalizedLastCal) return { next_cal: null, planned_technician_id: null };
+
+    const schedule = buildTemplateSchedulingOptions(template);
+    const [existingAssignments, calendar] = await Promise.all([
+      listScheduledCalibrations(transaction, excludedAssetId),
+      loadPlanningCalendar(transaction),
+    ]);
+    const slot = planNextCalibration(normalizedLastCal, schedule.calIntervalDays, {
+      intervalMode: schedule.intervalMode,
+      intervalMonths: schedule.intervalMonths,
+      intervalDays: schedule.intervalDays,
+      maxDailyCalibrations: schedule.maxDailyCalibrations,
+      allowedDays: schedule.allowedDays,
+      existingAssignments,
+      blackoutDates: calendar.blackoutDates,
+      technicians: calendar.technicians,
+      category: template && template.category,
+    });
+    return {
+      next_cal: slot ? slot.date : null,
+      planned_technician_id: slot ? slot.technician_id : null,
+      planning_issue: slot && (slot.unplanned ? 'unplanned' : slot.unstaffed ? 'unstaffed' : null),
+    };
+  }
+
+  function buildAssetPayload(payload, template, plan) {
+    const schedule = buildTemplateSchedulingOptions(template);
+    return {
+      tool_name: payload.tool_name || template.template_name,
+      serial_number: payload.serial_number,
+      last_cal: payload.last_cal,
+      next_cal: normalizeDate(plan && plan.next_cal),
+      planned_technician_id: (plan && plan.planned_technician_id) || null,
+      template_id: template.id,
+      category: template.category,
+      cal_frequency: schedule.calIntervalDays,
+      alert_lead_days: template.alert_lead_days,
+      grace_period_days: template.grace_period_days,
+      unit_of_measure: normalizeUnitOfMeasure(
+        payload.unit_of_measure,
+        normalizeUnitOfMeasure(template.unit_of_measure, DEFAULT_UNIT_OF_MEASURE)
+      ),
+      assigned_department: normalizeText(payload.assigned_department, template.assigned_department || DEFAULT_DEPARTMENT),
+      asset_type: payload.asset_type,
+      model: payload.model,
+      manufacturer: payload.manufacturer,
+      measurement_types: payload.measurement_types,
+      range_size: payload.range_size,
+      accuracy: payload.accuracy,
+      date_acquired: payload.date_acquired,
+      source_vendor: payload.source_vendor,
+      cost: payload.cost,
+      environment: payload.environment,
+      instructions: payload.instructions,
+      notes: payload.notes,
+      attachment_path: payload.attachment_path,
+    };
+  }
+
+  async function replanBookedCalibrations(req, where, reason, transaction, isBlocked = () => true) {
+    const assets = await CalibrationAsset.findAll({
+      where: { ...where, next_cal: { [Op.gte]: new Date().toISOString().slice(0, 10), ...(where.next_cal || {}) } },
+      include: [{
+        model: CalibrationTemplate,
+        as: 'template',
+        required: false,
+      }],
+      order: [['next_cal', 'ASC'], ['id', 'ASC']],
+      transaction,
+    });
+
+    const moved = [];
+    for (const asset of assets.filter(isBlocked)) {
+      const previous = {
+        next_cal: asset.next_cal,
+        planned_technician_id: asset.planned_technician_id || null,
+      };
+      const plan = await resolveAssetCalibrationPlan(
+        asset.last_cal,
+        buildAssetScheduleTemplate(asset, asset.template),
+        transaction,
+        asset.id
+      );
+      const next = { next_cal: plan.next_cal, planned_technician_id: plan.planned_technician_id };
+      await asset.update(next, { transaction });
+      const issue = {
+        unplanned: '; no free day before it is due',
+        unstaffed: '; no qualified technician is available',
+      }[plan.planning_issue] || '';
+      await recordGageLog(req, {
+        module: 'calibration',
+        entity_type: 'asset',
+        entity_id: String(asset.id),
+        action: 'rescheduled',
+        detail: `Rescheduled ${asset.tool_name} from ${previous.next_cal} to ${plan.next_cal || 'unscheduled'} (${reason}${issue})`,
+        metadata: {
+          from: previous,
+          to: next,
+          reason,
+          planning_issue: plan.planning_issue,
+          asset_uid: buildAssetUid('calibration', asset.id),
+          cfe_uid: buildCfeUid('calibration', asset.id),
+        },
+      }, transaction);
+      moved.push({
+        id: asset.id,
+        tool_name: asset.tool_name,
+        from: previous.next_cal,
+        to: plan.next_cal,
+        planning_issue: plan.planning_issue,
+      });
+    }
+    return moved;
+  }
+
+  async function syncAssetsForTemplate(req, template, transaction) {
+    const policy = normalizeIntervalAdjustmentPolicy(template.toJSON());
+    const assets = await CalibrationAsset.findAll({
+      where: { template_id: template.id },
+      order: [['id', 'ASC']],
+      transaction,
+    });
+
+    for (const asset of assets) {
+      const overrideDays = normalizePositiveInteger(asset.interval_override_days, null);
+      const previousIntervalDays = normalizePositiveInteger(asset.cal_frequency, null);
+      if (overrideDays) {
+        asset.interval_override_days = policy.enabled
+          ? Math.min(policy.max_days || overrideDays, Math.max(policy.min_days || 1, overrideDays))
+          : null;
+      }
+      const scheduleTemplate = buildAssetScheduleTemplate(asset, template);
+      const schedule = buildTemplateSchedulingOptions(scheduleTemplate);
+      const plan = await resolveAssetCalibrationPlan(asset.last_cal, scheduleTemplate, transaction, asset.id);
+      if (overrideDays && asset.interval_override_days !== overrideDays) {
+        const reason = asset.interval_override_days
+          ? `clamped to the ${template.template_name} bounds of ${policy.min_days}-${policy.max_days} days`
+          : `cleared because ${template.template_name} no longer adjusts intervals`;
+        await recordGageLog(req, {
+          module: 'calibration',
+          entity_type: 'asset',
+          entity_id: String(asset.id),
+          action: 'interval_adjusted',
+          detail: `Calibration interval override ${reason}; interval ${previousIntervalDays || overrideDays} to ${schedule.calIntervalDays} days, next calibration ${plan.next_cal || 'not scheduled'}`,
+          metadata: {
+            template_id: template.id,
+            previous_interval_override_days: overrideDays,
+            interval_override_days: asset.interval_override_days,
+            previous_interval_days: previousIntervalDays || overrideDays,
+            interval_days: schedule.calIntervalDays,
+            next_cal: plan.next_cal,
+            asset_uid: buildAssetUid('calibration', asset.id),
+            cfe_uid: buildCfeUid('calibration', asset.id),
+          },
+        }, transaction);
+      }
+      await asset.update({
+        category: template.category,
+        interval_override_days: asset.interval_override_days,
+        cal_frequency: schedule.calIntervalDays,
+        alert_lead_days: template.alert_lead_days,
+        grace_period_days: template.grace_period_days,
+        unit_of_measure: normalizeUnitOfMeasure(template.unit_of_measure, DEFAULT_UNIT_OF_MEASURE),
+        assigned_department: template.assigned_department,
+        next_cal: plan.next_cal,
+        planned_technician_id: plan.planned_technician_id,
+      }, { transaction });
+    }
+  }
+
+  return {
+    servePortal: (req, res) => {
+      return res.sendFile(path.join(paths.LEGACY_PUBLIC_DIR, 'Layout.html'));
+    },
+
+    session: async (req, res) => {
+      return res.json({ user: req.user });
+    },
+
+    logout: async (req, res) => {
+      res.clearCookie('command_center_access', { path: '/' });
+      if (req.session) {
+        return req.session.destroy(() => {
+          res.clearCookie('mack_session', { path: '/' });
+          return res.json({ ok: true });
+        });
+      }
+      return res.json({ ok: true });
+    },
+
+    listDepartments: async (req, res) => {
+      try {
+        const departments = await Department.findAll({
+          order: [['name', 'ASC']],
+        });
+        return res.json(departments.map(formatDepartment));
+      } catch (error) {
+        console.error('command center list departments', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load departments' });
+      }
+    },
+
+    createDepartment: async (req, res) => {
+      try {
+        const payload = normalizeDepartmentPayload(req.body || {});
+        const existing = await findDepartmentByName(payload.name);
+        if (existing) {
+          return res.status(400).json({ error: 'department already exists' });
+        }
+
+        const department = await gagesSequelize.transaction(async (transaction) => {
+          const created = await Department.create(payload, { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'department',
+            entity_id: String(created.id),
+            action: 'created',
+            detail: `Created department ${created.name}`,
+            metadata: {
+              supervisor: created.supervisor || null,
+              supervisor_email: created.supervisor_email || null,
+              supervisor_user_id: created.supervisor_user_id || null,
+            },
+          }, transaction);
+          return created;
+        });
+
+        return res.status(201).json(formatDepartment(department));
+      } catch (error) {
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'department already exists'
+          : (error && error.message) || 'failed to create department';
+        return res.status(/required|exists|invalid/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    updateDepartment: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id) || id <= 0) {
+          return res.status(400).json({ error: 'invalid department id' });
+        }
+
+        const department = await Department.findByPk(id);
+        if (!department) {
+          return res.status(404).json({ error: 'department not found' });
+        }
+
+        const payload = normalizeDepartmentPayload({ ...department.toJSON(), ...(req.body || {}) });
+        const existing = await findDepartmentByName(payload.name);
+        if (existing && Number(existing.id) !== id) {
+          return res.status(400).json({ error: 'department already exists' });
+        }
+
+        await gagesSequelize.transaction(async (transaction) => {
+          await department.update(payload, { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'department',
+            entity_id: String(department.id),
+            action: 'updated',
+            detail: `Updated department ${department.name}`,
+            metadata: {
+              supervisor: department.supervisor || null,
+              supervisor_email: department.supervisor_email || null,
+              supervisor_user_id: department.supervisor_user_id || null,
+            },
+          }, transaction);
+        });
+
+        const refreshed = await Department.findByPk(id);
+        return res.json(formatDepartment(refreshed));
+      } catch (error) {
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'department already exists'
+          : (error && error.message) || 'failed to update department';
+        return res.status(/required|exists|invalid/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    deleteDepartment: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id) || id <= 0) {
+          return res.status(400).json({ error: 'invalid department id' });
+        }
+
+        const department = await Department.findByPk(id);
+        if (!department) {
+          return res.status(404).json({ error: 'department not found' });
+        }
+
+        await gagesSequelize.transaction(async (transaction) => {
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'department',
+            entity_id: String(department.id),
+            action: 'deleted',
+            detail: `Deleted department ${department.name}`,
+            metadata: {
+              supervisor: department.supervisor || null,
+            },
+          }, transaction);
+          await department.destroy({ transaction });
+        });
+
+        return res.json({ ok: true, id });
+      } catch (error) {
+        console.error('command center delete department', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete department' });
+      }
+    },
+
+    listManufacturers: async (req, res) => {
+      try {
+        if (!Manufacturer) {
+          return res.json([]);
+        }
+
+        const manufacturers = await Manufacturer.findAll({
+          order: [['name', 'ASC']],
+        });
+        return res.json(manufacturers.map(formatManufacturer));
+      } catch (error) {
+        console.error('command center list manufacturers', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load manufacturers' });
+      }
+    },
+
+    createManufacturer: async (req, res) => {
+      try {
+        if (!Manufacturer) {
+          return res.status(503).json({ error: 'manufacturer catalog is unavailable' });
+        }
+
+        const payload = normalizeManufacturerPayload(req.body || {});
+        const existing = await findManufacturerByName(payload.name);
+        if (existing) {
+          return res.status(400).json({ error: 'manufacturer already exists' });
+        }
+
+        const manufacturer = await hazmatSequelize.transaction(async (transaction) => {
+          const created = await Manufacturer.create(payload, { transaction });
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'manufacturer',
+            entity_id: String(created.id),
+            action: 'created',
+            detail: `Created manufacturer ${created.name}`,
+          }, transaction);
+          return created;
+        });
+
+        return res.status(201).json(formatManufacturer(manufacturer));
+      } catch (error) {
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'manufacturer already exists'
+          : (error && error.message) || 'failed to create manufacturer';
+        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    deleteManufacturer: async (req, res) => {
+      try {
+        if (!Manufacturer) {
+          return res.status(503).json({ error: 'manufacturer catalog is unavailable' });
+        }
+
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id) || id <= 0) {
+          return res.status(400).json({ error: 'invalid manufacturer id' });
+        }
+
+        const manufacturer = await Manufacturer.findByPk(id);
+        if (!manufacturer) {
+          return res.status(404).json({ error: 'manufacturer not found' });
+        }
+
+        const linkedSdsMappings = SdsDocument
+          ? await SdsDocument.count({ where: { manufacturer_id: id } })
+          : 0;
+        if (linkedSdsMappings > 0) {
+          return res.status(400).json({ error: 'manufacturer has SDS mappings; remove mappings first' });
+        }
+
+        await hazmatSequelize.transaction(async (transaction) => {
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'manufacturer',
+            entity_id: String(manufacturer.id),
+            action: 'deleted',
+            detail: `Deleted manufacturer ${manufacturer.name}`,
+          }, transaction);
+          await manufacturer.destroy({ transaction });
+        });
+
+        return res.json({ ok: true, id });
+      } catch (error) {
+        console.error('command center delete manufacturer', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete manufacturer' });
+      }
+    },
+
+    listMaterials: async (req, res) => {
+      try {
+        const archived = isArchivedListRequest(req);
+        const [materials, casThresholdLookup] = await Promise.all([
+          (archived ? Material.unscoped() : Material).findAll({
+            where: archived ? { archived_at: { [Op.ne]: null } } : undefined,
+            include: MaterialContainer ? [{ model: MaterialContainer, as: 'containers' }] : [],
+            order: [
+              ['expiration_date', 'ASC'],
+              ['name', 'ASC'],
+            ],
+          }),
+          getCasThresholdLookupMap(),
+        ]);
+
+        const hazardCode = String((req.query && (req.query.hazard_code || req.query.hazardCode)) || '').trim();
+        const precautionaryCode = String((req.query && (req.query.precautionary_code || req.query.precautionaryCode)) || '').trim();
+        const requestedCas = String((req.query && (req.query.cas_number || req.query.casNumber)) || '').trim();
+        const casNumber = requestedCas ? normalizeCasNumber(requestedCas) : null;
+        if (requestedCas && !casNumber) {
+          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
+        }
+
+        let filtered = materials;
+        if (casNumber) {
+          filtered = filtered.filter((material) => listMaterialCasNumbers(material).includes(casNumber));
+        }
+        if ((hazardCode || precautionaryCode) && casService && typeof casService.findCasNumbersByStatements === 'function') {
+          const matchingCas = casService.findCasNumbersByStatements({
+            hazard_code: hazardCode,
+            precautionary_code: precautionaryCode,
+          });
+          filtered = filtered.filter((material) => listMaterialCasNumbers(material).some((entry) => matchingCas.has(entry)));
+        }
+
+        return res.json(filtered.map((material) => formatMaterial(material, { casThresholdLookup })));
+      } catch (error) {
+        console.error('command center list materials', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load materials' });
+      }
+    },
+
+    getMaterialHazardProfile: async (req, res) => {
+      try {
+        const material = await Material.findByPk(Number(req.params.id));
+        if (!material) return res.status(404).json({ error: 'material not found' });
+
+        const formatted = formatMaterial(material);
+        const profile = await buildMaterialHazardProfile(material);
+        return res.json({
+          material_id: formatted.id,
+          cas_number: formatted.cas_number,
+          is_mixture: formatted.is_mixture,
+          ...profile,
+          signal_word: profile.signal_word || deriveSignalWord(formatted.ghs_symbols),
+        });
+      } catch (error) {
+        console.error('command center material hazard profile', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to build material hazard profile' });
+      }
+    },
+
+    listSdsDocuments: async (req, res) => {
+      try {
+        if (!SdsDocument) {
+          return res.status(503).json({ error: 'sds catalog is unavailable' });
+        }
+
+        const manufacturerId = normalizeNumericId((req.query && req.query.manufacturer_id) || (req.query && req.query.manufacturerId));
+        const requestedCas = String((req.query && (req.query.cas_number || req.query.casNumber)) || '').trim();
+        const casNumber = requestedCas ? normalizeCasNumber(requestedCas) : null;
+
+        if (requestedCas && !casNumber) {
+          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
+        }
+
+        const whereClause = {};
+        if (manufacturerId) {
+          whereClause.manufacturer_id = manufacturerId;
+        }
+        if (casNumber) {
+          whereClause.cas_number = casNumber;
+        }
+
+        const records = await SdsDocument.findAll({
+          where: whereClause,
+          include: [{
+            model: Manufacturer,
+            as: 'manufacturer_record',
+            required: false,
+          }],
+          order: [
+            ['manufacturer', 'ASC'],
+            ['cas_number', 'ASC'],
+            ['id', 'ASC'],
+          ],
+        });
+
+        return res.json(records.map(formatSdsDocument));
+      } catch (error) {
+        console.error('command center list SDS documents', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load sds documents' });
+      }
+    },
+
+    deleteSdsDocument: async (req, res) => {
+      try {
+        if (!SdsDocument) {
+          return res.status(503).json({ error: 'sds catalog is unavailable' });
+        }
+
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id) || id <= 0) {
+          return res.status(400).json({ error: 'invalid sds document id' });
+        }
+
+        const record = await SdsDocument.findByPk(id, {
+          include: [{
+            model: Manufacturer,
+            as: 'manufacturer_record',
+            required: false,
+          }],
+        });
+        if (!record) {
+          return res.status(404).json({ error: 'sds document not found' });
+        }
+
+        const linkedMaterials = await Material.count({
+          where: {
+            sds_id: id,
+            sds_not_required: 0,
+          },
+        });
+        if (linkedMaterials > 0) {
+          return res.status(400).json({ error: 'sds document is linked to active materials' });
+        }
+
+        const formatted = formatSdsDocument(record);
+        await hazmatSequelize.transaction(async (transaction) => {
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'sds_document',
+            entity_id: String(id),
+            action: 'deleted',
+            detail: `Deleted SDS mapping for ${formatted.cas_number || 'unknown CAS'} / ${formatted.manufacturer || 'unknown manufacturer'}`,
+          }, transaction);
+          if (SdsRevision) {
+            await SdsRevision.destroy({ where: { sds_document_id: id }, transaction });
+          }
+          await record.destroy({ transaction });
+        });
+
+        return res.json({ ok: true, id });
+      } catch (error) {
+        console.error('command center delete SDS document', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete sds document' });
+      }
+    },
+
+    listSdsRevisions: async (req, res) => {
+      try {
+        if (!SdsDocument || !SdsRevision) {
+          return res.status(503).json({ error: 'sds catalog is unavailable' });
+        }
+
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id) || id <= 0) {
+          return res.status(400).json({ error: 'invalid sds document id' });
+        }
+
+        const record = await SdsDocument.findByPk(id, {
+          include: [{
+            model: Manufacturer,
+            as: 'manufacturer_record',
+            required: false,
+          }],
+        });
+        if (!record) {
+          return res.status(404).json({ error: 'sds document not found' });
+        }
+
+        const revisions = await SdsRevision.findAll({
+          where: { sds_document_id: id },
+          order: [['revision_number', 'DESC']],
+        });
+
+        return res.json({
+          sds: formatSdsDocument(record),
+          revisions: revisions.map(formatSdsRevision),
+        });
+      } catch (error) {
+        console.error('command center list SDS revisions', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load sds revisions' });
+      }
+    },
+
+    getHazmatSdsCompliance: async (req, res) => {
+      try {
+        const reviewAgeDays = normalizePositiveLimit(req.query && req.query.review_age_days, SDS_REVIEW_DEFAULT_AGE_DAYS, 3650);
+        const materials = await Material.findAll({
+          attributes: ['id', 'cas_number', 'components', 'manufacturer', 'sds_not_required', 'sds_id', 'sds_file_path'],
+          order: [['id', 'ASC']],
+        });
+
+        let requiredTotal = 0;
+        let coveredTotal = 0;
+        let missingManufacturerTotal = 0;
+        let missingCasTotal = 0;
+        let missingLinkTotal = 0;
+        const missingPairMap = new Map();
+        const linkedMaterialCounts = new Map();
+
+        materials.forEach((material) => {
+          const payload = material && typeof material.toJSON === 'function' ? material.toJSON() : (material || {});
+          const sdsNotRequired = normalizeSdsNotRequired(payload && payload.sds_not_required, true);
+          if (sdsNotRequired) return;
+
+          requiredTotal += 1;
+
+          const casNumber = listMaterialCasNumbers(payload)[0] || null;
+          const manufacturer = normalizeManufacturer(payload && payload.manufacturer);
+          const sdsId = normalizeNumericId(payload && payload.sds_id);
+          const sdsPath = normalizeSdsPath(payload && payload.sds_file_path);
+          const hasCoverage = Boolean(sdsId && sdsPath);
+
+          if (hasCoverage) {
+            coveredTotal += 1;
+            linkedMaterialCounts.set(sdsId, (linkedMaterialCounts.get(sdsId) || 0) + 1);
+            return;
+          }
+
+          missingLinkTotal += 1;
+          if (!casNumber) {
+            missingCasTotal += 1;
+          }
+          if (!manufacturer) {
+            missingManufacturerTotal += 1;
+          }
+
+          if (casNumber && manufacturer) {
+            const key = `${casNumber}::${normalizeManufacturerKey(manufacturer)}`;
+            const current = missingPairMap.get(key) || {
+              cas_number: casNumber,
+              manufacturer,
+              count: 0,
+            };
+            current.count += 1;
+            missingPairMap.set(key, current);
+          }
+        });
+
+        const missingTotal = Math.max(requiredTotal - coveredTotal, 0);
+        const coveragePercent = requiredTotal > 0
+          ? Number(((coveredTotal / requiredTotal) * 100).toFixed(2))
+          : 100;
+        const mappedDocumentsTotal = SdsDocument ? await SdsDocument.count() : 0;
+        const reviewCutoff = new Date(Date.now() - (reviewAgeDays * 24 * 60 * 60 * 1000)).toISOString().slice(0, 10);
+        const reviewDueRecords = SdsDocument
+          ? await SdsDocument.findAll({
+            where: { revision_date: { [Op.lt]: reviewCutoff } },
+            order: [['revision_date', 'ASC'], ['id', 'ASC']],
+          })
+          : [];
+        const reviewDue = reviewDueRecords.map((record) => {
+          const document = formatSdsDocument(record);
+          return {
+            id: document.id,
+            cas_number: document.cas_number,
+            manufacturer: document.manufacturer,
+            revision_date: document.revision_date,
+            sds_file_path: document.sds_file_path,
+            age_days: -daysUntil(document.revision_date),
+            linked_materials: linkedMaterialCounts.get(document.id) || 0,
+          };
+        });
+        const topMissingPairs = Array.from(missingPairMap.values())
+          .sort((left, right) => right.count - left.count || left.cas_number.localeCompare(right.cas_number))
+          .slice(0, 12);
+
+        return res.json({
+          required_total: requiredTotal,
+          covered_total: coveredTotal,
+          missing_total: missingTotal,
+          missing_link_total: missingLinkTotal,
+          missing_manufacturer_total: missingManufacturerTotal,
+          missing_cas_total: missingCasTotal,
+          coverage_percent: coveragePercent,
+          mapped_documents_total: mappedDocumentsTotal,
+          top_missing_pairs: topMissingPairs,
+          review_age_days: reviewAgeDays,
+          review_due_total: reviewDue.length,
+          review_due_material_total: reviewDue.reduce((sum, entry) => sum + entry.linked_materials, 0),
+          review_due: reviewDue.slice(0, 25),
+        });
+      } catch (error) {
+        console.error('command center hazmat SDS compliance', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to build hazmat sds compliance' });
+      }
+    },
+
+    resolveSdsDocument: async (req, res) => {
+      try {
+        if (!SdsDocument) {
+          return res.status(503).json({ error: 'sds catalog is unavailable' });
+        }
+
+        const casNumber = normalizeCasNumber((req.query && req.query.cas_number) || '');
+        const manufacturerId = normalizeNumericId((req.query && req.query.manufacturer_id) || (req.query && req.query.manufacturerId));
+        const manufacturer = normalizeManufacturer((req.query && req.query.manufacturer) || '');
+
+        if (!casNumber) {
+          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
+        }
+
+        if (!manufacturerId && !manufacturer) {
+          return res.status(400).json({ error: 'manufacturer is required' });
+        }
+
+        const manufacturerRecord = await resolveManufacturerRecordForSds({
+          manufacturer_id: manufacturerId,
+          manufacturer,
+        }, null, {
+          requireExisting: false,
+          allowCreate: false,
+        });
+
+        const record = await findSdsDocumentByCasManufacturer(casNumber, {
+          manufacturer_id: manufacturerRecord && manufacturerRecord.id,
+          manufacturer: manufacturerRecord && manufacturerRecord.name ? manufacturerRecord.name : manufacturer,
+        });
+        if (!record) {
+          return res.json({ found: false, sds: null });
+        }
+
+        return res.json({ found: true, sds: formatSdsDocument(record) });
+      } catch (error) {
+        console.error('command center resolve SDS', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to resolve sds document' });
+      }
+    },
+
+    uploadSdsDocument: async (req, res) => {
+      try {
+        if (!SdsDocument) {
+          return res.status(503).json({ error: 'sds catalog is unavailable' });
+        }
+
+        if (!paths || !paths.SDS_UPLOADS_DIR) {
+          return res.status(500).json({ error: 'sds uploads path is not configured' });
+        }
+
+        const file = await runSingleUpload(hazmatSdsUpload, req, res);
+        if (!file) {
+          return res.status(400).json({ error: 'file is required' });
+        }
+
+        const casNumber = normalizeCasNumber((req.body && req.body.cas_number) || (req.query && req.query.cas_number) || '');
+        const manufacturerId = normalizeNumericId(
+          (req.body && (req.body.manufacturer_id || req.body.manufacturerId))
+          || (req.query && (req.query.manufacturer_id || req.query.manufacturerId))
+        );
+        const manufacturer = normalizeManufacturer((req.body && req.body.manufacturer) || (req.query && req.query.manufacturer) || '');
+
+        if (!casNumber) {
+          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        const requestedRevisionDate = (req.body && req.body.revision_date) || '';
+        const revisionDate = requestedRevisionDate ? normalizeDate(requestedRevisionDate) : today;
+        if (!revisionDate) {
+          return res.status(400).json({ error: 'revision_date is invalid' });
+        }
+        if (revisionDate > today) {
+          return res.status(400).json({ error: 'revision_date cannot be in the future' });
+        }
+
+        const actor = buildLogActor(req);
+        const publicPath = buildRelativeUploadPath('sds', file.filename);
+        const result = await hazmatSequelize.transaction(async (transaction) => {
+          const manufacturerRecord = await resolveManufacturerRecordForSds({
+            manufacturer_id: manufacturerId,
+            manufacturer,
+          }, transaction, {
+            requireExisting: true,
+            allowCreate: false,
+          });
+          if (!manufacturerRecord) {
+            throw new Error('manufacturer is required');
+          }
+
+          const normalizedManufacturerId = normalizeNumericId(manufacturerRecord.id);
+          const normalizedManufacturerName = normalizeManufacturer(manufacturerRecord.name);
+
+          const existing = await findSdsDocumentByCasManufacturer(casNumber, {
+            manufacturer_id: normalizedManufacturerId,
+            manufacturer: normalizedManufacturerName,
+          }, transaction);
+          if (existing) {
+            const previous = await SdsRevision.findOne({
+              where: { sds_document_id: existing.id },
+              order: [['revision_number', 'DESC']],
+              transaction,
+            });
+            if (previous && normalizeDate(previous.revision_date) > revisionDate) {
+              throw new Error(`revision_date cannot be older than the current revision (${normalizeDate(previous.revision_date)})`);
+            }
+
+            const now = new Date();
+            const revision = await SdsRevision.create({
+              sds_document_id: existing.id,
+              revision_number: previous ? Number(previous.revision_number) + 1 : 1,
+              revision_date: revisionDate,
+              sds_file_path: publicPath,
+              uploaded_by: actor.actor_name,
+              uploaded_at: now,
+              supersedes_id: previous ? previous.id : null,
+            }, { transaction });
+            if (previous) {
+              await previous.update({ superseded_at: now }, { transaction });
+            }
+
+            await existing.update({
+              cas_number: casNumber,
+              manufacturer_id: normalizedManufacturerId,
+              manufacturer: normalizedManufacturerName,
+              sds_file_path: publicPath,
+              revision_date: revisionDate,
+            }, { transaction });
+            await Material.update({ sds_file_path: publicPath }, {
+              where: { sds_id: existing.id },
+              transaction,
+            });
+            await recordHazmatLog(req, {
+              module: 'inventory',
+              entity_type: 'sds_document',
+              entity_id: String(existing.id),
+              action: 'revised',
+              detail: `Uploaded SDS revision ${revision.revision_number} for ${casNumber} / ${normalizedManufacturerName}`,
+              metadata: {
+                revision_id: revision.id,
+                revision_date: revisionDate,
+                supersedes_id: revision.supersedes_id,
+              },
+            }, transaction);
+            return { record: existing, revision, created: false };
+          }
+
+          const created = await SdsDocument.create({
+            cas_number: casNumber,
+            manufacturer_id: normalizedManufacturerId,
+            manufacturer: normalizedManufacturerName,
+            sds_file_path: publicPath,
+            revision_date: revisionDate,
+          }, { transaction });
+          const revision = await SdsRevision.create({
+            sds_document_id: created.id,
+            revision_number: 1,
+            revision_date: revisionDate,
+            sds_file_path: publicPath,
+            uploaded_by: actor.actor_name,
+          }, { transaction });
+
+          await created.reload({
+            include: [{
+              model: Manufacturer,
+              as: 'manufacturer_record',
+              required: false,
+            }],
+            transaction,
+          });
+
+          return { record: created, revision, created: true };
+        });
+
+        return res.status(result.created ? 201 : 200).json({
+          ok: true,
+          created: result.created,
+          sds: formatSdsDocument(result.record),
+          revision: formatSdsRevision(result.revision),
+        });
+      } catch (error) {
+        const message = (error && error.message) || 'failed to upload sds document';
+        const status = /required|format|invalid|only|file|not found|cannot be/i.test(message) ? 400 : 500;
+        return res.status(status).json({ error: message });
+      }
+    },
+
+    lookupCas: async (req, res) => {
+      try {
+        if (!casService || typeof casService.lookup !== 'function') {
+          return res.status(503).json({ error: 'local CAS database unavailable' });
+        }
+
+        const requestedCas = String((req.params && req.params.casNumber) || (req.query && req.query.cas_number) || '').trim();
+        const casNumber = normalizeCasNumber(requestedCas);
+        if (!casNumber) {
+          return res.status(400).json({ error: 'invalid cas number format' });
+        }
+
+        const record = await casService.lookup(casNumber);
+        if (!record) {
+          return res.status(404).json({ error: 'cas number not found in local or live database' });
+        }
+
+        return res.json(record);
+      } catch (error) {
+        console.error('command center CAS lookup', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to query local CAS database' });
+      }
+    },
+
+    listCasIndex: async (req, res) => {
+      try {
+        if (!casService || typeof casService.list !== 'function') {
+          return res.status(503).json({ error: 'local CAS database unavailable' });
+        }
+
+        const primaryClass = normalizePrimaryClass((req.query && (req.query.primary_class || req.query.primaryClass)) || '', '');
+        const division = normalizeDivision((req.query && req.query.division) || '');
+        const hazardStatus = String((req.query && (req.query.hazard_status || req.query.hazardStatus)) || '').trim().toLowerCase();
+        const search = String((req.query && (req.query.search || req.query.q)) || '').trim();
+        const hazardCode = String((req.query && (req.query.hazard_code || req.query.hazardCode)) || '').trim();
+        const precautionaryCode = String((req.query && (req.query.precautionary_code || req.query.precautionaryCode)) || '').trim();
+        const signalWord = String((req.query && (req.query.signal_word || req.query.signalWord)) || '').trim();
+        const limit = Number.parseInt((req.query && req.query.limit) || '200', 10);
+        const offset = Number.parseInt((req.query && req.query.offset) || '0', 10);
+
+        const result = casService.list({
+          primary_class: primaryClass,
+          division,
+          hazard_status: hazardStatus,
+          hazard_code: hazardCode,
+          precautionary_code: precautionaryCode,
+          signal_word: signalWord,
+          search,
+          limit,
+          offset,
+        });
+
+        return res.json({
+          ...result,
+          filters: {
+            primary_class: primaryClass || '',
+            division,
+            hazard_status: hazardStatus,
+            hazard_code: hazardCode,
+            precautionary_code: precautionaryCode,
+            signal_word: signalWord,
+            search,
+          },
+        });
+      } catch (error) {
+        console.error('command center CAS index list', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to query local CAS index' });
+      }
+    },
+
+    casIndexSummary: async (req, res) => {
+      try {
+        if (!casService || typeof casService.getClassSummary !== 'function') {
+          return res.status(503).json({ error: 'local CAS database unavailable' });
+        }
+
+        const summary = casService.getClassSummary();
+        return res.json(summary);
+      } catch (error) {
+        console.error('command center CAS index summary', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to query local CAS summary' });
+      }
+    },
+
+    listCasThresholdDefaults: async (req, res) => {
+      try {
+        if (!CasThresholdDefault) {
+          return res.json([]);
+        }
+
+        const rows = await CasThresholdDefault.findAll({
+          order: [['cas_number', 'ASC']],
+        });
+        return res.json(rows.map(formatCasThresholdDefault));
+      } catch (error) {
+        console.error('command center list CAS thresholds', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load cas thresholds' });
+      }
+    },
+
+    createCasThresholdDefault: async (req, res) => {
+      try {
+        if (!CasThresholdDefault) {
+          return res.status(503).json({ error: 'cas thresholds are unavailable' });
+        }
+
+        const payload = normalizeCasThresholdPayload(req.body || {});
+        const existing = await CasThresholdDefault.findOne({ where: { cas_number: payload.cas_number } });
+        if (existing) {
+          await existing.update(payload);
+          return res.status(201).json(formatCasThresholdDefault(existing));
+        }
+
+        const created = await CasThresholdDefault.create(payload);
+        return res.status(201).json(formatCasThresholdDefault(created));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to save cas threshold';
+        return res.status(/format|non-negative|required/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    updateCasThresholdDefault: async (req, res) => {
+      try {
+        if (!CasThresholdDefault) {
+          return res.status(503).json({ error: 'cas thresholds are unavailable' });
+        }
+
+        const casNumber = normalizeCasNumber((req.params && req.params.casNumber) || '');
+        if (!casNumber) {
+          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
+        }
+
+        const payload = normalizeCasThresholdPayload({
+          ...req.body,
+          cas_number: casNumber,
+        });
+
+        const existing = await CasThresholdDefault.findOne({ where: { cas_number: casNumber } });
+        if (!existing) {
+          return res.status(404).json({ error: 'cas threshold not found' });
+        }
+
+        await existing.update(payload);
+        return res.json(formatCasThresholdDefault(existing));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to update cas threshold';
+        return res.status(/format|non-negative|required/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    deleteCasThresholdDefault: async (req, res) => {
+      try {
+        if (!CasThresholdDefault) {
+          return res.status(503).json({ error: 'cas thresholds are unavailable' });
+        }
+
+        const casNumber = normalizeCasNumber((req.params && req.params.casNumber) || '');
+        if (!casNumber) {
+          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
+        }
+
+        const deleted = await CasThresholdDefault.destroy({ where: { cas_number: casNumber } });
+        if (!deleted) {
+          return res.status(404).json({ error: 'cas threshold not found' });
+        }
+
+        return res.json({ ok: true, cas_number: casNumber });
+      } catch (error) {
+        console.error('command center delete CAS threshold', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete cas threshold' });
+      }
+    },
+
+    createMaterial: async (req, res) => {
+      try {
+        const payload = applyStorageAreaPolicy(applyCasThresholdWritePolicy(
+          await applyMixtureHazardProfile(normalizeMaterialPayload(req.body || {}))
+        ));
+        const material = await hazmatSequelize.transaction(async (transaction) => {
+          const sdsAwarePayload = await applySdsRequirementPolicy(payload, transaction);
+          const finalizedPayload = await finalizeMaterialLabelId(Material, sdsAwarePayload, { transaction });
+          const created = await Material.create(finalizedPayload, { transaction });
+          await reconcileMaterialContainers(created, transaction);
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(created.id),
+            action: 'created',
+            detail: `Created material ${created.name}`,
+            metadata: {
+              label_id: created.label_id,
+              batch_id: created.batch_id,
+              asset_uid: buildAssetUid('hazmat', created.id),
+            },
+          }, transaction);
+          return created;
+        });
+
+        const casThresholdLookup = await getMaterialCasThresholdLookup(material);
+        return res.status(201).json(formatMaterial(material, { casThresholdLookup }));
+      } catch (error) {
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'label_id already exists'
+          : (error && error.message) || 'failed to create material';
+        return res.status(/required|exists|invalid|not found|format|missing/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    updateMaterial: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const material = await Material.findByPk(id);
+        if (!material) return res.status(404).json({ error: 'material not found' });
+
+        let payload = applyCasThresholdWritePolicy(
+          await applyMixtureHazardProfile(normalizeMaterialPayload({ ...material.toJSON(), ...(req.body || {}) }))
+        );
+        if (payload.storage_area_id !== material.storage_area_id || payload.storage_map_id !== material.storage_map_id) {
+          payload = applyStorageAreaPolicy(payload);
+        }
+        const forceRegenerate = shouldRegenerateMaterialLabel(material, payload);
+        await hazmatSequelize.transaction(async (transaction) => {
+          await assertStockLevelUnchanged(material, req.body, transaction);
+          const sdsAwarePayload = await applySdsRequirementPolicy(payload, transaction);
+          const finalizedPayload = await finalizeMaterialLabelId(Material, sdsAwarePayload, {
+            excludeId: material.id,
+            forceRegenerate,
+            transaction,
+          });
+          await material.update(finalizedPayload, { transaction });
+          await reconcileMaterialContainers(material, transaction);
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(material.id),
+            action: 'updated',
+            detail: `Updated material ${material.name}`,
+            metadata: {
+              label_id: material.label_id,
+              batch_id: material.batch_id,
+              asset_uid: buildAssetUid('hazmat', material.id),
+            },
+          }, transaction);
+        });
+
+        const casThresholdLookup = await getMaterialCasThresholdLookup(material);
+        return res.json(formatMaterial(material, { casThresholdLookup }));
+      } catch (error) {
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'label_id already exists'
+          : (error && error.message) || 'failed to update material';
+        return res.status(/required|exists|invalid|not found|format|missing|tracked by containers/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    deleteMaterial: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const reason = readArchiveReason(req);
+        const material = await Material.findByPk(id);
+        if (!material) return res.status(404).json({ error: 'material not found' });
+
+        await hazmatSequelize.transaction(async (transaction) => {
+          await material.update({
+            archived_at: new Date().toISOString(),
+            archive_reason: reason,
+            archived_by: buildLogActor(req).actor_name,
+          }, { transaction });
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(material.id),
+            action: 'archived',
+            detail: `Archived material ${material.name}: ${reason}`,
+            metadata: {
+              reason,
+              label_id: material.label_id,
+              batch_id: material.batch_id,
+              asset_uid: buildAssetUid('hazmat', material.id),
+            },
+          }, transaction);
+        });
+
+        return res.json({ ok: true, id, archived_at: material.archived_at });
+      } catch (error) {
+        const message = (error && error.message) || 'failed to archive material';
+        if (/required/i.test(message)) return res.status(400).json({ error: message });
+        console.error('command center archive material', message);
+        return res.status(500).json({ error: 'failed to archive material' });
+      }
+    },
+
+    restoreMaterial: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const material = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await Material.unscoped().findByPk(id, { transaction });
+          if (!existing) throw new Error('material not found');
+          if (!existing.archived_at) throw new Error('material is not archived');
+
+          const reason = existing.archive_reason;
+          await existing.update({ archived_at: null, archive_reason: null, archived_by: null }, { transaction });
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(existing.id),
+            action: 'restored',
+            detail: `Restored material ${existing.name}`,
+            metadata: {
+              archive_reason: reason,
+              label_id: existing.label_id,
+              asset_uid: buildAssetUid('hazmat', existing.id),
+            },
+          }, transaction);
+          return existing;
+        });
+
+        return res.json(formatMaterial(material, {
+          casThresholdLookup: await getMaterialCasThresholdLookup(material),
+        }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to restore material';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/not archived/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    importMaterials: async (req, res) => {
+      const rows = Array.isArray(req.body && req.body.materials) ? req.body.materials : [];
+      if (!rows.length) return res.status(400).json({ error: 'materials array is required' });
+
+      try {
+        const result = { created: 0, updated: 0, material_ids: [] };
+        await hazmatSequelize.transaction(async (transaction) => {
+          for (const rawRow of rows) {
+            const payload = applyStorageAreaPolicy(applyCasThresholdWritePolicy(normalizeMaterialPayload(rawRow || {})));
+            const sdsAwarePayload = await applySdsRequirementPolicy(payload, transaction);
+            const lookupValues = Array.from(new Set([
+              normalizeLabelId(sdsAwarePayload.label_id),
+              normalizeLabelId(sdsAwarePayload.batch_id),
+            ].filter(Boolean)));
+
+            const existing = lookupValues.length
+              ? await Material.findOne({
+                where: {
+                  [Op.or]: [
+                    { label_id: { [Op.in]: lookupValues } },
+                    { batch_id: { [Op.in]: lookupValues } },
+                  ],
+                },
+                transaction,
+              })
+              : null;
+
+            if (existing) {
+              await assertStockLevelUnchanged(existing, rawRow, transaction);
+              // Inventory exports predate storage areas; keep assignments when a row leaves them out.
+              ['storage_map_id', 'storage_area_id', 'corrosive_type'].forEach((field) => {
+                if (!Object.prototype.hasOwnProperty.call(rawRow || {}, field)) sdsAwarePayload[field] = existing[field];
+              });
+              const forceRegenerate = shouldRegenerateMaterialLabel(existing, sdsAwarePayload);
+              const finalizedPayload = await finalizeMaterialLabelId(Material, sdsAwarePayload, {
+                excludeId: existing.id,
+                forceRegenerate,
+                transaction,
+              });
+              await existing.update(finalizedPayload, { transaction });
+              await reconcileMaterialContainers(existing, transaction);
+              result.updated += 1;
+              result.material_ids.push(existing.id);
+            } else {
+              const finalizedPayload = await finalizeMaterialLabelId(Material, sdsAwarePayload, { transaction });
+              const created = await Material.create(finalizedPayload, { transaction });
+              await reconcileMaterialContainers(created, transaction);
+              result.created += 1;
+              result.material_ids.push(created.id);
+            }
+          }
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: null,
+            action: 'imported',
+            detail: `Imported ${rows.length} material rows`,
+            metadata: { created: result.created, updated: result.updated },
+          }, transaction);
+        });
+
+        return res.json(result);
+      } catch (error) {
+        return res.status(400).json({ error: (error && error.message) || 'failed to import materials' });
+      }
+    },
+
+    useMaterial: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const payload = normalizeUsagePayload(req.body || {});
+
+        const response = await hazmatSequelize.transaction(async (transaction) => {
+          const material = await Material.findByPk(id, { transaction });
+          if (!material) throw new Error('material not found');
+
+          await reconcileMaterialContainers(material, transaction);
+          const activeContainers = await MaterialContainer.findAll({
+            where: { material_id: material.id, status: 'active' },
+            transaction,
+          });
+
+          const scanned = Boolean(payload.container_id || payload.container_label);
+          let candidates = sortContainersForConsumption(activeContainers);
+          if (scanned) {
+            const selected = activeContainers.find((container) => (
+              payload.container_id
+                ? Number(container.id) === payload.container_id
+                : normalizeLabelId(container.container_label) === payload.container_label
+            ));
+            if (!selected) throw new Error('container not found');
+            candidates = [selected];
+          }
+
+          const available = roundQuantity(candidates.reduce((sum, container) => sum + normalizeNumber(container.remaining_quantity), 0));
+          if (available < payload.quantity) {
+            throw new Error(scanned ? 'quantity would reduce container stock below zero' : 'quantity would reduce stock below zero');
+          }
+
+          const usageLogs = [];
+          const drawn = [];
+          const timestamp = new Date().toISOString();
+          let outstanding = payload.quantity;
+          for (const container of candidates) {
+            if (outstanding <= 0) break;
+            const draw = roundQuantity(Math.min(normalizeNumber(container.remaining_quantity), outstanding));
+            if (draw <= 0) continue;
+
+            const remaining = roundQuantity(normalizeNumber(container.remaining_quantity) - draw);
+            await container.update({
+              remaining_quantity: remaining,
+              status: remaining <= 0 ? 'empty' : 'active',
+            }, { transaction });
+
+            usageLogs.push(await UsageLog.create({
+              material_id: material.id,
+              container_id: container.id,
+              user_id: req.user && req.user.id ? req.user.id : null,
+              quantity_delta: -draw,
+              timestamp,
+              reason: payload.reason,
+            }, { transaction }));
+            drawn.push({
+              container_id: container.id,
+              container_label: container.container_label,
+              lot_number: container.lot_number || null,
+              expiration_date: container.expiration_date || null,
+              quantity: draw,
+              remaining_quantity: remaining,
+            });
+            outstanding = roundQuantity(outstanding - draw);
+          }
+
+          await syncMaterialStockFromContainers(material, transaction);
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(material.id),
+            action: 'used',
+            detail: `Used ${payload.quantity} from ${material.name} (${drawn.map((entry) => entry.container_label).join(', ')})`,
+            metadata: {
+              quantity: payload.quantity,
+              reason: payload.reason,
+              selection: scanned ? 'scanned' : 'fifo',
+              containers: drawn,
+              asset_uid: buildAssetUid('hazmat', material.id),
+            },
+          }, transaction);
+
+          await material.reload({
+            include: [{ model: MaterialContainer, as: 'containers' }],
+            transaction,
+          });
+          return { material, usageLogs, drawn };
+        });
+
+        const formattedLogs = response.usageLogs.map((usageLog) => ({
+          id: usageLog.id,
+          container_id: usageLog.container_id,
+          quantity_delta: usageLog.quantity_delta,
+          timestamp: usageLog.timestamp,
+          reason: usageLog.reason,
+        }));
+
+        return res.status(201).json({
+          material: formatMaterial(response.material, {
+            casThresholdLookup: await getMaterialCasThresholdLookup(response && response.material),
+          }),
+          usage_log: formattedLogs[0] || null,
+          usage_logs: formattedLogs,
+          containers_used: response.drawn,
+        });
+      } catch (error) {
+        const message = (error && error.message) || 'failed to use material';
+        return res.status(/not found|below zero|greater than zero/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    listMaterialContainers: async (req, res) => {
+      try {
+        const material = await Material.findByPk(Number(req.params.id));
+        if (!material) return res.status(404).json({ error: 'material not found' });
+
+        const containers = await MaterialContainer.findAll({ where: { material_id: material.id } });
+        return res.json(sortContainersForConsumption(containers).map(formatMaterialContainer));
+      } catch (error) {
+        console.error('command center list material containers', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load material containers' });
+      }
+    },
+
+    createMaterialContainer: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const payload = normalizeMaterialContainerPayload(req.body || {});
+
+        const container = await hazmatSequelize.transaction(async (transaction) => {
+          const material = await Material.findByPk(id, { transaction });
+          if (!material) throw new Error('material not found');
+
+          await reconcileMaterialContainers(material, transaction);
+          const created = await MaterialContainer.create({
+            received_date: normalizeDate(new Date()),
+            expiration_date: material.expiration_date || null,
+            ...payload,
+            container_label: payload.container_label || await buildNextContainerLabel(material, transaction),
+            material_id: material.id,
+            status: 'active',
+          }, { transaction });
+          await syncMaterialStockFromContainers(material, transaction);
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(material.id),
+            action: 'container_received',
+            detail: `Received container ${created.container_label} of ${material.name}`,
+            metadata: {
+              container_id: created.id,
+              container_label: created.container_label,
+              lot_number: created.lot_number || null,
+              quantity: created.initial_quantity,
+              expiration_date: created.expiration_date || null,
+              asset_uid: buildAssetUid('hazmat', material.id),
+            },
+          }, transaction);
+          return created;
+        });
+
+        return res.status(201).json(formatMaterialContainer(container));
+      } catch (error) {
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'container_label already exists'
+          : (error && error.message) || 'failed to create material container';
+        return res.status(/required|exists|invalid|not found|greater than zero/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    updateMaterialContainer: async (req, res) => {
+      try {
+        const materialId = Number(req.params.id);
+        const containerId = Number(req.params.containerId);
+        const payload = normalizeMaterialContainerPayload(req.body || {}, { partial: true });
+        delete payload.initial_quantity;
+        delete payload.remaining_quantity;
+        if (Object.prototype.hasOwnProperty.call(payload, 'container_label') && !payload.container_label) {
+          delete payload.container_label;
+        }
+
+        const container = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await MaterialContainer.findOne({
+            where: { id: containerId, material_id: materialId },
+            transaction,
+          });
+          if (!existing) throw new Error('container not found');
+
+          const closing = payload.status && payload.status !== existing.status;
+          if (payload.status && existing.status === 'disposed') {
+            throw new Error('container is already disposed');
+          }
+          const discarded = closing ? normalizeNumber(existing.remaining_quantity) : 0;
+          await existing.update(closing ? { ...payload, remaining_quantity: 0 } : payload, { transaction });
+          if (discarded > 0) {
+            await UsageLog.create({
+              material_id: materialId,
+              container_id: existing.id,
+              user_id: req.user && req.user.id ? req.user.id : null,
+              quantity_delta: -roundQuantity(discarded),
+              timestamp: new Date().toISOString(),
+              reason: `container ${payload.status}`,
+              kind: 'disposal',
+            }, { transaction });
+          }
+          if (closing) {
+            const material = await Material.findByPk(materialId, { transaction });
+            if (material) {
+              await syncMaterialStockFromContainers(material, transaction);
+            }
+          }
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(materialId),
+            action: closing ? `container_${payload.status}` : 'container_updated',
+            detail: closing
+              ? `Marked container ${existing.container_label} ${payload.status}${discarded > 0 ? ` with ${discarded} remaining` : ''}`
+              : `Updated container ${existing.container_label}`,
+            metadata: {
+              container_id: existing.id,
+              container_label: existing.container_label,
+              changes: Object.keys(payload),
+              discarded_quantity: closing ? discarded : undefined,
+              asset_uid: buildAssetUid('hazmat', materialId),
+            },
+          }, transaction);
+          return existing;
+        });
+
+        return res.json(formatMaterialContainer(container));
+      } catch (error) {
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'container_label already exists'
+          : (error && error.message) || 'failed to update material container';
+        return res.status(/required|exists|invalid|not found|greater than zero|already disposed/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    verifyMaterial: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const payload = normalizeVerificationPayload(req.body || {});
+
+        const material = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await Material.findByPk(id, { transaction });
+          if (!existing) throw new Error('material not found');
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(existing.id),
+            action: 'verified',
+            detail: `Verified material ${existing.name}`,
+            metadata: {
+              notes: payload.notes,
+              label_id: existing.label_id,
+              batch_id: existing.batch_id,
+              asset_uid: buildAssetUid('hazmat', existing.id),
+            },
+          }, transaction);
+
+          return existing;
+        });
+
+        return res.status(201).json({
+          ok: true,
+          material: formatMaterial(material, {
+            casThresholdLookup: await getMaterialCasThresholdLookup(material),
+          }),
+        });
+      } catch (error) {
+        const message = (error && error.message) || 'failed to verify material';
+        return res.status(/not found/i.test(message) ? 404 : 500).json({ error: message });
+      }
+    },
+
+    moveMaterial: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const storageAreaId = normalizeOptionalText(req.body && req.body.storage_area_id);
+        const payload = applyStorageAreaPolicy({
+          storage_map_id: storageAreaId ? normalizeOptionalText(req.body && req.body.storage_map_id) : null,
+          storage_area_id: storageAreaId,
+        });
+
+        const material = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await Material.findByPk(id, { transaction });
+          if (!existing) throw new Error('material not found');
+
+          const areas = loadStorageAreaIndex();
+          const describeArea = (mapId, areaId) => {
+            if (!areaId) return 'Unassigned';
+            const area = areas.get(`${mapId || ''}::${areaId}`);
+            return area ? `${area.map_name} / ${area.area_name}` : areaId;
+          };
+          const from = describeArea(existing.storage_map_id, existing.storage_area_id);
+          await existing.update(payload, { transaction });
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(existing.id),
+            action: 'moved',
+            detail: `Moved ${existing.name} from ${from} to ${describeArea(payload.storage_map_id, payload.storage_area_id)}`,
+            metadata: {
+              ...payload,
+              label_id: existing.label_id,
+              asset_uid: buildAssetUid('hazmat', existing.id),
+            },
+          }, transaction);
+          return existing;
+        });
+
+        return res.json(formatMaterial(material, {
+          casThresholdLookup: await getMaterialCasThresholdLookup(material),
+        }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to move material';
+        return res.status(/required|not found/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    scanHazmatLabel: async (req, res) => {
+      try {
+        const code = normalizeLabelId(req.body && (req.body.code || req.body.label_id));
+        if (!code) {
+          return res.status(400).json({ error: 'code is required' });
+        }
+
+        let material = await Material.findOne({
+          where: {
+            [Op.or]: [
+              { label_id: code },
+              { batch_id: code },
+            ],
+          },
+        });
+        const container = material
+          ? null
+          : await MaterialContainer.findOne({ where: { container_label: code } });
+        if (container) {
+          material = await Material.findByPk(container.material_id);
+        }
+
+        const containers = material
+          ? await MaterialContainer.findAll({ where: { material_id: material.id } })
+          : [];
+        const decoded = decodeLabelId(material ? material.label_id : code);
+        const match = container ? 'container' : (material ? 'material' : null);
+
+        if (readScanSessionId(req)) {
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: material ? 'material' : 'scan',
+            entity_id: material ? String(material.id) : code,
+            action: material ? 'scanned' : 'scan_unknown',
+            detail: material ? `Scanned ${code} (${material.name})` : `Scanned unknown label ${code}`,
+            metadata: { code, match },
+          });
+        }
+
+        return res.json({
+          code,
+          found: Boolean(material),
+          match,
+          decoded: {
+            ...decoded,
+            ...expandLabelDecoder(decoded),
+          },
+          material: material
+            ? formatMaterial(material, { casThresholdLookup: await getMaterialCasThresholdLookup(material) })
+            : null,
+          container: container ? formatMaterialContainer(container) : null,
+          containers: sortContainersForConsumption(containers).map(formatMaterialContainer),
+        });
+      } catch (error) {
+        console.error('command center scan label', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to resolve scanned label' });
+      }
+    },
+
+    listScanSessions: async (req, res) => {
+      try {
+        const days = normalizePositiveLimit(req.query && req.query.days, SCAN_SESSION_DEFAULT_DAYS, 90);
+        const logs = await HazmatLog.findAll({
+          where: {
+            module: 'inventory',
+            timestamp: { [Op.gte]: new Date(Date.now() - (days * 24 * 60 * 60 * 1000)) },
+            metadata: { [Op.like]: '%"scan_session_id"%' },
+          },
+          order: [['timestamp', 'ASC'], ['id', 'ASC']],
+        });
+
+        const sessions = new Map();
+        logs.forEach((log) => {
+          const sessionId = log.metadata && log.metadata.scan_session_id;
+          if (!sessionId) return;
+          const session = sessions.get(sessionId) || {
+            scan_session_id: sessionId,
+            started_at: log.timestamp,
+            ended_at: log.timestamp,
+            actors: new Set(),
+            scans: 0,
+            unknown_scans: 0,
+            actions: 0,
+          };
+          session.ended_at = log.timestamp;
+          session.actors.add(log.actor_name || 'System');
+          if (log.action === 'scanned') session.scans += 1;
+          else if (log.action === 'scan_unknown') session.unknown_scans += 1;
+          else session.actions += 1;
+          sessions.set(sessionId, session);
+        });
+
+        return res.json(Array.from(sessions.values())
+          .map((session) => ({ ...session, actors: Array.from(session.actors) }))
+          .sort((left, right) => new Date(right.started_at) - new Date(left.started_at)));
+      } catch (error) {
+        console.error('command center list scan sessions', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load scan sessions' });
+      }
+    },
+
+    getScanSession: async (req, res) => {
+      try {
+        const sessionId = String(req.params.sessionId || '').trim();
+        if (!SCAN_SESSION_ID_PATTERN.test(sessionId)) {
+          return res.status(400).json({ error: 'invalid scan session id' });
+        }
+
+        const logs = await HazmatLog.findAll({
+          where: {
+            module: 'inventory',
+            [Op.and]: [hazmatSequelize.literal(
+              `metadata LIKE ${hazmatSequelize.escape(`%"scan_session_id":"${escapeLikePattern(sessionId)}"%`)} ESCAPE '\\'`
+            )],
+          },
+          order: [['timestamp', 'ASC'], ['id', 'ASC']],
+        });
+        if (!logs.length) {
+          return res.status(404).json({ error: 'scan session not found' });
+        }
+
+        return res.json({
+          scan_session_id: sessionId,
+          entries: logs.map((log) => ({
+            id: log.id,
+            timestamp: log.timestamp,
+            actor_name: log.actor_name,
+            action: log.action,
+            entity_type: log.entity_type,
+            entity_id: log.entity_id,
+            detail: log.detail,
+          })),
+        });
+      } catch (error) {
+        console.error('command center scan session', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load scan session' });
+      }
+    },
+
+    uploadCalibrationAttachment: (req, res) => {
+      if (!calibrationAttachmentUpload || typeof calibrationAttachmentUpload.single !== 'function') {
+        return res.status(500).json({ error: 'calibration attachment upload is unavailable' });
+      }
+
+      return calibrationAttachmentUpload.single('attachment')(req, res, (error) => {
+        if (error) {
+          return res.status(400).json({ error: error.message || 'upload failed' });
+        }
+
+        if (!req.file || !req.file.filename) {
+          return res.status(400).json({ error: 'attachment is required' });
+        }
+
+        return res.status(201).json({
+          ok: true,
+          path: `/calibration-attachments/${req.file.filename}`,
+          file_name: req.file.filename,
+          original_name: req.file.originalname,
+        });
+      });
+    },
+
+    getHazmatReorder: async (req, res) => {
+      try {
+        const windowDays = normalizePositiveLimit(req.query && req.query.window_days, REORDER_DEFAULT_WINDOW_DAYS, 365);
+        const includeAll = String((req.query && req.query.include_all) || '').trim().toLowerCase();
+        const [materials, casThresholdLookup, consumedByMaterial, manufacturers, pendingByItem] = await Promise.all([
+          Material.findAll(),
+          getCasThresholdLookupMap(),
+          loadMaterialConsumption(windowDays),
+          Manufacturer ? Manufacturer.findAll() : [],
+          loadPendingPurchaseQuantities(),
+        ]);
+
+        const manufacturerIds = new Map(manufacturers.map((manufacturer) => [normalizeManufacturerKey(manufacturer.name), manufacturer.id]));
+
+        const items = buildReorderSuggestions(
+          materials.map((material) => formatMaterial(material, { casThresholdLookup })),
+          { windowDays, consumedByMaterial, pendingByItem }
+        ).map((item) => ({
+          ...item,
+          manufacturer_id: manufacturerIds.get(normalizeManufacturerKey(item.manufacturer)) || null,
+        }));
+
+        return res.json({
+          window_days: windowDays,
+          generated_at: new Date().toISOString(),
+          items: includeAll === 'true' || includeAll === '1' ? items : items.filter((item) => item.needs_reorder),
+        });
+      } catch (error) {
+        console.error('command center hazmat reorder', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to build reorder list' });
+      }
+    },
+
+    getHazmatForecast: async (req, res) => {
+      try {
+        const windowDays = normalizePositiveLimit(req.query && req.query.window_days, FORECAST_DEFAULT_WINDOW_DAYS, 365);
+        const horizonDays = normalizePositiveLimit(req.query && req.query.horizon_days, FORECAST_DEFAULT_HORIZON_DAYS, 365);
+        const [materials, casThresholdLookup, consumedByMaterial] = await Promise.all([
+          Material.findAll({
+            include: MaterialContainer ? [{ model: MaterialContainer, as: 'containers' }] : [],
+          }),
+          getCasThresholdLookupMap(),
+          loadMaterialConsumption(windowDays),
+        ]);
+
+        const forecast = buildConsumptionForecast(
+          materials.map((material) => formatMaterial(material, { casThresholdLookup })),
+          { windowDays, horizonDays, consumedByMaterial }
+        );
+        return res.json({
+          window_days: windowDays,
+          horizon_days: horizonDays,
+          generated_at: new Date().toISOString(),
+          ...forecast,
+        });
+      } catch (error) {
+        console.error('command center hazmat forecast', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to build consumption forecast' });
+      }
+    },
+
+    getStorageCompatibility: async (req, res) => {
+      try {
+        const mapId = normalizeOptionalText(req.query && req.query.map_id);
+        const materials = await Material.findAll();
+        const storageAreas = loadStorageAreaIndex();
+        const report = buildStorageCompatibilityReport(
+          materials.map((material) => formatMaterial(material)),
+          storageAreas,
+          { mapId }
+        );
+        return res.json({
+          generated_at: new Date().toISOString(),
+          map_id: mapId,
+          ...report,
+          storage_areas: Array.from(storageAreas.values()).filter((area) => !mapId || area.map_id === mapId),
+        });
+      } catch (error) {
+        console.error('command center storage compatibility', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to build storage compatibility report' });
+      }
+    },
+
+    getQuantityReport: async (req, res) => {
+      try {
+        const mapId = normalizeOptionalText(req.query && req.query.map_id);
+        const [materials, limits] = await Promise.all([
+          Material.findAll(),
+          QuantityLimit.findAll({ order: [['hazard_class', 'ASC']] }),
+        ]);
+
+        const formattedLimits = limits.map(formatQuantityLimit);
+        return res.json({
+          generated_at: new Date().toISOString(),
+          map_id: mapId,
+          basis: 'stock_level x container_size',
+          limits: formattedLimits,
+          ...buildQuantityAggregation(materials.map((material) => formatMaterial(material)), {
+            limits: formattedLimits,
+            storageAreas: loadStorageAreaIndex(),
+            mapId,
+          }),
+        });
+      } catch (error) {
+        console.error('command center quantity report', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to build quantity report' });
+      }
+    },
+
+    listQuantityLimits: async (req, res) => {
+      try {
+        const limits = await QuantityLimit.findAll({ order: [['hazard_class', 'ASC']] });
+        return res.json(limits.map(formatQuantityLimit));
+      } catch (error) {
+        console.error('command center list quantity limits', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load quantity limits' });
+      }
+    },
+
+    saveQuantityLimit: async (req, res) => {
+      try {
+        const payload = normalizeQuantityLimitPayload({
+          ...(req.body || {}),
+          hazard_class: req.params.hazardClass,
+        });
+
+        const saved = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await QuantityLimit.findOne({ where: { hazard_class: payload.hazard_class }, transaction });
+          const record = existing
+            ? await existing.update({ ...payload, updated_at: new Date() }, { transaction })
+            : await QuantityLimit.create(payload, { transaction });
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'quantity_limit',
+            entity_id: payload.hazard_class,
+            action: existing ? 'updated' : 'created',
+            detail: `Set quantity limits for ${record.label}`,
+            metadata: formatQuantityLimit(record),
+          }, transaction);
+          return record;
+        });
+
+        return res.json(formatQuantityLimit(saved));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to save quantity limit';
+        return res.status(/must be|required/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    deleteQuantityLimit: async (req, res) => {
+      try {
+        const hazardClass = normalizeHazardClassKey(req.params.hazardClass);
+        if (!hazardClass) {
+          return res.status(400).json({ error: 'hazard_class must be a class or division such as 3 or 5.1' });
+        }
+
+        const deleted = await hazmatSequelize.transaction(async (transaction) => {
+          const count = await QuantityLimit.destroy({ where: { hazard_class: hazardClass }, transaction });
+          if (count) {
+            await recordHazmatLog(req, {
+              module: 'inventory',
+              entity_type: 'quantity_limit',
+              entity_id: hazardClass,
+              action: 'deleted',
+              detail: `Removed quantity limits for ${describeHazardClass(hazardClass)}`,
+            }, transaction);
+          }
+          return count;
+        });
+        if (!deleted) {
+          return res.status(404).json({ error: 'quantity limit not found' });
+        }
+
+        return res.json({ ok: true, hazard_class: hazardClass });
+      } catch (error) {
+        console.error('command center delete quantity limit', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete quantity limit' });
+      }
+    },
+
+    printMaterialLabels: async (req, res) => {
+      try {
+        if (!labelService || !labelService.isAvailable()) {
+          return res.status(503).json({ error: 'pdf label generation is unavailable' });
+        }
+
+        const materialIds = Array.from(new Set(
+          (Array.isArray(req.body && req.body.material_ids) ? req.body.material_ids : [])
+            .map(normalizeNumericId)
+            .filter(Boolean)
+        ));
+        if (!materialIds.length) {
+          return res.status(400).json({ error: 'material_ids is required' });
+        }
+
+        const copies = normalizePositiveLimit(req.body && req.body.copies, 1, LABEL_COPY_LIMIT);
+        if (materialIds.length * copies > LABEL_BATCH_LIMIT) {
+          return res.status(400).json({ error: `label batch is limited to ${LABEL_BATCH_LIMIT} labels` });
+        }
+
+        const records = await Material.findAll({ where: { id: { [Op.in]: materialIds } } });
+        const byId = new Map(records.map((record) => [record.id, record]));
+        const missingId = materialIds.find((id) => !byId.has(id));
+        if (missingId) {
+          return res.status(404).json({ error: `material ${missingId} not found` });
+        }
+
+        const labels = await buildMaterialLabels(materialIds.map((id) => byId.get(id)));
+        const size = (req.body && req.body.size) || '2x4';
+        const buffer = await labelService.renderLabels(
+          labels.flatMap((label) => Array.from({ length: copies }, () => label)),
+          { size }
+        );
+
+        await recordHazmatLog(req, {
+          module: 'inventory',
+          entity_type: 'material',
+          entity_id: materialIds.length === 1 ? String(materialIds[0]) : null,
+          action: 'labels_printed',
+          detail: materialIds.length === 1
+            ? `Printed ${copies} label(s) for ${labels[0].label_id || labels[0].name}`
+            : `Printed labels for ${materialIds.length} materials`,
+          metadata: { material_ids: materialIds, copies, size },
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="hazmat_labels_${String(size).replace(/[^a-zA-Z0-9]+/g, '')}.pdf"`);
+        return res.send(buffer);
+      } catch (error) {
+        const message = (error && error.message) || 'failed to generate labels';
+        const status = /must be|required|invalid/i.test(message) ? 400 : 500;
+        if (status === 500) {
+          console.error('command center print labels', message);
+        }
+        return res.status(status).json({ error: message });
+      }
+    },
+
+    listWasteContainers: async (req, res) => {
+      try {
+        const status = String((req.query && req.query.status) || 'open').trim().toLowerCase();
+        const whereClause = {};
+        if (status === 'open') whereClause.status = { [Op.in]: OPEN_WASTE_CONTAINER_STATUSES };
+        else if (status !== 'all') whereClause.status = status;
+
+        const containers = await WasteContainer.findAll({
+          where: whereClause,
+          order: [
+            ['created_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
+        });
+        const storageAreas = loadStorageAreaIndex();
+        return res.json(containers.map((container) => formatWasteContainer(container, { storageAreas })));
+      } catch (error) {
+        console.error('command center list waste containers', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load waste containers' });
+      }
+    },
+
+    createWasteContainer: async (req, res) => {
+      try {
+        const payload = applyStorageAreaPolicy(normalizeWasteContainerPayload(req.body || {}));
+        const actor = buildLogActor(req);
+
+        const container = await hazmatSequelize.transaction(async (transaction) => {
+          const created = await WasteContainer.create({
+            ...payload,
+            container_label: await buildNextDatedIdentifier(WasteContainer, 'container_label', 'WST', transaction),
+            status: 'accumulating',
+            items: [],
+            created_at: new Date().toISOString(),
+            created_by: actor.actor_name,
+          }, { transaction });
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'waste_container',
+            entity_id: String(created.id),
+            action: 'waste_container_created',
+            detail: `Opened waste container ${created.container_label} for ${created.waste_stream}`,
+            metadata: {
+              storage_map_id: created.storage_map_id,
+              storage_area_id: created.storage_area_id,
+              accumulation_limit_days: created.accumulation_limit_days,
+            },
+          }, transaction);
+          return created;
+        });
+
+        return res.status(201).json(formatWasteContainer(container, { storageAreas: loadStorageAreaIndex() }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to create waste container';
+        return res.status(/required|invalid|must be|not found/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    addWasteItems: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const payload = normalizeWasteTransferPayload(req.body || {});
+        const actor = buildLogActor(req);
+
+        const response = await hazmatSequelize.transaction(async (transaction) => {
+          const wasteContainer = await WasteContainer.findByPk(id, { transaction });
+          if (!wasteContainer) throw new Error('waste container not found');
+          if (wasteContainer.status !== 'accumulating') {
+            throw new Error(`waste container is already ${wasteContainer.status}`);
+          }
+
+          const material = await Material.findByPk(payload.material_id, { transaction });
+          if (!material) throw new Error(`material ${payload.material_id} not found`);
+
+          const openContainers = await MaterialContainer.findAll({
+            where: { material_id: material.id, status: { [Op.ne]: 'disposed' } },
+            transaction,
+          });
+          let moving = openContainers;
+          if (payload.container_ids.length) {
+            moving = openContainers.filter((container) => payload.container_ids.includes(Number(container.id)));
+            if (moving.length !== payload.container_ids.length) {
+              throw new Error('container_ids must reference open containers of this material');
+            }
+          }
+
+          const containerSize = material.container_size;
+          const hazardClass = normalizeHazardClassKey(material.division);
+          const addedAt = new Date().toISOString();
+          const buildItem = (quantity, containerLabel) => {
+            const measured = measureMaterialQuantity({ container_size: containerSize, stock_level: quantity });
+            return {
+              material_id: material.id,
+              material_name: material.name,
+              label_id: material.label_id,
+              cas_number: material.cas_number || null,
+              hazard_class: hazardClass,
+              container_label: containerLabel,
+              quantity: roundQuantity(quantity),
+              unit: containerSize ? containerSize.unit : null,
+              container_size: containerSize,
+              mass_kg: measured ? measured.mass_kg : 0,
+              volume_l: measured ? measured.volume_l : 0,
+              measured: Boolean(measured) || quantity <= 0,
+              reason: payload.reason,
+              added_at: addedAt,
+              added_by: actor.actor_name,
+            };
+          };
+
+          // Spent material with no containers still goes to waste as residue so its record can be archived.
+          const items = moving.length
+            ? moving.map((container) => buildItem(normalizeNumber(container.remaining_quantity), container.container_label))
+            : [buildItem(normalizeNumber(material.stock_level), material.label_id)];
+
+          for (const container of moving) {
+            await container.update({ status: 'disposed', remaining_quantity: 0 }, { transaction });
+          }
+          await syncMaterialStockFromContainers(material, transaction);
+
+          const archived = moving.length === openContainers.length;
+          if (archived) {
+            await material.update({
+              archived_at: addedAt,
+              archive_reason: `Moved to waste container ${wasteContainer.container_label} (${payload.reason})`,
+              archived_by: actor.actor_name,
+            }, { transaction });
+          }
+
+          await wasteContainer.update({
+            items: parseJsonList(wasteContainer.items).concat(items),
+            accumulation_start_date: wasteContainer.accumulation_start_date || normalizeDate(new Date()),
+          }, { transaction });
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'material',
+            entity_id: String(material.id),
+            action: 'moved_to_waste',
+            detail: `Moved ${items.length} container(s) of ${material.name} to waste container ${wasteContainer.container_label}${archived ? '; material archived' : ''}`,
+            metadata: {
+              waste_container_id: wasteContainer.id,
+              container_labels: items.map((item) => item.container_label),
+              quantity: roundQuantity(items.reduce((sum, item) => sum + item.quantity, 0)),
+              reason: payload.reason,
+              archived,
+              asset_uid: buildAssetUid('hazmat', material.id),
+            },
+          }, transaction);
+
+          return { wasteContainer, archived, material };
+        });
+
+        return res.status(201).json({
+          waste_container: formatWasteContainer(response.wasteContainer, { storageAreas: loadStorageAreaIndex() }),
+          material_id: response.material.id,
+          material_archived: response.archived,
+        });
+      } catch (error) {
+        const message = (error && error.message) || 'failed to move material to waste';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|must|already/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    createWasteManifest: async (req, res) => {
+      try {
+        const ids = Array.from(new Set((Array.isArray(req.body && req.body.waste_container_ids) ? req.body.waste_container_ids : [])
+          .map(normalizeNumericId)
+          .filter(Boolean)));
+        if (!ids.length) {
+          return res.status(400).json({ error: 'waste_container_ids is required' });
+        }
+        const actor = buildLogActor(req);
+
+        const manifest = await hazmatSequelize.transaction(async (transaction) => {
+          const containers = await WasteContainer.findAll({
+            where: { id: { [Op.in]: ids } },
+            order: [['id', 'ASC']],
+            transaction,
+          });
+          if (containers.length !== ids.length) throw new Error('waste container not found');
+          containers.forEach((container) => {
+            if (container.status !== 'accumulating') {
+              throw new Error(`waste container ${container.container_label} is already ${container.status}`);
+            }
+            if (!parseJsonList(container.items).length) {
+              throw new Error(`waste container ${container.container_label} is empty`);
+            }
+          });
+
+          const manifestNumber = await buildNextDatedIdentifier(WasteContainer, 'manifest_number', 'WM', transaction);
+          const manifestedAt = new Date().toISOString();
+          for (const container of containers) {
+            await container.update({
+              status: 'manifested',
+              manifest_number: manifestNumber,
+              manifested_at: manifestedAt,
+              manifested_by: actor.actor_name,
+            }, { transaction });
+          }
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'waste_manifest',
+            entity_id: manifestNumber,
+            action: 'waste_manifested',
+            detail: `Generated disposal manifest ${manifestNumber} for ${containers.map((container) => container.container_label).join(', ')}`,
+            metadata: {
+              waste_container_ids: containers.map((container) => container.id),
+            },
+          }, transaction);
+          return buildWasteManifest(manifestNumber, containers, { storageAreas: loadStorageAreaIndex() });
+        });
+
+        return res.status(201).json(manifest);
+      } catch (error) {
+        const message = (error && error.message) || 'failed to create waste manifest';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/already|empty/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    getWasteManifest: async (req, res) => {
+      try {
+        const manifestNumber = String(req.params.manifestNumber || '').trim().toUpperCase();
+        const containers = await WasteContainer.findAll({
+          where: { manifest_number: manifestNumber },
+          order: [['id', 'ASC']],
+        });
+        if (!containers.length) {
+          return res.status(404).json({ error: 'waste manifest not found' });
+        }
+        return res.json(buildWasteManifest(manifestNumber, containers, { storageAreas: loadStorageAreaIndex() }));
+      } catch (error) {
+        console.error('command center waste manifest', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load waste manifest' });
+      }
+    },
+
+    disposeWasteContainer: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const actor = buildLogActor(req);
+
+        const container = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await WasteContainer.findByPk(id, { transaction });
+          if (!existing) throw new Error('waste container not found');
+          if (existing.status !== 'manifested') {
+            throw new Error(existing.status === 'accumulating'
+              ? 'waste container must be manifested before it is disposed'
+              : `waste container is already ${existing.status}`);
+          }
+
+          await existing.update({
+            status: 'disposed',
+            disposal_reference: normalizeOptionalText(req.body && req.body.disposal_reference),
+            disposed_at: new Date().toISOString(),
+            disposed_by: actor.actor_name,
+          }, { transaction });
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'waste_container',
+            entity_id: String(existing.id),
+            action: 'waste_disposed',
+            detail: `Disposed waste container ${existing.container_label} under manifest ${existing.manifest_number}`,
+            metadata: {
+              manifest_number: existing.manifest_number,
+              disposal_reference: existing.disposal_reference,
+            },
+          }, transaction);
+          return existing;
+        });
+
+        return res.json(formatWasteContainer(container, { storageAreas: loadStorageAreaIndex() }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to dispose waste container';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/must be|already/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    listCycleCounts: async (req, res) => {
+      try {
+        const status = String((req.query && req.query.status) || 'all').trim().toLowerCase();
+        const counts = await CycleCount.findAll({
+          where: status === 'all' ? {} : { status },
+          order: [
+            ['created_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
+          limit: normalizePositiveLimit(req.query && req.query.limit, 50, 200),
+        });
+        const storageAreas = loadStorageAreaIndex();
+        return res.json(counts.map((count) => formatCycleCount(count, { storageAreas })));
+      } catch (error) {
+        console.error('command center list cycle counts', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load cycle counts' });
+      }
+    },
+
+    getCycleCount: async (req, res) => {
+      try {
+        const count = await CycleCount.findByPk(Number(req.params.id));
+        if (!count) return res.status(404).json({ error: 'cycle count not found' });
+        return res.json(formatCycleCount(count, { storageAreas: loadStorageAreaIndex() }));
+      } catch (error) {
+        console.error('command center get cycle count', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load cycle count' });
+      }
+    },
+
+    createCycleCount: async (req, res) => {
+      try {
+        const payload = applyStorageAreaPolicy(normalizeCycleCountPayload(req.body || {}));
+        const actor = buildLogActor(req);
+
+        const count = await hazmatSequelize.transaction(async (transaction) => {
+          const lines = await buildCycleCountLines(payload, transaction);
+          if (!lines.length) {
+            throw new Error(payload.scope === 'storage_area'
+              ? 'no materials are stored in this area'
+              : 'no materials are assigned to this department');
+          }
+
+          const created = await CycleCount.create({
+            ...payload,
+            count_number: await buildNextDatedIdentifier(CycleCount, 'count_number', 'CC', transaction),
+            status: 'open',
+            lines,
+            created_at: new Date().toISOString(),
+            created_by: actor.actor_name,
+          }, { transaction });
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'cycle_count',
+            entity_id: String(created.id),
+            action: 'cycle_count_started',
+            detail: `Started cycle count ${created.count_number} for ${payload.assigned_department || payload.storage_area_id}`,
+            metadata: {
+              count_number: created.count_number,
+              scope: created.scope,
+              assigned_department: created.assigned_department,
+              storage_map_id: created.storage_map_id,
+              storage_area_id: created.storage_area_id,
+              line_count: lines.length,
+            },
+          }, transaction);
+          return created;
+        });
+
+        return res.status(201).json(formatCycleCount(count, { storageAreas: loadStorageAreaIndex() }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to create cycle count';
+        return res.status(/required|must be|not found|no materials/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    recordCycleCountEntries: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const entries = normalizeCycleCountEntries(req.body || {});
+        const actor = buildLogActor(req);
+
+        const count = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await CycleCount.findByPk(id, { transaction });
+          if (!existing) throw new Error('cycle count not found');
+          if (existing.status !== 'open') throw new Error(`cycle count is already ${existing.status}`);
+
+          const lines = parseJsonList(existing.lines);
+          const countedAt = new Date().toISOString();
+          entries.forEach((entry) => {
+            const line = findCycleCountLine(lines, entry);
+            line.found_quantity = entry.found_quantity === null ? normalizeNumber(line.expected_quantity) : entry.found_quantity;
+            line.method = entry.found_quantity === null ? 'scanned' : 'entered';
+            line.counted_at = countedAt;
+            line.counted_by = actor.actor_name;
+          });
+
+          await existing.update({ lines }, { transaction });
+          return existing;
+        });
+
+        return res.json(formatCycleCount(count, { storageAreas: loadStorageAreaIndex() }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to record cycle count entries';
+        if (message === 'cycle count not found') return res.status(404).json({ error: message });
+        return res.status(/required|must be|on this count|scan the container|already/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    approveCycleCount: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const actor = buildLogActor(req);
+
+        const count = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await CycleCount.findByPk(id, { transaction });
+          if (!existing) throw new Error('cycle count not found');
+          if (existing.status !== 'open') throw new Error(`cycle count is already ${existing.status}`);
+
+          const lines = parseJsonList(existing.lines);
+          const uncounted = lines.filter((line) => line.found_quantity === null || line.found_quantity === undefined).length;
+          if (uncounted) {
+            throw new Error(`${uncounted} line${uncounted === 1 ? ' has' : 's have'} not been counted`);
+          }
+
+          const adjusted = await postCycleCountAdjustments(lines, req, transaction);
+          await existing.update({
+            status: 'approved',
+            lines,
+            approved_at: new Date().toISOString(),
+            approved_by: actor.actor_name,
+          }, { transaction });
+
+          const report = formatCycleCount(existing);
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'cycle_count',
+            entity_id: String(existing.id),
+            action: 'cycle_count_approved',
+            detail: `Approved cycle count ${existing.count_number} with ${adjusted.length} stock adjustment${adjusted.length === 1 ? '' : 's'}`,
+            metadata: {
+              count_number: existing.count_number,
+              scope: existing.scope,
+              assigned_department: existing.assigned_department,
+              storage_area_id: existing.storage_area_id,
+              ...report.summary,
+              adjustments: adjusted.map((line) => ({
+                material_id: line.material_id,
+                container_id: line.container_id,
+                container_label: line.container_label,
+                quantity_delta: line.adjustment,
+              })),
+            },
+          }, transaction);
+          return existing;
+        });
+
+        return res.json(formatCycleCount(count, { storageAreas: loadStorageAreaIndex() }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to approve cycle count';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/already|not been counted/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    cancelCycleCount: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+
+        const count = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await CycleCount.findByPk(id, { transaction });
+          if (!existing) throw new Error('cycle count not found');
+          if (existing.status !== 'open') throw new Error(`cycle count is already ${existing.status}`);
+
+          await existing.update({ status: 'cancelled', cancelled_at: new Date().toISOString() }, { transaction });
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'cycle_count',
+            entity_id: String(existing.id),
+            action: 'cycle_count_cancelled',
+            detail: `Cancelled cycle count ${existing.count_number}`,
+            metadata: { count_number: existing.count_number },
+          }, transaction);
+          return existing;
+        });
+
+        return res.json(formatCycleCount(count, { storageAreas: loadStorageAreaIndex() }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to cancel cycle count';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/already/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    listMaterialTransfers: async (req, res) => {
+      try {
+        const status = String((req.query && req.query.status) || 'all').trim().toLowerCase();
+        const whereClause = {};
+        if (status === 'open') whereClause.status = 'requested';
+        else if (MATERIAL_TRANSFER_STATUSES.includes(status)) whereClause.status = status;
+        const materialId = normalizeNumericId(req.query && req.query.material_id);
+        if (materialId) {
+          whereClause[Op.or] = [{ material_id: materialId }, { split_material_id: materialId }];
+        }
+        const department = normalizeOptionalText(req.query && req.query.department);
+        if (department) {
+          whereClause[Op.and] = [{ [Op.or]: [{ from_department: department }, { to_department: department }] }];
+        }
+
+        const transfers = await MaterialTransfer.findAll({
+          where: whereClause,
+          order: [
+            ['requested_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
+          limit: normalizePositiveLimit(req.query && req.query.limit, 50, 200),
+        });
+        const materials = await loadTransferMaterials(transfers);
+        return res.json(transfers.map((transfer) => formatMaterialTransfer(transfer, { materials })));
+      } catch (error) {
+        console.error('command center list material transfers', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load material transfers' });
+      }
+    },
+
+    createMaterialTransfer: async (req, res) => {
+      try {
+        const payload = normalizeMaterialTransferPayload(req.body || {});
+        const actor = buildLogActor(req);
+        const receivingDepartment = await findDepartmentByName(payload.to_department);
+        if (!receivingDepartment) throw new Error('to_department not found');
+
+        const transfer = await hazmatSequelize.transaction(async (transaction) => {
+          const material = await Material.findByPk(payload.material_id, { transaction });
+          if (!material) throw new Error('material not found');
+          if (material.assigned_department.toLowerCase() === receivingDepartment.name.toLowerCase()) {
+            throw new Error(`material is already assigned to ${receivingDepartment.name}`);
+          }
+
+          const containers = await MaterialContainer.findAll({
+            where: { material_id: material.id, status: 'active' },
+            transaction,
+          });
+          if (payload.container_id && !containers.some((container) => Number(container.id) === payload.container_id)) {
+            throw new Error('container not found');
+          }
+          const stockLevel = containers.length
+            ? roundQuantity(containers.reduce((sum, container) => sum + normalizeNumber(container.remaining_quantity), 0))
+            : normalizeNumber(material.stock_level);
+          if (payload.quantity > stockLevel) {
+            throw new Error('quantity exceeds available stock');
+          }
+
+          const created = await MaterialTransfer.create({
+            ...payload,
+            transfer_number: await buildNextDatedIdentifier(MaterialTransfer, 'transfer_number', 'TRF', transaction),
+            from_department: material.assigned_department,
+            to_department: receivingDepartment.name,
+            status: 'requested',
+            requested_at: new Date().toISOString(),
+            requested_by: actor.actor_name,
+            requested_by_id: actor.actor_id,
+          }, { transaction });
+
+          await recordTransferUsage(req, created, {
+            material_id: material.id,
+            reason: `Transfer ${created.transfer_number} requested: ${created.quantity} to ${created.to_department}`,
+          }, transaction);
+          await recordTransferLog(
+            req,
+            created,
+            'transfer_requested',
+            `Requested transfer ${created.transfer_number} of ${created.quantity} ${material.name} from ${created.from_department} to ${created.to_department}`,
+            transaction,
+            { reason: created.reason }
+          );
+          return created;
+        });
+
+        const materials = await loadTransferMaterials([transfer]);
+        return res.status(201).json(formatMaterialTransfer(transfer, { materials }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to request material transfer';
+        if (message === 'material not found' || message === 'container not found') return res.status(404).json({ error: message });
+        return res.status(/required|must be|not found|already|exceeds/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    approveMaterialTransfer: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const actor = buildLogActor(req);
+        const existing = await MaterialTransfer.findByPk(id);
+        if (!existing) throw new Error('material transfer not found');
+        await assertTransferApprover(req, existing);
+
+        const transfer = await hazmatSequelize.transaction(async (transaction) => {
+          const current = await MaterialTransfer.findByPk(id, { transaction });
+          if (current.status !== 'requested') throw new Error(`material transfer is already ${current.status}`);
+
+          const result = await executeMaterialTransfer(req, current, transaction);
+          await current.update({
+            status: 'approved',
+            transfer_type: result.transfer_type,
+            split_material_id: result.split ? result.split.id : null,
+            decided_at: new Date().toISOString(),
+            decided_by: actor.actor_name,
+            decision_notes: normalizeOptionalText(req.body && req.body.notes),
+          }, { transaction });
+
+          await recordTransferLog(
+            req,
+            current,
+            'transfer_approved',
+            result.split
+              ? `Approved transfer ${current.transfer_number}: split ${current.quantity} of ${result.material.name} into ${result.split.label_id} for ${current.to_department}`
+              : `Approved transfer ${current.transfer_number}: moved ${result.material.name} from ${current.from_department} to ${current.to_department}`,
+            transaction,
+            {
+              transfer_type: result.transfer_type,
+              split_label_id: result.split ? result.split.label_id : null,
+              containers: result.moved,
+            }
+          );
+          return current;
+        });
+
+        const materials = await loadTransferMaterials([transfer]);
+        return res.json(formatMaterialTransfer(transfer, { materials }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to approve material transfer';
+        if (/supervisor/i.test(message)) return res.status(403).json({ error: message });
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/already|no longer|exceeds/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    rejectMaterialTransfer: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const actor = buildLogActor(req);
+        const existing = await MaterialTransfer.findByPk(id);
+        if (!existing) throw new Error('material transfer not found');
+        await assertTransferApprover(req, existing);
+
+        const transfer = await hazmatSequelize.transaction(async (transaction) => {
+          const current = await MaterialTransfer.findByPk(id, { transaction });
+          if (current.status !== 'requested') throw new Error(`material transfer is already ${current.status}`);
+
+          await current.update({
+            status: 'rejected',
+            decided_at: new Date().toISOString(),
+            decided_by: actor.actor_name,
+            decision_notes: normalizeOptionalText(req.body && req.body.notes),
+          }, { transaction });
+          await recordTransferUsage(req, current, {
+            reason: `Transfer ${current.transfer_number} rejected by ${current.to_department}`,
+          }, transaction);
+          await recordTransferLog(
+            req,
+            current,
+            'transfer_rejected',
+            `Rejected transfer ${current.transfer_number} from ${current.from_department} to ${current.to_department}`,
+            transaction,
+            { notes: current.decision_notes }
+          );
+          return current;
+        });
+
+        const materials = await loadTransferMaterials([transfer]);
+        return res.json(formatMaterialTransfer(transfer, { materials }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to reject material transfer';
+        if (/supervisor/i.test(message)) return res.status(403).json({ error: message });
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/already/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    cancelMaterialTransfer: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const actor = buildLogActor(req);
+
+        const transfer = await hazmatSequelize.transaction(async (transaction) => {
+          const current = await MaterialTransfer.findByPk(id, { transaction });
+          if (!current) throw new Error('material transfer not found');
+          if (current.status !== 'requested') throw new Error(`material transfer is already ${current.status}`);
+          const isRequester = Boolean(actor.actor_id && Number(current.requested_by_id) === Number(actor.actor_id));
+          if (!isRequester && canonicalizeRole(req.user && req.user.role) !== 'Admin') {
+            throw new Error('only the requester or an admin can cancel this transfer');
+          }
+
+          await current.update({
+            status: 'cancelled',
+            decided_at: new Date().toISOString(),
+            decided_by: actor.actor_name,
+          }, { transaction });
+          await recordTransferUsage(req, current, {
+            reason: `Transfer ${current.transfer_number} cancelled`,
+          }, transaction);
+          await recordTransferLog(
+            req,
+            current,
+            'transfer_cancelled',
+            `Cancelled transfer ${current.transfer_number} from ${current.from_department} to ${current.to_department}`,
+            transaction
+          );
+          return current;
+        });
+
+        const materials = await loadTransferMaterials([transfer]);
+        return res.json(formatMaterialTransfer(transfer, { materials }));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to cancel material transfer';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        if (/only the requester/i.test(message)) return res.status(403).json({ error: message });
+        return res.status(/already/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    listIncidents: async (req, res) => {
+      try {
+        const status = String((req.query && req.query.status) || 'all').trim().toLowerCase();
+        const whereClause = {};
+        if (status === 'open' || status === 'closed') whereClause.status = status;
+        const incidentType = String((req.query && req.query.incident_type) || '').trim().toLowerCase();
+        if (INCIDENT_TYPE_LABELS[incidentType]) whereClause.incident_type = incidentType;
+
+        const incidents = await Incident.findAll({
+          where: whereClause,
+          order: [
+            ['occurred_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
+          limit: normalizePositiveLimit(req.query && req.query.limit, 50, 200),
         });
+        const actions = incidents.length
+          ? await IncidentAction.findAll({
+            where: { incident_id: { [Op.in]: incidents.map((incident) => incident.id) } },
+            order: [['due_date', 'ASC'], ['id', 'ASC']],
+          })
+          : [];
+        const materialDetails = await buildIncidentMaterialDetails(incidents);
+        const storageAreas = loadStorageAreaIndex();
+        return res.json(incidents.map((incident) => formatIncident(incident, {
+          actions: actions.filter((action) => action.incident_id === incident.id),
+          materialDetails,
+          storageAreas,
+        })));
+      } catch (error) {
+        console.error('command center list incidents', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load incidents' });
       }
-      return weekly.get(weekStart);
-    };
+    },
 
-    tickets.forEach((ticket) => {
-      const receivedWeek = getWeekStartIso(ticket.created_at);
-      if (receivedWeek) {
-        ensureWeek(receivedWeek).boards_received += 1;
+    getIncident: async (req, res) => {
+      try {
+        const incident = await loadIncidentDetail(Number(req.params.id));
+        if (!incident) return res.status(404).json({ error: 'incident not found' });
+        return res.json(incident);
+      } catch (error) {
+        console.error('command center get incident', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load incident' });
       }
+    },
 
-      if (normalizeFailureStatus(ticket.status) === 'FIXED') {
-        const fixedWeek = getWeekStartIso(ticket.closed_at || ticket.updated_at || ticket.created_at);
-        if (fixedWeek) {
-          ensureWeek(fixedWeek).boards_fixed += 1;
-        }
+    listIncidentActions: async (req, res) => {
+      try {
+        const status = String((req.query && req.query.status) || 'open').trim().toLowerCase();
+        const actions = await IncidentAction.findAll({
+          where: status === 'all' ? {} : { status: status === 'completed' ? 'completed' : 'open' },
+          include: [{
+            model: Incident,
+            as: 'incident',
+            attributes: ['id', 'incident_number', 'title', 'incident_type'],
+          }],
+          order: [['due_date', 'ASC'], ['id', 'ASC']],
+          limit: normalizePositiveLimit(req.query && req.query.limit, 100, 500),
+        });
+        return res.json(actions.map((action) => ({
+          ...formatIncidentAction(action),
+          incident_number: action.incident ? action.incident.incident_number : null,
+          incident_title: action.incident ? action.incident.title : null,
+        })));
+      } catch (error) {
+        console.error('command center list incident actions', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load corrective actions' });
       }
-    });
+    },
 
-    const yieldTrends = Array.from(weekly.values())
-      .sort((left, right) => left.week_start.localeCompare(right.week_start));
+    createIncident: async (req, res) => {
+      try {
+        const payload = applyStorageAreaPolicy(normalizeIncidentPayload(req.body || {}));
+        const actionPayloads = (Array.isArray(req.body && req.body.corrective_actions) ? req.body.corrective_actions : [])
+          .map(normalizeIncidentActionPayload);
+        const actor = buildLogActor(req);
+
+        const incident = await hazmatSequelize.transaction(async (transaction) => {
+          await assertIncidentMaterialsExist(payload.materials, transaction);
+          const created = await Incident.create({
+            ...payload,
+            incident_number: await buildNextDatedIdentifier(Incident, 'incident_number', 'INC', transaction),
+            status: 'open',
+            reported_at: new Date().toISOString(),
+            reported_by: actor.actor_name,
+          }, { transaction });
+          for (const actionPayload of actionPayloads) {
+            await IncidentAction.create({ ...actionPayload, incident_id: created.id, status: 'open' }, { transaction });
+          }
 
-    const chronicCounts = new Map();
-    const cutoff = Date.now() - (90 * 24 * 60 * 60 * 1000);
-    tickets.forEach((ticket) => {
-      const serial = normalizeDebugSerial(ticket.serial_number);
-      const createdAt = new Date(ticket.created_at || ticket.updated_at || ticket.closed_at);
-      if (!serial || Number.isNaN(createdAt.getTime()) || createdAt.getTime() < cutoff) return;
-      chronicCounts.set(serial, (chronicCounts.get(serial) || 0) + 1);
-    });
+          await recordIncidentLog(
+            req,
+            created,
+            'incident_reported',
+            `Reported ${INCIDENT_TYPE_LABELS[created.incident_type].toLowerCase()} incident ${created.incident_number}: ${created.title}`,
+            transaction,
+            {
+              material_ids: payload.materials.map((entry) => entry.material_id),
+              storage_area_id: created.storage_area_id,
+              corrective_action_count: actionPayloads.length,
+            }
+          );
+          return created;
+        });
 
-    const chronicFailures = Array.from(chronicCounts.entries())
-      .filter((entry) => entry[1] > 2)
-      .map(([serialNumber, count]) => ({
-        serial_number: serialNumber,
-        failure_count_90d: count,
-        message: `Chronic Failure: Board ${serialNumber} has failed ${count} times in the last 90 days.`,
-      }))
-      .sort((left, right) => right.failure_count_90d - left.failure_count_90d || left.serial_number.localeCompare(right.serial_number));
+        return res.status(201).json(await loadIncidentDetail(incident.id));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to report incident';
+        return res.status(/required|must be|must not|must reference|not found/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
 
-    return {
-      pareto,
-      yield_trends: yieldTrends,
-      systemic_alerts: systemicAlerts,
-      chronic_failures: chronicFailures,
-    };
-  }
+    updateIncident: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const payload = applyStorageAreaPolicy(normalizeIncidentPayload(req.body || {}));
 
-  function isDebugLabAvailable() {
-    return Boolean(FailureTicket && FaultyComponent && debugSequelize);
-  }
+        await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await Incident.findByPk(id, { transaction });
+          if (!existing) throw new Error('incident not found');
+          if (existing.status !== 'open') throw new Error('incident is already closed');
+          await assertIncidentMaterialsExist(payload.materials, transaction);
+
+          await existing.update(payload, { transaction });
+          await recordIncidentLog(
+            req,
+            existing,
+            'incident_updated',
+            `Updated incident ${existing.incident_number}`,
+            transaction,
+            { material_ids: payload.materials.map((entry) => entry.material_id) }
+          );
+        });
 
-  function ensureDebugLabAvailable(res) {
-    if (isDebugLabAvailable()) return true;
-    res.status(503).json({ error: 'debug lab module is unavailable' });
-    return false;
-  }
+        return res.json(await loadIncidentDetail(id));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to update incident';
+        if (message === 'incident not found') return res.status(404).json({ error: message });
+        return res.status(/required|must be|must not|must reference|not found|already/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
 
-  async function ensureDepartmentExists(departmentId) {
-    if (departmentId == null) return null;
-    const normalizedId = Number(departmentId);
-    if (!Number.isInteger(normalizedId) || normalizedId <= 0) {
-      throw new Error('invalid department_id');
-    }
-    const department = await Department.findByPk(normalizedId);
-    if (!department) {
-      throw new Error('department not found');
-    }
-    return department;
-  }
+    closeIncident: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const actor = buildLogActor(req);
 
-  async function fetchDebugTicketById(ticketId, transaction) {
-    return FailureTicket.findByPk(ticketId, {
-      include: [{
-        model: FaultyComponent,
-        as: 'faulty_components',
-        required: false,
-      }],
-      transaction,
-    });
-  }
+        await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await Incident.findByPk(id, { transaction });
+          if (!existing) throw new Error('incident not found');
+          if (existing.status !== 'open') throw new Error('incident is already closed');
+          const openActions = await IncidentAction.count({ where: { incident_id: id, status: 'open' }, transaction });
+          if (openActions) {
+            throw new Error(`incident still has ${openActions} open corrective action(s)`);
+          }
 
-  async function findDepartmentByName(name, transaction) {
-    const normalized = normalizeDepartmentName(name);
-    if (!normalized) return null;
-    return Department.findOne({
-      where: where(fn('lower', col('name')), normalized.toLowerCase()),
-      transaction,
-    });
-  }
+          await existing.update({
+            status: 'closed',
+            closed_at: new Date().toISOString(),
+            closed_by: actor.actor_name,
+          }, { transaction });
+          await recordIncidentLog(req, existing, 'incident_closed', `Closed incident ${existing.incident_number}`, transaction);
+        });
 
-  async function findManufacturerByName(name, transaction) {
-    const normalized = normalizeManufacturer(name);
-    if (!normalized || !Manufacturer) return null;
-    return Manufacturer.findOne({
-      where: where(fn('lower', col('name')), normalizeManufacturerKey(normalized)),
-      transaction,
-    });
-  }
+        return res.json(await loadIncidentDetail(id));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to close incident';
+        if (message === 'incident not found') return res.status(404).json({ error: message });
+        return res.status(/already|still has/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
 
-  async function resolveCalibrationTemplate(payload, transaction) {
-    if (payload.template_id) {
-      const template = await CalibrationTemplate.findByPk(payload.template_id, { transaction });
-      if (!template) {
-        throw new Error('calibration template not found');
+    addIncidentAction: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const payload = normalizeIncidentActionPayload(req.body || {});
+
+        await hazmatSequelize.transaction(async (transaction) => {
+          const incident = await Incident.findByPk(id, { transaction });
+          if (!incident) throw new Error('incident not found');
+          if (incident.status !== 'open') throw new Error('incident is already closed');
+
+          const created = await IncidentAction.create({ ...payload, incident_id: id, status: 'open' }, { transaction });
+          await recordIncidentLog(
+            req,
+            incident,
+            'corrective_action_added',
+            `Assigned corrective action on ${incident.incident_number} to ${created.owner}${created.due_date ? ` (due ${created.due_date})` : ''}`,
+            transaction,
+            { action_id: created.id, owner: created.owner, due_date: created.due_date }
+          );
+        });
+
+        return res.status(201).json(await loadIncidentDetail(id));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to add corrective action';
+        if (message === 'incident not found') return res.status(404).json({ error: message });
+        return res.status(/required|must be|already/i.test(message) ? 400 : 500).json({ error: message });
       }
-      return template;
-    }
+    },
 
-    const templatePayload = payload.template_payload || normalizeTemplatePayload({}, {
-      fallbackName: payload.tool_name,
-      module: 'calibration',
-    });
-    const [template] = await CalibrationTemplate.findOrCreate({
-      where: { template_name: templatePayload.template_name },
-      defaults: templatePayload,
-      transaction,
-    });
-    return template;
-  }
+    completeIncidentAction: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const actionId = Number(req.params.actionId);
+        const actor = buildLogActor(req);
 
-  function buildTemplateSchedulingOptions(template) {
-    const source = template && typeof template.toJSON === 'function' ? template.toJSON() : (template || {});
-    const schedule = normalizeTemplateSchedule(source);
-    return {
-      intervalMode: schedule.intervalMode,
-      intervalMonths: schedule.intervalMonths,
-      intervalDays: schedule.intervalDays,
-      calIntervalDays: schedule.derivedIntervalDays,
-      maxDailyCalibrations: schedule.maxDailyCalibrations,
-      allowedDays: schedule.allowedDays,
-    };
-  }
+        await hazmatSequelize.transaction(async (transaction) => {
+          const incident = await Incident.findByPk(id, { transaction });
+          const action = await IncidentAction.findOne({ where: { id: actionId, incident_id: id }, transaction });
+          if (!incident || !action) throw new Error('corrective action not found');
+          if (action.status !== 'open') throw new Error('corrective action is already completed');
+
+          await action.update({
+            status: 'completed',
+            completed_at: new Date().toISOString(),
+            completed_by: actor.actor_name,
+            completion_notes: normalizeOptionalText(req.body && req.body.notes),
+          }, { transaction });
+          await recordIncidentLog(
+            req,
+            incident,
+            'corrective_action_completed',
+            `Completed corrective action on ${incident.incident_number}: ${action.description}`,
+            transaction,
+            { action_id: action.id, owner: action.owner }
+          );
+        });
 
-  async function listScheduledCalibrationDates(transaction, excludedAssetId) {
-    const where = {
-      next_cal: { [Op.not]: null },
-    };
+        return res.json(await loadIncidentDetail(id));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to complete corrective action';
+        if (message === 'corrective action not found') return res.status(404).json({ error: message });
+        return res.status(/already/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
 
-    const excludedId = Number(excludedAssetId);
-    if (Number.isInteger(excludedId) && excludedId > 0) {
-      where.id = { [Op.ne]: excludedId };
-    }
+    printIncidentReport: async (req, res) => {
+      try {
+        if (!incidentReportService || !incidentReportService.isAvailable()) {
+          return res.status(503).json({ error: 'pdf incident reports are unavailable' });
+        }
 
-    const assets = await CalibrationAsset.findAll({
-      where,
-      attributes: ['next_cal'],
-      transaction,
-    });
-    return assets.map((asset) => asset.next_cal).filter(Boolean);
-  }
+        const incident = await loadIncidentDetail(Number(req.params.id));
+        if (!incident) return res.status(404).json({ error: 'incident not found' });
 
-  async function resolveAssetNextCalibrationDate(lastCalDate, template, transaction, excludedAssetId) {
-    const normalizedLastCal = normalizeDate(lastCalDate);
-    if (!normalizedLastCal) return null;
+        const actor = buildLogActor(req);
+        const buffer = await incidentReportService.renderReport({
+          incident,
+          generated_at: new Date().toISOString(),
+          generated_by: actor.actor_name,
+        });
+        await recordIncidentLog(req, incident, 'incident_report_printed', `Printed incident report ${incident.incident_number}`);
 
-    const schedule = buildTemplateSchedulingOptions(template);
-    const existingDates = await listScheduledCalibrationDates(transaction, excludedAssetId);
-    return computeNextCalibrationDate(normalizedLastCal, schedule.calIntervalDays, {
-      intervalMode: schedule.intervalMode,
-      intervalMonths: schedule.intervalMonths,
-      intervalDays: schedule.intervalDays,
-      maxDailyCalibrations: schedule.maxDailyCalibrations,
-      allowedDays: schedule.allowedDays,
-      existingDates,
-    });
-  }
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="incident_${incident.incident_number}.pdf"`);
+        return res.send(buffer);
+      } catch (error) {
+        console.error('command center print incident report', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to generate incident report' });
+      }
+    },
 
-  function buildAssetPayload(payload, template, nextCalDate) {
-    const schedule = buildTemplateSchedulingOptions(template);
-    return {
-      tool_name: payload.tool_name || template.template_name,
-      serial_number: payload.serial_number,
-      last_cal: payload.last_cal,
-      next_cal: normalizeDate(nextCalDate),
-      template_id: template.id,
-      category: template.category,
-      cal_frequency: schedule.calIntervalDays,
-      alert_lead_days: template.alert_lead_days,
-      grace_period_days: template.grace_period_days,
-      unit_of_measure: normalizeUnitOfMeasure(
-        payload.unit_of_measure,
-        normalizeUnitOfMeasure(template.unit_of_measure, DEFAULT_UNIT_OF_MEASURE)
-      ),
-      assigned_department: normalizeText(payload.assigned_department, template.assigned_department || DEFAULT_DEPARTMENT),
-      asset_type: payload.asset_type,
-      model: payload.model,
-      manufacturer: payload.manufacturer,
-      measurement_types: payload.measurement_types,
-      range_size: payload.range_size,
-      accuracy: payload.accuracy,
-      date_acquired: payload.date_acquired,
-      source_vendor: payload.source_vendor,
-      cost: payload.cost,
-      environment: payload.environment,
-      instructions: payload.instructions,
-      notes: payload.notes,
-      attachment_path: payload.attachment_path,
-    };
-  }
+    listPurchaseRequests: async (req, res) => {
+      try {
+        const status = String((req.query && req.query.status) || 'open').trim().toLowerCase();
+        const whereClause = {};
+        if (status === 'open') whereClause.status = { [Op.in]: OPEN_PURCHASE_REQUEST_STATUSES };
+        else if (status !== 'all') whereClause.status = status;
 
-  async function syncAssetsForTemplate(template, transaction) {
-    const schedule = buildTemplateSchedulingOptions(template);
-    const assets = await CalibrationAsset.findAll({
-      where: { template_id: template.id },
-      order: [['id', 'ASC']],
-      transaction,
-    });
+        const requests = await PurchaseRequest.findAll({
+          where: whereClause,
+          order: [
+            ['requested_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
+        });
+        return res.json(requests.map(formatPurchaseRequest));
+      } catch (error) {
+        console.error('command center list purchase requests', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load purchase requests' });
+      }
+    },
+
+    createPurchaseRequest: async (req, res) => {
+      try {
+        const payload = normalizePurchaseRequestPayload(req.body || {});
+        const actor = buildLogActor(req);
+
+        const request = await hazmatSequelize.transaction(async (transaction) => {
+          const manufacturerRecord = await resolveManufacturerRecordForSds({
+            manufacturer_id: payload.manufacturer_id,
+            manufacturer: payload.manufacturer,
+          }, transaction, {
+            requireExisting: true,
+            allowCreate: false,
+          });
+          if (!manufacturerRecord) throw new Error('manufacturer is required');
+
+          const manufacturerKey = normalizeManufacturerKey(manufacturerRecord.name);
+          const lines = [];
+          for (const line of payload.lines) {
+            const material = await Material.findByPk(line.material_id, { transaction });
+            if (!material) throw new Error(`material ${line.material_id} not found`);
+            if (normalizeManufacturerKey(material.manufacturer) !== manufacturerKey) {
+              throw new Error(`${material.name} is not supplied by ${manufacturerRecord.name}`);
+            }
 
-    for (const asset of assets) {
-      const nextCalDate = await resolveAssetNextCalibrationDate(asset.last_cal, template, transaction, asset.id);
-      await asset.update({
-        category: template.category,
-        cal_frequency: schedule.calIntervalDays,
-        alert_lead_days: template.alert_lead_days,
-        grace_period_days: template.grace_period_days,
-        unit_of_measure: normalizeUnitOfMeasure(template.unit_of_measure, DEFAULT_UNIT_OF_MEASURE),
-        assigned_department: template.assigned_department,
-        next_cal: nextCalDate,
-      }, { transaction });
-    }
-  }
+            const containerSize = normalizeContainerSize(material.toJSON());
+            lines.push({
+              material_id: material.id,
+              item_key: buildReorderItemKey(material),
+              name: material.name,
+              cas_number: material.cas_number || null,
+              unit: containerSize ? containerSize.unit : null,
+              quantity: line.quantity,
+              received_quantity: null,
+              received_material_id: null,
+              received_label_id: null,
+            });
+          }
 
-  return {
-    servePortal: (req, res) => {
-      return res.sendFile(path.join(paths.LEGACY_PUBLIC_DIR, 'Layout.html'));
+          const created = await PurchaseRequest.create({
+            manufacturer_id: manufacturerRecord.id,
+            manufacturer: manufacturerRecord.name,
+            status: 'requested',
+            lines,
+            notes: payload.notes,
+            requested_at: new Date().toISOString(),
+            requested_by: actor.actor_name,
+          }, { transaction });
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'purchase_request',
+            entity_id: String(created.id),
+            action: 'purchase_requested',
+            detail: `Raised purchase request #${created.id} with ${manufacturerRecord.name} for ${lines.length} item(s)`,
+            metadata: {
+              manufacturer_id: manufacturerRecord.id,
+              lines: lines.map((line) => ({ material_id: line.material_id, quantity: line.quantity })),
+            },
+          }, transaction);
+          return created;
+        });
+
+        return res.status(201).json(formatPurchaseRequest(request));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to create purchase request';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|must be|greater than zero|not supplied/i.test(message) ? 400 : 500).json({ error: message });
+      }
     },
 
-    session: async (req, res) => {
-      return res.json({ user: req.user });
+    orderPurchaseRequest: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const actor = buildLogActor(req);
+
+        const request = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await PurchaseRequest.findByPk(id, { transaction });
+          if (!existing) throw new Error('purchase request not found');
+          if (existing.status !== 'requested') throw new Error(`purchase request is already ${existing.status}`);
+
+          await existing.update({
+            status: 'ordered',
+            order_reference: normalizeOptionalText(req.body && req.body.order_reference),
+            ordered_at: new Date().toISOString(),
+            ordered_by: actor.actor_name,
+          }, { transaction });
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'purchase_request',
+            entity_id: String(existing.id),
+            action: 'purchase_ordered',
+            detail: `Ordered purchase request #${existing.id} from ${existing.manufacturer}`,
+            metadata: {
+              order_reference: existing.order_reference,
+            },
+          }, transaction);
+          return existing;
+        });
+
+        return res.json(formatPurchaseRequest(request));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to order purchase request';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/already/i.test(message) ? 400 : 500).json({ error: message });
+      }
     },
 
-    logout: async (req, res) => {
-      res.clearCookie('command_center_access', { path: '/' });
-      if (req.session) {
-        return req.session.destroy(() => {
-          res.clearCookie('mack_session', { path: '/' });
-          return res.json({ ok: true });
+    receivePurchaseRequest: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const { overrides } = normalizePurchaseReceiptPayload(req.body || {});
+        const actor = buildLogActor(req);
+        const receivedDate = normalizeDate(new Date());
+
+        const response = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await PurchaseRequest.findByPk(id, { transaction });
+          if (!existing) throw new Error('purchase request not found');
+          if (existing.status !== 'ordered') {
+            throw new Error(existing.status === 'requested'
+              ? 'purchase request must be ordered before it is received'
+              : `purchase request is already ${existing.status}`);
+          }
+
+          const createdMaterials = [];
+          const lines = [];
+          for (const line of parseJsonList(existing.lines)) {
+            const source = await findPurchaseLineSourceMaterial(line, transaction);
+            if (!source) throw new Error(`source material for ${line.name} not found`);
+
+            const override = overrides.get(Number(line.material_id)) || {};
+            const quantity = override.quantity || normalizeNumber(line.quantity);
+            const materialPayload = applyCasThresholdWritePolicy(normalizeMaterialPayload({
+              ...source.toJSON(),
+              label_id: null,
+              batch_id: null,
+              stock_level: quantity,
+              expiration_date: override.expiration_date || null,
+            }));
+            const sdsAwarePayload = await applySdsRequirementPolicy(materialPayload, transaction);
+            const finalizedPayload = await finalizeMaterialLabelId(Material, sdsAwarePayload, { transaction });
+            const created = await Material.create({ ...finalizedPayload, received_date: receivedDate }, { transaction });
+            await reconcileMaterialContainers(created, transaction);
+            await created.reload({
+              include: [{ model: MaterialContainer, as: 'containers' }],
+              transaction,
+            });
+            await recordHazmatLog(req, {
+              module: 'inventory',
+              entity_type: 'material',
+              entity_id: String(created.id),
+              action: 'created',
+              detail: `Received ${quantity} of ${created.name} on purchase request #${existing.id}`,
+              metadata: {
+                label_id: created.label_id,
+                batch_id: created.batch_id,
+                purchase_request_id: existing.id,
+                asset_uid: buildAssetUid('hazmat', created.id),
+              },
+            }, transaction);
+
+            createdMaterials.push(created);
+            lines.push({
+              ...line,
+              received_quantity: quantity,
+              received_material_id: created.id,
+              received_label_id: created.label_id,
+            });
+          }
+
+          await existing.update({
+            status: 'received',
+            lines,
+            received_at: new Date().toISOString(),
+            received_by: actor.actor_name,
+          }, { transaction });
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'purchase_request',
+            entity_id: String(existing.id),
+            action: 'purchase_received',
+            detail: `Received purchase request #${existing.id} from ${existing.manufacturer}`,
+            metadata: {
+              material_ids: createdMaterials.map((material) => material.id),
+              label_ids: createdMaterials.map((material) => material.label_id),
+            },
+          }, transaction);
+
+          return { request: existing, createdMaterials };
+        });
+
+        const casThresholdLookup = await getCasThresholdLookupMap();
+        return res.json({
+          ...formatPurchaseRequest(response.request),
+          materials: response.createdMaterials.map((material) => formatMaterial(material, { casThresholdLookup })),
         });
+      } catch (error) {
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'label_id already exists'
+          : (error && error.message) || 'failed to receive purchase request';
+        if (/purchase request not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|not found|must be|already|invalid|format|greater than zero/i.test(message) ? 400 : 500).json({ error: message });
       }
-      return res.json({ ok: true });
     },
 
-    listDepartments: async (req, res) => {
+    cancelPurchaseRequest: async (req, res) => {
       try {
-        const departments = await Department.findAll({
-          order: [['name', 'ASC']],
+        const id = Number(req.params.id);
+
+        const request = await hazmatSequelize.transaction(async (transaction) => {
+          const existing = await PurchaseRequest.findByPk(id, { transaction });
+          if (!existing) throw new Error('purchase request not found');
+          if (!OPEN_PURCHASE_REQUEST_STATUSES.includes(existing.status)) {
+            throw new Error(`purchase request is already ${existing.status}`);
+          }
+
+          await existing.update({
+            status: 'cancelled',
+            cancelled_at: new Date().toISOString(),
+          }, { transaction });
+
+          await recordHazmatLog(req, {
+            module: 'inventory',
+            entity_type: 'purchase_request',
+            entity_id: String(existing.id),
+            action: 'purchase_cancelled',
+            detail: `Cancelled purchase request #${existing.id} with ${existing.manufacturer}`,
+            metadata: {
+              reason: normalizeOptionalText(req.body && req.body.reason),
+            },
+          }, transaction);
+          return existing;
         });
-        return res.json(departments.map(formatDepartment));
+
+        return res.json(formatPurchaseRequest(request));
       } catch (error) {
-        console.error('command center list departments', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to load departments' });
+        const message = (error && error.message) || 'failed to cancel purchase request';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/already/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    createDepartment: async (req, res) => {
+    listHazmatTemplates: async (req, res) => {
       try {
-        const payload = normalizeDepartmentPayload(req.body || {});
-        const existing = await findDepartmentByName(payload.name);
-        if (existing) {
-          return res.status(400).json({ error: 'department already exists' });
-        }
+        const templates = await HazmatTemplate.findAll({
+          order: [
+            ['category', 'ASC'],
+            ['template_name', 'ASC'],
+          ],
+        });
+        return res.json(templates.map((template) => formatTemplate(template, { module: 'hazmat' })));
+      } catch (error) {
+        console.error('command center list hazmat templates', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load hazmat templates' });
+      }
+    },
 
-        const department = await gagesSequelize.transaction(async (transaction) => {
-          const created = await Department.create(payload, { transaction });
-          await recordGageLog(req, {
-            module: 'calibration',
-            entity_type: 'department',
+    createHazmatTemplate: async (req, res) => {
+      try {
+        const payload = normalizeTemplatePayload(req.body || {}, { module: 'hazmat' });
+        const template = await hazmatSequelize.transaction(async (transaction) => {
+          const created = await HazmatTemplate.create(payload, { transaction });
+          await recordHazmatLog(req, {
+            module: 'hazmat',
+            entity_type: 'template',
             entity_id: String(created.id),
             action: 'created',
-            detail: `Created department ${created.name}`,
-            metadata: {
-              supervisor: created.supervisor || null,
-            },
+            detail: `Created hazmat template ${created.template_name}`,
+            metadata: { category: created.category },
           }, transaction);
           return created;
         });
 
-        return res.status(201).json(formatDepartment(department));
+        return res.status(201).json(formatTemplate(template, { module: 'hazmat' }));
       } catch (error) {
         const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'department already exists'
-          : (error && error.message) || 'failed to create department';
+          ? 'template_name already exists'
+          : (error && error.message) || 'failed to create hazmat template';
         return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    updateDepartment: async (req, res) => {
+    updateHazmatTemplate: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        if (!Number.isInteger(id) || id <= 0) {
-          return res.status(400).json({ error: 'invalid department id' });
-        }
-
-        const department = await Department.findByPk(id);
-        if (!department) {
-          return res.status(404).json({ error: 'department not found' });
-        }
-
-        const payload = normalizeDepartmentPayload({ ...department.toJSON(), ...(req.body || {}) });
-        const existing = await findDepartmentByName(payload.name);
-        if (existing && Number(existing.id) !== id) {
-          return res.status(400).json({ error: 'department already exists' });
-        }
+        const template = await HazmatTemplate.findByPk(id);
+        if (!template) return res.status(404).json({ error: 'hazmat template not found' });
 
-        await gagesSequelize.transaction(async (transaction) => {
-          await department.update(payload, { transaction });
-          await recordGageLog(req, {
-            module: 'calibration',
-            entity_type: 'department',
-            entity_id: String(department.id),
+        const payload = normalizeTemplatePayload({ ...template.toJSON(), ...(req.body || {}) }, { module: 'hazmat' });
+        await hazmatSequelize.transaction(async (transaction) => {
+          await template.update(payload, { transaction });
+          await recordHazmatLog(req, {
+            module: 'hazmat',
+            entity_type: 'template',
+            entity_id: String(template.id),
             action: 'updated',
-            detail: `Updated department ${department.name}`,
-            metadata: {
-              supervisor: department.supervisor || null,
-            },
+            detail: `Updated hazmat template ${template.template_name}`,
+            metadata: { category: template.category },
           }, transaction);
         });
 
-        const refreshed = await Department.findByPk(id);
-        return res.json(formatDepartment(refreshed));
+        const refreshed = await HazmatTemplate.findByPk(id);
+        return res.json(formatTemplate(refreshed, { module: 'hazmat' }));
       } catch (error) {
         const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'department already exists'
-          : (error && error.message) || 'failed to update department';
-        return res.status(/required|exists|invalid/i.test(message) ? 400 : 500).json({ error: message });
+          ? 'template_name already exists'
+          : (error && error.message) || 'failed to update hazmat template';
+        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    deleteDepartment: async (req, res) => {
+    deleteHazmatTemplate: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        if (!Number.isInteger(id) || id <= 0) {
-          return res.status(400).json({ error: 'invalid department id' });
-        }
-
-        const department = await Department.findByPk(id);
-        if (!department) {
-          return res.status(404).json({ error: 'department not found' });
-        }
+        const template = await HazmatTemplate.findByPk(id);
+        if (!template) return res.status(404).json({ error: 'hazmat template not found' });
 
-        await gagesSequelize.transaction(async (transaction) => {
-          await recordGageLog(req, {
-            module: 'calibration',
-            entity_type: 'department',
-            entity_id: String(department.id),
+        await hazmatSequelize.transaction(async (transaction) => {
+          await recordHazmatLog(req, {
+            module: 'hazmat',
+            entity_type: 'template',
+            entity_id: String(template.id),
             action: 'deleted',
-            detail: `Deleted department ${department.name}`,
-            metadata: {
-              supervisor: department.supervisor || null,
-            },
+            detail: `Deleted hazmat template ${template.template_name}`,
+            metadata: { category: template.category },
           }, transaction);
-          await department.destroy({ transaction });
+          await template.destroy({ transaction });
         });
 
         return res.json({ ok: true, id });
       } catch (error) {
-        console.error('command center delete department', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to delete department' });
+        console.error('command center delete hazmat template', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete hazmat template' });
       }
     },
 
-    listManufacturers: async (req, res) => {
+    listCalibrationTemplates: async (req, res) => {
       try {
-        if (!Manufacturer) {
-          return res.json([]);
-        }
+        const templates = await CalibrationTemplate.findAll({
+          include: [{
+            model: CalibrationAsset,
+            as: 'assets',
+            attributes: ['id'],
+            required: false,
+          }],
+          order: [
+            ['category', 'ASC'],
+            ['template_name', 'ASC'],
+          ],
+        });
+        return res.json(templates.map((template) => formatTemplate(template, { module: 'calibration' })));
+      } catch (error) {
+        console.error('command center list calibration templates', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load calibration templates' });
+      }
+    },
 
-        const manufacturers = await Manufacturer.findAll({
-          order: [['name', 'ASC']],
+    createCalibrationTemplate: async (req, res) => {
+      try {
+        const payload = normalizeTemplatePayload(req.body || {}, { module: 'calibration' });
+        const template = await gagesSequelize.transaction(async (transaction) => {
+          const created = await CalibrationTemplate.create(payload, { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'template',
+            entity_id: String(created.id),
+            action: 'created',
+            detail: `Created calibration template ${created.template_name}`,
+            metadata: { category: created.category },
+          }, transaction);
+          return created;
         });
-        return res.json(manufacturers.map(formatManufacturer));
+
+        return res.status(201).json(formatTemplate(template, { module: 'calibration' }));
       } catch (error) {
-        console.error('command center list manufacturers', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to load manufacturers' });
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'template_name already exists'
+          : (error && error.message) || 'failed to create calibration template';
+        return res.status(/required|exists|must be/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    createManufacturer: async (req, res) => {
+    updateCalibrationTemplate: async (req, res) => {
       try {
-        if (!Manufacturer) {
-          return res.status(503).json({ error: 'manufacturer catalog is unavailable' });
-        }
-
-        const payload = normalizeManufacturerPayload(req.body || {});
-        const existing = await findManufacturerByName(payload.name);
-        if (existing) {
-          return res.status(400).json({ error: 'manufacturer already exists' });
-        }
+        const id = Number(req.params.id);
+        const template = await CalibrationTemplate.findByPk(id);
+        if (!template) return res.status(404).json({ error: 'calibration template not found' });
 
-        const manufacturer = await hazmatSequelize.transaction(async (transaction) => {
-          const created = await Manufacturer.create(payload, { transaction });
-          await recordHazmatLog(req, {
-            module: 'inventory',
-            entity_type: 'manufacturer',
-            entity_id: String(created.id),
-            action: 'created',
-            detail: `Created manufacturer ${created.name}`,
+        const payload = normalizeTemplatePayload({ ...template.toJSON(), ...(req.body || {}) }, { module: 'calibration' });
+        await gagesSequelize.transaction(async (transaction) => {
+          await template.update(payload, { transaction });
+          await syncAssetsForTemplate(req, template, transaction);
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'template',
+            entity_id: String(template.id),
+            action: 'updated',
+            detail: `Updated calibration template ${template.template_name}`,
+            metadata: { category: template.category },
           }, transaction);
-          return created;
         });
 
-        return res.status(201).json(formatManufacturer(manufacturer));
+        const refreshed = await CalibrationTemplate.findByPk(id, {
+          include: [{
+            model: CalibrationAsset,
+            as: 'assets',
+            attributes: ['id'],
+            required: false,
+          }],
+        });
+        return res.json(formatTemplate(refreshed, { module: 'calibration' }));
       } catch (error) {
         const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'manufacturer already exists'
-          : (error && error.message) || 'failed to create manufacturer';
-        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
+          ? 'template_name already exists'
+          : (error && error.message) || 'failed to update calibration template';
+        return res.status(/required|exists|must be/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    deleteManufacturer: async (req, res) => {
+    deleteCalibrationTemplate: async (req, res) => {
       try {
-        if (!Manufacturer) {
-          return res.status(503).json({ error: 'manufacturer catalog is unavailable' });
-        }
-
         const id = Number(req.params.id);
-        if (!Number.isInteger(id) || id <= 0) {
-          return res.status(400).json({ error: 'invalid manufacturer id' });
-        }
-
-        const manufacturer = await Manufacturer.findByPk(id);
-        if (!manufacturer) {
-          return res.status(404).json({ error: 'manufacturer not found' });
-        }
+        const template = await CalibrationTemplate.findByPk(id);
+        if (!template) return res.status(404).json({ error: 'calibration template not found' });
 
-        const linkedSdsMappings = SdsDocument
-          ? await SdsDocument.count({ where: { manufacturer_id: id } })
-          : 0;
-        if (linkedSdsMappings > 0) {
-          return res.status(400).json({ error: 'manufacturer has SDS mappings; remove mappings first' });
+        const assetCount = await CalibrationAsset.count({ where: { template_id: id } });
+        if (assetCount > 0) {
+          return res.status(400).json({ error: 'template is assigned to calibration assets' });
         }
 
-        await hazmatSequelize.transaction(async (transaction) => {
-          await recordHazmatLog(req, {
-            module: 'inventory',
-            entity_type: 'manufacturer',
-            entity_id: String(manufacturer.id),
+        await gagesSequelize.transaction(async (transaction) => {
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'template',
+            entity_id: String(template.id),
             action: 'deleted',
-            detail: `Deleted manufacturer ${manufacturer.name}`,
+            detail: `Deleted calibration template ${template.template_name}`,
+            metadata: { category: template.category },
           }, transaction);
-          await manufacturer.destroy({ transaction });
+          await template.destroy({ transaction });
         });
 
         return res.json({ ok: true, id });
       } catch (error) {
-        console.error('command center delete manufacturer', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to delete manufacturer' });
-      }
-    },
-
-    listMaterials: async (req, res) => {
-      try {
-        const [materials, casThresholdLookup] = await Promise.all([
-          Material.findAll({
-            order: [
-              ['expiration_date', 'ASC'],
-              ['name', 'ASC'],
-            ],
-          }),
-          getCasThresholdLookupMap(),
-        ]);
-
-        return res.json(materials.map((material) => formatMaterial(material, { casThresholdLookup })));
-      } catch (error) {
-        console.error('command center list materials', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to load materials' });
+        console.error('command center delete calibration template', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete calibration template' });
       }
     },
 
-    listSdsDocuments: async (req, res) => {
+    listCalibration: async (req, res) => {
       try {
-        if (!SdsDocument) {
-          return res.status(503).json({ error: 'sds catalog is unavailable' });
-        }
-
-        const manufacturerId = normalizeNumericId((req.query && req.query.manufacturer_id) || (req.query && req.query.manufacturerId));
-        const requestedCas = String((req.query && (req.query.cas_number || req.query.casNumber)) || '').trim();
-        const casNumber = requestedCas ? normalizeCasNumber(requestedCas) : null;
-
-        if (requestedCas && !casNumber) {
-          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
-        }
-
-        const whereClause = {};
-        if (manufacturerId) {
-          whereClause.manufacturer_id = manufacturerId;
-        }
-        if (casNumber) {
-          whereClause.cas_number = casNumber;
-        }
-
-        const records = await SdsDocument.findAll({
-          where: whereClause,
+        const archived = isArchivedListRequest(req);
+        const assets = await (archived ? CalibrationAsset.unscoped() : CalibrationAsset).findAll({
+          where: archived ? { archived_at: { [Op.ne]: null } } : undefined,
           include: [{
-            model: Manufacturer,
-            as: 'manufacturer_record',
+            model: CalibrationTemplate,
+            as: 'template',
+            required: false,
+          }, {
+            model: CalibrationCustody,
+            as: 'custody_records',
+            where: { checked_in_at: null },
             required: false,
           }],
           order: [
-            ['manufacturer', 'ASC'],
-            ['cas_number', 'ASC'],
-            ['id', 'ASC'],
+            ['next_cal', 'ASC'],
+            ['tool_name', 'ASC'],
           ],
         });
-
-        return res.json(records.map(formatSdsDocument));
+        return res.json(assets.map(formatCalibration));
       } catch (error) {
-        console.error('command center list SDS documents', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to load sds documents' });
+        console.error('command center list calibration', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load calibration assets' });
       }
     },
 
-    deleteSdsDocument: async (req, res) => {
+    createCalibration: async (req, res) => {
       try {
-        if (!SdsDocument) {
-          return res.status(503).json({ error: 'sds catalog is unavailable' });
-        }
-
-        const id = Number(req.params.id);
-        if (!Number.isInteger(id) || id <= 0) {
-          return res.status(400).json({ error: 'invalid sds document id' });
-        }
+        const payload = normalizeCalibrationPayload(req.body || {});
+        const asset = await gagesSequelize.transaction(async (transaction) => {
+          const template = await resolveCalibrationTemplate(payload, transaction);
+          const plan = await resolveAssetCalibrationPlan(payload.last_cal, template, transaction, null);
+          const created = await CalibrationAsset.create(buildAssetPayload(payload, template, plan), { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(created.id),
+            action: 'created',
+            detail: `Created calibration asset ${created.tool_name}`,
+            metadata: {
+              serial_number: created.serial_number,
+              template_id: template.id,
+              asset_uid: buildAssetUid('calibration', created.id),
+              cfe_uid: buildCfeUid('calibration', created.id),
+            },
+          }, transaction);
+          return created;
+        });
 
-        const record = await SdsDocument.findByPk(id, {
+        const refreshed = await CalibrationAsset.findByPk(asset.id, {
           include: [{
-            model: Manufacturer,
-            as: 'manufacturer_record',
+            model: CalibrationTemplate,
+            as: 'template',
             required: false,
           }],
         });
-        if (!record) {
-          return res.status(404).json({ error: 'sds document not found' });
-        }
+        return res.status(201).json(formatCalibration(refreshed));
+      } catch (error) {
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'serial_number already exists'
+          : (error && error.message) || 'failed to create calibration asset';
+        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
 
-        const linkedMaterials = await Material.count({
-          where: {
-            sds_id: id,
-            sds_not_required: 0,
-          },
-        });
-        if (linkedMaterials > 0) {
-          return res.status(400).json({ error: 'sds document is linked to active materials' });
-        }
+    updateCalibration: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const asset = await CalibrationAsset.findByPk(id);
+        if (!asset) return res.status(404).json({ error: 'calibration asset not found' });
 
-        const formatted = formatSdsDocument(record);
-        await hazmatSequelize.transaction(async (transaction) => {
-          await recordHazmatLog(req, {
-            module: 'inventory',
-            entity_type: 'sds_document',
-            entity_id: String(id),
-            action: 'deleted',
-            detail: `Deleted SDS mapping for ${formatted.cas_number || 'unknown CAS'} / ${formatted.manufacturer || 'unknown manufacturer'}`,
+        const payload = normalizeCalibrationPayload({ ...asset.toJSON(), ...(req.body || {}) });
+        await gagesSequelize.transaction(async (transaction) => {
+          const template = await resolveCalibrationTemplate(payload, transaction);
+          const sameTemplate = template.id === asset.template_id;
+          const scheduleTemplate = sameTemplate ? buildAssetScheduleTemplate(asset, template) : template;
+          const plan = await resolveAssetCalibrationPlan(payload.last_cal, scheduleTemplate, transaction, asset.id);
+          await asset.update({
+            ...buildAssetPayload(payload, scheduleTemplate, plan),
+            ...(sameTemplate ? {} : { interval_override_days: null }),
+          }, { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(asset.id),
+            action: 'updated',
+            detail: `Updated calibration asset ${asset.tool_name}`,
+            metadata: {
+              serial_number: asset.serial_number,
+              template_id: template.id,
+              asset_uid: buildAssetUid('calibration', asset.id),
+              cfe_uid: buildCfeUid('calibration', asset.id),
+            },
           }, transaction);
-          await record.destroy({ transaction });
         });
 
-        return res.json({ ok: true, id });
+        const refreshed = await CalibrationAsset.findByPk(id, {
+          include: [{
+            model: CalibrationTemplate,
+            as: 'template',
+            required: false,
+          }],
+        });
+        return res.json(formatCalibration(refreshed));
       } catch (error) {
-        console.error('command center delete SDS document', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to delete sds document' });
+        const message = error && error.name === 'SequelizeUniqueConstraintError'
+          ? 'serial_number already exists'
+          : (error && error.message) || 'failed to update calibration asset';
+        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    getHazmatSdsCompliance: async (req, res) => {
+    deleteCalibration: async (req, res) => {
       try {
-        const materials = await Material.findAll({
-          attributes: ['id', 'cas_number', 'manufacturer', 'sds_not_required', 'sds_id', 'sds_file_path'],
-          order: [['id', 'ASC']],
-        });
-
-        let requiredTotal = 0;
-        let coveredTotal = 0;
-        let missingManufacturerTotal = 0;
-        let missingCasTotal = 0;
-        let missingLinkTotal = 0;
-        const missingPairMap = new Map();
-
-        materials.forEach((material) => {
-          const payload = material && typeof material.toJSON === 'function' ? material.toJSON() : (material || {});
-          const sdsNotRequired = normalizeSdsNotRequired(payload && payload.sds_not_required, true);
-          if (sdsNotRequired) return;
-
-          requiredTotal += 1;
-
-          const casNumber = normalizeCasNumber(payload && payload.cas_number);
-          const manufacturer = normalizeManufacturer(payload && payload.manufacturer);
-          const sdsId = normalizeNumericId(payload && payload.sds_id);
-          const sdsPath = normalizeSdsPath(payload && payload.sds_file_path);
-          const hasCoverage = Boolean(sdsId && sdsPath);
-
-          if (hasCoverage) {
-            coveredTotal += 1;
-            return;
-          }
+        const id = Number(req.params.id);
+        const reason = readArchiveReason(req);
+        const asset = await CalibrationAsset.findByPk(id);
+        if (!asset) return res.status(404).json({ error: 'calibration asset not found' });
 
-          missingLinkTotal += 1;
-          if (!casNumber) {
-            missingCasTotal += 1;
-          }
-          if (!manufacturer) {
-            missingManufacturerTotal += 1;
-          }
+        await gagesSequelize.transaction(async (transaction) => {
+          const openCustody = await CalibrationCustody.count({ where: { asset_id: asset.id, checked_in_at: null }, transaction });
+          if (openCustody) throw new Error('calibration asset is checked out; check it in before archiving');
 
-          if (casNumber && manufacturer) {
-            const key = `${casNumber}::${normalizeManufacturerKey(manufacturer)}`;
-            const current = missingPairMap.get(key) || {
-              cas_number: casNumber,
-              manufacturer,
-              count: 0,
-            };
-            current.count += 1;
-            missingPairMap.set(key, current);
-          }
+          await asset.update({
+            archived_at: new Date().toISOString(),
+            archive_reason: reason,
+            archived_by: buildLogActor(req).actor_name,
+          }, { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(asset.id),
+            action: 'archived',
+            detail: `Archived calibration asset ${asset.tool_name}: ${reason}`,
+            metadata: {
+              reason,
+              serial_number: asset.serial_number,
+              asset_uid: buildAssetUid('calibration', asset.id),
+              cfe_uid: buildCfeUid('calibration', asset.id),
+            },
+          }, transaction);
         });
 
-        const missingTotal = Math.max(requiredTotal - coveredTotal, 0);
-        const coveragePercent = requiredTotal > 0
-          ? Number(((coveredTotal / requiredTotal) * 100).toFixed(2))
-          : 100;
-        const mappedDocumentsTotal = SdsDocument ? await SdsDocument.count() : 0;
-        const topMissingPairs = Array.from(missingPairMap.values())
-          .sort((left, right) => right.count - left.count || left.cas_number.localeCompare(right.cas_number))
-          .slice(0, 12);
-
-        return res.json({
-          required_total: requiredTotal,
-          covered_total: coveredTotal,
-          missing_total: missingTotal,
-          missing_link_total: missingLinkTotal,
-          missing_manufacturer_total: missingManufacturerTotal,
-          missing_cas_total: missingCasTotal,
-          coverage_percent: coveragePercent,
-          mapped_documents_total: mappedDocumentsTotal,
-          top_missing_pairs: topMissingPairs,
-        });
+        return res.json({ ok: true, id, archived_at: asset.archived_at });
       } catch (error) {
-        console.error('command center hazmat SDS compliance', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to build hazmat sds compliance' });
+        const message = (error && error.message) || 'failed to archive calibration asset';
+        if (/required|checked out/i.test(message)) return res.status(400).json({ error: message });
+        console.error('command center archive calibration', message);
+        return res.status(500).json({ error: 'failed to archive calibration asset' });
       }
     },
 
-    resolveSdsDocument: async (req, res) => {
+    restoreCalibration: async (req, res) => {
       try {
-        if (!SdsDocument) {
-          return res.status(503).json({ error: 'sds catalog is unavailable' });
-        }
+        const id = Number(req.params.id);
+        const asset = await gagesSequelize.transaction(async (transaction) => {
+          const existing = await CalibrationAsset.unscoped().findByPk(id, { transaction });
+          if (!existing) throw new Error('calibration asset not found');
+          if (!existing.archived_at) throw new Error('calibration asset is not archived');
 
-        const casNumber = normalizeCasNumber((req.query && req.query.cas_number) || '');
-        const manufacturerId = normalizeNumericId((req.query && req.query.manufacturer_id) || (req.query && req.query.manufacturerId));
-        const manufacturer = normalizeManufacturer((req.query && req.query.manufacturer) || '');
+          const reason = existing.archive_reason;
+          await existing.update({ archived_at: null, archive_reason: null, archived_by: null }, { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(existing.id),
+            action: 'restored',
+            detail: `Restored calibration asset ${existing.tool_name}`,
+            metadata: {
+              archive_reason: reason,
+              serial_number: existing.serial_number,
+              asset_uid: buildAssetUid('calibration', existing.id),
+              cfe_uid: buildCfeUid('calibration', existing.id),
+            },
+          }, transaction);
+          return existing;
+        });
 
-        if (!casNumber) {
-          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
-        }
+        const refreshed = await CalibrationAsset.findByPk(asset.id, {
+          include: [{
+            model: CalibrationTemplate,
+            as: 'template',
+            required: false,
+          }],
+        });
+        return res.json(formatCalibration(refreshed));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to restore calibration asset';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/not archived/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
 
-        if (!manufacturerId && !manufacturer) {
-          return res.status(400).json({ error: 'manufacturer is required' });
-        }
+    importCalibration: async (req, res) => {
+      const rows = Array.isArray(req.body && req.body.calibration) ? req.body.calibration : [];
+      if (!rows.length) return res.status(400).json({ error: 'calibration array is required' });
 
-        const manufacturerRecord = await resolveManufacturerRecordForSds({
-          manufacturer_id: manufacturerId,
-          manufacturer,
-        }, null, {
-          requireExisting: false,
-          allowCreate: false,
-        });
+      try {
+        const result = { created: 0, updated: 0 };
+        await gagesSequelize.transaction(async (transaction) => {
+          for (const rawRow of rows) {
+            const payload = normalizeCalibrationPayload(rawRow || {});
+            const template = await resolveCalibrationTemplate(payload, transaction);
+            const existing = await CalibrationAsset.findOne({ where: { serial_number: payload.serial_number }, transaction });
+            const sameTemplate = Boolean(existing) && existing.template_id === template.id;
+            const scheduleTemplate = sameTemplate ? buildAssetScheduleTemplate(existing, template) : template;
+            const plan = await resolveAssetCalibrationPlan(
+              payload.last_cal,
+              scheduleTemplate,
+              transaction,
+              existing ? existing.id : null
+            );
+            const assetPayload = buildAssetPayload(payload, scheduleTemplate, plan);
+            if (existing) {
+              await existing.update({
+                ...assetPayload,
+                ...(sameTemplate ? {} : { interval_override_days: null }),
+              }, { transaction });
+              result.updated += 1;
+            } else {
+              await CalibrationAsset.create(assetPayload, { transaction });
+              result.created += 1;
+            }
+          }
 
-        const record = await findSdsDocumentByCasManufacturer(casNumber, {
-          manufacturer_id: manufacturerRecord && manufacturerRecord.id,
-          manufacturer: manufacturerRecord && manufacturerRecord.name ? manufacturerRecord.name : manufacturer,
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: null,
+            action: 'imported',
+            detail: `Imported ${rows.length} calibration rows`,
+            metadata: result,
+          }, transaction);
         });
-        if (!record) {
-          return res.json({ found: false, sds: null });
-        }
 
-        return res.json({ found: true, sds: formatSdsDocument(record) });
+        return res.json(result);
       } catch (error) {
-        console.error('command center resolve SDS', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to resolve sds document' });
+        return res.status(400).json({ error: (error && error.message) || 'failed to import calibration assets' });
       }
     },
 
-    uploadSdsDocument: async (req, res) => {
+    checkoutCalibration: async (req, res) => {
       try {
-        if (!SdsDocument) {
-          return res.status(503).json({ error: 'sds catalog is unavailable' });
-        }
-
-        if (!paths || !paths.SDS_UPLOADS_DIR) {
-          return res.status(500).json({ error: 'sds uploads path is not configured' });
-        }
-
-        const file = await runSingleUpload(hazmatSdsUpload, req, res);
-        if (!file) {
-          return res.status(400).json({ error: 'file is required' });
-        }
+        const id = Number(req.params.id);
+        const payload = normalizeCheckoutPayload(req.body || {});
+        const actor = buildLogActor(req);
 
-        const casNumber = normalizeCasNumber((req.body && req.body.cas_number) || (req.query && req.query.cas_number) || '');
-        const manufacturerId = normalizeNumericId(
-          (req.body && (req.body.manufacturer_id || req.body.manufacturerId))
-          || (req.query && (req.query.manufacturer_id || req.query.manufacturerId))
-        );
-        const manufacturer = normalizeManufacturer((req.body && req.body.manufacturer) || (req.query && req.query.manufacturer) || '');
+        const response = await gagesSequelize.transaction(async (transaction) => {
+          const asset = await CalibrationAsset.findByPk(id, {
+            include: [{
+              model: CalibrationTemplate,
+              as: 'template',
+              required: false,
+            }],
+            transaction,
+          });
+          if (!asset) throw new Error('calibration asset not found');
 
-        if (!casNumber) {
-          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
-        }
+          const liveStatus = computeCalibrationStatus({
+            nextCalDate: asset.next_cal,
+            alertLeadDays: asset.alert_lead_days,
+            gracePeriodDays: asset.grace_period_days,
+          });
+          if (liveStatus === 'LOCKED') {
+            throw new Error('asset is locked after the grace period and cannot be checked out');
+          }
+          if (liveStatus === 'EXPIRED') {
+            throw new Error('asset is overdue for calibration and cannot be checked out');
+          }
+          if (asset.out_of_tolerance) {
+            throw new Error('asset is out of tolerance and locked until its impact assessment is closed');
+          }
 
-        const publicPath = buildRelativeUploadPath('sds', file.filename);
-        const result = await hazmatSequelize.transaction(async (transaction) => {
-          const manufacturerRecord = await resolveManufacturerRecordForSds({
-            manufacturer_id: manufacturerId,
-            manufacturer,
-          }, transaction, {
-            requireExisting: true,
-            allowCreate: false,
+          const openCustody = await CalibrationCustody.findOne({
+            where: { asset_id: asset.id, checked_in_at: null },
+            transaction,
           });
-          if (!manufacturerRecord) {
-            throw new Error('manufacturer is required');
+          if (openCustody) {
+            throw new Error(`asset is already checked out to ${openCustody.holder_name}`);
           }
 
-          const normalizedManufacturerId = normalizeNumericId(manufacturerRecord.id);
-          const normalizedManufacturerName = normalizeManufacturer(manufacturerRecord.name);
+          if (payload.expected_return_date && asset.next_cal && payload.expected_return_date > asset.next_cal) {
+            throw new Error(`expected_return_date must be on or before the next calibration date ${asset.next_cal}`);
+          }
 
-          const existing = await findSdsDocumentByCasManufacturer(casNumber, {
-            manufacturer_id: normalizedManufacturerId,
-            manufacturer: normalizedManufacturerName,
+          const custody = await CalibrationCustody.create({
+            asset_id: asset.id,
+            holder_name: payload.holder_name || actor.actor_name,
+            holder_user_id: payload.holder_user_id || (payload.holder_name ? null : actor.actor_id),
+            reason: payload.reason,
+            checked_out_at: new Date().toISOString(),
+            checked_out_by: actor.actor_name,
+            expected_return_date: payload.expected_return_date,
+          }, { transaction });
+
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(asset.id),
+            action: 'checked_out',
+            detail: `Checked out ${asset.tool_name} to ${custody.holder_name}`,
+            metadata: {
+              reason: payload.reason,
+              custody_id: custody.id,
+              holder_name: custody.holder_name,
+              expected_return_date: custody.expected_return_date || null,
+              serial_number: asset.serial_number,
+              asset_uid: buildAssetUid('calibration', asset.id),
+              cfe_uid: buildCfeUid('calibration', asset.id),
+            },
           }, transaction);
-          if (existing) {
-            await existing.update({
-              cas_number: casNumber,
-              manufacturer_id: normalizedManufacturerId,
-              manufacturer: normalizedManufacturerName,
-              sds_file_path: publicPath,
-            }, { transaction });
-            return { record: existing, created: false };
-          }
 
-          const created = await SdsDocument.create({
-            cas_number: casNumber,
-            manufacturer_id: normalizedManufacturerId,
-            manufacturer: normalizedManufacturerName,
-            sds_file_path: publicPath,
-          }, { transaction });
+          return { asset, custody };
+        });
+
+        return res.status(201).json({
+          ok: true,
+          asset: formatCalibration({ ...response.asset.toJSON(), custody_records: [response.custody.toJSON()] }),
+          custody: formatCalibrationCustody(response.custody),
+        });
+      } catch (error) {
+        const message = (error && error.message) || 'failed to check out asset';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/locked|overdue|already checked out|invalid|past|must be/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    checkinCalibration: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const payload = normalizeCheckinPayload(req.body || {});
+        const actor = buildLogActor(req);
 
-          await created.reload({
+        const response = await gagesSequelize.transaction(async (transaction) => {
+          const asset = await CalibrationAsset.findByPk(id, {
             include: [{
-              model: Manufacturer,
-              as: 'manufacturer_record',
+              model: CalibrationTemplate,
+              as: 'template',
               required: false,
             }],
             transaction,
           });
+          if (!asset) throw new Error('calibration asset not found');
+
+          const custody = await CalibrationCustody.findOne({
+            where: { asset_id: asset.id, checked_in_at: null },
+            transaction,
+          });
+          if (!custody) throw new Error('asset is not checked out');
+          if (custody.shipment_id) {
+            throw new Error(`asset is out for vendor calibration with ${custody.holder_name}; receive it from the shipment instead`);
+          }
+
+          const returnDays = daysUntil(custody.expected_return_date);
+          await custody.update({
+            checked_in_at: new Date().toISOString(),
+            checked_in_by: actor.actor_name,
+            return_condition: payload.condition,
+            return_notes: payload.notes,
+          }, { transaction });
+
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(asset.id),
+            action: 'checked_in',
+            detail: `Checked in ${asset.tool_name} from ${custody.holder_name} (${payload.condition.replace(/_/g, ' ')})`,
+            metadata: {
+              custody_id: custody.id,
+              holder_name: custody.holder_name,
+              condition: payload.condition,
+              notes: payload.notes,
+              checked_out_at: custody.checked_out_at,
+              expected_return_date: custody.expected_return_date || null,
+              returned_late: typeof returnDays === 'number' && returnDays < 0,
+              serial_number: asset.serial_number,
+              asset_uid: buildAssetUid('calibration', asset.id),
+              cfe_uid: buildCfeUid('calibration', asset.id),
+            },
+          }, transaction);
 
-          return { record: created, created: true };
+          return { asset, custody };
         });
 
-        return res.status(result.created ? 201 : 200).json({
+        return res.json({
           ok: true,
-          created: result.created,
-          sds: formatSdsDocument(result.record),
+          asset: formatCalibration(response.asset),
+          custody: formatCalibrationCustody(response.custody),
         });
       } catch (error) {
-        const message = (error && error.message) || 'failed to upload sds document';
-        const status = /required|format|invalid|only|file|not found/i.test(message) ? 400 : 500;
-        return res.status(status).json({ error: message });
+        const message = (error && error.message) || 'failed to check in asset';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/not checked out|vendor calibration|invalid/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    lookupCas: async (req, res) => {
+    listCalibrationCustody: async (req, res) => {
       try {
-        if (!casService || typeof casService.lookup !== 'function') {
-          return res.status(503).json({ error: 'local CAS database unavailable' });
-        }
+        const assetId = normalizeNumericId(req.query && req.query.asset_id);
+        const view = String((req.query && req.query.status) || 'out').trim().toLowerCase();
+        const whereClause = {};
+        if (assetId) whereClause.asset_id = assetId;
+        if (view !== 'all') whereClause.checked_in_at = null;
 
-        const requestedCas = String((req.params && req.params.casNumber) || (req.query && req.query.cas_number) || '').trim();
-        const casNumber = normalizeCasNumber(requestedCas);
-        if (!casNumber) {
-          return res.status(400).json({ error: 'invalid cas number format' });
-        }
+        const records = await CalibrationCustody.findAll({
+          where: whereClause,
+          include: [{
+            model: CalibrationAsset.unscoped(),
+            as: 'asset',
+            attributes: ['id', 'tool_name', 'serial_number', 'assigned_department', 'next_cal'],
+            required: false,
+          }],
+          order: [
+            ['checked_out_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
+          limit: normalizePositiveLimit(req.query && req.query.limit, 200, 1000),
+        });
 
-        const record = await casService.lookup(casNumber);
-        if (!record) {
-          return res.status(404).json({ error: 'cas number not found in local or live database' });
-        }
+        const rows = records.map((record) => {
+          const asset = record.asset ? record.asset.toJSON() : null;
+          return {
+            ...formatCalibrationCustody(record),
+            tool_name: asset ? asset.tool_name : null,
+            serial_number: asset ? asset.serial_number : null,
+            assigned_department: asset ? asset.assigned_department : null,
+            next_cal: asset ? asset.next_cal : null,
+          };
+        });
 
-        return res.json(record);
+        return res.json(view === 'overdue' ? rows.filter((row) => row.return_overdue) : rows);
       } catch (error) {
-        console.error('command center CAS lookup', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to query local CAS database' });
+        console.error('command center list calibration custody', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load calibration custody' });
       }
     },
 
-    listCasIndex: async (req, res) => {
-      try {
-        if (!casService || typeof casService.list !== 'function') {
-          return res.status(503).json({ error: 'local CAS database unavailable' });
-        }
+    getCalibrationNotificationStatus: async (req, res) => {
+      if (!calibrationNotifier) {
+        return res.status(503).json({ error: 'calibration notifications are unavailable' });
+      }
 
-        const primaryClass = normalizePrimaryClass((req.query && (req.query.primary_class || req.query.primaryClass)) || '', '');
-        const division = normalizeDivision((req.query && req.query.division) || '');
-        const hazardStatus = String((req.query && (req.query.hazard_status || req.query.hazardStatus)) || '').trim().toLowerCase();
-        const search = String((req.query && (req.query.search || req.query.q)) || '').trim();
-        const limit = Number.parseInt((req.query && req.query.limit) || '200', 10);
-        const offset = Number.parseInt((req.query && req.query.offset) || '0', 10);
+      return res.json(calibrationNotifier.getStatus());
+    },
 
-        const result = casService.list({
-          primary_class: primaryClass,
-          division,
-          hazard_status: hazardStatus,
-          search,
-          limit,
-          offset,
-        });
+    runCalibrationNotifications: async (req, res) => {
+      if (!calibrationNotifier) {
+        return res.status(503).json({ error: 'calibration notifications are unavailable' });
+      }
 
-        return res.json({
-          ...result,
-          filters: {
-            primary_class: primaryClass || '',
-            division,
-            hazard_status: hazardStatus,
-            search,
-          },
-        });
+      try {
+        const dryRun = String((req.body && req.body.dry_run) || (req.query && req.query.dry_run) || '').trim().toLowerCase();
+        const result = await calibrationNotifier.runOnce({ dryRun: dryRun === 'true' || dryRun === '1' });
+        return res.json(result);
       } catch (error) {
-        console.error('command center CAS index list', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to query local CAS index' });
+        const message = (error && error.message) || 'failed to run calibration notifications';
+        return res.status(/not configured/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    casIndexSummary: async (req, res) => {
-      try {
-        if (!casService || typeof casService.getClassSummary !== 'function') {
-          return res.status(503).json({ error: 'local CAS database unavailable' });
-        }
-
-        const summary = casService.getClassSummary();
-        return res.json(summary);
-      } catch (error) {
-        console.error('command center CAS index summary', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to query local CAS summary' });
+    getArchiveRetentionStatus: async (req, res) => {
+      if (!archiveRetention) {
+        return res.status(503).json({ error: 'archive retention is unavailable' });
       }
+
+      return res.json(archiveRetention.getStatus());
     },
 
-    listCasThresholdDefaults: async (req, res) => {
-      try {
-        if (!CasThresholdDefault) {
-          return res.json([]);
-        }
+    runArchiveRetention: async (req, res) => {
+      if (!archiveRetention) {
+        return res.status(503).json({ error: 'archive retention is unavailable' });
+      }
 
-        const rows = await CasThresholdDefault.findAll({
-          order: [['cas_number', 'ASC']],
-        });
-        return res.json(rows.map(formatCasThresholdDefault));
+      try {
+        const dryRun = String((req.body && req.body.dry_run) || (req.query && req.query.dry_run) || '').trim().toLowerCase();
+        const result = await archiveRetention.runOnce({ dryRun: dryRun === 'true' || dryRun === '1' });
+        return res.json(result);
       } catch (error) {
-        console.error('command center list CAS thresholds', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to load cas thresholds' });
+        const message = (error && error.message) || 'failed to run archive retention';
+        return res.status(/disabled/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    createCasThresholdDefault: async (req, res) => {
+    generateCertificate: async (req, res) => {
       try {
-        if (!CasThresholdDefault) {
-          return res.status(503).json({ error: 'cas thresholds are unavailable' });
-        }
+        const id = Number(req.params.id);
+        const payload = normalizeCertificatePayload(req.body || {});
+        const completionDate = new Date().toISOString().slice(0, 10);
+        let writtenCertificateFile = null;
 
-        const payload = normalizeCasThresholdPayload(req.body || {});
-        const existing = await CasThresholdDefault.findOne({ where: { cas_number: payload.cas_number } });
-        if (existing) {
-          await existing.update(payload);
-          return res.status(201).json(formatCasThresholdDefault(existing));
-        }
+        const result = await gagesSequelize.transaction(async (transaction) => {
+          const asset = await CalibrationAsset.findByPk(id, {
+            include: [{
+              model: CalibrationTemplate,
+              as: 'template',
+              required: false,
+            }],
+            transaction,
+          });
+          if (!asset) {
+            throw new Error('calibration asset not found');
+          }
 
-        const created = await CasThresholdDefault.create(payload);
-        return res.status(201).json(formatCasThresholdDefault(created));
+          const unitOfMeasure = normalizeUnitOfMeasure(asset.unit_of_measure, DEFAULT_UNIT_OF_MEASURE);
+          const testPoints = asset.template ? normalizeTestPoints(asset.template.test_points, unitOfMeasure) : [];
+          const readings = buildMeasurementReadings(testPoints, payload.readings, unitOfMeasure);
+          const summary = readings.length
+            ? summarizeTestPointResults(readings)
+            : { as_found_result: 'pass', as_left_result: 'pass', result: 'pass' };
+          const lastGoodDate = await findLastGoodCalibrationDate(asset, transaction);
+          const passed = summary.result !== 'fail';
+          if (passed && (!certificateService || !certificateService.isAvailable())) {
+            throw new Error('pdf certificate generation is unavailable');
+          }
+
+          if (passed) {
+            const plan = await resolveAssetCalibrationPlan(
+              completionDate,
+              buildAssetScheduleTemplate(asset, asset.template),
+              transaction,
+              asset.id
+            );
+
+            await asset.update({
+              last_cal: completionDate,
+              next_cal: plan.next_cal,
+              planned_technician_id: plan.planned_technician_id,
+            }, { transaction });
+          }
+
+          const certificateId = passed ? buildCertificateId(asset.id) : null;
+          const issuedAt = new Date().toISOString();
+          const record = await CalibrationRecord.create({
+            asset_id: asset.id,
+            template_id: asset.template_id || null,
+            certificate_id: certificateId,
+            technician: payload.technician,
+            calibration_date: completionDate,
+            performed_at: new Date().toISOString(),
+            as_found_result: summary.as_found_result,
+            as_left_result: summary.as_left_result,
+            result: summary.result,
+            readings,
+            notes: payload.notes,
+            issued_at: passed ? issuedAt : null,
+            asset_snapshot: {
+              tool_name: asset.tool_name,
+              serial_number: asset.serial_number,
+              asset_uid: buildAssetUid('calibration', asset.id),
+              template_name: asset.template ? asset.template.template_name : null,
+              assigned_department: asset.assigned_department,
+            },
+          }, { transaction });
+
+          let impactReview = null;
+          const assetChanges = { last_cal_result: summary.result };
+          if (summary.as_found_result === 'fail') {
+            assetChanges.out_of_tolerance = true;
+            impactReview = await openCalibrationImpactReview(
+              req,
+              asset,
+              record,
+              lastGoodDate,
+              completionDate,
+              'As-found readings out of tolerance at calibration',
+              transaction
+            );
+          }
+          await asset.update(assetChanges, { transaction });
+          await queueCalibrationIntervalProposal(req, asset, { record }, transaction);
+
+          const refreshedAsset = await CalibrationAsset.findByPk(id, {
+            include: [{
+              model: CalibrationTemplate,
+              as: 'template',
+              required: false,
+            }],
+            transaction,
+          });
+          const formattedAsset = formatCalibration(refreshedAsset);
+
+          const verifyUrl = passed ? buildCertificateVerifyUrl(req, certificateId) : null;
+          const qrDataUrl = passed ? await QRCode.toDataURL(verifyUrl, { margin: 1, width: 220 }) : null;
+
+          if (passed) {
+            const stored = await certificateService.writeCertificate({
+              certificate_id: certificateId,
+              issued_at: issuedAt,
+              technician: payload.technician,
+              calibration_date: completionDate,
+              valid_until: formattedAsset.next_cal,
+              result: summary.result,
+              readings,
+              notes: payload.notes,
+              verify_url: verifyUrl,
+              qr_data_url: qrDataUrl,
+              asset: formattedAsset,
+            });
+            writtenCertificateFile = stored.file_name;
+            await record.update({
+              valid_until: formattedAsset.next_cal,
+              certificate_file: stored.file_name,
+              certificate_sha256: stored.sha256,
+            }, { transaction });
+          }
+
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(asset.id),
+            action: passed ? 'certificate_generated' : 'calibration_failed',
+            detail: passed
+              ? `Generated certificate ${certificateId} (${summary.result})`
+              : 'Calibration failed as-left tolerance; no certificate issued',
+            metadata: {
+              certificate_id: certificateId,
+              calibration_record_id: record.id,
+              technician: payload.technician,
+              completion_date: completionDate,
+              next_cal: formattedAsset.next_cal,
+              certificate_sha256: record.certificate_sha256 || null,
+              as_found_result: summary.as_found_result,
+              as_left_result: summary.as_left_result,
+              result: summary.result,
+              asset_uid: buildAssetUid('calibration', asset.id),
+              cfe_uid: buildCfeUid('calibration', asset.id),
+            },
+          }, transaction);
+
+          return {
+            certificateId,
+            issuedAt,
+            formattedAsset,
+            qrDataUrl,
+            verifyUrl,
+            record,
+            impactReview,
+          };
+        }).catch(async (error) => {
+          if (writtenCertificateFile) {
+            await certificateService.removeCertificate(writtenCertificateFile);
+          }
+          throw error;
+        });
+
+        return res.json({
+          certificate_id: result.certificateId,
+          issued_at: result.issuedAt,
+          technician: payload.technician,
+          asset: result.formattedAsset,
+          qr_data_url: result.qrDataUrl,
+          verify_url: result.verifyUrl,
+          certificate_url: formatCalibrationRecord(result.record).certificate_url,
+          result: result.record.result,
+          measurement_record: formatCalibrationRecord(result.record),
+          impact_review: result.impactReview ? formatCalibrationImpactReview(result.impactReview) : null,
+        });
       } catch (error) {
-        const message = (error && error.message) || 'failed to save cas threshold';
-        return res.status(/format|non-negative|required/i.test(message) ? 400 : 500).json({ error: message });
+        const message = (error && error.message) || 'failed to generate certificate';
+        if (/unavailable/i.test(message)) return res.status(503).json({ error: message });
+        return res.status(/required|not found|must be|requires|already exists|does not match/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    updateCasThresholdDefault: async (req, res) => {
+    listCalibrationRecords: async (req, res) => {
       try {
-        if (!CasThresholdDefault) {
-          return res.status(503).json({ error: 'cas thresholds are unavailable' });
-        }
-
-        const casNumber = normalizeCasNumber((req.params && req.params.casNumber) || '');
-        if (!casNumber) {
-          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
+        const id = Number(req.params.id);
+        const asset = await CalibrationAsset.findByPk(id);
+        if (!asset) {
+          return res.status(404).json({ error: 'calibration asset not found' });
         }
 
-        const payload = normalizeCasThresholdPayload({
-          ...req.body,
-          cas_number: casNumber,
+        const records = await CalibrationRecord.findAll({
+          where: { asset_id: asset.id },
+          order: [
+            ['calibration_date', 'DESC'],
+            ['id', 'DESC'],
+          ],
         });
+        return res.json(records.map(formatCalibrationRecord));
+      } catch (error) {
+        console.error('command center list calibration records', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load calibration records' });
+      }
+    },
 
-        const existing = await CasThresholdDefault.findOne({ where: { cas_number: casNumber } });
-        if (!existing) {
-          return res.status(404).json({ error: 'cas threshold not found' });
+    listCalibrationCertificates: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const asset = await CalibrationAsset.findByPk(id);
+        if (!asset) {
+          return res.status(404).json({ error: 'calibration asset not found' });
         }
 
-        await existing.update(payload);
-        return res.json(formatCasThresholdDefault(existing));
+        const records = await CalibrationRecord.findAll({
+          where: {
+            asset_id: asset.id,
+            certificate_id: { [Op.ne]: null },
+          },
+          order: [
+            ['issued_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
+        });
+        return res.json(records.map((record, index) => ({
+          ...formatCalibrationRecord(record),
+          latest: index === 0,
+          verify_url: buildCertificateVerifyUrl(req, record.certificate_id),
+        })));
       } catch (error) {
-        const message = (error && error.message) || 'failed to update cas threshold';
-        return res.status(/format|non-negative|required/i.test(message) ? 400 : 500).json({ error: message });
+        console.error('command center list calibration certificates', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load certificate history' });
       }
     },
 
-    deleteCasThresholdDefault: async (req, res) => {
+    verifyCertificate: async (req, res) => {
       try {
-        if (!CasThresholdDefault) {
-          return res.status(503).json({ error: 'cas thresholds are unavailable' });
-        }
-
-        const casNumber = normalizeCasNumber((req.params && req.params.casNumber) || '');
-        if (!casNumber) {
-          return res.status(400).json({ error: 'cas_number must match XXX-XX-X format' });
-        }
-
-        const deleted = await CasThresholdDefault.destroy({ where: { cas_number: casNumber } });
-        if (!deleted) {
-          return res.status(404).json({ error: 'cas threshold not found' });
+        const certificateId = String(req.params.certificateId || '').trim();
+        const record = certificateId
+          ? await CalibrationRecord.findOne({ where: { certificate_id: certificateId } })
+          : null;
+        if (!record) {
+          return res.status(404).json({ certificate_id: certificateId, valid: false, status: 'unknown', error: 'certificate not found' });
         }
 
-        return res.json({ ok: true, cas_number: casNumber });
+        const validity = await describeCertificateValidity(record);
+        const formatted = formatCalibrationRecord(record);
+        const snapshot = parseJsonObject(record.asset_snapshot);
+        return res.json({
+          certificate_id: formatted.certificate_id,
+          ...validity,
+          issued_at: formatted.issued_at,
+          calibration_date: formatted.calibration_date,
+          valid_until: formatted.valid_until,
+          result: formatted.result,
+          technician: formatted.technician,
+          tool_name: snapshot.tool_name || null,
+          serial_number: snapshot.serial_number || null,
+          asset_uid: snapshot.asset_uid || null,
+          certificate_url: formatted.certificate_url,
+          certificate_sha256: formatted.certificate_sha256,
+        });
       } catch (error) {
-        console.error('command center delete CAS threshold', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to delete cas threshold' });
+        console.error('command center verify certificate', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to verify certificate' });
       }
     },
 
-    createMaterial: async (req, res) => {
+    listCalibrationImpactReviews: async (req, res) => {
       try {
-        const payload = applyCasThresholdWritePolicy(normalizeMaterialPayload(req.body || {}));
-        const material = await hazmatSequelize.transaction(async (transaction) => {
-          const sdsAwarePayload = await applySdsRequirementPolicy(payload, transaction);
-          const finalizedPayload = await finalizeMaterialLabelId(Material, sdsAwarePayload, { transaction });
-          const created = await Material.create(finalizedPayload, { transaction });
-          await recordHazmatLog(req, {
-            module: 'inventory',
-            entity_type: 'material',
-            entity_id: String(created.id),
-            action: 'created',
-            detail: `Created material ${created.name}`,
-            metadata: {
-              label_id: created.label_id,
-              batch_id: created.batch_id,
-              asset_uid: buildAssetUid('hazmat', created.id),
-            },
-          }, transaction);
-          return created;
-        });
+        const status = String((req.query && req.query.status) || 'open').trim().toLowerCase();
+        const assetId = normalizeNumericId(req.query && req.query.asset_id);
+        const whereClause = {};
+        if (status === 'open' || status === 'closed') whereClause.status = status;
+        if (assetId) whereClause.asset_id = assetId;
 
-        const casThresholdValue = await getCasThresholdValue(material && material.cas_number);
-        return res.status(201).json(formatMaterial(material, { casThresholdValue }));
+        const reviews = await CalibrationImpactReview.findAll({
+          where: whereClause,
+          include: [{
+            model: CalibrationAsset.unscoped(),
+            as: 'asset',
+            attributes: ['id', 'tool_name', 'serial_number', 'assigned_department'],
+            required: false,
+          }],
+          order: [
+            ['opened_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
+        });
+        return res.json(reviews.map(formatCalibrationImpactReview));
       } catch (error) {
-        const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'label_id already exists'
-          : (error && error.message) || 'failed to create material';
-        return res.status(/required|exists|invalid|not found|format|missing/i.test(message) ? 400 : 500).json({ error: message });
+        console.error('command center list impact reviews', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load impact reviews' });
       }
     },
 
-    updateMaterial: async (req, res) => {
+    closeCalibrationImpactReview: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        const material = await Material.findByPk(id);
-        if (!material) return res.status(404).json({ error: 'material not found' });
+        const resolution = String((req.body && req.body.resolution) || '').trim();
+        if (!resolution) {
+          throw new Error('resolution is required');
+        }
+        const actor = buildLogActor(req);
+
+        const review = await gagesSequelize.transaction(async (transaction) => {
+          const existing = await CalibrationImpactReview.findByPk(id, { transaction });
+          if (!existing) throw new Error('impact review not found');
+          if (existing.status === 'closed') throw new Error('impact review is already closed');
+          const pending = parseJsonList(existing.usages).filter((usage) => !usage.disposition).length;
+          if (pending) {
+            throw new Error(`${pending} usage(s) still need a disposition before the assessment can be closed`);
+          }
 
-        const payload = applyCasThresholdWritePolicy(
-          normalizeMaterialPayload({ ...material.toJSON(), ...(req.body || {}) })
-        );
-        const forceRegenerate = shouldRegenerateMaterialLabel(material, payload);
-        await hazmatSequelize.transaction(async (transaction) => {
-          const sdsAwarePayload = await applySdsRequirementPolicy(payload, transaction);
-          const finalizedPayload = await finalizeMaterialLabelId(Material, sdsAwarePayload, {
-            excludeId: material.id,
-            forceRegenerate,
+          await existing.update({
+            status: 'closed',
+            closed_at: new Date().toISOString(),
+            closed_by: actor.actor_name,
+            resolution,
+          }, { transaction });
+
+          const remainingOpen = await CalibrationImpactReview.count({
+            where: { asset_id: existing.asset_id, status: 'open' },
             transaction,
           });
-          await material.update(finalizedPayload, { transaction });
-          await recordHazmatLog(req, {
-            module: 'inventory',
-            entity_type: 'material',
-            entity_id: String(material.id),
-            action: 'updated',
-            detail: `Updated material ${material.name}`,
+          if (!remainingOpen) {
+            await CalibrationAsset.update({ out_of_tolerance: false }, {
+              where: { id: existing.asset_id },
+              transaction,
+            });
+          }
+
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(existing.asset_id),
+            action: 'impact_review_closed',
+            detail: `Closed impact review #${existing.id}`,
             metadata: {
-              label_id: material.label_id,
-              batch_id: material.batch_id,
-              asset_uid: buildAssetUid('hazmat', material.id),
+              impact_review_id: existing.id,
+              resolution,
+              asset_uid: buildAssetUid('calibration', existing.asset_id),
+              cfe_uid: buildCfeUid('calibration', existing.asset_id),
             },
           }, transaction);
+
+          return existing;
         });
 
-        const casThresholdValue = await getCasThresholdValue(material && material.cas_number);
-        return res.json(formatMaterial(material, { casThresholdValue }));
+        return res.json(formatCalibrationImpactReview(review));
       } catch (error) {
-        const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'label_id already exists'
-          : (error && error.message) || 'failed to update material';
-        return res.status(/required|exists|invalid|not found|format|missing/i.test(message) ? 400 : 500).json({ error: message });
+        const message = (error && error.message) || 'failed to close impact review';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|already closed|need a disposition/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    deleteMaterial: async (req, res) => {
+    reportCalibrationOutOfTolerance: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        const material = await Material.findByPk(id);
-        if (!material) return res.status(404).json({ error: 'material not found' });
+        const payload = normalizeOutOfTolerancePayload(req.body || {});
+
+        const review = await gagesSequelize.transaction(async (transaction) => {
+          const asset = await CalibrationAsset.findByPk(id, { transaction });
+          if (!asset) throw new Error('calibration asset not found');
+          const openReview = await findOpenImpactReview(asset.id, transaction);
+          if (openReview) {
+            throw new Error(`asset already has open impact review #${openReview.id}`);
+          }
 
-        await hazmatSequelize.transaction(async (transaction) => {
-          await UsageLog.destroy({ where: { material_id: id }, transaction });
-          await recordHazmatLog(req, {
-            module: 'inventory',
-            entity_type: 'material',
-            entity_id: String(material.id),
-            action: 'deleted',
-            detail: `Deleted material ${material.name}`,
-            metadata: {
-              label_id: material.label_id,
-              batch_id: material.batch_id,
-              asset_uid: buildAssetUid('hazmat', material.id),
-            },
+          const windowStart = payload.window_start || await findLastGoodCalibrationDate(asset, transaction);
+          const impactReview = await openCalibrationImpactReview(
+            req,
+            asset,
+            null,
+            windowStart,
+            payload.found_on,
+            payload.finding,
+            transaction
+          );
+          await asset.update({ out_of_tolerance: true }, { transaction });
+          await queueCalibrationIntervalProposal(req, asset, {
+            finding: `Out-of-tolerance finding reported ${payload.found_on}`,
           }, transaction);
-          await material.destroy({ transaction });
+          return impactReview;
         });
 
-        return res.json({ ok: true, id });
+        return res.status(201).json(formatCalibrationImpactReview(await CalibrationImpactReview.findByPk(review.id, {
+          include: [{
+            model: CalibrationAsset.unscoped(),
+            as: 'asset',
+            attributes: ['id', 'tool_name', 'serial_number', 'assigned_department'],
+            required: false,
+          }],
+        })));
       } catch (error) {
-        console.error('command center delete material', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to delete material' });
+        const message = (error && error.message) || 'failed to report out-of-tolerance';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|cannot|must|already has/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    importMaterials: async (req, res) => {
-      const rows = Array.isArray(req.body && req.body.materials) ? req.body.materials : [];
-      if (!rows.length) return res.status(400).json({ error: 'materials array is required' });
-
+    updateCalibrationImpactDispositions: async (req, res) => {
       try {
-        const result = { created: 0, updated: 0 };
-        await hazmatSequelize.transaction(async (transaction) => {
-          for (const rawRow of rows) {
-            const payload = applyCasThresholdWritePolicy(normalizeMaterialPayload(rawRow || {}));
-            const sdsAwarePayload = await applySdsRequirementPolicy(payload, transaction);
-            const lookupValues = Array.from(new Set([
-              normalizeLabelId(sdsAwarePayload.label_id),
-              normalizeLabelId(sdsAwarePayload.batch_id),
-            ].filter(Boolean)));
-
-            const existing = lookupValues.length
-              ? await Material.findOne({
-                where: {
-                  [Op.or]: [
-                    { label_id: { [Op.in]: lookupValues } },
-                    { batch_id: { [Op.in]: lookupValues } },
-                  ],
-                },
-                transaction,
-              })
-              : null;
+        const id = Number(req.params.id);
+        const dispositions = normalizeImpactDispositions(req.body || {});
+        const actor = buildLogActor(req);
 
-            if (existing) {
-              const forceRegenerate = shouldRegenerateMaterialLabel(existing, sdsAwarePayload);
-              const finalizedPayload = await finalizeMaterialLabelId(Material, sdsAwarePayload, {
-                excludeId: existing.id,
-                forceRegenerate,
-                transaction,
-              });
-              await existing.update(finalizedPayload, { transaction });
-              result.updated += 1;
-            } else {
-              const finalizedPayload = await finalizeMaterialLabelId(Material, sdsAwarePayload, { transaction });
-              await Material.create(finalizedPayload, { transaction });
-              result.created += 1;
-            }
-          }
+        const review = await gagesSequelize.transaction(async (transaction) => {
+          const existing = await CalibrationImpactReview.findByPk(id, {
+            include: [{
+              model: CalibrationAsset.unscoped(),
+              as: 'asset',
+              attributes: ['id', 'tool_name', 'serial_number', 'assigned_department'],
+              required: false,
+            }],
+            transaction,
+          });
+          if (!existing) throw new Error('impact review not found');
+          if (existing.status === 'closed') throw new Error('impact review is already closed');
+
+          const usages = parseJsonList(existing.usages);
+          dispositions.forEach((entry) => {
+            const usage = usages.find((candidate) => candidate.log_id === entry.log_id);
+            if (!usage) throw new Error(`usage ${entry.log_id} is not part of impact review #${existing.id}`);
+            usage.disposition = entry.disposition;
+            usage.disposition_notes = entry.notes;
+            usage.dispositioned_by = actor.actor_name;
+            usage.dispositioned_at = new Date().toISOString();
+          });
+          await existing.update({ usages }, { transaction });
 
-          await recordHazmatLog(req, {
-            module: 'inventory',
-            entity_type: 'material',
-            entity_id: null,
-            action: 'imported',
-            detail: `Imported ${rows.length} material rows`,
-            metadata: result,
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(existing.asset_id),
+            action: 'impact_review_dispositioned',
+            detail: `Dispositioned ${dispositions.length} usage(s) on impact review #${existing.id}`,
+            metadata: {
+              impact_review_id: existing.id,
+              dispositions,
+              asset_uid: buildAssetUid('calibration', existing.asset_id),
+              cfe_uid: buildCfeUid('calibration', existing.asset_id),
+            },
           }, transaction);
+
+          return existing;
         });
 
-        return res.json(result);
+        return res.json(formatCalibrationImpactReview(review));
       } catch (error) {
-        return res.status(400).json({ error: (error && error.message) || 'failed to import materials' });
+        const message = (error && error.message) || 'failed to update dispositions';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|must be|already closed|is not part/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    useMaterial: async (req, res) => {
+    printCalibrationImpactReport: async (req, res) => {
       try {
-        const id = Number(req.params.id);
-        const payload = normalizeUsagePayload(req.body || {});
-
-        const response = await hazmatSequelize.transaction(async (transaction) => {
-          const material = await Material.findByPk(id, { transaction });
-          if (!material) throw new Error('material not found');
-
-          const nextStock = normalizeNumber(material.stock_level) - payload.quantity;
-          if (nextStock < 0) throw new Error('quantity would reduce stock below zero');
-
-          const usageLog = await UsageLog.create({
-            material_id: material.id,
-            user_id: req.user && req.user.id ? req.user.id : null,
-            quantity_delta: -payload.quantity,
-            timestamp: new Date().toISOString(),
-            reason: payload.reason,
-          }, { transaction });
-
-          await material.update({ stock_level: nextStock }, { transaction });
-          await recordHazmatLog(req, {
-            module: 'inventory',
-            entity_type: 'material',
-            entity_id: String(material.id),
-            action: 'used',
-            detail: `Used ${payload.quantity} from ${material.name}`,
-            metadata: {
-              quantity: payload.quantity,
-              reason: payload.reason,
-              asset_uid: buildAssetUid('hazmat', material.id),
-            },
-          }, transaction);
+        if (!impactAssessmentReportService || !impactAssessmentReportService.isAvailable()) {
+          return res.status(503).json({ error: 'pdf impact assessments are unavailable' });
+        }
 
-          return { material, usageLog };
+        const review = await CalibrationImpactReview.findByPk(Number(req.params.id), {
+          include: [{
+            model: CalibrationAsset.unscoped(),
+            as: 'asset',
+            attributes: ['id', 'tool_name', 'serial_number', 'assigned_department'],
+            required: false,
+          }],
         });
-
-        return res.status(201).json({
-          material: formatMaterial(response.material, {
-            casThresholdValue: await getCasThresholdValue(response && response.material && response.material.cas_number),
-          }),
-          usage_log: {
-            id: response.usageLog.id,
-            quantity_delta: response.usageLog.quantity_delta,
-            timestamp: response.usageLog.timestamp,
-            reason: response.usageLog.reason,
+        if (!review) return res.status(404).json({ error: 'impact review not found' });
+        const record = review.record_id ? await CalibrationRecord.findByPk(review.record_id) : null;
+
+        const actor = buildLogActor(req);
+        const assessment = formatCalibrationImpactReview(review);
+        const buffer = await impactAssessmentReportService.renderReport({
+          assessment,
+          record: record
+            ? {
+              certificate_id: record.certificate_id || null,
+              technician: record.technician,
+              calibration_date: record.calibration_date,
+              as_found_result: record.as_found_result,
+            }
+            : null,
+          asset_uid: buildAssetUid('calibration', review.asset_id),
+          generated_at: new Date().toISOString(),
+          generated_by: actor.actor_name,
+        });
+        await recordGageLog(req, {
+          module: 'calibration',
+          entity_type: 'asset',
+          entity_id: String(review.asset_id),
+          action: 'impact_review_printed',
+          detail: `Printed impact assessment #${review.id}`,
+          metadata: {
+            impact_review_id: review.id,
+            asset_uid: buildAssetUid('calibration', review.asset_id),
+            cfe_uid: buildCfeUid('calibration', review.asset_id),
           },
         });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="impact_assessment_${review.id}.pdf"`);
+        return res.send(buffer);
       } catch (error) {
-        const message = (error && error.message) || 'failed to use material';
-        return res.status(/not found|below zero|greater than zero/i.test(message) ? 400 : 500).json({ error: message });
+        console.error('command center print impact assessment', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to generate impact assessment' });
       }
     },
 
-    verifyMaterial: async (req, res) => {
+    getCalibrationPlanner: async (req, res) => {
       try {
-        const id = Number(req.params.id);
-        const payload = normalizeVerificationPayload(req.body || {});
-
-        const material = await hazmatSequelize.transaction(async (transaction) => {
-          const existing = await Material.findByPk(id, { transaction });
-          if (!existing) throw new Error('material not found');
+        const today = new Date().toISOString().slice(0, 10);
+        const start = normalizeDate(req.query && req.query.start) || `${today.slice(0, 7)}-01`;
+        const end = normalizeDate(req.query && req.query.end) || addDays(start, CALIBRATION_PLANNER_DEFAULT_DAYS - 1);
+        if (end < start) {
+          throw new Error('end must be on or after start');
+        }
+        const dayKeys = expandDateRange(start, end, CALIBRATION_PLANNER_MAX_DAYS + 1);
+        if (dayKeys.length > CALIBRATION_PLANNER_MAX_DAYS) {
+          throw new Error(`planner range must be ${CALIBRATION_PLANNER_MAX_DAYS} days or fewer`);
+        }
 
-          await recordHazmatLog(req, {
-            module: 'inventory',
-            entity_type: 'material',
-            entity_id: String(existing.id),
-            action: 'verified',
-            detail: `Verified material ${existing.name}`,
-            metadata: {
-              notes: payload.notes,
-              label_id: existing.label_id,
-              batch_id: existing.batch_id,
-              asset_uid: buildAssetUid('hazmat', existing.id),
-            },
-          }, transaction);
+        const [calendar, assets] = await Promise.all([
+          loadPlanningCalendar(null, { start, end }),
+          CalibrationAsset.findAll({
+            where: { next_cal: { [Op.between]: [start, end] } },
+            include: [{
+              model: CalibrationTemplate,
+              as: 'template',
+              required: false,
+            }],
+            order: [['next_cal', 'ASC'], ['id', 'ASC']],
+          }),
+        ]);
 
-          return existing;
+        const techniciansById = new Map(calendar.technicians.map((technician) => [technician.id, technician]));
+        const siteBlackouts = calendar.blackouts.filter((blackout) => blackout.kind !== 'time_off');
+        const days = dayKeys.map((date) => {
+          const weekday = new Date(`${date}T00:00:00.000Z`).getUTCDay() || 7;
+          const available = calendar.technicians.filter((technician) => (
+            technician.available_days.includes(weekday) && !technician.time_off.has(date)
+          ));
+          return {
+            date,
+            weekday,
+            blackouts: siteBlackouts
+              .filter((blackout) => blackout.start_date <= date && blackout.end_date >= date)
+              .map((blackout) => ({ id: blackout.id, name: blackout.name, kind: blackout.kind })),
+            time_off: calendar.technicians
+              .filter((technician) => technician.time_off.has(date))
+              .map((technician) => technician.id),
+            load: 0,
+            capacity: calendar.technicians.length
+              ? available.reduce((sum, technician) => sum + technician.daily_capacity, 0)
+              : null,
+            technician_load: {},
+          };
         });
-
-        return res.status(201).json({
-          ok: true,
-          material: formatMaterial(material, {
-            casThresholdValue: await getCasThresholdValue(material && material.cas_number),
-          }),
+        const daysByDate = new Map(days.map((day) => [day.date, day]));
+
+        const plannedAssets = assets.map((asset) => {
+          const formatted = formatCalibration(asset);
+          const schedule = buildTemplateSchedulingOptions(buildAssetScheduleTemplate(asset, asset.template));
+          const day = daysByDate.get(formatted.next_cal);
+          const technician = techniciansById.get(formatted.planned_technician_id) || null;
+          const qualified = calendar.technicians.some((entry) => entry.skills.includes(formatted.category));
+          if (day) {
+            day.load += 1;
+            if (technician) day.technician_load[technician.id] = (day.technician_load[technician.id] || 0) + 1;
+          }
+          return {
+            id: formatted.id,
+            tool_name: formatted.tool_name,
+            serial_number: formatted.serial_number,
+            category: formatted.category,
+            status: formatted.status,
+            next_cal: formatted.next_cal,
+            due_date: computeCalibrationDueAnchor(formatted.last_cal, schedule.calIntervalDays, schedule),
+            planned_technician_id: formatted.planned_technician_id,
+            technician_name: technician ? technician.name : null,
+            conflict: Boolean(day && (day.blackouts.length || (technician && technician.time_off.has(day.date)))),
+            unstaffed: !technician && qualified,
+          };
+        });
+
+        return res.json({
+          start,
+          end,
+          days,
+          assets: plannedAssets,
+          technicians: calendar.technicians.map(({ time_off: timeOff, ...technician }) => technician),
+          blackouts: calendar.blackouts,
         });
       } catch (error) {
-        const message = (error && error.message) || 'failed to verify material';
-        return res.status(/not found/i.test(message) ? 404 : 500).json({ error: message });
+        const message = (error && error.message) || 'failed to load calibration planner';
+        if (!/must be/i.test(message)) {
+          console.error('command center calibration planner', message);
+        }
+        return res.status(/must be/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    uploadCalibrationAttachment: (req, res) => {
-      if (!calibrationAttachmentUpload || typeof calibrationAttachmentUpload.single !== 'function') {
-        return res.status(500).json({ error: 'calibration attachment upload is unavailable' });
-      }
-
-      return calibrationAttachmentUpload.single('attachment')(req, res, (error) => {
-        if (error) {
-          return res.status(400).json({ error: error.message || 'upload failed' });
+    rescheduleCalibration: async (req, res) => {
+      try {
+        const assetId = normalizeNumericId(req.body && req.body.asset_id);
+        if (!assetId) {
+          throw new Error('asset_id is required');
         }
-
-        if (!req.file || !req.file.filename) {
-          return res.status(400).json({ error: 'attachment is required' });
+        const date = normalizeDate(req.body && req.body.date);
+        if (!date) {
+          throw new Error('date is required');
         }
+        if (date < new Date().toISOString().slice(0, 10)) {
+          throw new Error('date cannot be in the past');
+        }
+        const technicianId = normalizeNumericId(req.body && req.body.technician_id);
 
-        return res.status(201).json({
-          ok: true,
-          path: `/calibration-attachments/${req.file.filename}`,
-          file_name: req.file.filename,
-          original_name: req.file.originalname,
+        const assetIdValue = await gagesSequelize.transaction(async (transaction) => {
+          const asset = await CalibrationAsset.findByPk(assetId, {
+            include: [{
+              model: CalibrationTemplate,
+              as: 'template',
+              required: false,
+            }],
+            transaction,
+          });
+          if (!asset) throw new Error('calibration asset not found');
+
+          const schedule = buildTemplateSchedulingOptions(buildAssetScheduleTemplate(asset, asset.template));
+          const dueDate = computeCalibrationDueAnchor(asset.last_cal, schedule.calIntervalDays, schedule);
+          if (dueDate && date > dueDate) {
+            throw new Error(`date cannot be later than the calibration due date ${dueDate}`);
+          }
+
+          const [existingAssignments, calendar] = await Promise.all([
+            listScheduledCalibrations(transaction, asset.id),
+            loadPlanningCalendar(transaction),
+          ]);
+          const slot = listCalibrationSlotConflicts(date, {
+            maxDailyCalibrations: schedule.maxDailyCalibrations,
+            allowedDays: schedule.allowedDays,
+            existingAssignments,
+            blackoutDates: calendar.blackoutDates,
+            technicians: calendar.technicians,
+            category: asset.category,
+            technicianId,
+          });
+          if (slot.conflicts.length) {
+            throw new Error(`cannot schedule on ${date}: ${slot.conflicts.join('; ')}`);
+          }
+
+          const previous = {
+            next_cal: asset.next_cal,
+            planned_technician_id: asset.planned_technician_id || null,
+          };
+          await asset.update({
+            next_cal: date,
+            planned_technician_id: slot.technician_id,
+          }, { transaction });
+          const technician = calendar.technicians.find((entry) => entry.id === slot.technician_id);
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(asset.id),
+            action: 'rescheduled',
+            detail: `Rescheduled ${asset.tool_name} from ${previous.next_cal || 'unscheduled'} to ${date}${technician ? ` for ${technician.name}` : ''}`,
+            metadata: {
+              from: previous,
+              to: { next_cal: date, planned_technician_id: slot.technician_id },
+              asset_uid: buildAssetUid('calibration', asset.id),
+              cfe_uid: buildCfeUid('calibration', asset.id),
+            },
+          }, transaction);
+          return asset.id;
         });
-      });
+
+        const refreshed = await CalibrationAsset.findByPk(assetIdValue, {
+          include: [{
+            model: CalibrationTemplate,
+            as: 'template',
+            required: false,
+          }],
+        });
+        return res.json(formatCalibration(refreshed));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to reschedule calibration';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|cannot/i.test(message) ? 400 : 500).json({ error: message });
+      }
     },
 
-    listHazmatTemplates: async (req, res) => {
+    listCalibrationTechnicians: async (req, res) => {
       try {
-        const templates = await HazmatTemplate.findAll({
-          order: [
-            ['category', 'ASC'],
-            ['template_name', 'ASC'],
-          ],
+        const technicians = await CalibrationTechnician.findAll({
+          order: [['name', 'ASC']],
         });
-        return res.json(templates.map((template) => formatTemplate(template, { module: 'hazmat' })));
+        return res.json(technicians.map(formatCalibrationTechnician));
       } catch (error) {
-        console.error('command center list hazmat templates', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to load hazmat templates' });
+        console.error('command center list calibration technicians', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load calibration technicians' });
       }
     },
 
-    createHazmatTemplate: async (req, res) => {
+    createCalibrationTechnician: async (req, res) => {
       try {
-        const payload = normalizeTemplatePayload(req.body || {}, { module: 'hazmat' });
-        const template = await hazmatSequelize.transaction(async (transaction) => {
-          const created = await HazmatTemplate.create(payload, { transaction });
-          await recordHazmatLog(req, {
-            module: 'hazmat',
-            entity_type: 'template',
+        const payload = normalizeCalibrationTechnicianPayload(req.body || {});
+        const technician = await gagesSequelize.transaction(async (transaction) => {
+          const created = await CalibrationTechnician.create(payload, { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'technician',
             entity_id: String(created.id),
             action: 'created',
-            detail: `Created hazmat template ${created.template_name}`,
-            metadata: { category: created.category },
+            detail: `Added calibration technician ${created.name}`,
+            metadata: { skills: payload.skills, daily_capacity: payload.daily_capacity },
           }, transaction);
           return created;
         });
 
-        return res.status(201).json(formatTemplate(template, { module: 'hazmat' }));
+        return res.status(201).json(formatCalibrationTechnician(technician));
       } catch (error) {
         const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'template_name already exists'
-          : (error && error.message) || 'failed to create hazmat template';
-        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
+          ? 'technician already exists'
+          : (error && error.message) || 'failed to create calibration technician';
+        return res.status(/required|exists|must be|invalid/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    updateHazmatTemplate: async (req, res) => {
+    updateCalibrationTechnician: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        const template = await HazmatTemplate.findByPk(id);
-        if (!template) return res.status(404).json({ error: 'hazmat template not found' });
+        const technician = await CalibrationTechnician.findByPk(id);
+        if (!technician) return res.status(404).json({ error: 'calibration technician not found' });
 
-        const payload = normalizeTemplatePayload({ ...template.toJSON(), ...(req.body || {}) }, { module: 'hazmat' });
-        await hazmatSequelize.transaction(async (transaction) => {
-          await template.update(payload, { transaction });
-          await recordHazmatLog(req, {
-            module: 'hazmat',
-            entity_type: 'template',
-            entity_id: String(template.id),
+        const payload = normalizeCalibrationTechnicianPayload({
+          ...formatCalibrationTechnician(technician),
+          ...(req.body || {}),
+        });
+        const rescheduled = await gagesSequelize.transaction(async (transaction) => {
+          await technician.update(payload, { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'technician',
+            entity_id: String(technician.id),
             action: 'updated',
-            detail: `Updated hazmat template ${template.template_name}`,
-            metadata: { category: template.category },
+            detail: `Updated calibration technician ${technician.name}`,
+            metadata: { skills: payload.skills, daily_capacity: payload.daily_capacity, active: payload.active },
           }, transaction);
+          return replanBookedCalibrations(
+            req,
+            { planned_technician_id: technician.id },
+            `${technician.name} is no longer available that day`,
+            transaction,
+            (asset) => !payload.active
+              || !payload.available_days.includes(new Date(`${asset.next_cal}T00:00:00.000Z`).getUTCDay() || 7)
+          );
         });
 
-        const refreshed = await HazmatTemplate.findByPk(id);
-        return res.json(formatTemplate(refreshed, { module: 'hazmat' }));
+        return res.json({ ...formatCalibrationTechnician(technician), rescheduled });
       } catch (error) {
         const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'template_name already exists'
-          : (error && error.message) || 'failed to update hazmat template';
-        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
+          ? 'technician already exists'
+          : (error && error.message) || 'failed to update calibration technician';
+        return res.status(/required|exists|must be|invalid/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    deleteHazmatTemplate: async (req, res) => {
+    deleteCalibrationTechnician: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        const template = await HazmatTemplate.findByPk(id);
-        if (!template) return res.status(404).json({ error: 'hazmat template not found' });
+        const technician = await CalibrationTechnician.findByPk(id);
+        if (!technician) return res.status(404).json({ error: 'calibration technician not found' });
 
-        await hazmatSequelize.transaction(async (transaction) => {
-          await recordHazmatLog(req, {
-            module: 'hazmat',
-            entity_type: 'template',
-            entity_id: String(template.id),
+        const rescheduled = await gagesSequelize.transaction(async (transaction) => {
+          await CalibrationBlackout.destroy({ where: { technician_id: id }, transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'technician',
+            entity_id: String(technician.id),
             action: 'deleted',
-            detail: `Deleted hazmat template ${template.template_name}`,
-            metadata: { category: template.category },
+            detail: `Removed calibration technician ${technician.name}`,
+            metadata: {},
           }, transaction);
-          await template.destroy({ transaction });
+          await technician.destroy({ transaction });
+          const moved = await replanBookedCalibrations(
+            req,
+            { planned_technician_id: id },
+            `${technician.name} was removed`,
+            transaction
+          );
+          await CalibrationAsset.unscoped().update({ planned_technician_id: null }, {
+            where: { planned_technician_id: id },
+            transaction,
+          });
+          return moved;
         });
 
-        return res.json({ ok: true, id });
+        return res.json({ ok: true, id, rescheduled });
       } catch (error) {
-        console.error('command center delete hazmat template', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to delete hazmat template' });
+        console.error('command center delete calibration technician', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete calibration technician' });
       }
     },
 
-    listCalibrationTemplates: async (req, res) => {
+    listCalibrationBlackouts: async (req, res) => {
       try {
-        const templates = await CalibrationTemplate.findAll({
-          include: [{
-            model: CalibrationAsset,
-            as: 'assets',
-            attributes: ['id'],
-            required: false,
-          }],
-          order: [
-            ['category', 'ASC'],
-            ['template_name', 'ASC'],
-          ],
+        const blackouts = await CalibrationBlackout.findAll({
+          order: [['start_date', 'ASC'], ['id', 'ASC']],
         });
-        return res.json(templates.map((template) => formatTemplate(template, { module: 'calibration' })));
+        return res.json(blackouts.map(formatCalibrationBlackout));
       } catch (error) {
-        console.error('command center list calibration templates', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to load calibration templates' });
+        console.error('command center list calibration blackouts', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load calibration blackouts' });
       }
     },
 
-    createCalibrationTemplate: async (req, res) => {
+    createCalibrationBlackout: async (req, res) => {
       try {
-        const payload = normalizeTemplatePayload(req.body || {}, { module: 'calibration' });
-        const template = await gagesSequelize.transaction(async (transaction) => {
-          const created = await CalibrationTemplate.create(payload, { transaction });
+        const payload = normalizeCalibrationBlackoutPayload(req.body || {});
+        const actor = buildLogActor(req);
+        const { created: blackout, moved } = await gagesSequelize.transaction(async (transaction) => {
+          if (payload.technician_id) {
+            const technician = await CalibrationTechnician.findByPk(payload.technician_id, { transaction });
+            if (!technician) throw new Error('calibration technician not found');
+          }
+          const created = await CalibrationBlackout.create({
+            ...payload,
+            created_at: new Date().toISOString(),
+            created_by: actor.actor_name,
+          }, { transaction });
           await recordGageLog(req, {
             module: 'calibration',
-            entity_type: 'template',
+            entity_type: 'blackout',
             entity_id: String(created.id),
             action: 'created',
-            detail: `Created calibration template ${created.template_name}`,
-            metadata: { category: created.category },
+            detail: `Added ${created.kind.replace('_', ' ')} ${created.name} (${created.start_date} to ${created.end_date})`,
+            metadata: payload,
           }, transaction);
-          return created;
+          const bookedWhere = { next_cal: { [Op.between]: [created.start_date, created.end_date] } };
+          if (created.kind === 'time_off') bookedWhere.planned_technician_id = created.technician_id;
+          const moved = await replanBookedCalibrations(
+            req,
+            bookedWhere,
+            `${created.kind.replace('_', ' ')} ${created.name}`,
+            transaction
+          );
+          return { created, moved };
         });
 
-        return res.status(201).json(formatTemplate(template, { module: 'calibration' }));
+        return res.status(201).json({ ...formatCalibrationBlackout(blackout), rescheduled: moved });
       } catch (error) {
-        const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'template_name already exists'
-          : (error && error.message) || 'failed to create calibration template';
-        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
+        const message = (error && error.message) || 'failed to create calibration blackout';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|must be/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    updateCalibrationTemplate: async (req, res) => {
+    deleteCalibrationBlackout: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        const template = await CalibrationTemplate.findByPk(id);
-        if (!template) return res.status(404).json({ error: 'calibration template not found' });
+        const blackout = await CalibrationBlackout.findByPk(id);
+        if (!blackout) return res.status(404).json({ error: 'calibration blackout not found' });
 
-        const payload = normalizeTemplatePayload({ ...template.toJSON(), ...(req.body || {}) }, { module: 'calibration' });
-        await gagesSequelize.transaction(async (transaction) => {
-          await template.update(payload, { transaction });
-          await syncAssetsForTemplate(template, transaction);
+        const rescheduled = await gagesSequelize.transaction(async (transaction) => {
           await recordGageLog(req, {
             module: 'calibration',
-            entity_type: 'template',
-            entity_id: String(template.id),
-            action: 'updated',
-            detail: `Updated calibration template ${template.template_name}`,
-            metadata: { category: template.category },
+            entity_type: 'blackout',
+            entity_id: String(blackout.id),
+            action: 'deleted',
+            detail: `Removed ${blackout.kind.replace('_', ' ')} ${blackout.name}`,
+            metadata: formatCalibrationBlackout(blackout),
           }, transaction);
+          await blackout.destroy({ transaction });
+
+          // Plans pulled ahead of the freed days move back toward their due date.
+          return replanBookedCalibrations(
+            req,
+            { next_cal: { [Op.lt]: blackout.start_date } },
+            `${blackout.kind.replace('_', ' ')} ${blackout.name} was removed`,
+            transaction,
+            (asset) => {
+              const schedule = buildTemplateSchedulingOptions(buildAssetScheduleTemplate(asset, asset.template));
+              const dueDate = computeCalibrationDueAnchor(asset.last_cal, schedule.calIntervalDays, schedule);
+              return Boolean(dueDate && dueDate >= blackout.start_date && dueDate <= blackout.end_date);
+            }
+          );
         });
 
-        const refreshed = await CalibrationTemplate.findByPk(id, {
+        return res.json({ ok: true, id, rescheduled });
+      } catch (error) {
+        console.error('command center delete calibration blackout', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete calibration blackout' });
+      }
+    },
+
+    listCalibrationShipments: async (req, res) => {
+      try {
+        const status = String((req.query && req.query.status) || 'open').trim().toLowerCase();
+        const limit = normalizePositiveLimit(req.query && req.query.limit, 50, 500);
+        const whereClause = {};
+        if (status === 'open') whereClause.status = 'shipped';
+        if (status === 'received') whereClause.status = 'received';
+
+        const shipments = await CalibrationShipment.findAll({
+          where: whereClause,
           include: [{
-            model: CalibrationAsset,
-            as: 'assets',
-            attributes: ['id'],
-            required: false,
+            model: CalibrationShipmentItem,
+            as: 'items',
+            include: [{
+              model: CalibrationAsset.unscoped(),
+              as: 'asset',
+              attributes: ['id', 'tool_name', 'serial_number'],
+              required: false,
+            }],
           }],
+          order: [
+            ['shipped_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
+          limit,
         });
-        return res.json(formatTemplate(refreshed, { module: 'calibration' }));
+        return res.json(shipments.map(formatCalibrationShipment));
       } catch (error) {
-        const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'template_name already exists'
-          : (error && error.message) || 'failed to update calibration template';
-        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
+        console.error('command center list calibration shipments', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load calibration shipments' });
       }
     },
 
-    deleteCalibrationTemplate: async (req, res) => {
+    createCalibrationShipment: async (req, res) => {
       try {
-        const id = Number(req.params.id);
-        const template = await CalibrationTemplate.findByPk(id);
-        if (!template) return res.status(404).json({ error: 'calibration template not found' });
+        const payload = normalizeCalibrationShipmentPayload(req.body || {});
+        const actor = buildLogActor(req);
 
-        const assetCount = await CalibrationAsset.count({ where: { template_id: id } });
-        if (assetCount > 0) {
-          return res.status(400).json({ error: 'template is assigned to calibration assets' });
+        const shipmentId = await gagesSequelize.transaction(async (transaction) => {
+          const assets = await CalibrationAsset.findAll({
+            where: { id: { [Op.in]: payload.asset_ids } },
+            transaction,
+          });
+          if (assets.length !== payload.asset_ids.length) {
+            throw new Error('calibration asset not found');
+          }
+          const openCustody = await CalibrationCustody.findAll({
+            where: { asset_id: { [Op.in]: payload.asset_ids }, checked_in_at: null },
+            transaction,
+          });
+          if (openCustody.length) {
+            const blocked = assets.find((asset) => asset.id === openCustody[0].asset_id);
+            throw new Error(`${blocked ? blocked.tool_name : 'asset'} is already checked out to ${openCustody[0].holder_name}`);
+          }
+
+          const shipment = await CalibrationShipment.create({
+            shipment_number: await buildNextDatedIdentifier(CalibrationShipment, 'shipment_number', 'CS', transaction),
+            vendor: payload.vendor,
+            vendor_reference: payload.vendor_reference,
+            status: 'shipped',
+            shipped_at: payload.shipped_at,
+            expected_return_date: payload.expected_return_date,
+            notes: payload.notes,
+            created_at: new Date().toISOString(),
+            created_by: actor.actor_name,
+          }, { transaction });
+
+          for (const asset of assets) {
+            const custody = await CalibrationCustody.create({
+              asset_id: asset.id,
+              holder_name: payload.vendor,
+              reason: `Vendor calibration ${shipment.shipment_number}`,
+              checked_out_at: new Date().toISOString(),
+              checked_out_by: actor.actor_name,
+              expected_return_date: payload.expected_return_date,
+              shipment_id: shipment.id,
+            }, { transaction });
+            await CalibrationShipmentItem.create({
+              shipment_id: shipment.id,
+              asset_id: asset.id,
+              custody_id: custody.id,
+              status: 'out',
+            }, { transaction });
+            await recordGageLog(req, {
+              module: 'calibration',
+              entity_type: 'asset',
+              entity_id: String(asset.id),
+              action: 'sent_to_vendor',
+              detail: `Sent ${asset.tool_name} to ${payload.vendor} on ${shipment.shipment_number}`,
+              metadata: {
+                shipment_id: shipment.id,
+                shipment_number: shipment.shipment_number,
+                custody_id: custody.id,
+                vendor: payload.vendor,
+                expected_return_date: payload.expected_return_date,
+                serial_number: asset.serial_number,
+                asset_uid: buildAssetUid('calibration', asset.id),
+                cfe_uid: buildCfeUid('calibration', asset.id),
+              },
+            }, transaction);
+          }
+
+          return shipment.id;
+        });
+
+        return res.status(201).json(formatCalibrationShipment(await loadCalibrationShipment(shipmentId)));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to create calibration shipment';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|must|already checked out/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    receiveCalibrationShipment: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const payload = normalizeCalibrationShipmentReceipt(req.body || {});
+        const actor = buildLogActor(req);
+        const importedCertificateFiles = [];
+        if (payload.items.some((entry) => entry.certificate_path) && (!certificateService || !paths || !paths.CALIBRATION_ATTACHMENTS_DIR)) {
+          throw new Error('certificate storage is unavailable');
         }
 
         await gagesSequelize.transaction(async (transaction) => {
-          await recordGageLog(req, {
-            module: 'calibration',
-            entity_type: 'template',
-            entity_id: String(template.id),
-            action: 'deleted',
-            detail: `Deleted calibration template ${template.template_name}`,
-            metadata: { category: template.category },
-          }, transaction);
-          await template.destroy({ transaction });
+          const shipment = await loadCalibrationShipment(id, transaction);
+          if (!shipment) throw new Error('calibration shipment not found');
+          if (shipment.status === 'received') throw new Error('shipment is already received');
+          if (payload.received_at < shipment.shipped_at) {
+            throw new Error('received_at cannot be before the ship date');
+          }
+
+          for (const entry of payload.items) {
+            const item = shipment.items.find((candidate) => candidate.asset_id === entry.asset_id && candidate.status === 'out');
+            if (!item) throw new Error(`asset ${entry.asset_id} is not out on ${shipment.shipment_number}`);
+            if (entry.vendor_cal_date && entry.vendor_cal_date < shipment.shipped_at) {
+              throw new Error('vendor_cal_date cannot be before the ship date');
+            }
+
+            const asset = await CalibrationAsset.findByPk(item.asset_id, {
+              include: [{
+                model: CalibrationTemplate,
+                as: 'template',
+                required: false,
+              }],
+              transaction,
+            });
+            if (!asset) throw new Error('calibration asset not found');
+
+            const custody = item.custody_id ? await CalibrationCustody.findByPk(item.custody_id, { transaction }) : null;
+            if (custody && !custody.checked_in_at) {
+              await custody.update({
+                checked_in_at: new Date().toISOString(),
+                checked_in_by: actor.actor_name,
+                return_condition: entry.outcome === 'calibrated' ? 'good' : 'needs_calibration',
+                return_notes: entry.notes,
+              }, { transaction });
+            }
+
+            let record = null;
+            if (entry.outcome === 'calibrated') {
+              const lastGoodDate = await findLastGoodCalibrationDate(asset, transaction);
+              const plan = await resolveAssetCalibrationPlan(
+                entry.vendor_cal_date,
+                buildAssetScheduleTemplate(asset, asset.template),
+                transaction,
+                asset.id
+              );
+              const certificateId = buildCertificateId(asset.id);
+              const stored = await certificateService.importCertificate(
+                path.join(paths.CALIBRATION_ATTACHMENTS_DIR, path.basename(entry.certificate_path)),
+                certificateId
+              );
+              importedCertificateFiles.push(stored.file_name);
+              record = await CalibrationRecord.create({
+                asset_id: asset.id,
+                template_id: asset.template_id || null,
+                certificate_id: certificateId,
+                certificate_file: stored.file_name,
+                certificate_sha256: stored.sha256,
+                issued_at: new Date().toISOString(),
+                technician: shipment.vendor,
+                calibration_date: entry.vendor_cal_date,
+                performed_at: new Date().toISOString(),
+                as_found_result: entry.as_found_result,
+                as_left_result: 'pass',
+                result: 'pass',
+                readings: [],
+                valid_until: plan.next_cal,
+                notes: [`Vendor calibration ${shipment.shipment_number}. Certificate: ${entry.certificate_path}`, entry.notes].filter(Boolean).join('\n'),
+                asset_snapshot: {
+                  tool_name: asset.tool_name,
+                  serial_number: asset.serial_number,
+                  asset_uid: buildAssetUid('calibration', asset.id),
+                  template_name: asset.template ? asset.template.template_name : null,
+                  assigned_department: asset.assigned_department,
+                },
+              }, { transaction });
+
+              const assetChanges = {
+                last_cal: entry.vendor_cal_date,
+                next_cal: plan.next_cal,
+                planned_technician_id: plan.planned_technician_id,
+                last_cal_result: 'pass',
+              };
+              if (entry.as_found_result === 'fail') {
+                assetChanges.out_of_tolerance = true;
+                await openCalibrationImpactReview(
+                  req,
+                  asset,
+                  record,
+                  lastGoodDate,
+                  entry.vendor_cal_date,
+                  `As-found out of tolerance at ${shipment.vendor}`,
+                  transaction
+                );
+              }
+              await asset.update(assetChanges, { transaction });
+              await queueCalibrationIntervalProposal(req, asset, { record }, transaction);
+            }
+
+            await item.update({
+              status: entry.outcome,
+              received_at: payload.received_at,
+              received_by: actor.actor_name,
+              vendor_cal_date: entry.vendor_cal_date,
+              as_found_result: entry.as_found_result,
+              certificate_path: entry.certificate_path,
+              record_id: record ? record.id : null,
+              notes: entry.notes,
+            }, { transaction });
+
+            await recordGageLog(req, {
+              module: 'calibration',
+              entity_type: 'asset',
+              entity_id: String(asset.id),
+              action: 'received_from_vendor',
+              detail: entry.outcome === 'calibrated'
+                ? `Received ${asset.tool_name} from ${shipment.vendor}, calibrated ${entry.vendor_cal_date}`
+                : `Received ${asset.tool_name} from ${shipment.vendor} without calibration: ${entry.notes}`,
+              metadata: {
+                shipment_id: shipment.id,
+                shipment_number: shipment.shipment_number,
+                outcome: entry.outcome,
+                vendor_cal_date: entry.vendor_cal_date,
+                as_found_result: entry.as_found_result,
+                certificate_path: entry.certificate_path,
+                calibration_record_id: record ? record.id : null,
+                turnaround_days: daysBetween(shipment.shipped_at, payload.received_at),
+                serial_number: asset.serial_number,
+                asset_uid: buildAssetUid('calibration', asset.id),
+                cfe_uid: buildCfeUid('calibration', asset.id),
+              },
+            }, transaction);
+          }
+
+          if (shipment.items.every((item) => item.status !== 'out')) {
+            await shipment.update({ status: 'received', received_at: payload.received_at }, { transaction });
+          }
+        }).catch(async (error) => {
+          await Promise.all(importedCertificateFiles.map((fileName) => certificateService.removeCertificate(fileName)));
+          throw error;
         });
 
-        return res.json({ ok: true, id });
+        return res.json(formatCalibrationShipment(await loadCalibrationShipment(id)));
       } catch (error) {
-        console.error('command center delete calibration template', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to delete calibration template' });
+        const message = (error && error.message) || 'failed to receive calibration shipment';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        if (/unavailable/i.test(message)) return res.status(503).json({ error: message });
+        return res.status(/required|must|cannot|already received|is not out/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    listCalibration: async (req, res) => {
+    getCalibrationVendorPerformance: async (req, res) => {
       try {
-        const assets = await CalibrationAsset.findAll({
+        const since = normalizeDate(req.query && req.query.since);
+        const shipments = await CalibrationShipment.findAll({
+          where: since ? { shipped_at: { [Op.gte]: since } } : undefined,
           include: [{
-            model: CalibrationTemplate,
-            as: 'template',
-            required: false,
+            model: CalibrationShipmentItem,
+            as: 'items',
           }],
-          order: [
-            ['next_cal', 'ASC'],
-            ['tool_name', 'ASC'],
-          ],
         });
-        return res.json(assets.map(formatCalibration));
+        return res.json({
+          since,
+          generated_at: new Date().toISOString(),
+          vendors: buildVendorPerformance(shipments.map(formatCalibrationShipment)),
+        });
       } catch (error) {
-        console.error('command center list calibration', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to load calibration assets' });
+        console.error('command center vendor performance', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to build vendor performance report' });
       }
     },
 
-    createCalibration: async (req, res) => {
+    listCalibrationGageStudies: async (req, res) => {
       try {
-        const payload = normalizeCalibrationPayload(req.body || {});
-        const asset = await gagesSequelize.transaction(async (transaction) => {
-          const template = await resolveCalibrationTemplate(payload, transaction);
-          const nextCalDate = await resolveAssetNextCalibrationDate(payload.last_cal, template, transaction, null);
-          const created = await CalibrationAsset.create(buildAssetPayload(payload, template, nextCalDate), { transaction });
-          await recordGageLog(req, {
-            module: 'calibration',
-            entity_type: 'asset',
-            entity_id: String(created.id),
-            action: 'created',
-            detail: `Created calibration asset ${created.tool_name}`,
-            metadata: {
-              serial_number: created.serial_number,
-              template_id: template.id,
-              asset_uid: buildAssetUid('calibration', created.id),
-              cfe_uid: buildCfeUid('calibration', created.id),
-            },
-          }, transaction);
-          return created;
-        });
+        const asset = await CalibrationAsset.unscoped().findByPk(Number(req.params.id));
+        if (!asset) return res.status(404).json({ error: 'calibration asset not found' });
 
-        const refreshed = await CalibrationAsset.findByPk(asset.id, {
-          include: [{
-            model: CalibrationTemplate,
-            as: 'template',
-            required: false,
-          }],
+        const studies = await CalibrationGageStudy.findAll({
+          where: { asset_id: asset.id },
+          order: [
+            ['created_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
         });
-        return res.status(201).json(formatCalibration(refreshed));
+        return res.json(studies.map(formatCalibrationGageStudy));
       } catch (error) {
-        const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'serial_number already exists'
-          : (error && error.message) || 'failed to create calibration asset';
-        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
+        console.error('command center list gage studies', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load gage studies' });
       }
     },
 
-    updateCalibration: async (req, res) => {
+    createCalibrationGageStudy: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        const asset = await CalibrationAsset.findByPk(id);
-        if (!asset) return res.status(404).json({ error: 'calibration asset not found' });
+        const payload = normalizeGageStudyPayload(req.body || {});
+        const actor = buildLogActor(req);
+
+        const study = await gagesSequelize.transaction(async (transaction) => {
+          const asset = await CalibrationAsset.findByPk(id, { transaction });
+          if (!asset) throw new Error('calibration asset not found');
+
+          const created = await CalibrationGageStudy.create({
+            study_number: await buildNextDatedIdentifier(CalibrationGageStudy, 'study_number', 'GRR', transaction),
+            asset_id: asset.id,
+            status: 'draft',
+            characteristic: payload.characteristic,
+            operators: payload.operators,
+            part_count: payload.part_count,
+            trial_count: payload.trial_count,
+            tolerance: payload.tolerance,
+            measurements: buildEmptyMeasurementGrid(payload),
+            notes: payload.notes,
+            created_at: new Date().toISOString(),
+            created_by: actor.actor_name,
+          }, { transaction });
 
-        const payload = normalizeCalibrationPayload({ ...asset.toJSON(), ...(req.body || {}) });
-        await gagesSequelize.transaction(async (transaction) => {
-          const template = await resolveCalibrationTemplate(payload, transaction);
-          const nextCalDate = await resolveAssetNextCalibrationDate(payload.last_cal, template, transaction, asset.id);
-          await asset.update(buildAssetPayload(payload, template, nextCalDate), { transaction });
           await recordGageLog(req, {
             module: 'calibration',
             entity_type: 'asset',
             entity_id: String(asset.id),
-            action: 'updated',
-            detail: `Updated calibration asset ${asset.tool_name}`,
+            action: 'gage_study_created',
+            detail: `Started Gage R&R study ${created.study_number} (${payload.operators.length} operators x ${payload.part_count} parts x ${payload.trial_count} trials)`,
             metadata: {
-              serial_number: asset.serial_number,
-              template_id: template.id,
+              gage_study_id: created.id,
+              study_number: created.study_number,
+              operators: payload.operators,
+              part_count: payload.part_count,
+              trial_count: payload.trial_count,
               asset_uid: buildAssetUid('calibration', asset.id),
               cfe_uid: buildCfeUid('calibration', asset.id),
             },
           }, transaction);
-        });
 
-        const refreshed = await CalibrationAsset.findByPk(id, {
-          include: [{
-            model: CalibrationTemplate,
-            as: 'template',
-            required: false,
-          }],
+          return created;
         });
-        return res.json(formatCalibration(refreshed));
+
+        return res.status(201).json(formatCalibrationGageStudy(study));
       } catch (error) {
-        const message = error && error.name === 'SequelizeUniqueConstraintError'
-          ? 'serial_number already exists'
-          : (error && error.message) || 'failed to update calibration asset';
-        return res.status(/required|exists/i.test(message) ? 400 : 500).json({ error: message });
+        const message = (error && error.message) || 'failed to create gage study';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/must/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    deleteCalibration: async (req, res) => {
+    saveCalibrationGageStudyMeasurements: async (req, res) => {
       try {
-        const id = Number(req.params.id);
-        const asset = await CalibrationAsset.findByPk(id);
-        if (!asset) return res.status(404).json({ error: 'calibration asset not found' });
+        const study = await CalibrationGageStudy.findByPk(Number(req.params.studyId));
+        if (!study) return res.status(404).json({ error: 'gage study not found' });
+        if (study.status !== 'draft') return res.status(400).json({ error: 'gage study is already completed' });
+
+        const formatted = formatCalibrationGageStudy(study);
+        const measurements = normalizeMeasurementGrid(req.body && req.body.measurements, formatted);
+        await study.update({ measurements });
+        return res.json(formatCalibrationGageStudy(study));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to save gage study measurements';
+        return res.status(/must/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    completeCalibrationGageStudy: async (req, res) => {
+      try {
+        const studyId = Number(req.params.studyId);
+        const actor = buildLogActor(req);
+
+        const study = await gagesSequelize.transaction(async (transaction) => {
+          const existing = await CalibrationGageStudy.findByPk(studyId, { transaction });
+          if (!existing) throw new Error('gage study not found');
+          if (existing.status !== 'draft') throw new Error('gage study is already completed');
+          const asset = await CalibrationAsset.findByPk(existing.asset_id, { transaction });
+          if (!asset) throw new Error('calibration asset not found');
+
+          const formatted = formatCalibrationGageStudy(existing);
+          const measurements = normalizeMeasurementGrid(
+            req.body && req.body.measurements !== undefined ? req.body.measurements : formatted.measurements,
+            formatted,
+            { requireComplete: true }
+          );
+          const results = evaluateGageStudy(measurements, { tolerance: formatted.tolerance });
+
+          await existing.update({
+            status: 'completed',
+            measurements,
+            results,
+            result: results.result,
+            percent_grr: results.anova.percent_grr,
+            ndc: results.anova.ndc,
+            completed_at: new Date().toISOString(),
+            completed_by: actor.actor_name,
+          }, { transaction });
+          await asset.update({
+            gage_rr_result: results.result,
+            gage_rr_percent: results.anova.percent_grr,
+          }, { transaction });
 
-        await gagesSequelize.transaction(async (transaction) => {
           await recordGageLog(req, {
             module: 'calibration',
             entity_type: 'asset',
             entity_id: String(asset.id),
-            action: 'deleted',
-            detail: `Deleted calibration asset ${asset.tool_name}`,
+            action: results.result === 'fail' ? 'gage_study_failed' : 'gage_study_completed',
+            detail: `Gage R&R ${existing.study_number}: ${results.result.toUpperCase()} at ${results.anova.percent_grr}% GRR, ndc ${results.anova.ndc === null ? 'n/a' : results.anova.ndc}`,
             metadata: {
-              serial_number: asset.serial_number,
+              gage_study_id: existing.id,
+              study_number: existing.study_number,
+              result: results.result,
+              anova_percent_grr: results.anova.percent_grr,
+              average_range_percent_grr: results.average_range.percent_grr,
+              ndc: results.anova.ndc,
+              percent_tolerance: results.anova.percent_tolerance,
               asset_uid: buildAssetUid('calibration', asset.id),
               cfe_uid: buildCfeUid('calibration', asset.id),
             },
           }, transaction);
-          await asset.destroy({ transaction });
+
+          return existing;
         });
 
-        return res.json({ ok: true, id });
+        return res.json(formatCalibrationGageStudy(study));
       } catch (error) {
-        console.error('command center delete calibration', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to delete calibration asset' });
+        const message = (error && error.message) || 'failed to complete gage study';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/required|must|already completed/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
-    importCalibration: async (req, res) => {
-      const rows = Array.isArray(req.body && req.body.calibration) ? req.body.calibration : [];
-      if (!rows.length) return res.status(400).json({ error: 'calibration array is required' });
-
+    deleteCalibrationGageStudy: async (req, res) => {
       try {
-        const result = { created: 0, updated: 0 };
-        await gagesSequelize.transaction(async (transaction) => {
-          for (const rawRow of rows) {
-            const payload = normalizeCalibrationPayload(rawRow || {});
-            const template = await resolveCalibrationTemplate(payload, transaction);
-            const existing = await CalibrationAsset.findOne({ where: { serial_number: payload.serial_number }, transaction });
-            const nextCalDate = await resolveAssetNextCalibrationDate(
-              payload.last_cal,
-              template,
-              transaction,
-              existing ? existing.id : null
-            );
-            const assetPayload = buildAssetPayload(payload, template, nextCalDate);
-            if (existing) {
-              await existing.update(assetPayload, { transaction });
-              result.updated += 1;
-            } else {
-              await CalibrationAsset.create(assetPayload, { transaction });
-              result.created += 1;
-            }
-          }
+        const study = await CalibrationGageStudy.findByPk(Number(req.params.studyId));
+        if (!study) return res.status(404).json({ error: 'gage study not found' });
+        if (study.status !== 'draft') {
+          return res.status(400).json({ error: 'completed gage studies are kept as history' });
+        }
 
-          await recordGageLog(req, {
-            module: 'calibration',
-            entity_type: 'asset',
-            entity_id: null,
-            action: 'imported',
-            detail: `Imported ${rows.length} calibration rows`,
-            metadata: result,
-          }, transaction);
+        await study.destroy();
+        await recordGageLog(req, {
+          module: 'calibration',
+          entity_type: 'asset',
+          entity_id: String(study.asset_id),
+          action: 'gage_study_deleted',
+          detail: `Discarded draft Gage R&R study ${study.study_number}`,
+          metadata: {
+            gage_study_id: study.id,
+            study_number: study.study_number,
+            asset_uid: buildAssetUid('calibration', study.asset_id),
+            cfe_uid: buildCfeUid('calibration', study.asset_id),
+          },
         });
-
-        return res.json(result);
+        return res.json({ ok: true });
       } catch (error) {
-        return res.status(400).json({ error: (error && error.message) || 'failed to import calibration assets' });
+        console.error('command center delete gage study', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to delete gage study' });
       }
     },
 
-    checkoutCalibration: async (req, res) => {
+    listCalibrationIntervalProposals: async (req, res) => {
       try {
-        const id = Number(req.params.id);
-        const payload = normalizeCheckoutPayload(req.body || {});
-        const asset = await CalibrationAsset.findByPk(id, {
+        const status = String((req.query && req.query.status) || 'pending').trim().toLowerCase();
+        const assetId = normalizeNumericId(req.query && req.query.asset_id);
+        const whereClause = {};
+        if (['pending', 'approved', 'rejected', 'superseded'].includes(status)) whereClause.status = status;
+        if (assetId) whereClause.asset_id = assetId;
+
+        const proposals = await CalibrationIntervalProposal.findAll({
+          where: whereClause,
           include: [{
-            model: CalibrationTemplate,
-            as: 'template',
+            model: CalibrationAsset.unscoped(),
+            as: 'asset',
+            attributes: ['id', 'tool_name', 'serial_number', 'assigned_department'],
             required: false,
           }],
+          order: [
+            ['proposed_at', 'DESC'],
+            ['id', 'DESC'],
+          ],
         });
-        if (!asset) return res.status(404).json({ error: 'calibration asset not found' });
-
-        const formattedAsset = formatCalibration(asset);
-        if (formattedAsset.locked_for_checkout) {
-          return res.status(400).json({ error: 'asset is locked after the grace period and cannot be checked out' });
-        }
-
-        await recordGageLog(req, {
-          module: 'calibration',
-          entity_type: 'asset',
-          entity_id: String(asset.id),
-          action: 'checked_out',
-          detail: `Checked out ${asset.tool_name}`,
-          metadata: {
-            reason: payload.reason,
-            serial_number: asset.serial_number,
-            asset_uid: buildAssetUid('calibration', asset.id),
-            cfe_uid: buildCfeUid('calibration', asset.id),
-          },
-        });
-
-        return res.status(201).json({ ok: true, asset: formattedAsset });
+        return res.json(proposals.map(formatCalibrationIntervalProposal));
       } catch (error) {
-        return res.status(500).json({ error: (error && error.message) || 'failed to check out asset' });
+        console.error('command center list interval proposals', error && error.message ? error.message : error);
+        return res.status(500).json({ error: 'failed to load interval proposals' });
       }
     },
 
-    generateCertificate: async (req, res) => {
+    approveCalibrationIntervalProposal: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        const payload = normalizeCertificatePayload(req.body || {});
-        const completionDate = new Date().toISOString().slice(0, 10);
+        const actor = buildLogActor(req);
 
-        const result = await gagesSequelize.transaction(async (transaction) => {
-          const asset = await CalibrationAsset.findByPk(id, {
+        await gagesSequelize.transaction(async (transaction) => {
+          const proposal = await CalibrationIntervalProposal.findByPk(id, { transaction });
+          if (!proposal) throw new Error('interval proposal not found');
+          if (proposal.status !== 'pending') throw new Error(`interval proposal is already ${proposal.status}`);
+
+          const asset = await CalibrationAsset.findByPk(proposal.asset_id, {
             include: [{
               model: CalibrationTemplate,
               as: 'template',
@@ -3452,82 +10337,112 @@ function createCommandCenterController({ hazmatDb, gagesDb, debugDb, paths, cali
             }],
             transaction,
           });
-          if (!asset) {
-            throw new Error('calibration asset not found');
+          if (!asset) throw new Error('calibration asset not found');
+          if (!asset.template || !normalizeIntervalAdjustmentPolicy(asset.template.toJSON()).enabled) {
+            throw new Error('interval adjustment is no longer enabled for this template');
+          }
+          const currentDays = buildTemplateSchedulingOptions(buildAssetScheduleTemplate(asset, asset.template)).calIntervalDays;
+          if (currentDays !== proposal.current_interval_days) {
+            throw new Error(`interval proposal no longer matches the current ${currentDays} day interval`);
           }
 
-          const fallbackTemplate = {
-            cal_interval_days: normalizePositiveInteger(asset.cal_frequency, DEFAULT_INTERVAL_DAYS),
-            interval_mode: DEFAULT_INTERVAL_MODE,
-            interval_months: DEFAULT_INTERVAL_MONTHS,
-            interval_days: normalizePositiveInteger(asset.cal_frequency, DEFAULT_INTERVAL_DAYS),
-            max_daily_calibrations: DEFAULT_MAX_DAILY_CALIBRATIONS,
-            allowed_days: DEFAULT_ALLOWED_DAYS,
-          };
-          const templateSource = asset.template || fallbackTemplate;
-          const nextCalDate = await resolveAssetNextCalibrationDate(completionDate, templateSource, transaction, asset.id);
-
+          asset.interval_override_days = proposal.proposed_interval_days;
+          const plan = await resolveAssetCalibrationPlan(
+            asset.last_cal,
+            buildAssetScheduleTemplate(asset, asset.template),
+            transaction,
+            asset.id
+          );
           await asset.update({
-            last_cal: completionDate,
-            next_cal: nextCalDate,
+            interval_override_days: proposal.proposed_interval_days,
+            cal_frequency: proposal.proposed_interval_days,
+            next_cal: plan.next_cal,
+            planned_technician_id: plan.planned_technician_id,
+          }, { transaction });
+          await proposal.update({
+            status: 'approved',
+            decided_at: new Date().toISOString(),
+            decided_by: actor.actor_name,
+            decision_notes: normalizeOptionalText(req.body && req.body.notes),
           }, { transaction });
-
-          const refreshedAsset = await CalibrationAsset.findByPk(id, {
-            include: [{
-              model: CalibrationTemplate,
-              as: 'template',
-              required: false,
-            }],
-            transaction,
-          });
-          const formattedAsset = formatCalibration(refreshedAsset);
-
-          const certificateId = buildCertificateId(asset.id);
-          const issuedAt = new Date().toISOString();
-          const qrPayload = JSON.stringify({
-            certificate_id: certificateId,
-            asset_id: asset.id,
-            serial_number: asset.serial_number,
-            template_name: formattedAsset.template_name,
-            technician: payload.technician,
-            issued_at: issuedAt,
-          });
-          const qrDataUrl = await QRCode.toDataURL(qrPayload, { margin: 1, width: 220 });
 
           await recordGageLog(req, {
             module: 'calibration',
             entity_type: 'asset',
             entity_id: String(asset.id),
-            action: 'certificate_generated',
-            detail: `Generated certificate ${certificateId}`,
+            action: 'interval_adjusted',
+            detail: `Approved calibration interval change from ${proposal.current_interval_days} to ${proposal.proposed_interval_days} days; next calibration ${plan.next_cal || 'not scheduled'}`,
             metadata: {
-              certificate_id: certificateId,
-              technician: payload.technician,
-              completion_date: completionDate,
-              next_cal: formattedAsset.next_cal,
+              interval_proposal_id: proposal.id,
+              direction: proposal.direction,
+              previous_interval_days: proposal.current_interval_days,
+              interval_days: proposal.proposed_interval_days,
+              next_cal: plan.next_cal,
+              notes: proposal.decision_notes,
               asset_uid: buildAssetUid('calibration', asset.id),
               cfe_uid: buildCfeUid('calibration', asset.id),
             },
           }, transaction);
-
-          return {
-            certificateId,
-            issuedAt,
-            formattedAsset,
-            qrDataUrl,
-          };
         });
 
-        return res.json({
-          certificate_id: result.certificateId,
-          issued_at: result.issuedAt,
-          technician: payload.technician,
-          asset: result.formattedAsset,
-          qr_data_url: result.qrDataUrl,
+        return res.json(formatCalibrationIntervalProposal(await CalibrationIntervalProposal.findByPk(id, {
+          include: [{
+            model: CalibrationAsset.unscoped(),
+            as: 'asset',
+            attributes: ['id', 'tool_name', 'serial_number', 'assigned_department'],
+            required: false,
+          }],
+        })));
+      } catch (error) {
+        const message = (error && error.message) || 'failed to approve interval proposal';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/already|no longer/i.test(message) ? 400 : 500).json({ error: message });
+      }
+    },
+
+    rejectCalibrationIntervalProposal: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const actor = buildLogActor(req);
+
+        await gagesSequelize.transaction(async (transaction) => {
+          const proposal = await CalibrationIntervalProposal.findByPk(id, { transaction });
+          if (!proposal) throw new Error('interval proposal not found');
+          if (proposal.status !== 'pending') throw new Error(`interval proposal is already ${proposal.status}`);
+
+          await proposal.update({
+            status: 'rejected',
+            decided_at: new Date().toISOString(),
+            decided_by: actor.actor_name,
+            decision_notes: normalizeOptionalText(req.body && req.body.notes),
+          }, { transaction });
+          await recordGageLog(req, {
+            module: 'calibration',
+            entity_type: 'asset',
+            entity_id: String(proposal.asset_id),
+            action: 'interval_proposal_rejected',
+            detail: `Rejected proposal to ${proposal.direction} calibration interval from ${proposal.current_interval_days} to ${proposal.proposed_interval_days} days`,
+            metadata: {
+              interval_proposal_id: proposal.id,
+              notes: proposal.decision_notes,
+              asset_uid: buildAssetUid('calibration', proposal.asset_id),
+              cfe_uid: buildCfeUid('calibration', proposal.asset_id),
+            },
+          }, transaction);
         });
+
+        return res.json(formatCalibrationIntervalProposal(await CalibrationIntervalProposal.findByPk(id, {
+          include: [{
+            model: CalibrationAsset.unscoped(),
+            as: 'asset',
+            attributes: ['id', 'tool_name', 'serial_number', 'assigned_department'],
+            required: false,
+          }],
+        })));
       } catch (error) {
-        const message = (error && error.message) || 'failed to generate certificate';
-        return res.status(/required|not found/i.test(message) ? 400 : 500).json({ error: message });
+        const message = (error && error.message) || 'failed to reject interval proposal';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/already/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
@@ -3752,12 +10667,17 @@ function createCommandCenterController({ hazmatDb, gagesDb, debugDb, paths, cali
           }));
         }
 
+        const archived = isArchivedListRequest(req);
+        if (archived) {
+          filters.push({ archived_at: { [Op.ne]: null } });
+        }
+
         const includeComponents = String(req.query.include_components || 'true').trim().toLowerCase() !== 'false';
         const limit = normalizePositiveLimit(req.query.limit, 250, 1000);
 
         const payload = await debugSequelize.transaction(async (transaction) => {
           const [tickets, chronicCounts, departmentById] = await Promise.all([
-            FailureTicket.findAll({
+            (archived ? FailureTicket.unscoped() : FailureTicket).findAll({
               where: filters.length ? { [Op.and]: filters } : undefined,
               include: includeComponents
                 ? [{
@@ -3938,6 +10858,7 @@ function createCommandCenterController({ hazmatDb, gagesDb, debugDb, paths, cali
           return res.status(400).json({ error: 'invalid ticket id' });
         }
 
+        const reason = readArchiveReason(req);
         const existing = await FailureTicket.findByPk(id);
         if (!existing) {
           return res.status(404).json({ error: 'debug ticket not found' });
@@ -3945,27 +10866,70 @@ function createCommandCenterController({ hazmatDb, gagesDb, debugDb, paths, cali
 
         await debugSequelize.transaction(async (transaction) => {
           const componentCount = await FaultyComponent.count({ where: { ticket_id: id }, transaction });
-          await FaultyComponent.destroy({ where: { ticket_id: id }, transaction });
+          await existing.update({
+            archived_at: new Date().toISOString(),
+            archive_reason: reason,
+            archived_by: buildLogActor(req).actor_name,
+          }, { transaction });
 
           await recordDebugLog(req, {
             module: 'debug_lab',
             entity_type: 'failure_ticket',
             entity_id: String(id),
-            action: 'deleted',
-            detail: `Deleted failure ticket for ${existing.serial_number}`,
+            action: 'archived',
+            detail: `Archived failure ticket for ${existing.serial_number}: ${reason}`,
             metadata: {
+              reason,
               serial_number: existing.serial_number,
               component_count: componentCount,
             },
           }, transaction);
+        });
+
+        return res.json({ ok: true, id, archived_at: existing.archived_at });
+      } catch (error) {
+        const message = (error && error.message) || 'failed to archive debug ticket';
+        if (/required/i.test(message)) return res.status(400).json({ error: message });
+        console.error('command center archive debug ticket', message);
+        return res.status(500).json({ error: 'failed to archive debug ticket' });
+      }
+    },
+
+    restoreDebugTicket: async (req, res) => {
+      if (!ensureDebugLabAvailable(res)) return null;
+
+      try {
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id) || id <= 0) {
+          return res.status(400).json({ error: 'invalid ticket id' });
+        }
+
+        const ticket = await debugSequelize.transaction(async (transaction) => {
+          const existing = await FailureTicket.unscoped().findByPk(id, { transaction });
+          if (!existing) throw new Error('debug ticket not found');
+          if (!existing.archived_at) throw new Error('debug ticket is not archived');
 
-          await FailureTicket.destroy({ where: { id }, transaction });
+          const reason = existing.archive_reason;
+          await existing.update({ archived_at: null, archive_reason: null, archived_by: null }, { transaction });
+          await recordDebugLog(req, {
+            module: 'debug_lab',
+            entity_type: 'failure_ticket',
+            entity_id: String(id),
+            action: 'restored',
+            detail: `Restored failure ticket for ${existing.serial_number}`,
+            metadata: {
+              archive_reason: reason,
+              serial_number: existing.serial_number,
+            },
+          }, transaction);
+          return existing;
         });
 
-        return res.json({ ok: true, id });
+        return res.json(formatDebugTicket(ticket));
       } catch (error) {
-        console.error('command center delete debug ticket', error && error.message ? error.message : error);
-        return res.status(500).json({ error: 'failed to delete debug ticket' });
+        const message = (error && error.message) || 'failed to restore debug ticket';
+        if (/not found/i.test(message)) return res.status(404).json({ error: message });
+        return res.status(/not archived/i.test(message) ? 400 : 500).json({ error: message });
       }
     },
 
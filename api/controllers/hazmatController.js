@@ -131,6 +131,7 @@ function formatUsageLog(entry) {
     quantity_delta: normalizeNumber(payload.quantity_delta),
     timestamp: payload.timestamp,
     reason: payload.reason,
+    kind: payload.kind || 'usage',
     material: payload.material ? {
       id: payload.material.id,
       name: payload.material.name,
@@ -441,7 +442,7 @@ function createHazmatController({ Material, UsageLog, sequelize, paths, hazmatSd
         const requested = Number(req.query.limit);
         const limit = Number.isFinite(requested) ? Math.min(Math.max(requested, 1), 100) : 20;
         const logs = await UsageLog.findAll({
-          include: [{ model: Material, as: 'material', attributes: ['id', 'name', 'batch_id'] }],
+          include: [{ model: Material.unscoped(), as: 'material', attributes: ['id', 'name', 'batch_id'] }],
           order: [['timestamp', 'DESC']],
           limit,
         });
@@ -20,6 +20,11 @@ function registerAdminConsoleRoutes(app, controller, authMiddleware, requireRole
   app.post('/api/admin-console/departments', authMiddleware, departmentManagementOnly, controller.createDepartment);
   app.put('/api/admin-console/departments/:id', authMiddleware, departmentManagementOnly, controller.updateDepartment);
   app.delete('/api/admin-console/departments/:id', authMiddleware, departmentManagementOnly, controller.deleteDepartment);
+
+  app.get('/api/admin-console/cas-dataset', authMiddleware, adminConsoleOnly, controller.casDataset);
+  app.post('/api/admin-console/cas-dataset/preview', authMiddleware, adminOnly, controller.previewCasUpdate);
+  app.post('/api/admin-console/cas-dataset/apply', authMiddleware, adminOnly, controller.applyCasUpdate);
+  app.post('/api/admin-console/cas-dataset/rollback', authMiddleware, adminOnly, controller.rollbackCasUpdate);
 }
 
 module.exports = registerAdminConsoleRoutes;
\ No newline at end of file
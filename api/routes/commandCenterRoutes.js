@@ -26,6 +26,7 @@ function registerCommandCenterRoutes(app, controller, authMiddleware, requireRol
   app.post('/api/command-center/sds/upload', authMiddleware, hazmatRead, editOnly, controller.uploadSdsDocument);
   app.get('/api/command-center/sds-documents', authMiddleware, hazmatRead, settingsOnly, controller.listSdsDocuments);
   app.delete('/api/command-center/sds-documents/:id', authMiddleware, hazmatRead, settingsOnly, controller.deleteSdsDocument);
+  app.get('/api/command-center/sds-documents/:id/revisions', authMiddleware, hazmatRead, controller.listSdsRevisions);
   app.get('/api/command-center/hazmat/sds-compliance', authMiddleware, hazmatRead, controller.getHazmatSdsCompliance);
   app.get('/api/command-center/cas-thresholds', authMiddleware, hazmatRead, controller.listCasThresholdDefaults);
   app.post('/api/command-center/cas-thresholds', authMiddleware, hazmatRead, settingsOnly, controller.createCasThresholdDefault);
@@ -34,9 +35,57 @@ function registerCommandCenterRoutes(app, controller, authMiddleware, requireRol
   app.post('/api/command-center/materials', authMiddleware, hazmatRead, editOnly, controller.createMaterial);
   app.put('/api/command-center/materials/:id', authMiddleware, hazmatRead, editOnly, controller.updateMaterial);
   app.delete('/api/command-center/materials/:id', authMiddleware, hazmatRead, editOnly, controller.deleteMaterial);
+  app.post('/api/command-center/materials/:id/restore', authMiddleware, hazmatRead, settingsOnly, controller.restoreMaterial);
   app.post('/api/command-center/materials/import', authMiddleware, hazmatRead, editOnly, controller.importMaterials);
   app.post('/api/command-center/materials/:id/use', authMiddleware, hazmatRead, editOnly, controller.useMaterial);
   app.post('/api/command-center/materials/:id/verify', authMiddleware, hazmatRead, editOnly, controller.verifyMaterial);
+  app.put('/api/command-center/materials/:id/storage', authMiddleware, hazmatRead, editOnly, controller.moveMaterial);
+  app.post('/api/command-center/hazmat/scan', authMiddleware, hazmatRead, controller.scanHazmatLabel);
+  app.get('/api/command-center/hazmat/scan-sessions', authMiddleware, hazmatRead, controller.listScanSessions);
+  app.get('/api/command-center/hazmat/scan-sessions/:sessionId', authMiddleware, hazmatRead, controller.getScanSession);
+  app.get('/api/command-center/materials/:id/hazard-profile', authMiddleware, hazmatRead, controller.getMaterialHazardProfile);
+  app.get('/api/command-center/materials/:id/containers', authMiddleware, hazmatRead, controller.listMaterialContainers);
+  app.post('/api/command-center/materials/:id/containers', authMiddleware, hazmatRead, editOnly, controller.createMaterialContainer);
+  app.put('/api/command-center/materials/:id/containers/:containerId', authMiddleware, hazmatRead, editOnly, controller.updateMaterialContainer);
+  app.get('/api/command-center/hazmat/reorder', authMiddleware, hazmatRead, controller.getHazmatReorder);
+  app.get('/api/command-center/hazmat/forecast', authMiddleware, hazmatRead, controller.getHazmatForecast);
+  app.get('/api/command-center/hazmat/storage-compatibility', authMiddleware, hazmatRead, controller.getStorageCompatibility);
+  app.get('/api/command-center/hazmat/quantity-report', authMiddleware, hazmatRead, controller.getQuantityReport);
+  app.get('/api/command-center/hazmat/quantity-limits', authMiddleware, hazmatRead, controller.listQuantityLimits);
+  app.put('/api/command-center/hazmat/quantity-limits/:hazardClass', authMiddleware, hazmatRead, settingsOnly, controller.saveQuantityLimit);
+  app.delete('/api/command-center/hazmat/quantity-limits/:hazardClass', authMiddleware, hazmatRead, settingsOnly, controller.deleteQuantityLimit);
+  app.post('/api/command-center/hazmat/labels', authMiddleware, hazmatRead, controller.printMaterialLabels);
+  app.get('/api/command-center/hazmat/waste', authMiddleware, hazmatRead, controller.listWasteContainers);
+  app.post('/api/command-center/hazmat/waste', authMiddleware, hazmatRead, editOnly, controller.createWasteContainer);
+  app.post('/api/command-center/hazmat/waste/manifests', authMiddleware, hazmatRead, editOnly, controller.createWasteManifest);
+  app.get('/api/command-center/hazmat/waste/manifests/:manifestNumber', authMiddleware, hazmatRead, controller.getWasteManifest);
+  app.post('/api/command-center/hazmat/waste/:id/items', authMiddleware, hazmatRead, editOnly, controller.addWasteItems);
+  app.post('/api/command-center/hazmat/waste/:id/dispose', authMiddleware, hazmatRead, editOnly, controller.disposeWasteContainer);
+  app.get('/api/command-center/hazmat/cycle-counts', authMiddleware, hazmatRead, controller.listCycleCounts);
+  app.post('/api/command-center/hazmat/cycle-counts', authMiddleware, hazmatRead, editOnly, controller.createCycleCount);
+  app.get('/api/command-center/hazmat/cycle-counts/:id', authMiddleware, hazmatRead, controller.getCycleCount);
+  app.post('/api/command-center/hazmat/cycle-counts/:id/entries', authMiddleware, hazmatRead, editOnly, controller.recordCycleCountEntries);
+  app.post('/api/command-center/hazmat/cycle-counts/:id/approve', authMiddleware, hazmatRead, settingsOnly, controller.approveCycleCount);
+  app.post('/api/command-center/hazmat/cycle-counts/:id/cancel', authMiddleware, hazmatRead, editOnly, controller.cancelCycleCount);
+  app.get('/api/command-center/hazmat/transfers', authMiddleware, hazmatRead, controller.listMaterialTransfers);
+  app.post('/api/command-center/hazmat/transfers', authMiddleware, hazmatRead, editOnly, controller.createMaterialTransfer);
+  app.post('/api/command-center/hazmat/transfers/:id/approve', authMiddleware, hazmatRead, controller.approveMaterialTransfer);
+  app.post('/api/command-center/hazmat/transfers/:id/reject', authMiddleware, hazmatRead, controller.rejectMaterialTransfer);
+  app.post('/api/command-center/hazmat/transfers/:id/cancel', authMiddleware, hazmatRead, editOnly, controller.cancelMaterialTransfer);
+  app.get('/api/command-center/hazmat/incidents', authMiddleware, hazmatRead, controller.listIncidents);
+  app.post('/api/command-center/hazmat/incidents', authMiddleware, hazmatRead, editOnly, controller.createIncident);
+  app.get('/api/command-center/hazmat/incident-actions', authMiddleware, hazmatRead, controller.listIncidentActions);
+  app.get('/api/command-center/hazmat/incidents/:id', authMiddleware, hazmatRead, controller.getIncident);
+  app.put('/api/command-center/hazmat/incidents/:id', authMiddleware, hazmatRead, editOnly, controller.updateIncident);
+  app.post('/api/command-center/hazmat/incidents/:id/close', authMiddleware, hazmatRead, editOnly, controller.closeIncident);
+  app.get('/api/command-center/hazmat/incidents/:id/report', authMiddleware, hazmatRead, controller.printIncidentReport);
+  app.post('/api/command-center/hazmat/incidents/:id/actions', authMiddleware, hazmatRead, editOnly, controller.addIncidentAction);
+  app.post('/api/command-center/hazmat/incidents/:id/actions/:actionId/complete', authMiddleware, hazmatRead, editOnly, controller.completeIncidentAction);
+  app.get('/api/command-center/hazmat/purchase-requests', authMiddleware, hazmatRead, controller.listPurchaseRequests);
+  app.post('/api/command-center/hazmat/purchase-requests', authMiddleware, hazmatRead, editOnly, controller.createPurchaseRequest);
+  app.post('/api/command-center/hazmat/purchase-requests/:id/order', authMiddleware, hazmatRead, editOnly, controller.orderPurchaseRequest);
+  app.post('/api/command-center/hazmat/purchase-requests/:id/receive', authMiddleware, hazmatRead, editOnly, controller.receivePurchaseRequest);
+  app.post('/api/command-center/hazmat/purchase-requests/:id/cancel', authMiddleware, hazmatRead, editOnly, controller.cancelPurchaseRequest);
 
   app.get('/api/command-center/hazmat/templates', authMiddleware, hazmatRead, controller.listHazmatTemplates);
   app.post('/api/command-center/hazmat/templates', authMiddleware, hazmatRead, editOnly, controller.createHazmatTemplate);
@@ -50,12 +99,46 @@ function registerCommandCenterRoutes(app, controller, authMiddleware, requireRol
 
   app.get('/api/command-center/calibration', authMiddleware, calibrationRead, controller.listCalibration);
   app.post('/api/command-center/calibration/attachments', authMiddleware, calibrationRead, editOnly, controller.uploadCalibrationAttachment);
+  app.get('/api/command-center/calibration/custody', authMiddleware, calibrationRead, controller.listCalibrationCustody);
+  app.get('/api/command-center/calibration/impact-reviews', authMiddleware, calibrationRead, controller.listCalibrationImpactReviews);
+  app.post('/api/command-center/calibration/impact-reviews/:id/dispositions', authMiddleware, calibrationRead, editOnly, controller.updateCalibrationImpactDispositions);
+  app.post('/api/command-center/calibration/impact-reviews/:id/close', authMiddleware, calibrationRead, editOnly, controller.closeCalibrationImpactReview);
+  app.get('/api/command-center/calibration/impact-reviews/:id/report', authMiddleware, calibrationRead, controller.printCalibrationImpactReport);
+  app.get('/api/command-center/calibration/planner', authMiddleware, calibrationRead, controller.getCalibrationPlanner);
+  app.post('/api/command-center/calibration/planner/reschedule', authMiddleware, calibrationRead, editOnly, controller.rescheduleCalibration);
+  app.get('/api/command-center/calibration/planner/technicians', authMiddleware, calibrationRead, controller.listCalibrationTechnicians);
+  app.post('/api/command-center/calibration/planner/technicians', authMiddleware, calibrationRead, settingsOnly, controller.createCalibrationTechnician);
+  app.put('/api/command-center/calibration/planner/technicians/:id', authMiddleware, calibrationRead, settingsOnly, controller.updateCalibrationTechnician);
+  app.delete('/api/command-center/calibration/planner/technicians/:id', authMiddleware, calibrationRead, settingsOnly, controller.deleteCalibrationTechnician);
+  app.get('/api/command-center/calibration/planner/blackouts', authMiddleware, calibrationRead, controller.listCalibrationBlackouts);
+  app.post('/api/command-center/calibration/planner/blackouts', authMiddleware, calibrationRead, settingsOnly, controller.createCalibrationBlackout);
+  app.delete('/api/command-center/calibration/planner/blackouts/:id', authMiddleware, calibrationRead, settingsOnly, controller.deleteCalibrationBlackout);
+  app.get('/api/command-center/calibration/shipments', authMiddleware, calibrationRead, controller.listCalibrationShipments);
+  app.post('/api/command-center/calibration/shipments', authMiddleware, calibrationRead, editOnly, controller.createCalibrationShipment);
+  app.post('/api/command-center/calibration/shipments/:id/receive', authMiddleware, calibrationRead, editOnly, controller.receiveCalibrationShipment);
+  app.get('/api/command-center/calibration/vendor-performance', authMiddleware, calibrationRead, controller.getCalibrationVendorPerformance);
+  app.get('/api/command-center/calibration/notifications', authMiddleware, calibrationRead, settingsOnly, controller.getCalibrationNotificationStatus);
+  app.post('/api/command-center/calibration/notifications/run', authMiddleware, calibrationRead, settingsOnly, controller.runCalibrationNotifications);
   app.post('/api/command-center/calibration', authMiddleware, calibrationRead, editOnly, controller.createCalibration);
   app.put('/api/command-center/calibration/:id', authMiddleware, calibrationRead, editOnly, controller.updateCalibration);
   app.delete('/api/command-center/calibration/:id', authMiddleware, calibrationRead, editOnly, controller.deleteCalibration);
+  app.post('/api/command-center/calibration/:id/restore', authMiddleware, calibrationRead, settingsOnly, controller.restoreCalibration);
   app.post('/api/command-center/calibration/import', authMiddleware, calibrationRead, editOnly, controller.importCalibration);
   app.post('/api/command-center/calibration/:id/check-out', authMiddleware, calibrationRead, editOnly, controller.checkoutCalibration);
+  app.post('/api/command-center/calibration/:id/out-of-tolerance', authMiddleware, calibrationRead, editOnly, controller.reportCalibrationOutOfTolerance);
+  app.post('/api/command-center/calibration/:id/check-in', authMiddleware, calibrationRead, editOnly, controller.checkinCalibration);
   app.post('/api/command-center/calibration/:id/certificate', authMiddleware, calibrationRead, editOnly, controller.generateCertificate);
+  app.get('/api/command-center/calibration/:id/records', authMiddleware, calibrationRead, controller.listCalibrationRecords);
+  app.get('/api/command-center/calibration/:id/certificates', authMiddleware, calibrationRead, controller.listCalibrationCertificates);
+  app.get('/api/command-center/calibration/:id/gage-studies', authMiddleware, calibrationRead, controller.listCalibrationGageStudies);
+  app.post('/api/command-center/calibration/:id/gage-studies', authMiddleware, calibrationRead, editOnly, controller.createCalibrationGageStudy);
+  app.put('/api/command-center/calibration/gage-studies/:studyId/measurements', authMiddleware, calibrationRead, editOnly, controller.saveCalibrationGageStudyMeasurements);
+  app.post('/api/command-center/calibration/gage-studies/:studyId/complete', authMiddleware, calibrationRead, editOnly, controller.completeCalibrationGageStudy);
+  app.delete('/api/command-center/calibration/gage-studies/:studyId', authMiddleware, calibrationRead, editOnly, controller.deleteCalibrationGageStudy);
+  app.get('/api/command-center/calibration/interval-proposals', authMiddleware, calibrationRead, controller.listCalibrationIntervalProposals);
+  app.post('/api/command-center/calibration/interval-proposals/:id/approve', authMiddleware, calibrationRead, settingsOnly, controller.approveCalibrationIntervalProposal);
+  app.post('/api/command-center/calibration/interval-proposals/:id/reject', authMiddleware, calibrationRead, settingsOnly, controller.rejectCalibrationIntervalProposal);
+  app.get('/api/public/certificates/:certificateId', controller.verifyCertificate);
 
   app.get('/api/command-center/debug-lab/tickets', authMiddleware, debugRead, controller.listDebugTickets);
   app.post('/api/command-center/debug-lab/import', authMiddleware, debugRead, editOnly, controller.importDebugTickets);
@@ -63,6 +146,7 @@ function registerCommandCenterRoutes(app, controller, authMiddleware, requireRol
   app.get('/api/command-center/debug-lab/tickets/:id/report', authMiddleware, debugRead, controller.getDebugTicketReport);
   app.put('/api/command-center/debug-lab/tickets/:id', authMiddleware, debugRead, editOnly, controller.updateDebugTicket);
   app.delete('/api/command-center/debug-lab/tickets/:id', authMiddleware, debugRead, editOnly, controller.deleteDebugTicket);
+  app.post('/api/command-center/debug-lab/tickets/:id/restore', authMiddleware, debugRead, settingsOnly, controller.restoreDebugTicket);
 
   app.get('/api/command-center/debug-lab/tickets/:ticketId/components', authMiddleware, debugRead, controller.listDebugComponents);
   app.post('/api/command-center/debug-lab/tickets/:ticketId/components', authMiddleware, debugRead, editOnly, controller.createDebugComponent);
@@ -73,6 +157,8 @@ function registerCommandCenterRoutes(app, controller, authMiddleware, requireRol
   app.get('/api/command-center/debug-lab/pattern-alert', authMiddleware, debugRead, controller.getDebugPatternAlert);
   app.get('/api/command-center/debug-lab/systemic-issues', authMiddleware, debugRead, controller.listDebugSystemicIssues);
 
+  app.get('/api/command-center/archive/retention', authMiddleware, commandCenterOnly, settingsOnly, controller.getArchiveRetentionStatus);
+  app.post('/api/command-center/archive/retention/run', authMiddleware, commandCenterOnly, settingsOnly, controller.runArchiveRetention);
   app.get('/api/command-center/asset-logs', authMiddleware, commandCenterOnly, controller.listAssetLogs);
 
   app.get('/api/command-center/logs', authMiddleware, commandCenterOnly, controller.listLogs);
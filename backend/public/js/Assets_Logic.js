@@ -6,14 +6,16 @@
   const SECTION_STORAGE_KEY = 'command_center_section';
   const SETTINGS_STORAGE_KEY = 'command_center_settings';
   const UNIT_LIBRARY_STORAGE_KEY = 'command_center_units';
+  const SCAN_SESSION_STORAGE_KEY = 'command_center_scan_session';
   const VALID_VIEWS = new Set(['hazmat', 'calibration', 'debug']);
-  const VALID_SECTIONS = new Set(['dashboard', 'assets', 'cfe', 'reports', 'settings']);
+  const VALID_SECTIONS = new Set(['dashboard', 'assets', 'cfe', 'scan', 'reports', 'settings']);
   const DEFAULT_SETTINGS = {
     defaultDepartment: 'Operations',
     departments: ['Operations'],
     departmentSupervisors: {},
     departmentViewMode: 'expanded',
     hazmatWarningLeadDays: 30,
+    sdsReviewAgeDays: 1095,
     calibrationAlertLeadDays: 30,
     calibrationGraceDays: 14,
   };
@@ -413,6 +415,7 @@
   const AVERAGE_DAYS_PER_MONTH = 365 / 12;
   const TEMPLATE_ALLOWED_DAY_VALUES = ['1', '2', '3', '4', '5', '6', '7'];
   const TEMPLATE_ALLOWED_DAY_DEFAULTS = ['1', '2', '3', '4', '5'];
+  const QUANTITY_LIMIT_FIELDS = ['max_area_mass_kg', 'max_area_volume_l', 'max_facility_mass_kg', 'max_facility_volume_l'];
 
   const state = {
     user: null,
@@ -424,6 +427,7 @@
       departments: DEFAULT_SETTINGS.departments.slice(),
     },
     departmentRecords: [],
+    userDirectory: null,
     manufacturerRecords: [],
     assetFilters: {
       duePreset: 'all',
@@ -432,7 +436,9 @@
       department: 'all',
       type: 'all',
       status: 'all',
+      records: 'active',
     },
+    archivedRecords: { hazmat: null, calibration: null, debug: null },
     debugQueueFilters: {
       boardType: 'all',
       failureMode: 'all',
@@ -453,7 +459,37 @@
     casThresholdDefaults: [],
     manufacturerSdsDocuments: [],
     manufacturerSdsUploadBusy: false,
+    manufacturerSdsHistory: null,
+    scanStation: { session: null, result: null, entries: [], sessions: [], reviewSessionId: '', pendingRegistration: null },
     hazmatSdsCompliance: null,
+    reorderItems: [],
+    purchaseRequests: [],
+    forecast: { materials: [], departments: [] },
+    storageCompatibility: { areas: [], storage_areas: [], violation_count: 0, unassigned_count: 0 },
+    quantityReport: null,
+    wasteContainers: [],
+    wasteMaterialId: null,
+    cycleCounts: [],
+    materialTransfers: [],
+    transferMaterialId: null,
+    incidents: [],
+    openIncidentActions: [],
+    activeIncident: null,
+    editingIncidentId: null,
+    calibrationPlanner: null,
+    plannerMode: 'month',
+    plannerAnchor: new Date().toISOString().slice(0, 10),
+    calibrationTechnicians: [],
+    calibrationBlackouts: [],
+    impactReviews: [],
+    activeImpactReview: null,
+    intervalProposals: [],
+    assetGageStudies: [],
+    activeGageStudy: null,
+    calibrationShipments: [],
+    vendorPerformance: null,
+    activeShipmentId: null,
+    activeCycleCount: null,
     inventoryTable: null,
     templateTable: null,
     settingsTemplateTable: null,
@@ -469,6 +505,7 @@
     editingDebugComponentId: null,
     activeMaterialId: null,
     activeCalibrationId: null,
+    activeCertificateTestPoints: [],
     activeDebugTicketId: null,
     activeAssetLogKey: '',
     activeAssetDetailKind: '',
@@ -532,8 +569,87 @@
     elements.assetDepartmentFilter = document.getElementById('asset-department-filter');
     elements.assetTypeFilter = document.getElementById('asset-type-filter');
     elements.assetStatusFilter = document.getElementById('asset-status-filter');
+    elements.assetArchiveFilter = document.getElementById('asset-archive-filter');
     elements.clearAssetFiltersButton = document.getElementById('clear-asset-filters-button');
     elements.dashboardAssetResults = document.getElementById('dashboard-asset-results');
+    elements.custodyPanel = document.getElementById('custody-panel');
+    elements.custodySummary = document.getElementById('custody-summary');
+    elements.custodyResults = document.getElementById('custody-results');
+    elements.impactReviewPanel = document.getElementById('impact-review-panel');
+    elements.impactReviewSummary = document.getElementById('impact-review-summary');
+    elements.impactReviewResults = document.getElementById('impact-review-results');
+    elements.intervalProposalPanel = document.getElementById('interval-proposal-panel');
+    elements.intervalProposalSummary = document.getElementById('interval-proposal-summary');
+    elements.intervalProposalResults = document.getElementById('interval-proposal-results');
+    elements.ootReportForm = document.getElementById('oot-report-form');
+    elements.impactReviewEyebrow = document.getElementById('impact-review-eyebrow');
+    elements.impactReviewTitle = document.getElementById('impact-review-title');
+    elements.impactReviewGrid = document.getElementById('impact-review-grid');
+    elements.impactReviewUsages = document.getElementById('impact-review-usages');
+    elements.impactDispositionForm = document.getElementById('impact-disposition-form');
+    elements.impactCloseForm = document.getElementById('impact-close-form');
+    elements.calibrationPlannerPanel = document.getElementById('calibration-planner-panel');
+    elements.calibrationPlannerTitle = document.getElementById('calibration-planner-title');
+    elements.calibrationPlannerSummary = document.getElementById('calibration-planner-summary');
+    elements.calibrationPlannerGrid = document.getElementById('calibration-planner-grid');
+    elements.calibrationTechnicianList = document.getElementById('calibration-technician-list');
+    elements.calibrationTechnicianForm = document.getElementById('calibration-technician-form');
+    elements.calibrationBlackoutList = document.getElementById('calibration-blackout-list');
+    elements.calibrationBlackoutForm = document.getElementById('calibration-blackout-form');
+    elements.vendorShipmentPanel = document.getElementById('vendor-shipment-panel');
+    elements.vendorShipmentSummary = document.getElementById('vendor-shipment-summary');
+    elements.vendorShipmentResults = document.getElementById('vendor-shipment-results');
+    elements.calibrationShipmentForm = document.getElementById('calibration-shipment-form');
+    elements.calibrationReceiptForm = document.getElementById('calibration-receipt-form');
+    elements.calibrationReceiptTitle = document.getElementById('calibration-receipt-title');
+    elements.calibrationReceiptItems = document.getElementById('calibration-receipt-items');
+    elements.vendorPerformancePanel = document.getElementById('vendor-performance-panel');
+    elements.vendorPerformanceSummary = document.getElementById('vendor-performance-summary');
+    elements.vendorPerformanceResults = document.getElementById('vendor-performance-results');
+    elements.reorderPanel = document.getElementById('reorder-panel');
+    elements.reorderSummary = document.getElementById('reorder-summary');
+    elements.reorderResults = document.getElementById('reorder-results');
+    elements.purchaseRequestResults = document.getElementById('purchase-request-results');
+    elements.forecastPanel = document.getElementById('forecast-panel');
+    elements.forecastSummary = document.getElementById('forecast-summary');
+    elements.forecastDepartmentResults = document.getElementById('forecast-department-results');
+    elements.forecastResults = document.getElementById('forecast-results');
+    elements.storagePanel = document.getElementById('storage-panel');
+    elements.storageSummary = document.getElementById('storage-summary');
+    elements.storageResults = document.getElementById('storage-results');
+    elements.wastePanel = document.getElementById('waste-panel');
+    elements.wasteSummary = document.getElementById('waste-summary');
+    elements.wasteResults = document.getElementById('waste-results');
+    elements.wasteForm = document.getElementById('waste-form');
+    elements.wasteModalTitle = document.getElementById('waste-modal-title');
+    elements.wasteContainerForm = document.getElementById('waste-container-form');
+    elements.cycleCountPanel = document.getElementById('cycle-count-panel');
+    elements.transferPanel = document.getElementById('transfer-panel');
+    elements.transferSummary = document.getElementById('transfer-summary');
+    elements.transferResults = document.getElementById('transfer-results');
+    elements.transferForm = document.getElementById('transfer-form');
+    elements.transferModalTitle = document.getElementById('transfer-modal-title');
+    elements.incidentPanel = document.getElementById('incident-panel');
+    elements.incidentSummary = document.getElementById('incident-summary');
+    elements.incidentResults = document.getElementById('incident-results');
+    elements.incidentForm = document.getElementById('incident-form');
+    elements.incidentModalTitle = document.getElementById('incident-modal-title');
+    elements.incidentDetailEyebrow = document.getElementById('incident-detail-eyebrow');
+    elements.incidentDetailTitle = document.getElementById('incident-detail-title');
+    elements.incidentDetailGrid = document.getElementById('incident-detail-grid');
+    elements.incidentDetailMaterials = document.getElementById('incident-detail-materials');
+    elements.incidentDetailActions = document.getElementById('incident-detail-actions');
+    elements.incidentActionForm = document.getElementById('incident-action-form');
+    elements.cycleCountSummary = document.getElementById('cycle-count-summary');
+    elements.cycleCountResults = document.getElementById('cycle-count-results');
+    elements.cycleCountForm = document.getElementById('cycle-count-form');
+    elements.cycleCountSheetEyebrow = document.getElementById('cycle-count-sheet-eyebrow');
+    elements.cycleCountSheetTitle = document.getElementById('cycle-count-sheet-title');
+    elements.cycleCountSheetSummary = document.getElementById('cycle-count-sheet-summary');
+    elements.cycleCountScanForm = document.getElementById('cycle-count-scan-form');
+    elements.cycleCountScanInput = document.getElementById('cycle-count-scan-input');
+    elements.cycleCountLines = document.getElementById('cycle-count-lines');
+    elements.materialStorageArea = document.getElementById('material-storage-area');
     elements.expiredCount = document.getElementById('expired-count');
     elements.lowStockCount = document.getElementById('low-stock-count');
     elements.warningCount = document.getElementById('warning-count');
@@ -639,6 +755,10 @@
     elements.templateUnitField = document.getElementById('template-unit-field');
     elements.templateUnitSearch = document.getElementById('template-unit-search');
     elements.templateUnitSelect = document.getElementById('template-unit-select');
+    elements.templateTestPointsSection = document.getElementById('template-test-points-section');
+    elements.templateIntervalAdjustSection = document.getElementById('template-interval-adjust-section');
+    elements.templateTestPoints = document.getElementById('template-test-points');
+    elements.templateAddTestPointButton = document.getElementById('template-add-test-point-button');
     elements.templateUnitEmpty = document.getElementById('template-unit-empty');
     elements.templateUnitSelected = document.getElementById('template-unit-selected');
     elements.templateAddUnitToggle = document.getElementById('template-add-unit-toggle');
@@ -663,9 +783,14 @@
     elements.checkoutModal = document.getElementById('checkout-modal');
     elements.checkoutForm = document.getElementById('checkout-form');
     elements.checkoutModalTitle = document.getElementById('checkout-modal-title');
+    elements.checkinModal = document.getElementById('checkin-modal');
+    elements.checkinForm = document.getElementById('checkin-form');
+    elements.checkinModalTitle = document.getElementById('checkin-modal-title');
+    elements.checkinModalCopy = document.getElementById('checkin-modal-copy');
     elements.certificateModal = document.getElementById('certificate-modal');
     elements.certificateForm = document.getElementById('certificate-form');
     elements.certificateModalTitle = document.getElementById('certificate-modal-title');
+    elements.certificateReadings = document.getElementById('certificate-readings');
     elements.assetDetailModal = document.getElementById('asset-detail-modal');
     elements.assetDetailEyebrow = document.getElementById('asset-detail-eyebrow');
     elements.assetDetailTitle = document.getElementById('asset-detail-title');
@@ -673,6 +798,18 @@
     elements.assetDetailStatus = document.getElementById('asset-detail-status');
     elements.assetDetailGrid = document.getElementById('asset-detail-grid');
     elements.assetDetailLogList = document.getElementById('asset-detail-log-list');
+    elements.assetDetailCertPanel = document.getElementById('asset-detail-cert-panel');
+    elements.assetDetailCertList = document.getElementById('asset-detail-cert-list');
+    elements.assetDetailGagePanel = document.getElementById('asset-detail-gage-panel');
+    elements.assetDetailGageList = document.getElementById('asset-detail-gage-list');
+    elements.gageStudySetupForm = document.getElementById('gage-study-setup-form');
+    elements.gageStudyEyebrow = document.getElementById('gage-study-eyebrow');
+    elements.gageStudyTitle = document.getElementById('gage-study-title');
+    elements.gageStudySummary = document.getElementById('gage-study-summary');
+    elements.gageStudySheet = document.getElementById('gage-study-sheet');
+    elements.gageStudyResults = document.getElementById('gage-study-results');
+    elements.assetDetailHazardPanel = document.getElementById('asset-detail-hazard-panel');
+    elements.assetDetailHazardList = document.getElementById('asset-detail-hazard-list');
     elements.assetDetailActions = document.getElementById('asset-detail-actions');
     elements.assetDetailPrimaryAction = document.getElementById('asset-detail-primary-action');
     elements.assetDetailEditAction = document.getElementById('asset-detail-edit-action');
@@ -691,6 +828,8 @@
     elements.manufacturerSdsForm = document.getElementById('manufacturer-sds-form');
     elements.manufacturerSdsManufacturer = document.getElementById('manufacturer-sds-manufacturer');
     elements.manufacturerSdsCasNumber = document.getElementById('manufacturer-sds-cas-number');
+    elements.manufacturerSdsRevisionDate = document.getElementById('manufacturer-sds-revision-date');
+    elements.sdsReviewAgeDays = document.getElementById('sds-review-age-days');
     elements.manufacturerSdsUploadButton = document.getElementById('manufacturer-sds-upload-button');
     elements.manufacturerSdsUploadInput = document.getElementById('manufacturer-sds-upload-input');
     elements.manufacturerSdsStatus = document.getElementById('manufacturer-sds-status');
@@ -702,9 +841,20 @@
     elements.casThresholdStatus = document.getElementById('cas-threshold-status');
     elements.casThresholdList = document.getElementById('cas-threshold-list');
     elements.casThresholdSaveButton = document.getElementById('cas-threshold-save-button');
+    elements.quantityLimitPanel = document.getElementById('quantity-limit-panel');
+    elements.quantityLimitForm = document.getElementById('quantity-limit-form');
+    elements.quantityLimitList = document.getElementById('quantity-limit-list');
+    elements.quantityReportSummary = document.getElementById('quantity-report-summary');
+    elements.quantityReportResults = document.getElementById('quantity-report-results');
     elements.failureAnalysisButton = document.getElementById('failure-analysis-button');
     elements.settingsTemplatePanel = document.querySelector('.settings-template-panel');
     elements.cfeSectionButton = document.querySelector('.sidebar-nav-button[data-section="cfe"]');
+    elements.scanForm = document.getElementById('scan-form');
+    elements.scanInput = document.getElementById('scan-input');
+    elements.scanResult = document.getElementById('scan-result');
+    elements.scanSessionChip = document.getElementById('scan-session-chip');
+    elements.scanSessionSelect = document.getElementById('scan-session-select');
+    elements.scanSessionLog = document.getElementById('scan-session-log');
     elements.viewSelector = document.getElementById('view-selector');
     elements.sectionButtons = Array.from(document.querySelectorAll('.sidebar-nav-button'));
     elements.sections = Array.from(document.querySelectorAll('.workspace-section'));
@@ -714,6 +864,8 @@
   function wireEvents() {
     addEvent(document.getElementById('refresh-button'), 'click', refreshPortal);
     addEvent(document.getElementById('export-audit-button'), 'click', exportAuditWorkbook);
+    addEvent(document.getElementById('export-quantity-xlsx-button'), 'click', exportQuantityWorkbook);
+    addEvent(document.getElementById('export-quantity-pdf-button'), 'click', exportQuantityReportPdf);
     addEvent(elements.reportModuleHazmatButton, 'click', () => setReportModule('hazmat'));
     addEvent(elements.reportModuleCalibrationButton, 'click', () => setReportModule('calibration'));
     addEvent(elements.reportModuleDebugButton, 'click', () => setReportModule('debug'));
@@ -756,10 +908,13 @@
     addEvent(elements.templateUnitSearch, 'input', renderTemplateUnitOptions);
     addEvent(elements.templateUnitSelect, 'change', handleTemplateUnitSelectionChange);
     addEvent(elements.templateAddUnitToggle, 'click', toggleTemplateAddUnitInline);
+    addEvent(elements.templateAddTestPointButton, 'click', () => appendTemplateTestPointRow());
+    addEvent(elements.templateTestPoints, 'click', handleTemplateTestPointClick);
     addEvent(elements.templateSaveUnitButton, 'click', handleTemplateSaveUnit);
     addEvent(elements.templateCancelUnitButton, 'click', closeTemplateAddUnitInline);
     addEvent(elements.calibrationAssignmentMode, 'change', handleCalibrationAssignmentModeChange);
     addEvent(document.getElementById('add-material-button'), 'click', () => openMaterialModal());
+    addEvent(document.getElementById('print-labels-button'), 'click', printFilteredInventoryLabels);
     addEvent(document.getElementById('add-template-button'), 'click', () => openTemplateModal(null, state.currentModule));
     addEvent(elements.settingsAddTemplateButton, 'click', () => openTemplateModal(null, state.currentModule));
     addEvent(document.getElementById('add-calibration-button'), 'click', () => {
@@ -789,7 +944,64 @@
     addEvent(elements.assetDepartmentFilter, 'change', (event) => updateAssetFilter('department', event.target.value));
     addEvent(elements.assetTypeFilter, 'change', (event) => updateAssetFilter('type', event.target.value));
     addEvent(elements.assetStatusFilter, 'change', (event) => updateAssetFilter('status', event.target.value));
+    addEvent(elements.assetArchiveFilter, 'change', (event) => updateAssetFilter('records', event.target.value));
     addEvent(elements.dashboardAssetResults, 'click', handleAssetResultClick);
+    addEvent(elements.custodyResults, 'click', handleAssetResultClick);
+    addEvent(elements.reorderResults, 'click', handleReorderAction);
+    addEvent(elements.purchaseRequestResults, 'click', handlePurchaseRequestAction);
+    addEvent(elements.forecastResults, 'click', handleAssetResultClick);
+    addEvent(elements.storageResults, 'click', handleAssetResultClick);
+    addEvent(elements.wasteResults, 'click', handleWasteAction);
+    addEvent(elements.wasteForm, 'submit', submitWasteForm);
+    addEvent(elements.wasteContainerForm, 'submit', submitWasteContainerForm);
+    addEvent(document.getElementById('waste-new-container-button'), 'click', openWasteContainerModal);
+    addEvent(document.getElementById('waste-manifest-button'), 'click', manifestSelectedWasteContainers);
+    addEvent(document.getElementById('cycle-count-new-button'), 'click', openCycleCountModal);
+    addEvent(elements.cycleCountForm, 'submit', submitCycleCountForm);
+    addEvent(elements.cycleCountForm && elements.cycleCountForm.scope, 'change', syncCycleCountScopeFields);
+    addEvent(elements.cycleCountResults, 'click', handleCycleCountResultClick);
+    addEvent(elements.cycleCountScanForm, 'submit', submitCycleCountScan);
+    addEvent(document.getElementById('cycle-count-save-button'), 'click', saveCycleCountEntries);
+    addEvent(document.getElementById('cycle-count-approve-button'), 'click', approveCycleCount);
+    addEvent(document.getElementById('cycle-count-cancel-button'), 'click', cancelCycleCount);
+    addEvent(document.getElementById('cycle-count-export-button'), 'click', exportCycleCountVariance);
+    addEvent(document.getElementById('oot-report-button'), 'click', openOutOfToleranceModal);
+    addEvent(elements.ootReportForm, 'submit', submitOutOfToleranceForm);
+    addEvent(elements.impactReviewResults, 'click', handleImpactReviewClick);
+    addEvent(elements.intervalProposalResults, 'click', handleIntervalProposalClick);
+    addEvent(elements.impactDispositionForm, 'submit', submitImpactDispositionForm);
+    addEvent(elements.impactCloseForm, 'submit', submitImpactCloseForm);
+    addEvent(document.getElementById('impact-review-print-button'), 'click', () => printImpactAssessment(state.activeImpactReview));
+    addEvent(elements.calibrationPlannerPanel, 'click', handleCalibrationPlannerClick);
+    addEvent(elements.calibrationPlannerGrid, 'dragstart', handleCalibrationPlannerDragStart);
+    addEvent(elements.calibrationPlannerGrid, 'dragover', handleCalibrationPlannerDragOver);
+    addEvent(elements.calibrationPlannerGrid, 'dragleave', handleCalibrationPlannerDragLeave);
+    addEvent(elements.calibrationPlannerGrid, 'drop', handleCalibrationPlannerDrop);
+    addEvent(document.getElementById('calibration-technicians-button'), 'click', openCalibrationTechnicianModal);
+    addEvent(document.getElementById('calibration-blackouts-button'), 'click', openCalibrationBlackoutModal);
+    addEvent(elements.calibrationTechnicianForm, 'submit', submitCalibrationTechnicianForm);
+    addEvent(elements.calibrationTechnicianList, 'click', handleCalibrationTechnicianClick);
+    addEvent(elements.calibrationBlackoutForm, 'submit', submitCalibrationBlackoutForm);
+    addEvent(elements.calibrationBlackoutForm && elements.calibrationBlackoutForm.kind, 'change', syncCalibrationBlackoutFields);
+    addEvent(elements.calibrationBlackoutList, 'click', handleCalibrationBlackoutClick);
+    addEvent(document.getElementById('vendor-shipment-new-button'), 'click', openCalibrationShipmentModal);
+    addEvent(elements.calibrationShipmentForm, 'submit', submitCalibrationShipmentForm);
+    addEvent(elements.vendorShipmentResults, 'click', handleVendorShipmentClick);
+    addEvent(elements.calibrationReceiptForm, 'submit', submitCalibrationReceiptForm);
+    addEvent(elements.transferForm, 'submit', submitTransferForm);
+    addEvent(elements.transferResults, 'click', handleTransferResultClick);
+    addEvent(document.getElementById('incident-new-button'), 'click', () => openIncidentModal(null));
+    addEvent(elements.incidentForm, 'submit', submitIncidentForm);
+    addEvent(elements.incidentResults, 'click', handleIncidentResultClick);
+    addEvent(elements.incidentActionForm, 'submit', submitIncidentActionForm);
+    addEvent(elements.incidentDetailActions, 'click', handleIncidentActionClick);
+    addEvent(document.getElementById('incident-print-button'), 'click', () => printIncidentReport(state.activeIncident));
+    addEvent(document.getElementById('incident-edit-button'), 'click', () => openIncidentModal(state.activeIncident));
+    addEvent(document.getElementById('incident-close-button'), 'click', closeIncident);
+    addEvent(elements.scanForm, 'submit', submitScanForm);
+    addEvent(elements.scanResult, 'click', handleScanAction);
+    addEvent(document.getElementById('scan-new-session-button'), 'click', startScanSession);
+    addEvent(elements.scanSessionSelect, 'change', handleScanSessionReviewChange);
 
     elements.sectionButtons.forEach((button) => {
       button.addEventListener('click', () => {
@@ -820,6 +1032,7 @@
     addEvent(elements.materialForm && elements.materialForm.division, 'input', handleMaterialDivisionInput);
     addEvent(elements.materialForm && elements.materialForm.expiration_date, 'change', handleMaterialExpirationChange);
     addEvent(elements.materialForm && elements.materialForm.manufacturer, 'change', handleMaterialManufacturerChange);
+    addEvent(elements.materialForm && elements.materialForm.components, 'change', handleMaterialComponentsChange);
     addEvent(elements.materialExpirationCalendarButton, 'click', openMaterialExpirationCalendar);
     addEvent(elements.materialSdsNotRequired, 'change', handleMaterialSdsNotRequiredToggle);
     addEvent(elements.materialSdsUploadButton, 'click', handleMaterialSdsUploadButtonClick);
@@ -834,7 +1047,9 @@
     addEvent(elements.calibrationForm, 'submit', submitCalibrationForm);
     addEvent(elements.manageTemplateButton, 'click', () => openTemplateModal(null, 'calibration'));
     addEvent(elements.checkoutForm, 'submit', submitCheckoutForm);
+    addEvent(elements.checkinForm, 'submit', submitCheckinForm);
     addEvent(elements.certificateForm, 'submit', submitCertificateForm);
+    addEvent(elements.certificateReadings, 'input', refreshCertificateReadingResults);
     addEvent(elements.inventoryImportInput, 'change', handleInventoryImport);
     addEvent(elements.calibrationImportInput, 'change', handleCalibrationImport);
     addEvent(elements.debugImportInput, 'change', handleDebugImport);
@@ -850,12 +1065,21 @@
     addEvent(elements.manufacturerSdsUploadButton, 'click', handleManufacturerSdsUploadButtonClick);
     addEvent(elements.manufacturerSdsUploadInput, 'change', handleManufacturerSdsUploadInputChange);
     addEvent(elements.manufacturerSdsList, 'click', handleManufacturerSdsListClick);
+    addEvent(elements.sdsReviewAgeDays, 'change', handleSdsReviewAgeChange);
     addEvent(elements.casThresholdForm && elements.casThresholdForm.cas_number, 'input', handleCasThresholdCasInput);
     addEvent(elements.casThresholdForm, 'submit', submitCasThresholdForm);
     addEvent(elements.casThresholdList, 'click', handleCasThresholdListClick);
+    addEvent(elements.quantityLimitForm, 'submit', submitQuantityLimitForm);
+    addEvent(elements.quantityLimitList, 'click', handleQuantityLimitListClick);
     addEvent(elements.assetDetailPrimaryAction, 'click', handleAssetDetailPrimaryAction);
     addEvent(elements.assetDetailEditAction, 'click', handleAssetDetailEditAction);
     addEvent(elements.assetDetailDeleteAction, 'click', handleAssetDetailDeleteAction);
+    addEvent(document.getElementById('gage-study-new-button'), 'click', openGageStudySetupModal);
+    addEvent(elements.assetDetailGageList, 'click', handleAssetDetailGageStudyClick);
+    addEvent(elements.gageStudySetupForm, 'submit', submitGageStudySetupForm);
+    addEvent(document.getElementById('gage-study-save-button'), 'click', saveGageStudyMeasurements);
+    addEvent(document.getElementById('gage-study-complete-button'), 'click', completeGageStudy);
+    addEvent(document.getElementById('gage-study-delete-button'), 'click', deleteGageStudy);
 
     if (elements.calibrationForm && elements.calibrationForm.template_id) {
       elements.calibrationForm.template_id.addEventListener('change', (event) => {
@@ -963,7 +1187,7 @@
 
   function getAvailableSections() {
     if (!state.user) {
-      return ['dashboard', 'assets', 'cfe', 'reports', 'settings'];
+      return ['dashboard', 'assets', 'cfe', 'scan', 'reports', 'settings'];
     }
 
     const sections = ['dashboard'];
@@ -973,6 +1197,9 @@
     if (hasModuleAccess('calibration') && hasPermissionAccess('edit_access')) {
       sections.push('cfe');
     }
+    if (hasModuleAccess('hazmat')) {
+      sections.push('scan');
+    }
     if (hasModuleAccess('reports') || getAvailableViews().length) {
       sections.push('reports');
     }
@@ -1072,6 +1299,21 @@
         manufacturers,
         manufacturerSdsDocuments,
         hazmatSdsCompliance,
+        reorder,
+        purchaseRequests,
+        forecast,
+        storageCompatibility,
+        quantityReport,
+        wasteContainers,
+        cycleCounts,
+        materialTransfers,
+        incidents,
+        openIncidentActions,
+        calibrationPlanner,
+        impactReviews,
+        intervalProposals,
+        calibrationShipments,
+        vendorPerformance,
         logs,
       ] = await Promise.all([
         canReadHazmat ? apiFetch('/api/command-center/materials') : Promise.resolve([]),
@@ -1094,7 +1336,22 @@
         apiFetch('/api/command-center/departments').catch(() => []),
         canReadHazmat ? apiFetch('/api/command-center/manufacturers').catch(() => []) : Promise.resolve([]),
         canManageManufacturerMappings ? apiFetch('/api/command-center/sds-documents').catch(() => []) : Promise.resolve([]),
-        canReadHazmat ? apiFetch('/api/command-center/hazmat/sds-compliance').catch(() => null) : Promise.resolve(null),
+        canReadHazmat ? apiFetch(buildSdsComplianceUrl()).catch(() => null) : Promise.resolve(null),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/reorder').catch(() => null) : Promise.resolve(null),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/purchase-requests').catch(() => []) : Promise.resolve([]),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/forecast').catch(() => null) : Promise.resolve(null),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/storage-compatibility').catch(() => null) : Promise.resolve(null),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/quantity-report').catch(() => null) : Promise.resolve(null),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/waste').catch(() => []) : Promise.resolve([]),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/cycle-counts?limit=10').catch(() => []) : Promise.resolve([]),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/transfers?limit=20').catch(() => []) : Promise.resolve([]),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/incidents?limit=10').catch(() => []) : Promise.resolve([]),
+        canReadHazmat ? apiFetch('/api/command-center/hazmat/incident-actions?status=open').catch(() => []) : Promise.resolve([]),
+        canReadCalibration ? apiFetch(buildCalibrationPlannerUrl()).catch(() => null) : Promise.resolve(null),
+        canReadCalibration ? apiFetch('/api/command-center/calibration/impact-reviews?status=open').catch(() => []) : Promise.resolve([]),
+        canReadCalibration ? apiFetch('/api/command-center/calibration/interval-proposals').catch(() => []) : Promise.resolve([]),
+        canReadCalibration ? apiFetch('/api/command-center/calibration/shipments?status=open').catch(() => []) : Promise.resolve([]),
+        canReadCalibration ? apiFetch('/api/command-center/calibration/vendor-performance').catch(() => null) : Promise.resolve(null),
         apiFetch('/api/command-center/logs?limit=24'),
       ]);
 
@@ -1114,6 +1371,29 @@
       state.manufacturerRecords = normalizeManufacturerRecords(manufacturers);
       state.manufacturerSdsDocuments = normalizeManufacturerSdsDocuments(manufacturerSdsDocuments);
       state.hazmatSdsCompliance = normalizeHazmatSdsCompliance(hazmatSdsCompliance);
+      state.reorderItems = reorder && Array.isArray(reorder.items) ? reorder.items : [];
+      state.purchaseRequests = Array.isArray(purchaseRequests) ? purchaseRequests : [];
+      state.forecast = {
+        materials: Array.isArray(forecast && forecast.materials) ? forecast.materials : [],
+        departments: Array.isArray(forecast && forecast.departments) ? forecast.departments : [],
+      };
+      state.storageCompatibility = {
+        areas: Array.isArray(storageCompatibility && storageCompatibility.areas) ? storageCompatibility.areas : [],
+        storage_areas: Array.isArray(storageCompatibility && storageCompatibility.storage_areas) ? storageCompatibility.storage_areas : [],
+        violation_count: Number(storageCompatibility && storageCompatibility.violation_count) || 0,
+        unassigned_count: Number(storageCompatibility && storageCompatibility.unassigned_count) || 0,
+      };
+      state.quantityReport = quantityReport && quantityReport.facility ? quantityReport : null;
+      state.wasteContainers = Array.isArray(wasteContainers) ? wasteContainers : [];
+      state.cycleCounts = Array.isArray(cycleCounts) ? cycleCounts : [];
+      state.materialTransfers = Array.isArray(materialTransfers) ? materialTransfers : [];
+      state.incidents = Array.isArray(incidents) ? incidents : [];
+      state.openIncidentActions = Array.isArray(openIncidentActions) ? openIncidentActions : [];
+      state.calibrationPlanner = calibrationPlanner && Array.isArray(calibrationPlanner.days) ? calibrationPlanner : null;
+      state.impactReviews = Array.isArray(impactReviews) ? impactReviews : [];
+      state.intervalProposals = Array.isArray(intervalProposals) ? intervalProposals : [];
+      state.calibrationShipments = Array.isArray(calibrationShipments) ? calibrationShipments : [];
+      state.vendorPerformance = vendorPerformance && Array.isArray(vendorPerformance.vendors) ? vendorPerformance : null;
       state.logs = Array.isArray(logs) ? logs : [];
       syncDepartmentsFromRuntime();
 
@@ -1141,6 +1421,8 @@
     renderDashboard();
     renderReportSummary();
     renderReportInsights();
+    renderQuantityReport();
+    renderVendorPerformanceReport();
     renderHazmatDna();
     renderInventoryTable();
     renderTemplateTable();
@@ -1288,7 +1570,23 @@
     syncAssetStatusOptions(entries);
     hydrateAssetFilterControls();
     syncSummaryCardState();
-    renderAssetResults(applyAssetConsoleFilters(entries));
+    if (state.assetFilters.records === 'archived') {
+      renderArchivedResults();
+    } else {
+      renderAssetResults(applyAssetConsoleFilters(entries));
+    }
+    renderCustodyPanel();
+    renderImpactReviewPanel();
+    renderIntervalProposalPanel();
+    renderCalibrationPlannerPanel();
+    renderVendorShipmentPanel();
+    renderReorderPanel();
+    renderForecastPanel();
+    renderStoragePanel();
+    renderWastePanel();
+    renderCycleCountPanel();
+    renderTransferPanel();
+    renderIncidentPanel();
     applyInventoryTableFilters();
     applyCalibrationTableFilters();
   }
@@ -1335,6 +1633,7 @@
   }
 
   function buildHazmatQueueEntries() {
+    const forecastByMaterial = new Map(state.forecast.materials.map((entry) => [String(entry.material_id), entry]));
     return state.materials
       .map((item) => {
         const daysUntilDue = typeof item.days_remaining === 'number'
@@ -1342,6 +1641,7 @@
           : null;
         const department = String(item.assigned_department || state.settings.defaultDepartment || 'Unassigned').trim();
         const statusKey = hazmatQueueStatusKey(item);
+        const forecast = forecastByMaterial.get(String(item.id));
 
         return {
           key: `hazmat-${item.id}`,
@@ -1358,7 +1658,9 @@
           daysUntilDue,
           nextCal: item.expiration_date || '',
           dueLabel: 'Expiration',
-          detail: item.high_hazard ? 'High hazard material' : 'Hazmat material',
+          detail: forecast && forecast.at_risk
+            ? describeForecastEvent(forecast)
+            : (item.high_hazard ? 'High hazard material' : 'Hazmat material'),
         };
       })
       .filter(Boolean);
@@ -1502,6 +1804,7 @@
     if (elements.assetDepartmentFilter) elements.assetDepartmentFilter.value = state.assetFilters.department;
     if (elements.assetTypeFilter) elements.assetTypeFilter.value = state.assetFilters.type;
     if (elements.assetStatusFilter) elements.assetStatusFilter.value = state.assetFilters.status;
+    if (elements.assetArchiveFilter) elements.assetArchiveFilter.value = state.assetFilters.records;
   }
 
   function applyAssetConsoleFilters(entries) {
@@ -1590,209 +1893,2455 @@
     }).join('');
   }
 
-  function updateAssetFilter(key, value) {
-    const normalizedValue = value === undefined || value === null ? '' : String(value).trim();
+  function archiveEndpointForModule(moduleName) {
+    if (moduleName === 'hazmat') return '/api/command-center/materials';
+    if (moduleName === 'calibration') return '/api/command-center/calibration';
+    return '/api/command-center/debug-lab/tickets';
+  }
 
-    if (key === 'duePreset') {
-      state.assetFilters.duePreset = normalizeDuePreset(normalizedValue);
-      applyDuePresetToFilter(state.assetFilters.duePreset);
-    } else if (key === 'dueMin' || key === 'dueMax') {
-      state.assetFilters[key] = normalizeDayFilterValue(normalizedValue);
-      state.assetFilters.duePreset = state.assetFilters.dueMin || state.assetFilters.dueMax ? 'custom' : 'all';
-    } else if (key === 'department' || key === 'type' || key === 'status') {
-      state.assetFilters[key] = normalizedValue || 'all';
-    }
+  function canRestoreArchivedRecords() {
+    return hasPermissionAccess('settings_access') || hasPermissionAccess('department_management');
+  }
 
-    renderAssetConsole();
+  async function loadArchivedRecords(moduleName) {
+    try {
+      const records = await apiFetch(`${archiveEndpointForModule(moduleName)}?archived=true`);
+      state.archivedRecords[moduleName] = Array.isArray(records) ? records : [];
+    } catch (error) {
+      state.archivedRecords[moduleName] = [];
+      setStatus(error.message || 'Failed to load archived records.', 'error');
+    }
+    if (normalizeModule(state.currentModule) === moduleName && state.assetFilters.records === 'archived') {
+      renderArchivedResults();
+    }
   }
 
-  function clearAssetFilters() {
-    state.assetFilters = {
-      duePreset: 'all',
-      dueMin: '',
-      dueMax: '',
-      department: 'all',
-      type: 'all',
-      status: 'all',
-    };
-    renderAssetConsole();
+  function describeArchivedRecord(moduleName, record) {
+    if (moduleName === 'hazmat') {
+      return { title: record.name, subtitleLabel: 'Label', subtitle: record.label_id };
+    }
+    if (moduleName === 'calibration') {
+      return { title: record.tool_name, subtitleLabel: 'Serial', subtitle: record.serial_number };
+    }
+    return { title: record.serial_number, subtitleLabel: 'Board', subtitle: record.board_type };
   }
 
-  function handleAssetResultClick(event) {
-    const card = event && event.target ? event.target.closest('[data-asset-source][data-asset-id]') : null;
-    if (!card) return;
+  function renderArchivedResults() {
+    if (!elements.dashboardAssetResults) return;
 
-    const actionButton = event.target.closest('[data-result-action]');
-    if (actionButton) {
-      handleAssetResultAction(card.dataset.assetSource, card.dataset.assetId, actionButton.dataset.resultAction);
+    const moduleName = normalizeModule(state.currentModule);
+    const records = state.archivedRecords[moduleName];
+    if (!records) {
+      elements.dashboardAssetResults.innerHTML = '<div class="focus-item"><strong>Loading archived records…</strong></div>';
+      loadArchivedRecords(moduleName);
       return;
     }
 
-    openAssetFromConsole(card.dataset.assetSource, card.dataset.assetId);
+    const searchTerm = normalizeSearchTerm(getCalibrationSearchTerm());
+    const entries = records
+      .map((record) => ({ record, ...describeArchivedRecord(moduleName, record) }))
+      .filter((entry) => !searchTerm || [entry.title, entry.subtitle, entry.record.archive_reason]
+        .some((value) => String(value || '').toLowerCase().includes(searchTerm)));
+    if (!entries.length) {
+      elements.dashboardAssetResults.innerHTML = '<div class="focus-item"><strong>No archived records</strong><p>Archived records appear here until the retention window purges them.</p></div>';
+      return;
+    }
+
+    const canRestore = canRestoreArchivedRecords();
+    elements.dashboardAssetResults.innerHTML = entries.map((entry) => [
+      `<article class="asset-result-card" data-archived-id="${escapeHtml(String(entry.record.id))}">`,
+      '<div class="asset-result-head">',
+      `<strong>${escapeHtml(entry.title || 'Unnamed')}</strong>`,
+      '<span class="status-chip status-blue">ARCHIVED</span>',
+      '</div>',
+      '<div class="asset-result-grid">',
+      `<div><small>${escapeHtml(entry.subtitleLabel)}</small><strong>${escapeHtml(entry.subtitle || 'Not set')}</strong></div>`,
+      `<div><small>Archived</small><strong>${escapeHtml(formatDateTime(entry.record.archived_at))}</strong></div>`,
+      `<div><small>By</small><strong>${escapeHtml(entry.record.archived_by || 'Unknown')}</strong></div>`,
+      '</div>',
+      `<p class="panel-copy">${escapeHtml(entry.record.archive_reason || 'No reason recorded')}</p>`,
+      canRestore
+        ? '<div class="asset-result-actions"><button class="table-button" type="button" data-archive-action="restore">Restore</button></div>'
+        : '',
+      '</article>',
+    ].join('')).join('');
   }
 
-  function handleAssetResultAction(source, id, action) {
-    if (source === 'hazmat') {
-      const material = findMaterialById(id);
-      if (!material) return;
+  async function restoreArchivedRecord(recordId) {
+    const moduleName = normalizeModule(state.currentModule);
+    try {
+      await apiFetch(`${archiveEndpointForModule(moduleName)}/${recordId}/restore`, { method: 'POST' });
+      setStatus('Record restored.', 'info');
+      state.archivedRecords[moduleName] = null;
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to restore record.', 'error');
+    }
+  }
 
-      setView('hazmat');
+  function renderCustodyPanel() {
+    if (!elements.custodyPanel || !elements.custodyResults) return;
 
-      if (action === 'edit') {
-        openMaterialModal(material);
-        return;
-      }
+    const isCalibrationModule = normalizeModule(state.currentModule) === 'calibration';
+    elements.custodyPanel.classList.toggle('hidden', !isCalibrationModule);
+    if (!isCalibrationModule) return;
 
-      if (action === 'verify') {
-        verifyMaterial(material);
-        return;
-      }
+    const checkedOut = state.calibration
+      .filter((item) => item.checked_out && item.custody)
+      .sort((left, right) => String(left.custody.expected_return_date || '9999').localeCompare(String(right.custody.expected_return_date || '9999')));
+    const overdue = checkedOut.filter((item) => item.return_overdue).length;
 
-      openAssetDetailModal(material, 'hazmat');
+    if (elements.custodySummary) {
+      elements.custodySummary.textContent = overdue
+        ? `${checkedOut.length} out · ${overdue} overdue return${overdue === 1 ? '' : 's'}`
+        : `${checkedOut.length} out`;
+      elements.custodySummary.classList.toggle('status-danger', overdue > 0);
+    }
+
+    if (!checkedOut.length) {
+      elements.custodyResults.innerHTML = '<div class="focus-item"><strong>No gages checked out</strong><p>Checked-out calibration assets appear here until they are checked back in.</p></div>';
       return;
     }
 
-    if (source === 'debug') {
-      const ticket = findDebugTicketById(id);
-      if (!ticket) return;
+    elements.custodyResults.innerHTML = checkedOut.map((item) => {
+      const { custody } = item;
+      const chip = item.return_overdue
+        ? `<span class="status-chip status-danger">RETURN OVERDUE ${escapeHtml(String(Math.abs(custody.days_until_return)))}d</span>`
+        : `<span class="status-chip">${custody.shipment_id ? 'AT VENDOR' : 'OUT'}</span>`;
+      return [
+        `<article class="asset-result-card" data-asset-source="calibration" data-asset-id="${escapeHtml(String(item.id))}">`,
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(item.tool_name)}</strong>`,
+        chip,
+        '</div>',
+        '<div class="asset-result-grid">',
+        `<div><small>Holder</small><strong>${escapeHtml(custody.holder_name)}</strong></div>`,
+        `<div><small>Since</small><strong>${escapeHtml(formatDateTime(custody.checked_out_at))}</strong></div>`,
+        `<div><small>Expected Return</small><strong>${escapeHtml(custody.expected_return_date || 'Not set')}</strong></div>`,
+        '</div>',
+        custody.shipment_id ? '' : [
+          '<div class="asset-result-actions">',
+          '<button class="queue-action-button queue-action-button-primary emphasize" type="button" data-result-action="checkin" aria-label="Check in asset" title="Check in asset">',
+          '<svg viewBox="0 0 24 24" class="icon-svg" aria-hidden="true"><path d="M12 4v12"></path><path d="m7 11 5 5 5-5"></path><path d="M5 20h14"></path></svg>',
+          '<span class="queue-action-label">Check-in</span>',
+          '</button>',
+          '</div>',
+        ].join(''),
+        '</article>',
+      ].join('');
+    }).join('');
+  }
 
-      setView('debug');
-      setSection('assets');
-      selectDebugTicket(ticket.id);
+  function renderImpactReviewPanel() {
+    if (!elements.impactReviewPanel || !elements.impactReviewResults) return;
 
-      if (action === 'edit') {
-        populateDebugTicketForm(ticket);
-      }
-      return;
+    const isCalibrationModule = normalizeModule(state.currentModule) === 'calibration';
+    elements.impactReviewPanel.classList.toggle('hidden', !isCalibrationModule);
+    if (!isCalibrationModule) return;
+
+    const reportButton = document.getElementById('oot-report-button');
+    if (reportButton) reportButton.classList.toggle('hidden', !hasPermissionAccess('edit_access'));
+
+    const reviews = state.impactReviews;
+    if (elements.impactReviewSummary) {
+      elements.impactReviewSummary.textContent = `${reviews.length} open`;
+      elements.impactReviewSummary.classList.toggle('status-danger', reviews.length > 0);
     }
 
-    if (source !== 'calibration') {
-      openAssetFromConsole(source, id);
+    if (!reviews.length) {
+      elements.impactReviewResults.innerHTML = '<div class="focus-item"><strong>No open assessments</strong><p>Out-of-tolerance findings open an assessment here and lock the gage until it is closed.</p></div>';
       return;
     }
 
-    const asset = findCalibrationById(id);
-    if (!asset) return;
+    elements.impactReviewResults.innerHTML = reviews.map((review) => [
+      `<article class="asset-result-card" data-impact-review-id="${escapeHtml(String(review.id))}">`,
+      '<div class="asset-result-head">',
+      `<strong>${escapeHtml(`#${review.id} · ${review.tool_name || `Asset ${review.asset_id}`}`)}</strong>`,
+      review.pending_dispositions
+        ? `<span class="status-chip status-danger">${escapeHtml(String(review.pending_dispositions))} PENDING</span>`
+        : '<span class="status-chip status-amber">READY TO CLOSE</span>',
+      '</div>',
+      '<div class="asset-result-grid">',
+      `<div><small>Finding</small><strong>${escapeHtml(review.finding || 'As-found out of tolerance')}</strong></div>`,
+      `<div><small>Suspect Window</small><strong>${escapeHtml(`${review.window_start || 'First use'} to ${review.window_end}`)}</strong></div>`,
+      `<div><small>Check-Outs</small><strong>${escapeHtml(String(review.usages.length))}</strong></div>`,
+      '</div>',
+      '<div class="toolbar-actions"><button class="table-button" type="button" data-impact-review-open>Assess</button></div>',
+      '</article>',
+    ].join('')).join('');
+  }
 
-    setView('calibration');
+  function renderIntervalProposalPanel() {
+    if (!elements.intervalProposalPanel || !elements.intervalProposalResults) return;
 
-    if (action === 'edit') {
-      openCalibrationModal(asset);
-      return;
+    const isCalibrationModule = normalizeModule(state.currentModule) === 'calibration';
+    elements.intervalProposalPanel.classList.toggle('hidden', !isCalibrationModule);
+    if (!isCalibrationModule) return;
+
+    const proposals = state.intervalProposals;
+    if (elements.intervalProposalSummary) {
+      elements.intervalProposalSummary.textContent = `${proposals.length} pending`;
+      elements.intervalProposalSummary.classList.toggle('status-amber', proposals.length > 0);
     }
 
-    if (action === 'calibrate') {
-      openCertificateModal(asset);
+    if (!proposals.length) {
+      elements.intervalProposalResults.innerHTML = '<div class="focus-item"><strong>No pending proposals</strong><p>Interval changes proposed from calibration history appear here for approval.</p></div>';
       return;
     }
 
-    openAssetDetailModal(asset, 'calibration');
+    const canDecide = canApproveCycleCounts();
+    elements.intervalProposalResults.innerHTML = proposals.map((proposal) => [
+      `<article class="asset-result-card" data-interval-proposal-id="${escapeHtml(String(proposal.id))}">`,
+      '<div class="asset-result-head">',
+      `<strong>${escapeHtml([proposal.tool_name || `Asset ${proposal.asset_id}`, proposal.serial_number].filter(Boolean).join(' · '))}</strong>`,
+      proposal.direction === 'shorten'
+        ? '<span class="status-chip status-danger">SHORTEN</span>'
+        : '<span class="status-chip status-safe">LENGTHEN</span>',
+      '</div>',
+      '<div class="asset-result-grid">',
+      `<div><small>Interval</small><strong>${escapeHtml(`${proposal.current_interval_days}d → ${proposal.proposed_interval_days}d`)}</strong></div>`,
+      `<div><small>Basis</small><strong>${escapeHtml(proposal.basis || 'Calibration history')}</strong></div>`,
+      `<div><small>Proposed</small><strong>${escapeHtml(String(proposal.proposed_at || '').slice(0, 10))}</strong></div>`,
+      '</div>',
+      canDecide
+        ? '<div class="toolbar-actions"><button class="table-button blue" type="button" data-interval-proposal-action="approve">Approve</button><button class="table-button" type="button" data-interval-proposal-action="reject">Reject</button></div>'
+        : '',
+      '</article>',
+    ].join('')).join('');
   }
 
-  function openAssetFromConsole(source, id) {
-    if (source === 'hazmat') {
-      const material = findMaterialById(id);
-      setView('hazmat');
-      if (material) openAssetDetailModal(material, 'hazmat');
-      return;
+  async function handleIntervalProposalClick(event) {
+    const trigger = event.target.closest('[data-interval-proposal-action]');
+    const card = trigger ? trigger.closest('[data-interval-proposal-id]') : null;
+    if (!trigger || !card) return;
+
+    const action = trigger.dataset.intervalProposalAction;
+    const proposal = state.intervalProposals.find((entry) => String(entry.id) === card.dataset.intervalProposalId);
+    if (!proposal) return;
+
+    const label = proposal.tool_name || `Asset ${proposal.asset_id}`;
+    const notes = window.prompt(action === 'approve'
+      ? `Approve ${proposal.proposed_interval_days}d interval for ${label}? Optional notes`
+      : `Reason for rejecting the ${proposal.proposed_interval_days}d interval for ${label}?`, '');
+    if (notes === null) return;
+
+    try {
+      await apiFetch(`/api/command-center/calibration/interval-proposals/${encodeURIComponent(proposal.id)}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify({ notes }),
+      });
+      setStatus(action === 'approve'
+        ? `${label} now calibrates every ${proposal.proposed_interval_days} days.`
+        : `Interval proposal for ${label} rejected.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || `Failed to ${action} interval proposal.`, 'error');
     }
+  }
 
-    if (source === 'debug') {
-      const ticket = findDebugTicketById(id);
-      setView('debug');
-      setSection('assets');
-      if (ticket) {
-        selectDebugTicket(ticket.id);
-        populateDebugTicketForm(ticket);
-      }
+  function openOutOfToleranceModal() {
+    const form = elements.ootReportForm;
+    if (!form) return;
+    const assets = state.calibration
+      .filter((item) => !item.out_of_tolerance)
+      .sort((left, right) => String(left.tool_name || '').localeCompare(String(right.tool_name || '')));
+    if (!assets.length) {
+      setStatus('No calibration assets are available to report.', 'error');
       return;
     }
 
-    if (source === 'calibration') {
-      const asset = findCalibrationById(id);
-      setView('calibration');
-      if (asset) openAssetDetailModal(asset, 'calibration');
-      return;
+    form.reset();
+    form.found_on.value = new Date().toISOString().slice(0, 10);
+    form.asset_id.innerHTML = assets
+      .map((item) => `<option value="${escapeHtml(String(item.id))}">${escapeHtml([item.tool_name, item.serial_number].filter(Boolean).join(' · '))}</option>`)
+      .join('');
+    openModal('oot-report-modal');
+  }
+
+  async function submitOutOfToleranceForm(event) {
+    event.preventDefault();
+    const form = elements.ootReportForm;
+
+    try {
+      const review = await apiFetch(`/api/command-center/calibration/${encodeURIComponent(form.asset_id.value)}/out-of-tolerance`, {
+        method: 'POST',
+        body: JSON.stringify({
+          finding: form.finding.value.trim(),
+          found_on: form.found_on.value,
+          window_start: form.window_start.value || null,
+        }),
+      });
+      closeModal('oot-report-modal');
+      setStatus(`${review.tool_name} locked; impact assessment #${review.id} covers ${review.usages.length} check-out(s).`, 'error');
+      await refreshPortal({ silentStatus: true });
+      openImpactReviewModal(review);
+    } catch (error) {
+      setStatus(error.message || 'Failed to report out of tolerance.', 'error');
     }
   }
 
-  function applyInventoryTableFilters() {
-    if (!state.inventoryTable) return;
-    const searchTerm = elements.inventorySearch ? elements.inventorySearch.value : '';
-    state.inventoryTable.setFilter((data) => matchesInventoryAssetFilters(data) && filterInventoryRows(data, searchTerm));
+  function handleImpactReviewClick(event) {
+    const trigger = event.target.closest('[data-impact-review-open]');
+    const card = trigger ? trigger.closest('[data-impact-review-id]') : null;
+    if (!card) return;
+    const review = state.impactReviews.find((item) => String(item.id) === card.dataset.impactReviewId);
+    if (review) openImpactReviewModal(review);
   }
 
-  function getCalibrationSearchTerm() {
-    return elements.dashboardCalibrationSearch ? elements.dashboardCalibrationSearch.value : '';
+  function openImpactReviewModal(review) {
+    state.activeImpactReview = review;
+    elements.impactCloseForm.reset();
+    renderImpactReviewDetail();
+    openModal('impact-review-modal');
   }
 
-  function normalizeSearchTerm(value) {
-    return String(value || '').trim().toLowerCase();
+  function renderImpactReviewDetail() {
+    const review = state.activeImpactReview;
+    if (!review || !elements.impactReviewGrid) return;
+
+    const canEdit = review.status === 'open' && hasPermissionAccess('edit_access');
+    elements.impactReviewEyebrow.textContent = `Impact Assessment #${review.id} · ${review.status.toUpperCase()}`;
+    elements.impactReviewTitle.textContent = [review.tool_name, review.serial_number].filter(Boolean).join(' · ') || `Asset ${review.asset_id}`;
+    elements.impactDispositionForm.querySelector('.modal-actions').classList.toggle('hidden', !canEdit || !review.usages.length);
+    elements.impactCloseForm.classList.toggle('hidden', !canEdit);
+
+    const fields = [
+      ['Finding', review.finding || 'As-found out of tolerance'],
+      ['Suspect Window', `${review.window_start || 'First use'} to ${review.window_end}`],
+      ['Opened By', `${review.opened_by || 'Unknown'} · ${formatDateTime(review.opened_at)}`],
+      ['Pending Dispositions', String(review.pending_dispositions)],
+    ];
+    if (review.closed_at) fields.push(['Closed By', `${review.closed_by || 'Unknown'} · ${formatDateTime(review.closed_at)}`]);
+    if (review.resolution) fields.push(['Resolution', review.resolution]);
+    elements.impactReviewGrid.innerHTML = fields
+      .map(([label, value]) => `<div><small>${escapeHtml(label)}</small><strong>${escapeHtml(value)}</strong></div>`)
+      .join('');
+
+    const dispositionOptions = [
+      ['', 'Select disposition'],
+      ['no_impact', 'No Impact'],
+      ['reinspect', 'Re-inspect Product'],
+      ['rework', 'Rework'],
+      ['scrap', 'Scrap'],
+      ['notify_customer', 'Notify Customer'],
+    ];
+    elements.impactReviewUsages.innerHTML = review.usages.length
+      ? review.usages.map((usage) => [
+        `<article class="log-entry" data-usage-log-id="${escapeHtml(String(usage.log_id))}">`,
+        `<div class="log-meta"><strong>${escapeHtml(usage.holder_name || 'Unknown holder')}</strong>`,
+        usage.disposition
+          ? `<span class="status-chip status-safe">${escapeHtml(usage.disposition_label)}</span>`
+          : '<span class="status-chip status-danger">PENDING</span>',
+        '</div>',
+        `<small>${escapeHtml([
+          `Out ${formatDateTime(usage.checked_out_at)}`,
+          usage.returned_at ? `returned ${formatDateTime(usage.returned_at)}` : 'not returned',
+          usage.reason,
+        ].filter(Boolean).join(' · '))}</small>`,
+        canEdit
+          ? [
+            '<div class="field-grid">',
+            `<label>Disposition<select data-usage-field="disposition">${dispositionOptions
+              .map(([value, label]) => `<option value="${value}"${value === (usage.disposition || '') ? ' selected' : ''}>${label}</option>`)
+              .join('')}</select></label>`,
+            `<label>Notes<input type="text" data-usage-field="notes" value="${escapeHtml(usage.disposition_notes || '')}" placeholder="Required unless no impact" /></label>`,
+            '</div>',
+          ].join('')
+          : (usage.disposition_notes ? `<small>${escapeHtml(usage.disposition_notes)}</small>` : ''),
+        '</article>',
+      ].join('')).join('')
+      : '<div class="log-entry">The gage was not checked out during the suspect window.</div>';
   }
 
-  function matchesQueueSearch(entry, searchTerm) {
-    return [
-      entry.title,
-      entry.subtitle,
-      entry.department,
-      entry.detail,
-      entry.nextCal,
-      queueStatusLabel(entry.statusKey),
-    ].some((field) => normalizeSearchTerm(field).includes(searchTerm));
+  function replaceImpactReview(review) {
+    state.impactReviews = state.impactReviews.map((item) => (item.id === review.id ? review : item));
+    state.activeImpactReview = review;
+    renderImpactReviewDetail();
+    renderImpactReviewPanel();
   }
 
-  function applyCalibrationTableFilters() {
-    if (!state.calibrationTable) return;
-    const searchTerm = getCalibrationSearchTerm();
-    state.calibrationTable.setFilter((data) => matchesCalibrationAssetFilters(data) && filterCalibrationRows(data, searchTerm));
+  async function submitImpactDispositionForm(event) {
+    event.preventDefault();
+    const review = state.activeImpactReview;
+    if (!review) return;
+    const dispositions = Array.from(elements.impactReviewUsages.querySelectorAll('[data-usage-log-id]'))
+      .map((row) => ({
+        log_id: Number(row.dataset.usageLogId),
+        disposition: row.querySelector('[data-usage-field="disposition"]').value,
+        notes: row.querySelector('[data-usage-field="notes"]').value.trim(),
+      }))
+      .filter((entry) => entry.disposition);
+    if (!dispositions.length) {
+      setStatus('Select a disposition for at least one check-out.', 'error');
+      return;
+    }
+
+    try {
+      const updated = await apiFetch(`/api/command-center/calibration/impact-reviews/${encodeURIComponent(review.id)}/dispositions`, {
+        method: 'POST',
+        body: JSON.stringify({ dispositions }),
+      });
+      replaceImpactReview(updated);
+      setStatus(updated.pending_dispositions
+        ? `Dispositions saved; ${updated.pending_dispositions} check-out(s) still pending.`
+        : 'All check-outs dispositioned. The assessment can be closed.', 'info');
+    } catch (error) {
+      setStatus(error.message || 'Failed to save dispositions.', 'error');
+    }
   }
 
-  function matchesInventoryAssetFilters(data) {
-    void data;
-    return true;
+  async function submitImpactCloseForm(event) {
+    event.preventDefault();
+    const review = state.activeImpactReview;
+    if (!review) return;
+
+    try {
+      await apiFetch(`/api/command-center/calibration/impact-reviews/${encodeURIComponent(review.id)}/close`, {
+        method: 'POST',
+        body: JSON.stringify({ resolution: elements.impactCloseForm.resolution.value.trim() }),
+      });
+      closeModal('impact-review-modal');
+      setStatus(`Impact assessment #${review.id} closed.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to close impact assessment.', 'error');
+    }
   }
 
-  function matchesCalibrationAssetFilters(data) {
-    const filters = state.assetFilters;
-    const daysUntilDue = resolveCalibrationDaysUntilDue(data);
-    const dueWindow = resolveDueWindow(filters);
+  async function printImpactAssessment(review) {
+    if (!review) return;
+    const token = localStorage.getItem(TOKEN_KEY) || localStorage.getItem(LEGACY_TOKEN_KEY);
+    const headers = new Headers();
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
 
-    if (dueWindow.active && !isWithinDueWindow(daysUntilDue, dueWindow.min, dueWindow.max)) return false;
-    if (filters.department !== 'all' && (data.assigned_department || '') !== filters.department) return false;
-    if (filters.type !== 'all' && !getCalibrationTypeTags(data).includes(filters.type)) return false;
-    if (filters.status !== 'all' && calibrationQueueStatusKey(data, daysUntilDue) !== filters.status) return false;
-    return true;
+    try {
+      setStatus('Generating impact assessment...', 'info');
+      const response = await fetch(`/api/command-center/calibration/impact-reviews/${encodeURIComponent(review.id)}/report`, {
+        headers,
+        credentials: 'same-origin',
+      });
+      if (typeof auth.handleUnauthorized === 'function' && auth.handleUnauthorized(response.status)) {
+        throw new Error('Session expired. Redirecting to login.');
+      }
+      if (!response.ok) {
+        const payload = await response.json().catch(() => null);
+        throw new Error((payload && payload.error) || response.statusText || 'Failed to generate impact assessment.');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const opened = window.open(url, '_blank');
+      if (!opened) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `impact_assessment_${review.id}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }
+      window.setTimeout(() => URL.revokeObjectURL(url), 60000);
+      setStatus(`Impact assessment #${review.id} exported.`, 'info');
+    } catch (error) {
+      setStatus(error.message || 'Failed to generate impact assessment.', 'error');
+    }
   }
 
-  function getHazmatTypeTags(item) {
-    return ['material'].concat(item.high_hazard ? ['high_hazard'] : [], item.low_stock ? ['low_stock'] : [], item.expired ? ['expired'] : [], isHazmatWarning(item) ? ['warning'] : []);
+  function shiftPlannerDate(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
   }
 
-  function getCalibrationTypeTags(item) {
-    return ['calibration', normalizeFilterTag(item.category || 'uncategorized')].filter(Boolean);
+  function shiftPlannerMonth(dateKey, months) {
+    const date = new Date(`${dateKey.slice(0, 7)}-01T00:00:00.000Z`);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return date.toISOString().slice(0, 10);
   }
 
-  function normalizeDuePreset(value) {
-    const preset = String(value || '').trim().toLowerCase();
-    if (preset === '1' || preset === '3' || preset === '5' || preset === '1-5' || preset === 'custom') {
-      return preset;
-    }
-    return 'all';
+  function getPlannerRange() {
+    const anchor = state.plannerAnchor;
+    const focusStart = state.plannerMode === 'week' ? anchor : shiftPlannerMonth(anchor, 0);
+    const focusEnd = state.plannerMode === 'week' ? anchor : shiftPlannerDate(shiftPlannerMonth(anchor, 1), -1);
+    const startWeekday = new Date(`${focusStart}T00:00:00.000Z`).getUTCDay() || 7;
+    const endWeekday = new Date(`${focusEnd}T00:00:00.000Z`).getUTCDay() || 7;
+    return {
+      start: shiftPlannerDate(focusStart, 1 - startWeekday),
+      end: shiftPlannerDate(focusEnd, 7 - endWeekday),
+      month: anchor.slice(0, 7),
+    };
   }
 
-  function normalizeDayFilterValue(value) {
-    if (value === '') return '';
-    const parsed = Number.parseInt(String(value), 10);
-    if (!Number.isFinite(parsed) || parsed < 0) return '';
-    return String(parsed);
+  function buildCalibrationPlannerUrl() {
+    const range = getPlannerRange();
+    return `/api/command-center/calibration/planner?start=${encodeURIComponent(range.start)}&end=${encodeURIComponent(range.end)}`;
   }
 
-  function applyDuePresetToFilter(preset) {
-    switch (preset) {
-      case '1':
-        state.assetFilters.dueMin = '1';
-        state.assetFilters.dueMax = '1';
-        break;
+  function canManagePlannerCalendar() {
+    return hasPermissionAccess('settings_access') || hasPermissionAccess('department_management');
+  }
+
+  async function loadCalibrationPlanner() {
+    try {
+      state.calibrationPlanner = await apiFetch(buildCalibrationPlannerUrl());
+      renderCalibrationPlannerPanel();
+    } catch (error) {
+      setStatus(error.message || 'Failed to load calibration planner.', 'error');
+    }
+  }
+
+  function renderCalibrationPlannerPanel() {
+    if (!elements.calibrationPlannerPanel || !elements.calibrationPlannerGrid) return;
+
+    const isCalibrationModule = normalizeModule(state.currentModule) === 'calibration';
+    elements.calibrationPlannerPanel.classList.toggle('hidden', !isCalibrationModule);
+    if (!isCalibrationModule) return;
+
+    elements.calibrationPlannerPanel.querySelectorAll('[data-planner-mode]').forEach((button) => {
+      button.classList.toggle('active', button.dataset.plannerMode === state.plannerMode);
+    });
+    const range = getPlannerRange();
+    elements.calibrationPlannerTitle.textContent = state.plannerMode === 'week'
+      ? `Calibration Planner · Week of ${range.start}`
+      : `Calibration Planner · ${new Date(`${range.month}-01T00:00:00.000Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })}`;
+
+    const planner = state.calibrationPlanner;
+    if (!planner) {
+      elements.calibrationPlannerSummary.textContent = 'Unavailable';
+      elements.calibrationPlannerGrid.innerHTML = '';
+      return;
+    }
+
+    const conflicts = planner.assets.filter((asset) => asset.conflict).length;
+    const unstaffed = planner.assets.filter((asset) => asset.unstaffed).length;
+    const overloadedDays = planner.days.filter((day) => day.capacity !== null && day.load > day.capacity).length;
+    elements.calibrationPlannerSummary.textContent = [
+      `${planner.assets.length} planned`,
+      conflicts ? `${conflicts} on blackout days` : null,
+      unstaffed ? `${unstaffed} without a qualified technician` : null,
+      overloadedDays ? `${overloadedDays} over capacity` : null,
+    ].filter(Boolean).join(' · ');
+    elements.calibrationPlannerSummary.classList.toggle('status-danger', Boolean(conflicts || unstaffed || overloadedDays));
+
+    const canReschedule = hasPermissionAccess('edit_access');
+    const techniciansById = new Map(planner.technicians.map((technician) => [technician.id, technician]));
+    const assetsByDate = new Map();
+    planner.assets.forEach((asset) => {
+      if (!assetsByDate.has(asset.next_cal)) assetsByDate.set(asset.next_cal, []);
+      assetsByDate.get(asset.next_cal).push(asset);
+    });
+
+    const weekdayLabels = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+      .map((label) => `<div class="planner-weekday">${label}</div>`);
+    const cells = planner.days.map((day) => {
+      const outside = state.plannerMode === 'month' && day.date.slice(0, 7) !== range.month;
+      const over = day.capacity !== null && day.load > day.capacity;
+      const classes = ['planner-day'];
+      if (outside) classes.push('planner-outside');
+      if (day.blackouts.length) classes.push('planner-blackout');
+      if (over) classes.push('planner-over');
+
+      const technicianLines = planner.technicians
+        .filter((technician) => day.technician_load[technician.id] || day.time_off.includes(technician.id))
+        .map((technician) => `<small>${escapeHtml(day.time_off.includes(technician.id)
+          ? `${technician.name} · off`
+          : `${technician.name} ${day.technician_load[technician.id]}/${technician.daily_capacity}`)}</small>`);
+      const chips = (assetsByDate.get(day.date) || []).map((asset) => {
+        const technician = techniciansById.get(asset.planned_technician_id);
+        const title = [
+          `${asset.tool_name} (${asset.serial_number})`,
+          asset.category,
+          technician ? technician.name : (asset.unstaffed ? 'No qualified technician available' : 'No technician assigned'),
+          asset.due_date ? `Due ${asset.due_date}` : null,
+        ].filter(Boolean).join(' · ');
+        return `<div class="planner-chip${asset.conflict || asset.unstaffed ? ' planner-conflict' : ''}" draggable="${canReschedule ? 'true' : 'false'}" data-planner-asset-id="${escapeHtml(String(asset.id))}" title="${escapeHtml(title)}">${escapeHtml(asset.tool_name)}</div>`;
+      });
+
+      return [
+        `<div class="${classes.join(' ')}" data-planner-date="${escapeHtml(day.date)}">`,
+        `<strong>${escapeHtml(String(Number(day.date.slice(8, 10))))}</strong>`,
+        `<small>${escapeHtml(day.capacity === null ? `${day.load} planned` : `${day.load}/${day.capacity} planned`)}</small>`,
+        day.blackouts.map((blackout) => `<small>${escapeHtml(blackout.name)}</small>`).join(''),
+        technicianLines.join(''),
+        chips.join(''),
+        '</div>',
+      ].join('');
+    });
+    elements.calibrationPlannerGrid.innerHTML = weekdayLabels.concat(cells).join('');
+  }
+
+  function handleCalibrationPlannerClick(event) {
+    const modeButton = event.target.closest('[data-planner-mode]');
+    const shiftButton = event.target.closest('[data-planner-shift]');
+    if (modeButton) {
+      state.plannerMode = modeButton.dataset.plannerMode === 'week' ? 'week' : 'month';
+    } else if (shiftButton) {
+      const direction = Number(shiftButton.dataset.plannerShift);
+      if (!direction) {
+        state.plannerAnchor = new Date().toISOString().slice(0, 10);
+      } else if (state.plannerMode === 'week') {
+        state.plannerAnchor = shiftPlannerDate(state.plannerAnchor, direction * 7);
+      } else {
+        state.plannerAnchor = shiftPlannerMonth(state.plannerAnchor, direction);
+      }
+    } else {
+      return;
+    }
+    loadCalibrationPlanner();
+  }
+
+  function handleCalibrationPlannerDragStart(event) {
+    const chip = event.target.closest('[data-planner-asset-id]');
+    if (!chip || !hasPermissionAccess('edit_access')) return;
+    event.dataTransfer.setData('text/plain', chip.dataset.plannerAssetId);
+    event.dataTransfer.effectAllowed = 'move';
+  }
+
+  function handleCalibrationPlannerDragOver(event) {
+    const day = event.target.closest('[data-planner-date]');
+    if (!day) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    day.classList.add('planner-drop-target');
+  }
+
+  function handleCalibrationPlannerDragLeave(event) {
+    const day = event.target.closest('[data-planner-date]');
+    if (day && !day.contains(event.relatedTarget)) day.classList.remove('planner-drop-target');
+  }
+
+  async function handleCalibrationPlannerDrop(event) {
+    const day = event.target.closest('[data-planner-date]');
+    if (!day) return;
+    event.preventDefault();
+    day.classList.remove('planner-drop-target');
+
+    const assetId = Number(event.dataTransfer.getData('text/plain'));
+    const asset = state.calibrationPlanner && state.calibrationPlanner.assets.find((entry) => entry.id === assetId);
+    if (!asset || asset.next_cal === day.dataset.plannerDate) return;
+
+    try {
+      const updated = await apiFetch('/api/command-center/calibration/planner/reschedule', {
+        method: 'POST',
+        body: JSON.stringify({ asset_id: assetId, date: day.dataset.plannerDate }),
+      });
+      setStatus(`${updated.tool_name} rescheduled to ${updated.next_cal}.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to reschedule calibration.', 'error');
+    }
+  }
+
+  async function loadCalibrationTechnicians() {
+    state.calibrationTechnicians = await apiFetch('/api/command-center/calibration/planner/technicians');
+  }
+
+  async function openCalibrationTechnicianModal() {
+    try {
+      await loadCalibrationTechnicians();
+      elements.calibrationTechnicianForm.classList.toggle('hidden', !canManagePlannerCalendar());
+      renderCalibrationTechnicianList();
+      openModal('calibration-technician-modal');
+    } catch (error) {
+      setStatus(error.message || 'Failed to load technicians.', 'error');
+    }
+  }
+
+  function renderCalibrationTechnicianList() {
+    if (!elements.calibrationTechnicianList) return;
+    const canManage = canManagePlannerCalendar();
+    elements.calibrationTechnicianList.innerHTML = state.calibrationTechnicians.length
+      ? state.calibrationTechnicians.map((technician) => [
+        `<article class="log-entry" data-technician-id="${escapeHtml(String(technician.id))}">`,
+        `<div class="log-meta"><strong>${escapeHtml(technician.name)}</strong>`,
+        `<span class="status-chip ${technician.active ? 'status-safe' : ''}">${technician.active ? 'ACTIVE' : 'INACTIVE'}</span></div>`,
+        `<small>${escapeHtml([
+          technician.skills.length ? technician.skills.join(', ') : 'No skills',
+          formatAllowedDaysSummary(technician.available_days),
+          `${technician.daily_capacity} per day`,
+          technician.email,
+        ].filter(Boolean).join(' · '))}</small>`,
+        canManage
+          ? [
+            '<div class="toolbar-actions">',
+            `<button class="table-button" type="button" data-technician-action="toggle">${technician.active ? 'Deactivate' : 'Activate'}</button>`,
+            '<button class="table-button" type="button" data-technician-action="delete">Remove</button>',
+            '</div>',
+          ].join('')
+          : '',
+        '</article>',
+      ].join('')).join('')
+      : '<div class="log-entry">No technicians yet. Without technicians, scheduling only uses the template daily limit.</div>';
+  }
+
+  async function submitCalibrationTechnicianForm(event) {
+    event.preventDefault();
+    const form = elements.calibrationTechnicianForm;
+    const checkedValues = (containerId) => Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`))
+      .map((input) => input.value);
+
+    try {
+      const technician = await apiFetch('/api/command-center/calibration/planner/technicians', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: form.name.value.trim(),
+          email: form.email.value.trim(),
+          daily_capacity: Number(form.daily_capacity.value),
+          skills: checkedValues('calibration-technician-skills'),
+          available_days: checkedValues('calibration-technician-days').map(Number),
+        }),
+      });
+      form.reset();
+      await loadCalibrationTechnicians();
+      renderCalibrationTechnicianList();
+      setStatus(`Technician ${technician.name} added.`, 'info');
+      await loadCalibrationPlanner();
+    } catch (error) {
+      setStatus(error.message || 'Failed to add technician.', 'error');
+    }
+  }
+
+  async function handleCalibrationTechnicianClick(event) {
+    const trigger = event.target.closest('[data-technician-action]');
+    const entry = trigger ? trigger.closest('[data-technician-id]') : null;
+    if (!entry) return;
+    const technician = state.calibrationTechnicians.find((item) => String(item.id) === entry.dataset.technicianId);
+    if (!technician) return;
+
+    const url = `/api/command-center/calibration/planner/technicians/${encodeURIComponent(technician.id)}`;
+    try {
+      if (trigger.dataset.technicianAction === 'delete') {
+        if (!window.confirm(`Remove ${technician.name}? Their time off is deleted and their planned calibrations are re-planned.`)) return;
+      }
+      const updated = trigger.dataset.technicianAction === 'delete'
+        ? await apiFetch(url, { method: 'DELETE' })
+        : await apiFetch(url, { method: 'PUT', body: JSON.stringify({ active: !technician.active }) });
+      if (updated.rescheduled && updated.rescheduled.length) {
+        setStatus(`${updated.rescheduled.length} calibration${updated.rescheduled.length === 1 ? '' : 's'} booked with ${technician.name} re-planned.`, 'info');
+      }
+      await loadCalibrationTechnicians();
+      renderCalibrationTechnicianList();
+      await loadCalibrationPlanner();
+    } catch (error) {
+      setStatus(error.message || 'Failed to update technician.', 'error');
+    }
+  }
+
+  async function openCalibrationBlackoutModal() {
+    try {
+      const [blackouts] = await Promise.all([
+        apiFetch('/api/command-center/calibration/planner/blackouts'),
+        loadCalibrationTechnicians(),
+      ]);
+      state.calibrationBlackouts = Array.isArray(blackouts) ? blackouts : [];
+      const form = elements.calibrationBlackoutForm;
+      form.classList.toggle('hidden', !canManagePlannerCalendar());
+      form.technician_id.innerHTML = state.calibrationTechnicians
+        .map((technician) => `<option value="${escapeHtml(String(technician.id))}">${escapeHtml(technician.name)}</option>`)
+        .join('');
+      syncCalibrationBlackoutFields();
+      renderCalibrationBlackoutList();
+      openModal('calibration-blackout-modal');
+    } catch (error) {
+      setStatus(error.message || 'Failed to load holidays and time off.', 'error');
+    }
+  }
+
+  function syncCalibrationBlackoutFields() {
+    const form = elements.calibrationBlackoutForm;
+    if (!form) return;
+    const field = form.querySelector('[data-blackout-technician-field]');
+    if (field) field.classList.toggle('hidden', form.kind.value !== 'time_off');
+  }
+
+  function renderCalibrationBlackoutList() {
+    if (!elements.calibrationBlackoutList) return;
+    const canManage = canManagePlannerCalendar();
+    const kindLabels = { holiday: 'HOLIDAY', shutdown: 'SHUTDOWN', time_off: 'TIME OFF' };
+    const blackouts = state.calibrationBlackouts || [];
+    elements.calibrationBlackoutList.innerHTML = blackouts.length
+      ? blackouts.map((blackout) => {
+        const technician = state.calibrationTechnicians.find((item) => item.id === blackout.technician_id);
+        return [
+          `<article class="log-entry" data-blackout-id="${escapeHtml(String(blackout.id))}">`,
+          `<div class="log-meta"><strong>${escapeHtml(blackout.name)}</strong>`,
+          `<span class="status-chip ${blackout.kind === 'time_off' ? 'status-amber' : 'status-danger'}">${kindLabels[blackout.kind] || escapeHtml(blackout.kind)}</span></div>`,
+          `<small>${escapeHtml([
+            blackout.start_date === blackout.end_date ? blackout.start_date : `${blackout.start_date} to ${blackout.end_date}`,
+            technician ? technician.name : null,
+          ].filter(Boolean).join(' · '))}</small>`,
+          canManage
+            ? '<div class="toolbar-actions"><button class="table-button" type="button" data-blackout-delete>Remove</button></div>'
+            : '',
+          '</article>',
+        ].join('');
+      }).join('')
+      : '<div class="log-entry">No holidays, shutdowns or time off recorded.</div>';
+  }
+
+  async function submitCalibrationBlackoutForm(event) {
+    event.preventDefault();
+    const form = elements.calibrationBlackoutForm;
+    const kind = form.kind.value;
+
+    try {
+      const blackout = await apiFetch('/api/command-center/calibration/planner/blackouts', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: form.name.value.trim(),
+          kind,
+          start_date: form.start_date.value,
+          end_date: form.end_date.value || null,
+          technician_id: kind === 'time_off' ? Number(form.technician_id.value) || null : null,
+        }),
+      });
+      const { rescheduled = [], ...created } = blackout;
+      state.calibrationBlackouts = (state.calibrationBlackouts || []).concat(created)
+        .sort((left, right) => left.start_date.localeCompare(right.start_date));
+      form.reset();
+      syncCalibrationBlackoutFields();
+      renderCalibrationBlackoutList();
+      setStatus(`${blackout.name} added to the planning calendar.${rescheduled.length
+        ? ` ${rescheduled.length} booked calibration${rescheduled.length === 1 ? '' : 's'} re-planned.`
+        : ''}`, 'info');
+      await loadCalibrationPlanner();
+    } catch (error) {
+      setStatus(error.message || 'Failed to add blackout.', 'error');
+    }
+  }
+
+  async function handleCalibrationBlackoutClick(event) {
+    const trigger = event.target.closest('[data-blackout-delete]');
+    const entry = trigger ? trigger.closest('[data-blackout-id]') : null;
+    if (!entry) return;
+    const blackout = (state.calibrationBlackouts || []).find((item) => String(item.id) === entry.dataset.blackoutId);
+    if (!blackout || !window.confirm(`Remove ${blackout.name}?`)) return;
+
+    try {
+      const removed = await apiFetch(`/api/command-center/calibration/planner/blackouts/${encodeURIComponent(blackout.id)}`, { method: 'DELETE' });
+      state.calibrationBlackouts = state.calibrationBlackouts.filter((item) => item.id !== blackout.id);
+      renderCalibrationBlackoutList();
+      if (removed.rescheduled && removed.rescheduled.length) {
+        setStatus(`${removed.rescheduled.length} calibration${removed.rescheduled.length === 1 ? '' : 's'} moved back toward the freed days.`, 'info');
+      }
+      await loadCalibrationPlanner();
+    } catch (error) {
+      setStatus(error.message || 'Failed to remove blackout.', 'error');
+    }
+  }
+
+  function renderVendorShipmentPanel() {
+    if (!elements.vendorShipmentPanel || !elements.vendorShipmentResults) return;
+
+    const isCalibrationModule = normalizeModule(state.currentModule) === 'calibration';
+    elements.vendorShipmentPanel.classList.toggle('hidden', !isCalibrationModule);
+    if (!isCalibrationModule) return;
+
+    const canEdit = hasPermissionAccess('edit_access');
+    const newButton = document.getElementById('vendor-shipment-new-button');
+    if (newButton) newButton.classList.toggle('hidden', !canEdit);
+
+    const shipments = state.calibrationShipments;
+    const atVendor = shipments.reduce((total, shipment) => total + shipment.out_count, 0);
+    const overdue = shipments.filter((shipment) => shipment.overdue).length;
+    if (elements.vendorShipmentSummary) {
+      elements.vendorShipmentSummary.textContent = overdue
+        ? `${atVendor} at vendor · ${overdue} overdue`
+        : `${atVendor} at vendor`;
+      elements.vendorShipmentSummary.classList.toggle('status-danger', overdue > 0);
+    }
+
+    if (!shipments.length) {
+      elements.vendorShipmentResults.innerHTML = '<div class="focus-item"><strong>No open shipments</strong><p>Assets sent to an external calibration vendor appear here until they are received back.</p></div>';
+      return;
+    }
+
+    elements.vendorShipmentResults.innerHTML = shipments.map((shipment) => {
+      const outItems = shipment.items.filter((item) => item.status === 'out');
+      return [
+        `<article class="asset-result-card" data-shipment-id="${escapeHtml(String(shipment.id))}">`,
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(`${shipment.shipment_number} · ${shipment.vendor}`)}</strong>`,
+        shipment.overdue
+          ? '<span class="status-chip status-danger">OVERDUE</span>'
+          : `<span class="status-chip status-amber">${escapeHtml(String(outItems.length))} OUT</span>`,
+        '</div>',
+        '<div class="asset-result-grid">',
+        `<div><small>Shipped</small><strong>${escapeHtml(shipment.shipped_at)}</strong></div>`,
+        `<div><small>Promised Return</small><strong>${escapeHtml(shipment.expected_return_date || 'Not set')}</strong></div>`,
+        `<div><small>Reference</small><strong>${escapeHtml(shipment.vendor_reference || 'None')}</strong></div>`,
+        `<div><small>Assets Out</small><strong>${escapeHtml(outItems.map((item) => item.tool_name || `Asset ${item.asset_id}`).join(', ') || 'None')}</strong></div>`,
+        '</div>',
+        canEdit
+          ? '<div class="toolbar-actions"><button class="table-button" type="button" data-shipment-receive>Receive</button></div>'
+          : '',
+        '</article>',
+      ].join('');
+    }).join('');
+  }
+
+  function openCalibrationShipmentModal() {
+    const form = elements.calibrationShipmentForm;
+    if (!form) return;
+    const available = state.calibration
+      .filter((item) => !item.checked_out)
+      .sort((left, right) => String(left.next_cal || '9999').localeCompare(String(right.next_cal || '9999')));
+    if (!available.length) {
+      setStatus('Every calibration asset is checked out.', 'error');
+      return;
+    }
+
+    form.reset();
+    form.shipped_at.value = new Date().toISOString().slice(0, 10);
+    form.asset_ids.innerHTML = available
+      .map((item) => `<option value="${escapeHtml(String(item.id))}">${escapeHtml([item.tool_name, item.serial_number, item.next_cal ? `due ${item.next_cal}` : null].filter(Boolean).join(' · '))}</option>`)
+      .join('');
+    openModal('calibration-shipment-modal');
+  }
+
+  async function submitCalibrationShipmentForm(event) {
+    event.preventDefault();
+    const form = elements.calibrationShipmentForm;
+    const assetIds = Array.from(form.asset_ids.selectedOptions).map((option) => Number(option.value));
+
+    try {
+      const shipment = await apiFetch('/api/command-center/calibration/shipments', {
+        method: 'POST',
+        body: JSON.stringify({
+          vendor: form.vendor.value.trim(),
+          vendor_reference: form.vendor_reference.value.trim(),
+          shipped_at: form.shipped_at.value,
+          expected_return_date: form.expected_return_date.value,
+          asset_ids: assetIds,
+          notes: form.notes.value.trim(),
+        }),
+      });
+      closeModal('calibration-shipment-modal');
+      setStatus(`${shipment.shipment_number} shipped to ${shipment.vendor}.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to create shipment.', 'error');
+    }
+  }
+
+  function handleVendorShipmentClick(event) {
+    const trigger = event.target.closest('[data-shipment-receive]');
+    const card = trigger ? trigger.closest('[data-shipment-id]') : null;
+    if (!card) return;
+    const shipment = state.calibrationShipments.find((item) => String(item.id) === card.dataset.shipmentId);
+    if (shipment) openCalibrationReceiptModal(shipment);
+  }
+
+  function openCalibrationReceiptModal(shipment) {
+    const form = elements.calibrationReceiptForm;
+    if (!form || !elements.calibrationReceiptItems) return;
+    const today = new Date().toISOString().slice(0, 10);
+
+    state.activeShipmentId = shipment.id;
+    form.reset();
+    form.received_at.value = today;
+    if (elements.calibrationReceiptTitle) {
+      elements.calibrationReceiptTitle.textContent = `Receive ${shipment.shipment_number} · ${shipment.vendor}`;
+    }
+    elements.calibrationReceiptItems.innerHTML = shipment.items
+      .filter((item) => item.status === 'out')
+      .map((item) => [
+        `<article class="log-entry" data-receipt-asset-id="${escapeHtml(String(item.asset_id))}">`,
+        `<label class="log-meta"><span><input type="checkbox" data-receipt-field="returned" checked /> <strong>${escapeHtml(item.tool_name || `Asset ${item.asset_id}`)}</strong></span>`,
+        `<small>${escapeHtml(item.serial_number || '')}</small></label>`,
+        '<div class="field-grid">',
+        '<label>Outcome<select data-receipt-field="outcome"><option value="calibrated">Calibrated</option><option value="rejected">Rejected / Not Calibrated</option></select></label>',
+        `<label>Vendor Cal Date<input type="date" data-receipt-field="vendor_cal_date" value="${escapeHtml(today)}" /></label>`,
+        '<label>As Found<select data-receipt-field="as_found_result"><option value="pass">In Tolerance</option><option value="fail">Out Of Tolerance</option></select></label>',
+        '<label>Vendor Certificate<input type="file" accept=".pdf,application/pdf" data-receipt-field="certificate" /></label>',
+        '</div>',
+        '<label>Notes<input type="text" data-receipt-field="notes" placeholder="Required when rejected" /></label>',
+        '</article>',
+      ].join(''))
+      .join('');
+    openModal('calibration-receipt-modal');
+  }
+
+  async function submitCalibrationReceiptForm(event) {
+    event.preventDefault();
+    const form = elements.calibrationReceiptForm;
+    const rows = Array.from(elements.calibrationReceiptItems.querySelectorAll('[data-receipt-asset-id]'))
+      .filter((row) => row.querySelector('[data-receipt-field="returned"]').checked);
+    if (!rows.length) {
+      setStatus('Select at least one returned asset.', 'error');
+      return;
+    }
+
+    try {
+      const items = [];
+      for (const row of rows) {
+        const field = (name) => row.querySelector(`[data-receipt-field="${name}"]`);
+        const outcome = field('outcome').value;
+        const file = field('certificate').files[0];
+        if (outcome === 'calibrated' && !file) {
+          throw new Error('Attach the vendor certificate for each calibrated asset.');
+        }
+        items.push({
+          asset_id: Number(row.dataset.receiptAssetId),
+          outcome,
+          vendor_cal_date: outcome === 'calibrated' ? field('vendor_cal_date').value : null,
+          as_found_result: outcome === 'calibrated' ? field('as_found_result').value : null,
+          certificate_path: outcome === 'calibrated' ? await uploadCalibrationAttachment(file) : null,
+          notes: field('notes').value.trim(),
+        });
+      }
+
+      const shipment = await apiFetch(`/api/command-center/calibration/shipments/${encodeURIComponent(state.activeShipmentId)}/receive`, {
+        method: 'POST',
+        body: JSON.stringify({
+          received_at: form.received_at.value,
+          items,
+        }),
+      });
+      closeModal('calibration-receipt-modal');
+      setStatus(shipment.status === 'received'
+        ? `${shipment.shipment_number} fully received.`
+        : `${items.length} asset${items.length === 1 ? '' : 's'} received; ${shipment.out_count} still at ${shipment.vendor}.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to receive shipment.', 'error');
+    }
+  }
+
+  function renderReorderPanel() {
+    if (!elements.reorderPanel || !elements.reorderResults) return;
+
+    const isHazmatModule = normalizeModule(state.currentModule) === 'hazmat';
+    elements.reorderPanel.classList.toggle('hidden', !isHazmatModule);
+    if (!isHazmatModule) return;
+
+    const canEdit = hasPermissionAccess('edit_access');
+    const groups = new Map();
+    state.reorderItems.forEach((item) => {
+      const key = item.manufacturer || '';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+
+    if (elements.reorderSummary) {
+      elements.reorderSummary.textContent = `${state.reorderItems.length} to reorder`;
+      elements.reorderSummary.classList.toggle('status-amber', state.reorderItems.length > 0);
+    }
+
+    if (!state.reorderItems.length) {
+      elements.reorderResults.innerHTML = '<div class="focus-item"><strong>Stock is covered</strong><p>Materials projected to fall below their threshold within the usage window appear here.</p></div>';
+    } else {
+      elements.reorderResults.innerHTML = Array.from(groups.entries()).map(([manufacturer, items]) => {
+        const manufacturerId = items[0].manufacturer_id;
+        const action = canEdit && manufacturerId
+          ? `<button class="table-button" type="button" data-reorder-action="request" data-manufacturer-id="${escapeHtml(String(manufacturerId))}">Raise Request</button>`
+          : `<small>${manufacturerId ? '' : 'Add this manufacturer in Settings to raise a request.'}</small>`;
+        return [
+          '<article class="asset-result-card">',
+          '<div class="asset-result-head">',
+          `<strong>${escapeHtml(manufacturer || 'No manufacturer')}</strong>`,
+          action,
+          '</div>',
+          items.map((item) => [
+            '<div class="asset-result-grid">',
+            `<div><small>Material</small><strong>${escapeHtml(item.name)}</strong></div>`,
+            `<div><small>Stock / Threshold</small><strong>${escapeHtml(`${item.stock_level} / ${item.min_threshold}`)}</strong></div>`,
+            `<div><small>Days of Cover</small><strong>${escapeHtml(item.days_of_cover === null ? 'No recent use' : String(item.days_of_cover))}</strong></div>`,
+            `<div><small>Suggested</small><strong>${escapeHtml(`${item.suggested_quantity}${item.unit ? ` ${item.unit}` : ''}`)}</strong></div>`,
+            '</div>',
+          ].join('')).join(''),
+          '</article>',
+        ].join('');
+      }).join('');
+    }
+
+    if (!elements.purchaseRequestResults) return;
+    if (!state.purchaseRequests.length) {
+      elements.purchaseRequestResults.innerHTML = '<div class="focus-item"><strong>No open purchase requests</strong><p>Requests stay here until they are received or cancelled.</p></div>';
+      return;
+    }
+
+    elements.purchaseRequestResults.innerHTML = state.purchaseRequests.map((request) => {
+      const actions = canEdit
+        ? [
+          request.status === 'requested' ? '<button class="table-button" type="button" data-purchase-action="order">Mark Ordered</button>' : '',
+          request.status === 'ordered' ? '<button class="table-button" type="button" data-purchase-action="receive">Receive</button>' : '',
+          '<button class="table-button" type="button" data-purchase-action="cancel">Cancel</button>',
+        ].join('')
+        : '';
+      return [
+        `<article class="asset-result-card" data-purchase-id="${escapeHtml(String(request.id))}">`,
+        '<div class="asset-result-head">',
+        `<strong>#${escapeHtml(String(request.id))} · ${escapeHtml(request.manufacturer)}</strong>`,
+        `<span class="status-chip">${escapeHtml(String(request.status).toUpperCase())}</span>`,
+        '</div>',
+        '<div class="asset-result-grid">',
+        `<div><small>Items</small><strong>${escapeHtml(request.lines.map((line) => `${line.name} × ${line.quantity}${line.unit ? ` ${line.unit}` : ''}`).join(', '))}</strong></div>`,
+        `<div><small>Requested</small><strong>${escapeHtml(formatDateTime(request.requested_at))}</strong></div>`,
+        `<div><small>PO Reference</small><strong>${escapeHtml(request.order_reference || 'Not ordered')}</strong></div>`,
+        '</div>',
+        actions ? `<div class="asset-result-actions">${actions}</div>` : '',
+        '</article>',
+      ].join('');
+    }).join('');
+  }
+
+  function describeForecastEvent(entry) {
+    if (!entry || !entry.limiting_event) return 'No consumption forecast';
+    if (entry.limiting_event === 'expiration') {
+      return entry.limiting_days < 0 ? `Expired ${entry.expiration_date}` : `Expires ${entry.limiting_date} before use`;
+    }
+    return entry.limiting_days <= 0 ? 'Below threshold now' : `Crosses threshold ${entry.limiting_date}`;
+  }
+
+  function renderForecastPanel() {
+    if (!elements.forecastPanel || !elements.forecastResults) return;
+
+    const isHazmatModule = normalizeModule(state.currentModule) === 'hazmat';
+    elements.forecastPanel.classList.toggle('hidden', !isHazmatModule);
+    if (!isHazmatModule) return;
+
+    const atRisk = state.forecast.materials.filter((entry) => entry.at_risk);
+    if (elements.forecastSummary) {
+      elements.forecastSummary.textContent = `${atRisk.length} at risk`;
+      elements.forecastSummary.classList.toggle('status-amber', atRisk.length > 0);
+    }
+
+    if (elements.forecastDepartmentResults) {
+      elements.forecastDepartmentResults.innerHTML = state.forecast.departments.map((department) => {
+        const burn = Object.entries(department.burn_rate_by_unit || {})
+          .map(([unit, rate]) => `${rate} ${unit}/day`)
+          .join(', ') || 'No recent use';
+        const next = department.next_event
+          ? `${department.next_event.name} · ${department.next_event.event} ${department.next_event.date}`
+          : 'Nothing scheduled';
+        return [
+          '<article class="asset-result-card">',
+          '<div class="asset-result-head">',
+          `<strong>${escapeHtml(department.assigned_department)}</strong>`,
+          `<span class="status-chip${department.at_risk_count ? ' status-amber' : ''}">${escapeHtml(`${department.at_risk_count} at risk`)}</span>`,
+          '</div>',
+          '<div class="asset-result-grid">',
+          `<div><small>Burn Rate</small><strong>${escapeHtml(burn)}</strong></div>`,
+          `<div><small>Next Event</small><strong>${escapeHtml(next)}</strong></div>`,
+          '</div>',
+          '</article>',
+        ].join('');
+      }).join('');
+    }
+
+    if (!atRisk.length) {
+      elements.forecastResults.innerHTML = '<div class="focus-item"><strong>No forecast risks</strong><p>Materials projected to cross their threshold or expire within the forecast horizon appear here.</p></div>';
+      return;
+    }
+
+    elements.forecastResults.innerHTML = atRisk.map((entry) => {
+      const unit = entry.unit ? ` ${entry.unit}` : '';
+      const chip = entry.limiting_event === 'expiration'
+        ? '<span class="status-chip status-danger">EXPIRES FIRST</span>'
+        : '<span class="status-chip status-amber">THRESHOLD</span>';
+      return [
+        `<article class="asset-result-card" data-asset-source="hazmat" data-asset-id="${escapeHtml(String(entry.material_id))}">`,
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(entry.name)}</strong>`,
+        chip,
+        '</div>',
+        '<div class="asset-result-grid">',
+        `<div><small>Burn Rate</small><strong>${escapeHtml(`${entry.burn_rate_per_day}${unit}/day`)}</strong></div>`,
+        `<div><small>Days of Supply</small><strong>${escapeHtml(entry.days_of_supply === null ? 'No recent use' : String(entry.days_of_supply))}</strong></div>`,
+        `<div><small>Forecast</small><strong>${escapeHtml(describeForecastEvent(entry))}</strong></div>`,
+        entry.projected_waste_quantity > 0
+          ? `<div><small>Projected Waste</small><strong>${escapeHtml(`${entry.projected_waste_quantity}${unit}`)}</strong></div>`
+          : '',
+        '</div>',
+        '</article>',
+      ].join('');
+    }).join('');
+  }
+
+  function renderStoragePanel() {
+    if (!elements.storagePanel || !elements.storageResults) return;
+
+    const isHazmatModule = normalizeModule(state.currentModule) === 'hazmat';
+    elements.storagePanel.classList.toggle('hidden', !isHazmatModule);
+    if (!isHazmatModule) return;
+
+    const report = state.storageCompatibility;
+    if (elements.storageSummary) {
+      elements.storageSummary.textContent = `${report.violation_count} violation${report.violation_count === 1 ? '' : 's'}`;
+      elements.storageSummary.classList.toggle('status-danger', report.violation_count > 0);
+    }
+
+    const violating = report.areas.filter((area) => area.violations.length);
+    const unassigned = report.unassigned_count
+      ? `<div class="focus-item"><strong>${escapeHtml(`${report.unassigned_count} stocked material${report.unassigned_count === 1 ? '' : 's'} without a storage area`)}</strong><p>Assign a facility map area on the material form to include it in compatibility checks.</p></div>`
+      : '';
+    if (!violating.length) {
+      elements.storageResults.innerHTML = `<div class="focus-item"><strong>No incompatible co-storage</strong><p>${escapeHtml(`${report.areas.length} storage area${report.areas.length === 1 ? '' : 's'} checked.`)}</p></div>${unassigned}`;
+      return;
+    }
+
+    elements.storageResults.innerHTML = violating.map((area) => {
+      const location = [area.map_name, area.area_name].filter(Boolean).join(' · ');
+      const conflicts = area.violations.map((violation) => [
+        `<article class="asset-result-card" data-asset-source="hazmat" data-asset-id="${escapeHtml(String(violation.materials[0].id))}">`,
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(violation.materials.map((material) => material.name).join(' + '))}</strong>`,
+        `<span class="status-chip ${violation.severity === 'critical' ? 'status-danger' : 'status-amber'}">${escapeHtml(violation.severity.toUpperCase())}</span>`,
+        '</div>',
+        `<p>${escapeHtml(violation.reason)}</p>`,
+        '</article>',
+      ].join('')).join('');
+      return [
+        '<div class="focus-item">',
+        `<strong>${escapeHtml(location || area.area_id)}</strong>`,
+        `<p>${escapeHtml(`${area.material_count} materials · ${area.groups.map((group) => group.label).join(', ')}`)}</p>`,
+        area.area_missing ? '<p>This area no longer exists on the facility map.</p>' : '',
+        '</div>',
+        conflicts,
+      ].join('');
+    }).join('') + unassigned;
+  }
+
+  function describeWasteAccumulation(container) {
+    if (container.status === 'manifested') return { text: `Manifest ${container.manifest_number}`, tone: 'status-blue' };
+    if (container.status === 'disposed') return { text: 'Disposed', tone: '' };
+    if (container.accumulation_status === 'empty') return { text: 'Empty', tone: '' };
+    if (container.accumulation_status === 'overdue') return { text: `${Math.abs(container.days_remaining)} days over limit`, tone: 'status-danger' };
+    return {
+      text: `${container.days_remaining} days left`,
+      tone: container.accumulation_status === 'due_soon' ? 'status-amber' : '',
+    };
+  }
+
+  function renderWastePanel() {
+    if (!elements.wastePanel || !elements.wasteResults) return;
+
+    const isHazmatModule = normalizeModule(state.currentModule) === 'hazmat';
+    elements.wastePanel.classList.toggle('hidden', !isHazmatModule);
+    if (!isHazmatModule) return;
+
+    const canEdit = hasPermissionAccess('edit_access');
+    const overdue = state.wasteContainers.filter((container) => container.accumulation_status === 'overdue').length;
+    if (elements.wasteSummary) {
+      elements.wasteSummary.textContent = `${overdue} overdue`;
+      elements.wasteSummary.classList.toggle('status-danger', overdue > 0);
+    }
+    ['waste-new-container-button', 'waste-manifest-button'].forEach((id) => {
+      const button = document.getElementById(id);
+      if (button) button.classList.toggle('hidden', !canEdit);
+    });
+
+    if (!state.wasteContainers.length) {
+      elements.wasteResults.innerHTML = '<div class="focus-item"><strong>No open waste containers</strong><p>Open an accumulation container in a facility map area, then move expired or spent materials into it from the inventory grid.</p></div>';
+      return;
+    }
+
+    elements.wasteResults.innerHTML = state.wasteContainers.map((container) => {
+      const accumulation = describeWasteAccumulation(container);
+      const location = [container.map_name, container.area_name].filter(Boolean).join(' · ');
+      const quantity = [
+        container.total_volume_l ? `${container.total_volume_l} L` : '',
+        container.total_mass_kg ? `${container.total_mass_kg} kg` : '',
+      ].filter(Boolean).join(' + ') || 'Not measured';
+      const contents = container.items.map((item) => item.cas_number ? `${item.material_name} (${item.cas_number})` : item.material_name);
+      const actions = [];
+      if (canEdit && container.status === 'accumulating' && container.item_count) {
+        actions.push(`<label class="waste-select"><input type="checkbox" data-waste-select="${escapeHtml(String(container.id))}" /> Include in manifest</label>`);
+      }
+      if (container.status === 'manifested') {
+        actions.push('<button class="table-button" type="button" data-waste-action="print">Print Manifest</button>');
+        if (canEdit) actions.push('<button class="table-button" type="button" data-waste-action="dispose">Mark Disposed</button>');
+      }
+      return [
+        `<article class="asset-result-card" data-waste-id="${escapeHtml(String(container.id))}">`,
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(`${container.container_label} · ${container.waste_stream}`)}</strong>`,
+        `<span class="status-chip ${accumulation.tone}">${escapeHtml(accumulation.text)}</span>`,
+        '</div>',
+        '<div class="asset-result-grid">',
+        `<div><small>Area</small><strong>${escapeHtml(location || container.storage_area_id)}</strong></div>`,
+        `<div><small>Started</small><strong>${escapeHtml(container.accumulation_start_date || 'Not yet')}</strong></div>`,
+        `<div><small>Limit</small><strong>${escapeHtml(container.accumulation_deadline ? `${container.accumulation_limit_days} days · ${container.accumulation_deadline}` : `${container.accumulation_limit_days} days`)}</strong></div>`,
+        `<div><small>Contents</small><strong>${escapeHtml(`${container.item_count} item${container.item_count === 1 ? '' : 's'} · ${quantity}`)}</strong></div>`,
+        '</div>',
+        contents.length ? `<p>${escapeHtml(contents.join(', '))}</p>` : '',
+        actions.length ? `<div class="toolbar-actions">${actions.join('')}</div>` : '',
+        '</article>',
+      ].join('');
+    }).join('');
+  }
+
+  function renderStorageLocationOptions(select, selected) {
+    select.innerHTML = state.storageCompatibility.storage_areas.map((area) => {
+      const value = `${area.map_id}::${area.area_id}`;
+      return `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(`${area.map_name} · ${area.area_name}`)}</option>`;
+    }).join('');
+  }
+
+  function openWasteContainerModal() {
+    if (!elements.wasteContainerForm) return;
+    if (!state.storageCompatibility.storage_areas.length) {
+      setStatus('Draw a storage area on a facility map before opening a waste container.', 'error');
+      return;
+    }
+    elements.wasteContainerForm.reset();
+    renderStorageLocationOptions(elements.wasteContainerForm.storage_location, '');
+    openModal('waste-container-modal');
+  }
+
+  async function submitWasteContainerForm(event) {
+    event.preventDefault();
+    const form = elements.wasteContainerForm;
+    const location = String(form.storage_location.value || '').split('::');
+    try {
+      const container = await apiFetch('/api/command-center/hazmat/waste', {
+        method: 'POST',
+        body: JSON.stringify({
+          waste_stream: form.waste_stream.value.trim(),
+          hazard_class: form.hazard_class.value.trim() || null,
+          storage_map_id: location[1] ? location[0] : null,
+          storage_area_id: location[1] || null,
+          accumulation_limit_days: Number(form.accumulation_limit_days.value),
+          notes: form.notes.value.trim(),
+        }),
+      });
+      closeModal('waste-container-modal');
+      setStatus(`Waste container ${container.container_label} opened.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to open waste container.', 'error');
+    }
+  }
+
+  function openWasteModal(material) {
+    const accumulating = state.wasteContainers.filter((container) => container.status === 'accumulating');
+    if (!accumulating.length) {
+      setStatus('Open a waste accumulation container first.', 'error');
+      return;
+    }
+
+    state.wasteMaterialId = material.id;
+    elements.wasteModalTitle.textContent = `Move To Waste · ${material.name}`;
+    elements.wasteForm.reset();
+    elements.wasteForm.waste_container_id.innerHTML = accumulating.map((container) => (
+      `<option value="${escapeHtml(String(container.id))}">${escapeHtml(`${container.container_label} · ${container.waste_stream}`)}</option>`
+    )).join('');
+    const containers = (Array.isArray(material.containers) ? material.containers : [])
+      .filter((container) => container.status !== 'disposed');
+    elements.wasteForm.container_id.innerHTML = ['<option value="">All open containers (archives the material)</option>']
+      .concat(containers.map((container) => {
+        const label = `${container.container_label} · ${container.remaining_quantity} left${container.status === 'empty' ? ' · empty' : ''}`;
+        return `<option value="${escapeHtml(String(container.id))}">${escapeHtml(label)}</option>`;
+      }))
+      .join('');
+    elements.wasteForm.reason.value = !material.expired && Number(material.stock_level) <= 0 ? 'spent' : 'expired';
+    openModal('waste-modal');
+  }
+
+  async function submitWasteForm(event) {
+    event.preventDefault();
+    const form = elements.wasteForm;
+    const containerId = Number(form.container_id.value) || null;
+    try {
+      const result = await apiFetch(`/api/command-center/hazmat/waste/${encodeURIComponent(form.waste_container_id.value)}/items`, {
+        method: 'POST',
+        body: JSON.stringify({
+          material_id: state.wasteMaterialId,
+          container_ids: containerId ? [containerId] : [],
+          reason: form.reason.value,
+        }),
+      });
+      closeModal('waste-modal');
+      setStatus(`Moved to ${result.waste_container.container_label}${result.material_archived ? '; material archived' : ''}.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to move material to waste.', 'error');
+    }
+  }
+
+  async function manifestSelectedWasteContainers() {
+    const ids = Array.from(elements.wasteResults.querySelectorAll('[data-waste-select]:checked'))
+      .map((input) => Number(input.dataset.wasteSelect));
+    if (!ids.length) {
+      setStatus('Select the waste containers to include in the manifest.', 'error');
+      return;
+    }
+    if (!window.confirm(`Generate a disposal manifest for ${ids.length} container(s)? They will stop accepting waste.`)) return;
+
+    try {
+      const manifest = await apiFetch('/api/command-center/hazmat/waste/manifests', {
+        method: 'POST',
+        body: JSON.stringify({ waste_container_ids: ids }),
+      });
+      exportWasteManifestPdf(manifest);
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to generate waste manifest.', 'error');
+    }
+  }
+
+  async function handleWasteAction(event) {
+    const trigger = event.target.closest('[data-waste-action]');
+    const card = trigger ? trigger.closest('[data-waste-id]') : null;
+    if (!trigger || !card) return;
+
+    const container = state.wasteContainers.find((entry) => String(entry.id) === card.dataset.wasteId);
+    if (!container) return;
+
+    try {
+      if (trigger.dataset.wasteAction === 'print') {
+        exportWasteManifestPdf(await apiFetch(`/api/command-center/hazmat/waste/manifests/${encodeURIComponent(container.manifest_number)}`));
+        return;
+      }
+      if (trigger.dataset.wasteAction === 'dispose') {
+        const reference = window.prompt(`Disposal reference for ${container.container_label} (e.g. receiving facility manifest copy)`, '');
+        if (reference === null) return;
+        await apiFetch(`/api/command-center/hazmat/waste/${encodeURIComponent(container.id)}/dispose`, {
+          method: 'POST',
+          body: JSON.stringify({ disposal_reference: reference }),
+        });
+        setStatus(`Waste container ${container.container_label} disposed.`, 'info');
+        await refreshPortal({ silentStatus: true });
+      }
+    } catch (error) {
+      setStatus(error.message || 'Failed to update waste container.', 'error');
+    }
+  }
+
+  function describeCycleCountScope(count) {
+    if (count.scope === 'storage_area') {
+      return [count.map_name, count.area_name].filter(Boolean).join(' · ') || count.storage_area_id;
+    }
+    return count.assigned_department;
+  }
+
+  function canApproveCycleCounts() {
+    return hasPermissionAccess('settings_access') || hasPermissionAccess('department_management');
+  }
+
+  function renderCycleCountPanel() {
+    if (!elements.cycleCountPanel || !elements.cycleCountResults) return;
+
+    const isHazmatModule = normalizeModule(state.currentModule) === 'hazmat';
+    elements.cycleCountPanel.classList.toggle('hidden', !isHazmatModule);
+    if (!isHazmatModule) return;
+
+    const openCount = state.cycleCounts.filter((count) => count.status === 'open').length;
+    if (elements.cycleCountSummary) {
+      elements.cycleCountSummary.textContent = `${openCount} open`;
+      elements.cycleCountSummary.classList.toggle('status-amber', openCount > 0);
+    }
+    const newButton = document.getElementById('cycle-count-new-button');
+    if (newButton) newButton.classList.toggle('hidden', !hasPermissionAccess('edit_access'));
+
+    if (!state.cycleCounts.length) {
+      elements.cycleCountResults.innerHTML = '<div class="focus-item"><strong>No cycle counts yet</strong><p>Start a count for a department or storage area to generate its expected container list.</p></div>';
+      return;
+    }
+
+    elements.cycleCountResults.innerHTML = state.cycleCounts.map((count) => {
+      const summary = count.summary;
+      let tone = '';
+      if (count.status === 'open') tone = 'status-amber';
+      else if (count.status === 'approved') tone = summary.short_count || summary.over_count ? 'status-blue' : 'status-safe';
+      return [
+        `<article class="asset-result-card" data-cycle-count-id="${escapeHtml(String(count.id))}">`,
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(`${count.count_number} · ${describeCycleCountScope(count)}`)}</strong>`,
+        `<span class="status-chip ${tone}">${escapeHtml(count.status.toUpperCase())}</span>`,
+        '</div>',
+        '<div class="asset-result-grid">',
+        `<div><small>Counted</small><strong>${escapeHtml(`${summary.counted_count} / ${summary.line_count}`)}</strong></div>`,
+        `<div><small>Short</small><strong>${escapeHtml(String(summary.short_count))}</strong></div>`,
+        `<div><small>Over</small><strong>${escapeHtml(String(summary.over_count))}</strong></div>`,
+        `<div><small>Accuracy</small><strong>${escapeHtml(summary.accuracy_pct === null ? '-' : `${summary.accuracy_pct}%`)}</strong></div>`,
+        '</div>',
+        '<div class="toolbar-actions">',
+        `<button class="table-button" type="button" data-cycle-count-action="open">${count.status === 'open' ? 'Count' : 'Variance Report'}</button>`,
+        '</div>',
+        '</article>',
+      ].join('');
+    }).join('');
+  }
+
+  function syncCycleCountScopeFields() {
+    const form = elements.cycleCountForm;
+    if (!form) return;
+    form.querySelectorAll('[data-cycle-scope]').forEach((field) => {
+      field.classList.toggle('hidden', field.dataset.cycleScope !== form.scope.value);
+    });
+  }
+
+  function openCycleCountModal() {
+    const form = elements.cycleCountForm;
+    if (!form) return;
+    form.reset();
+    const departments = normalizeDepartmentList(
+      state.settings.departments,
+      state.settings.defaultDepartment || DEFAULT_SETTINGS.defaultDepartment
+    );
+    form.assigned_department.innerHTML = departments
+      .map((department) => `<option value="${escapeHtml(department)}">${escapeHtml(department)}</option>`)
+      .join('');
+    renderStorageLocationOptions(form.storage_location, '');
+    form.scope.querySelector('option[value="storage_area"]').disabled = !state.storageCompatibility.storage_areas.length;
+    syncCycleCountScopeFields();
+    openModal('cycle-count-modal');
+  }
+
+  async function submitCycleCountForm(event) {
+    event.preventDefault();
+    const form = elements.cycleCountForm;
+    const location = String(form.storage_location.value || '').split('::');
+    const body = form.scope.value === 'storage_area'
+      ? { scope: 'storage_area', storage_map_id: location[0] || null, storage_area_id: location[1] || null }
+      : { scope: 'department', assigned_department: form.assigned_department.value };
+    try {
+      const count = await apiFetch('/api/command-center/hazmat/cycle-counts', {
+        method: 'POST',
+        body: JSON.stringify({ ...body, notes: form.notes.value.trim() }),
+      });
+      closeModal('cycle-count-modal');
+      setStatus(`Cycle count ${count.count_number} started with ${count.summary.line_count} lines.`, 'info');
+      await refreshPortal({ silentStatus: true });
+      openCycleCountSheet(count);
+    } catch (error) {
+      setStatus(error.message || 'Failed to start cycle count.', 'error');
+    }
+  }
+
+  async function handleCycleCountResultClick(event) {
+    const trigger = event.target.closest('[data-cycle-count-action]');
+    const card = trigger ? trigger.closest('[data-cycle-count-id]') : null;
+    if (!trigger || !card) return;
+
+    try {
+      openCycleCountSheet(await apiFetch(`/api/command-center/hazmat/cycle-counts/${encodeURIComponent(card.dataset.cycleCountId)}`));
+    } catch (error) {
+      setStatus(error.message || 'Failed to load cycle count.', 'error');
+    }
+  }
+
+  function openCycleCountSheet(count) {
+    state.activeCycleCount = count;
+    renderCycleCountSheet();
+    openModal('cycle-count-sheet-modal');
+    if (count.status === 'open' && elements.cycleCountScanInput) elements.cycleCountScanInput.focus();
+  }
+
+  function renderCycleCountSheet() {
+    const count = state.activeCycleCount;
+    if (!count || !elements.cycleCountLines) return;
+
+    const isOpen = count.status === 'open';
+    const canEdit = isOpen && hasPermissionAccess('edit_access');
+    elements.cycleCountSheetEyebrow.textContent = `Cycle Count · ${describeCycleCountScope(count)}`;
+    elements.cycleCountSheetTitle.textContent = count.count_number;
+    elements.cycleCountSheetSummary.innerHTML = [
+      `<span class="status-chip ${isOpen ? 'status-amber' : ''}">${escapeHtml(count.status.toUpperCase())}</span>`,
+      `<span class="status-chip">${escapeHtml(`${count.summary.counted_count} / ${count.summary.line_count} counted`)}</span>`,
+      `<span class="status-chip ${count.summary.short_count ? 'status-danger' : ''}">${escapeHtml(`${count.summary.short_count} short`)}</span>`,
+      `<span class="status-chip ${count.summary.over_count ? 'status-blue' : ''}">${escapeHtml(`${count.summary.over_count} over`)}</span>`,
+      count.approved_at ? `<span class="status-chip">${escapeHtml(`Approved ${formatDateTime(count.approved_at)} by ${count.approved_by || 'Unknown'}`)}</span>` : '',
+    ].join('');
+    elements.cycleCountScanForm.classList.toggle('hidden', !canEdit);
+    document.getElementById('cycle-count-save-button').classList.toggle('hidden', !canEdit);
+    document.getElementById('cycle-count-cancel-button').classList.toggle('hidden', !canEdit);
+    document.getElementById('cycle-count-approve-button').classList.toggle('hidden', !isOpen || !canApproveCycleCounts());
+
+    const varianceTone = { short: 'status-danger', over: 'status-blue', match: 'status-safe' };
+    elements.cycleCountLines.innerHTML = count.lines.map((line) => {
+      const found = line.found_quantity === null ? '' : String(line.found_quantity);
+      const variance = line.variance === null ? 'Not counted' : `${line.variance > 0 ? '+' : ''}${line.variance}`;
+      const posted = !isOpen && line.adjustment !== undefined
+        ? `<small>${escapeHtml(line.skipped || (line.adjustment ? `Posted ${line.adjustment > 0 ? '+' : ''}${line.adjustment}` : 'No adjustment'))}</small>`
+        : '';
+      return [
+        `<div class="cycle-count-line" data-line-number="${escapeHtml(String(line.line_number))}">`,
+        `<div><strong>${escapeHtml(line.material_name)}</strong><small>${escapeHtml([line.container_label || 'No container on record', line.lot_number ? `Lot ${line.lot_number}` : ''].filter(Boolean).join(' · '))}</small></div>`,
+        `<div><small>Expected</small><strong>${escapeHtml(String(line.expected_quantity))}</strong></div>`,
+        canEdit
+          ? `<label><small>Found</small><input type="number" min="0" step="any" value="${escapeHtml(found)}" data-cycle-found /></label>`
+          : `<div><small>Found</small><strong>${escapeHtml(found || '-')}</strong></div>`,
+        `<div><span class="status-chip ${varianceTone[line.variance_status] || ''}">${escapeHtml(variance)}</span>${posted}</div>`,
+        '</div>',
+      ].join('');
+    }).join('');
+  }
+
+  async function postCycleCountEntries(entries) {
+    const count = state.activeCycleCount;
+    state.activeCycleCount = await apiFetch(`/api/command-center/hazmat/cycle-counts/${encodeURIComponent(count.id)}/entries`, {
+      method: 'POST',
+      body: JSON.stringify({ entries }),
+    });
+    renderCycleCountSheet();
+  }
+
+  async function submitCycleCountScan(event) {
+    event.preventDefault();
+    const code = elements.cycleCountScanInput.value.trim();
+    if (!code || !state.activeCycleCount) return;
+
+    try {
+      await postCycleCountEntries([{ code }]);
+      setStatus(`${code} confirmed.`, 'info');
+    } catch (error) {
+      setStatus(error.message || 'Failed to record scan.', 'error');
+    }
+    elements.cycleCountScanInput.value = '';
+    elements.cycleCountScanInput.focus();
+  }
+
+  function collectCycleCountEntries() {
+    const linesByNumber = new Map(state.activeCycleCount.lines.map((line) => [String(line.line_number), line]));
+    return Array.from(elements.cycleCountLines.querySelectorAll('[data-line-number]'))
+      .map((row) => {
+        const input = row.querySelector('[data-cycle-found]');
+        const line = linesByNumber.get(row.dataset.lineNumber);
+        if (!input || input.value.trim() === '' || !line) return null;
+        const found = Number(input.value);
+        return found === line.found_quantity ? null : { line_number: line.line_number, found_quantity: found };
+      })
+      .filter(Boolean);
+  }
+
+  async function saveCycleCountEntries() {
+    if (!state.activeCycleCount) return false;
+    const entries = collectCycleCountEntries();
+    if (!entries.length) return true;
+
+    try {
+      await postCycleCountEntries(entries);
+      setStatus(`Saved ${entries.length} count${entries.length === 1 ? '' : 's'}.`, 'info');
+      return true;
+    } catch (error) {
+      setStatus(error.message || 'Failed to save counts.', 'error');
+      return false;
+    }
+  }
+
+  async function approveCycleCount() {
+    const count = state.activeCycleCount;
+    if (!count || !(await saveCycleCountEntries())) return;
+
+    const adjustments = state.activeCycleCount.summary.short_count + state.activeCycleCount.summary.over_count;
+    if (!window.confirm(`Approve ${count.count_number} and post ${adjustments} stock adjustment(s)?`)) return;
+
+    try {
+      state.activeCycleCount = await apiFetch(`/api/command-center/hazmat/cycle-counts/${encodeURIComponent(count.id)}/approve`, { method: 'POST' });
+      renderCycleCountSheet();
+      setStatus(`Cycle count ${count.count_number} approved.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to approve cycle count.', 'error');
+    }
+  }
+
+  async function cancelCycleCount() {
+    const count = state.activeCycleCount;
+    if (!count || !window.confirm(`Cancel cycle count ${count.count_number}? Entered counts will not be posted.`)) return;
+
+    try {
+      await apiFetch(`/api/command-center/hazmat/cycle-counts/${encodeURIComponent(count.id)}/cancel`, { method: 'POST' });
+      closeModal('cycle-count-sheet-modal');
+      setStatus(`Cycle count ${count.count_number} cancelled.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to cancel cycle count.', 'error');
+    }
+  }
+
+  // Mirrors the server rule: admins, the linked supervisor account, or department managers when none is linked.
+  function canDecideTransfer(transfer) {
+    if (!state.user) return false;
+    if (String(state.user.role || '').toLowerCase() === 'admin') return true;
+
+    const department = findDepartmentRecordByName(transfer.to_department);
+    if (!department || !department.supervisor_user_id) {
+      return hasPermissionAccess('department_management');
+    }
+    return Number(state.user.id) === department.supervisor_user_id;
+  }
+
+  function canCancelTransfer(transfer) {
+    if (!state.user || !hasPermissionAccess('edit_access')) return false;
+    if (String(state.user.role || '').toLowerCase() === 'admin') return true;
+    return Boolean(transfer.requested_by_id) && Number(state.user.id) === Number(transfer.requested_by_id);
+  }
+
+  function renderTransferPanel() {
+    if (!elements.transferPanel || !elements.transferResults) return;
+
+    const isHazmatModule = normalizeModule(state.currentModule) === 'hazmat';
+    elements.transferPanel.classList.toggle('hidden', !isHazmatModule);
+    if (!isHazmatModule) return;
+
+    const pendingCount = state.materialTransfers.filter((transfer) => transfer.status === 'requested').length;
+    if (elements.transferSummary) {
+      elements.transferSummary.textContent = `${pendingCount} pending`;
+      elements.transferSummary.classList.toggle('status-amber', pendingCount > 0);
+    }
+
+    if (!state.materialTransfers.length) {
+      elements.transferResults.innerHTML = '<div class="focus-item"><strong>No transfers yet</strong><p>Use Transfer on an inventory row to move stock to another department.</p></div>';
+      return;
+    }
+
+    const tones = { requested: 'status-amber', approved: 'status-safe', rejected: 'status-danger' };
+    elements.transferResults.innerHTML = state.materialTransfers.map((transfer) => {
+      const isPending = transfer.status === 'requested';
+      const actions = [];
+      if (isPending && canDecideTransfer(transfer)) {
+        actions.push('<button class="table-button" type="button" data-transfer-action="approve">Approve</button>');
+        actions.push('<button class="table-button" type="button" data-transfer-action="reject">Reject</button>');
+      }
+      if (isPending && canCancelTransfer(transfer)) {
+        actions.push('<button class="table-button" type="button" data-transfer-action="cancel">Cancel</button>');
+      }
+      const outcome = transfer.split_label_id
+        ? `Split to ${transfer.split_label_id}`
+        : (transfer.transfer_type === 'full' ? 'Full quantity' : transfer.reason || '-');
+      return [
+        `<article class="asset-result-card" data-transfer-id="${escapeHtml(String(transfer.id))}">`,
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(`${transfer.transfer_number} · ${transfer.material_name || transfer.label_id || `Material ${transfer.material_id}`}`)}</strong>`,
+        `<span class="status-chip ${tones[transfer.status] || ''}">${escapeHtml(transfer.status.toUpperCase())}</span>`,
+        '</div>',
+        '<div class="asset-result-grid">',
+        `<div><small>From</small><strong>${escapeHtml(transfer.from_department)}</strong></div>`,
+        `<div><small>To</small><strong>${escapeHtml(transfer.to_department)}</strong></div>`,
+        `<div><small>Quantity</small><strong>${escapeHtml(String(transfer.quantity))}</strong></div>`,
+        `<div><small>${isPending ? 'Reason' : 'Outcome'}</small><strong>${escapeHtml(isPending ? transfer.reason || '-' : outcome)}</strong></div>`,
+        '</div>',
+        `<p class="panel-copy">${escapeHtml(isPending
+          ? `Requested by ${transfer.requested_by || 'unknown'} · ${formatDateTime(transfer.requested_at)}`
+          : `${transfer.status === 'approved' ? 'Approved' : 'Closed'} by ${transfer.decided_by || 'unknown'} · ${formatDateTime(transfer.decided_at)}`)}</p>`,
+        actions.length ? `<div class="toolbar-actions">${actions.join('')}</div>` : '',
+        '</article>',
+      ].join('');
+    }).join('');
+  }
+
+  function openTransferModal(material) {
+    const form = elements.transferForm;
+    if (!form) return;
+
+    const departments = normalizeDepartmentList(
+      state.settings.departments,
+      state.settings.defaultDepartment || DEFAULT_SETTINGS.defaultDepartment
+    ).filter((department) => department.toLowerCase() !== String(material.assigned_department || '').toLowerCase());
+    if (!departments.length) {
+      setStatus('Add another department before transferring material.', 'error');
+      return;
+    }
+
+    state.transferMaterialId = material.id;
+    elements.transferModalTitle.textContent = `Transfer · ${material.name}`;
+    form.reset();
+    form.to_department.innerHTML = departments
+      .map((department) => `<option value="${escapeHtml(department)}">${escapeHtml(department)}</option>`)
+      .join('');
+    const containers = (Array.isArray(material.containers) ? material.containers : [])
+      .filter((container) => container.status === 'active');
+    form.container_id.innerHTML = ['<option value="">Oldest containers first</option>']
+      .concat(containers.map((container) => (
+        `<option value="${escapeHtml(String(container.id))}">${escapeHtml(`${container.container_label} · ${container.remaining_quantity} left`)}</option>`
+      )))
+      .join('');
+    form.quantity.max = String(material.stock_level);
+    form.quantity.value = String(material.stock_level);
+    openModal('transfer-modal');
+  }
+
+  async function submitTransferForm(event) {
+    event.preventDefault();
+    const form = elements.transferForm;
+    try {
+      const transfer = await apiFetch('/api/command-center/hazmat/transfers', {
+        method: 'POST',
+        body: JSON.stringify({
+          material_id: state.transferMaterialId,
+          to_department: form.to_department.value,
+          quantity: Number(form.quantity.value),
+          container_id: Number(form.container_id.value) || null,
+          reason: form.reason.value.trim(),
+        }),
+      });
+      closeModal('transfer-modal');
+      setStatus(`Transfer ${transfer.transfer_number} sent to ${transfer.to_department} for approval.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to request transfer.', 'error');
+    }
+  }
+
+  async function handleTransferResultClick(event) {
+    const trigger = event.target.closest('[data-transfer-action]');
+    const card = trigger ? trigger.closest('[data-transfer-id]') : null;
+    if (!trigger || !card) return;
+
+    const action = trigger.dataset.transferAction;
+    const transfer = state.materialTransfers.find((entry) => String(entry.id) === card.dataset.transferId);
+    if (!transfer) return;
+
+    let body = {};
+    if (action === 'reject') {
+      const notes = window.prompt(`Reason for rejecting ${transfer.transfer_number}?`, '');
+      if (notes === null) return;
+      body = { notes };
+    } else if (action === 'cancel' && !window.confirm(`Cancel transfer ${transfer.transfer_number}?`)) {
+      return;
+    }
+
+    try {
+      const result = await apiFetch(`/api/command-center/hazmat/transfers/${encodeURIComponent(transfer.id)}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify(body),
+      });
+      setStatus(result.split_label_id
+        ? `Transfer ${result.transfer_number} approved; ${result.quantity} split to ${result.split_label_id}.`
+        : `Transfer ${result.transfer_number} ${result.status}.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || `Failed to ${action} transfer.`, 'error');
+    }
+  }
+
+  function renderIncidentPanel() {
+    if (!elements.incidentPanel || !elements.incidentResults) return;
+
+    const isHazmatModule = normalizeModule(state.currentModule) === 'hazmat';
+    elements.incidentPanel.classList.toggle('hidden', !isHazmatModule);
+    if (!isHazmatModule) return;
+
+    const openActions = state.openIncidentActions.length;
+    const overdueActions = state.openIncidentActions.filter((action) => action.overdue).length;
+    if (elements.incidentSummary) {
+      elements.incidentSummary.textContent = overdueActions
+        ? `${openActions} open actions · ${overdueActions} overdue`
+        : `${openActions} open actions`;
+      elements.incidentSummary.classList.toggle('status-amber', openActions > 0 && !overdueActions);
+      elements.incidentSummary.classList.toggle('status-danger', overdueActions > 0);
+    }
+    const newButton = document.getElementById('incident-new-button');
+    if (newButton) newButton.classList.toggle('hidden', !hasPermissionAccess('edit_access'));
+
+    if (!state.incidents.length) {
+      elements.incidentResults.innerHTML = '<div class="focus-item"><strong>No incidents recorded</strong><p>Report spills, exposures and near misses to track corrective actions.</p></div>';
+      return;
+    }
+
+    elements.incidentResults.innerHTML = state.incidents.map((incident) => {
+      let tone = 'status-safe';
+      if (incident.status === 'open') tone = incident.overdue_action_count ? 'status-danger' : 'status-amber';
+      return [
+        `<article class="asset-result-card" data-incident-id="${escapeHtml(String(incident.id))}">`,
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(`${incident.incident_number} · ${incident.title}`)}</strong>`,
+        `<span class="status-chip ${tone}">${escapeHtml(incident.status.toUpperCase())}</span>`,
+        '</div>',
+        '<div class="asset-result-grid">',
+        `<div><small>Type</small><strong>${escapeHtml(incident.incident_type_label)}</strong></div>`,
+        `<div><small>Occurred</small><strong>${escapeHtml(formatDateTime(incident.occurred_at))}</strong></div>`,
+        `<div><small>Materials</small><strong>${escapeHtml(String(incident.materials.length))}</strong></div>`,
+        `<div><small>Open Actions</small><strong>${escapeHtml(String(incident.open_action_count))}</strong></div>`,
+        '</div>',
+        '<div class="toolbar-actions">',
+        '<button class="table-button" type="button" data-incident-action="open">Details</button>',
+        '<button class="table-button" type="button" data-incident-action="print">Print</button>',
+        '</div>',
+        '</article>',
+      ].join('');
+    }).join('');
+  }
+
+  function toDateTimeLocalValue(value) {
+    const parsed = value ? new Date(value) : new Date();
+    if (Number.isNaN(parsed.getTime())) return '';
+    return new Date(parsed.getTime() - (parsed.getTimezoneOffset() * 60000)).toISOString().slice(0, 16);
+  }
+
+  function parseCommaLines(value) {
+    return String(value || '').split(/\r?\n/)
+      .map((line) => line.split(',').map((part) => part.trim()))
+      .filter((parts) => parts[0]);
+  }
+
+  function openIncidentModal(incident) {
+    const form = elements.incidentForm;
+    if (!form) return;
+
+    form.reset();
+    state.editingIncidentId = incident ? incident.id : null;
+    elements.incidentModalTitle.textContent = incident ? `Edit ${incident.incident_number}` : 'Report Incident';
+    form.querySelectorAll('[data-incident-create-only]').forEach((field) => field.classList.toggle('hidden', Boolean(incident)));
+
+    const selectedArea = incident && incident.storage_area_id ? `${incident.storage_map_id || ''}::${incident.storage_area_id}` : '';
+    renderStorageLocationOptions(form.storage_location, selectedArea);
+    form.storage_location.insertAdjacentHTML('afterbegin', `<option value=""${selectedArea ? '' : ' selected'}>Not on a map</option>`);
+
+    const selectedMaterials = new Set(incident ? incident.materials.map((entry) => entry.material_id) : []);
+    const materials = state.materials.slice();
+    if (incident) {
+      incident.materials
+        .filter((entry) => !materials.some((material) => material.id === entry.material_id))
+        .forEach((entry) => materials.push({ id: entry.material_id, name: entry.name || `Material ${entry.material_id}`, label_id: entry.label_id }));
+    }
+    form.material_ids.innerHTML = materials.map((material) => (
+      `<option value="${escapeHtml(String(material.id))}"${selectedMaterials.has(material.id) ? ' selected' : ''}>${escapeHtml([material.label_id, material.name].filter(Boolean).join(' · '))}</option>`
+    )).join('');
+
+    form.incident_type.value = incident ? incident.incident_type : 'spill';
+    form.occurred_at.value = toDateTimeLocalValue(incident ? incident.occurred_at : null);
+    form.title.value = incident ? incident.title : '';
+    form.location_notes.value = incident ? incident.location_notes || '' : '';
+    form.description.value = incident ? incident.description || '' : '';
+    form.people.value = incident
+      ? incident.people.map((person) => [person.name, person.role, person.notes].filter(Boolean).join(', ')).join('\n')
+      : '';
+    closeModal('incident-detail-modal');
+    openModal('incident-modal');
+  }
+
+  async function submitIncidentForm(event) {
+    event.preventDefault();
+    const form = elements.incidentForm;
+    const location = String(form.storage_location.value || '').split('::');
+    const existing = state.editingIncidentId
+      ? (state.activeIncident && state.activeIncident.id === state.editingIncidentId ? state.activeIncident : null)
+      : null;
+    const quantities = new Map((existing ? existing.materials : []).map((entry) => [entry.material_id, entry.quantity]));
+    const body = {
+      incident_type: form.incident_type.value,
+      title: form.title.value.trim(),
+      occurred_at: new Date(form.occurred_at.value).toISOString(),
+      storage_map_id: location[0] || null,
+      storage_area_id: location[1] || null,
+      location_notes: form.location_notes.value.trim(),
+      description: form.description.value.trim(),
+      materials: Array.from(form.material_ids.selectedOptions).map((option) => ({
+        material_id: Number(option.value),
+        quantity: quantities.has(Number(option.value)) ? quantities.get(Number(option.value)) : null,
+      })),
+      people: parseCommaLines(form.people.value).map(([name, role, ...notes]) => ({ name, role, notes: notes.join(', ') })),
+    };
+    if (!state.editingIncidentId) {
+      body.corrective_actions = parseCommaLines(form.corrective_actions.value)
+        .map(([description, owner, dueDate]) => ({ description, owner, due_date: dueDate || null }));
+    }
+
+    try {
+      const incident = await apiFetch(state.editingIncidentId
+        ? `/api/command-center/hazmat/incidents/${encodeURIComponent(state.editingIncidentId)}`
+        : '/api/command-center/hazmat/incidents', {
+        method: state.editingIncidentId ? 'PUT' : 'POST',
+        body: JSON.stringify(body),
+      });
+      closeModal('incident-modal');
+      setStatus(`Incident ${incident.incident_number} saved.`, 'info');
+      await refreshPortal({ silentStatus: true });
+      openIncidentDetail(incident);
+    } catch (error) {
+      setStatus(error.message || 'Failed to save incident.', 'error');
+    }
+  }
+
+  async function handleIncidentResultClick(event) {
+    const trigger = event.target.closest('[data-incident-action]');
+    const card = trigger ? trigger.closest('[data-incident-id]') : null;
+    if (!trigger || !card) return;
+
+    try {
+      const incident = await apiFetch(`/api/command-center/hazmat/incidents/${encodeURIComponent(card.dataset.incidentId)}`);
+      if (trigger.dataset.incidentAction === 'print') {
+        await printIncidentReport(incident);
+      } else {
+        openIncidentDetail(incident);
+      }
+    } catch (error) {
+      setStatus(error.message || 'Failed to load incident.', 'error');
+    }
+  }
+
+  function openIncidentDetail(incident) {
+    state.activeIncident = incident;
+    renderIncidentDetail();
+    openModal('incident-detail-modal');
+  }
+
+  function renderIncidentDetail() {
+    const incident = state.activeIncident;
+    if (!incident || !elements.incidentDetailGrid) return;
+
+    const isOpen = incident.status === 'open';
+    const canEdit = isOpen && hasPermissionAccess('edit_access');
+    elements.incidentDetailEyebrow.textContent = `${incident.incident_type_label} · ${incident.status.toUpperCase()}`;
+    elements.incidentDetailTitle.textContent = `${incident.incident_number} · ${incident.title}`;
+    document.getElementById('incident-edit-button').classList.toggle('hidden', !canEdit);
+    document.getElementById('incident-close-button').classList.toggle('hidden', !canEdit);
+    elements.incidentActionForm.classList.toggle('hidden', !canEdit);
+
+    const fields = [
+      ['Occurred', formatDateTime(incident.occurred_at)],
+      ['Location', incident.location_label || 'Not recorded'],
+      ['Reported By', `${incident.reported_by || 'Unknown'} · ${formatDateTime(incident.reported_at)}`],
+      ['People Involved', incident.people.map((person) => [person.name, person.role].filter(Boolean).join(' · ')).join('; ') || 'None recorded'],
+      ['Description', incident.description || 'No description'],
+    ];
+    if (incident.closed_at) fields.push(['Closed By', `${incident.closed_by || 'Unknown'} · ${formatDateTime(incident.closed_at)}`]);
+    elements.incidentDetailGrid.innerHTML = fields
+      .map(([label, value]) => `<div><small>${escapeHtml(label)}</small><strong>${escapeHtml(value)}</strong></div>`)
+      .join('');
+
+    elements.incidentDetailMaterials.innerHTML = incident.materials.length
+      ? incident.materials.map((material) => {
+        const statements = (material.hazard_statements || [])
+          .map((entry) => `<small><strong>${escapeHtml(entry.code)}</strong> ${escapeHtml(entry.text || '')}</small>`)
+          .join('');
+        return [
+          '<article class="log-entry">',
+          '<div class="log-meta">',
+          `<strong>${escapeHtml([material.label_id, material.name || `Material ${material.material_id}`].filter(Boolean).join(' · '))}</strong>`,
+          material.signal_word
+            ? `<span class="status-chip ${material.signal_word === 'Danger' ? 'status-danger' : 'status-amber'}">${escapeHtml(material.signal_word.toUpperCase())}</span>`
+            : '',
+          material.sds_file_path
+            ? `<a class="table-button" href="${escapeHtml(material.sds_file_path)}" target="_blank" rel="noopener">View SDS</a>`
+            : '<span class="status-chip">NO SDS</span>',
+          '</div>',
+          `<small>${escapeHtml([
+            (material.cas_numbers || []).length ? `CAS ${material.cas_numbers.join(', ')}` : 'CAS not recorded',
+            material.quantity !== null ? `Qty ${material.quantity}` : null,
+            material.sds_revision_date ? `SDS rev. ${material.sds_revision_date}` : null,
+          ].filter(Boolean).join(' · '))}</small>`,
+          statements || '<small>No hazard statements in the CAS index.</small>',
+          '</article>',
+        ].join('');
+      }).join('')
+      : '<div class="log-entry">No inventory materials recorded.</div>';
+
+    elements.incidentDetailActions.innerHTML = incident.corrective_actions.length
+      ? incident.corrective_actions.map((action) => {
+        let chip = '<span class="status-chip status-safe">COMPLETED</span>';
+        if (action.status === 'open') chip = `<span class="status-chip ${action.overdue ? 'status-danger' : 'status-amber'}">${action.overdue ? 'OVERDUE' : 'OPEN'}</span>`;
+        return [
+          `<article class="log-entry" data-incident-action-id="${escapeHtml(String(action.id))}">`,
+          `<div class="log-meta"><strong>${escapeHtml(action.description)}</strong>${chip}</div>`,
+          `<small>${escapeHtml(action.status === 'completed'
+            ? `${action.owner} · completed ${formatDateTime(action.completed_at)} by ${action.completed_by || 'unknown'}${action.completion_notes ? ` · ${action.completion_notes}` : ''}`
+            : `${action.owner} · due ${action.due_date || 'not set'}`)}</small>`,
+          action.status === 'open' && hasPermissionAccess('edit_access')
+            ? '<div class="toolbar-actions"><button class="table-button" type="button" data-incident-action-complete>Mark Complete</button></div>'
+            : '',
+          '</article>',
+        ].join('');
+      }).join('')
+      : '<div class="log-entry">No corrective actions yet.</div>';
+  }
+
+  async function submitIncidentActionForm(event) {
+    event.preventDefault();
+    const incident = state.activeIncident;
+    const form = elements.incidentActionForm;
+    if (!incident) return;
+
+    try {
+      state.activeIncident = await apiFetch(`/api/command-center/hazmat/incidents/${encodeURIComponent(incident.id)}/actions`, {
+        method: 'POST',
+        body: JSON.stringify({
+          description: form.description.value.trim(),
+          owner: form.owner.value.trim(),
+          due_date: form.due_date.value || null,
+        }),
+      });
+      form.reset();
+      renderIncidentDetail();
+      setStatus(`Corrective action added to ${incident.incident_number}.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to add corrective action.', 'error');
+    }
+  }
+
+  async function handleIncidentActionClick(event) {
+    const trigger = event.target.closest('[data-incident-action-complete]');
+    const entry = trigger ? trigger.closest('[data-incident-action-id]') : null;
+    const incident = state.activeIncident;
+    if (!entry || !incident) return;
+
+    const notes = window.prompt('Completion notes (optional)', '');
+    if (notes === null) return;
+    try {
+      state.activeIncident = await apiFetch(`/api/command-center/hazmat/incidents/${encodeURIComponent(incident.id)}/actions/${encodeURIComponent(entry.dataset.incidentActionId)}/complete`, {
+        method: 'POST',
+        body: JSON.stringify({ notes }),
+      });
+      renderIncidentDetail();
+      setStatus('Corrective action completed.', 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to complete corrective action.', 'error');
+    }
+  }
+
+  async function closeIncident() {
+    const incident = state.activeIncident;
+    if (!incident || !window.confirm(`Close incident ${incident.incident_number}?`)) return;
+
+    try {
+      state.activeIncident = await apiFetch(`/api/command-center/hazmat/incidents/${encodeURIComponent(incident.id)}/close`, { method: 'POST' });
+      renderIncidentDetail();
+      setStatus(`Incident ${incident.incident_number} closed.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to close incident.', 'error');
+    }
+  }
+
+  async function printIncidentReport(incident) {
+    if (!incident) return;
+    const token = localStorage.getItem(TOKEN_KEY) || localStorage.getItem(LEGACY_TOKEN_KEY);
+    const headers = new Headers();
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    try {
+      setStatus('Generating incident report...', 'info');
+      const response = await fetch(`/api/command-center/hazmat/incidents/${encodeURIComponent(incident.id)}/report`, {
+        headers,
+        credentials: 'same-origin',
+      });
+      if (typeof auth.handleUnauthorized === 'function' && auth.handleUnauthorized(response.status)) {
+        throw new Error('Session expired. Redirecting to login.');
+      }
+      if (!response.ok) {
+        const payload = await response.json().catch(() => null);
+        throw new Error((payload && payload.error) || response.statusText || 'Failed to generate incident report.');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const opened = window.open(url, '_blank');
+      if (!opened) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `incident_${incident.incident_number}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }
+      window.setTimeout(() => URL.revokeObjectURL(url), 60000);
+      setStatus(`Incident report ${incident.incident_number} ready to print.`, 'info');
+    } catch (error) {
+      setStatus(error.message || 'Failed to generate incident report.', 'error');
+    }
+  }
+
+  function renderMaterialStorageAreaOptions(material) {
+    const select = elements.materialStorageArea
+      || (elements.materialForm && elements.materialForm.storage_location);
+    if (!select) return;
+
+    const selected = material && material.storage_area_id
+      ? `${material.storage_map_id || ''}::${material.storage_area_id}`
+      : '';
+    const options = state.storageCompatibility.storage_areas.map((area) => ({
+      value: `${area.map_id}::${area.area_id}`,
+      label: `${area.map_name} · ${area.area_name}`,
+    }));
+    if (selected && !options.some((option) => option.value === selected)) {
+      options.push({ value: selected, label: `${material.storage_area_id} (not on map)` });
+    }
+
+    select.innerHTML = ['<option value="">Unassigned</option>']
+      .concat(options.map((option) => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`))
+      .join('');
+    select.value = selected;
+  }
+
+  async function handleReorderAction(event) {
+    const trigger = event.target.closest('[data-reorder-action="request"]');
+    if (!trigger) return;
+
+    const manufacturerId = Number(trigger.dataset.manufacturerId);
+    const items = state.reorderItems.filter((item) => Number(item.manufacturer_id) === manufacturerId && item.suggested_quantity > 0);
+    if (!items.length) return;
+
+    const summary = items.map((item) => `${item.name} × ${item.suggested_quantity}${item.unit ? ` ${item.unit}` : ''}`).join(', ');
+    if (!window.confirm(`Raise a purchase request with ${items[0].manufacturer} for ${summary}?`)) return;
+
+    try {
+      const request = await apiFetch('/api/command-center/hazmat/purchase-requests', {
+        method: 'POST',
+        body: JSON.stringify({
+          manufacturer_id: manufacturerId,
+          lines: items.map((item) => ({ material_id: item.material_id, quantity: item.suggested_quantity })),
+        }),
+      });
+      setStatus(`Purchase request #${request.id} raised with ${request.manufacturer}.`, 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to raise purchase request.', 'error');
+    }
+  }
+
+  async function handlePurchaseRequestAction(event) {
+    const trigger = event.target.closest('[data-purchase-action]');
+    const card = trigger ? trigger.closest('[data-purchase-id]') : null;
+    if (!trigger || !card) return;
+
+    const id = card.dataset.purchaseId;
+    const action = trigger.dataset.purchaseAction;
+    let body = {};
+    if (action === 'order') {
+      const reference = window.prompt('Purchase order reference (optional)', '');
+      if (reference === null) return;
+      body = { order_reference: reference };
+    } else if (action === 'receive') {
+      if (!window.confirm(`Receive purchase request #${id}? New stock will be created with fresh label IDs.`)) return;
+    } else if (action === 'cancel') {
+      if (!window.confirm(`Cancel purchase request #${id}?`)) return;
+    } else {
+      return;
+    }
+
+    try {
+      const result = await apiFetch(`/api/command-center/hazmat/purchase-requests/${encodeURIComponent(id)}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify(body),
+      });
+      if (action === 'receive') {
+        const labels = (result.materials || []).map((material) => material.label_id).join(', ');
+        setStatus(`Purchase request #${id} received${labels ? `; created ${labels}` : ''}.`, 'info');
+      } else {
+        setStatus(`Purchase request #${id} ${result.status}.`, 'info');
+      }
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to update purchase request.', 'error');
+    }
+  }
+
+  function updateAssetFilter(key, value) {
+    const normalizedValue = value === undefined || value === null ? '' : String(value).trim();
+
+    if (key === 'duePreset') {
+      state.assetFilters.duePreset = normalizeDuePreset(normalizedValue);
+      applyDuePresetToFilter(state.assetFilters.duePreset);
+    } else if (key === 'dueMin' || key === 'dueMax') {
+      state.assetFilters[key] = normalizeDayFilterValue(normalizedValue);
+      state.assetFilters.duePreset = state.assetFilters.dueMin || state.assetFilters.dueMax ? 'custom' : 'all';
+    } else if (key === 'department' || key === 'type' || key === 'status') {
+      state.assetFilters[key] = normalizedValue || 'all';
+    } else if (key === 'records') {
+      state.assetFilters.records = normalizedValue === 'archived' ? 'archived' : 'active';
+    }
+
+    renderAssetConsole();
+  }
+
+  function clearAssetFilters() {
+    state.assetFilters = {
+      duePreset: 'all',
+      dueMin: '',
+      dueMax: '',
+      department: 'all',
+      type: 'all',
+      status: 'all',
+      records: 'active',
+    };
+    renderAssetConsole();
+  }
+
+  function handleAssetResultClick(event) {
+    const restoreButton = event && event.target ? event.target.closest('[data-archive-action="restore"]') : null;
+    if (restoreButton) {
+      const archivedCard = restoreButton.closest('[data-archived-id]');
+      if (archivedCard) restoreArchivedRecord(archivedCard.dataset.archivedId);
+      return;
+    }
+
+    const card = event && event.target ? event.target.closest('[data-asset-source][data-asset-id]') : null;
+    if (!card) return;
+
+    const actionButton = event.target.closest('[data-result-action]');
+    if (actionButton) {
+      handleAssetResultAction(card.dataset.assetSource, card.dataset.assetId, actionButton.dataset.resultAction);
+      return;
+    }
+
+    openAssetFromConsole(card.dataset.assetSource, card.dataset.assetId);
+  }
+
+  function handleAssetResultAction(source, id, action) {
+    if (source === 'hazmat') {
+      const material = findMaterialById(id);
+      if (!material) return;
+
+      setView('hazmat');
+
+      if (action === 'edit') {
+        openMaterialModal(material);
+        return;
+      }
+
+      if (action === 'verify') {
+        verifyMaterial(material);
+        return;
+      }
+
+      openAssetDetailModal(material, 'hazmat');
+      return;
+    }
+
+    if (source === 'debug') {
+      const ticket = findDebugTicketById(id);
+      if (!ticket) return;
+
+      setView('debug');
+      setSection('assets');
+      selectDebugTicket(ticket.id);
+
+      if (action === 'edit') {
+        populateDebugTicketForm(ticket);
+      }
+      return;
+    }
+
+    if (source !== 'calibration') {
+      openAssetFromConsole(source, id);
+      return;
+    }
+
+    const asset = findCalibrationById(id);
+    if (!asset) return;
+
+    setView('calibration');
+
+    if (action === 'edit') {
+      openCalibrationModal(asset);
+      return;
+    }
+
+    if (action === 'calibrate') {
+      openCertificateModal(asset);
+      return;
+    }
+
+    if (action === 'checkin') {
+      openCheckinModal(asset);
+      return;
+    }
+
+    openAssetDetailModal(asset, 'calibration');
+  }
+
+  function openAssetFromConsole(source, id) {
+    if (source === 'hazmat') {
+      const material = findMaterialById(id);
+      setView('hazmat');
+      if (material) openAssetDetailModal(material, 'hazmat');
+      return;
+    }
+
+    if (source === 'debug') {
+      const ticket = findDebugTicketById(id);
+      setView('debug');
+      setSection('assets');
+      if (ticket) {
+        selectDebugTicket(ticket.id);
+        populateDebugTicketForm(ticket);
+      }
+      return;
+    }
+
+    if (source === 'calibration') {
+      const asset = findCalibrationById(id);
+      setView('calibration');
+      if (asset) openAssetDetailModal(asset, 'calibration');
+      return;
+    }
+  }
+
+  function applyInventoryTableFilters() {
+    if (!state.inventoryTable) return;
+    const searchTerm = elements.inventorySearch ? elements.inventorySearch.value : '';
+    state.inventoryTable.setFilter((data) => matchesInventoryAssetFilters(data) && filterInventoryRows(data, searchTerm));
+  }
+
+  function getCalibrationSearchTerm() {
+    return elements.dashboardCalibrationSearch ? elements.dashboardCalibrationSearch.value : '';
+  }
+
+  function normalizeSearchTerm(value) {
+    return String(value || '').trim().toLowerCase();
+  }
+
+  function matchesQueueSearch(entry, searchTerm) {
+    return [
+      entry.title,
+      entry.subtitle,
+      entry.department,
+      entry.detail,
+      entry.nextCal,
+      queueStatusLabel(entry.statusKey),
+    ].some((field) => normalizeSearchTerm(field).includes(searchTerm));
+  }
+
+  function applyCalibrationTableFilters() {
+    if (!state.calibrationTable) return;
+    const searchTerm = getCalibrationSearchTerm();
+    state.calibrationTable.setFilter((data) => matchesCalibrationAssetFilters(data) && filterCalibrationRows(data, searchTerm));
+  }
+
+  function matchesInventoryAssetFilters(data) {
+    void data;
+    return true;
+  }
+
+  function matchesCalibrationAssetFilters(data) {
+    const filters = state.assetFilters;
+    const daysUntilDue = resolveCalibrationDaysUntilDue(data);
+    const dueWindow = resolveDueWindow(filters);
+
+    if (dueWindow.active && !isWithinDueWindow(daysUntilDue, dueWindow.min, dueWindow.max)) return false;
+    if (filters.department !== 'all' && (data.assigned_department || '') !== filters.department) return false;
+    if (filters.type !== 'all' && !getCalibrationTypeTags(data).includes(filters.type)) return false;
+    if (filters.status !== 'all' && calibrationQueueStatusKey(data, daysUntilDue) !== filters.status) return false;
+    return true;
+  }
+
+  function getHazmatTypeTags(item) {
+    return ['material'].concat(item.high_hazard ? ['high_hazard'] : [], item.low_stock ? ['low_stock'] : [], item.expired ? ['expired'] : [], isHazmatWarning(item) ? ['warning'] : []);
+  }
+
+  function getCalibrationTypeTags(item) {
+    return ['calibration', normalizeFilterTag(item.category || 'uncategorized')].filter(Boolean);
+  }
+
+  function normalizeDuePreset(value) {
+    const preset = String(value || '').trim().toLowerCase();
+    if (preset === '1' || preset === '3' || preset === '5' || preset === '1-5' || preset === 'custom') {
+      return preset;
+    }
+    return 'all';
+  }
+
+  function normalizeDayFilterValue(value) {
+    if (value === '') return '';
+    const parsed = Number.parseInt(String(value), 10);
+    if (!Number.isFinite(parsed) || parsed < 0) return '';
+    return String(parsed);
+  }
+
+  function applyDuePresetToFilter(preset) {
+    switch (preset) {
+      case '1':
+        state.assetFilters.dueMin = '1';
+        state.assetFilters.dueMax = '1';
+        break;
       case '3':
         state.assetFilters.dueMin = '3';
         state.assetFilters.dueMax = '3';
@@ -2078,7 +4627,7 @@
       {
         label: 'SDS Coverage',
         value: `${hazmatStats.sdsCoveragePercent}%`,
-        hint: `${hazmatStats.sdsCovered}/${hazmatStats.sdsRequired} required materials linked`,
+        hint: `${hazmatStats.sdsCovered}/${hazmatStats.sdsRequired} required materials linked · ${hazmatStats.sdsReviewDue} review due`,
       },
     ]);
 
@@ -2193,6 +4742,9 @@
       sdsMissingManufacturer: useServerCompliance ? compliance.missing_manufacturer_total : 0,
       sdsMissingCas: useServerCompliance ? compliance.missing_cas_total : 0,
       sdsTopMissingPairs: useServerCompliance ? compliance.top_missing_pairs : [],
+      sdsReviewDue: useServerCompliance ? compliance.review_due_total : 0,
+      sdsReviewDueMaterials: useServerCompliance ? compliance.review_due_material_total : 0,
+      sdsReviewAgeDays: useServerCompliance ? compliance.review_age_days : DEFAULT_SETTINGS.sdsReviewAgeDays,
     };
   }
 
@@ -2266,6 +4818,9 @@
       const topPair = stats.sdsTopMissingPairs[0];
       notes.push(`Priority SDS gap: ${topPair.manufacturer} / ${topPair.cas_number} affects ${topPair.count} material record(s).`);
     }
+    if (stats.sdsReviewDue > 0) {
+      notes.push(`Request current SDS revisions for ${stats.sdsReviewDue} document(s) older than ${stats.sdsReviewAgeDays} days (${stats.sdsReviewDueMaterials} linked material record(s)).`);
+    }
     if (!notes.length) {
       notes.push('Hazmat performance is stable. Continue current handling cadence and periodic spot checks.');
     }
@@ -2474,13 +5029,16 @@
       {
         title: 'Actions',
         field: 'actions',
-        minWidth: 220,
+        minWidth: 400,
         headerSort: false,
         formatter: () => [
           '<div class="table-actions">',
           '<button class="table-button" data-action="use">Use</button>',
+          '<button class="table-button" data-action="label">Label</button>',
+          '<button class="table-button" data-action="waste">Waste</button>',
+          '<button class="table-button" data-action="transfer">Transfer</button>',
           '<button class="table-button" data-action="edit">Edit</button>',
-          '<button class="table-button" data-action="delete">Delete</button>',
+          '<button class="table-button" data-action="delete">Archive</button>',
           '</div>',
         ].join(''),
         cellClick: (event, cell) => {
@@ -2488,6 +5046,9 @@
           if (!action) return;
           const row = cell.getRow().getData();
           if (action === 'use') openUsageModal(row);
+          if (action === 'label') printMaterialLabels([row.id], `Label for ${row.label_id || row.name}`);
+          if (action === 'waste') openWasteModal(row);
+          if (action === 'transfer') openTransferModal(row);
           if (action === 'edit') openMaterialModal(row);
           if (action === 'delete') deleteMaterial(row);
         },
@@ -2643,10 +5204,12 @@
           const disabled = isCalibrationRed(row) ? 'disabled' : '';
           return [
             '<div class="table-actions">',
-            `<button class="table-button" data-action="checkout" ${disabled}>Check-out</button>`,
+            row.checked_out
+              ? '<button class="table-button" data-action="checkin">Check-in</button>'
+              : `<button class="table-button" data-action="checkout" ${disabled}>Check-out</button>`,
             '<button class="table-button" data-action="certificate">Certificate</button>',
             '<button class="table-button" data-action="edit">Edit</button>',
-            '<button class="table-button" data-action="delete">Delete</button>',
+            '<button class="table-button" data-action="delete">Archive</button>',
             '</div>',
           ].join('');
         },
@@ -2655,6 +5218,7 @@
           if (!action) return;
           const row = cell.getRow().getData();
           if (action === 'checkout' && !isCalibrationRed(row)) openCheckoutModal(row);
+          if (action === 'checkin') openCheckinModal(row);
           if (action === 'certificate') openCertificateModal(row);
           if (action === 'edit') openCalibrationModal(row);
           if (action === 'delete') deleteCalibration(row);
@@ -2733,7 +5297,7 @@
         formatter: () => [
           '<div class="table-actions">',
           '<button class="table-button" data-action="edit">Edit</button>',
-          '<button class="table-button" data-action="delete">Delete</button>',
+          '<button class="table-button" data-action="delete">Archive</button>',
           '<button class="table-button blue" data-action="report">FA Report</button>',
           '</div>',
         ].join(''),
@@ -3198,7 +5762,7 @@
   async function handleDebugTicketDeleteRequest() {
     const ticketId = Number(state.editingDebugTicketId || state.activeDebugTicketId || 0);
     if (!Number.isInteger(ticketId) || ticketId <= 0) {
-      setStatus('Select a debug ticket before deleting.', 'error');
+      setStatus('Select a debug ticket before archiving.', 'error');
       return;
     }
     await deleteDebugTicketById(ticketId);
@@ -3211,17 +5775,20 @@
       return;
     }
 
-    if (!window.confirm(`Delete failure ticket ${ticket.serial_number}?`)) return;
+    const reason = promptArchiveReason(`failure ticket ${ticket.serial_number}`);
+    if (!reason) return;
 
     try {
       await apiFetch(`/api/command-center/debug-lab/tickets/${ticketId}`, {
         method: 'DELETE',
+        body: JSON.stringify({ reason }),
       });
-      setStatus('Debug ticket deleted.', 'info');
+      setStatus('Debug ticket archived.', 'info');
+      state.archivedRecords.debug = null;
       await refreshPortal({ silentStatus: true });
       resetDebugTicketForm();
     } catch (error) {
-      setStatus(error.message || 'Failed to delete debug ticket.', 'error');
+      setStatus(error.message || 'Failed to archive debug ticket.', 'error');
     }
   }
 
@@ -3595,6 +6162,7 @@
 
   function setSection(section, options = {}) {
     const nextSection = normalizeSection(section);
+    const sectionChanged = state.currentSection !== nextSection;
     state.currentSection = nextSection;
     if (elements.shell) {
       elements.shell.dataset.section = nextSection;
@@ -3619,6 +6187,9 @@
     if (nextSection === 'reports') {
       syncReportModuleControls();
     }
+    if (nextSection === 'scan' && (sectionChanged || !state.scanStation.session)) {
+      activateScanStation();
+    }
 
     if (options.redraw !== false) {
       redrawVisibleTables(nextSection, state.currentView);
@@ -3687,6 +6258,11 @@
         title: 'Calibration CFE Intake',
         subtitle: 'CFE is enabled for Calibration only.',
       },
+      scan: {
+        label: 'Scan Station',
+        title: 'Hazmat Scan Station',
+        subtitle: 'Scan container labels to use, verify, move, or retire stock, with every action kept in the shift session log.',
+      },
       templates: {
         label: 'Templates',
         title: isHazmat ? 'Hazmat DNA Reference' : 'Calibration Template DNA',
@@ -3823,6 +6399,7 @@
         departmentSupervisors: normalizeDepartmentSupervisorMap(parsed.departmentSupervisors, departments),
         departmentViewMode: normalizeDepartmentViewMode(parsed.departmentViewMode),
         hazmatWarningLeadDays: normalizePositiveInteger(parsed.hazmatWarningLeadDays || parsed.hazmat_warning_lead_days, DEFAULT_SETTINGS.hazmatWarningLeadDays),
+        sdsReviewAgeDays: normalizePositiveInteger(parsed.sdsReviewAgeDays, DEFAULT_SETTINGS.sdsReviewAgeDays),
         calibrationAlertLeadDays: normalizeNonNegativeInteger(parsed.calibrationAlertLeadDays || parsed.calibration_alert_lead_days, DEFAULT_SETTINGS.calibrationAlertLeadDays),
         calibrationGraceDays: normalizeNonNegativeInteger(parsed.calibrationGraceDays || parsed.calibration_grace_days, DEFAULT_SETTINGS.calibrationGraceDays),
       };
@@ -3895,6 +6472,7 @@
     renderDepartmentAdminList();
     renderManufacturerAdminList();
     renderCasThresholdControls();
+    renderQuantityLimitControls();
   }
 
   function renderDepartmentFormControls() {
@@ -4626,6 +7204,94 @@
     }
   }
 
+  function formatQuantityLimitValue(value, unit) {
+    return value === null || value === undefined ? '—' : `${value} ${unit}`;
+  }
+
+  function renderQuantityLimitControls() {
+    const canManage = canManageCasThresholdDefaults();
+    if (elements.quantityLimitPanel) {
+      elements.quantityLimitPanel.classList.toggle('hidden', !canManage);
+    }
+    if (!canManage || !elements.quantityLimitList) return;
+
+    const limits = state.quantityReport ? state.quantityReport.limits : [];
+    if (!limits.length) {
+      elements.quantityLimitList.innerHTML = '<div class="department-admin-empty">No quantity limits configured.</div>';
+      return;
+    }
+
+    elements.quantityLimitList.innerHTML = limits.map((limit) => [
+      '<article class="cas-threshold-row">',
+      '<div class="cas-threshold-meta">',
+      `<strong>${escapeHtml(`${limit.hazard_class} · ${limit.label}`)}</strong>`,
+      `<small>${escapeHtml(`Area: ${formatQuantityLimitValue(limit.max_area_mass_kg, 'kg')} / ${formatQuantityLimitValue(limit.max_area_volume_l, 'L')} · Facility: ${formatQuantityLimitValue(limit.max_facility_mass_kg, 'kg')} / ${formatQuantityLimitValue(limit.max_facility_volume_l, 'L')}`)}</small>`,
+      '</div>',
+      '<div class="cas-threshold-actions">',
+      `<button class="table-button" type="button" data-quantity-limit-action="edit" data-hazard-class="${escapeHtml(limit.hazard_class)}">Edit</button>`,
+      `<button class="table-button" type="button" data-quantity-limit-action="delete" data-hazard-class="${escapeHtml(limit.hazard_class)}">Delete</button>`,
+      '</div>',
+      '</article>',
+    ].join('')).join('');
+  }
+
+  async function submitQuantityLimitForm(event) {
+    event.preventDefault();
+    const form = elements.quantityLimitForm;
+    if (!form) return;
+
+    const hazardClass = String(form.hazard_class.value || '').trim();
+    const payload = { label: String(form.label.value || '').trim() || null };
+    QUANTITY_LIMIT_FIELDS.forEach((field) => {
+      payload[field] = form[field].value === '' ? null : Number(form[field].value);
+    });
+
+    try {
+      await apiFetch(`/api/command-center/hazmat/quantity-limits/${encodeURIComponent(hazardClass)}`, {
+        method: 'PUT',
+        body: JSON.stringify(payload),
+      });
+      form.reset();
+      await refreshPortal({ silentStatus: true });
+      setStatus(`Quantity limits saved for class ${hazardClass}.`, 'info');
+    } catch (error) {
+      setStatus(error.message || 'Failed to save quantity limit.', 'error');
+    }
+  }
+
+  async function handleQuantityLimitListClick(event) {
+    const button = event && event.target
+      ? event.target.closest('[data-quantity-limit-action][data-hazard-class]')
+      : null;
+    if (!button || !state.quantityReport) return;
+
+    const hazardClass = button.dataset.hazardClass;
+    const limit = state.quantityReport.limits.find((entry) => entry.hazard_class === hazardClass);
+    if (!limit) return;
+
+    if (button.dataset.quantityLimitAction === 'edit') {
+      const form = elements.quantityLimitForm;
+      if (!form) return;
+      form.hazard_class.value = limit.hazard_class;
+      form.label.value = limit.label || '';
+      QUANTITY_LIMIT_FIELDS.forEach((field) => {
+        form[field].value = limit[field] === null ? '' : String(limit[field]);
+      });
+      return;
+    }
+
+    if (button.dataset.quantityLimitAction !== 'delete') return;
+    if (!window.confirm(`Delete quantity limits for class ${hazardClass}?`)) return;
+
+    try {
+      await apiFetch(`/api/command-center/hazmat/quantity-limits/${encodeURIComponent(hazardClass)}`, { method: 'DELETE' });
+      await refreshPortal({ silentStatus: true });
+      setStatus(`Quantity limits removed for class ${hazardClass}.`, 'info');
+    } catch (error) {
+      setStatus(error.message || 'Failed to delete quantity limit.', 'error');
+    }
+  }
+
   function hydrateSettingsForm() {
     if (!elements.settingsForm) return;
     renderDefaultDepartmentOptions();
@@ -4753,6 +7419,11 @@
     elements.departmentModalForm.department_name.value = currentName;
     elements.departmentModalForm.department_supervisor.value = readDepartmentSupervisor(currentName);
     elements.departmentModalForm.department_supervisor.required = isCalibration;
+    if (elements.departmentModalForm.department_supervisor_email) {
+      const record = findDepartmentRecordByName(currentName);
+      elements.departmentModalForm.department_supervisor_email.value = (record && record.supervisor_email) || '';
+    }
+    hydrateDepartmentSupervisorAccountOptions(findDepartmentRecordByName(currentName));
 
     if (elements.departmentModalNote) {
       elements.departmentModalNote.textContent = isCalibration
@@ -4763,6 +7434,22 @@
     openModal('department-modal');
   }
 
+  async function hydrateDepartmentSupervisorAccountOptions(record) {
+    const select = elements.departmentModalForm && elements.departmentModalForm.department_supervisor_user_id;
+    if (!select) return;
+
+    if (!state.userDirectory) {
+      state.userDirectory = await apiFetch('/api/users').catch(() => null);
+    }
+    const users = Array.isArray(state.userDirectory) ? state.userDirectory : [];
+    select.innerHTML = ['<option value="">Not linked</option>']
+      .concat(users.map((user) => (
+        `<option value="${escapeHtml(String(user.id))}">${escapeHtml(user.display_name && user.display_name !== user.username ? `${user.display_name} (${user.username})` : user.username)}</option>`
+      )))
+      .join('');
+    select.value = record && record.supervisor_user_id ? String(record.supervisor_user_id) : '';
+  }
+
   async function submitDepartmentModalForm(event) {
     event.preventDefault();
     if (!elements.departmentModalForm) return;
@@ -4775,6 +7462,12 @@
 
     const nextName = normalizeDepartmentName(elements.departmentModalForm.department_name.value);
     const supervisor = normalizeSupervisorName(elements.departmentModalForm.department_supervisor.value);
+    const supervisorEmail = elements.departmentModalForm.department_supervisor_email
+      ? String(elements.departmentModalForm.department_supervisor_email.value || '').trim()
+      : undefined;
+    const supervisorUserId = elements.departmentModalForm.department_supervisor_user_id
+      ? Number(elements.departmentModalForm.department_supervisor_user_id.value) || null
+      : undefined;
     const isCalibration = normalizeModule(state.currentModule) === 'calibration';
 
     if (!nextName) {
@@ -4810,7 +7503,7 @@
         await updateTemplateDepartmentAssignments(currentName, nextName);
       }
 
-      const persisted = await updatePersistedDepartmentRecord(currentName, nextName, supervisor);
+      const persisted = await updatePersistedDepartmentRecord(currentName, nextName, supervisor, supervisorEmail, supervisorUserId);
       const savedName = normalizeDepartmentName(persisted && persisted.name ? persisted.name : nextName) || nextName;
       const savedSupervisor = normalizeSupervisorName(persisted && persisted.supervisor ? persisted.supervisor : supervisor);
 
@@ -5024,6 +7717,8 @@
       id,
       name,
       supervisor: normalizeSupervisorName(record && (record.supervisor || record.department_supervisor)),
+      supervisor_email: String((record && record.supervisor_email) || '').trim(),
+      supervisor_user_id: Number(record && record.supervisor_user_id) || null,
     };
   }
 
@@ -5092,21 +7787,23 @@
     return output;
   }
 
-  async function createPersistedDepartmentRecord(name, supervisor) {
+  async function createPersistedDepartmentRecord(name, supervisor, supervisorEmail, supervisorUserId) {
     const created = await apiFetch('/api/command-center/departments', {
       method: 'POST',
       body: JSON.stringify({
         name: normalizeDepartmentName(name),
         supervisor: normalizeSupervisorName(supervisor),
+        supervisor_email: supervisorEmail,
+        supervisor_user_id: supervisorUserId,
       }),
     });
     return upsertDepartmentRecord(created);
   }
 
-  async function updatePersistedDepartmentRecord(currentName, nextName, supervisor) {
+  async function updatePersistedDepartmentRecord(currentName, nextName, supervisor, supervisorEmail, supervisorUserId) {
     const currentRecord = findDepartmentRecordByName(currentName);
     if (!currentRecord) {
-      return createPersistedDepartmentRecord(nextName, supervisor);
+      return createPersistedDepartmentRecord(nextName, supervisor, supervisorEmail, supervisorUserId);
     }
 
     const updated = await apiFetch(`/api/command-center/departments/${currentRecord.id}`, {
@@ -5114,6 +7811,8 @@
       body: JSON.stringify({
         name: normalizeDepartmentName(nextName),
         supervisor: normalizeSupervisorName(supervisor),
+        supervisor_email: supervisorEmail,
+        supervisor_user_id: supervisorUserId,
       }),
     });
     return upsertDepartmentRecord(updated);
@@ -5166,6 +7865,7 @@
     const casNumber = formatCasNumber(String(record && (record.cas_number || record.casNumber) || '').trim());
     const sdsPath = String(record && (record.sds_file_path || record.sdsPath || '') || '').trim();
     const createdAt = record && record.created_at ? String(record.created_at) : null;
+    const revisionDate = record && record.revision_date ? String(record.revision_date).slice(0, 10) : null;
 
     if (!Number.isInteger(id) || id <= 0) return null;
     if (!Number.isInteger(manufacturerId) || manufacturerId <= 0) return null;
@@ -5179,6 +7879,7 @@
       manufacturer,
       cas_number: casNumber,
       sds_file_path: sdsPath,
+      revision_date: revisionDate,
       created_at: createdAt,
     };
   }
@@ -5219,6 +7920,9 @@
     const pairs = Array.isArray(source.top_missing_pairs)
       ? source.top_missing_pairs
       : [];
+    const reviewDue = Array.isArray(source.review_due)
+      ? source.review_due
+      : [];
 
     return {
       required_total: Math.max(0, Math.round(asNumber(source.required_total))),
@@ -5234,7 +7938,54 @@
         manufacturer: normalizeManufacturerName(entry && entry.manufacturer),
         count: Math.max(0, Math.round(asNumber(entry && entry.count))),
       })).filter((entry) => entry.cas_number && entry.manufacturer),
+      review_age_days: Math.max(1, Math.round(asNumber(source.review_age_days, DEFAULT_SETTINGS.sdsReviewAgeDays))),
+      review_due_total: Math.max(0, Math.round(asNumber(source.review_due_total))),
+      review_due_material_total: Math.max(0, Math.round(asNumber(source.review_due_material_total))),
+      review_due: reviewDue.map((entry) => ({
+        id: Math.round(asNumber(entry && entry.id)),
+        cas_number: formatCasNumber(String(entry && entry.cas_number ? entry.cas_number : '').trim()),
+        manufacturer: normalizeManufacturerName(entry && entry.manufacturer),
+        revision_date: entry && entry.revision_date ? String(entry.revision_date) : null,
+        age_days: Math.max(0, Math.round(asNumber(entry && entry.age_days))),
+        linked_materials: Math.max(0, Math.round(asNumber(entry && entry.linked_materials))),
+      })).filter((entry) => entry.id > 0),
+    };
+  }
+
+  function buildSdsComplianceUrl() {
+    const reviewAgeDays = normalizePositiveInteger(state.settings.sdsReviewAgeDays, DEFAULT_SETTINGS.sdsReviewAgeDays);
+    return `/api/command-center/hazmat/sds-compliance?review_age_days=${reviewAgeDays}`;
+  }
+
+  function isSdsReviewDue(record) {
+    const compliance = normalizeHazmatSdsCompliance(state.hazmatSdsCompliance);
+    if (compliance && record) {
+      return compliance.review_due.some((entry) => entry.id === Number(record.id));
+    }
+    return false;
+  }
+
+  async function handleSdsReviewAgeChange() {
+    if (!elements.sdsReviewAgeDays) return;
+    const reviewAgeDays = Math.min(
+      normalizePositiveInteger(elements.sdsReviewAgeDays.value, DEFAULT_SETTINGS.sdsReviewAgeDays),
+      3650
+    );
+    elements.sdsReviewAgeDays.value = String(reviewAgeDays);
+    state.settings = {
+      ...state.settings,
+      sdsReviewAgeDays: reviewAgeDays,
     };
+    persistSettings();
+
+    try {
+      state.hazmatSdsCompliance = normalizeHazmatSdsCompliance(await apiFetch(buildSdsComplianceUrl()));
+      renderManufacturerSdsList();
+      renderReportSummary();
+      setManufacturerSdsStatus(`SDS revisions older than ${reviewAgeDays} days are flagged for review.`, 'info');
+    } catch (error) {
+      setManufacturerSdsStatus(error.message || 'Failed to refresh SDS review status.', 'error');
+    }
   }
 
   function normalizeManufacturerList(values) {
@@ -5568,21 +8319,50 @@
         fileName = rawFileName;
       }
 
+      const history = state.manufacturerSdsHistory && state.manufacturerSdsHistory.id === entry.id
+        ? state.manufacturerSdsHistory
+        : null;
+
       return [
         '<article class="manufacturer-sds-row">',
         '<div class="manufacturer-sds-meta">',
         `<strong>${escapeHtml(entry.cas_number)}</strong>`,
-        `<small>${escapeHtml(entry.manufacturer)} · ${escapeHtml(fileName || 'SDS PDF')}</small>`,
+        `<small>${escapeHtml(entry.manufacturer)} · ${escapeHtml(fileName || 'SDS PDF')}${entry.revision_date ? ` · Revised ${escapeHtml(entry.revision_date)}` : ''}</small>`,
         '</div>',
         '<div class="manufacturer-sds-actions">',
+        isSdsReviewDue(entry) ? '<span class="status-chip status-amber">Review Due</span>' : '',
         `<button class="table-button" type="button" data-manufacturer-sds-action="view" data-sds-path="${escapeHtml(entry.sds_file_path)}">View SDS</button>`,
+        `<button class="table-button" type="button" data-manufacturer-sds-action="history" data-sds-id="${entry.id}">${history ? 'Hide History' : 'History'}</button>`,
         `<button class="table-button" type="button" data-manufacturer-sds-action="delete" data-sds-id="${entry.id}">Delete</button>`,
         '</div>',
         '</article>',
+        history ? renderManufacturerSdsHistory(history.revisions) : '',
       ].join('');
     }).join('');
   }
 
+  function renderManufacturerSdsHistory(revisions) {
+    const rows = Array.isArray(revisions) ? revisions : [];
+    if (!rows.length) {
+      return '<div class="manufacturer-sds-history"><small>No revisions recorded.</small></div>';
+    }
+
+    return [
+      '<div class="manufacturer-sds-history">',
+      rows.map((revision) => [
+        '<div class="manufacturer-sds-history-row">',
+        '<small>',
+        `Rev ${escapeHtml(revision.revision_number)} · ${escapeHtml(revision.revision_date || 'Undated')}`,
+        ` · ${escapeHtml(revision.uploaded_by || 'Unknown')} · ${escapeHtml(formatDateTime(revision.uploaded_at))}`,
+        revision.current ? ' · Current' : ` · Superseded ${escapeHtml(formatDateTime(revision.superseded_at))}`,
+        '</small>',
+        `<button class="table-button" type="button" data-manufacturer-sds-action="view" data-sds-path="${escapeHtml(revision.sds_file_path || '')}">View</button>`,
+        '</div>',
+      ].join('')).join(''),
+      '</div>',
+    ].join('');
+  }
+
   function renderManufacturerSdsManager() {
     const canManage = canManageManufacturers();
     if (!canManage) return;
@@ -5595,6 +8375,10 @@
       }
     }
 
+    if (elements.sdsReviewAgeDays) {
+      elements.sdsReviewAgeDays.value = String(normalizePositiveInteger(state.settings.sdsReviewAgeDays, DEFAULT_SETTINGS.sdsReviewAgeDays));
+    }
+
     renderManufacturerSdsList();
     syncManufacturerSdsUploadControls();
 
@@ -5660,6 +8444,10 @@
       formData.append('file', file);
       formData.append('cas_number', casNumber);
       formData.append('manufacturer_id', String(manufacturerRecord.id));
+      const revisionDate = String(elements.manufacturerSdsRevisionDate ? elements.manufacturerSdsRevisionDate.value : '').trim();
+      if (revisionDate) {
+        formData.append('revision_date', revisionDate);
+      }
 
       const response = await apiFetch('/api/command-center/sds/upload', {
         method: 'POST',
@@ -5667,9 +8455,17 @@
       });
 
       const saved = upsertManufacturerSdsRecord(response && response.sds ? response.sds : null);
+      const revisionNumber = response && response.revision ? Number(response.revision.revision_number) : 1;
+      if (elements.manufacturerSdsRevisionDate) {
+        elements.manufacturerSdsRevisionDate.value = '';
+      }
+      state.manufacturerSdsHistory = null;
+      state.hazmatSdsCompliance = normalizeHazmatSdsCompliance(await apiFetch(buildSdsComplianceUrl()).catch(() => state.hazmatSdsCompliance));
       renderManufacturerSdsList();
       setManufacturerSdsStatus(
-        saved ? `SDS mapped to ${saved.manufacturer} / ${saved.cas_number}.` : 'SDS mapping updated.',
+        saved
+          ? `SDS mapped to ${saved.manufacturer} / ${saved.cas_number}${revisionNumber > 1 ? ` as revision ${revisionNumber}; the previous revision is kept in history` : ''}.`
+          : 'SDS mapping updated.',
         'success'
       );
 
@@ -5710,6 +8506,28 @@
       return;
     }
 
+    if (action === 'history') {
+      const historyId = Number(button.dataset.sdsId);
+      if (!Number.isInteger(historyId) || historyId <= 0) return;
+      if (state.manufacturerSdsHistory && state.manufacturerSdsHistory.id === historyId) {
+        state.manufacturerSdsHistory = null;
+        renderManufacturerSdsList();
+        return;
+      }
+
+      try {
+        const response = await apiFetch(`/api/command-center/sds-documents/${historyId}/revisions`);
+        state.manufacturerSdsHistory = {
+          id: historyId,
+          revisions: Array.isArray(response && response.revisions) ? response.revisions : [],
+        };
+        renderManufacturerSdsList();
+      } catch (error) {
+        setManufacturerSdsStatus(error.message || 'Failed to load SDS revision history.', 'error');
+      }
+      return;
+    }
+
     if (action !== 'delete') return;
     const sdsId = Number(button.dataset.sdsId);
     if (!Number.isInteger(sdsId) || sdsId <= 0) return;
@@ -6043,13 +8861,14 @@
     const casRaw = elements.materialForm && elements.materialForm.cas_number
       ? String(elements.materialForm.cas_number.value || '').trim()
       : '';
+    const firstComponent = casRaw ? null : readMaterialFormComponents().components[0];
     const manufacturerName = normalizeManufacturerInputValue(elements.materialForm && elements.materialForm.manufacturer
       ? elements.materialForm.manufacturer.value
       : '');
     const manufacturerRecord = findManufacturerRecordByName(manufacturerName);
 
     return {
-      cas_number: casRaw ? formatCasNumber(casRaw) : '',
+      cas_number: casRaw ? formatCasNumber(casRaw) : (firstComponent ? firstComponent.cas_number : ''),
       manufacturer: manufacturerName,
       manufacturer_id: manufacturerRecord && Number.isInteger(Number(manufacturerRecord.id))
         ? Number(manufacturerRecord.id)
@@ -6057,6 +8876,61 @@
     };
   }
 
+  function parseMaterialComponentsInput(value) {
+    const components = [];
+    const lines = String(value || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    for (const line of lines) {
+      const parts = line.split(',').map((part) => part.trim());
+      const casNumber = formatCasNumber(parts[0]);
+      if (!isValidCasNumber(casNumber)) {
+        return { components: [], error: `Component "${line}" needs a CAS number in XXX-XX-X format.` };
+      }
+
+      const rangeMatch = parts.length > 1
+        ? parts[parts.length - 1].match(/^([\d.]+)\s*(?:-\s*([\d.]+))?\s*%?$/)
+        : null;
+      const nameParts = rangeMatch ? parts.slice(1, -1) : parts.slice(1);
+      components.push({
+        cas_number: casNumber,
+        name: nameParts.join(', ') || null,
+        concentration_min: rangeMatch ? Number(rangeMatch[1]) : null,
+        concentration_max: rangeMatch ? Number(rangeMatch[2] || rangeMatch[1]) : null,
+      });
+    }
+    return { components, error: '' };
+  }
+
+  function formatConcentrationRange(component) {
+    const min = component && component.concentration_min;
+    const max = component && component.concentration_max;
+    if (min != null && max != null) return min === max ? `${min}%` : `${min}-${max}%`;
+    if (max != null) return `0-${max}%`;
+    return min != null ? `${min}-100%` : '';
+  }
+
+  function formatMaterialComponentsInput(components) {
+    return (Array.isArray(components) ? components : [])
+      .map((component) => [component.cas_number, component.name, formatConcentrationRange(component)].filter(Boolean).join(', '))
+      .join('\n');
+  }
+
+  function readMaterialFormComponents() {
+    return parseMaterialComponentsInput(elements.materialForm && elements.materialForm.components
+      ? elements.materialForm.components.value
+      : '');
+  }
+
+  async function handleMaterialComponentsChange() {
+    syncMaterialThresholdInputVisibility();
+    if (elements.materialSdsNotRequired && elements.materialSdsNotRequired.checked) {
+      syncMaterialSdsControls();
+    } else {
+      await resolveMaterialSdsDocument({ silentStatus: true });
+      syncMaterialSdsControls({ keepStatus: true });
+    }
+    refreshMaterialFormDirtyState();
+  }
+
   function readLinkedMaterialSdsId() {
     return normalizeMaterialSdsId(elements.materialSdsId ? elements.materialSdsId.value : '');
   }
@@ -6391,6 +9265,7 @@
     const payload = {
       name: String(form.name ? form.name.value : '').trim(),
       cas_number: String(form.cas_number ? form.cas_number.value : '').trim(),
+      components: String(form.components ? form.components.value : '').trim(),
       assigned_department: String(form.assigned_department ? form.assigned_department.value : '').trim(),
       manufacturer: normalizeManufacturerInputValue(form.manufacturer ? form.manufacturer.value : ''),
       sds_not_required: Boolean(elements.materialSdsNotRequired && elements.materialSdsNotRequired.checked),
@@ -6429,6 +9304,12 @@
     const rawCas = formatCasNumber(String(elements.materialForm.cas_number ? elements.materialForm.cas_number.value : '').trim());
     const hasCas = isValidCasNumber(rawCas);
     const matchedThreshold = hasCas ? findCasThresholdDefault(rawCas) : null;
+    const componentThresholds = hasCas
+      ? []
+      : readMaterialFormComponents().components
+        .map((component) => findCasThresholdDefault(component.cas_number))
+        .filter(Boolean)
+        .map((entry) => Number(entry.min_threshold) || 0);
 
     if (elements.materialManualThresholdWrap) {
       elements.materialManualThresholdWrap.classList.toggle('hidden', hasCas);
@@ -6442,6 +9323,8 @@
       let note = '';
       if (hasCas && matchedThreshold) {
         note = `CAS default threshold applied: ${matchedThreshold.min_threshold}`;
+      } else if (componentThresholds.length) {
+        note = `Component CAS default threshold applied: ${Math.max(...componentThresholds)}`;
       }
 
       elements.materialThresholdSourceNote.textContent = note;
@@ -6561,6 +9444,7 @@
 
   function openMaterialModal(material) {
     state.editingMaterialId = material ? material.id : null;
+    state.scanStation.pendingRegistration = null;
     state.materialFormInitialSnapshot = '{}';
     state.materialFormDirty = false;
     elements.materialModalTitle.textContent = material ? 'Edit Material' : 'Add Material';
@@ -6573,6 +9457,9 @@
     renderMaterialHazardDraft();
     elements.materialForm.name.value = material ? material.name : '';
     elements.materialForm.cas_number.value = material && material.cas_number ? material.cas_number : '';
+    if (elements.materialForm.components) {
+      elements.materialForm.components.value = material ? formatMaterialComponentsInput(material.components) : '';
+    }
     renderMaterialManufacturerOptions(material ? normalizeManufacturerInputValue(material.manufacturer) : '');
     const resolvedClass = material
       ? (normalizePrimaryClassValue(material.primary_class)
@@ -6596,9 +9483,14 @@
       elements.materialForm.division.value = resolvedDivision;
     }
     renderMaterialDepartmentOptions(material ? material.assigned_department : state.settings.defaultDepartment);
+    renderMaterialStorageAreaOptions(material);
+    if (elements.materialForm.corrosive_type) {
+      elements.materialForm.corrosive_type.value = material ? (material.corrosive_type || '') : '';
+    }
     elements.materialForm.expiration_date.value = material ? (material.expiration_date || '') : '';
 
     elements.materialForm.stock_level.value = material ? material.stock_level : '0';
+    elements.materialForm.stock_level.readOnly = Boolean(material && Array.isArray(material.containers) && material.containers.length);
     
     // Restore container size if editing
     if (material && material.container_size) {
@@ -6625,7 +9517,7 @@
     if (!sdsNotRequired && material && material.sds_id) {
       setMaterialSdsLink({
         id: material.sds_id,
-        cas_number: material.cas_number,
+        cas_number: material.cas_number || ((material.components || [])[0] || {}).cas_number,
         manufacturer: material.manufacturer,
         sds_file_path: material.sds_file_path,
       });
@@ -6753,6 +9645,21 @@
     state.activeMaterialId = material.id;
     elements.usageModalTitle.textContent = `Record Usage · ${material.name}`;
     elements.usageForm.reset();
+    if (elements.usageForm.container_id) {
+      const containers = (Array.isArray(material.containers) ? material.containers : [])
+        .filter((container) => container.status === 'active');
+      elements.usageForm.container_id.innerHTML = ['<option value="">Auto (earliest expiration first)</option>']
+        .concat(containers.map((container) => {
+          const label = [
+            container.container_label,
+            container.lot_number ? `Lot ${container.lot_number}` : '',
+            container.expiration_date ? `Exp ${container.expiration_date}` : '',
+            `${container.remaining_quantity} left`,
+          ].filter(Boolean).join(' · ');
+          return `<option value="${escapeHtml(String(container.id))}">${escapeHtml(label)}</option>`;
+        }))
+        .join('');
+    }
     openModal('usage-modal');
   }
 
@@ -6799,9 +9706,92 @@
     elements.templateForm.alert_lead_days.value = template ? template.alert_lead_days : String(state.settings.calibrationAlertLeadDays);
     elements.templateForm.grace_period_days.value = template ? template.grace_period_days : String(state.settings.calibrationGraceDays);
     hydrateTemplateUnitPicker(template ? template.unit_of_measure : 'Unitless');
+    hydrateTemplateTestPoints(moduleName === 'calibration' && template ? template.test_points : []);
+    if (elements.templateTestPointsSection) {
+      elements.templateTestPointsSection.classList.toggle('hidden', moduleName !== 'calibration');
+    }
+    if (elements.templateIntervalAdjustSection) {
+      elements.templateIntervalAdjustSection.classList.toggle('hidden', moduleName !== 'calibration');
+    }
+    hydrateTemplateIntervalAdjustment(moduleName === 'calibration' ? template : null);
     openModal('template-modal');
   }
 
+  function hydrateTemplateIntervalAdjustment(template) {
+    const form = elements.templateForm;
+    form.interval_adjust_enabled.checked = Boolean(template && template.interval_adjust_enabled);
+    form.interval_extend_after.value = String((template && template.interval_extend_after) || 3);
+    form.interval_extend_percent.value = String((template && template.interval_extend_percent) || 25);
+    form.interval_shorten_percent.value = String((template && template.interval_shorten_percent) || 50);
+    form.interval_min_days.value = template && template.interval_min_days ? String(template.interval_min_days) : '';
+    form.interval_max_days.value = template && template.interval_max_days ? String(template.interval_max_days) : '';
+  }
+
+  function collectTemplateIntervalAdjustment() {
+    const form = elements.templateForm;
+    return {
+      interval_adjust_enabled: form.interval_adjust_enabled.checked,
+      interval_extend_after: Number(form.interval_extend_after.value || 3),
+      interval_extend_percent: Number(form.interval_extend_percent.value || 25),
+      interval_shorten_percent: Number(form.interval_shorten_percent.value || 50),
+      interval_min_days: form.interval_min_days.value ? Number(form.interval_min_days.value) : null,
+      interval_max_days: form.interval_max_days.value ? Number(form.interval_max_days.value) : null,
+    };
+  }
+
+  function buildTestPointUnitOptions(selectedUnit) {
+    const labels = Array.from(new Set(['Unitless'].concat(state.unitLibrary.map((unit) => unit.label), selectedUnit ? [selectedUnit] : [])));
+    return labels.map((label) => (
+      `<option value="${escapeHtml(label)}" ${label === selectedUnit ? 'selected' : ''}>${escapeHtml(label)}</option>`
+    )).join('');
+  }
+
+  function appendTemplateTestPointRow(point = {}) {
+    if (!elements.templateTestPoints) return;
+    const defaultUnit = elements.templateForm.unit_of_measure.value.trim() || 'Unitless';
+    const row = document.createElement('div');
+    row.className = 'test-point-row';
+    row.innerHTML = [
+      `<input data-test-point="label" type="text" placeholder="Label" value="${escapeHtml(point.label || '')}" aria-label="Test point label" />`,
+      `<input data-test-point="nominal" type="number" step="any" placeholder="Nominal" value="${escapeHtml(point.nominal ?? '')}" aria-label="Nominal value" />`,
+      `<input data-test-point="tolerance" type="number" step="any" min="0" placeholder="± Tolerance" value="${escapeHtml(point.tolerance ?? '')}" aria-label="Tolerance" />`,
+      `<select data-test-point="unit" aria-label="Unit">${buildTestPointUnitOptions(point.unit || defaultUnit)}</select>`,
+      '<button class="table-button" type="button" data-test-point-remove>Remove</button>',
+    ].join('');
+    elements.templateTestPoints.appendChild(row);
+  }
+
+  function hydrateTemplateTestPoints(points) {
+    if (!elements.templateTestPoints) return;
+    elements.templateTestPoints.innerHTML = '';
+    (Array.isArray(points) ? points : []).forEach((point) => appendTemplateTestPointRow(point));
+  }
+
+  function handleTemplateTestPointClick(event) {
+    const button = event && event.target ? event.target.closest('[data-test-point-remove]') : null;
+    if (!button) return;
+    const row = button.closest('.test-point-row');
+    if (row) row.remove();
+  }
+
+  function collectTemplateTestPoints() {
+    if (!elements.templateTestPoints) return [];
+    return Array.from(elements.templateTestPoints.querySelectorAll('.test-point-row'))
+      .map((row) => {
+        const read = (key) => {
+          const field = row.querySelector(`[data-test-point="${key}"]`);
+          return field ? field.value.trim() : '';
+        };
+        return {
+          label: read('label'),
+          nominal: read('nominal'),
+          tolerance: read('tolerance'),
+          unit: read('unit'),
+        };
+      })
+      .filter((point) => point.label || point.nominal || point.tolerance);
+  }
+
   function syncTemplateOptions(selectedId) {
     const calibrationTemplates = getCalibrationTemplates();
     const options = ['<option value="">Select a template</option>']
@@ -6905,13 +9895,80 @@
     openModal('checkout-modal');
   }
 
+  function openCheckinModal(asset) {
+    if (!asset.custody) return;
+    state.activeCalibrationId = asset.id;
+    elements.checkinModalTitle.textContent = `Check In · ${asset.tool_name}`;
+    elements.checkinForm.reset();
+    if (elements.checkinModalCopy) {
+      const expected = asset.custody.expected_return_date ? `, expected back ${asset.custody.expected_return_date}` : '';
+      elements.checkinModalCopy.textContent = `Held by ${asset.custody.holder_name} since ${formatDateTime(asset.custody.checked_out_at)}${expected}.`;
+    }
+    openModal('checkin-modal');
+  }
+
   function openCertificateModal(asset) {
     state.activeCalibrationId = asset.id;
     elements.certificateModalTitle.textContent = `Generate Certificate · ${asset.tool_name}`;
     elements.certificateForm.reset();
+    renderCertificateReadings(asset);
     openModal('certificate-modal');
   }
 
+  function renderCertificateReadings(asset) {
+    if (!elements.certificateReadings) return;
+    const points = asset && asset.template && Array.isArray(asset.template.test_points) ? asset.template.test_points : [];
+    state.activeCertificateTestPoints = points;
+    if (!points.length) {
+      elements.certificateReadings.innerHTML = '<p class="panel-copy">No test points are defined on this template; the certificate records dates only.</p>';
+      return;
+    }
+
+    elements.certificateReadings.innerHTML = points.map((point, index) => [
+      `<div class="test-point-row" data-reading-index="${index}">`,
+      `<span><strong>${escapeHtml(point.label)}</strong><small>${escapeHtml(`${point.nominal} ± ${point.tolerance} ${point.unit}`)}</small></span>`,
+      '<input data-reading="as_found" type="number" step="any" placeholder="As found" aria-label="As-found reading" required />',
+      '<input data-reading="as_left" type="number" step="any" placeholder="As left" aria-label="As-left reading" />',
+      '<span class="status-chip" data-reading-result>—</span>',
+      '</div>',
+    ].join('')).join('');
+  }
+
+  function evaluateReadingResult(point, asFoundText, asLeftText) {
+    if (asFoundText === '') return null;
+    const within = (value) => Math.abs(Number(value) - Number(point.nominal)) <= Number(point.tolerance) + 1e-9;
+    const asFound = Number(asFoundText);
+    const asLeft = asLeftText === '' ? asFound : Number(asLeftText);
+    if (!within(asLeft)) return 'fail';
+    if (!within(asFound) || asLeft !== asFound) return 'adjusted';
+    return 'pass';
+  }
+
+  function collectCertificateReadings() {
+    if (!elements.certificateReadings) return [];
+    return Array.from(elements.certificateReadings.querySelectorAll('[data-reading-index]')).map((row) => ({
+      label: (state.activeCertificateTestPoints[Number(row.dataset.readingIndex)] || {}).label,
+      as_found: row.querySelector('[data-reading="as_found"]').value.trim(),
+      as_left: row.querySelector('[data-reading="as_left"]').value.trim(),
+    }));
+  }
+
+  function refreshCertificateReadingResults() {
+    if (!elements.certificateReadings) return;
+    elements.certificateReadings.querySelectorAll('[data-reading-index]').forEach((row) => {
+      const point = state.activeCertificateTestPoints[Number(row.dataset.readingIndex)];
+      const chip = row.querySelector('[data-reading-result]');
+      if (!point || !chip) return;
+      const result = evaluateReadingResult(
+        point,
+        row.querySelector('[data-reading="as_found"]').value.trim(),
+        row.querySelector('[data-reading="as_left"]').value.trim()
+      );
+      chip.textContent = result ? result.toUpperCase() : '—';
+      chip.className = `status-chip ${result === 'fail' ? 'status-danger' : (result === 'adjusted' ? 'status-amber' : '')}`;
+    });
+  }
+
   function openAssetDetailModal(asset, kind) {
     if (!asset || !elements.assetDetailGrid) return;
 
@@ -6933,8 +9990,27 @@
     renderAssetDetailLogs([], { loading: true });
     const logKey = `${normalizedKind}:${String(asset.id)}`;
     state.activeAssetLogKey = logKey;
+    if (elements.assetDetailCertPanel) {
+      elements.assetDetailCertPanel.classList.toggle('hidden', !isCalibration);
+    }
+    if (elements.assetDetailGagePanel) {
+      elements.assetDetailGagePanel.classList.toggle('hidden', !isCalibration);
+      document.getElementById('gage-study-new-button').classList.toggle('hidden', !hasPermissionAccess('edit_access'));
+    }
+    if (elements.assetDetailHazardPanel) {
+      elements.assetDetailHazardPanel.classList.toggle('hidden', isCalibration);
+    }
     openModal('asset-detail-modal');
     loadAssetDetailLogs(normalizedKind, asset.id, logKey);
+    if (isCalibration) {
+      renderAssetDetailCertificates([], { loading: true });
+      loadAssetDetailCertificates(asset.id, logKey);
+      renderAssetDetailGageStudies([], { loading: true });
+      loadAssetDetailGageStudies(asset.id, logKey);
+    } else {
+      renderAssetDetailHazards(null, { loading: true });
+      loadAssetDetailHazards(asset, logKey);
+    }
   }
 
   function syncAssetDetailActions(asset, kind) {
@@ -6949,72 +10025,435 @@
       elements.assetDetailPrimaryAction.disabled = !asset;
     }
 
-    if (elements.assetDetailEditAction) {
-      elements.assetDetailEditAction.textContent = 'Edit';
-      elements.assetDetailEditAction.disabled = !asset;
-    }
+    if (elements.assetDetailEditAction) {
+      elements.assetDetailEditAction.textContent = 'Edit';
+      elements.assetDetailEditAction.disabled = !asset;
+    }
+
+    if (elements.assetDetailDeleteAction) {
+      elements.assetDetailDeleteAction.textContent = 'Archive';
+      elements.assetDetailDeleteAction.disabled = !asset;
+    }
+  }
+
+  function getActiveAssetDetail() {
+    const kind = state.activeAssetDetailKind === 'calibration' ? 'calibration' : 'hazmat';
+    const id = state.activeAssetDetailId;
+    if (!id) return null;
+    const asset = kind === 'calibration' ? findCalibrationById(id) : findMaterialById(id);
+    if (!asset) return null;
+    return { kind, asset };
+  }
+
+  function handleAssetDetailPrimaryAction() {
+    const active = getActiveAssetDetail();
+    if (!active) return;
+
+    if (active.kind === 'calibration') {
+      closeModal('asset-detail-modal');
+      openCertificateModal(active.asset);
+      return;
+    }
+
+    verifyMaterial(active.asset);
+  }
+
+  function handleAssetDetailEditAction() {
+    const active = getActiveAssetDetail();
+    if (!active) return;
+
+    closeModal('asset-detail-modal');
+    if (active.kind === 'calibration') {
+      openCalibrationModal(active.asset);
+      return;
+    }
+    openMaterialModal(active.asset);
+  }
+
+  function handleAssetDetailDeleteAction() {
+    const active = getActiveAssetDetail();
+    if (!active) return;
+
+    closeModal('asset-detail-modal');
+    if (active.kind === 'calibration') {
+      deleteCalibration(active.asset);
+      return;
+    }
+    deleteMaterial(active.asset);
+  }
+
+  async function loadAssetDetailLogs(source, assetId, expectedKey) {
+    if (!elements.assetDetailLogList) return;
+    try {
+      const logs = await apiFetch(`/api/command-center/asset-logs?source=${encodeURIComponent(source)}&id=${encodeURIComponent(String(assetId))}&limit=60`);
+      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
+      renderAssetDetailLogs(Array.isArray(logs) ? logs : []);
+    } catch (error) {
+      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
+      renderAssetDetailLogs([], { error: true });
+    }
+  }
+
+  async function loadAssetDetailCertificates(assetId, expectedKey) {
+    if (!elements.assetDetailCertList) return;
+    try {
+      const certificates = await apiFetch(`/api/command-center/calibration/${encodeURIComponent(String(assetId))}/certificates`);
+      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
+      renderAssetDetailCertificates(Array.isArray(certificates) ? certificates : []);
+    } catch (error) {
+      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
+      renderAssetDetailCertificates([], { error: true });
+    }
+  }
+
+  async function loadAssetDetailGageStudies(assetId, expectedKey) {
+    if (!elements.assetDetailGageList) return;
+    try {
+      const studies = await apiFetch(`/api/command-center/calibration/${encodeURIComponent(String(assetId))}/gage-studies`);
+      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
+      state.assetGageStudies = Array.isArray(studies) ? studies : [];
+      renderAssetDetailGageStudies(state.assetGageStudies);
+    } catch (error) {
+      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
+      renderAssetDetailGageStudies([], { error: true });
+    }
+  }
+
+  async function loadAssetDetailHazards(material, expectedKey) {
+    if (!elements.assetDetailHazardList) return;
+    if (!material || (!material.cas_number && !(material.components || []).length)) {
+      renderAssetDetailHazards(null, { empty: true });
+      return;
+    }
+    try {
+      const record = await apiFetch(`/api/command-center/materials/${material.id}/hazard-profile`);
+      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
+      renderAssetDetailHazards(record);
+    } catch (error) {
+      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
+      renderAssetDetailHazards(null, { error: true });
+    }
+  }
+
+  function renderAssetDetailHazards(record, options = {}) {
+    if (!elements.assetDetailHazardList) return;
+    if (options.loading) {
+      elements.assetDetailHazardList.innerHTML = '<div class="log-entry">Loading GHS statements...</div>';
+      return;
+    }
+    if (options.empty || options.error) {
+      elements.assetDetailHazardList.innerHTML = `<div class="log-entry">${options.empty ? 'No CAS number or mixture components recorded for this material.' : 'Hazard profile is unavailable.'}</div>`;
+      return;
+    }
+
+    const components = Array.isArray(record && record.components) ? record.components : [];
+    const hazards = Array.isArray(record && record.hazard_statements) ? record.hazard_statements : [];
+    const precautions = Array.isArray(record && record.precautionary_statements) ? record.precautionary_statements : [];
+    const limits = components.flatMap((component) => (component.exposure_limits || [])
+      .map((limit) => ({ ...limit, cas_number: component.cas_number })));
+    const mixtureEntry = record && record.is_mixture
+      ? `<article class="log-entry"><strong>Mixture components</strong>${components.map((component) => `<small><strong>${escapeHtml(component.cas_number)}</strong> ${escapeHtml([
+        component.name || (component.primary ? 'Primary CAS' : ''),
+        formatConcentrationRange(component),
+        component.found ? '' : 'not in CAS index',
+      ].filter(Boolean).join(' · '))}</small>`).join('')}</article>`
+      : '';
+    if (!hazards.length && !precautions.length && !limits.length && !(record && record.signal_word)) {
+      elements.assetDetailHazardList.innerHTML = `${mixtureEntry}<div class="log-entry">The CAS records have no H/P statements yet.</div>`;
+      return;
+    }
+
+    const renderStatements = (entries) => entries.map((entry) => `<small><strong>${escapeHtml(entry.code)}</strong> ${escapeHtml(entry.text || '')}</small>`).join('');
+    elements.assetDetailHazardList.innerHTML = [
+      mixtureEntry,
+      record.signal_word
+        ? `<article class="log-entry"><div class="log-meta"><span class="status-chip ${record.signal_word === 'Danger' ? 'status-danger' : 'status-amber'}">${escapeHtml(record.signal_word.toUpperCase())}</span><small>Signal word</small></div></article>`
+        : '',
+      hazards.length ? `<article class="log-entry"><strong>Hazard statements</strong>${renderStatements(hazards)}</article>` : '',
+      precautions.length ? `<article class="log-entry"><strong>Precautionary statements</strong>${renderStatements(precautions)}</article>` : '',
+      limits.length
+        ? `<article class="log-entry"><strong>Exposure limits</strong>${limits.map((limit) => `<small>${escapeHtml(`${components.length > 1 ? `${limit.cas_number}: ` : ''}${limit.type} ${limit.value}${limit.unit ? ` ${limit.unit}` : ''}${limit.source ? ` (${limit.source})` : ''}`)}</small>`).join('')}</article>`
+        : '',
+    ].join('');
+  }
+
+  function renderAssetDetailCertificates(certificates, options = {}) {
+    if (!elements.assetDetailCertList) return;
+    if (options.loading) {
+      elements.assetDetailCertList.innerHTML = '<div class="log-entry">Loading certificates...</div>';
+      return;
+    }
+    if (options.error) {
+      elements.assetDetailCertList.innerHTML = '<div class="log-entry">Unable to load certificates.</div>';
+      return;
+    }
+    if (!certificates.length) {
+      elements.assetDetailCertList.innerHTML = '<div class="log-entry">No certificates issued for this asset yet.</div>';
+      return;
+    }
+
+    elements.assetDetailCertList.innerHTML = certificates.map((certificate) => {
+      const chip = certificate.latest
+        ? '<span class="status-chip status-safe">CURRENT</span>'
+        : '<span class="status-chip status-blue">SUPERSEDED</span>';
+      const links = [
+        certificate.certificate_url ? `<a href="${escapeHtml(certificate.certificate_url)}" target="_blank" rel="noopener">PDF</a>` : '',
+        certificate.verify_url ? `<a href="${escapeHtml(certificate.verify_url)}" target="_blank" rel="noopener">Verify</a>` : '',
+      ].filter(Boolean).join(' · ');
+      return [
+        '<article class="log-entry">',
+        '<div class="log-meta">',
+        chip,
+        `<small>${escapeHtml(formatDateTime(certificate.issued_at || certificate.performed_at || ''))}</small>`,
+        '</div>',
+        `<strong>${escapeHtml(certificate.certificate_id || '')}</strong>`,
+        `<small>${escapeHtml(certificate.technician || 'Unknown technician')}${certificate.valid_until ? ` · valid until ${escapeHtml(certificate.valid_until)}` : ''}</small>`,
+        links ? `<small>${links}</small>` : '',
+        '</article>',
+      ].join('');
+    }).join('');
+  }
+
+  function formatGageStudyResultChip(study) {
+    const tone = { pass: 'status-safe', marginal: 'status-amber', fail: 'status-danger' };
+    if (study.status !== 'completed') return '<span class="status-chip status-blue">DRAFT</span>';
+    return `<span class="status-chip ${tone[study.result] || ''}">${escapeHtml(String(study.result || '').toUpperCase())}</span>`;
+  }
+
+  function describeGageStudyShape(study) {
+    return `${study.operators.length} operators × ${study.part_count} parts × ${study.trial_count} trials`;
+  }
+
+  function renderAssetDetailGageStudies(studies, options = {}) {
+    if (!elements.assetDetailGageList) return;
+    if (options.loading) {
+      elements.assetDetailGageList.innerHTML = '<div class="log-entry">Loading Gage R&amp;R studies...</div>';
+      return;
+    }
+    if (options.error) {
+      elements.assetDetailGageList.innerHTML = '<div class="log-entry">Unable to load Gage R&amp;R studies.</div>';
+      return;
+    }
+    if (!studies.length) {
+      elements.assetDetailGageList.innerHTML = '<div class="log-entry">No Gage R&amp;R studies recorded for this asset.</div>';
+      return;
+    }
+
+    elements.assetDetailGageList.innerHTML = studies.map((study) => [
+      `<article class="log-entry" data-gage-study-id="${escapeHtml(String(study.id))}">`,
+      '<div class="log-meta">',
+      formatGageStudyResultChip(study),
+      `<small>${escapeHtml(formatDateTime(study.completed_at || study.created_at))}</small>`,
+      '<button class="table-button" type="button" data-gage-study-open>Open</button>',
+      '</div>',
+      `<strong>${escapeHtml([study.study_number, study.characteristic].filter(Boolean).join(' · '))}</strong>`,
+      `<small>${escapeHtml([
+        describeGageStudyShape(study),
+        study.status === 'completed' ? `${study.percent_grr}% GRR` : 'Measurements in progress',
+        study.status === 'completed' && study.ndc !== null ? `ndc ${study.ndc}` : '',
+      ].filter(Boolean).join(' · '))}</small>`,
+      '</article>',
+    ].join('')).join('');
+  }
+
+  function handleAssetDetailGageStudyClick(event) {
+    const trigger = event.target.closest('[data-gage-study-open]');
+    const entry = trigger ? trigger.closest('[data-gage-study-id]') : null;
+    if (!entry) return;
+    const study = state.assetGageStudies.find((item) => String(item.id) === entry.dataset.gageStudyId);
+    if (!study) return;
+    closeModal('asset-detail-modal');
+    openGageStudyModal(study);
+  }
+
+  function openGageStudySetupModal() {
+    const active = getActiveAssetDetail();
+    if (!active || active.kind !== 'calibration' || !elements.gageStudySetupForm) return;
+    elements.gageStudySetupForm.reset();
+    elements.gageStudySetupForm.dataset.assetId = String(active.asset.id);
+    document.getElementById('gage-study-setup-title').textContent = `New Gage R&R Study · ${active.asset.tool_name || 'Calibration Asset'}`;
+    closeModal('asset-detail-modal');
+    openModal('gage-study-setup-modal');
+  }
+
+  async function submitGageStudySetupForm(event) {
+    event.preventDefault();
+    const form = elements.gageStudySetupForm;
 
-    if (elements.assetDetailDeleteAction) {
-      elements.assetDetailDeleteAction.textContent = 'Delete';
-      elements.assetDetailDeleteAction.disabled = !asset;
+    try {
+      const study = await apiFetch(`/api/command-center/calibration/${encodeURIComponent(form.dataset.assetId)}/gage-studies`, {
+        method: 'POST',
+        body: JSON.stringify({
+          characteristic: form.characteristic.value.trim(),
+          operators: form.operators.value.split(/[\n,]/).map((name) => name.trim()).filter(Boolean),
+          part_count: Number(form.part_count.value),
+          trial_count: Number(form.trial_count.value),
+          tolerance: form.tolerance.value || null,
+          notes: form.notes.value.trim(),
+        }),
+      });
+      closeModal('gage-study-setup-modal');
+      setStatus(`Gage R&R study ${study.study_number} started.`, 'info');
+      openGageStudyModal(study);
+    } catch (error) {
+      setStatus(error.message || 'Failed to start Gage R&R study.', 'error');
     }
   }
 
-  function getActiveAssetDetail() {
-    const kind = state.activeAssetDetailKind === 'calibration' ? 'calibration' : 'hazmat';
-    const id = state.activeAssetDetailId;
-    if (!id) return null;
-    const asset = kind === 'calibration' ? findCalibrationById(id) : findMaterialById(id);
-    if (!asset) return null;
-    return { kind, asset };
+  function openGageStudyModal(study) {
+    state.activeGageStudy = study;
+    renderGageStudy();
+    openModal('gage-study-modal');
   }
 
-  function handleAssetDetailPrimaryAction() {
-    const active = getActiveAssetDetail();
-    if (!active) return;
+  function renderGageStudy() {
+    const study = state.activeGageStudy;
+    if (!study || !elements.gageStudySheet) return;
 
-    if (active.kind === 'calibration') {
-      closeModal('asset-detail-modal');
-      openCertificateModal(active.asset);
-      return;
-    }
+    const asset = findCalibrationById(study.asset_id);
+    const canEdit = study.status === 'draft' && hasPermissionAccess('edit_access');
+    elements.gageStudyEyebrow.textContent = `Gage R&R Study · ${asset ? [asset.tool_name, asset.serial_number].filter(Boolean).join(' · ') : `Asset ${study.asset_id}`}`;
+    elements.gageStudyTitle.textContent = [study.study_number, study.characteristic].filter(Boolean).join(' · ');
+    elements.gageStudySummary.innerHTML = [
+      formatGageStudyResultChip(study),
+      `<span class="status-chip">${escapeHtml(describeGageStudyShape(study))}</span>`,
+      study.tolerance !== null ? `<span class="status-chip">${escapeHtml(`Tolerance ${study.tolerance}`)}</span>` : '',
+      study.completed_at ? `<span class="status-chip">${escapeHtml(`Completed ${formatDateTime(study.completed_at)} by ${study.completed_by || 'Unknown'}`)}</span>` : '',
+    ].join('');
+    ['gage-study-delete-button', 'gage-study-save-button', 'gage-study-complete-button'].forEach((id) => {
+      document.getElementById(id).classList.toggle('hidden', !canEdit);
+    });
 
-    verifyMaterial(active.asset);
+    const columns = `style="--gage-columns: ${study.trial_count}"`;
+    const trialHeaders = Array.from({ length: study.trial_count }, (_, index) => `<span>Trial ${index + 1}</span>`).join('');
+    elements.gageStudySheet.innerHTML = study.operators.map((operator, operatorIndex) => [
+      '<div>',
+      `<div class="gage-study-row gage-study-head" ${columns}><strong>${escapeHtml(operator)}</strong>${trialHeaders}</div>`,
+      (study.measurements[operatorIndex] || []).map((trials, partIndex) => [
+        `<div class="gage-study-row" ${columns}><span>Part ${partIndex + 1}</span>`,
+        trials.map((value, trialIndex) => {
+          const display = value === null || value === undefined ? '' : String(value);
+          return canEdit
+            ? `<input type="number" step="any" value="${escapeHtml(display)}" data-gage-operator="${operatorIndex}" data-gage-part="${partIndex}" data-gage-trial="${trialIndex}" />`
+            : `<strong>${escapeHtml(display || '-')}</strong>`;
+        }).join(''),
+        '</div>',
+      ].join('')).join(''),
+      '</div>',
+    ].join('')).join('');
+
+    elements.gageStudyResults.innerHTML = study.results ? renderGageStudyResults(study.results) : '';
+  }
+
+  function renderGageStudyResults(results) {
+    const { anova, average_range: averageRange, criteria } = results;
+    const describeMethod = (label, summary) => [
+      '<article class="log-entry">',
+      `<div class="log-meta"><strong>${escapeHtml(label)}</strong><span class="status-chip">${escapeHtml(`${summary.percent_grr}% GRR`)}</span></div>`,
+      `<small>${escapeHtml([
+        `EV ${summary.ev} (${summary.percent_ev}%)`,
+        `AV ${summary.av} (${summary.percent_av}%)`,
+        `GRR ${summary.grr}`,
+        `PV ${summary.pv} (${summary.percent_pv}%)`,
+        `TV ${summary.tv}`,
+      ].join(' · '))}</small>`,
+      `<small>${escapeHtml([
+        `ndc ${summary.ndc === null ? 'n/a' : summary.ndc}`,
+        summary.percent_tolerance !== null ? `${summary.percent_tolerance}% of tolerance` : '',
+      ].filter(Boolean).join(' · '))}</small>`,
+      '</article>',
+    ].join('');
+    const formatCell = (value) => `<span>${escapeHtml(value === null || value === undefined ? '' : String(value))}</span>`;
+    const sourceLabels = {
+      part: 'Part',
+      operator: 'Operator',
+      part_x_operator: 'Part × Operator',
+      repeatability: 'Repeatability',
+      total: 'Total',
+    };
+
+    return [
+      describeMethod('ANOVA', anova),
+      '<article class="log-entry">',
+      '<strong>ANOVA Table</strong>',
+      '<div class="gage-study-row gage-study-head" style="--gage-columns: 5"><span>Source</span><span>DF</span><span>SS</span><span>MS</span><span>F</span><span>P</span></div>',
+      anova.table.map((row) => [
+        '<div class="gage-study-row" style="--gage-columns: 5">',
+        formatCell(sourceLabels[row.source] || row.source),
+        formatCell(row.df),
+        formatCell(row.ss),
+        formatCell(row.ms),
+        formatCell(row.f),
+        formatCell(row.p),
+        '</div>',
+      ].join('')).join(''),
+      anova.interaction_pooled
+        ? `<small>${escapeHtml(`Part × operator interaction was not significant (p = ${anova.interaction_p}) and is pooled into repeatability.`)}</small>`
+        : '',
+      '</article>',
+      describeMethod('Average & Range', averageRange),
+      averageRange.ranges_beyond_ucl
+        ? `<div class="log-entry"><span class="status-chip status-amber">${escapeHtml(`${averageRange.ranges_beyond_ucl} range(s) above UCL ${averageRange.range_ucl}`)}</span></div>`
+        : '',
+      `<div class="log-entry"><small>${escapeHtml(`Verdict uses ANOVA: under ${criteria.acceptable_percent_grr}% GRR passes, up to ${criteria.marginal_percent_grr}% is marginal, above that or ndc below ${criteria.min_distinct_categories} fails.`)}</small></div>`,
+    ].join('');
   }
 
-  function handleAssetDetailEditAction() {
-    const active = getActiveAssetDetail();
-    if (!active) return;
+  function collectGageStudyMeasurements() {
+    const study = state.activeGageStudy;
+    const grid = study.measurements.map((parts) => parts.map((trials) => trials.slice()));
+    elements.gageStudySheet.querySelectorAll('[data-gage-operator]').forEach((input) => {
+      const value = input.value.trim();
+      grid[Number(input.dataset.gageOperator)][Number(input.dataset.gagePart)][Number(input.dataset.gageTrial)] = value === '' ? null : Number(value);
+    });
+    return grid;
+  }
 
-    closeModal('asset-detail-modal');
-    if (active.kind === 'calibration') {
-      openCalibrationModal(active.asset);
-      return;
+  async function saveGageStudyMeasurements() {
+    const study = state.activeGageStudy;
+    if (!study) return;
+
+    try {
+      state.activeGageStudy = await apiFetch(`/api/command-center/calibration/gage-studies/${encodeURIComponent(study.id)}/measurements`, {
+        method: 'PUT',
+        body: JSON.stringify({ measurements: collectGageStudyMeasurements() }),
+      });
+      renderGageStudy();
+      setStatus(`Measurements saved for ${study.study_number}.`, 'info');
+    } catch (error) {
+      setStatus(error.message || 'Failed to save measurements.', 'error');
     }
-    openMaterialModal(active.asset);
   }
 
-  function handleAssetDetailDeleteAction() {
-    const active = getActiveAssetDetail();
-    if (!active) return;
+  async function completeGageStudy() {
+    const study = state.activeGageStudy;
+    if (!study) return;
 
-    closeModal('asset-detail-modal');
-    if (active.kind === 'calibration') {
-      deleteCalibration(active.asset);
-      return;
+    try {
+      state.activeGageStudy = await apiFetch(`/api/command-center/calibration/gage-studies/${encodeURIComponent(study.id)}/complete`, {
+        method: 'POST',
+        body: JSON.stringify({ measurements: collectGageStudyMeasurements() }),
+      });
+      renderGageStudy();
+      const completed = state.activeGageStudy;
+      setStatus(`${completed.study_number}: ${completed.result.toUpperCase()} at ${completed.percent_grr}% GRR.`, completed.result === 'fail' ? 'error' : 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to compute Gage R&R results.', 'error');
     }
-    deleteMaterial(active.asset);
   }
 
-  async function loadAssetDetailLogs(source, assetId, expectedKey) {
-    if (!elements.assetDetailLogList) return;
+  async function deleteGageStudy() {
+    const study = state.activeGageStudy;
+    if (!study || !window.confirm(`Discard draft study ${study.study_number}? Entered measurements are lost.`)) return;
+
     try {
-      const logs = await apiFetch(`/api/command-center/asset-logs?source=${encodeURIComponent(source)}&id=${encodeURIComponent(String(assetId))}&limit=60`);
-      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
-      renderAssetDetailLogs(Array.isArray(logs) ? logs : []);
+      await apiFetch(`/api/command-center/calibration/gage-studies/${encodeURIComponent(study.id)}`, { method: 'DELETE' });
+      state.activeGageStudy = null;
+      closeModal('gage-study-modal');
+      setStatus(`Draft study ${study.study_number} discarded.`, 'info');
     } catch (error) {
-      if (expectedKey && state.activeAssetLogKey !== expectedKey) return;
-      renderAssetDetailLogs([], { error: true });
+      setStatus(error.message || 'Failed to discard study.', 'error');
     }
   }
 
@@ -7117,6 +10556,8 @@
     const rawCasNumber = elements.materialForm.cas_number ? String(elements.materialForm.cas_number.value || '').trim() : '';
     const casNumber = rawCasNumber ? formatCasNumber(rawCasNumber) : '';
     const hasCasNumber = Boolean(casNumber);
+    const parsedComponents = readMaterialFormComponents();
+    const sdsCasNumber = casNumber || (parsedComponents.components[0] ? parsedComponents.components[0].cas_number : '');
     const manufacturer = normalizeManufacturerInputValue(elements.materialForm.manufacturer ? elements.materialForm.manufacturer.value : '');
     const sdsNotRequired = Boolean(elements.materialSdsNotRequired && elements.materialSdsNotRequired.checked);
     let sdsId = readLinkedMaterialSdsId();
@@ -7131,8 +10572,13 @@
       return;
     }
 
-    if (!sdsNotRequired && !hasCasNumber) {
-      setStatus('CAS number is required when SDS is required.', 'error');
+    if (parsedComponents.error) {
+      setStatus(parsedComponents.error, 'error');
+      return;
+    }
+
+    if (!sdsNotRequired && !sdsCasNumber) {
+      setStatus('CAS number or a mixture component is required when SDS is required.', 'error');
       return;
     }
 
@@ -7141,7 +10587,7 @@
       return;
     }
 
-    if (!sdsNotRequired && sdsId && !hasMatchingMaterialSdsLink(casNumber, manufacturer)) {
+    if (!sdsNotRequired && sdsId && !hasMatchingMaterialSdsLink(sdsCasNumber, manufacturer)) {
       clearMaterialSdsLink({
         message: 'SDS link cleared because CAS number or manufacturer changed.',
         variant: 'warning',
@@ -7178,6 +10624,7 @@
       }
     }
     
+    const storageLocation = String(elements.materialForm.storage_location ? elements.materialForm.storage_location.value : '').split('::');
     const payload = {
       name: elements.materialForm.name.value.trim(),
       assigned_department: resolveDepartmentName(
@@ -7185,6 +10632,7 @@
         state.settings.departments
       ) || state.settings.defaultDepartment,
       cas_number: hasCasNumber ? casNumber : null,
+      components: parsedComponents.components,
       manufacturer: manufacturer || null,
       sds_not_required: sdsNotRequired,
       sds_id: sdsNotRequired ? null : sdsId,
@@ -7195,6 +10643,9 @@
       batch_id: labelId,
       primary_class: primaryClass,
       division,
+      storage_map_id: storageLocation[1] ? storageLocation[0] : null,
+      storage_area_id: storageLocation[1] || null,
+      corrosive_type: elements.materialForm.corrosive_type ? (elements.materialForm.corrosive_type.value || null) : null,
       expiration_date: elements.materialForm.expiration_date.value || null,
       stock_level: Number(elements.materialForm.stock_level.value || 0),
       min_threshold: hasCasNumber
@@ -7203,6 +10654,9 @@
       ghs_symbols: getSelectedGhsSymbols(),
       ghs_auto_symbols: hazardMetadata.ghs_auto_symbols,
       ghs_manual_overrides: hazardMetadata.ghs_manual_overrides,
+      scan_session_id: !isEditing && state.scanStation.pendingRegistration && state.scanStation.session
+        ? state.scanStation.session.id
+        : undefined,
       container_size: (containerValue && containerUnit) ? {
         value: Number(containerValue),
         unit: containerUnit,
@@ -7227,7 +10681,10 @@
       }
       closeModal('material-modal');
       await refreshCurrentModule({ silentStatus: true });
-      if (!isEditing) {
+      if (!isEditing && state.scanStation.pendingRegistration) {
+        state.scanStation.pendingRegistration = null;
+        await lookupScanCode(material && material.label_id, { record: false });
+      } else if (!isEditing) {
         openAssetDetailModal(findMaterialById(material && material.id) || material, 'hazmat');
       }
     } catch (error) {
@@ -7243,6 +10700,7 @@
         body: JSON.stringify({
           quantity: Number(elements.usageForm.quantity.value || 0),
           reason: elements.usageForm.reason.value.trim(),
+          container_id: elements.usageForm.container_id ? Number(elements.usageForm.container_id.value || 0) || null : null,
         }),
       });
       closeModal('usage-modal');
@@ -7303,6 +10761,7 @@
       allowed_days: allowedDays,
       unit_of_measure: elements.templateForm.unit_of_measure.value.trim() || 'Unitless',
       assigned_department: assignedDepartment,
+      ...(moduleName === 'calibration' ? { test_points: collectTemplateTestPoints(), ...collectTemplateIntervalAdjustment() } : {}),
     };
 
     try {
@@ -7383,111 +10842,483 @@
           payload.attachment_path = uploadedPath;
           elements.calibrationForm.attachment_path.value = uploadedPath;
         }
-      }
-
-      let asset;
-      if (state.editingCalibrationId) {
-        asset = await apiFetch(`/api/command-center/calibration/${state.editingCalibrationId}`, {
+      }
+
+      let asset;
+      if (state.editingCalibrationId) {
+        asset = await apiFetch(`/api/command-center/calibration/${state.editingCalibrationId}`, {
+          method: 'PUT',
+          body: JSON.stringify(payload),
+        });
+        setStatus('Calibration asset updated.', 'info');
+      } else {
+        asset = await apiFetch('/api/command-center/calibration', {
+          method: 'POST',
+          body: JSON.stringify(payload),
+        });
+        setStatus('Calibration asset created.', 'info');
+      }
+      closeModal('calibration-modal');
+      await refreshPortal({ silentStatus: true });
+      if (!isEditing) {
+        openAssetDetailModal(findCalibrationById(asset && asset.id) || asset, 'calibration');
+      }
+    } catch (error) {
+      setStatus(error.message || 'Failed to save calibration asset.', 'error');
+    }
+  }
+
+  async function uploadCalibrationAttachment(file) {
+    if (!file) return null;
+    const body = new FormData();
+    body.append('attachment', file);
+    const response = await apiFetch('/api/command-center/calibration/attachments', {
+      method: 'POST',
+      body,
+    });
+    return response && response.path ? response.path : null;
+  }
+
+  async function submitCheckoutForm(event) {
+    event.preventDefault();
+    try {
+      await apiFetch(`/api/command-center/calibration/${state.activeCalibrationId}/check-out`, {
+        method: 'POST',
+        body: JSON.stringify({
+          reason: elements.checkoutForm.reason.value.trim(),
+          holder: elements.checkoutForm.holder.value.trim(),
+          expected_return_date: elements.checkoutForm.expected_return_date.value,
+        }),
+      });
+      closeModal('checkout-modal');
+      setStatus('Asset check-out logged.', 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to check out asset.', 'error');
+    }
+  }
+
+  async function submitCheckinForm(event) {
+    event.preventDefault();
+    try {
+      await apiFetch(`/api/command-center/calibration/${state.activeCalibrationId}/check-in`, {
+        method: 'POST',
+        body: JSON.stringify({
+          condition: elements.checkinForm.condition.value,
+          notes: elements.checkinForm.notes.value.trim(),
+        }),
+      });
+      closeModal('checkin-modal');
+      setStatus('Asset check-in logged.', 'info');
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to check in asset.', 'error');
+    }
+  }
+
+  async function submitCertificateForm(event) {
+    event.preventDefault();
+    try {
+      const payload = await apiFetch(`/api/command-center/calibration/${state.activeCalibrationId}/certificate`, {
+        method: 'POST',
+        body: JSON.stringify({
+          technician: elements.certificateForm.technician.value.trim(),
+          readings: collectCertificateReadings(),
+          notes: elements.certificateForm.notes.value.trim(),
+        }),
+      });
+      closeModal('certificate-modal');
+      if (payload.certificate_url) {
+        window.open(payload.certificate_url, '_blank', 'noopener');
+      }
+      if (payload.impact_review) {
+        setStatus(`As-found readings were out of tolerance; impact review #${payload.impact_review.id} opened for ${payload.impact_review.usages.length} check-out(s).`, 'error');
+      } else if (!payload.certificate_id) {
+        setStatus('As-left readings are out of tolerance; no certificate was issued.', 'error');
+      } else {
+        setStatus(`Certificate ${payload.certificate_id} issued and stored.`, 'info');
+      }
+      await refreshPortal({ silentStatus: true });
+    } catch (error) {
+      setStatus(error.message || 'Failed to generate certificate.', 'error');
+    }
+  }
+
+  async function verifyMaterial(material) {
+    if (!material || !material.id) return;
+    const notesInput = window.prompt('Optional verification notes', '');
+    if (notesInput === null) return;
+    try {
+      await apiFetch(`/api/command-center/materials/${material.id}/verify`, {
+        method: 'POST',
+        body: JSON.stringify({ notes: notesInput.trim() }),
+      });
+      setStatus('Hazmat material verified.', 'info');
+      await refreshPortal({ silentStatus: true });
+      const refreshed = findMaterialById(material.id) || material;
+      openAssetDetailModal(refreshed, 'hazmat');
+    } catch (error) {
+      setStatus(error.message || 'Failed to verify hazmat material.', 'error');
+    }
+  }
+
+  function readScanSession() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SCAN_SESSION_STORAGE_KEY) || 'null');
+      return stored && /^[A-Za-z0-9_-]{1,64}$/.test(String(stored.id || '')) ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function startScanSession() {
+    const session = {
+      id: `scan-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      started_at: new Date().toISOString(),
+    };
+    try {
+      localStorage.setItem(SCAN_SESSION_STORAGE_KEY, JSON.stringify(session));
+    } catch (error) {
+    }
+    state.scanStation.session = session;
+    state.scanStation.result = null;
+    state.scanStation.entries = [];
+    state.scanStation.reviewSessionId = '';
+    renderScanStation();
+    loadScanSessions();
+    focusScanInput();
+  }
+
+  function activateScanStation() {
+    if (!state.scanStation.session) {
+      state.scanStation.session = readScanSession();
+    }
+    if (!state.scanStation.session) {
+      startScanSession();
+      return;
+    }
+    renderScanStation();
+    loadScanSessionEntries();
+    loadScanSessions();
+    focusScanInput();
+  }
+
+  function focusScanInput() {
+    if (!elements.scanInput || state.currentSection !== 'scan') return;
+    window.requestAnimationFrame(() => elements.scanInput.focus());
+  }
+
+  async function submitScanForm(event) {
+    event.preventDefault();
+    const code = normalizeLabelIdValue(elements.scanInput && elements.scanInput.value);
+    if (elements.scanInput) elements.scanInput.value = '';
+    if (!code) return;
+    await lookupScanCode(code);
+  }
+
+  async function lookupScanCode(code, options = {}) {
+    if (!code) return;
+    if (!state.scanStation.session) {
+      state.scanStation.session = readScanSession();
+    }
+    try {
+      state.scanStation.result = await apiFetch('/api/command-center/hazmat/scan', {
+        method: 'POST',
+        body: JSON.stringify({
+          code,
+          scan_session_id: options.record === false || !state.scanStation.session ? undefined : state.scanStation.session.id,
+        }),
+      });
+      if (!state.scanStation.result.found) {
+        setStatus(`Label ${code} is not registered.`, 'error');
+      }
+    } catch (error) {
+      setStatus(error.message || 'Failed to look up scanned label.', 'error');
+    }
+    renderScanStation();
+    await loadScanSessionEntries();
+    focusScanInput();
+  }
+
+  function renderScanStation() {
+    const { session, result } = state.scanStation;
+    if (elements.scanSessionChip) {
+      elements.scanSessionChip.textContent = session
+        ? `Session since ${formatDateTime(session.started_at)}`
+        : 'No session';
+    }
+    if (!elements.scanResult) return;
+
+    if (!result) {
+      elements.scanResult.innerHTML = '<div class="focus-item"><strong>Waiting for a scan</strong><p>Scanned material labels open here with one-tap actions.</p></div>';
+      return;
+    }
+
+    const canEdit = hasPermissionAccess('edit_access');
+    if (!result.found) {
+      const decoded = result.decoded || {};
+      const hint = decoded.primary_class
+        ? `Decodes as class C${decoded.primary_class}${decoded.division ? `, division ${decoded.division}` : ''}${decoded.expiration_date ? `, expiring ${decoded.expiration_date}` : ''}.`
+        : 'This code does not follow the smart label format.';
+      elements.scanResult.innerHTML = [
+        '<article class="asset-result-card">',
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(result.code)}</strong>`,
+        '<span class="status-chip status-amber">Unknown Label</span>',
+        '</div>',
+        `<p class="panel-copy">${escapeHtml(hint)}</p>`,
+        canEdit
+          ? '<div class="scan-actions"><button class="action-button" type="button" data-scan-action="register">Register Material</button></div>'
+          : '',
+        '</article>',
+      ].join('');
+      return;
+    }
+
+    const material = result.material;
+    const containers = (Array.isArray(result.containers) ? result.containers : [])
+      .filter((container) => container.status === 'active');
+    const selectedContainerId = result.container && result.container.status === 'active'
+      ? String(result.container.id)
+      : '';
+    const containerOptions = ['<option value="">Auto (earliest expiration first)</option>']
+      .concat(containers.map((container) => {
+        const label = `${container.container_label} · ${container.remaining_quantity} left`;
+        return `<option value="${escapeHtml(String(container.id))}"${String(container.id) === selectedContainerId ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+      }))
+      .join('');
+    const currentArea = material.storage_area_id ? `${material.storage_map_id || ''}::${material.storage_area_id}` : '';
+    const areaOptions = ['<option value="">Unassigned</option>']
+      .concat(state.storageCompatibility.storage_areas.map((area) => {
+        const value = `${area.map_id}::${area.area_id}`;
+        return `<option value="${escapeHtml(value)}"${value === currentArea ? ' selected' : ''}>${escapeHtml(`${area.map_name} · ${area.area_name}`)}</option>`;
+      }))
+      .join('');
+    const closedContainer = result.container && result.container.status !== 'active' ? result.container : null;
+
+    elements.scanResult.innerHTML = [
+      '<article class="asset-result-card">',
+      '<div class="asset-result-head">',
+      `<strong>${escapeHtml(material.name)}</strong>`,
+      `<span class="status-chip${material.expired ? ' status-danger' : ''}">${escapeHtml(material.label_id || result.code)}</span>`,
+      '</div>',
+      '<div class="asset-result-grid">',
+      `<div><small>Stock</small><strong>${escapeHtml(String(material.stock_level))}</strong></div>`,
+      `<div><small>Storage Area</small><strong>${escapeHtml(describeMaterialStorageArea(material))}</strong></div>`,
+      `<div><small>Expiration</small><strong>${escapeHtml(material.expiration_date || 'Open')}</strong></div>`,
+      `<div><small>CAS</small><strong>${escapeHtml(material.cas_number || 'Not set')}</strong></div>`,
+      `<div><small>Scanned</small><strong>${escapeHtml(result.container ? `Container ${result.container.container_label}` : 'Material label')}</strong></div>`,
+      '</div>',
+      `<div class="detail-html">${renderGhsSymbols(material.ghs_symbols)}</div>`,
+      closedContainer
+        ? `<p class="panel-copy status-amber">Container ${escapeHtml(closedContainer.container_label)} is already ${escapeHtml(closedContainer.status)}.</p>`
+        : '',
+      canEdit ? [
+        '<div class="scan-actions">',
+        `<select data-scan-field="container" aria-label="Container">${containerOptions}</select>`,
+        '<input data-scan-field="quantity" type="number" min="0" step="any" value="1" aria-label="Quantity" />',
+        '<button class="action-button" type="button" data-scan-action="use">Use</button>',
+        '<button class="table-button" type="button" data-scan-action="verify">Verify</button>',
+        '</div>',
+        '<div class="scan-actions">',
+        `<select data-scan-field="area" aria-label="Storage area">${areaOptions}</select>`,
+        '<button class="table-button" type="button" data-scan-action="move">Move</button>',
+        `<button class="table-button" type="button" data-scan-action="empty"${containers.length ? '' : ' disabled'}>Mark Empty</button>`,
+        `<button class="table-button" type="button" data-scan-action="disposed"${containers.length ? '' : ' disabled'}>Mark Disposed</button>`,
+        '</div>',
+      ].join('') : '',
+      '</article>',
+    ].join('');
+  }
+
+  async function handleScanAction(event) {
+    const trigger = event.target.closest('[data-scan-action]');
+    const result = state.scanStation.result;
+    if (!trigger || !result) return;
+
+    const action = trigger.dataset.scanAction;
+    if (action === 'register') {
+      openScanRegistration(result);
+      return;
+    }
+
+    const material = result.material;
+    const readField = (name) => {
+      const field = elements.scanResult.querySelector(`[data-scan-field="${name}"]`);
+      return field ? field.value : '';
+    };
+    const sessionId = state.scanStation.session ? state.scanStation.session.id : undefined;
+    const containerId = Number(readField('container')) || null;
+
+    try {
+      if (action === 'use') {
+        const quantity = Number(readField('quantity'));
+        if (!(quantity > 0)) {
+          setStatus('Enter a quantity greater than zero.', 'error');
+          return;
+        }
+        await apiFetch(`/api/command-center/materials/${material.id}/use`, {
+          method: 'POST',
+          body: JSON.stringify({ quantity, container_id: containerId, reason: 'Scan station', scan_session_id: sessionId }),
+        });
+        setStatus(`Recorded use of ${quantity} from ${material.name}.`, 'info');
+      } else if (action === 'verify') {
+        await apiFetch(`/api/command-center/materials/${material.id}/verify`, {
+          method: 'POST',
+          body: JSON.stringify({ notes: 'Verified at scan station', scan_session_id: sessionId }),
+        });
+        setStatus(`${material.name} verified.`, 'info');
+      } else if (action === 'move') {
+        const location = String(readField('area')).split('::');
+        await apiFetch(`/api/command-center/materials/${material.id}/storage`, {
+          method: 'PUT',
+          body: JSON.stringify({
+            storage_map_id: location[1] ? location[0] : null,
+            storage_area_id: location[1] || null,
+            scan_session_id: sessionId,
+          }),
+        });
+        setStatus(`${material.name} moved.`, 'info');
+      } else if (action === 'empty' || action === 'disposed') {
+        const containers = (result.containers || []).filter((container) => container.status === 'active');
+        const container = containers.find((entry) => entry.id === containerId) || (containers.length === 1 ? containers[0] : null);
+        if (!container) {
+          setStatus('Select the container to retire.', 'error');
+          return;
+        }
+        if (!window.confirm(`Mark container ${container.container_label} ${action}? Its remaining ${container.remaining_quantity} is written off.`)) return;
+        await apiFetch(`/api/command-center/materials/${material.id}/containers/${container.id}`, {
           method: 'PUT',
-          body: JSON.stringify(payload),
+          body: JSON.stringify({ status: action, scan_session_id: sessionId }),
         });
-        setStatus('Calibration asset updated.', 'info');
+        setStatus(`Container ${container.container_label} marked ${action}.`, 'info');
       } else {
-        asset = await apiFetch('/api/command-center/calibration', {
-          method: 'POST',
-          body: JSON.stringify(payload),
-        });
-        setStatus('Calibration asset created.', 'info');
-      }
-      closeModal('calibration-modal');
-      await refreshPortal({ silentStatus: true });
-      if (!isEditing) {
-        openAssetDetailModal(findCalibrationById(asset && asset.id) || asset, 'calibration');
+        return;
       }
     } catch (error) {
-      setStatus(error.message || 'Failed to save calibration asset.', 'error');
+      setStatus(error.message || 'Scan station action failed.', 'error');
+      return;
     }
+
+    await refreshPortal({ silentStatus: true });
+    await lookupScanCode(result.code, { record: false });
   }
 
-  async function uploadCalibrationAttachment(file) {
-    if (!file) return null;
-    const body = new FormData();
-    body.append('attachment', file);
-    const response = await apiFetch('/api/command-center/calibration/attachments', {
-      method: 'POST',
-      body,
-    });
-    return response && response.path ? response.path : null;
+  function openScanRegistration(result) {
+    const decoded = result.decoded || {};
+    openMaterialModal(null);
+    state.scanStation.pendingRegistration = result.code;
+    if (elements.materialForm.label_id) {
+      elements.materialForm.label_id.value = result.code;
+    }
+    if (elements.materialForm.primary_class && decoded.primary_class) {
+      elements.materialForm.primary_class.value = decoded.primary_class;
+    }
+    if (elements.materialForm.division && decoded.division) {
+      elements.materialForm.division.value = decoded.division;
+    }
+    if (decoded.expiration_date) {
+      elements.materialForm.expiration_date.value = decoded.expiration_date;
+    }
   }
 
-  async function submitCheckoutForm(event) {
-    event.preventDefault();
-    try {
-      await apiFetch(`/api/command-center/calibration/${state.activeCalibrationId}/check-out`, {
-        method: 'POST',
-        body: JSON.stringify({ reason: elements.checkoutForm.reason.value.trim() }),
-      });
-      closeModal('checkout-modal');
-      setStatus('Asset check-out logged.', 'info');
-      await refreshPortal({ silentStatus: true });
-    } catch (error) {
-      setStatus(error.message || 'Failed to check out asset.', 'error');
+  async function loadScanSessionEntries() {
+    const sessionId = state.scanStation.reviewSessionId
+      || (state.scanStation.session ? state.scanStation.session.id : '');
+    if (!sessionId) {
+      state.scanStation.entries = [];
+    } else {
+      try {
+        const session = await apiFetch(`/api/command-center/hazmat/scan-sessions/${encodeURIComponent(sessionId)}`);
+        state.scanStation.entries = Array.isArray(session.entries) ? session.entries : [];
+      } catch (error) {
+        state.scanStation.entries = [];
+      }
     }
+    renderScanSessionLog();
   }
 
-  async function submitCertificateForm(event) {
-    event.preventDefault();
+  async function loadScanSessions() {
     try {
-      const payload = await apiFetch(`/api/command-center/calibration/${state.activeCalibrationId}/certificate`, {
-        method: 'POST',
-        body: JSON.stringify({ technician: elements.certificateForm.technician.value.trim() }),
-      });
-      buildCertificatePdf(payload);
-      closeModal('certificate-modal');
-      setStatus(`Certificate ${payload.certificate_id} generated locally.`, 'info');
-      await refreshPortal({ silentStatus: true });
+      const sessions = await apiFetch('/api/command-center/hazmat/scan-sessions');
+      state.scanStation.sessions = Array.isArray(sessions) ? sessions : [];
     } catch (error) {
-      setStatus(error.message || 'Failed to generate certificate.', 'error');
+      state.scanStation.sessions = [];
+    }
+    if (!elements.scanSessionSelect) return;
+
+    const currentId = state.scanStation.session ? state.scanStation.session.id : '';
+    elements.scanSessionSelect.innerHTML = ['<option value="">Current session</option>']
+      .concat(state.scanStation.sessions
+        .filter((session) => session.scan_session_id !== currentId)
+        .map((session) => {
+          const label = `${formatDateTime(session.started_at)} · ${session.actors.join(', ')} · ${session.scans + session.unknown_scans} scans, ${session.actions} actions`;
+          return `<option value="${escapeHtml(session.scan_session_id)}">${escapeHtml(label)}</option>`;
+        }))
+      .join('');
+    elements.scanSessionSelect.value = state.scanStation.reviewSessionId;
+  }
+
+  function handleScanSessionReviewChange() {
+    state.scanStation.reviewSessionId = elements.scanSessionSelect.value;
+    loadScanSessionEntries();
+  }
+
+  function renderScanSessionLog() {
+    if (!elements.scanSessionLog) return;
+    const entries = state.scanStation.entries.slice().reverse();
+    if (!entries.length) {
+      elements.scanSessionLog.innerHTML = '<li><small>No scans recorded in this session yet.</small></li>';
+      return;
     }
+    elements.scanSessionLog.innerHTML = entries.map((entry) => [
+      '<li>',
+      `<small>${escapeHtml(formatDateTime(entry.timestamp))}</small>`,
+      `<strong class="${entry.action === 'scan_unknown' ? 'status-amber' : ''}">${escapeHtml(String(entry.action || '').replace(/_/g, ' '))}</strong>`,
+      `<span>${escapeHtml(entry.detail || '')}${entry.actor_name ? ` <small>· ${escapeHtml(entry.actor_name)}</small>` : ''}</span>`,
+      '</li>',
+    ].join('')).join('');
   }
 
-  async function verifyMaterial(material) {
-    if (!material || !material.id) return;
-    const notesInput = window.prompt('Optional verification notes', '');
-    if (notesInput === null) return;
-    try {
-      await apiFetch(`/api/command-center/materials/${material.id}/verify`, {
-        method: 'POST',
-        body: JSON.stringify({ notes: notesInput.trim() }),
-      });
-      setStatus('Hazmat material verified.', 'info');
-      await refreshPortal({ silentStatus: true });
-      const refreshed = findMaterialById(material.id) || material;
-      openAssetDetailModal(refreshed, 'hazmat');
-    } catch (error) {
-      setStatus(error.message || 'Failed to verify hazmat material.', 'error');
+  function promptArchiveReason(label) {
+    const reason = window.prompt(`Reason for archiving ${label}`, '');
+    if (reason === null) return null;
+    if (!reason.trim()) {
+      setStatus('An archive reason is required.', 'error');
+      return null;
     }
+    return reason.trim();
   }
 
   async function deleteMaterial(material) {
-    if (!window.confirm(`Delete ${material.name}? This removes its usage history as well.`)) return;
+    const reason = promptArchiveReason(material.name);
+    if (!reason) return;
     try {
-      await apiFetch(`/api/command-center/materials/${material.id}`, { method: 'DELETE' });
-      setStatus('Material deleted.', 'info');
+      await apiFetch(`/api/command-center/materials/${material.id}`, {
+        method: 'DELETE',
+        body: JSON.stringify({ reason }),
+      });
+      setStatus('Material archived.', 'info');
+      state.archivedRecords.hazmat = null;
       await refreshPortal({ silentStatus: true });
     } catch (error) {
-      setStatus(error.message || 'Failed to delete material.', 'error');
+      setStatus(error.message || 'Failed to archive material.', 'error');
     }
   }
 
   async function deleteCalibration(asset) {
-    if (!window.confirm(`Delete ${asset.tool_name}?`)) return;
+    const reason = promptArchiveReason(asset.tool_name);
+    if (!reason) return;
     try {
-      await apiFetch(`/api/command-center/calibration/${asset.id}`, { method: 'DELETE' });
-      setStatus('Calibration asset deleted.', 'info');
+      await apiFetch(`/api/command-center/calibration/${asset.id}`, {
+        method: 'DELETE',
+        body: JSON.stringify({ reason }),
+      });
+      setStatus('Calibration asset archived.', 'info');
+      state.archivedRecords.calibration = null;
       await refreshPortal({ silentStatus: true });
     } catch (error) {
-      setStatus(error.message || 'Failed to delete calibration asset.', 'error');
+      setStatus(error.message || 'Failed to archive calibration asset.', 'error');
     }
   }
 
@@ -7513,12 +11344,16 @@
       const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
       const materials = mapInventoryRows(rows);
       if (!materials.length) throw new Error('No valid inventory rows detected in the workbook.');
-      await apiFetch('/api/command-center/materials/import', {
+      const result = await apiFetch('/api/command-center/materials/import', {
         method: 'POST',
         body: JSON.stringify({ materials }),
       });
       setStatus(`Imported ${materials.length} hazmat rows.`, 'info');
       await refreshPortal({ silentStatus: true });
+      const importedIds = Array.isArray(result && result.material_ids) ? result.material_ids : [];
+      if (importedIds.length && window.confirm(`Print container labels for the ${importedIds.length} imported material(s)?`)) {
+        await printMaterialLabels(importedIds, `Labels for ${importedIds.length} imported material(s)`);
+      }
     } catch (error) {
       setStatus(error.message || 'Failed to import inventory workbook.', 'error');
     } finally {
@@ -7526,6 +11361,63 @@
     }
   }
 
+  async function printFilteredInventoryLabels() {
+    const rows = state.inventoryTable
+      ? state.inventoryTable.getData('active')
+      : state.materials.filter((item) => filterInventoryRows(item, elements.inventorySearch ? elements.inventorySearch.value : ''));
+    const ids = rows.map((row) => Number(row && row.id)).filter((id) => Number.isInteger(id) && id > 0);
+    if (!ids.length) {
+      setStatus('No materials in the current view to label.', 'error');
+      return;
+    }
+    if (ids.length > 1 && !window.confirm(`Print container labels for ${ids.length} material(s) in the current view?`)) {
+      return;
+    }
+    await printMaterialLabels(ids, `Labels for ${ids.length} material(s)`);
+  }
+
+  async function printMaterialLabels(materialIds, description) {
+    const select = document.getElementById('label-stock-size');
+    const size = select ? select.value : '2x4';
+    const token = localStorage.getItem(TOKEN_KEY) || localStorage.getItem(LEGACY_TOKEN_KEY);
+    const headers = new Headers({ 'Content-Type': 'application/json' });
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    try {
+      setStatus('Generating container labels...', 'info');
+      const response = await fetch('/api/command-center/hazmat/labels', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ material_ids: materialIds, size }),
+        credentials: 'same-origin',
+      });
+      if (typeof auth.handleUnauthorized === 'function' && auth.handleUnauthorized(response.status)) {
+        throw new Error('Session expired. Redirecting to login.');
+      }
+      if (!response.ok) {
+        const payload = await response.json().catch(() => null);
+        throw new Error((payload && payload.error) || response.statusText || 'Failed to generate labels.');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const opened = window.open(url, '_blank');
+      if (!opened) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hazmat_labels_${size}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }
+      window.setTimeout(() => URL.revokeObjectURL(url), 60000);
+      setStatus(`${description} ready to print.`, 'info');
+    } catch (error) {
+      setStatus(error.message || 'Failed to generate labels.', 'error');
+    }
+  }
+
   async function handleCalibrationImport(event) {
     const file = event.target.files && event.target.files[0];
     if (!file) return;
@@ -7603,6 +11495,348 @@
     }
   }
 
+  function describeQuantityUsage(entry) {
+    const parts = [];
+    if (entry.mass_kg || entry.max_mass_kg !== null) {
+      parts.push(`${entry.mass_kg} kg${entry.max_mass_kg !== null ? ` / ${entry.max_mass_kg} kg` : ''}`);
+    }
+    if (entry.volume_l || entry.max_volume_l !== null) {
+      parts.push(`${entry.volume_l} L${entry.max_volume_l !== null ? ` / ${entry.max_volume_l} L` : ''}`);
+    }
+    return parts.join(' · ') || '0';
+  }
+
+  function buildQuantityReportRows(report) {
+    if (!report) return [];
+    const toRow = (scope, area, entry) => ({
+      Scope: scope,
+      Map: area ? (area.map_name || area.map_id || '') : '',
+      Area: area ? area.area_name : 'Facility',
+      HazardClass: entry.hazard_class,
+      Label: entry.label,
+      Materials: entry.material_count,
+      MassKg: entry.mass_kg,
+      MaxMassKg: entry.max_mass_kg === null ? '' : entry.max_mass_kg,
+      VolumeL: entry.volume_l,
+      MaxVolumeL: entry.max_volume_l === null ? '' : entry.max_volume_l,
+      Status: entry.exceeded ? 'EXCEEDED' : (entry.max_mass_kg === null && entry.max_volume_l === null ? 'NO LIMIT' : 'WITHIN LIMIT'),
+    });
+
+    return report.facility.classes.map((entry) => toRow('Facility', null, entry))
+      .concat(report.areas.flatMap((area) => area.classes.map((entry) => toRow(area.area_id ? 'Control Area' : 'Unassigned', area, entry))));
+  }
+
+  function renderQuantityReport() {
+    if (!elements.quantityReportResults) return;
+
+    const report = state.quantityReport;
+    if (elements.quantityReportSummary) {
+      const exceeded = report ? report.exceeded_count : 0;
+      elements.quantityReportSummary.textContent = `${exceeded} exceeded`;
+      elements.quantityReportSummary.classList.toggle('status-danger', exceeded > 0);
+    }
+    if (!report) {
+      elements.quantityReportResults.innerHTML = '<div class="focus-item"><strong>No quantity report</strong><p>Hazmat read access is required to aggregate regulatory quantities.</p></div>';
+      return;
+    }
+
+    const groups = [{ title: 'Facility', classes: report.facility.classes }]
+      .concat(report.areas.map((area) => ({
+        title: [area.map_name, area.area_name].filter(Boolean).join(' · '),
+        classes: area.classes,
+      })));
+    const cards = groups.flatMap((group) => group.classes.map((entry) => [
+      '<article class="asset-result-card">',
+      '<div class="asset-result-head">',
+      `<strong>${escapeHtml(`${group.title} · ${entry.hazard_class} ${entry.label}`)}</strong>`,
+      entry.exceeded ? '<span class="status-chip status-danger">EXCEEDED</span>' : '<span class="status-chip status-safe">OK</span>',
+      '</div>',
+      '<div class="asset-result-grid">',
+      `<div><small>Quantity / Limit</small><strong>${escapeHtml(describeQuantityUsage(entry))}</strong></div>`,
+      `<div><small>Materials</small><strong>${escapeHtml(String(entry.material_count))}</strong></div>`,
+      '</div>',
+      '</article>',
+    ].join('')));
+    const unmeasured = report.unmeasured.length
+      ? `<div class="focus-item"><strong>${escapeHtml(`${report.unmeasured.length} classified material${report.unmeasured.length === 1 ? '' : 's'} not measured`)}</strong><p>${escapeHtml(report.unmeasured.map((entry) => `${entry.name} (${entry.reason})`).join('; '))}</p></div>`
+      : '';
+
+    elements.quantityReportResults.innerHTML = (cards.join('') || '<div class="focus-item"><strong>No classified stock</strong><p>Materials with a hazard division and container size are totalled here.</p></div>') + unmeasured;
+  }
+
+  function renderVendorPerformanceReport() {
+    if (!elements.vendorPerformancePanel || !elements.vendorPerformanceResults) return;
+
+    const report = state.vendorPerformance;
+    elements.vendorPerformancePanel.classList.toggle('hidden', !report);
+    if (!report) return;
+
+    if (elements.vendorPerformanceSummary) {
+      elements.vendorPerformanceSummary.textContent = `${report.vendors.length} vendor${report.vendors.length === 1 ? '' : 's'}`;
+    }
+    if (!report.vendors.length) {
+      elements.vendorPerformanceResults.innerHTML = '<div class="focus-item"><strong>No vendor shipments</strong><p>Send assets out for external calibration to build turnaround and rejection history.</p></div>';
+      return;
+    }
+
+    elements.vendorPerformanceResults.innerHTML = report.vendors.map((vendor) => {
+      const flagged = vendor.late_returns > 0 || vendor.overdue_items > 0;
+      return [
+        '<article class="asset-result-card">',
+        '<div class="asset-result-head">',
+        `<strong>${escapeHtml(vendor.vendor)}</strong>`,
+        flagged
+          ? `<span class="status-chip status-amber">${escapeHtml(String(vendor.late_returns + vendor.overdue_items))} LATE</span>`
+          : '<span class="status-chip status-safe">ON TIME</span>',
+        '</div>',
+        '<div class="asset-result-grid">',
+        `<div><small>Avg Turnaround</small><strong>${escapeHtml(vendor.average_turnaround_days === null ? 'n/a' : `${vendor.average_turnaround_days} days`)}</strong></div>`,
+        `<div><small>Returned / Sent</small><strong>${escapeHtml(`${vendor.items_returned} / ${vendor.items_sent}`)}</strong></div>`,
+        `<div><small>Late Returns</small><strong>${escapeHtml(String(vendor.late_returns))}${vendor.overdue_items ? escapeHtml(` + ${vendor.overdue_items} overdue`) : ''}</strong></div>`,
+        `<div><small>Rejection Rate</small><strong>${escapeHtml(vendor.rejection_rate === null ? 'n/a' : `${vendor.rejection_rate}%`)}</strong></div>`,
+        '</div>',
+        '</article>',
+      ].join('');
+    }).join('');
+  }
+
+  function exportQuantityWorkbook() {
+    if (!window.XLSX) {
+      setStatus('XLSX is not available locally.', 'error');
+      return;
+    }
+    if (!state.quantityReport) {
+      setStatus('Quantity report is not loaded.', 'error');
+      return;
+    }
+
+    const report = state.quantityReport;
+    const workbook = XLSX.utils.book_new();
+    const materialRows = report.facility.classes.flatMap((entry) => entry.materials.map((material) => ({
+      HazardClass: entry.hazard_class,
+      Material: material.name,
+      LabelID: material.label_id,
+      MassKg: material.mass_kg,
+      VolumeL: material.volume_l,
+    })));
+    const limitRows = report.limits.map((limit) => ({
+      HazardClass: limit.hazard_class,
+      Label: limit.label,
+      AreaMaxKg: limit.max_area_mass_kg === null ? '' : limit.max_area_mass_kg,
+      AreaMaxL: limit.max_area_volume_l === null ? '' : limit.max_area_volume_l,
+      FacilityMaxKg: limit.max_facility_mass_kg === null ? '' : limit.max_facility_mass_kg,
+      FacilityMaxL: limit.max_facility_volume_l === null ? '' : limit.max_facility_volume_l,
+    }));
+    const unmeasuredRows = report.unmeasured.map((entry) => ({
+      Material: entry.name,
+      LabelID: entry.label_id,
+      HazardClass: entry.hazard_class,
+      Reason: entry.reason,
+    }));
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildQuantityReportRows(report)), 'Quantities');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(materialRows), 'Materials');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(limitRows), 'Limits');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(unmeasuredRows), 'Not Measured');
+    XLSX.writeFile(workbook, `hazmat-quantity-report-${todayIso()}.xlsx`);
+    setStatus('Quantity report workbook exported locally.', 'info');
+  }
+
+  function exportQuantityReportPdf() {
+    if (!window.jspdf || !window.jspdf.jsPDF) {
+      setStatus('jsPDF is not available locally.', 'error');
+      return;
+    }
+    if (!state.quantityReport) {
+      setStatus('Quantity report is not loaded.', 'error');
+      return;
+    }
+
+    const report = state.quantityReport;
+    const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4', orientation: 'landscape' });
+    doc.setFillColor(18, 18, 18);
+    doc.rect(0, 0, 297, 26, 'F');
+    doc.setTextColor(255, 180, 0);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text('Hazmat Regulatory Quantity Report', 14, 13);
+    doc.setTextColor(240, 240, 240);
+    doc.setFontSize(9);
+    doc.text(`Generated: ${formatDateTime(report.generated_at)} · Basis: quantity on hand x container size`, 14, 20);
+
+    const columns = [['Scope', 14], ['Area', 44], ['Class', 104], ['Materials', 150], ['Mass / Limit (kg)', 172], ['Volume / Limit (L)', 214], ['Status', 256]];
+    const drawHeader = (top) => {
+      doc.setTextColor(25, 25, 25);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(9);
+      columns.forEach(([label, x]) => doc.text(label, x, top));
+      doc.setFont('helvetica', 'normal');
+    };
+
+    let y = 36;
+    drawHeader(y);
+    buildQuantityReportRows(report).forEach((row) => {
+      y += 7;
+      if (y > 195) {
+        doc.addPage();
+        y = 16;
+        drawHeader(y);
+        y += 7;
+      }
+      if (row.Status === 'EXCEEDED') doc.setTextColor(198, 40, 40);
+      else doc.setTextColor(25, 25, 25);
+      doc.text(row.Scope, 14, y);
+      doc.text(doc.splitTextToSize(String(row.Area || ''), 58)[0], 44, y);
+      doc.text(doc.splitTextToSize(`${row.HazardClass} ${row.Label}`, 44)[0], 104, y);
+      doc.text(String(row.Materials), 150, y);
+      doc.text(`${row.MassKg}${row.MaxMassKg !== '' ? ` / ${row.MaxMassKg}` : ''}`, 172, y);
+      doc.text(`${row.VolumeL}${row.MaxVolumeL !== '' ? ` / ${row.MaxVolumeL}` : ''}`, 214, y);
+      doc.text(row.Status, 256, y);
+    });
+
+    if (report.unmeasured.length) {
+      y += 12;
+      if (y > 185) {
+        doc.addPage();
+        y = 16;
+      }
+      doc.setTextColor(25, 25, 25);
+      doc.setFont('helvetica', 'bold');
+      doc.text('Classified materials not measured', 14, y);
+      doc.setFont('helvetica', 'normal');
+      report.unmeasured.forEach((entry) => {
+        y += 6;
+        if (y > 200) {
+          doc.addPage();
+          y = 16;
+        }
+        doc.text(`${entry.name} (${entry.label_id || 'no label'}) · class ${entry.hazard_class} · ${entry.reason}`, 14, y);
+      });
+    }
+
+    doc.save(`hazmat-quantity-report-${todayIso()}.pdf`);
+    setStatus('Quantity report PDF exported locally.', 'info');
+  }
+
+  function exportCycleCountVariance() {
+    if (typeof XLSX === 'undefined') {
+      setStatus('XLSX is not available locally.', 'error');
+      return;
+    }
+    const count = state.activeCycleCount;
+    if (!count) return;
+
+    const workbook = XLSX.utils.book_new();
+    const lineRows = count.lines.map((line) => ({
+      Line: line.line_number,
+      Material: line.material_name,
+      LabelID: line.label_id || '',
+      CAS: line.cas_number || '',
+      Container: line.container_label || '',
+      Lot: line.lot_number || '',
+      Expected: line.expected_quantity,
+      Found: line.found_quantity === null ? '' : line.found_quantity,
+      Variance: line.variance === null ? '' : line.variance,
+      Status: line.variance_status,
+      Method: line.method || '',
+      CountedBy: line.counted_by || '',
+      Posted: line.adjustment === undefined || line.adjustment === null ? '' : line.adjustment,
+    }));
+    const summaryRows = [{
+      Count: count.count_number,
+      Scope: describeCycleCountScope(count),
+      Status: count.status,
+      Lines: count.summary.line_count,
+      Counted: count.summary.counted_count,
+      Match: count.summary.match_count,
+      Short: count.summary.short_count,
+      Over: count.summary.over_count,
+      AccuracyPct: count.summary.accuracy_pct === null ? '' : count.summary.accuracy_pct,
+      CreatedBy: count.created_by || '',
+      ApprovedBy: count.approved_by || '',
+      ApprovedAt: count.approved_at || '',
+    }];
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(lineRows), 'Variance');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryRows), 'Summary');
+    XLSX.writeFile(workbook, `cycle-count-${count.count_number}.xlsx`);
+    setStatus(`Variance report for ${count.count_number} exported locally.`, 'info');
+  }
+
+  function exportWasteManifestPdf(manifest) {
+    if (!window.jspdf || !window.jspdf.jsPDF) {
+      setStatus('jsPDF is not available locally.', 'error');
+      return;
+    }
+
+    const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4', orientation: 'landscape' });
+    doc.setFillColor(18, 18, 18);
+    doc.rect(0, 0, 297, 26, 'F');
+    doc.setTextColor(255, 180, 0);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text(`Hazardous Waste Disposal Manifest ${manifest.manifest_number}`, 14, 13);
+    doc.setTextColor(240, 240, 240);
+    doc.setFontSize(9);
+    doc.text(`Manifested: ${formatDateTime(manifest.manifested_at)} by ${manifest.manifested_by || 'Unknown'} · Printed: ${formatDateTime(manifest.generated_at)}`, 14, 20);
+
+    let y = 36;
+    const ensureSpace = (top) => {
+      if (y <= top) return;
+      doc.addPage();
+      y = 16;
+    };
+    doc.setTextColor(25, 25, 25);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Containers', 14, y);
+    doc.setFont('helvetica', 'normal');
+    manifest.containers.forEach((container) => {
+      y += 6;
+      ensureSpace(195);
+      const area = [container.map_name, container.area_name].filter(Boolean).join(' · ');
+      doc.text(`${container.container_label} · ${container.waste_stream}${container.hazard_class ? ` · class ${container.hazard_class}` : ''} · ${area} · accumulating since ${container.accumulation_start_date || 'n/a'} · ${container.item_count} item(s)`, 14, y);
+    });
+
+    const columns = [['CAS Number', 14], ['Material', 44], ['Class', 134], ['Qty', 154], ['Volume (L)', 174], ['Mass (kg)', 200], ['Containers', 226]];
+    const drawHeader = () => {
+      doc.setFont('helvetica', 'bold');
+      columns.forEach(([label, x]) => doc.text(label, x, y));
+      doc.setFont('helvetica', 'normal');
+    };
+    y += 12;
+    ensureSpace(185);
+    drawHeader();
+    manifest.lines.forEach((line) => {
+      y += 7;
+      if (y > 195) {
+        doc.addPage();
+        y = 16;
+        drawHeader();
+        y += 7;
+      }
+      doc.text(line.cas_number || 'No CAS', 14, y);
+      doc.text(doc.splitTextToSize(line.names.join(', '), 86)[0], 44, y);
+      doc.text(line.hazard_classes.join(', ') || '-', 134, y);
+      doc.text(String(line.quantity), 154, y);
+      doc.text(String(line.volume_l), 174, y);
+      doc.text(String(line.mass_kg), 200, y);
+      doc.text(doc.splitTextToSize(line.container_labels.join(', '), 60)[0], 226, y);
+    });
+
+    y += 10;
+    ensureSpace(195);
+    doc.setFont('helvetica', 'bold');
+    doc.text(`Totals: ${manifest.totals.volume_l} L · ${manifest.totals.mass_kg} kg${manifest.totals.unmeasured_count ? ` · ${manifest.totals.unmeasured_count} item(s) without a convertible container size` : ''}`, 14, y);
+    y += 16;
+    ensureSpace(185);
+    doc.setFont('helvetica', 'normal');
+    doc.text('Generator signature: ______________________________', 14, y);
+    doc.text('Transporter signature: ______________________________', 150, y);
+
+    doc.save(`waste-manifest-${manifest.manifest_number}.pdf`);
+    setStatus(`Waste manifest ${manifest.manifest_number} exported locally.`, 'info');
+  }
+
   function exportAuditWorkbook() {
     if (!window.XLSX) {
       setStatus('XLSX is not available locally.', 'error');
@@ -7720,6 +11954,9 @@
     XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(debugComponentRows), 'Debug Components');
     XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(debugAlertRows), 'Debug Alerts');
     XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(logRows), 'Logs');
+    if (state.quantityReport) {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildQuantityReportRows(state.quantityReport)), 'Regulatory Quantities');
+    }
     XLSX.writeFile(workbook, `command-center-audit-${todayIso()}.xlsx`);
     setStatus('Audit workbook exported locally.', 'info');
   }
@@ -7949,6 +12186,7 @@
       `${data.grace_period_days}d grace`,
       `${maxDaily}/day`,
       formatAllowedDaysSummary(data && (data.allowed_days || data.allowedDays)),
+      ...(data && data.interval_adjust_enabled ? [`auto-adjust ${data.interval_min_days}-${data.interval_max_days}d`] : []),
     ].join(' · ');
   }
 
@@ -7963,6 +12201,13 @@
     ].join('')).join('');
   }
 
+  function describeMaterialStorageArea(item) {
+    if (!item.storage_area_id) return 'Unassigned';
+    const area = state.storageCompatibility.storage_areas
+      .find((entry) => entry.area_id === item.storage_area_id && entry.map_id === item.storage_map_id);
+    return area ? `${area.map_name} · ${area.area_name}` : item.storage_area_id;
+  }
+
   function buildMaterialDetailItems(item) {
     return [
       { label: 'Asset ID', value: item.asset_uid || `HAZ-ASSET-${String(item.id || '').padStart(6, '0')}` },
@@ -7974,15 +12219,37 @@
       { label: 'Primary Class', value: item.primary_class ? `C${item.primary_class}` : 'Not set' },
       { label: 'Division', value: item.division || 'Not set' },
       { label: 'Assigned Department / Owner', value: item.assigned_department || state.settings.defaultDepartment },
+      { label: 'Storage Area', value: describeMaterialStorageArea(item) },
       { label: 'GHS Symbols', html: renderGhsSymbols(item.ghs_symbols) },
       { label: 'Expiration Date', value: item.expiration_date || 'Open' },
       { label: 'Shelf Life', value: describeMaterialWindow(item) },
       { label: 'Stock Level', value: item.stock_level },
+      { label: 'Containers', html: formatMaterialContainersDetail(item) },
       { label: 'Minimum Threshold', value: formatMaterialThresholdValue(item) },
       { label: 'High Hazard', value: item.high_hazard ? 'Yes' : 'No' },
     ];
   }
 
+  function formatMaterialContainersDetail(item) {
+    const containers = (Array.isArray(item && item.containers) ? item.containers : [])
+      .filter((container) => container.status === 'active');
+    if (!containers.length) {
+      return '<span class="status-chip">No open containers</span>';
+    }
+
+    return containers.map((container) => {
+      const chipClass = container.expired ? 'status-danger' : 'status-blue';
+      const parts = [
+        container.container_label,
+        container.lot_number ? `Lot ${container.lot_number}` : '',
+        container.location || '',
+        container.expiration_date ? `Exp ${container.expiration_date}` : 'No expiration',
+        `${container.remaining_quantity} left`,
+      ].filter(Boolean);
+      return `<span class="status-chip ${chipClass}">${escapeHtml(parts.join(' · '))}</span>`;
+    }).join(' ');
+  }
+
   function formatMaterialSdsDetail(item) {
     if (item && item.sds_not_required) {
       return '<span class="status-chip">Not required</span>';
@@ -8026,12 +12293,25 @@
       { label: 'Instructions', value: item.instructions || 'Not set' },
       { label: 'Notes', value: item.notes || 'Not set' },
       { label: 'Interval Rule', value: formatTemplateIntervalSummary(item) },
+      ...(item.interval_override_days ? [{ label: 'Adjusted Interval', value: `${item.interval_override_days}d (approved from history)` }] : []),
       { label: 'Daily Capacity', value: `${Math.min(10, Math.max(1, normalizePositiveInteger(item.max_daily_calibrations, 10)))} per day` },
       { label: 'Allowed Days', value: formatAllowedDaysSummary(item.allowed_days) },
       { label: 'Alert Lead', value: `${item.alert_lead_days || 0} day(s)` },
       { label: 'Grace Period', value: `${item.grace_period_days || 0} day(s)` },
       { label: 'Due Window', value: describeCalibrationWindow(item) },
-      { label: 'Check-Out', value: item.locked_for_checkout ? 'Locked' : 'Available' },
+      { label: 'Last Result', value: item.last_cal_result ? String(item.last_cal_result).toUpperCase() : 'Not recorded' },
+      ...(item.out_of_tolerance ? [{ label: 'Tolerance', html: '<span class="status-chip status-danger">OUT OF TOLERANCE · impact review open</span>' }] : []),
+      ...(item.gage_rr_result ? [{
+        label: 'Gage R&R',
+        html: `<span class="status-chip ${item.gage_rr_failed ? 'status-danger' : (item.gage_rr_result === 'marginal' ? 'status-amber' : 'status-safe')}">${escapeHtml(`${item.gage_rr_result.toUpperCase()} · ${item.gage_rr_percent}% GRR`)}</span>`,
+      }] : []),
+      { label: 'Check-Out', value: item.custody ? `Out to ${item.custody.holder_name}` : (item.locked_for_checkout || item.out_of_tolerance ? 'Locked' : 'Available') },
+      ...(item.custody ? [{
+        label: 'Expected Return',
+        value: item.return_overdue
+          ? `${item.custody.expected_return_date} (overdue)`
+          : (item.custody.expected_return_date || 'Not set'),
+      }] : []),
       { label: 'Attachment', html: formatAttachmentDetail(item.attachment_path) },
     ];
   }
@@ -8085,70 +12365,6 @@
     return state.debugTickets.find((item) => String(item.id) === String(id)) || null;
   }
 
-  function buildCertificatePdf(payload) {
-    if (!window.jspdf || !window.jspdf.jsPDF) {
-      throw new Error('jsPDF is not available locally.');
-    }
-
-    const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
-    const rows = [
-      ['Certificate ID', payload.certificate_id],
-      ['Issued At', formatDateTime(payload.issued_at)],
-      ['Technician', payload.technician],
-      ['Template', payload.asset.template_name || 'Not assigned'],
-      ['Category', payload.asset.category || 'Not assigned'],
-      ['Department', payload.asset.assigned_department || state.settings.defaultDepartment],
-      ['Asset ID', String(payload.asset.id)],
-      ['Tool Name', payload.asset.tool_name],
-      ['Serial Number', payload.asset.serial_number],
-      ['Last Calibration', payload.asset.last_cal || 'Not set'],
-      ['Next Calibration', payload.asset.next_cal || 'Not scheduled'],
-      ['Alert Lead', `${payload.asset.alert_lead_days || 0} days`],
-      ['Grace Period', `${payload.asset.grace_period_days || 0} days`],
-      ['Status', payload.asset.status],
-    ];
-
-    doc.setFillColor(18, 18, 18);
-    doc.rect(0, 0, 210, 34, 'F');
-    doc.setTextColor(255, 180, 0);
-    doc.setFont('helvetica', 'bold');
-    doc.setFontSize(22);
-    doc.text('Command Center', 16, 15);
-    doc.setTextColor(244, 244, 244);
-    doc.setFontSize(11);
-    doc.text('Calibration Certificate', 16, 23);
-
-    doc.setTextColor(18, 18, 18);
-    doc.setFillColor(250, 250, 250);
-    doc.roundedRect(14, 42, 182, 168, 4, 4, 'F');
-
-    let y = 54;
-    rows.forEach((entry) => {
-      doc.setFont('helvetica', 'bold');
-      doc.text(`${entry[0]}:`, 20, y);
-      doc.setFont('helvetica', 'normal');
-      doc.text(String(entry[1] || ''), 66, y);
-      y += 9;
-    });
-
-    doc.setDrawColor(58, 134, 255);
-    doc.setLineWidth(0.4);
-    doc.line(20, 182, 188, 182);
-    doc.setFont('helvetica', 'bold');
-    doc.text('Operational Statement', 20, 191);
-    doc.setFont('helvetica', 'normal');
-    doc.text('This certificate was generated locally by the Tactical Dark Command Center.', 20, 198);
-    doc.text('Any RED calibration asset remains unavailable for check-out until compliance is restored.', 20, 204);
-
-    if (payload.qr_data_url) {
-      doc.addImage(payload.qr_data_url, 'PNG', 153, 52, 28, 28);
-      doc.setFontSize(9);
-      doc.text('Verification', 153, 85);
-    }
-
-    doc.save(`calibration-certificate-${payload.asset.serial_number}.pdf`);
-  }
-
   function filterTemplateRows(data, term) {
     const value = String(term || '').trim().toLowerCase();
     if (!value) return true;
@@ -8163,6 +12379,8 @@
       data.asset_uid,
       data.label_id,
       data.batch_id,
+      data.cas_number,
+      (data.components || []).map((component) => `${component.cas_number} ${component.name || ''}`).join(' '),
       data.primary_class,
       data.division,
       (data.ghs_symbols || []).join(' '),
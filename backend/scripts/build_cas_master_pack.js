@@ -265,6 +265,8 @@ function scoreRecord(record) {
 
   score += Math.min(8, Array.isArray(record.ghs_auto_symbols) ? record.ghs_auto_symbols.length : 0);
   score += Math.min(8, Array.isArray(record.hazard_dna) ? record.hazard_dna.length : 0);
+  score += Math.min(4, Array.isArray(record.hazard_statements) ? record.hazard_statements.length : 0);
+  if (record.signal_word) score += 1;
 
   if (String(record.primary_class || '').trim() && String(record.primary_class || '').trim() !== '0') {
     score += 2;
@@ -303,6 +305,13 @@ function mergeSymbolLists(first, second) {
   return merged;
 }
 
+function mergeStatementLists(first, second) {
+  return [
+    ...(Array.isArray(first) ? first : []),
+    ...(Array.isArray(second) ? second : []),
+  ];
+}
+
 function mergeRecords(existingRecord, incomingRecord) {
   const existingScore = scoreRecord(existingRecord);
   const incomingScore = scoreRecord(incomingRecord);
@@ -317,6 +326,12 @@ function mergeRecords(existingRecord, incomingRecord) {
     ghs_auto_symbols: mergeSymbolLists(preferred.ghs_auto_symbols, secondary.ghs_auto_symbols),
     hazard_dna: mergeSymbolLists(preferred.hazard_dna, secondary.hazard_dna),
     hazard_status: bestStatus(preferred.hazard_status, secondary.hazard_status),
+    signal_word: preferred.signal_word || secondary.signal_word,
+    hazard_statements: mergeStatementLists(preferred.hazard_statements, secondary.hazard_statements),
+    precautionary_statements: mergeStatementLists(preferred.precautionary_statements, secondary.precautionary_statements),
+    exposure_limits: Array.isArray(preferred.exposure_limits) && preferred.exposure_limits.length
+      ? preferred.exposure_limits
+      : secondary.exposure_limits,
   };
 
   return normalizeCasRecord(mergedRaw) || preferred;
@@ -331,7 +346,9 @@ function isHazardQualified(record, includeNonHazardous) {
     ? record.hazard_dna.filter((symbol) => symbol !== 'non_hazardous')
     : [];
 
-  if (symbols.length || hazardDna.length) return true;
+  const hazardStatements = Array.isArray(record.hazard_statements) ? record.hazard_statements : [];
+
+  if (symbols.length || hazardDna.length || hazardStatements.length) return true;
   if (!includeNonHazardous) return false;
 
   return String(record.hazard_status || '').trim().toLowerCase() === 'non_hazardous';
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+const paths = require('../../config/paths');
+const {
+  buildUpdatePackageDigest,
+  normalizeCasRecord,
+  signUpdatePackageDigest,
+  UPDATE_PACKAGE_FORMAT,
+} = require('../services/casService');
+
+function printUsage() {
+  console.log([
+    'Usage: node backend/scripts/build_cas_update_package.js --to <new-snapshot.json> [options]',
+    '',
+    'Options:',
+    '  --from <path>      Snapshot currently installed on the target (default: data/cas_index_master.json, omit file for a first install)',
+    '  --to <path>        New snapshot to ship',
+    '  --output <path>    Package output path (default: cas_update_<version>.json)',
+    '  --version <value>  Package version (default: dataset.version of --to)',
+    '  --notes <text>     Release notes stored in the package header',
+    '',
+    'Set CAS_UPDATE_SIGNING_KEY to add an HMAC signature the target install verifies.',
+  ].join('\n'));
+}
+
+function parseArgs(argv) {
+  const options = {
+    fromPath: paths.CAS_INDEX_MASTER_PATH,
+    toPath: '',
+    outputPath: '',
+    version: '',
+    notes: '',
+  };
+  const keys = {
+    '--from': 'fromPath',
+    '--to': 'toPath',
+    '--output': 'outputPath',
+    '-o': 'outputPath',
+    '--version': 'version',
+    '--notes': 'notes',
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const token = argv[index];
+    if (token === '--help' || token === '-h') {
+      options.help = true;
+      continue;
+    }
+
+    const [flag, inlineValue] = token.split(/=(.*)/s);
+    if (!keys[flag]) {
+      throw new Error(`Unknown argument: ${token}`);
+    }
+    if (inlineValue === undefined) {
+      options[keys[flag]] = String(argv[index + 1] || '').trim();
+      index += 1;
+    } else {
+      options[keys[flag]] = inlineValue.trim();
+    }
+  }
+
+  return options;
+}
+
+function readSnapshot(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { dataset: {}, byCas: new Map() };
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const byCas = new Map();
+  (Array.isArray(parsed && parsed.records) ? parsed.records : []).forEach((entry) => {
+    const normalized = normalizeCasRecord(entry);
+    if (normalized) byCas.set(normalized.cas_number, normalized);
+  });
+  return {
+    dataset: parsed && typeof parsed.dataset === 'object' && parsed.dataset ? parsed.dataset : {},
+    byCas,
+  };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+  if (!options.toPath || !fs.existsSync(options.toPath)) {
+    printUsage();
+    throw new Error('A --to snapshot file is required.');
+  }
+
+  const previous = readSnapshot(options.fromPath);
+  const next = readSnapshot(options.toPath);
+  const baseVersion = String(previous.dataset.version || '').trim() || null;
+  const version = options.version || String(next.dataset.version || '').trim();
+  if (!version) {
+    throw new Error('Package version is required (set --version or dataset.version in the new snapshot).');
+  }
+  if (version === baseVersion) {
+    throw new Error(`Package version ${version} matches the installed version.`);
+  }
+
+  const upsert = [];
+  next.byCas.forEach((record, casNumber) => {
+    const existing = previous.byCas.get(casNumber);
+    if (!existing || JSON.stringify(existing) !== JSON.stringify(record)) {
+      upsert.push(record);
+    }
+  });
+  const remove = Array.from(previous.byCas.keys()).filter((casNumber) => !next.byCas.has(casNumber)).sort();
+  upsert.sort((left, right) => left.cas_number.localeCompare(right.cas_number));
+
+  const updatePackage = {
+    package: {
+      format: UPDATE_PACKAGE_FORMAT,
+      base_version: baseVersion,
+      version,
+      generated_at: new Date().toISOString(),
+      name: String(next.dataset.name || ''),
+      source: String(next.dataset.source || ''),
+      provider: String(next.dataset.provider || ''),
+      notes: options.notes || String(next.dataset.notes || ''),
+      record_count: next.byCas.size,
+    },
+    changes: {
+      upsert,
+      remove,
+    },
+  };
+  updatePackage.sha256 = buildUpdatePackageDigest(updatePackage);
+
+  const signingKey = String(process.env.CAS_UPDATE_SIGNING_KEY || '').trim();
+  if (signingKey) {
+    updatePackage.signature = signUpdatePackageDigest(updatePackage.sha256, signingKey);
+  }
+
+  const outputPath = path.resolve(options.outputPath || `cas_update_${version.replace(/[^a-zA-Z0-9_.-]+/g, '_')}.json`);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, `${JSON.stringify(updatePackage)}\n`, 'utf8');
+
+  console.log(`CAS update package written: ${outputPath}`);
+  console.log(`Base version: ${baseVersion || 'none'} -> ${version}`);
+  console.log(`Upserts: ${upsert.length}, removals: ${remove.length}`);
+  console.log(`SHA-256: ${updatePackage.sha256}${signingKey ? ' (signed)' : ''}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Failed to build CAS update package', error && error.message ? error.message : error);
+    process.exit(1);
+  }
+}
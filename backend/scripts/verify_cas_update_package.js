@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  buildUpdatePackageDigest,
+  createCasService,
+  UPDATE_PACKAGE_FORMAT,
+} = require('../services/casService');
+
+function writeSnapshot(filePath, version, records) {
+  fs.writeFileSync(filePath, `${JSON.stringify({ dataset: { version }, records }, null, 2)}\n`, 'utf8');
+}
+
+function buildPackage(baseVersion, version, changes) {
+  const updatePackage = {
+    package: {
+      format: UPDATE_PACKAGE_FORMAT,
+      base_version: baseVersion,
+      version,
+      generated_at: new Date().toISOString(),
+    },
+    changes,
+  };
+  updatePackage.sha256 = buildUpdatePackageDigest(updatePackage);
+  return updatePackage;
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Applies a package against base, master and extended layers and checks the merged lookups honour it.
+async function main() {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cas-update-verify-'));
+  const basePath = path.join(workDir, 'cas_index_ncbi.json');
+  const masterPath = path.join(workDir, 'cas_index_master.json');
+  const extendedPath = path.join(workDir, 'cas_index_extended.json');
+
+  try {
+    writeSnapshot(basePath, 'ncbi-1', [
+      { cas_number: '67-64-1', name: 'Acetone' },
+      { cas_number: '64-17-5', name: 'Ethanol' },
+    ]);
+    writeSnapshot(extendedPath, 'ext-1', [
+      { cas_number: '67-64-1', name: 'Acetone' },
+      { cas_number: '108-88-3', name: 'Toluene' },
+    ]);
+
+    const casService = createCasService({
+      snapshotPaths: [basePath, masterPath, extendedPath],
+      writeThroughPath: extendedPath,
+      updatePath: masterPath,
+      allowRemoteLookup: false,
+      logger: { log: () => {}, warn: () => {} },
+    });
+    casService.loadSnapshot(true);
+    assert(await casService.lookup('67-64-1'), '67-64-1 should resolve before the update');
+
+    const preview = casService.applyUpdatePackage(buildPackage(null, 'master-1', {
+      upsert: [{ cas_number: '108-88-3', name: 'Toluene (reviewed)' }],
+      remove: ['67-64-1'],
+    }));
+    assert(preview.removed.some((entry) => entry.cas_number === '67-64-1'), 'package preview should report 67-64-1 as removed');
+    assert(await casService.lookup('67-64-1') === null, 'removed CAS 67-64-1 still resolves');
+    assert(!casService.list({ search: '67-64-1' }).records.length, 'removed CAS 67-64-1 is still listed');
+    assert((await casService.lookup('108-88-3')).name === 'Toluene (reviewed)', 'updated CAS 108-88-3 is shadowed by another layer');
+    assert(await casService.lookup('64-17-5'), 'untouched CAS 64-17-5 no longer resolves');
+
+    casService.rollbackUpdate();
+    assert(await casService.lookup('67-64-1'), 'rollback should restore 67-64-1');
+
+    console.log('CAS update package checks passed.');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('CAS update package verification failed', error && error.message ? error.message : error);
+    process.exit(1);
+  });
+}
@@ -26,6 +26,13 @@ const { createHazmatController } = require('../api/controllers/hazmatController'
 const { createCommandCenterController } = require('../api/controllers/commandCenterController');
 const { createAdminConsoleController } = require('../api/controllers/adminConsoleController');
 const { createCasService } = require('./services/casService');
+const { createMailService } = require('./services/mailService');
+const { createCalibrationNotificationService } = require('./services/calibrationNotificationService');
+const { createArchiveRetentionService } = require('./services/archiveRetentionService');
+const { createCertificateService } = require('./services/certificateService');
+const { createLabelService } = require('./services/labelService');
+const { createIncidentReportService } = require('./services/incidentReportService');
+const { createImpactAssessmentReportService } = require('./services/impactAssessmentReportService');
 const { hazmatDb, gagesDb, debugDb, syncPortalModels } = require('../models');
 
 let PDFDocument = null;
@@ -69,12 +76,58 @@ function createServerApp() {
   const casService = createCasService({
     snapshotPaths: casSnapshotPaths,
     writeThroughPath: paths.CAS_INDEX_EXTENDED_PATH,
+    updatePath: paths.CAS_INDEX_MASTER_PATH,
+    historyPath: paths.CAS_INDEX_HISTORY_PATH,
+    backupDir: paths.CAS_INDEX_BACKUP_DIR,
+    signingKey: process.env.CAS_UPDATE_SIGNING_KEY,
     allowRemoteLookup: casRemoteLookupEnabled,
     remoteLookupTimeoutMs: Number.isFinite(casRemoteTimeoutMs) ? casRemoteTimeoutMs : 8000,
     logger: console,
   });
   casService.loadSnapshot();
 
+  const mailService = createMailService({
+    host: process.env.SMTP_HOST,
+    port: Number.parseInt(process.env.SMTP_PORT || '25', 10),
+    secure: String(process.env.SMTP_SECURE || 'false').trim().toLowerCase() === 'true',
+    username: process.env.SMTP_USER,
+    password: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM,
+    logger: console,
+  });
+  const calibrationNotifier = createCalibrationNotificationService({
+    gagesDb,
+    mailService,
+    logger: console,
+    enabled: String(process.env.CALIBRATION_NOTIFY_ENABLED || 'true').trim().toLowerCase() !== 'false',
+    runAtHour: Number.parseInt(process.env.CALIBRATION_NOTIFY_HOUR || '6', 10),
+    fallbackRecipients: process.env.CALIBRATION_NOTIFY_FALLBACK_TO || '',
+    portalUrl: process.env.PORTAL_URL || '',
+  });
+  const archiveRetention = createArchiveRetentionService({
+    hazmatDb,
+    gagesDb,
+    debugDb,
+    logger: console,
+    retentionDays: Number.parseInt(process.env.ARCHIVE_RETENTION_DAYS || '365', 10),
+    runAtHour: Number.parseInt(process.env.ARCHIVE_PURGE_HOUR || '2', 10),
+  });
+  const certificateService = createCertificateService({
+    PDFDocument,
+    outputDir: paths.CERT_UPLOADS_DIR,
+    logger: console,
+  });
+  const labelService = createLabelService({
+    PDFDocument,
+    SVGtoPDF,
+  });
+  const incidentReportService = createIncidentReportService({
+    PDFDocument,
+  });
+  const impactAssessmentReportService = createImpactAssessmentReportService({
+    PDFDocument,
+  });
+
   app.use(express.json({ limit: '10mb' }));
   app.use(express.urlencoded({ extended: true }));
   app.use(session({
@@ -232,6 +285,14 @@ function createServerApp() {
       calibrationAttachmentUpload,
       hazmatSdsUpload,
       casService,
+      calibrationNotifier,
+      archiveRetention,
+      certificateService,
+      labelService,
+      incidentReportService,
+      impactAssessmentReportService,
+      publicBaseUrl: process.env.PORTAL_URL || '',
+      mapService,
     }),
     adminConsoleController: createAdminConsoleController({
       db,
@@ -239,6 +300,7 @@ function createServerApp() {
       paths,
       hazmatDb,
       gagesDb,
+      casService,
     }),
   };
 
@@ -248,6 +310,8 @@ function createServerApp() {
     app,
     server,
     io,
+    calibrationNotifier,
+    archiveRetention,
   };
 }
 
@@ -262,6 +326,8 @@ async function startServer(port = PORT) {
       resolve();
     });
   });
+  runtime.calibrationNotifier.start();
+  runtime.archiveRetention.start();
   return runtime;
 }
 
@@ -0,0 +1,245 @@
+const { Op } = require('sequelize');
+const { isDailyRunDue, localDateKey } = require('./dailySchedule');
+
+function normalizeRetentionDays(value, fallback = 365) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric < 0) return fallback;
+  return Math.floor(numeric);
+}
+
+function parseJsonList(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function createArchiveRetentionService({
+  hazmatDb,
+  gagesDb,
+  debugDb,
+  logger = console,
+  retentionDays = 365,
+  runAtHour = 2,
+  checkIntervalMs = 60 * 60 * 1000,
+}) {
+  const resolvedDays = normalizeRetentionDays(retentionDays);
+  const resolvedRunHour = Number.isInteger(Number(runAtHour)) ? Math.min(23, Math.max(0, Number(runAtHour))) : 2;
+  let timer = null;
+  let running = null;
+  let lastRunDate = null;
+  let lastResult = null;
+
+  // Each target purges the archived row together with the records a hard delete used to remove.
+  // listRetainedIds names rows other records still point at; they stay archived instead of being purged.
+  const targets = [
+    {
+      key: 'materials',
+      db: hazmatDb,
+      model: hazmatDb && hazmatDb.Material,
+      module: 'inventory',
+      entityType: 'material',
+      describe: (row) => `material ${row.name}`,
+      metadata: (row) => ({ label_id: row.label_id, batch_id: row.batch_id }),
+      retainedReason: 'referenced by a waste container',
+      async listRetainedIds() {
+        if (!hazmatDb.WasteContainer) return new Set();
+        const wasteContainers = await hazmatDb.WasteContainer.findAll({ attributes: ['items'] });
+        return new Set(wasteContainers
+          .flatMap((container) => parseJsonList(container.items))
+          .map((item) => Number(item && item.material_id))
+          .filter((id) => Number.isInteger(id) && id > 0));
+      },
+      async purgeDependents(row, transaction) {
+        await hazmatDb.UsageLog.destroy({ where: { material_id: row.id }, transaction });
+        await hazmatDb.MaterialContainer.destroy({ where: { material_id: row.id }, transaction });
+      },
+    },
+    {
+      key: 'calibration_assets',
+      db: gagesDb,
+      model: gagesDb && gagesDb.CalibrationAsset,
+      module: 'calibration',
+      entityType: 'asset',
+      describe: (row) => `calibration asset ${row.tool_name}`,
+      metadata: (row) => ({ serial_number: row.serial_number }),
+      // Calibration records and their certificate PDFs are quality records: they are kept, and
+      // certificate verification reports them as withdrawn using the record's asset snapshot.
+      async purgeDependents(row, transaction) {
+        await gagesDb.CalibrationCustody.destroy({ where: { asset_id: row.id }, transaction });
+        await gagesDb.CalibrationImpactReview.destroy({ where: { asset_id: row.id }, transaction });
+        if (gagesDb.CalibrationIntervalProposal) {
+          await gagesDb.CalibrationIntervalProposal.destroy({ where: { asset_id: row.id }, transaction });
+        }
+        const records = await gagesDb.CalibrationRecord.findAll({
+          where: { asset_id: row.id },
+          attributes: ['id', 'certificate_id', 'certificate_file'],
+          transaction,
+        });
+        return {
+          calibration_records: {
+            disposition: 'retained',
+            count: records.length,
+            certificate_ids: records.map((record) => record.certificate_id).filter(Boolean),
+            certificate_files: records.map((record) => record.certificate_file).filter(Boolean),
+          },
+        };
+      },
+    },
+    {
+      key: 'debug_tickets',
+      db: debugDb,
+      model: debugDb && debugDb.FailureTicket,
+      module: 'debug_lab',
+      entityType: 'failure_ticket',
+      describe: (row) => `failure ticket for ${row.serial_number}`,
+      metadata: (row) => ({ serial_number: row.serial_number }),
+      async purgeDependents(row, transaction) {
+        await debugDb.FaultyComponent.destroy({ where: { ticket_id: row.id }, transaction });
+      },
+    },
+  ].filter((target) => target.model);
+
+  async function purgeTarget(target, cutoff, dryRun) {
+    const expired = await target.model.unscoped().findAll({
+      where: { archived_at: { [Op.ne]: null, [Op.lt]: cutoff } },
+      order: [['archived_at', 'ASC']],
+    });
+    const retainedIds = target.listRetainedIds && expired.length ? await target.listRetainedIds() : new Set();
+    const rows = expired.filter((row) => !retainedIds.has(row.id));
+    const describeRow = (row) => ({
+      id: row.id,
+      label: target.describe(row),
+      archived_at: row.archived_at,
+      archive_reason: row.archive_reason || null,
+    });
+    const summary = {
+      key: target.key,
+      count: rows.length,
+      items: rows.map(describeRow),
+      retained: expired
+        .filter((row) => retainedIds.has(row.id))
+        .map((row) => ({ ...describeRow(row), reason: target.retainedReason })),
+    };
+    if (dryRun || !rows.length) return summary;
+
+    await target.db.sequelize.transaction(async (transaction) => {
+      for (const row of rows) {
+        const dependents = await target.purgeDependents(row, transaction);
+        await target.db.CommandLog.create({
+          module: target.module,
+          entity_type: target.entityType,
+          entity_id: String(row.id),
+          action: 'purged',
+          actor_id: null,
+          actor_name: 'System',
+          detail: `Purged archived ${target.describe(row)} after ${resolvedDays} days`,
+          metadata: {
+            ...target.metadata(row),
+            archived_at: row.archived_at,
+            archive_reason: row.archive_reason || null,
+            archived_by: row.archived_by || null,
+            retention_days: resolvedDays,
+            ...(dependents || {}),
+          },
+          timestamp: new Date().toISOString(),
+        }, { transaction });
+        await row.destroy({ transaction });
+      }
+    });
+    return summary;
+  }
+
+  async function runOnce(options = {}) {
+    if (running) return running;
+
+    const dryRun = Boolean(options.dryRun);
+    running = (async () => {
+      if (!resolvedDays) {
+        throw new Error('archive retention is disabled');
+      }
+
+      const cutoff = new Date(Date.now() - (resolvedDays * 24 * 60 * 60 * 1000));
+      const result = {
+        run_at: new Date().toISOString(),
+        dry_run: dryRun,
+        retention_days: resolvedDays,
+        cutoff: cutoff.toISOString(),
+        targets: [],
+        purged: 0,
+      };
+
+      for (const target of targets) {
+        const summary = await purgeTarget(target, cutoff, dryRun);
+        result.targets.push(summary);
+        if (!dryRun) result.purged += summary.count;
+      }
+
+      if (!dryRun) {
+        lastResult = result;
+      }
+      return result;
+    })();
+
+    try {
+      return await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  async function tick() {
+    const now = new Date();
+    if (!isDailyRunDue(now, resolvedRunHour, lastRunDate)) return;
+
+    lastRunDate = localDateKey(now);
+    try {
+      const result = await runOnce();
+      if (result.purged) {
+        logger.log('archive retention', JSON.stringify({ purged: result.purged, retention_days: resolvedDays }));
+      }
+    } catch (error) {
+      logger.warn('archive retention failed', error && error.message ? error.message : error);
+    }
+  }
+
+  function start() {
+    if (!resolvedDays || timer) return false;
+
+    timer = setInterval(tick, checkIntervalMs);
+    if (typeof timer.unref === 'function') timer.unref();
+    tick();
+    return true;
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function getStatus() {
+    return {
+      enabled: resolvedDays > 0,
+      retention_days: resolvedDays,
+      scheduled: Boolean(timer),
+      run_at_hour: resolvedRunHour,
+      last_run_date: lastRunDate,
+      last_result: lastResult,
+    };
+  }
+
+  return {
+    runOnce,
+    start,
+    stop,
+    getStatus,
+  };
+}
+
+module.exports = {
+  createArchiveRetentionService,
+  normalizeRetentionDays,
+};
@@ -0,0 +1,333 @@
+const {
+  DEFAULT_DEPARTMENT,
+  DEFAULT_INTERVAL_DAYS,
+  computeCalibrationStatus,
+  defaultAlertLeadDays,
+  defaultGracePeriodDays,
+  normalizeNonNegativeInteger,
+  normalizePositiveInteger,
+  normalizeText,
+} = require('../../models/calibrationRules');
+const { normalizeRecipients } = require('./mailService');
+const { isDailyRunDue, localDateKey } = require('./dailySchedule');
+
+const NOTICE_TYPES = {
+  WARNING: 'alert_window',
+  EXPIRED: 'overdue',
+  LOCKED: 'locked_for_checkout',
+};
+
+const NOTICE_LABELS = {
+  alert_window: 'Entering calibration alert window',
+  overdue: 'Overdue (in grace period)',
+  locked_for_checkout: 'Locked for checkout',
+};
+
+function daysUntil(value, now = new Date()) {
+  const text = String(value || '').slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const target = new Date(`${text}T00:00:00Z`);
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return Math.round((target.getTime() - today.getTime()) / 86400000);
+}
+
+function parseMetadata(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(String(value));
+  } catch (error) {
+    return {};
+  }
+}
+
+function formatIdSerial(value) {
+  const numeric = Number(value);
+  return String(Number.isInteger(numeric) && numeric > 0 ? numeric : 0).padStart(6, '0');
+}
+
+function buildNoticeKey(type, asset) {
+  return `${type}:${asset.id}:${asset.next_cal || 'unscheduled'}`;
+}
+
+function evaluateAssetNotice(asset) {
+  const calFrequency = normalizePositiveInteger(asset.cal_frequency, DEFAULT_INTERVAL_DAYS);
+  const alertLeadDays = Math.min(calFrequency, normalizeNonNegativeInteger(asset.alert_lead_days, defaultAlertLeadDays(calFrequency)));
+  const gracePeriodDays = normalizeNonNegativeInteger(asset.grace_period_days, defaultGracePeriodDays(calFrequency));
+  if (!asset.next_cal) return null;
+
+  const status = computeCalibrationStatus({
+    nextCalDate: asset.next_cal,
+    alertLeadDays,
+    gracePeriodDays,
+  });
+  const type = NOTICE_TYPES[status];
+  if (!type) return null;
+
+  return {
+    type,
+    status,
+    key: buildNoticeKey(type, asset),
+    days_until_due: daysUntil(asset.next_cal),
+    grace_period_days: gracePeriodDays,
+  };
+}
+
+function buildDigestText(department, notices, portalUrl) {
+  const lines = [
+    `Calibration status digest for ${department.name}`,
+    `Generated ${new Date().toISOString()}`,
+    '',
+  ];
+
+  Object.keys(NOTICE_LABELS).forEach((type) => {
+    const entries = notices.filter((notice) => notice.type === type);
+    if (!entries.length) return;
+    lines.push(`${NOTICE_LABELS[type]} (${entries.length})`);
+    entries.forEach((notice) => {
+      const { asset } = notice;
+      const due = typeof notice.days_until_due === 'number'
+        ? (notice.days_until_due >= 0 ? `due in ${notice.days_until_due} day(s)` : `${Math.abs(notice.days_until_due)} day(s) overdue`)
+        : 'no due date';
+      lines.push(`  - ${asset.tool_name} [S/N ${asset.serial_number}] next cal ${asset.next_cal || 'unscheduled'}, ${due}`);
+    });
+    lines.push('');
+  });
+
+  if (portalUrl) {
+    lines.push(`Open the Command Center: ${portalUrl}`);
+  }
+
+  return lines.join('\n');
+}
+
+function createCalibrationNotificationService({
+  gagesDb,
+  mailService,
+  logger = console,
+  runAtHour = 6,
+  checkIntervalMs = 15 * 60 * 1000,
+  fallbackRecipients = [],
+  portalUrl = '',
+  enabled = true,
+}) {
+  const { CalibrationAsset, Department, CommandLog: GageLog, sequelize: gagesSequelize } = gagesDb;
+  const resolvedRunHour = Number.isInteger(Number(runAtHour)) ? Math.min(23, Math.max(0, Number(runAtHour))) : 6;
+  const resolvedFallback = normalizeRecipients(fallbackRecipients);
+  let timer = null;
+  let running = null;
+  let lastRunDate = null;
+  let lastResult = null;
+
+  async function loadSentNoticeKeys() {
+    const rows = await GageLog.findAll({
+      attributes: ['metadata'],
+      where: {
+        module: 'calibration',
+        action: 'notification_sent',
+      },
+    });
+    const keys = new Set();
+    rows.forEach((row) => {
+      const metadata = parseMetadata(row.metadata);
+      if (metadata.notice_key) keys.add(String(metadata.notice_key));
+    });
+    return keys;
+  }
+
+  async function collectPendingNotices() {
+    const [assets, departments, sentKeys] = await Promise.all([
+      CalibrationAsset.findAll({ order: [['next_cal', 'ASC'], ['id', 'ASC']] }),
+      Department.findAll({ order: [['name', 'ASC']] }),
+      loadSentNoticeKeys(),
+    ]);
+
+    const departmentsByName = new Map();
+    departments.forEach((department) => {
+      departmentsByName.set(normalizeText(department.name).toLowerCase(), department);
+    });
+
+    const byDepartment = new Map();
+    assets.forEach((record) => {
+      const asset = record && typeof record.toJSON === 'function' ? record.toJSON() : record;
+      const notice = evaluateAssetNotice(asset);
+      if (!notice || sentKeys.has(notice.key)) return;
+
+      const departmentName = normalizeText(asset.assigned_department, DEFAULT_DEPARTMENT);
+      const bucketKey = departmentName.toLowerCase();
+      if (!byDepartment.has(bucketKey)) {
+        const department = departmentsByName.get(bucketKey);
+        byDepartment.set(bucketKey, {
+          name: department ? department.name : departmentName,
+          supervisor: department ? normalizeText(department.supervisor) : '',
+          supervisor_email: department ? normalizeText(department.supervisor_email) : '',
+          notices: [],
+        });
+      }
+      byDepartment.get(bucketKey).notices.push({ ...notice, asset });
+    });
+
+    return Array.from(byDepartment.values());
+  }
+
+  async function recordNotices(department, notices, recipients) {
+    await gagesSequelize.transaction(async (transaction) => {
+      for (const notice of notices) {
+        await GageLog.create({
+          module: 'calibration',
+          entity_type: 'asset',
+          entity_id: String(notice.asset.id),
+          action: 'notification_sent',
+          actor_id: null,
+          actor_name: 'System',
+          detail: `${NOTICE_LABELS[notice.type]} notice sent to ${recipients.join(', ')} for ${notice.asset.tool_name}`,
+          metadata: {
+            notice_key: notice.key,
+            notice_type: notice.type,
+            status: notice.status,
+            next_cal: notice.asset.next_cal || null,
+            department: department.name,
+            supervisor: department.supervisor || null,
+            recipients,
+            asset_uid: `CAL-ASSET-${formatIdSerial(notice.asset.id)}`,
+            cfe_uid: `CFE-CAL-${formatIdSerial(notice.asset.id)}`,
+          },
+          timestamp: new Date().toISOString(),
+        }, { transaction });
+      }
+    });
+  }
+
+  async function runOnce(options = {}) {
+    if (running) return running;
+
+    const dryRun = Boolean(options.dryRun);
+    running = (async () => {
+      const result = {
+        run_at: new Date().toISOString(),
+        dry_run: dryRun,
+        departments: [],
+        sent: 0,
+        skipped: 0,
+        failed: 0,
+      };
+
+      if (!dryRun && (!mailService || !mailService.isConfigured())) {
+        throw new Error('smtp relay is not configured');
+      }
+
+      const buckets = await collectPendingNotices();
+      for (const department of buckets) {
+        const recipients = department.supervisor_email
+          ? normalizeRecipients(department.supervisor_email)
+          : resolvedFallback;
+        const summary = {
+          department: department.name,
+          recipients,
+          notices: department.notices.map((notice) => ({
+            asset_id: notice.asset.id,
+            tool_name: notice.asset.tool_name,
+            notice_type: notice.type,
+            next_cal: notice.asset.next_cal || null,
+          })),
+          status: 'pending',
+        };
+        result.departments.push(summary);
+
+        if (!recipients.length) {
+          summary.status = 'skipped';
+          summary.error = 'department supervisor email is not set';
+          result.skipped += department.notices.length;
+          continue;
+        }
+
+        if (dryRun) {
+          summary.status = 'dry_run';
+          continue;
+        }
+
+        try {
+          await mailService.sendMail({
+            to: recipients,
+            subject: `[Command Center] Calibration notices for ${department.name} (${department.notices.length})`,
+            text: buildDigestText(department, department.notices, portalUrl),
+          });
+          await recordNotices(department, department.notices, recipients);
+          summary.status = 'sent';
+          result.sent += department.notices.length;
+        } catch (error) {
+          summary.status = 'failed';
+          summary.error = error && error.message ? error.message : String(error);
+          result.failed += department.notices.length;
+        }
+      }
+
+      if (!dryRun) {
+        lastResult = result;
+      }
+      return result;
+    })();
+
+    try {
+      return await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  async function tick() {
+    const now = new Date();
+    if (!isDailyRunDue(now, resolvedRunHour, lastRunDate)) return;
+
+    lastRunDate = localDateKey(now);
+    try {
+      const result = await runOnce();
+      if (result.sent || result.failed || result.skipped) {
+        logger.log('calibration notifications', JSON.stringify({ sent: result.sent, failed: result.failed, skipped: result.skipped }));
+      }
+    } catch (error) {
+      logger.warn('calibration notifications failed', error && error.message ? error.message : error);
+    }
+  }
+
+  function start() {
+    if (!enabled || timer) return false;
+    if (!mailService || !mailService.isConfigured()) {
+      logger.warn('calibration notifications disabled: SMTP_HOST is not set');
+      return false;
+    }
+
+    timer = setInterval(tick, checkIntervalMs);
+    if (typeof timer.unref === 'function') timer.unref();
+    tick();
+    return true;
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function getStatus() {
+    return {
+      enabled: Boolean(enabled),
+      smtp_configured: Boolean(mailService && mailService.isConfigured()),
+      scheduled: Boolean(timer),
+      run_at_hour: resolvedRunHour,
+      last_run_date: lastRunDate,
+      last_result: lastResult,
+    };
+  }
+
+  return {
+    runOnce,
+    start,
+    stop,
+    getStatus,
+  };
+}
+
+module.exports = {
+  createCalibrationNotificationService,
+  evaluateAssetNotice,
+};
@@ -1,7 +1,16 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
 
+const {
+  normalizeExposureLimits,
+  normalizeSignalWord,
+  normalizeStatementFilter,
+  normalizeStatementList,
+  statementCodeMatches,
+} = require('./ghsStatements');
+
 const KNOWN_HAZARD_SYMBOLS = new Set([
   'explosive',
   'flammable',
@@ -27,6 +36,8 @@ const MATERIAL_CLASS_RULES = [
   { symbol: 'environmental_hazard', classCode: '9', division: '9.1' },
 ];
 
+const UPDATE_PACKAGE_FORMAT = 'cas-update';
+
 const PUBCHEM_PROPERTY_BASE_URL = 'https://pubchem.ncbi.nlm.nih.gov/rest/pug/compound/name';
 const PUBCHEM_GHS_BASE_URL = 'https://pubchem.ncbi.nlm.nih.gov/rest/pug_view/data/compound';
 
@@ -251,6 +262,61 @@ function normalizeRecord(raw) {
     hazard_status: hazardStatus,
     risk,
     flags,
+    signal_word: normalizeSignalWord(raw && raw.signal_word),
+    hazard_statements: normalizeStatementList(raw && (raw.hazard_statements || raw.h_statements || raw.h_codes), 'H'),
+    precautionary_statements: normalizeStatementList(raw && (raw.precautionary_statements || raw.p_statements || raw.p_codes), 'P'),
+    exposure_limits: normalizeExposureLimits(raw && raw.exposure_limits),
+  };
+}
+
+function collectPubChemStrings(node, output = []) {
+  if (Array.isArray(node)) {
+    node.forEach((entry) => collectPubChemStrings(entry, output));
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === 'String' && typeof value === 'string') {
+        output.push(value.trim());
+      } else {
+        collectPubChemStrings(value, output);
+      }
+    });
+  }
+  return output;
+}
+
+// PubChem lists one H statement per string ("H225 (100%): Highly flammable ... [Danger ...]") and P codes as a comma list.
+function extractStatementsFromPubChem(payload) {
+  const strings = collectPubChemStrings(payload);
+  const signalWord = strings.map(normalizeSignalWord).find(Boolean) || null;
+  const hazardStatements = normalizeStatementList(strings.filter((value) => /^H\d{3}/.test(value)), 'H');
+  const precautionaryCodes = strings
+    .filter((value) => /^P\d{3}/.test(value))
+    .flatMap((value) => value.match(/P\d{3}(?:\+P\d{3})*/g) || []);
+
+  return {
+    signal_word: signalWord,
+    hazard_statements: hazardStatements,
+    precautionary_statements: normalizeStatementList(precautionaryCodes, 'P'),
+  };
+}
+
+function matchesStatementFilters(record, filters) {
+  if (filters.hazardCodes.length
+    && !(record.hazard_statements || []).some((entry) => statementCodeMatches(entry.code, filters.hazardCodes))) {
+    return false;
+  }
+  if (filters.precautionaryCodes.length
+    && !(record.precautionary_statements || []).some((entry) => statementCodeMatches(entry.code, filters.precautionaryCodes))) {
+    return false;
+  }
+  return !filters.signalWord || record.signal_word === filters.signalWord;
+}
+
+function normalizeStatementFilters(options = {}) {
+  return {
+    hazardCodes: normalizeStatementFilter(options.hazard_code || options.hazardCode).filter((code) => code.startsWith('H')),
+    precautionaryCodes: normalizeStatementFilter(options.precautionary_code || options.precautionaryCode).filter((code) => code.startsWith('P')),
+    signalWord: normalizeSignalWord(options.signal_word || options.signalWord),
   };
 }
 
@@ -384,12 +450,14 @@ async function resolveCasViaPubChem(casNumber, { timeoutMs = 8000, logger = cons
   const cid = Number(first.CID);
   const title = String(first.Title || '').trim();
   let inferredSymbols = [];
+  let statements = {};
 
   if (Number.isFinite(cid) && cid > 0) {
     const ghsUrl = `${PUBCHEM_GHS_BASE_URL}/${cid}/JSON?heading=${encodeURIComponent('GHS Classification')}`;
     try {
       const ghsPayload = await fetchJson(ghsUrl, { timeoutMs });
       inferredSymbols = extractHazardSymbolsFromPubChem(ghsPayload);
+      statements = extractStatementsFromPubChem(ghsPayload);
     } catch (error) {
       if (logger && typeof logger.warn === 'function') {
         logger.warn(`PubChem GHS lookup failed for ${casNumber}`, error && error.message ? error.message : error);
@@ -402,6 +470,7 @@ async function resolveCasViaPubChem(casNumber, { timeoutMs = 8000, logger = cons
     name: title || `CAS ${casNumber}`,
     ghs_auto_symbols: inferredSymbols,
     hazard_status: inferredSymbols.length ? 'estimated' : 'unknown',
+    ...statements,
   });
 }
 
@@ -543,6 +612,9 @@ function loadSnapshotFile(snapshotPath) {
     if (!normalized) return;
     byCas.set(normalized.cas_number, normalized);
   });
+  const removed = new Set((Array.isArray(parsed && parsed.removed) ? parsed.removed : [])
+    .map((entry) => normalizeCasNumber(entry))
+    .filter(Boolean));
 
   return {
     metadata: {
@@ -554,6 +626,45 @@ function loadSnapshotFile(snapshotPath) {
       record_count: byCas.size,
     },
     byCas,
+    removed,
+  };
+}
+
+// The digest covers the package header and changes exactly as serialized, so builders and importers must hash the same JSON.
+function buildUpdatePackageDigest(updatePackage) {
+  const source = updatePackage || {};
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ package: source.package || {}, changes: source.changes || {} }))
+    .digest('hex');
+}
+
+function signUpdatePackageDigest(digest, signingKey) {
+  return crypto.createHmac('sha256', String(signingKey)).update(String(digest)).digest('hex');
+}
+
+function digestsMatch(expected, actual) {
+  const left = Buffer.from(String(expected || '').trim().toLowerCase());
+  const right = Buffer.from(String(actual || '').trim().toLowerCase());
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function writeJsonFileAtomic(filePath, payload) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(payload, null, 2)}\n`, 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+function listChangedRecordFields(previous, next) {
+  return Object.keys(next).filter((key) => JSON.stringify(previous[key]) !== JSON.stringify(next[key]));
+}
+
+function summarizeUpdateRecord(record) {
+  return {
+    cas_number: record.cas_number,
+    name: record.name,
+    primary_class: record.primary_class,
+    division: record.division,
   };
 }
 
@@ -562,14 +673,26 @@ function createCasService({
   snapshotPaths,
   logger = console,
   writeThroughPath,
+  updatePath,
+  historyPath,
+  backupDir,
+  signingKey,
+  maxBackups = 5,
   allowRemoteLookup = true,
   remoteLookupTimeoutMs = 8000,
 }) {
   const resolvedSnapshotPaths = normalizeSnapshotPaths(snapshotPath, snapshotPaths);
   const resolvedWriteThroughPath = String(writeThroughPath || '').trim();
+  const resolvedUpdatePath = String(updatePath || '').trim();
+  const resolvedHistoryPath = String(historyPath || '').trim()
+    || (resolvedUpdatePath ? path.join(path.dirname(resolvedUpdatePath), 'cas_index_history.json') : '');
+  const resolvedBackupDir = String(backupDir || '').trim()
+    || (resolvedUpdatePath ? path.join(path.dirname(resolvedUpdatePath), 'cas_index_backups') : '');
+  const resolvedSigningKey = String(signingKey || '').trim();
   let loaded = false;
   let metadata = defaultMetadata();
   let byCas = new Map();
+  let removedCas = new Set();
   let snapshotFingerprint = '';
   let writeQueue = Promise.resolve();
 
@@ -607,13 +730,22 @@ function createCasService({
     try {
       const loadedFiles = [];
       const mergedByCas = new Map();
+      let mergedRemovals = new Set();
 
-      resolvedSnapshotPaths.forEach((pathValue) => {
+      // Installed update packages are authoritative, so their layer merges last and its removals hide every other layer.
+      const orderedPaths = resolvedSnapshotPaths.includes(resolvedUpdatePath)
+        ? resolvedSnapshotPaths.filter((pathValue) => pathValue !== resolvedUpdatePath).concat(resolvedUpdatePath)
+        : resolvedSnapshotPaths;
+      orderedPaths.forEach((pathValue) => {
         if (!fs.existsSync(pathValue)) return;
         const loadedSnapshot = loadSnapshotFile(pathValue);
         loadedSnapshot.byCas.forEach((record, casNumber) => {
           mergedByCas.set(casNumber, record);
         });
+        if (pathValue === resolvedUpdatePath) {
+          mergedRemovals = loadedSnapshot.removed;
+          mergedRemovals.forEach((casNumber) => mergedByCas.delete(casNumber));
+        }
         loadedFiles.push({
           path: pathValue,
           metadata: loadedSnapshot.metadata,
@@ -626,6 +758,7 @@ function createCasService({
 
       metadata = mergeMetadata(loadedFiles, mergedByCas.size);
       byCas = mergedByCas;
+      removedCas = mergedRemovals;
       loaded = true;
       snapshotFingerprint = nextFingerprint;
       if (logger && typeof logger.log === 'function') {
@@ -636,6 +769,7 @@ function createCasService({
       loaded = true;
       metadata = defaultMetadata();
       byCas = new Map();
+      removedCas = new Set();
       snapshotFingerprint = nextFingerprint;
       if (logger && typeof logger.warn === 'function') {
         logger.warn('Failed to load CAS snapshot', error && error.message ? error.message : error);
@@ -668,6 +802,8 @@ function createCasService({
       record = byCas.get(normalized);
     }
 
+    if (!record && removedCas.has(normalized)) return null;
+
     if (!record && allowRemoteLookup) {
       const remoteRecord = await resolveCasViaPubChem(normalized, {
         timeoutMs: remoteLookupTimeoutMs,
@@ -702,6 +838,7 @@ function createCasService({
     const divisionFilter = normalizeDivision(options.division);
     const hazardStatusFilter = String(options.hazard_status || options.hazardStatus || '').trim().toLowerCase();
     const searchFilter = String(options.search || options.q || '').trim().toLowerCase();
+    const statementFilters = normalizeStatementFilters(options);
     const limit = normalizeListLimit(options.limit, 200, 5000);
     const offset = normalizeListOffset(options.offset);
 
@@ -719,6 +856,10 @@ function createCasService({
       records = records.filter((record) => String(record.hazard_status || '').trim().toLowerCase() === hazardStatusFilter);
     }
 
+    if (statementFilters.hazardCodes.length || statementFilters.precautionaryCodes.length || statementFilters.signalWord) {
+      records = records.filter((record) => matchesStatementFilters(record, statementFilters));
+    }
+
     if (searchFilter) {
       records = records.filter((record) => {
         const cas = String(record.cas_number || '').toLowerCase();
@@ -786,6 +927,8 @@ function createCasService({
       dataset_version: metadata.version,
       dataset_generated_at: metadata.generated_at,
       source: metadata.source,
+      update_version: getUpdateVersion(),
+      history: getDatasetHistory(),
     };
   }
 
@@ -794,18 +937,337 @@ function createCasService({
     return { ...metadata };
   }
 
+  // Local-only match used to filter inventory by H/P statement without triggering live lookups.
+  function findCasNumbersByStatements(options = {}) {
+    ensureLoaded();
+    const filters = normalizeStatementFilters(options);
+    const matches = new Set();
+    byCas.forEach((record, casNumber) => {
+      if (matchesStatementFilters(record, filters)) matches.add(casNumber);
+    });
+    return matches;
+  }
+
+  function assertUpdatesAvailable() {
+    if (!resolvedUpdatePath) {
+      throw new Error('cas update packages are not configured');
+    }
+    if (!resolvedSnapshotPaths.includes(resolvedUpdatePath)) {
+      throw new Error('cas update packages require the master snapshot to be enabled');
+    }
+  }
+
+  function readUpdateLayer() {
+    const layer = {
+      exists: false,
+      dataset: {},
+      version: null,
+      byCas: new Map(),
+      removed: new Set(),
+    };
+    if (!resolvedUpdatePath || !fs.existsSync(resolvedUpdatePath)) return layer;
+
+    const parsed = JSON.parse(fs.readFileSync(resolvedUpdatePath, 'utf8'));
+    layer.exists = true;
+    layer.dataset = parsed && typeof parsed.dataset === 'object' && parsed.dataset ? parsed.dataset : {};
+    layer.version = String(layer.dataset.version || '').trim() || null;
+    (Array.isArray(parsed && parsed.records) ? parsed.records : []).forEach((entry) => {
+      const normalized = normalizeRecord(entry);
+      if (normalized) layer.byCas.set(normalized.cas_number, normalized);
+    });
+    (Array.isArray(parsed && parsed.removed) ? parsed.removed : []).forEach((entry) => {
+      const casNumber = normalizeCasNumber(entry);
+      if (casNumber) layer.removed.add(casNumber);
+    });
+    return layer;
+  }
+
+  function readHistory() {
+    if (!resolvedHistoryPath || !fs.existsSync(resolvedHistoryPath)) return [];
+    try {
+      const parsed = JSON.parse(fs.readFileSync(resolvedHistoryPath, 'utf8'));
+      return Array.isArray(parsed && parsed.entries) ? parsed.entries : [];
+    } catch (error) {
+      if (logger && typeof logger.warn === 'function') {
+        logger.warn('Failed to read CAS dataset history', error && error.message ? error.message : error);
+      }
+      return [];
+    }
+  }
+
+  function writeHistory(entries) {
+    writeJsonFileAtomic(resolvedHistoryPath, { entries });
+  }
+
+  function pruneBackups() {
+    if (!resolvedBackupDir || !fs.existsSync(resolvedBackupDir)) return;
+    const files = fs.readdirSync(resolvedBackupDir)
+      .filter((fileName) => fileName.endsWith('.json'))
+      .map((fileName) => ({ fileName, mtimeMs: fs.statSync(path.join(resolvedBackupDir, fileName)).mtimeMs }))
+      .sort((left, right) => right.mtimeMs - left.mtimeMs);
+    files.slice(Math.max(Number(maxBackups) || 0, 1)).forEach((entry) => {
+      fs.rmSync(path.join(resolvedBackupDir, entry.fileName), { force: true });
+    });
+  }
+
+  function verifyUpdatePackage(input) {
+    let source = input;
+    if (typeof source === 'string') {
+      try {
+        source = JSON.parse(source);
+      } catch (error) {
+        throw new Error('invalid cas update package format');
+      }
+    }
+
+    const header = source && typeof source.package === 'object' ? source.package : null;
+    const changes = source && typeof source.changes === 'object' ? source.changes : null;
+    if (!header || !changes || String(header.format || '').trim() !== UPDATE_PACKAGE_FORMAT) {
+      throw new Error('invalid cas update package format');
+    }
+
+    const version = String(header.version || '').trim();
+    if (!version) {
+      throw new Error('package version is required');
+    }
+    if (!source.sha256) {
+      throw new Error('package integrity hash is required');
+    }
+
+    const digest = buildUpdatePackageDigest(source);
+    if (!digestsMatch(digest, source.sha256)) {
+      throw new Error('package integrity hash does not match its contents');
+    }
+    if (resolvedSigningKey && !digestsMatch(signUpdatePackageDigest(digest, resolvedSigningKey), source.signature)) {
+      throw new Error('package signature is invalid');
+    }
+
+    const upserts = new Map();
+    (Array.isArray(changes.upsert) ? changes.upsert : []).forEach((entry) => {
+      const normalized = normalizeRecord(entry);
+      if (normalized) upserts.set(normalized.cas_number, normalized);
+    });
+    const removals = new Set((Array.isArray(changes.remove) ? changes.remove : [])
+      .map((entry) => normalizeCasNumber(entry && typeof entry === 'object' ? entry.cas_number : entry))
+      .filter(Boolean));
+    removals.forEach((casNumber) => {
+      if (upserts.has(casNumber)) {
+        throw new Error(`package both updates and removes CAS ${casNumber}`);
+      }
+    });
+
+    return {
+      header: {
+        version,
+        base_version: String(header.base_version || '').trim() || null,
+        generated_at: header.generated_at || null,
+        name: String(header.name || '').trim(),
+        source: String(header.source || '').trim(),
+        provider: String(header.provider || '').trim(),
+        notes: String(header.notes || '').trim(),
+      },
+      upserts,
+      removals,
+      digest,
+      signed: Boolean(resolvedSigningKey),
+    };
+  }
+
+  function buildUpdatePlan(input) {
+    assertUpdatesAvailable();
+    const verified = verifyUpdatePackage(input);
+    const layer = readUpdateLayer();
+    const { header } = verified;
+
+    if (header.version === layer.version) {
+      throw new Error(`cas dataset version ${header.version} is already installed`);
+    }
+    if (header.base_version !== layer.version) {
+      throw new Error(`package base version ${header.base_version || 'none'} does not match installed version ${layer.version || 'none'}`);
+    }
+
+    // Diff against the merged view so records served by the base or extended layers are updated and removed too.
+    ensureLoaded();
+    const nextByCas = new Map(layer.byCas);
+    const nextRemoved = new Set(layer.removed);
+    const added = [];
+    const changed = [];
+    const removed = [];
+    let unchanged = 0;
+
+    verified.upserts.forEach((record, casNumber) => {
+      const previous = layer.byCas.get(casNumber) || byCas.get(casNumber);
+      if (!previous) {
+        added.push(summarizeUpdateRecord(record));
+      } else {
+        const fields = listChangedRecordFields(previous, record);
+        if (fields.length) {
+          changed.push({ ...summarizeUpdateRecord(record), fields });
+        } else {
+          unchanged += 1;
+        }
+      }
+      nextByCas.set(casNumber, record);
+      nextRemoved.delete(casNumber);
+    });
+    verified.removals.forEach((casNumber) => {
+      const previous = nextByCas.get(casNumber) || byCas.get(casNumber);
+      if (!previous) return;
+      removed.push(summarizeUpdateRecord(previous));
+      nextByCas.delete(casNumber);
+      nextRemoved.add(casNumber);
+    });
+
+    return {
+      verified,
+      layer,
+      nextByCas,
+      nextRemoved,
+      preview: {
+        version: header.version,
+        base_version: header.base_version,
+        installed_version: layer.version,
+        generated_at: header.generated_at,
+        notes: header.notes,
+        sha256: verified.digest,
+        signed: verified.signed,
+        added,
+        changed,
+        removed,
+        unchanged,
+        record_count: nextByCas.size,
+      },
+    };
+  }
+
+  function previewUpdatePackage(input) {
+    return buildUpdatePlan(input).preview;
+  }
+
+  function applyUpdatePackage(input, options = {}) {
+    const { verified, layer, nextByCas, nextRemoved, preview } = buildUpdatePlan(input);
+    const { header } = verified;
+    const appliedAt = new Date().toISOString();
+
+    let backupFile = null;
+    if (layer.exists) {
+      const versionSlug = String(layer.version || 'unversioned').replace(/[^a-zA-Z0-9_.-]+/g, '_');
+      backupFile = `${path.basename(resolvedUpdatePath, '.json')}.${versionSlug}.${appliedAt.replace(/[:.]/g, '-')}.json`;
+      fs.mkdirSync(resolvedBackupDir, { recursive: true });
+      fs.copyFileSync(resolvedUpdatePath, path.join(resolvedBackupDir, backupFile));
+    }
+
+    const records = Array.from(nextByCas.values()).sort((left, right) => left.cas_number.localeCompare(right.cas_number));
+    writeJsonFileAtomic(resolvedUpdatePath, {
+      dataset: {
+        ...layer.dataset,
+        name: header.name || layer.dataset.name || 'Master Offline CAS Index',
+        source: header.source || layer.dataset.source || 'CAS update package',
+        provider: header.provider || layer.dataset.provider || 'Operations',
+        version: header.version,
+        generated_at: header.generated_at || appliedAt,
+        record_count: records.length,
+        notes: header.notes || layer.dataset.notes || '',
+      },
+      records,
+      removed: Array.from(nextRemoved).sort(),
+    });
+
+    const entry = {
+      action: 'apply',
+      version: header.version,
+      previous_version: layer.version,
+      sha256: verified.digest,
+      signed: verified.signed,
+      applied_at: appliedAt,
+      applied_by: options.actor || null,
+      added: preview.added.length,
+      changed: preview.changed.length,
+      removed: preview.removed.length,
+      record_count: records.length,
+      backup_file: backupFile,
+      rolled_back_at: null,
+      rolled_back_by: null,
+    };
+    writeHistory([...readHistory(), entry]);
+    pruneBackups();
+    loadSnapshot(true);
+
+    return { ...preview, history_entry: entry };
+  }
+
+  function rollbackUpdate(options = {}) {
+    assertUpdatesAvailable();
+    const history = readHistory();
+    const target = history.slice().reverse().find((entry) => entry.action === 'apply' && !entry.rolled_back_at);
+    if (!target) {
+      throw new Error('no applied cas update to roll back');
+    }
+
+    const layer = readUpdateLayer();
+    if (layer.version !== target.version) {
+      throw new Error(`installed version ${layer.version || 'none'} does not match the last applied package ${target.version}`);
+    }
+
+    if (target.backup_file) {
+      const backupPath = path.join(resolvedBackupDir, target.backup_file);
+      if (!fs.existsSync(backupPath)) {
+        throw new Error(`previous cas snapshot ${target.backup_file} was not found`);
+      }
+      writeJsonFileAtomic(resolvedUpdatePath, JSON.parse(fs.readFileSync(backupPath, 'utf8')));
+    } else {
+      fs.rmSync(resolvedUpdatePath, { force: true });
+    }
+
+    const rolledBackAt = new Date().toISOString();
+    target.rolled_back_at = rolledBackAt;
+    target.rolled_back_by = options.actor || null;
+    const entry = {
+      action: 'rollback',
+      version: target.previous_version,
+      previous_version: target.version,
+      applied_at: rolledBackAt,
+      applied_by: options.actor || null,
+      record_count: readUpdateLayer().byCas.size,
+    };
+    writeHistory([...history, entry]);
+    loadSnapshot(true);
+
+    return entry;
+  }
+
+  function getDatasetHistory(limit = 50) {
+    return readHistory().slice(-limit).reverse();
+  }
+
+  function getUpdateVersion() {
+    try {
+      return readUpdateLayer().version;
+    } catch (error) {
+      return null;
+    }
+  }
+
   return {
     loadSnapshot,
     lookup,
     list,
     getClassSummary,
     getMetadata,
+    findCasNumbersByStatements,
+    getDatasetHistory,
+    previewUpdatePackage,
+    applyUpdatePackage,
+    rollbackUpdate,
     normalizeCasNumber,
   };
 }
 
 module.exports = {
+  buildUpdatePackageDigest,
   createCasService,
   normalizeCasNumber,
   normalizeCasRecord: normalizeRecord,
+  signUpdatePackageDigest,
+  UPDATE_PACKAGE_FORMAT,
 };
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function sanitizeFileStem(value) {
+  return String(value || '').trim().replace(/[^a-zA-Z0-9._-]+/g, '_') || 'certificate';
+}
+
+function decodeDataUrl(value) {
+  const match = String(value || '').match(/^data:[^;]+;base64,(.+)$/);
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+function renderToBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+function drawCertificate(doc, certificate) {
+  const { asset } = certificate;
+  const rows = [
+    ['Certificate ID', certificate.certificate_id],
+    ['Issued At', certificate.issued_at],
+    ['Technician', certificate.technician],
+    ['Template', asset.template_name || 'Not assigned'],
+    ['Category', asset.category || 'Not assigned'],
+    ['Department', asset.assigned_department || 'Unassigned'],
+    ['Asset', `${asset.asset_uid || asset.id} · ${asset.tool_name}`],
+    ['Serial Number', asset.serial_number],
+    ['Calibration Date', certificate.calibration_date],
+    ['Valid Until', certificate.valid_until || 'Not scheduled'],
+    ['Result', String(certificate.result || 'pass').toUpperCase()],
+  ];
+
+  doc.rect(0, 0, doc.page.width, 90).fill('#121212');
+  doc.fillColor('#ffb400').font('Helvetica-Bold').fontSize(24).text('Command Center', 40, 28);
+  doc.fillColor('#f4f4f4').font('Helvetica').fontSize(12).text('Calibration Certificate', 40, 58);
+
+  let y = 120;
+  doc.fillColor('#121212').fontSize(11);
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}:`, 40, y);
+    doc.font('Helvetica').text(String(value || ''), 170, y, { width: 250 });
+    y += 22;
+  });
+
+  const qrImage = decodeDataUrl(certificate.qr_data_url);
+  if (qrImage) {
+    doc.image(qrImage, doc.page.width - 170, 120, { width: 120 });
+    doc.font('Helvetica').fontSize(8).text('Scan to verify', doc.page.width - 170, 246, { width: 120, align: 'center' });
+    doc.text(certificate.verify_url, doc.page.width - 190, 258, { width: 160, align: 'center' });
+  }
+
+  const readings = Array.isArray(certificate.readings) ? certificate.readings : [];
+  if (readings.length) {
+    y += 16;
+    doc.font('Helvetica-Bold').fontSize(13).text('Measurement Results', 40, y);
+    y += 22;
+    const columns = [['Point', 40], ['Nominal ± Tol', 150], ['As Found', 280], ['As Left', 380], ['Result', 480]];
+    doc.fontSize(10);
+    columns.forEach(([label, x]) => doc.text(label, x, y));
+    doc.font('Helvetica');
+    readings.forEach((reading) => {
+      y += 18;
+      if (y > doc.page.height - 80) {
+        doc.addPage();
+        y = 50;
+      }
+      doc.text(String(reading.label || ''), 40, y, { width: 105 });
+      doc.text(`${reading.nominal} ± ${reading.tolerance} ${reading.unit || ''}`, 150, y, { width: 125 });
+      doc.text(`${reading.as_found} (${reading.as_found_result})`, 280, y);
+      doc.text(`${reading.as_left} (${reading.as_left_result})`, 380, y);
+      doc.text(String(reading.result || '').toUpperCase(), 480, y);
+    });
+  }
+
+  if (certificate.notes) {
+    y += 30;
+    doc.font('Helvetica-Bold').fontSize(11).text('Notes', 40, y);
+    doc.font('Helvetica').text(certificate.notes, 40, y + 16, { width: doc.page.width - 80 });
+  }
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(
+    'This certificate is stored as an immutable record. Its validity can be confirmed at the verification URL above.',
+    40,
+    doc.page.height - 60,
+    { width: doc.page.width - 80 }
+  );
+}
+
+function createCertificateService({ PDFDocument, outputDir, logger = console }) {
+  function isAvailable() {
+    return Boolean(PDFDocument && outputDir);
+  }
+
+  function resolvePath(fileName) {
+    const safeName = path.basename(String(fileName || ''));
+    return safeName ? path.join(outputDir, safeName) : null;
+  }
+
+  async function writeCertificate(certificate) {
+    if (!isAvailable()) {
+      throw new Error('pdf certificate generation is unavailable');
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Calibration Certificate ${certificate.certificate_id}` } });
+    drawCertificate(doc, certificate);
+    return storeCertificate(certificate.certificate_id, await renderToBuffer(doc));
+  }
+
+  async function importCertificate(sourcePath, certificateId) {
+    if (!outputDir) {
+      throw new Error('certificate storage is unavailable');
+    }
+
+    const buffer = await fs.promises.readFile(sourcePath).catch((error) => {
+      if (error && error.code === 'ENOENT') {
+        throw new Error('certificate file must be uploaded before it is linked');
+      }
+      throw error;
+    });
+    if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new Error('certificate file must be a PDF');
+    }
+    return storeCertificate(certificateId, buffer);
+  }
+
+  async function storeCertificate(certificateId, buffer) {
+    const fileName = `${sanitizeFileStem(certificateId)}.pdf`;
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    await fs.promises.writeFile(resolvePath(fileName), buffer, { flag: 'wx' }).catch((error) => {
+      if (error && error.code === 'EEXIST') {
+        throw new Error(`certificate ${certificateId} already exists`);
+      }
+      throw error;
+    });
+
+    return {
+      file_name: fileName,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      size: buffer.length,
+    };
+  }
+
+  async function checkIntegrity(fileName, expectedSha256) {
+    const filePath = resolvePath(fileName);
+    if (!filePath) return 'missing';
+    try {
+      const buffer = await fs.promises.readFile(filePath);
+      const actual = crypto.createHash('sha256').update(buffer).digest('hex');
+      return actual === expectedSha256 ? 'verified' : 'mismatch';
+    } catch (error) {
+      if (error && error.code !== 'ENOENT' && logger && typeof logger.warn === 'function') {
+        logger.warn('certificate integrity check failed', error.message);
+      }
+      return 'missing';
+    }
+  }
+
+  async function removeCertificate(fileName) {
+    const filePath = resolvePath(fileName);
+    if (!filePath) return;
+    await fs.promises.unlink(filePath).catch(() => null);
+  }
+
+  return {
+    isAvailable,
+    writeCertificate,
+    importCertificate,
+    checkIntegrity,
+    removeCertificate,
+  };
+}
+
+module.exports = {
+  createCertificateService,
+};
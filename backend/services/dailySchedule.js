@@ -0,0 +1,15 @@
+// Daily jobs gate on a local run hour, so the date key must come from the same local clock.
+function localDateKey(now = new Date()) {
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+function isDailyRunDue(now, runHour, lastRunDate) {
+  return now.getHours() >= runHour && lastRunDate !== localDateKey(now);
+}
+
+module.exports = {
+  isDailyRunDue,
+  localDateKey,
+};
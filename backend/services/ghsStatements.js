@@ -0,0 +1,335 @@
+const HAZARD_STATEMENTS = {
+  H200: 'Unstable explosive',
+  H201: 'Explosive; mass explosion hazard',
+  H202: 'Explosive; severe projection hazard',
+  H203: 'Explosive; fire, blast or projection hazard',
+  H204: 'Fire or projection hazard',
+  H205: 'May mass explode in fire',
+  H206: 'Fire, blast or projection hazard; increased risk of explosion if desensitizing agent is reduced',
+  H207: 'Fire or projection hazard; increased risk of explosion if desensitizing agent is reduced',
+  H208: 'Fire hazard; increased risk of explosion if desensitizing agent is reduced',
+  H220: 'Extremely flammable gas',
+  H221: 'Flammable gas',
+  H222: 'Extremely flammable aerosol',
+  H223: 'Flammable aerosol',
+  H224: 'Extremely flammable liquid and vapour',
+  H225: 'Highly flammable liquid and vapour',
+  H226: 'Flammable liquid and vapour',
+  H227: 'Combustible liquid',
+  H228: 'Flammable solid',
+  H229: 'Pressurized container: may burst if heated',
+  H230: 'May react explosively even in the absence of air',
+  H231: 'May react explosively even in the absence of air at elevated pressure and/or temperature',
+  H232: 'May ignite spontaneously if exposed to air',
+  H240: 'Heating may cause an explosion',
+  H241: 'Heating may cause a fire or explosion',
+  H242: 'Heating may cause a fire',
+  H250: 'Catches fire spontaneously if exposed to air',
+  H251: 'Self-heating; may catch fire',
+  H252: 'Self-heating in large quantities; may catch fire',
+  H260: 'In contact with water releases flammable gases which may ignite spontaneously',
+  H261: 'In contact with water releases flammable gas',
+  H270: 'May cause or intensify fire; oxidizer',
+  H271: 'May cause fire or explosion; strong oxidizer',
+  H272: 'May intensify fire; oxidizer',
+  H280: 'Contains gas under pressure; may explode if heated',
+  H281: 'Contains refrigerated gas; may cause cryogenic burns or injury',
+  H290: 'May be corrosive to metals',
+  H300: 'Fatal if swallowed',
+  H301: 'Toxic if swallowed',
+  H302: 'Harmful if swallowed',
+  H303: 'May be harmful if swallowed',
+  H304: 'May be fatal if swallowed and enters airways',
+  H305: 'May be harmful if swallowed and enters airways',
+  H310: 'Fatal in contact with skin',
+  H311: 'Toxic in contact with skin',
+  H312: 'Harmful in contact with skin',
+  H313: 'May be harmful in contact with skin',
+  H314: 'Causes severe skin burns and eye damage',
+  H315: 'Causes skin irritation',
+  H316: 'Causes mild skin irritation',
+  H317: 'May cause an allergic skin reaction',
+  H318: 'Causes serious eye damage',
+  H319: 'Causes serious eye irritation',
+  H320: 'Causes eye irritation',
+  H330: 'Fatal if inhaled',
+  H331: 'Toxic if inhaled',
+  H332: 'Harmful if inhaled',
+  H333: 'May be harmful if inhaled',
+  H334: 'May cause allergy or asthma symptoms or breathing difficulties if inhaled',
+  H335: 'May cause respiratory irritation',
+  H336: 'May cause drowsiness or dizziness',
+  H340: 'May cause genetic defects',
+  H341: 'Suspected of causing genetic defects',
+  H350: 'May cause cancer',
+  H350i: 'May cause cancer by inhalation',
+  H351: 'Suspected of causing cancer',
+  H360: 'May damage fertility or the unborn child',
+  H360F: 'May damage fertility',
+  H360D: 'May damage the unborn child',
+  H360FD: 'May damage fertility. May damage the unborn child',
+  H360Fd: 'May damage fertility. Suspected of damaging the unborn child',
+  H360Df: 'May damage the unborn child. Suspected of damaging fertility',
+  H361: 'Suspected of damaging fertility or the unborn child',
+  H361f: 'Suspected of damaging fertility',
+  H361d: 'Suspected of damaging the unborn child',
+  H361fd: 'Suspected of damaging fertility. Suspected of damaging the unborn child',
+  H362: 'May cause harm to breast-fed children',
+  H370: 'Causes damage to organs',
+  H371: 'May cause damage to organs',
+  H372: 'Causes damage to organs through prolonged or repeated exposure',
+  H373: 'May cause damage to organs through prolonged or repeated exposure',
+  H400: 'Very toxic to aquatic life',
+  H401: 'Toxic to aquatic life',
+  H402: 'Harmful to aquatic life',
+  H410: 'Very toxic to aquatic life with long lasting effects',
+  H411: 'Toxic to aquatic life with long lasting effects',
+  H412: 'Harmful to aquatic life with long lasting effects',
+  H413: 'May cause long lasting harmful effects to aquatic life',
+  H420: 'Harms public health and the environment by destroying ozone in the upper atmosphere',
+};
+
+const PRECAUTIONARY_STATEMENTS = {
+  P101: 'If medical advice is needed, have product container or label at hand.',
+  P102: 'Keep out of reach of children.',
+  P103: 'Read carefully and follow all instructions.',
+  P201: 'Obtain special instructions before use.',
+  P202: 'Do not handle until all safety precautions have been read and understood.',
+  P203: 'Obtain, read and follow all safety instructions before use.',
+  P210: 'Keep away from heat, hot surfaces, sparks, open flames and other ignition sources. No smoking.',
+  P211: 'Do not spray on an open flame or other ignition source.',
+  P212: 'Avoid heating under confinement or reduction of the desensitizing agent.',
+  P220: 'Keep away from clothing and other combustible materials.',
+  P222: 'Do not allow contact with air.',
+  P223: 'Do not allow contact with water.',
+  P230: 'Keep wetted.',
+  P231: 'Handle and store contents under inert gas.',
+  P232: 'Protect from moisture.',
+  P233: 'Keep container tightly closed.',
+  P234: 'Keep only in original packaging.',
+  P235: 'Keep cool.',
+  P240: 'Ground and bond container and receiving equipment.',
+  P241: 'Use explosion-proof electrical, ventilating and lighting equipment.',
+  P242: 'Use non-sparking tools.',
+  P243: 'Take action to prevent static discharges.',
+  P244: 'Keep valves and fittings free from oil and grease.',
+  P250: 'Do not subject to grinding, shock or friction.',
+  P251: 'Do not pierce or burn, even after use.',
+  P260: 'Do not breathe dust/fume/gas/mist/vapours/spray.',
+  P261: 'Avoid breathing dust/fume/gas/mist/vapours/spray.',
+  P262: 'Do not get in eyes, on skin, or on clothing.',
+  P263: 'Avoid contact during pregnancy and while nursing.',
+  P264: 'Wash hands thoroughly after handling.',
+  P270: 'Do not eat, drink or smoke when using this product.',
+  P271: 'Use only outdoors or in a well-ventilated area.',
+  P272: 'Contaminated work clothing should not be allowed out of the workplace.',
+  P273: 'Avoid release to the environment.',
+  P280: 'Wear protective gloves/protective clothing/eye protection/face protection.',
+  P282: 'Wear cold insulating gloves and either face shield or eye protection.',
+  P283: 'Wear fire resistant or flame retardant clothing.',
+  P284: 'Wear respiratory protection.',
+  P301: 'IF SWALLOWED:',
+  P302: 'IF ON SKIN:',
+  P303: 'IF ON SKIN (or hair):',
+  P304: 'IF INHALED:',
+  P305: 'IF IN EYES:',
+  P306: 'IF ON CLOTHING:',
+  P308: 'IF exposed or concerned:',
+  P310: 'Immediately call a POISON CENTER/doctor.',
+  P311: 'Call a POISON CENTER/doctor.',
+  P312: 'Call a POISON CENTER/doctor if you feel unwell.',
+  P313: 'Get medical advice/attention.',
+  P314: 'Get medical advice/attention if you feel unwell.',
+  P315: 'Get immediate medical advice/attention.',
+  P316: 'Get emergency medical help immediately.',
+  P317: 'Get medical help.',
+  P318: 'If exposed or concerned, get medical advice.',
+  P319: 'Get medical help if you feel unwell.',
+  P320: 'Specific treatment is urgent (see label).',
+  P321: 'Specific treatment (see label).',
+  P330: 'Rinse mouth.',
+  P331: 'Do NOT induce vomiting.',
+  P332: 'If skin irritation occurs:',
+  P333: 'If skin irritation or rash occurs:',
+  P334: 'Immerse in cool water or wrap in wet bandages.',
+  P335: 'Brush off loose particles from skin.',
+  P336: 'Thaw frosted parts with lukewarm water. Do not rub affected area.',
+  P337: 'If eye irritation persists:',
+  P338: 'Remove contact lenses, if present and easy to do. Continue rinsing.',
+  P340: 'Remove person to fresh air and keep comfortable for breathing.',
+  P342: 'If experiencing respiratory symptoms:',
+  P351: 'Rinse cautiously with water for several minutes.',
+  P352: 'Wash with plenty of water.',
+  P353: 'Rinse skin with water or shower.',
+  P354: 'Immediately rinse with water for several minutes.',
+  P360: 'Rinse immediately contaminated clothing and skin with plenty of water before removing clothes.',
+  P361: 'Take off immediately all contaminated clothing.',
+  P362: 'Take off contaminated clothing.',
+  P363: 'Wash contaminated clothing before reuse.',
+  P364: 'And wash it before reuse.',
+  P370: 'In case of fire:',
+  P371: 'In case of major fire and large quantities:',
+  P372: 'Explosion risk.',
+  P373: 'DO NOT fight fire when fire reaches explosives.',
+  P375: 'Fight fire remotely due to the risk of explosion.',
+  P376: 'Stop leak if safe to do so.',
+  P377: 'Leaking gas fire: Do not extinguish, unless leak can be stopped safely.',
+  P378: 'Use appropriate media to extinguish.',
+  P380: 'Evacuate area.',
+  P381: 'In case of leakage, eliminate all ignition sources.',
+  P390: 'Absorb spillage to prevent material damage.',
+  P391: 'Collect spillage.',
+  P401: 'Store in accordance with local regulations.',
+  P402: 'Store in a dry place.',
+  P403: 'Store in a well-ventilated place.',
+  P404: 'Store in a closed container.',
+  P405: 'Store locked up.',
+  P406: 'Store in a corrosion resistant container with a resistant inner liner.',
+  P407: 'Maintain air gap between stacks or pallets.',
+  P410: 'Protect from sunlight.',
+  P411: 'Store at temperatures not exceeding the stated limit.',
+  P412: 'Do not expose to temperatures exceeding 50 °C/122 °F.',
+  P413: 'Store bulk masses at temperatures not exceeding the stated limit.',
+  P420: 'Store separately.',
+  P501: 'Dispose of contents/container in accordance with local regulations.',
+  P502: 'Refer to manufacturer or supplier for information on recovery or recycling.',
+  P503: 'Refer to manufacturer/supplier for information on disposal/recovery/recycling.',
+};
+
+const STATEMENT_DICTIONARIES = {
+  H: HAZARD_STATEMENTS,
+  P: PRECAUTIONARY_STATEMENTS,
+};
+
+// Suffix letters are case-sensitive (H360FD vs H360Fd), so an exact match wins before the case-insensitive fallback.
+const CASE_INSENSITIVE_CODES = new Map();
+Object.values(STATEMENT_DICTIONARIES).forEach((dictionary) => {
+  Object.keys(dictionary).forEach((code) => {
+    const key = code.toLowerCase();
+    if (!CASE_INSENSITIVE_CODES.has(key)) CASE_INSENSITIVE_CODES.set(key, code);
+  });
+});
+
+const STATEMENT_CODE_PATTERN = /[HP]\d{3}[A-Za-z]{0,2}(?:\s*\+\s*[HP]\d{3}[A-Za-z]{0,2})*/g;
+const SIGNAL_WORDS = { danger: 'Danger', warning: 'Warning' };
+const EXPOSURE_LIMIT_TYPES = new Set(['TWA', 'STEL', 'CEILING', 'IDLH']);
+
+function canonicalizeStatementPart(part, prefix) {
+  const match = String(part || '').trim().match(/^([HP])(\d{3})([A-Za-z]{0,2})$/i);
+  if (!match || match[1].toUpperCase() !== prefix) return '';
+  const code = `${prefix}${match[2]}${match[3]}`;
+  if (STATEMENT_DICTIONARIES[prefix][code]) return code;
+  return CASE_INSENSITIVE_CODES.get(code.toLowerCase()) || code;
+}
+
+function normalizeStatementCode(value, prefix) {
+  const parts = String(value || '').replace(/\s+/g, '').split('+').map((part) => canonicalizeStatementPart(part, prefix));
+  return parts.length && parts.every(Boolean) ? parts.join('+') : '';
+}
+
+function describeStatementCode(code, prefix) {
+  const dictionary = STATEMENT_DICTIONARIES[prefix] || {};
+  return String(code || '').split('+')
+    .map((part) => dictionary[part] || '')
+    .filter(Boolean)
+    .join(' ');
+}
+
+function parseStatementEntry(entry, prefix) {
+  if (entry && typeof entry === 'object') {
+    const code = normalizeStatementCode(entry.code, prefix);
+    return code ? { code, text: String(entry.text || '').trim() || describeStatementCode(code, prefix) } : null;
+  }
+
+  const text = String(entry || '').trim();
+  const match = text.match(/^([HP]\d{3}[A-Za-z]{0,2}(?:\s*\+\s*[HP]\d{3}[A-Za-z]{0,2})*)(?:\s*\([^)]*\))?\s*[:\-–]?\s*(.*)$/);
+  if (!match) return null;
+  const code = normalizeStatementCode(match[1], prefix);
+  if (!code) return null;
+  const detail = match[2].replace(/\s*\[[^\]]*\]\s*$/, '').trim();
+  return { code, text: detail || describeStatementCode(code, prefix) };
+}
+
+function normalizeStatementList(value, prefix) {
+  let source = value;
+  if (typeof source === 'string') {
+    const raw = source.trim();
+    if (raw.startsWith('[')) {
+      try {
+        source = JSON.parse(raw);
+      } catch (error) {
+        source = raw.match(STATEMENT_CODE_PATTERN) || [];
+      }
+    } else {
+      source = raw.match(STATEMENT_CODE_PATTERN) || [];
+    }
+  }
+
+  const byCode = new Map();
+  (Array.isArray(source) ? source : []).forEach((entry) => {
+    const parsed = parseStatementEntry(entry, prefix);
+    if (parsed && !byCode.has(parsed.code)) byCode.set(parsed.code, parsed);
+  });
+  return Array.from(byCode.values()).sort((left, right) => left.code.localeCompare(right.code, undefined, { numeric: true }));
+}
+
+function normalizeSignalWord(value) {
+  return SIGNAL_WORDS[String(value || '').trim().toLowerCase()] || null;
+}
+
+function normalizeExposureUnit(value) {
+  const unit = String(value || '').trim().toLowerCase().replace(/\s+/g, '').replace('³', '3');
+  if (unit === 'ppm') return 'ppm';
+  if (unit === 'mg/m3' || unit === 'mg/cum') return 'mg/m3';
+  if (unit === 'f/cc' || unit === 'fibers/cc') return 'f/cc';
+  return unit || null;
+}
+
+function normalizeExposureLimits(value) {
+  let source = value;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (error) {
+      source = [];
+    }
+  }
+
+  return (Array.isArray(source) ? source : [])
+    .map((entry) => {
+      const limitValue = Number(entry && entry.value);
+      if (!Number.isFinite(limitValue) || limitValue < 0) return null;
+      const type = String((entry && entry.type) || 'TWA').trim().toUpperCase();
+      return {
+        type: EXPOSURE_LIMIT_TYPES.has(type) ? type : 'TWA',
+        value: limitValue,
+        unit: normalizeExposureUnit(entry && entry.unit),
+        source: String((entry && entry.source) || '').trim() || null,
+      };
+    })
+    .filter(Boolean);
+}
+
+function statementCodeMatches(code, filters) {
+  const parts = String(code || '').toUpperCase().split('+');
+  return filters.some((filter) => parts.some((part) => part.startsWith(filter)));
+}
+
+function normalizeStatementFilter(value) {
+  return String(value || '')
+    .split(/[\s,;|]+/)
+    .map((entry) => entry.trim().toUpperCase())
+    .filter((entry) => /^[HP]\d{1,3}[A-Z]{0,2}$/.test(entry));
+}
+
+module.exports = {
+  HAZARD_STATEMENTS,
+  PRECAUTIONARY_STATEMENTS,
+  describeStatementCode,
+  normalizeExposureLimits,
+  normalizeSignalWord,
+  normalizeStatementCode,
+  normalizeStatementFilter,
+  normalizeStatementList,
+  statementCodeMatches,
+};
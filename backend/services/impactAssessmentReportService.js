@@ -0,0 +1,108 @@
+const {
+  renderToBuffer,
+  drawSectionTitle,
+  drawParagraph,
+} = require('./pdfLayout');
+
+function formatTimestamp(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().replace('T', ' ').slice(0, 16);
+}
+
+function drawImpactAssessment(doc, report) {
+  const { assessment, record } = report;
+  const rows = [
+    ['Assessment', `#${assessment.id}`],
+    ['Status', String(assessment.status || '').toUpperCase()],
+    ['Asset', [report.asset_uid, assessment.tool_name].filter(Boolean).join(' · ')],
+    ['Serial Number', assessment.serial_number || 'Not recorded'],
+    ['Department', assessment.assigned_department || 'Unassigned'],
+    ['Suspect Window', `${assessment.window_start || 'First use'} to ${assessment.window_end}`],
+    ['Opened By', [assessment.opened_by, formatTimestamp(assessment.opened_at)].filter(Boolean).join(' · ')],
+  ];
+  if (record) {
+    rows.push(['Calibration', [record.certificate_id, record.calibration_date, record.technician].filter(Boolean).join(' · ')]);
+  }
+  if (assessment.closed_at) {
+    rows.push(['Closed By', [assessment.closed_by, formatTimestamp(assessment.closed_at)].filter(Boolean).join(' · ')]);
+  }
+
+  doc.rect(0, 0, doc.page.width, 90).fill('#121212');
+  doc.fillColor('#ffb400').font('Helvetica-Bold').fontSize(24).text('Command Center', 40, 28);
+  doc.fillColor('#f4f4f4').font('Helvetica').fontSize(12).text(`Out-of-Tolerance Impact Assessment · ${assessment.tool_name || `Asset ${assessment.asset_id}`}`, 40, 58, {
+    width: doc.page.width - 80,
+    lineBreak: false,
+    ellipsis: true,
+  });
+
+  let y = 120;
+  doc.fillColor('#121212').fontSize(11);
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}:`, 40, y);
+    doc.font('Helvetica').text(String(value || ''), 170, y, { width: doc.page.width - 210 });
+    y = Math.max(doc.y, y + 16) + 6;
+  });
+
+  y = drawSectionTitle(doc, 'Finding', y);
+  y = drawParagraph(doc, assessment.finding || 'As-found readings out of tolerance.', y);
+
+  y = drawSectionTitle(doc, `Usage In Suspect Window (${assessment.usages.length})`, y);
+  if (!assessment.usages.length) {
+    y = drawParagraph(doc, 'The gage was not checked out during the suspect window.', y, { color: '#555555' });
+  }
+  assessment.usages.forEach((usage) => {
+    const heading = [
+      formatTimestamp(usage.checked_out_at),
+      usage.holder_name,
+      usage.returned_at ? `returned ${formatTimestamp(usage.returned_at)}` : 'not returned',
+    ].filter(Boolean).join(' · ');
+    y = drawParagraph(doc, heading, y, { bold: true, gap: 2 });
+    y = drawParagraph(doc, `Reason: ${usage.reason || 'Not recorded'}`, y, { indent: 12, size: 9, color: '#333333', gap: 2 });
+    y = drawParagraph(doc, usage.disposition
+      ? `Disposition: ${usage.disposition_label}${usage.disposition_notes ? ` · ${usage.disposition_notes}` : ''} (${usage.dispositioned_by || 'unknown'})`
+      : 'Disposition: PENDING', y, {
+      indent: 12,
+      size: 9,
+      color: usage.disposition ? '#333333' : '#c62828',
+      gap: 8,
+    });
+  });
+
+  if (assessment.resolution) {
+    y = drawSectionTitle(doc, 'Resolution', y);
+    y = drawParagraph(doc, assessment.resolution, y);
+  }
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(
+    `Generated ${report.generated_at}${report.generated_by ? ` by ${report.generated_by}` : ''}. Usage is traced from gage check-out logs since the last good calibration.`,
+    40,
+    doc.page.height - 60,
+    { width: doc.page.width - 80, lineBreak: false, ellipsis: true }
+  );
+}
+
+function createImpactAssessmentReportService({ PDFDocument }) {
+  function isAvailable() {
+    return Boolean(PDFDocument);
+  }
+
+  async function renderReport(report) {
+    if (!isAvailable()) {
+      throw new Error('pdf impact assessments are unavailable');
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Impact Assessment ${report.assessment.id}` } });
+    drawImpactAssessment(doc, report);
+    return renderToBuffer(doc);
+  }
+
+  return {
+    isAvailable,
+    renderReport,
+  };
+}
+
+module.exports = {
+  createImpactAssessmentReportService,
+};
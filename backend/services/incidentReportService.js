@@ -0,0 +1,125 @@
+const {
+  renderToBuffer,
+  drawSectionTitle,
+  drawParagraph,
+} = require('./pdfLayout');
+
+function drawIncidentReport(doc, report) {
+  const { incident } = report;
+  const rows = [
+    ['Incident', incident.incident_number],
+    ['Type', incident.incident_type_label],
+    ['Status', String(incident.status || '').toUpperCase()],
+    ['Occurred At', incident.occurred_at],
+    ['Location', incident.location_label || 'Not recorded'],
+    ['Reported By', [incident.reported_by, incident.reported_at].filter(Boolean).join(' · ')],
+  ];
+  if (incident.closed_at) {
+    rows.push(['Closed By', [incident.closed_by, incident.closed_at].filter(Boolean).join(' · ')]);
+  }
+
+  doc.rect(0, 0, doc.page.width, 90).fill('#121212');
+  doc.fillColor('#ffb400').font('Helvetica-Bold').fontSize(24).text('Command Center', 40, 28);
+  doc.fillColor('#f4f4f4').font('Helvetica').fontSize(12).text(`Incident Report · ${incident.title}`, 40, 58, {
+    width: doc.page.width - 80,
+    lineBreak: false,
+    ellipsis: true,
+  });
+
+  let y = 120;
+  doc.fillColor('#121212').fontSize(11);
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}:`, 40, y);
+    doc.font('Helvetica').text(String(value || ''), 170, y, { width: doc.page.width - 210 });
+    y = Math.max(doc.y, y + 16) + 6;
+  });
+
+  if (incident.description) {
+    y = drawSectionTitle(doc, 'Description', y);
+    y = drawParagraph(doc, incident.description, y);
+  }
+
+  y = drawSectionTitle(doc, 'Materials Involved', y);
+  if (!incident.materials.length) {
+    y = drawParagraph(doc, 'No inventory materials recorded.', y, { color: '#555555' });
+  }
+  incident.materials.forEach((material) => {
+    const heading = [
+      material.name || `Material ${material.material_id}`,
+      material.label_id,
+      material.quantity !== null ? `Qty ${material.quantity}` : null,
+    ].filter(Boolean).join(' · ');
+    y = drawParagraph(doc, heading, y, { bold: true, size: 11, gap: 2 });
+    y = drawParagraph(doc, [
+      material.cas_numbers.length ? `CAS ${material.cas_numbers.join(', ')}` : 'CAS not recorded',
+      material.signal_word ? `Signal word: ${material.signal_word}` : null,
+    ].filter(Boolean).join(' · '), y, { indent: 12, gap: 2 });
+    y = drawParagraph(doc, material.sds_file_path
+      ? `SDS: ${material.sds_file_path}${material.sds_revision_date ? ` (rev. ${material.sds_revision_date})` : ''}`
+      : 'SDS: not on file', y, { indent: 12, gap: 2 });
+    const statements = material.hazard_statements.map((entry) => [entry.code, entry.text].filter(Boolean).join(' '));
+    y = drawParagraph(doc, statements.length ? statements.join('\n') : 'No hazard statements in the CAS index.', y, {
+      indent: 12,
+      size: 9,
+      color: '#333333',
+      gap: 10,
+    });
+  });
+
+  y = drawSectionTitle(doc, 'People Involved', y);
+  y = drawParagraph(doc, incident.people.length
+    ? incident.people.map((person) => [person.name, person.role, person.notes].filter(Boolean).join(' · ')).join('\n')
+    : 'No people recorded.', y, { color: incident.people.length ? '#121212' : '#555555' });
+
+  y = drawSectionTitle(doc, 'Corrective Actions', y);
+  if (!incident.corrective_actions.length) {
+    y = drawParagraph(doc, 'No corrective actions recorded.', y, { color: '#555555' });
+  }
+  incident.corrective_actions.forEach((action) => {
+    const status = action.status === 'completed'
+      ? `Completed ${action.completed_at || ''} by ${action.completed_by || 'unknown'}`
+      : `${action.overdue ? 'OVERDUE' : 'Open'} · due ${action.due_date || 'not set'}`;
+    y = drawParagraph(doc, action.description, y, { bold: true, gap: 2 });
+    y = drawParagraph(doc, `Owner: ${action.owner} · ${status}`, y, {
+      indent: 12,
+      size: 9,
+      color: action.overdue ? '#c62828' : '#333333',
+      gap: action.completion_notes ? 2 : 8,
+    });
+    if (action.completion_notes) {
+      y = drawParagraph(doc, action.completion_notes, y, { indent: 12, size: 9, color: '#333333', gap: 8 });
+    }
+  });
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(
+    `Generated ${report.generated_at}${report.generated_by ? ` by ${report.generated_by}` : ''}. Hazard data reflects the CAS index and SDS library at the time of printing.`,
+    40,
+    doc.page.height - 60,
+    { width: doc.page.width - 80, lineBreak: false, ellipsis: true }
+  );
+}
+
+function createIncidentReportService({ PDFDocument }) {
+  function isAvailable() {
+    return Boolean(PDFDocument);
+  }
+
+  async function renderReport(report) {
+    if (!isAvailable()) {
+      throw new Error('pdf incident reports are unavailable');
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Incident Report ${report.incident.incident_number}` } });
+    drawIncidentReport(doc, report);
+    return renderToBuffer(doc);
+  }
+
+  return {
+    isAvailable,
+    renderReport,
+  };
+}
+
+module.exports = {
+  createIncidentReportService,
+};
@@ -0,0 +1,149 @@
+// Stock sizes are landscape, in PDF points (72 per inch).
+const LABEL_STOCK_SIZES = {
+  '2x4': { label: '2 x 4 in', width: 288, height: 144 },
+  '3x5': { label: '3 x 5 in', width: 360, height: 216 },
+  '4x6': { label: '4 x 6 in', width: 432, height: 288 },
+};
+
+const PICTOGRAM_INK = '#111111';
+
+const PICTOGRAM_SHAPES = {
+  explosive: `<path d="M24 44c4-14 20-8 16-24 7 7 4 17-2 21 6 0 8 4 8 7H18c1-2 3-4 6-4Z" fill="${PICTOGRAM_INK}"/>`,
+  flammable: `<path d="M34 16c5 8-1 11 3 17 2 3 7 4 7 10 0 7-5 11-12 11s-12-4-12-11c0-8 8-12 8-19 3 3 4 6 3 9 4-3 5-8 3-17Z" fill="${PICTOGRAM_INK}"/>`,
+  oxidizing: `<circle cx="32" cy="38" r="8" fill="none" stroke="${PICTOGRAM_INK}" stroke-width="4"/><path d="M32 14c4 6 0 9 2 13 1 2 4 3 4 7H26c0-5 5-8 6-20Z" fill="${PICTOGRAM_INK}"/>`,
+  gas_cylinder: `<rect x="24" y="14" width="16" height="36" rx="7" fill="none" stroke="${PICTOGRAM_INK}" stroke-width="4"/><path d="M28 14v-4h8v4" stroke="${PICTOGRAM_INK}" stroke-width="4" stroke-linecap="round"/>`,
+  corrosive: `<path d="M16 44h32" stroke="${PICTOGRAM_INK}" stroke-width="4"/><path d="M20 20h12l-4 10H16zM34 18h12l-4 10H30z" fill="${PICTOGRAM_INK}"/><path d="M24 36l-4 8M40 34l-2 6" stroke="${PICTOGRAM_INK}" stroke-width="4" stroke-linecap="round"/>`,
+  toxic: `<circle cx="32" cy="24" r="8" fill="none" stroke="${PICTOGRAM_INK}" stroke-width="4"/><path d="M22 42 42 22M22 22l20 20M26 48h12" stroke="${PICTOGRAM_INK}" stroke-width="4" stroke-linecap="round"/>`,
+  health_hazard: `<path d="M32 18c5 0 8 4 8 9 0 7-8 15-8 15s-8-8-8-15c0-5 3-9 8-9Z" fill="none" stroke="${PICTOGRAM_INK}" stroke-width="4"/><path d="M32 24v10M27 29h10" stroke="${PICTOGRAM_INK}" stroke-width="4" stroke-linecap="round"/>`,
+  exclamation_mark: `<path d="M32 18v18" stroke="${PICTOGRAM_INK}" stroke-width="6" stroke-linecap="round"/><circle cx="32" cy="46" r="3.5" fill="${PICTOGRAM_INK}"/>`,
+  environmental_hazard: `<path d="M20 44c6-4 10-10 14-20 3 8 7 13 10 16M24 46h18" stroke="${PICTOGRAM_INK}" stroke-width="4" stroke-linecap="round" fill="none"/><path d="M42 40c4-2 8-1 10 2-3 5-7 7-13 5" fill="none" stroke="${PICTOGRAM_INK}" stroke-width="4"/>`,
+};
+
+function buildPictogramSvg(symbol) {
+  const shape = PICTOGRAM_SHAPES[symbol];
+  if (!shape) return null;
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><polygon points="32 4 60 32 32 60 4 32" fill="#ffffff" stroke="#c62828" stroke-width="4"/>${shape}</svg>`;
+}
+
+function decodeDataUrl(value) {
+  const match = String(value || '').match(/^data:[^;]+;base64,(.+)$/);
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+function renderToBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+function resolveStockSize(value) {
+  const key = String(value || '2x4').trim().toLowerCase().replace(/\s+/g, '').replace(/in$/, '');
+  return LABEL_STOCK_SIZES[key] ? key : null;
+}
+
+function drawLabel(doc, label, stock, SVGtoPDF) {
+  const { width, height } = stock;
+  const scale = height / 144;
+  const pad = 8 * scale;
+  const qrSize = height * 0.46;
+  const qrX = width - pad - qrSize;
+  const textWidth = qrX - (pad * 2);
+  const pictograms = (Array.isArray(label.ghs_symbols) ? label.ghs_symbols : [])
+    .map((symbol) => ({ symbol, svg: buildPictogramSvg(symbol) }))
+    .filter((entry) => entry.svg);
+  const pictogramSize = Math.min(height * 0.3, textWidth / Math.max(pictograms.length, 4));
+  const pictogramY = height - pad - pictogramSize;
+
+  doc.rect(pad / 2, pad / 2, width - pad, height - pad).lineWidth(Math.max(scale, 1)).stroke('#c62828');
+
+  let y = pad;
+  doc.fillColor('#111111').font('Helvetica-Bold').fontSize(11 * scale)
+    .text(label.name || 'Unnamed material', pad, y, { width: textWidth, height: 26 * scale, ellipsis: true });
+  y = doc.y + (1 * scale);
+  doc.font('Helvetica').fontSize(6.5 * scale)
+    .text([label.cas_number ? `CAS ${label.cas_number}` : 'CAS not recorded', label.manufacturer].filter(Boolean).join(' · '), pad, y, {
+      width: textWidth,
+      lineBreak: false,
+      ellipsis: true,
+    });
+  y = doc.y + (2 * scale);
+
+  if (label.signal_word) {
+    doc.font('Helvetica-Bold').fontSize(10 * scale).fillColor(label.signal_word === 'Danger' ? '#c62828' : '#111111')
+      .text(label.signal_word.toUpperCase(), pad, y, { width: textWidth });
+    y = doc.y + (1 * scale);
+  }
+
+  const statements = Array.isArray(label.hazard_statements) ? label.hazard_statements : [];
+  const statementText = statements.length
+    ? statements.map((entry) => [entry.code, entry.text].filter(Boolean).join(' ')).join('\n')
+    : 'Refer to the Safety Data Sheet for hazard statements.';
+  const statementHeight = Math.max(pictogramY - y - (2 * scale), 0);
+  if (statementHeight >= 6 * scale) {
+    doc.fillColor('#111111').font('Helvetica').fontSize(5.5 * scale)
+      .text(statementText, pad, y, { width: textWidth, height: statementHeight, ellipsis: true });
+  }
+
+  pictograms.forEach((entry, index) => {
+    SVGtoPDF(doc, entry.svg, pad + (index * pictogramSize), pictogramY, {
+      width: pictogramSize,
+      height: pictogramSize,
+      preserveAspectRatio: 'xMidYMid meet',
+    });
+  });
+
+  const qrImage = decodeDataUrl(label.qr_data_url);
+  if (qrImage) {
+    doc.image(qrImage, qrX, pad, { width: qrSize, height: qrSize });
+  }
+  doc.fillColor('#111111').font('Helvetica-Bold').fontSize(6.5 * scale)
+    .text(label.label_id || '', qrX - pad, pad + qrSize + (2 * scale), { width: qrSize + pad * 2, align: 'center', lineBreak: false, ellipsis: true });
+  doc.font('Helvetica-Bold').fontSize(8 * scale)
+    .text(label.expiration_date ? `EXP ${label.expiration_date}` : 'NO EXPIRY', qrX - pad, doc.y + (2 * scale), { width: qrSize + pad * 2, align: 'center' });
+}
+
+function createLabelService({ PDFDocument, SVGtoPDF }) {
+  function isAvailable() {
+    return Boolean(PDFDocument && SVGtoPDF);
+  }
+
+  async function renderLabels(labels, options = {}) {
+    if (!isAvailable()) {
+      throw new Error('pdf label generation is unavailable');
+    }
+
+    const sizeKey = resolveStockSize(options.size);
+    if (!sizeKey) {
+      throw new Error(`label size must be one of ${Object.keys(LABEL_STOCK_SIZES).join(', ')}`);
+    }
+
+    const stock = LABEL_STOCK_SIZES[sizeKey];
+    const doc = new PDFDocument({
+      size: [stock.width, stock.height],
+      margin: 0,
+      autoFirstPage: false,
+      info: { Title: `Hazmat Container Labels (${stock.label})` },
+    });
+    labels.forEach((label) => {
+      doc.addPage({ size: [stock.width, stock.height], margin: 0 });
+      drawLabel(doc, label, stock, SVGtoPDF);
+    });
+
+    return renderToBuffer(doc);
+  }
+
+  return {
+    isAvailable,
+    renderLabels,
+  };
+}
+
+module.exports = {
+  LABEL_STOCK_SIZES,
+  createLabelService,
+  resolveStockSize,
+};
@@ -0,0 +1,199 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+function normalizeAddress(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/<([^>]+)>/);
+  return (match ? match[1] : text).trim();
+}
+
+function normalizeRecipients(value) {
+  const source = Array.isArray(value) ? value : String(value || '').split(/[;,]/);
+  return Array.from(new Set(source.map(normalizeAddress).filter((address) => /^[^\s@]+@[^\s@]+$/.test(address))));
+}
+
+function encodeHeader(value) {
+  const text = String(value || '').replace(/[\r\n]+/g, ' ').trim();
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = String(text || '')
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map((line) => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}@${os.hostname() || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+function createSmtpSession(socket, timeoutMs) {
+  let buffer = '';
+  let pending = null;
+  const queued = [];
+
+  function settle(error, reply) {
+    if (!pending) {
+      queued.push({ error, reply });
+      return;
+    }
+    const current = pending;
+    pending = null;
+    if (error) current.reject(error);
+    else current.resolve(reply);
+  }
+
+  socket.setEncoding('utf8');
+  socket.setTimeout(timeoutMs, () => {
+    settle(new Error('smtp connection timed out'));
+    socket.destroy();
+  });
+  socket.on('error', (error) => settle(error));
+  socket.on('close', () => settle(new Error('smtp connection closed')));
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+    const replyLines = [];
+    lines.forEach((line) => {
+      replyLines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        settle(null, {
+          code: Number(line.slice(0, 3)),
+          lines: replyLines.splice(0),
+        });
+      }
+    });
+    if (replyLines.length) {
+      buffer = `${replyLines.join('\r\n')}\r\n${buffer}`;
+    }
+  });
+
+  function readReply() {
+    if (queued.length) {
+      const next = queued.shift();
+      return next.error ? Promise.reject(next.error) : Promise.resolve(next.reply);
+    }
+    return new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+    });
+  }
+
+  async function command(line, expectedCodes) {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await readReply();
+    if (!expectedCodes.includes(reply.code)) {
+      throw new Error(`smtp ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  return { command };
+}
+
+function createMailService({
+  host,
+  port = 25,
+  secure = false,
+  username,
+  password,
+  from,
+  heloName,
+  timeoutMs = 15000,
+  logger = console,
+} = {}) {
+  const resolvedHost = String(host || '').trim();
+  const resolvedPort = Number.isInteger(Number(port)) && Number(port) > 0 ? Number(port) : 25;
+  const resolvedFrom = String(from || '').trim() || `command-center@${os.hostname() || 'localhost'}`;
+  const resolvedHelo = String(heloName || '').trim() || os.hostname() || 'localhost';
+
+  function isConfigured() {
+    return Boolean(resolvedHost);
+  }
+
+  // The session timeout only covers an open connection, so connecting gets its own timer.
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const options = { host: resolvedHost, port: resolvedPort };
+      let timer = null;
+      const onConnect = () => {
+        clearTimeout(timer);
+        resolve(socket);
+      };
+      const socket = secure
+        ? tls.connect({ ...options, servername: resolvedHost }, onConnect)
+        : net.connect(options, onConnect);
+      timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`smtp connection to ${resolvedHost}:${resolvedPort} timed out`));
+      }, timeoutMs);
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  async function sendMail({ to, subject, text }) {
+    if (!isConfigured()) {
+      throw new Error('smtp relay is not configured');
+    }
+
+    const recipients = normalizeRecipients(to);
+    if (!recipients.length) {
+      throw new Error('mail recipient is required');
+    }
+
+    const socket = await connect();
+    const session = createSmtpSession(socket, timeoutMs);
+    try {
+      await session.command(null, [220]);
+      await session.command(`EHLO ${resolvedHelo}`, [250]);
+
+      if (username) {
+        const token = Buffer.from(`\u0000${username}\u0000${password || ''}`, 'utf8').toString('base64');
+        await session.command(`AUTH PLAIN ${token}`, [235]);
+      }
+
+      await session.command(`MAIL FROM:<${normalizeAddress(resolvedFrom)}>`, [250]);
+      for (const recipient of recipients) {
+        await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await session.command('DATA', [354]);
+      await session.command(`${buildMessage({ from: resolvedFrom, to: recipients, subject, text })}\r\n.`, [250]);
+      await session.command('QUIT', [221]).catch(() => null);
+      return { accepted: recipients };
+    } catch (error) {
+      if (logger && typeof logger.warn === 'function') {
+        logger.warn('smtp send failed', error && error.message ? error.message : error);
+      }
+      throw error;
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return {
+    isConfigured,
+    sendMail,
+  };
+}
+
+module.exports = {
+  createMailService,
+  normalizeRecipients,
+};
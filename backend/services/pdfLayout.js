@@ -0,0 +1,36 @@
+function renderToBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+function ensureSpace(doc, y, needed) {
+  if (y + needed <= doc.page.height - 70) return y;
+  doc.addPage();
+  return 50;
+}
+
+function drawSectionTitle(doc, title, y) {
+  const top = ensureSpace(doc, y + 12, 40);
+  doc.fillColor('#121212').font('Helvetica-Bold').fontSize(13).text(title, 40, top);
+  return top + 22;
+}
+
+function drawParagraph(doc, text, y, options = {}) {
+  const width = doc.page.width - 80 - (options.indent || 0);
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.size || 10);
+  const top = ensureSpace(doc, y, doc.heightOfString(text, { width }));
+  doc.fillColor(options.color || '#121212').text(text, 40 + (options.indent || 0), top, { width });
+  return doc.y + (options.gap === undefined ? 4 : options.gap);
+}
+
+module.exports = {
+  renderToBuffer,
+  ensureSpace,
+  drawSectionTitle,
+  drawParagraph,
+};
@@ -33,6 +33,8 @@ const DEBUG_LAB_DB_PATH = path.join(DATA_DIR, 'debug_lab.sqlite');
 const CAS_INDEX_PATH = path.join(DATA_DIR, 'cas_index_ncbi.json');
 const CAS_INDEX_MASTER_PATH = path.join(DATA_DIR, 'cas_index_master.json');
 const CAS_INDEX_EXTENDED_PATH = path.join(DATA_DIR, 'cas_index_extended.json');
+const CAS_INDEX_HISTORY_PATH = path.join(DATA_DIR, 'cas_index_history.json');
+const CAS_INDEX_BACKUP_DIR = path.join(DATA_DIR, 'cas_index_backups');
 const HANDBOOK_DIR = path.join(UPLOADS_DIR, 'handbook');
 const ANNOUNCEMENT_FILES_DIR = path.join(UPLOADS_DIR, 'announcements');
 const MAP_ASSETS_DIR = path.join(UPLOADS_DIR, 'maps');
@@ -85,6 +87,8 @@ module.exports = {
   CAS_INDEX_PATH,
   CAS_INDEX_MASTER_PATH,
   CAS_INDEX_EXTENDED_PATH,
+  CAS_INDEX_HISTORY_PATH,
+  CAS_INDEX_BACKUP_DIR,
   HANDBOOK_DIR,
   ANNOUNCEMENT_FILES_DIR,
   MAP_ASSETS_DIR,
@@ -25,6 +25,9 @@
     departments: [],
     roles: [],
     modules: [],
+    casDataset: null,
+    casPackage: null,
+    casPreview: null,
     selectedUserFormId: 0,
     selectedRoleUserId: 0,
     activeSection: 'overview',
@@ -85,6 +88,13 @@
     refs.clearDepartmentFormButton = document.getElementById('clear-department-form-button');
     refs.departmentTableBody = document.getElementById('department-table-body');
     refs.departmentOptions = document.getElementById('department-options');
+    refs.casDatasetSummary = document.getElementById('cas-dataset-summary');
+    refs.casUpdateForm = document.getElementById('cas-update-form');
+    refs.casUpdateFile = document.getElementById('cas-update-file');
+    refs.casApplyButton = document.getElementById('cas-apply-button');
+    refs.casRollbackButton = document.getElementById('cas-rollback-button');
+    refs.casUpdatePreview = document.getElementById('cas-update-preview');
+    refs.casHistoryTableBody = document.getElementById('cas-history-table-body');
   }
 
   function safeOn(node, eventName, handler) {
@@ -113,6 +123,11 @@
 
     safeOn(refs.rolesGrid, 'click', handleRolesGridClick);
     safeOn(refs.rolesUserSelect, 'change', handleRolesUserSelectChange);
+
+    safeOn(refs.casUpdateForm, 'submit', previewCasPackage);
+    safeOn(refs.casUpdateFile, 'change', clearCasPreview);
+    safeOn(refs.casApplyButton, 'click', applyCasPackage);
+    safeOn(refs.casRollbackButton, 'click', rollbackCasDataset);
   }
 
   function getToken() {
@@ -274,6 +289,15 @@
       refs.rolesGrid.classList.toggle('is-readonly', !canEditRoles);
     }
 
+    if (refs.casUpdateForm) {
+      setFormDisabled(refs.casUpdateForm, !hasCapability('isAdmin'));
+      refs.casUpdateForm.classList.toggle('is-readonly', !hasCapability('isAdmin'));
+    }
+
+    if (refs.casRollbackButton) {
+      refs.casRollbackButton.disabled = !hasCapability('isAdmin');
+    }
+
     renderUsers();
     renderRoles();
     renderDepartments();
@@ -313,6 +337,11 @@
         renderDepartments();
         failures.push(error.message || 'Failed to load departments.');
       });
+      await refreshCasDataset().catch((error) => {
+        state.casDataset = null;
+        renderCasDataset();
+        failures.push(error.message || 'Failed to load CAS dataset.');
+      });
 
       setActiveSection(state.activeSection);
       if (failures.length) {
@@ -409,6 +438,11 @@
     renderDepartments();
   }
 
+  async function refreshCasDataset() {
+    state.casDataset = await requestJson('/api/admin-console/cas-dataset');
+    renderCasDataset();
+  }
+
   function renderRoleOptions() {
     if (!refs.userRole) return;
     refs.userRole.innerHTML = (state.roles || []).map((role) => {
@@ -782,6 +816,147 @@
     }).join('') || '<tr class="table-empty-row"><td colspan="3">No departments found.</td></tr>';
   }
 
+  function formatDateTime(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toLocaleString() : '';
+  }
+
+  function renderCasDataset() {
+    const dataset = state.casDataset || {};
+    if (refs.casDatasetSummary) {
+      refs.casDatasetSummary.innerHTML = [
+        summaryItem('Installed Version', dataset.dataset_version || 'unknown', 'Combined version of every loaded CAS snapshot layer.'),
+        summaryItem('Master Pack Version', dataset.update_version || 'none', 'Update packages must be built against this version.'),
+        summaryItem('CAS Records', dataset.total_records || 0, 'Records available for offline lookup after merging layers.'),
+      ].join('');
+    }
+
+    if (!refs.casHistoryTableBody) return;
+    const history = Array.isArray(dataset.history) ? dataset.history : [];
+    refs.casHistoryTableBody.innerHTML = history.map((entry) => {
+      const changes = entry.action === 'apply'
+        ? `+${entry.added || 0} / ~${entry.changed || 0} / -${entry.removed || 0}`
+        : `Restored from ${entry.previous_version || 'none'}`;
+      const action = entry.action === 'apply'
+        ? (entry.rolled_back_at ? 'Applied (rolled back)' : 'Applied')
+        : 'Rolled back';
+      return [
+        '<tr>',
+        `<td data-label="Version">${escapeHtml(entry.version || 'none')}</td>`,
+        `<td data-label="Action">${escapeHtml(action)}</td>`,
+        `<td data-label="Changes">${escapeHtml(changes)}</td>`,
+        `<td data-label="By">${escapeHtml(entry.applied_by || 'Unknown')}</td>`,
+        `<td data-label="When">${escapeHtml(formatDateTime(entry.applied_at))}</td>`,
+        '</tr>',
+      ].join('');
+    }).join('') || '<tr class="table-empty-row"><td colspan="5">No update packages applied yet.</td></tr>';
+  }
+
+  function renderCasPreview() {
+    if (refs.casApplyButton) {
+      refs.casApplyButton.disabled = !state.casPreview || !hasCapability('isAdmin');
+    }
+    if (!refs.casUpdatePreview) return;
+
+    const preview = state.casPreview;
+    if (!preview) {
+      refs.casUpdatePreview.innerHTML = '';
+      return;
+    }
+
+    const describe = (records) => records.slice(0, 25)
+      .map((record) => `${record.cas_number} ${record.name || ''}`.trim())
+      .join(', ') + (records.length > 25 ? `, +${records.length - 25} more` : '');
+    const rows = [
+      ['Version', `${preview.base_version || 'none'} → ${preview.version}`],
+      ['SHA-256', `${String(preview.sha256 || '').slice(0, 16)}…${preview.signed ? ' (signature verified)' : ''}`],
+      ['Added', String(preview.added.length), describe(preview.added)],
+      ['Changed', String(preview.changed.length), describe(preview.changed)],
+      ['Removed', String(preview.removed.length), describe(preview.removed)],
+      ['Master pack after apply', `${preview.record_count} records`],
+    ];
+    refs.casUpdatePreview.innerHTML = rows.map(([label, value, detail]) => [
+      '<div class="stack-row">',
+      `<span>${escapeHtml(label)}${detail ? `<small>${escapeHtml(detail)}</small>` : ''}</span>`,
+      `<strong>${escapeHtml(value)}</strong>`,
+      '</div>',
+    ].join('')).join('');
+  }
+
+  function clearCasPreview() {
+    state.casPackage = null;
+    state.casPreview = null;
+    renderCasPreview();
+  }
+
+  async function previewCasPackage(event) {
+    event.preventDefault();
+    if (!hasCapability('isAdmin')) {
+      setStatus('Only Admin can import CAS update packages.', 'error');
+      return;
+    }
+
+    const file = refs.casUpdateFile && refs.casUpdateFile.files ? refs.casUpdateFile.files[0] : null;
+    if (!file) {
+      setStatus('Choose a CAS update package first.', 'error');
+      return;
+    }
+
+    try {
+      setStatus('Verifying CAS update package...', null);
+      let updatePackage;
+      try {
+        updatePackage = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error('The selected file is not a JSON update package.');
+      }
+      state.casPreview = await requestJson('/api/admin-console/cas-dataset/preview', {
+        method: 'POST',
+        body: JSON.stringify(updatePackage),
+      });
+      state.casPackage = updatePackage;
+      renderCasPreview();
+      setStatus(`Package ${state.casPreview.version} verified. Review the changes before applying.`, 'success');
+    } catch (error) {
+      clearCasPreview();
+      setStatus(error.message || 'Failed to preview CAS update package.', 'error');
+    }
+  }
+
+  async function applyCasPackage() {
+    if (!state.casPackage || !state.casPreview) return;
+    if (!window.confirm(`Apply CAS dataset ${state.casPreview.version}?`)) return;
+
+    try {
+      setStatus('Applying CAS update package...', null);
+      const result = await requestJson('/api/admin-console/cas-dataset/apply', {
+        method: 'POST',
+        body: JSON.stringify(state.casPackage),
+      });
+      if (refs.casUpdateForm) refs.casUpdateForm.reset();
+      clearCasPreview();
+      await refreshCasDataset();
+      setStatus(`CAS dataset ${result.version} applied.`, 'success');
+    } catch (error) {
+      setStatus(error.message || 'Failed to apply CAS update package.', 'error');
+    }
+  }
+
+  async function rollbackCasDataset() {
+    if (!hasCapability('isAdmin')) return;
+    if (!window.confirm('Roll back the last applied CAS update package?')) return;
+
+    try {
+      setStatus('Rolling back CAS dataset...', null);
+      const entry = await requestJson('/api/admin-console/cas-dataset/rollback', { method: 'POST' });
+      clearCasPreview();
+      await refreshCasDataset();
+      setStatus(`CAS dataset rolled back to ${entry.version || 'the base snapshots'}.`, 'success');
+    } catch (error) {
+      setStatus(error.message || 'Failed to roll back CAS dataset.', 'error');
+    }
+  }
+
   function clearUserForm(options = {}) {
     if (!hasCapability('canEditUsers')) return;
     if (!refs.userForm) return;
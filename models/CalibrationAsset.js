@@ -145,9 +145,57 @@ module.exports = function defineCalibrationAsset(sequelize, DataTypes) {
       allowNull: false,
       defaultValue: DEFAULT_DEPARTMENT,
     },
+    last_cal_result: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    out_of_tolerance: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    archived_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: null,
+    },
+    archive_reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+    },
+    archived_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+    },
+    planned_technician_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: null,
+    },
+    gage_rr_result: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+    },
+    gage_rr_percent: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      defaultValue: null,
+    },
+    interval_override_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: null,
+    },
   }, {
     tableName: 'calibration',
     timestamps: false,
+    // Archived gages keep custody, records and impact reviews; use unscoped() to reach them.
+    defaultScope: {
+      where: { archived_at: null },
+    },
     hooks: {
       beforeValidate(asset) {
         const templateId = Number(asset.template_id);
@@ -0,0 +1,62 @@
+const CALIBRATION_BLACKOUT_KINDS = new Set(['holiday', 'shutdown', 'time_off']);
+
+module.exports = function defineCalibrationBlackout(sequelize, DataTypes) {
+  return sequelize.define('CalibrationBlackout', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    kind: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'holiday',
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    // Set only for time off; holidays and shutdowns block the whole site.
+    technician_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'calibration_blackouts',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'calibration_blackouts_range_idx',
+        fields: ['start_date', 'end_date'],
+      },
+    ],
+    hooks: {
+      beforeValidate(blackout) {
+        const kind = String(blackout.kind || '').trim().toLowerCase();
+        blackout.kind = CALIBRATION_BLACKOUT_KINDS.has(kind) ? kind : 'holiday';
+        blackout.name = String(blackout.name || '').trim();
+        if (blackout.kind !== 'time_off') blackout.technician_id = null;
+      },
+    },
+  });
+};
@@ -0,0 +1,90 @@
+function normalizeOptionalText(value) {
+  const text = String(value || '').trim().replace(/\s+/g, ' ');
+  return text || null;
+}
+
+module.exports = function defineCalibrationCustody(sequelize, DataTypes) {
+  return sequelize.define('CalibrationCustody', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    holder_name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    holder_user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    checked_out_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    checked_out_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    expected_return_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    checked_in_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    checked_in_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    return_condition: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    return_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Set while the asset is away at an external calibration vendor.
+    shipment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'calibration_custody',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'calibration_custody_asset_id_idx',
+        fields: ['asset_id'],
+      },
+      {
+        name: 'calibration_custody_checked_in_at_idx',
+        fields: ['checked_in_at'],
+      },
+    ],
+    hooks: {
+      beforeValidate(record) {
+        record.holder_name = normalizeOptionalText(record.holder_name) || '';
+        record.reason = normalizeOptionalText(record.reason);
+        record.checked_out_by = normalizeOptionalText(record.checked_out_by);
+        record.checked_in_by = normalizeOptionalText(record.checked_in_by);
+        record.return_condition = normalizeOptionalText(record.return_condition);
+        record.return_notes = String(record.return_notes || '').trim() || null;
+      },
+    },
+  });
+};
@@ -0,0 +1,111 @@
+const GAGE_STUDY_STATUSES = new Set(['draft', 'completed']);
+
+module.exports = function defineCalibrationGageStudy(sequelize, DataTypes) {
+  return sequelize.define('CalibrationGageStudy', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    study_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'draft',
+    },
+    characteristic: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    operators: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    part_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    trial_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // Total tolerance width (USL - LSL); enables %tolerance alongside %study variation.
+    tolerance: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    measurements: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    results: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    result: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    percent_grr: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    ndc: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    completed_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'calibration_gage_studies',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'calibration_gage_studies_asset_id_idx',
+        fields: ['asset_id'],
+      },
+    ],
+    hooks: {
+      beforeValidate(study) {
+        const status = String(study.status || '').trim().toLowerCase();
+        study.status = GAGE_STUDY_STATUSES.has(status) ? status : 'draft';
+        study.characteristic = String(study.characteristic || '').trim() || null;
+        study.operators = typeof study.operators === 'string' ? study.operators : JSON.stringify(study.operators || []);
+        study.measurements = typeof study.measurements === 'string' ? study.measurements : JSON.stringify(study.measurements || []);
+        if (study.results && typeof study.results !== 'string') {
+          study.results = JSON.stringify(study.results);
+        }
+        study.notes = String(study.notes || '').trim() || null;
+      },
+    },
+  });
+};
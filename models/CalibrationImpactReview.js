@@ -0,0 +1,77 @@
+module.exports = function defineCalibrationImpactReview(sequelize, DataTypes) {
+  return sequelize.define('CalibrationImpactReview', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    record_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'open',
+    },
+    finding: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    window_start: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    window_end: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    usages: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    opened_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    opened_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    closed_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    resolution: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'calibration_impact_reviews',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'calibration_impact_reviews_asset_id_idx',
+        fields: ['asset_id'],
+      },
+    ],
+    hooks: {
+      beforeValidate(review) {
+        review.status = String(review.status || '').trim().toLowerCase() === 'closed' ? 'closed' : 'open';
+        review.finding = String(review.finding || '').trim() || null;
+        review.usages = typeof review.usages === 'string' ? review.usages : JSON.stringify(review.usages || []);
+        review.resolution = String(review.resolution || '').trim() || null;
+      },
+    },
+  });
+};
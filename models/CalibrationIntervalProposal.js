@@ -0,0 +1,90 @@
+const INTERVAL_PROPOSAL_STATUSES = new Set(['pending', 'approved', 'rejected', 'superseded']);
+const INTERVAL_PROPOSAL_DIRECTIONS = new Set(['lengthen', 'shorten']);
+
+module.exports = function defineCalibrationIntervalProposal(sequelize, DataTypes) {
+  return sequelize.define('CalibrationIntervalProposal', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    template_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    record_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    direction: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    current_interval_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    proposed_interval_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    consecutive_passes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    basis: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    proposed_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    proposed_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    decided_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    decided_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    decision_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'calibration_interval_proposals',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'calibration_interval_proposals_asset_status_idx',
+        fields: ['asset_id', 'status'],
+      },
+    ],
+    hooks: {
+      beforeValidate(proposal) {
+        const status = String(proposal.status || '').trim().toLowerCase();
+        const direction = String(proposal.direction || '').trim().toLowerCase();
+        proposal.status = INTERVAL_PROPOSAL_STATUSES.has(status) ? status : 'pending';
+        proposal.direction = INTERVAL_PROPOSAL_DIRECTIONS.has(direction) ? direction : null;
+        proposal.basis = String(proposal.basis || '').trim() || null;
+        proposal.decision_notes = String(proposal.decision_notes || '').trim() || null;
+      },
+    },
+  });
+};
@@ -0,0 +1,114 @@
+const CALIBRATION_RESULTS = ['pass', 'adjusted', 'fail'];
+
+function normalizeResult(value, fallback = 'pass') {
+  const text = String(value || '').trim().toLowerCase();
+  return CALIBRATION_RESULTS.includes(text) ? text : fallback;
+}
+
+module.exports = function defineCalibrationRecord(sequelize, DataTypes) {
+  return sequelize.define('CalibrationRecord', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    template_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    certificate_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    technician: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    calibration_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    performed_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    as_found_result: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pass',
+    },
+    as_left_result: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pass',
+    },
+    result: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pass',
+    },
+    readings: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    valid_until: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    certificate_file: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    certificate_sha256: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    asset_snapshot: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '{}',
+    },
+  }, {
+    tableName: 'calibration_records',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'calibration_records_asset_id_idx',
+        fields: ['asset_id'],
+      },
+      {
+        name: 'calibration_records_certificate_id_idx',
+        unique: true,
+        fields: ['certificate_id'],
+      },
+    ],
+    hooks: {
+      beforeValidate(record) {
+        record.technician = String(record.technician || '').trim();
+        record.as_found_result = normalizeResult(record.as_found_result);
+        record.as_left_result = normalizeResult(record.as_left_result);
+        record.result = normalizeResult(record.result);
+        record.readings = typeof record.readings === 'string' ? record.readings : JSON.stringify(record.readings || []);
+        record.notes = String(record.notes || '').trim() || null;
+        record.asset_snapshot = typeof record.asset_snapshot === 'string' ? record.asset_snapshot : JSON.stringify(record.asset_snapshot || {});
+      },
+    },
+  });
+};
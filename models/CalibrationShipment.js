@@ -0,0 +1,75 @@
+const CALIBRATION_SHIPMENT_STATUSES = new Set(['shipped', 'received']);
+
+module.exports = function defineCalibrationShipment(sequelize, DataTypes) {
+  return sequelize.define('CalibrationShipment', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    shipment_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    vendor: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    vendor_reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'shipped',
+    },
+    shipped_at: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    expected_return_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    received_at: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'calibration_shipments',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'calibration_shipments_status_idx',
+        fields: ['status'],
+      },
+    ],
+    hooks: {
+      beforeValidate(shipment) {
+        const status = String(shipment.status || '').trim().toLowerCase();
+        shipment.status = CALIBRATION_SHIPMENT_STATUSES.has(status) ? status : 'shipped';
+        shipment.vendor = String(shipment.vendor || '').trim().replace(/\s+/g, ' ');
+        shipment.vendor_reference = String(shipment.vendor_reference || '').trim() || null;
+        shipment.notes = String(shipment.notes || '').trim() || null;
+      },
+    },
+  });
+};
@@ -0,0 +1,76 @@
+const CALIBRATION_SHIPMENT_ITEM_STATUSES = new Set(['out', 'calibrated', 'rejected']);
+
+module.exports = function defineCalibrationShipmentItem(sequelize, DataTypes) {
+  return sequelize.define('CalibrationShipmentItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    shipment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    asset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    custody_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'out',
+    },
+    received_at: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    received_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    vendor_cal_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    as_found_result: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    certificate_path: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    record_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'calibration_shipment_items',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'calibration_shipment_items_shipment_id_idx',
+        fields: ['shipment_id'],
+      },
+      {
+        name: 'calibration_shipment_items_asset_id_idx',
+        fields: ['asset_id'],
+      },
+    ],
+    hooks: {
+      beforeValidate(item) {
+        const status = String(item.status || '').trim().toLowerCase();
+        item.status = CALIBRATION_SHIPMENT_ITEM_STATUSES.has(status) ? status : 'out';
+        item.notes = String(item.notes || '').trim() || null;
+      },
+    },
+  });
+};
@@ -0,0 +1,59 @@
+const {
+  DEFAULT_ALLOWED_DAYS,
+  normalizeAllowedDays,
+} = require('./calibrationRules');
+
+module.exports = function defineCalibrationTechnician(sequelize, DataTypes) {
+  return sequelize.define('CalibrationTechnician', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    skills: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    available_days: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: JSON.stringify(DEFAULT_ALLOWED_DAYS),
+    },
+    daily_capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 4,
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+  }, {
+    tableName: 'calibration_technicians',
+    timestamps: false,
+    hooks: {
+      beforeValidate(technician) {
+        technician.name = String(technician.name || '').trim().replace(/\s+/g, ' ');
+        technician.email = String(technician.email || '').trim().toLowerCase() || null;
+        technician.skills = typeof technician.skills === 'string' ? technician.skills : JSON.stringify(technician.skills || []);
+        technician.available_days = JSON.stringify(normalizeAllowedDays(technician.available_days, DEFAULT_ALLOWED_DAYS));
+        const capacity = Number(technician.daily_capacity);
+        technician.daily_capacity = Number.isInteger(capacity) && capacity > 0 ? capacity : 4;
+      },
+    },
+  });
+};
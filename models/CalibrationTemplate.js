@@ -3,8 +3,11 @@ const {
   DEFAULT_DEPARTMENT,
   DEFAULT_ALLOWED_DAYS,
   DEFAULT_INTERVAL_DAYS,
+  DEFAULT_INTERVAL_EXTEND_AFTER,
+  DEFAULT_INTERVAL_EXTEND_PERCENT,
   DEFAULT_INTERVAL_MODE,
   DEFAULT_INTERVAL_MONTHS,
+  DEFAULT_INTERVAL_SHORTEN_PERCENT,
   DEFAULT_MAX_DAILY_CALIBRATIONS,
   DEFAULT_UNIT_OF_MEASURE,
   defaultAlertLeadDays,
@@ -12,12 +15,14 @@ const {
   deriveIntervalDays,
   normalizeCategory,
   normalizeAllowedDays,
+  normalizeIntervalAdjustmentPolicy,
   normalizeIntervalDays,
   normalizeIntervalMode,
   normalizeIntervalMonths,
   normalizeMaxDailyCalibrations,
   normalizeNonNegativeInteger,
   normalizePositiveInteger,
+  normalizeTestPoints,
   normalizeText,
   normalizeUnitOfMeasure,
 } = require('./calibrationRules');
@@ -92,6 +97,39 @@ module.exports = function defineCalibrationTemplate(sequelize, DataTypes) {
       allowNull: false,
       defaultValue: JSON.stringify(DEFAULT_ALLOWED_DAYS),
     },
+    test_points: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    interval_adjust_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    interval_extend_after: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: DEFAULT_INTERVAL_EXTEND_AFTER,
+    },
+    interval_extend_percent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: DEFAULT_INTERVAL_EXTEND_PERCENT,
+    },
+    interval_shorten_percent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: DEFAULT_INTERVAL_SHORTEN_PERCENT,
+    },
+    interval_min_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    interval_max_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
   }, {
     tableName: 'templates',
     timestamps: false,
@@ -124,6 +162,15 @@ module.exports = function defineCalibrationTemplate(sequelize, DataTypes) {
           DEFAULT_MAX_DAILY_CALIBRATIONS
         );
         template.allowed_days = JSON.stringify(normalizeAllowedDays(template.allowed_days, DEFAULT_ALLOWED_DAYS));
+        template.test_points = JSON.stringify(normalizeTestPoints(template.test_points, template.unit_of_measure));
+
+        const adjustment = normalizeIntervalAdjustmentPolicy(template);
+        template.interval_adjust_enabled = adjustment.enabled;
+        template.interval_extend_after = adjustment.extend_after;
+        template.interval_extend_percent = adjustment.extend_percent;
+        template.interval_shorten_percent = adjustment.shorten_percent;
+        template.interval_min_days = adjustment.min_days;
+        template.interval_max_days = adjustment.max_days;
       },
     },
   });
@@ -0,0 +1,88 @@
+const CYCLE_COUNT_STATUSES = new Set(['open', 'approved', 'cancelled']);
+const CYCLE_COUNT_SCOPES = new Set(['department', 'storage_area']);
+
+module.exports = function defineCycleCount(sequelize, DataTypes) {
+  return sequelize.define('CycleCount', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    count_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    scope: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'department',
+    },
+    assigned_department: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    storage_map_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    storage_area_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'open',
+    },
+    lines: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    approved_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    approved_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'cycle_counts',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'cycle_counts_status_idx',
+        fields: ['status'],
+      },
+    ],
+    hooks: {
+      beforeValidate(count) {
+        const status = String(count.status || '').trim().toLowerCase();
+        count.status = CYCLE_COUNT_STATUSES.has(status) ? status : 'open';
+        const scope = String(count.scope || '').trim().toLowerCase();
+        count.scope = CYCLE_COUNT_SCOPES.has(scope) ? scope : 'department';
+        count.lines = typeof count.lines === 'string' ? count.lines : JSON.stringify(count.lines || []);
+        count.notes = String(count.notes || '').trim() || null;
+      },
+    },
+  });
+};
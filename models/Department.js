@@ -18,6 +18,15 @@ module.exports = function defineDepartment(sequelize, DataTypes) {
       allowNull: false,
       defaultValue: '',
     },
+    supervisor_email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: '',
+    },
+    supervisor_user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
   }, {
     tableName: 'departments',
     timestamps: false,
@@ -25,6 +34,7 @@ module.exports = function defineDepartment(sequelize, DataTypes) {
       beforeValidate(department) {
         department.name = String(department.name || '').trim().replace(/\s+/g, ' ');
         department.supervisor = String(department.supervisor || '').trim().replace(/\s+/g, ' ');
+        department.supervisor_email = String(department.supervisor_email || '').trim().toLowerCase();
       },
     },
   });
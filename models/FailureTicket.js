@@ -64,9 +64,28 @@ module.exports = function defineFailureTicket(sequelize, DataTypes) {
       type: DataTypes.DATE,
       allowNull: true,
     },
+    archived_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: null,
+    },
+    archive_reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+    },
+    archived_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+    },
   }, {
     tableName: 'failure_tickets',
     timestamps: false,
+    // Archived tickets keep their faulty components and history; use unscoped() to reach them.
+    defaultScope: {
+      where: { archived_at: null },
+    },
     hooks: {
       beforeValidate(ticket) {
         const serialNumber = String(ticket.serial_number || '').trim().toUpperCase();
@@ -0,0 +1,103 @@
+const INCIDENT_TYPES = new Set(['spill', 'exposure', 'release', 'fire', 'near_miss', 'other']);
+const INCIDENT_STATUSES = new Set(['open', 'closed']);
+
+module.exports = function defineIncident(sequelize, DataTypes) {
+  return sequelize.define('Incident', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    incident_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    incident_type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'other',
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    occurred_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    storage_map_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    storage_area_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    location_notes: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    materials: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    people: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'open',
+    },
+    reported_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    reported_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    closed_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'incidents',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'incidents_status_idx',
+        fields: ['status'],
+      },
+      {
+        name: 'incidents_occurred_at_idx',
+        fields: ['occurred_at'],
+      },
+    ],
+    hooks: {
+      beforeValidate(incident) {
+        const type = String(incident.incident_type || '').trim().toLowerCase();
+        incident.incident_type = INCIDENT_TYPES.has(type) ? type : 'other';
+        const status = String(incident.status || '').trim().toLowerCase();
+        incident.status = INCIDENT_STATUSES.has(status) ? status : 'open';
+        incident.materials = typeof incident.materials === 'string' ? incident.materials : JSON.stringify(incident.materials || []);
+        incident.people = typeof incident.people === 'string' ? incident.people : JSON.stringify(incident.people || []);
+        incident.description = String(incident.description || '').trim() || null;
+        incident.location_notes = String(incident.location_notes || '').trim() || null;
+      },
+    },
+  });
+};
@@ -0,0 +1,68 @@
+const INCIDENT_ACTION_STATUSES = new Set(['open', 'completed']);
+
+module.exports = function defineIncidentAction(sequelize, DataTypes) {
+  return sequelize.define('IncidentAction', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    incident_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    owner: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'open',
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    completed_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    completion_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'incident_actions',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'incident_actions_incident_id_idx',
+        fields: ['incident_id'],
+      },
+      {
+        name: 'incident_actions_status_idx',
+        fields: ['status'],
+      },
+    ],
+    hooks: {
+      beforeValidate(action) {
+        const status = String(action.status || '').trim().toLowerCase();
+        action.status = INCIDENT_ACTION_STATUSES.has(status) ? status : 'open';
+      },
+    },
+  });
+};
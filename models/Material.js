@@ -115,6 +115,52 @@ function normalizeOptionalId(value) {
   return Number.isInteger(numeric) && numeric > 0 ? numeric : null;
 }
 
+function normalizeOptionalText(value) {
+  const text = String(value || '').trim();
+  return text || null;
+}
+
+function normalizeConcentration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 && numeric <= 100 ? numeric : null;
+}
+
+function normalizeComponents(value) {
+  let source = value;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (error) {
+      source = [];
+    }
+  }
+
+  const byCas = new Map();
+  (Array.isArray(source) ? source : []).forEach((entry) => {
+    const casNumber = normalizeCasNumber(entry && entry.cas_number);
+    if (!casNumber || byCas.has(casNumber)) return;
+
+    const concentrationMin = normalizeConcentration(entry.concentration_min);
+    const concentrationMax = normalizeConcentration(entry.concentration_max);
+    byCas.set(casNumber, {
+      cas_number: casNumber,
+      name: normalizeOptionalText(entry.name),
+      concentration_min: concentrationMin,
+      concentration_max: concentrationMax != null && concentrationMin != null && concentrationMax < concentrationMin
+        ? concentrationMin
+        : concentrationMax,
+    });
+  });
+  return Array.from(byCas.values());
+}
+
+function normalizeCorrosiveType(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === 'alkali' || text === 'alkaline' || text === 'caustic') return 'base';
+  return text === 'acid' || text === 'base' ? text : null;
+}
+
 module.exports = function defineMaterial(sequelize, DataTypes) {
   return sequelize.define('Material', {
     id: {
@@ -178,6 +224,17 @@ module.exports = function defineMaterial(sequelize, DataTypes) {
         this.setDataValue('cas_number', normalizeCasNumber(value));
       },
     },
+    components: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+      get() {
+        return normalizeComponents(this.getDataValue('components'));
+      },
+      set(value) {
+        this.setDataValue('components', JSON.stringify(normalizeComponents(value)));
+      },
+    },
     ghs_symbols: {
       type: DataTypes.TEXT,
       allowNull: false,
@@ -329,6 +386,60 @@ module.exports = function defineMaterial(sequelize, DataTypes) {
         this.setDataValue('container_size', normalized ? JSON.stringify(normalized) : null);
       },
     },
+    storage_map_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+      get() {
+        return normalizeOptionalText(this.getDataValue('storage_map_id'));
+      },
+      set(value) {
+        this.setDataValue('storage_map_id', normalizeOptionalText(value));
+      },
+    },
+    storage_area_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+      get() {
+        return normalizeOptionalText(this.getDataValue('storage_area_id'));
+      },
+      set(value) {
+        this.setDataValue('storage_area_id', normalizeOptionalText(value));
+      },
+    },
+    corrosive_type: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+      get() {
+        return normalizeCorrosiveType(this.getDataValue('corrosive_type'));
+      },
+      set(value) {
+        this.setDataValue('corrosive_type', normalizeCorrosiveType(value));
+      },
+    },
+    archived_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: null,
+    },
+    archive_reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+      get() {
+        return normalizeOptionalText(this.getDataValue('archive_reason'));
+      },
+      set(value) {
+        this.setDataValue('archive_reason', normalizeOptionalText(value));
+      },
+    },
+    archived_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: null,
+    },
     current_stock: {
       type: DataTypes.VIRTUAL,
       get() {
@@ -341,6 +452,10 @@ module.exports = function defineMaterial(sequelize, DataTypes) {
   }, {
     tableName: 'materials',
     timestamps: false,
+    // Archived materials keep their history but drop out of every inventory query; use unscoped() to reach them.
+    defaultScope: {
+      where: { archived_at: null },
+    },
     indexes: [
       {
         name: 'materials_name_idx',
@@ -0,0 +1,100 @@
+function normalizeNumber(value, fallback = 0) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+}
+
+function normalizeContainerLabel(value) {
+  const text = String(value || '').trim().toUpperCase();
+  return text || null;
+}
+
+function normalizeOptionalText(value) {
+  const text = String(value || '').trim();
+  return text || null;
+}
+
+module.exports = function defineMaterialContainer(sequelize, DataTypes) {
+  return sequelize.define('MaterialContainer', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    material_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    container_label: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      get() {
+        return normalizeContainerLabel(this.getDataValue('container_label'));
+      },
+      set(value) {
+        this.setDataValue('container_label', normalizeContainerLabel(value));
+      },
+    },
+    lot_number: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      set(value) {
+        this.setDataValue('lot_number', normalizeOptionalText(value));
+      },
+    },
+    received_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    expiration_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    location: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      set(value) {
+        this.setDataValue('location', normalizeOptionalText(value));
+      },
+    },
+    initial_quantity: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        return normalizeNumber(this.getDataValue('initial_quantity'));
+      },
+    },
+    remaining_quantity: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        return normalizeNumber(this.getDataValue('remaining_quantity'));
+      },
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'active',
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'material_containers',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'material_containers_material_id_idx',
+        fields: ['material_id'],
+      },
+      {
+        name: 'material_containers_expiration_date_idx',
+        fields: ['expiration_date'],
+      },
+    ],
+  });
+};
@@ -0,0 +1,99 @@
+const MATERIAL_TRANSFER_STATUSES = new Set(['requested', 'approved', 'rejected', 'cancelled']);
+
+module.exports = function defineMaterialTransfer(sequelize, DataTypes) {
+  return sequelize.define('MaterialTransfer', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    transfer_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    material_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    container_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    split_material_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    from_department: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    to_department: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    quantity: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+    },
+    transfer_type: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'requested',
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    requested_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    requested_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    requested_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    decided_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    decided_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    decision_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'material_transfers',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'material_transfers_status_idx',
+        fields: ['status'],
+      },
+      {
+        name: 'material_transfers_material_id_idx',
+        fields: ['material_id'],
+      },
+    ],
+    hooks: {
+      beforeValidate(transfer) {
+        const status = String(transfer.status || '').trim().toLowerCase();
+        transfer.status = MATERIAL_TRANSFER_STATUSES.has(status) ? status : 'requested';
+        transfer.reason = String(transfer.reason || '').trim() || null;
+        transfer.decision_notes = String(transfer.decision_notes || '').trim() || null;
+      },
+    },
+  });
+};
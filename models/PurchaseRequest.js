@@ -0,0 +1,88 @@
+const PURCHASE_REQUEST_STATUSES = new Set(['requested', 'ordered', 'received', 'cancelled']);
+
+module.exports = function definePurchaseRequest(sequelize, DataTypes) {
+  return sequelize.define('PurchaseRequest', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    manufacturer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    manufacturer: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'requested',
+    },
+    lines: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    order_reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    requested_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    requested_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    ordered_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    ordered_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    received_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'purchase_requests',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'purchase_requests_status_idx',
+        fields: ['status'],
+      },
+      {
+        name: 'purchase_requests_manufacturer_id_idx',
+        fields: ['manufacturer_id'],
+      },
+    ],
+    hooks: {
+      beforeValidate(request) {
+        const status = String(request.status || '').trim().toLowerCase();
+        request.status = PURCHASE_REQUEST_STATUSES.has(status) ? status : 'requested';
+        request.lines = typeof request.lines === 'string' ? request.lines : JSON.stringify(request.lines || []);
+        request.notes = String(request.notes || '').trim() || null;
+        request.order_reference = String(request.order_reference || '').trim() || null;
+      },
+    },
+  });
+};
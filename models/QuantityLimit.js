@@ -0,0 +1,71 @@
+function normalizeHazardClass(value) {
+  const text = String(value || '').trim();
+  return /^\d(\.\d{1,2})?$/.test(text) ? text : null;
+}
+
+function normalizeLimit(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? Number(numeric.toFixed(3)) : null;
+}
+
+function defineLimitField(DataTypes, name) {
+  return {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    defaultValue: null,
+    get() {
+      return normalizeLimit(this.getDataValue(name));
+    },
+    set(value) {
+      this.setDataValue(name, normalizeLimit(value));
+    },
+  };
+}
+
+module.exports = function defineQuantityLimit(sequelize, DataTypes) {
+  return sequelize.define('QuantityLimit', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    hazard_class: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      get() {
+        return normalizeHazardClass(this.getDataValue('hazard_class'));
+      },
+      set(value) {
+        this.setDataValue('hazard_class', normalizeHazardClass(value));
+      },
+      validate: {
+        is: /^\d(\.\d{1,2})?$/,
+      },
+    },
+    label: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    max_area_mass_kg: defineLimitField(DataTypes, 'max_area_mass_kg'),
+    max_area_volume_l: defineLimitField(DataTypes, 'max_area_volume_l'),
+    max_facility_mass_kg: defineLimitField(DataTypes, 'max_facility_mass_kg'),
+    max_facility_volume_l: defineLimitField(DataTypes, 'max_facility_volume_l'),
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'hazmat_quantity_limits',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'hazmat_quantity_limits_hazard_class_uidx',
+        unique: true,
+        fields: ['hazard_class'],
+      },
+    ],
+  });
+};
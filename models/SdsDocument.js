@@ -71,6 +71,10 @@ module.exports = function defineSdsDocument(sequelize, DataTypes) {
         this.setDataValue('sds_file_path', normalizeSdsPath(value));
       },
     },
+    revision_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
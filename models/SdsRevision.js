@@ -0,0 +1,76 @@
+function normalizeSdsPath(value) {
+  const text = String(value || '').trim();
+  return text || null;
+}
+
+function normalizeOptionalId(value) {
+  const numeric = Number(value);
+  return Number.isInteger(numeric) && numeric > 0 ? numeric : null;
+}
+
+module.exports = function defineSdsRevision(sequelize, DataTypes) {
+  return sequelize.define('SdsRevision', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    sds_document_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    revision_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    revision_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    sds_file_path: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      get() {
+        return normalizeSdsPath(this.getDataValue('sds_file_path'));
+      },
+      set(value) {
+        this.setDataValue('sds_file_path', normalizeSdsPath(value));
+      },
+    },
+    uploaded_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    uploaded_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    supersedes_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: null,
+      get() {
+        return normalizeOptionalId(this.getDataValue('supersedes_id'));
+      },
+      set(value) {
+        this.setDataValue('supersedes_id', normalizeOptionalId(value));
+      },
+    },
+    superseded_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'sds_revisions',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'sds_revisions_document_number_uidx',
+        unique: true,
+        fields: ['sds_document_id', 'revision_number'],
+      },
+    ],
+  });
+};
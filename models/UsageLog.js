@@ -1,3 +1,6 @@
+// Only 'usage' rows are consumption; the other kinds move stock without using it up.
+const USAGE_LOG_KINDS = new Set(['usage', 'cycle_count', 'disposal', 'transfer']);
+
 module.exports = function defineUsageLog(sequelize, DataTypes) {
   return sequelize.define('UsageLog', {
     id: {
@@ -9,6 +12,10 @@ module.exports = function defineUsageLog(sequelize, DataTypes) {
       type: DataTypes.INTEGER,
       allowNull: false,
     },
+    container_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
     user_id: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -27,8 +34,31 @@ module.exports = function defineUsageLog(sequelize, DataTypes) {
       allowNull: false,
       defaultValue: 'Inventory adjustment',
     },
+    kind: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'usage',
+    },
+    transfer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    from_department: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    to_department: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
   }, {
     tableName: 'usage_logs',
     timestamps: false,
+    hooks: {
+      beforeValidate(usageLog) {
+        const kind = String(usageLog.kind || '').trim().toLowerCase();
+        usageLog.kind = USAGE_LOG_KINDS.has(kind) ? kind : 'usage';
+      },
+    },
   });
 };
\ No newline at end of file
@@ -0,0 +1,114 @@
+const WASTE_CONTAINER_STATUSES = new Set(['accumulating', 'manifested', 'disposed']);
+
+module.exports = function defineWasteContainer(sequelize, DataTypes) {
+  return sequelize.define('WasteContainer', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    container_label: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    waste_stream: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    hazard_class: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    storage_map_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    storage_area_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'accumulating',
+    },
+    accumulation_start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    accumulation_limit_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 90,
+    },
+    items: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    manifest_number: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    disposal_reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    manifested_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    manifested_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    disposed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    disposed_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  }, {
+    tableName: 'waste_containers',
+    timestamps: false,
+    indexes: [
+      {
+        name: 'waste_containers_status_idx',
+        fields: ['status'],
+      },
+      {
+        name: 'waste_containers_manifest_number_idx',
+        fields: ['manifest_number'],
+      },
+    ],
+    hooks: {
+      beforeValidate(container) {
+        const status = String(container.status || '').trim().toLowerCase();
+        container.status = WASTE_CONTAINER_STATUSES.has(status) ? status : 'accumulating';
+        container.items = typeof container.items === 'string' ? container.items : JSON.stringify(container.items || []);
+        container.notes = String(container.notes || '').trim() || null;
+        container.manifest_number = String(container.manifest_number || '').trim() || null;
+        container.disposal_reference = String(container.disposal_reference || '').trim() || null;
+      },
+    },
+  });
+};
@@ -7,6 +7,10 @@ const DEFAULT_UNIT_OF_MEASURE = 'Unitless';
 const DEFAULT_DEPARTMENT = 'Unassigned';
 const DEFAULT_MAX_DAILY_CALIBRATIONS = 10;
 const DEFAULT_ALLOWED_DAYS = [1, 2, 3, 4, 5];
+const DEFAULT_INTERVAL_EXTEND_AFTER = 3;
+const DEFAULT_INTERVAL_EXTEND_PERCENT = 25;
+const DEFAULT_INTERVAL_SHORTEN_PERCENT = 50;
+const MAX_INTERVAL_SHORTEN_PERCENT = 90;
 
 const DAYS_PER_MONTH_AVERAGE = 365 / 12;
 
@@ -192,39 +196,159 @@ function buildDateLoadMap(existingDates) {
   return loadMap;
 }
 
-function allocateCalibrationDate(targetDate, options = {}) {
-  const normalizedTarget = normalizeDate(targetDate);
-  if (!normalizedTarget) return null;
+function expandDateRange(startDate, endDate, maxDays = 366) {
+  const start = toUtcDate(normalizeDate(startDate));
+  const end = toUtcDate(normalizeDate(endDate) || normalizeDate(startDate));
+  if (!start || !end || end.getTime() < start.getTime()) return [];
 
-  const maxDailyCalibrations = normalizeMaxDailyCalibrations(
-    options.maxDailyCalibrations || options.max_daily_calibrations,
-    DEFAULT_MAX_DAILY_CALIBRATIONS
-  );
-  const allowedDays = normalizeAllowedDays(options.allowedDays || options.allowed_days, DEFAULT_ALLOWED_DAYS);
-  const allowedDaySet = new Set(allowedDays);
+  const keys = [];
+  for (let cursor = start; cursor.getTime() <= end.getTime() && keys.length < maxDays; cursor = shiftUtcDate(cursor, 1)) {
+    keys.push(formatUtcDate(cursor));
+  }
+  return keys;
+}
+
+// Only technicians holding the category skill staff a slot; without any, the plan falls back to date-only capacity.
+function buildPlanningRoster(technicians, category) {
+  const normalizedCategory = category ? normalizeCategory(category) : null;
+  return (Array.isArray(technicians) ? technicians : [])
+    .filter((technician) => technician && technician.active !== false)
+    .filter((technician) => !normalizedCategory || (Array.isArray(technician.skills) && technician.skills.includes(normalizedCategory)))
+    .map((technician) => ({
+      id: Number(technician.id),
+      availableDaySet: new Set(normalizeAllowedDays(technician.available_days, DEFAULT_ALLOWED_DAYS)),
+      dailyCapacity: normalizePositiveInteger(technician.daily_capacity, 1),
+      timeOff: technician.time_off instanceof Set ? technician.time_off : new Set(technician.time_off || []),
+    }))
+    .sort((left, right) => left.id - right.id);
+}
+
+function buildTechnicianLoadMap(assignments) {
+  const loadMap = new Map();
+  (Array.isArray(assignments) ? assignments : []).forEach((entry) => {
+    const key = normalizeDate(entry && entry.date);
+    const technicianId = Number(entry && entry.technician_id);
+    if (!key || !Number.isInteger(technicianId) || technicianId <= 0) return;
+    const mapKey = `${technicianId}|${key}`;
+    loadMap.set(mapKey, (loadMap.get(mapKey) || 0) + 1);
+  });
+  return loadMap;
+}
+
+function listTechnicianSlotConflicts(technician, dayKey, technicianLoad) {
+  const conflicts = [];
+  if (!isAllowedWeekday(toUtcDate(dayKey), technician.availableDaySet)) conflicts.push('not scheduled to work that weekday');
+  if (technician.timeOff.has(dayKey)) conflicts.push('on time off');
+  if ((technicianLoad.get(`${technician.id}|${dayKey}`) || 0) >= technician.dailyCapacity) conflicts.push('already at daily capacity');
+  return conflicts;
+}
+
+function pickTechnicianForDay(roster, dayKey, technicianLoad) {
+  let selected = null;
+  let selectedLoad = Infinity;
+  roster.forEach((technician) => {
+    if (listTechnicianSlotConflicts(technician, dayKey, technicianLoad).length) return;
+    const load = technicianLoad.get(`${technician.id}|${dayKey}`) || 0;
+    if (load < selectedLoad) {
+      selected = technician;
+      selectedLoad = load;
+    }
+  });
+  return selected;
+}
+
+function buildPlanningContext(options = {}) {
   const existingDates = Array.isArray(options.existingDates || options.existing_dates)
     ? (options.existingDates || options.existing_dates)
     : [];
-  const loadMap = buildDateLoadMap(existingDates);
-
-  let cursor = rollbackToAllowedDate(toUtcDate(normalizedTarget), allowedDaySet);
-  if (!cursor) return normalizedTarget;
+  const assignments = Array.isArray(options.existingAssignments) ? options.existingAssignments : [];
+  return {
+    maxDailyCalibrations: normalizeMaxDailyCalibrations(
+      options.maxDailyCalibrations || options.max_daily_calibrations,
+      DEFAULT_MAX_DAILY_CALIBRATIONS
+    ),
+    allowedDaySet: new Set(normalizeAllowedDays(options.allowedDays || options.allowed_days, DEFAULT_ALLOWED_DAYS)),
+    loadMap: buildDateLoadMap(existingDates.concat(assignments.map((entry) => entry.date))),
+    blackoutDates: options.blackoutDates instanceof Set ? options.blackoutDates : new Set(options.blackoutDates || []),
+    roster: buildPlanningRoster(options.technicians, options.category),
+    technicianLoad: buildTechnicianLoadMap(assignments),
+  };
+}
 
-  for (let step = 0; step < 3660; step += 1) {
+function findPlanningDay(context, targetDate, earliestDate, staffed) {
+  let cursor = rollbackToAllowedDate(toUtcDate(targetDate), context.allowedDaySet);
+  for (let step = 0; cursor && step < 3660; step += 1) {
     const dayKey = formatUtcDate(cursor);
-    if (!dayKey) return normalizedTarget;
-
-    const currentLoad = loadMap.get(dayKey) || 0;
-    if (currentLoad < maxDailyCalibrations) {
-      loadMap.set(dayKey, currentLoad + 1);
-      return dayKey;
+    if (!dayKey || (earliestDate && dayKey < earliestDate)) return null;
+
+    const currentLoad = context.loadMap.get(dayKey) || 0;
+    if (!context.blackoutDates.has(dayKey) && currentLoad < context.maxDailyCalibrations) {
+      const technician = staffed ? pickTechnicianForDay(context.roster, dayKey, context.technicianLoad) : null;
+      if (!staffed || technician) {
+        context.loadMap.set(dayKey, currentLoad + 1);
+        return { date: dayKey, technician_id: technician ? technician.id : null };
+      }
     }
 
-    cursor = rollbackToAllowedDate(shiftUtcDate(cursor, -1), allowedDaySet);
-    if (!cursor) return dayKey;
+    cursor = rollbackToAllowedDate(shiftUtcDate(cursor, -1), context.allowedDaySet);
+  }
+  return null;
+}
+
+// Searches back from the target no further than earliestDate. When no qualified technician is free the
+// slot is planned on capacity alone and flagged unstaffed; when no day is free it stays on the target, unplanned.
+function planCalibrationSlot(targetDate, options = {}) {
+  const normalizedTarget = normalizeDate(targetDate);
+  if (!normalizedTarget) return null;
+
+  const context = buildPlanningContext(options);
+  const earliestDate = normalizeDate(options.earliestDate || options.earliest_date);
+  if (context.roster.length) {
+    const staffedSlot = findPlanningDay(context, normalizedTarget, earliestDate, true);
+    if (staffedSlot) return staffedSlot;
   }
 
-  return formatUtcDate(cursor) || normalizedTarget;
+  const slot = findPlanningDay(context, normalizedTarget, earliestDate, false);
+  if (slot) return context.roster.length ? { ...slot, unstaffed: true } : slot;
+  return { date: normalizedTarget, technician_id: null, unplanned: true };
+}
+
+// Explains why a specific day (and optionally technician) cannot take one more calibration.
+function listCalibrationSlotConflicts(date, options = {}) {
+  const dayKey = normalizeDate(date);
+  if (!dayKey) return { conflicts: ['date must be a valid date'], technician_id: null };
+
+  const context = buildPlanningContext(options);
+  const conflicts = [];
+  if (!isAllowedWeekday(toUtcDate(dayKey), context.allowedDaySet)) conflicts.push('the template does not allow calibrations on that weekday');
+  if (context.blackoutDates.has(dayKey)) conflicts.push('the date falls in a site holiday or shutdown');
+  if ((context.loadMap.get(dayKey) || 0) >= context.maxDailyCalibrations) {
+    conflicts.push(`the day already has ${context.maxDailyCalibrations} calibrations planned`);
+  }
+
+  let technicianId = null;
+  const requestedId = Number(options.technicianId);
+  if (Number.isInteger(requestedId) && requestedId > 0) {
+    const technician = context.roster.find((entry) => entry.id === requestedId);
+    if (!technician) {
+      conflicts.push('the technician is not active or lacks the calibration category skill');
+    } else {
+      listTechnicianSlotConflicts(technician, dayKey, context.technicianLoad)
+        .forEach((reason) => conflicts.push(`the technician is ${reason}`));
+      technicianId = technician.id;
+    }
+  } else if (context.roster.length) {
+    const technician = pickTechnicianForDay(context.roster, dayKey, context.technicianLoad);
+    if (technician) technicianId = technician.id;
+    else conflicts.push('no skilled technician is available that day');
+  }
+
+  return { conflicts, technician_id: technicianId };
+}
+
+function allocateCalibrationDate(targetDate, options = {}) {
+  const slot = planCalibrationSlot(targetDate, options);
+  return slot ? slot.date : null;
 }
 
 function addDays(dateString, days) {
@@ -235,7 +359,7 @@ function addDays(dateString, days) {
   return formatUtcDate(next);
 }
 
-function computeNextCalibrationDate(lastCalDate, intervalDays = DEFAULT_INTERVAL_DAYS, options = {}) {
+function computeCalibrationDueAnchor(lastCalDate, intervalDays = DEFAULT_INTERVAL_DAYS, options = {}) {
   const lastCal = normalizeDate(lastCalDate);
   if (!lastCal) return null;
 
@@ -249,17 +373,37 @@ function computeNextCalibrationDate(lastCalDate, intervalDays = DEFAULT_INTERVAL
     DEFAULT_INTERVAL_MONTHS
   );
 
-  const nextAnchor = intervalMode === 'months'
+  return intervalMode === 'months'
     ? addMonths(lastCal, normalizedIntervalMonths)
     : addDays(lastCal, normalizedIntervalDays);
+}
+
+function planNextCalibration(lastCalDate, intervalDays = DEFAULT_INTERVAL_DAYS, options = {}) {
+  const nextAnchor = computeCalibrationDueAnchor(lastCalDate, intervalDays, options);
+  if (!nextAnchor) return null;
 
-  return allocateCalibrationDate(nextAnchor, {
+  // Never plan before the last calibration, nor into the past when the due date is still ahead.
+  const today = normalizeDate(options.today) || formatUtcDate(new Date());
+  const dayAfterLastCal = addDays(normalizeDate(lastCalDate), 1);
+  const earliestDate = [dayAfterLastCal, nextAnchor < today ? nextAnchor : today].filter(Boolean).sort().pop();
+
+  return planCalibrationSlot(nextAnchor, {
+    earliestDate,
     maxDailyCalibrations: options.maxDailyCalibrations || options.max_daily_calibrations,
     allowedDays: options.allowedDays || options.allowed_days,
     existingDates: options.existingDates || options.existing_dates,
+    existingAssignments: options.existingAssignments,
+    blackoutDates: options.blackoutDates,
+    technicians: options.technicians,
+    category: options.category,
   });
 }
 
+function computeNextCalibrationDate(lastCalDate, intervalDays = DEFAULT_INTERVAL_DAYS, options = {}) {
+  const slot = planNextCalibration(lastCalDate, intervalDays, options);
+  return slot ? slot.date : null;
+}
+
 function computeCalibrationStatus({ nextCalDate, alertLeadDays, gracePeriodDays }) {
   if (!nextCalDate) return 'WARNING';
 
@@ -280,33 +424,180 @@ function computeCalibrationStatus({ nextCalDate, alertLeadDays, gracePeriodDays
   return 'LOCKED';
 }
 
+function parseTestPointValues(value) {
+  if (Array.isArray(value)) return value;
+
+  const text = String(value || '').trim();
+  if (!text) return [];
+
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function normalizeTestPoints(value, fallbackUnit = DEFAULT_UNIT_OF_MEASURE) {
+  return parseTestPointValues(value)
+    .map((point, index) => {
+      if (!point || typeof point !== 'object') return null;
+      const nominal = Number(point.nominal);
+      const tolerance = Math.abs(Number(point.tolerance));
+      if (point.nominal === '' || point.nominal === null || !Number.isFinite(nominal)) return null;
+      if (point.tolerance === '' || point.tolerance === null || !Number.isFinite(tolerance)) return null;
+      return {
+        label: normalizeText(point.label, `Point ${index + 1}`),
+        nominal,
+        tolerance,
+        unit: normalizeUnitOfMeasure(point.unit, fallbackUnit),
+      };
+    })
+    .filter(Boolean);
+}
+
+function normalizeReading(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+function isReadingInTolerance(point, reading) {
+  const numeric = normalizeReading(reading);
+  if (numeric === null) return null;
+  return Math.abs(numeric - point.nominal) <= point.tolerance + 1e-9;
+}
+
+function evaluateTestPoint(point, readings = {}) {
+  const asFound = normalizeReading(readings.as_found);
+  const asLeft = normalizeReading(readings.as_left) === null ? asFound : normalizeReading(readings.as_left);
+  const asFoundPass = Boolean(isReadingInTolerance(point, asFound));
+  const asLeftPass = Boolean(isReadingInTolerance(point, asLeft));
+  const deviation = (reading) => (reading === null ? null : Number((reading - point.nominal).toPrecision(12)));
+
+  let result = 'pass';
+  if (!asLeftPass) {
+    result = 'fail';
+  } else if (!asFoundPass || asLeft !== asFound) {
+    result = 'adjusted';
+  }
+
+  return {
+    ...point,
+    as_found: asFound,
+    as_left: asLeft,
+    as_found_deviation: deviation(asFound),
+    as_left_deviation: deviation(asLeft),
+    as_found_result: asFoundPass ? 'pass' : 'fail',
+    as_left_result: asLeftPass ? 'pass' : 'fail',
+    result,
+  };
+}
+
+function summarizeTestPointResults(points) {
+  const evaluated = Array.isArray(points) ? points : [];
+  const anyFailed = (key) => evaluated.some((point) => point[key] === 'fail');
+  let result = 'pass';
+  if (anyFailed('as_left_result')) {
+    result = 'fail';
+  } else if (evaluated.some((point) => point.result === 'adjusted')) {
+    result = 'adjusted';
+  }
+
+  return {
+    as_found_result: anyFailed('as_found_result') ? 'fail' : 'pass',
+    as_left_result: anyFailed('as_left_result') ? 'fail' : 'pass',
+    result,
+  };
+}
+
+function normalizeIntervalAdjustmentPolicy(source = {}) {
+  const enabled = source.interval_adjust_enabled;
+  return {
+    enabled: enabled === true || ['1', 'true', 'yes', 'on'].includes(String(enabled || '').trim().toLowerCase()),
+    extend_after: normalizePositiveInteger(source.interval_extend_after, DEFAULT_INTERVAL_EXTEND_AFTER),
+    extend_percent: normalizePositiveInteger(source.interval_extend_percent, DEFAULT_INTERVAL_EXTEND_PERCENT),
+    shorten_percent: Math.min(
+      MAX_INTERVAL_SHORTEN_PERCENT,
+      normalizePositiveInteger(source.interval_shorten_percent, DEFAULT_INTERVAL_SHORTEN_PERCENT)
+    ),
+    min_days: normalizePositiveInteger(source.interval_min_days, null),
+    max_days: normalizePositiveInteger(source.interval_max_days, null),
+  };
+}
+
+function clampIntervalDays(policy, days) {
+  const upper = policy.max_days || days;
+  return Math.min(upper, Math.max(policy.min_days || 1, days));
+}
+
+// History is newest first and only covers calibrations since the last interval decision,
+// so an approved or rejected change restarts the in-tolerance streak.
+function proposeIntervalAdjustment(policy, currentIntervalDays, history) {
+  if (!policy || !policy.enabled) return null;
+  const results = Array.isArray(history) ? history : [];
+  if (!results.length) return null;
+
+  const current = normalizeIntervalDays(currentIntervalDays, DEFAULT_INTERVAL_DAYS);
+  if (results[0].as_found_result === 'fail') {
+    const proposed = clampIntervalDays(policy, Math.round(current * (1 - (policy.shorten_percent / 100))));
+    return proposed < current
+      ? { direction: 'shorten', current_interval_days: current, proposed_interval_days: proposed, consecutive_passes: 0 }
+      : null;
+  }
+
+  const streakEnd = results.findIndex((entry) => entry.as_found_result !== 'pass');
+  const consecutivePasses = streakEnd === -1 ? results.length : streakEnd;
+  if (consecutivePasses < policy.extend_after) return null;
+
+  const proposed = clampIntervalDays(policy, Math.round(current * (1 + (policy.extend_percent / 100))));
+  return proposed > current
+    ? { direction: 'lengthen', current_interval_days: current, proposed_interval_days: proposed, consecutive_passes: consecutivePasses }
+    : null;
+}
+
 module.exports = {
   CALIBRATION_CATEGORIES,
   DEFAULT_CATEGORY,
   DEFAULT_DEPARTMENT,
   DEFAULT_ALLOWED_DAYS,
   DEFAULT_INTERVAL_DAYS,
+  DEFAULT_INTERVAL_EXTEND_AFTER,
+  DEFAULT_INTERVAL_EXTEND_PERCENT,
   DEFAULT_INTERVAL_MODE,
   DEFAULT_INTERVAL_MONTHS,
+  DEFAULT_INTERVAL_SHORTEN_PERCENT,
   DEFAULT_MAX_DAILY_CALIBRATIONS,
   DEFAULT_UNIT_OF_MEASURE,
+  MAX_INTERVAL_SHORTEN_PERCENT,
   addDays,
   addMonths,
   allocateCalibrationDate,
+  computeCalibrationDueAnchor,
   computeCalibrationStatus,
   computeNextCalibrationDate,
   defaultAlertLeadDays,
   defaultGracePeriodDays,
   deriveIntervalDays,
+  evaluateTestPoint,
+  expandDateRange,
+  isReadingInTolerance,
+  listCalibrationSlotConflicts,
   normalizeAllowedDays,
   normalizeCategory,
   normalizeDate,
+  normalizeIntervalAdjustmentPolicy,
   normalizeIntervalDays,
   normalizeIntervalMode,
   normalizeIntervalMonths,
   normalizeMaxDailyCalibrations,
   normalizeNonNegativeInteger,
   normalizePositiveInteger,
+  normalizeTestPoints,
   normalizeText,
   normalizeUnitOfMeasure,
+  planCalibrationSlot,
+  planNextCalibration,
+  proposeIntervalAdjustment,
+  summarizeTestPointResults,
 };
\ No newline at end of file
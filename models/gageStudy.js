@@ -0,0 +1,342 @@
+const GAGE_STUDY_MIN_OPERATORS = 2;
+const GAGE_STUDY_MAX_OPERATORS = 3;
+const GAGE_STUDY_MIN_TRIALS = 2;
+const GAGE_STUDY_MAX_TRIALS = 3;
+const GAGE_STUDY_MIN_PARTS = 2;
+const GAGE_STUDY_MAX_PARTS = 10;
+
+// AIAG MSA (4th ed.) average-and-range constants, keyed by trials, operators and parts.
+const K1_BY_TRIALS = { 2: 0.8862, 3: 0.5908 };
+const K2_BY_OPERATORS = { 2: 0.7071, 3: 0.5231 };
+const K3_BY_PARTS = {
+  2: 0.7071,
+  3: 0.5231,
+  4: 0.4467,
+  5: 0.403,
+  6: 0.3742,
+  7: 0.3534,
+  8: 0.3375,
+  9: 0.3249,
+  10: 0.3146,
+};
+const D4_BY_TRIALS = { 2: 3.267, 3: 2.574 };
+
+// The interaction term is pooled into repeatability when it is not significant at this level.
+const INTERACTION_POOLING_ALPHA = 0.25;
+const GRR_ACCEPTABLE_PERCENT = 10;
+const GRR_MARGINAL_PERCENT = 30;
+const MIN_DISTINCT_CATEGORIES = 5;
+
+function mean(values) {
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+function round(value, places = 4) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function normalizeStudyDimension(value, min, max, label) {
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric < min || numeric > max) {
+    throw new Error(`${label} must be between ${min} and ${max}`);
+  }
+  return numeric;
+}
+
+function normalizeStudyShape(payload) {
+  const operators = (Array.isArray(payload && payload.operators) ? payload.operators : [])
+    .map((name) => String(name || '').trim())
+    .filter(Boolean);
+  const uniqueOperators = Array.from(new Set(operators.map((name) => name.toLowerCase())));
+  if (uniqueOperators.length !== operators.length) {
+    throw new Error('operators must be unique');
+  }
+  normalizeStudyDimension(operators.length, GAGE_STUDY_MIN_OPERATORS, GAGE_STUDY_MAX_OPERATORS, 'operators');
+
+  return {
+    operators,
+    part_count: normalizeStudyDimension(payload && payload.part_count, GAGE_STUDY_MIN_PARTS, GAGE_STUDY_MAX_PARTS, 'part_count'),
+    trial_count: normalizeStudyDimension(payload && payload.trial_count, GAGE_STUDY_MIN_TRIALS, GAGE_STUDY_MAX_TRIALS, 'trial_count'),
+  };
+}
+
+function buildEmptyMeasurementGrid(shape) {
+  return shape.operators.map(() => Array.from({ length: shape.part_count }, () => Array(shape.trial_count).fill(null)));
+}
+
+// Grid layout is measurements[operator][part][trial]; blanks stay null until the study is completed.
+function normalizeMeasurementGrid(value, shape, options = {}) {
+  const grid = Array.isArray(value) ? value : [];
+  if (grid.length !== shape.operators.length) {
+    throw new Error(`measurements must have one entry per operator (${shape.operators.length})`);
+  }
+
+  return grid.map((parts, operatorIndex) => {
+    if (!Array.isArray(parts) || parts.length !== shape.part_count) {
+      throw new Error(`measurements for ${shape.operators[operatorIndex]} must cover ${shape.part_count} parts`);
+    }
+    return parts.map((trials, partIndex) => {
+      if (!Array.isArray(trials) || trials.length !== shape.trial_count) {
+        throw new Error(`measurements for ${shape.operators[operatorIndex]} part ${partIndex + 1} must have ${shape.trial_count} trials`);
+      }
+      return trials.map((reading, trialIndex) => {
+        if (reading === null || reading === undefined || reading === '') {
+          if (options.requireComplete) {
+            throw new Error(`measurement is required for ${shape.operators[operatorIndex]} part ${partIndex + 1} trial ${trialIndex + 1}`);
+          }
+          return null;
+        }
+        const numeric = Number(reading);
+        if (!Number.isFinite(numeric)) {
+          throw new Error(`measurement for ${shape.operators[operatorIndex]} part ${partIndex + 1} trial ${trialIndex + 1} must be a number`);
+        }
+        return numeric;
+      });
+    });
+  });
+}
+
+function summarizeVariation({ ev, av, pv, tolerance }) {
+  const grr = Math.sqrt((ev ** 2) + (av ** 2));
+  const tv = Math.sqrt((grr ** 2) + (pv ** 2));
+  if (!(tv > 0)) {
+    throw new Error('measurements must vary between parts to evaluate the gage');
+  }
+
+  return {
+    ev: round(ev),
+    av: round(av),
+    grr: round(grr),
+    pv: round(pv),
+    tv: round(tv),
+    percent_ev: round((100 * ev) / tv, 2),
+    percent_av: round((100 * av) / tv, 2),
+    percent_grr: round((100 * grr) / tv, 2),
+    percent_pv: round((100 * pv) / tv, 2),
+    percent_tolerance: tolerance > 0 ? round((100 * 6 * grr) / tolerance, 2) : null,
+    ndc: grr > 0 ? Math.max(0, Math.floor((1.41 * pv) / grr)) : null,
+  };
+}
+
+function computeAverageAndRange(grid, options = {}) {
+  const operatorCount = grid.length;
+  const partCount = grid[0].length;
+  const trialCount = grid[0][0].length;
+
+  const ranges = grid.map((parts) => parts.map((trials) => Math.max(...trials) - Math.min(...trials)));
+  const averageRanges = ranges.map((operatorRanges) => mean(operatorRanges));
+  const operatorAverages = grid.map((parts) => mean(parts.flat()));
+  const partAverages = Array.from({ length: partCount }, (_, partIndex) => mean(grid.flatMap((parts) => parts[partIndex])));
+
+  const rangeBar = mean(averageRanges);
+  const operatorDiff = Math.max(...operatorAverages) - Math.min(...operatorAverages);
+  const partRange = Math.max(...partAverages) - Math.min(...partAverages);
+  const ev = rangeBar * K1_BY_TRIALS[trialCount];
+  const avSquared = ((operatorDiff * K2_BY_OPERATORS[operatorCount]) ** 2) - ((ev ** 2) / (partCount * trialCount));
+  const av = Math.sqrt(Math.max(0, avSquared));
+  const pv = partRange * K3_BY_PARTS[partCount];
+  const rangeUcl = rangeBar * D4_BY_TRIALS[trialCount];
+
+  return {
+    method: 'average_range',
+    range_bar: round(rangeBar),
+    range_ucl: round(rangeUcl),
+    ranges_beyond_ucl: ranges.flat().filter((range) => range > rangeUcl + 1e-12).length,
+    operator_averages: operatorAverages.map((value) => round(value)),
+    operator_average_ranges: averageRanges.map((value) => round(value)),
+    part_averages: partAverages.map((value) => round(value)),
+    operator_diff: round(operatorDiff),
+    part_range: round(partRange),
+    ...summarizeVariation({ ev, av, pv, tolerance: options.tolerance }),
+  };
+}
+
+function logGamma(value) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let x = value;
+  let y = value;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let series = 1.000000000190015;
+  coefficients.forEach((coefficient) => {
+    y += 1;
+    series += coefficient / y;
+  });
+  x = value;
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+function betaContinuedFraction(a, b, x) {
+  const maxIterations = 200;
+  const epsilon = 3e-12;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= maxIterations; m += 1) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return result;
+}
+
+function regularizedIncompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(a, b, x)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+function fDistributionPValue(fValue, dfNumerator, dfDenominator) {
+  if (!Number.isFinite(fValue)) return fValue > 0 ? 0 : null;
+  if (fValue <= 0) return 1;
+  return regularizedIncompleteBeta(dfDenominator / 2, dfNumerator / 2, dfDenominator / (dfDenominator + dfNumerator * fValue));
+}
+
+function buildAnovaRow(source, ss, df, msError, dfError) {
+  const ms = ss / df;
+  const f = msError === undefined ? null : (msError > 0 ? ms / msError : Infinity);
+  return {
+    source,
+    df,
+    ss: round(ss, 6),
+    ms: round(ms, 6),
+    f: f === null ? null : round(f, 4),
+    p: f === null ? null : round(fDistributionPValue(f, df, dfError), 4),
+  };
+}
+
+// Crossed two-way ANOVA (parts x operators with replication).
+function computeAnova(grid, options = {}) {
+  const operatorCount = grid.length;
+  const partCount = grid[0].length;
+  const trialCount = grid[0][0].length;
+  const readings = grid.flat(2);
+  const grandMean = mean(readings);
+
+  const partMeans = Array.from({ length: partCount }, (_, partIndex) => mean(grid.flatMap((parts) => parts[partIndex])));
+  const operatorMeans = grid.map((parts) => mean(parts.flat()));
+  const cellMeans = grid.map((parts) => parts.map((trials) => mean(trials)));
+
+  const ssTotal = readings.reduce((total, value) => total + ((value - grandMean) ** 2), 0);
+  const ssPart = operatorCount * trialCount * partMeans.reduce((total, value) => total + ((value - grandMean) ** 2), 0);
+  const ssOperator = partCount * trialCount * operatorMeans.reduce((total, value) => total + ((value - grandMean) ** 2), 0);
+  const ssRepeatability = grid.reduce((total, parts, operatorIndex) => total + parts.reduce((partTotal, trials, partIndex) => (
+    partTotal + trials.reduce((trialTotal, value) => trialTotal + ((value - cellMeans[operatorIndex][partIndex]) ** 2), 0)
+  ), 0), 0);
+  const ssInteraction = Math.max(0, ssTotal - ssPart - ssOperator - ssRepeatability);
+
+  const dfPart = partCount - 1;
+  const dfOperator = operatorCount - 1;
+  const dfInteraction = dfPart * dfOperator;
+  const dfRepeatability = partCount * operatorCount * (trialCount - 1);
+
+  const msRepeatability = ssRepeatability / dfRepeatability;
+  const msInteraction = ssInteraction / dfInteraction;
+  const interactionRow = buildAnovaRow('part_x_operator', ssInteraction, dfInteraction, msRepeatability, dfRepeatability);
+  const pooled = interactionRow.p !== null && interactionRow.p > INTERACTION_POOLING_ALPHA;
+
+  const dfError = pooled ? dfInteraction + dfRepeatability : dfInteraction;
+  const msError = pooled ? (ssInteraction + ssRepeatability) / dfError : msInteraction;
+  const msPart = ssPart / dfPart;
+  const msOperator = ssOperator / dfOperator;
+  const table = [
+    buildAnovaRow('part', ssPart, dfPart, msError, dfError),
+    buildAnovaRow('operator', ssOperator, dfOperator, msError, dfError),
+  ];
+  if (pooled) {
+    table.push(buildAnovaRow('repeatability', ssInteraction + ssRepeatability, dfError));
+  } else {
+    table.push(interactionRow, buildAnovaRow('repeatability', ssRepeatability, dfRepeatability));
+  }
+  table.push({ source: 'total', df: readings.length - 1, ss: round(ssTotal, 6), ms: null, f: null, p: null });
+
+  const repeatabilityVariance = pooled ? msError : msRepeatability;
+  const interactionVariance = pooled ? 0 : Math.max(0, (msInteraction - msRepeatability) / trialCount);
+  const operatorVariance = Math.max(0, (msOperator - msError) / (partCount * trialCount));
+  const partVariance = Math.max(0, (msPart - msError) / (operatorCount * trialCount));
+
+  return {
+    method: 'anova',
+    interaction_pooled: pooled,
+    interaction_p: interactionRow.p,
+    table,
+    variance_components: {
+      repeatability: round(repeatabilityVariance, 6),
+      operator: round(operatorVariance, 6),
+      part_x_operator: round(interactionVariance, 6),
+      part: round(partVariance, 6),
+    },
+    ...summarizeVariation({
+      ev: Math.sqrt(repeatabilityVariance),
+      av: Math.sqrt(operatorVariance + interactionVariance),
+      pv: Math.sqrt(partVariance),
+      tolerance: options.tolerance,
+    }),
+  };
+}
+
+function classifyGageStudy(summary) {
+  if (summary.percent_grr > GRR_MARGINAL_PERCENT) return 'fail';
+  if (summary.ndc !== null && summary.ndc < MIN_DISTINCT_CATEGORIES) return 'fail';
+  if (summary.percent_grr >= GRR_ACCEPTABLE_PERCENT) return 'marginal';
+  return 'pass';
+}
+
+// ANOVA drives the verdict; the average-and-range figures are reported alongside for comparison.
+function evaluateGageStudy(grid, options = {}) {
+  const tolerance = Number(options.tolerance) > 0 ? Number(options.tolerance) : null;
+  const averageRange = computeAverageAndRange(grid, { tolerance });
+  const anova = computeAnova(grid, { tolerance });
+  return {
+    result: classifyGageStudy(anova),
+    criteria: {
+      acceptable_percent_grr: GRR_ACCEPTABLE_PERCENT,
+      marginal_percent_grr: GRR_MARGINAL_PERCENT,
+      min_distinct_categories: MIN_DISTINCT_CATEGORIES,
+    },
+    average_range: averageRange,
+    anova,
+  };
+}
+
+module.exports = {
+  GAGE_STUDY_MAX_OPERATORS,
+  GAGE_STUDY_MAX_PARTS,
+  GAGE_STUDY_MAX_TRIALS,
+  buildEmptyMeasurementGrid,
+  classifyGageStudy,
+  computeAnova,
+  computeAverageAndRange,
+  evaluateGageStudy,
+  fDistributionPValue,
+  normalizeMeasurementGrid,
+  normalizeStudyShape,
+};
@@ -9,11 +9,29 @@ const { Sequelize, DataTypes, QueryTypes } = backendRequire('sequelize');
 const defineMaterial = require('./Material');
 const defineCasThresholdDefault = require('./CasThresholdDefault');
 const defineSdsDocument = require('./SdsDocument');
+const defineSdsRevision = require('./SdsRevision');
 const defineManufacturer = require('./Manufacturer');
 const defineUsageLog = require('./UsageLog');
+const defineMaterialContainer = require('./MaterialContainer');
 const defineHazmatTemplate = require('./HazmatTemplate');
+const definePurchaseRequest = require('./PurchaseRequest');
+const defineQuantityLimit = require('./QuantityLimit');
+const defineWasteContainer = require('./WasteContainer');
+const defineCycleCount = require('./CycleCount');
+const defineMaterialTransfer = require('./MaterialTransfer');
+const defineIncident = require('./Incident');
+const defineIncidentAction = require('./IncidentAction');
 const defineCalibrationTemplate = require('./CalibrationTemplate');
 const defineCalibrationAsset = require('./CalibrationAsset');
+const defineCalibrationCustody = require('./CalibrationCustody');
+const defineCalibrationRecord = require('./CalibrationRecord');
+const defineCalibrationImpactReview = require('./CalibrationImpactReview');
+const defineCalibrationTechnician = require('./CalibrationTechnician');
+const defineCalibrationBlackout = require('./CalibrationBlackout');
+const defineCalibrationShipment = require('./CalibrationShipment');
+const defineCalibrationShipmentItem = require('./CalibrationShipmentItem');
+const defineCalibrationGageStudy = require('./CalibrationGageStudy');
+const defineCalibrationIntervalProposal = require('./CalibrationIntervalProposal');
 const defineFailureTicket = require('./FailureTicket');
 const defineFaultyComponent = require('./FaultyComponent');
 const defineDebugTicketHistory = require('./DebugTicketHistory');
@@ -62,13 +80,31 @@ const debugSequelize = createSQLiteSequelize(paths.DEBUG_LAB_DB_PATH);
 const Material = defineMaterial(hazmatSequelize, DataTypes);
 const CasThresholdDefault = defineCasThresholdDefault(hazmatSequelize, DataTypes);
 const SdsDocument = defineSdsDocument(hazmatSequelize, DataTypes);
+const SdsRevision = defineSdsRevision(hazmatSequelize, DataTypes);
 const Manufacturer = defineManufacturer(hazmatSequelize, DataTypes);
 const UsageLog = defineUsageLog(hazmatSequelize, DataTypes);
+const MaterialContainer = defineMaterialContainer(hazmatSequelize, DataTypes);
 const HazmatTemplate = defineHazmatTemplate(hazmatSequelize, DataTypes);
+const PurchaseRequest = definePurchaseRequest(hazmatSequelize, DataTypes);
+const QuantityLimit = defineQuantityLimit(hazmatSequelize, DataTypes);
+const WasteContainer = defineWasteContainer(hazmatSequelize, DataTypes);
+const CycleCount = defineCycleCount(hazmatSequelize, DataTypes);
+const MaterialTransfer = defineMaterialTransfer(hazmatSequelize, DataTypes);
+const Incident = defineIncident(hazmatSequelize, DataTypes);
+const IncidentAction = defineIncidentAction(hazmatSequelize, DataTypes);
 const HazmatLog = defineCommandLog(hazmatSequelize, DataTypes);
 
 const CalibrationTemplate = defineCalibrationTemplate(gagesSequelize, DataTypes);
 const CalibrationAsset = defineCalibrationAsset(gagesSequelize, DataTypes);
+const CalibrationCustody = defineCalibrationCustody(gagesSequelize, DataTypes);
+const CalibrationRecord = defineCalibrationRecord(gagesSequelize, DataTypes);
+const CalibrationImpactReview = defineCalibrationImpactReview(gagesSequelize, DataTypes);
+const CalibrationTechnician = defineCalibrationTechnician(gagesSequelize, DataTypes);
+const CalibrationBlackout = defineCalibrationBlackout(gagesSequelize, DataTypes);
+const CalibrationShipment = defineCalibrationShipment(gagesSequelize, DataTypes);
+const CalibrationShipmentItem = defineCalibrationShipmentItem(gagesSequelize, DataTypes);
+const CalibrationGageStudy = defineCalibrationGageStudy(gagesSequelize, DataTypes);
+const CalibrationIntervalProposal = defineCalibrationIntervalProposal(gagesSequelize, DataTypes);
 const GageLog = defineCommandLog(gagesSequelize, DataTypes);
 const Department = defineDepartment(gagesSequelize, DataTypes);
 
@@ -87,6 +123,22 @@ UsageLog.belongsTo(Material, {
   as: 'material',
 });
 
+Material.hasMany(MaterialContainer, {
+  foreignKey: 'material_id',
+  as: 'containers',
+});
+
+MaterialContainer.belongsTo(Material, {
+  foreignKey: 'material_id',
+  as: 'material',
+});
+
+UsageLog.belongsTo(MaterialContainer, {
+  foreignKey: 'container_id',
+  as: 'container',
+  constraints: false,
+});
+
 Material.belongsTo(SdsDocument, {
   foreignKey: 'sds_id',
   as: 'sds_document',
@@ -97,6 +149,16 @@ SdsDocument.hasMany(Material, {
   as: 'materials',
 });
 
+Incident.hasMany(IncidentAction, {
+  foreignKey: 'incident_id',
+  as: 'corrective_actions',
+});
+
+IncidentAction.belongsTo(Incident, {
+  foreignKey: 'incident_id',
+  as: 'incident',
+});
+
 SdsDocument.belongsTo(Manufacturer, {
   foreignKey: 'manufacturer_id',
   as: 'manufacturer_record',
@@ -109,6 +171,18 @@ Manufacturer.hasMany(SdsDocument, {
   constraints: false,
 });
 
+SdsDocument.hasMany(SdsRevision, {
+  foreignKey: 'sds_document_id',
+  as: 'revisions',
+  constraints: false,
+});
+
+SdsRevision.belongsTo(SdsDocument, {
+  foreignKey: 'sds_document_id',
+  as: 'sds_document',
+  constraints: false,
+});
+
 CalibrationTemplate.hasMany(CalibrationAsset, {
   foreignKey: 'template_id',
   as: 'assets',
@@ -119,6 +193,82 @@ CalibrationAsset.belongsTo(CalibrationTemplate, {
   as: 'template',
 });
 
+CalibrationAsset.hasMany(CalibrationCustody, {
+  foreignKey: 'asset_id',
+  as: 'custody_records',
+  constraints: false,
+});
+
+CalibrationCustody.belongsTo(CalibrationAsset, {
+  foreignKey: 'asset_id',
+  as: 'asset',
+  constraints: false,
+});
+
+CalibrationAsset.hasMany(CalibrationRecord, {
+  foreignKey: 'asset_id',
+  as: 'calibration_records',
+  constraints: false,
+});
+
+CalibrationRecord.belongsTo(CalibrationAsset, {
+  foreignKey: 'asset_id',
+  as: 'asset',
+  constraints: false,
+});
+
+CalibrationAsset.hasMany(CalibrationImpactReview, {
+  foreignKey: 'asset_id',
+  as: 'impact_reviews',
+  constraints: false,
+});
+
+CalibrationImpactReview.belongsTo(CalibrationAsset, {
+  foreignKey: 'asset_id',
+  as: 'asset',
+  constraints: false,
+});
+
+CalibrationShipment.hasMany(CalibrationShipmentItem, {
+  foreignKey: 'shipment_id',
+  as: 'items',
+});
+
+CalibrationShipmentItem.belongsTo(CalibrationShipment, {
+  foreignKey: 'shipment_id',
+  as: 'shipment',
+});
+
+CalibrationShipmentItem.belongsTo(CalibrationAsset, {
+  foreignKey: 'asset_id',
+  as: 'asset',
+  constraints: false,
+});
+
+CalibrationAsset.hasMany(CalibrationGageStudy, {
+  foreignKey: 'asset_id',
+  as: 'gage_studies',
+  constraints: false,
+});
+
+CalibrationGageStudy.belongsTo(CalibrationAsset, {
+  foreignKey: 'asset_id',
+  as: 'asset',
+  constraints: false,
+});
+
+CalibrationAsset.hasMany(CalibrationIntervalProposal, {
+  foreignKey: 'asset_id',
+  as: 'interval_proposals',
+  constraints: false,
+});
+
+CalibrationIntervalProposal.belongsTo(CalibrationAsset, {
+  foreignKey: 'asset_id',
+  as: 'asset',
+  constraints: false,
+});
+
 FailureTicket.hasMany(FaultyComponent, {
   foreignKey: 'ticket_id',
   as: 'faulty_components',
@@ -294,7 +444,11 @@ async function syncHazmatModels() {
   await ensureHazmatMaterialColumns();
   await ensureManufacturersTable();
   await ensureSdsDocumentsTable();
+  await ensureSdsRevisionsTable();
   await ensureCasThresholdDefaultsTable();
+  await ensureUsageLogColumns();
+  await ensureMaterialTransferColumns();
+  await ensureMaterialContainersTable();
   await ensureHazmatMaterialIndexes();
 }
 
@@ -322,6 +476,9 @@ async function ensureHazmatMaterialColumns(options = {}) {
   if (!columns.has('cas_number')) {
     missingColumns.push('ALTER TABLE materials ADD COLUMN cas_number TEXT');
   }
+  if (!columns.has('components')) {
+    missingColumns.push("ALTER TABLE materials ADD COLUMN components TEXT NOT NULL DEFAULT '[]'");
+  }
   if (!columns.has('ghs_auto_symbols')) {
     missingColumns.push("ALTER TABLE materials ADD COLUMN ghs_auto_symbols TEXT NOT NULL DEFAULT '[]'");
   }
@@ -349,6 +506,24 @@ async function ensureHazmatMaterialColumns(options = {}) {
   if (!columns.has('image_paths')) {
     missingColumns.push("ALTER TABLE materials ADD COLUMN image_paths TEXT NOT NULL DEFAULT '[]'");
   }
+  if (!columns.has('storage_map_id')) {
+    missingColumns.push('ALTER TABLE materials ADD COLUMN storage_map_id TEXT');
+  }
+  if (!columns.has('storage_area_id')) {
+    missingColumns.push('ALTER TABLE materials ADD COLUMN storage_area_id TEXT');
+  }
+  if (!columns.has('corrosive_type')) {
+    missingColumns.push('ALTER TABLE materials ADD COLUMN corrosive_type TEXT');
+  }
+  if (!columns.has('archived_at')) {
+    missingColumns.push('ALTER TABLE materials ADD COLUMN archived_at DATETIME');
+  }
+  if (!columns.has('archive_reason')) {
+    missingColumns.push('ALTER TABLE materials ADD COLUMN archive_reason TEXT');
+  }
+  if (!columns.has('archived_by')) {
+    missingColumns.push('ALTER TABLE materials ADD COLUMN archived_by TEXT');
+  }
 
   for (const statement of missingColumns) {
     await hazmatSequelize.query(statement);
@@ -366,7 +541,7 @@ async function ensureHazmatMaterialColumns(options = {}) {
   await hazmatSequelize.query('UPDATE materials SET sds_id = CASE WHEN sds_id IS NULL OR CAST(sds_id AS INTEGER) <= 0 THEN NULL ELSE CAST(sds_id AS INTEGER) END');
   await hazmatSequelize.query("UPDATE materials SET sds_file_path = NULL WHERE TRIM(COALESCE(sds_file_path, '')) = ''");
 
-  const rows = await Material.findAll({
+  const rows = await Material.unscoped().findAll({
     attributes: ['id', 'label_id', 'batch_id', 'primary_class', 'division', 'ghs_symbols', 'ghs_auto_symbols', 'expiration_date'],
     order: [['id', 'ASC']],
     raw: true,
@@ -403,7 +578,7 @@ async function ensureHazmatMaterialColumns(options = {}) {
     if (normalizeDivisionText(row.division) !== division) updates.division = division;
 
     if (Object.keys(updates).length) {
-      await Material.update(updates, { where: { id: row.id } });
+      await Material.unscoped().update(updates, { where: { id: row.id } });
     }
   }
 }
@@ -416,6 +591,7 @@ async function ensureHazmatMaterialIndexes() {
   await hazmatSequelize.query('CREATE INDEX IF NOT EXISTS materials_cas_number_idx ON materials(cas_number)');
   await hazmatSequelize.query('CREATE INDEX IF NOT EXISTS materials_assigned_department_idx ON materials(assigned_department)');
   await hazmatSequelize.query('CREATE INDEX IF NOT EXISTS materials_manufacturer_idx ON materials(manufacturer)');
+  await hazmatSequelize.query('CREATE INDEX IF NOT EXISTS materials_storage_area_idx ON materials(storage_map_id, storage_area_id)');
   await hazmatSequelize.query('CREATE INDEX IF NOT EXISTS materials_sds_id_idx ON materials(sds_id)');
   await hazmatSequelize.query('CREATE INDEX IF NOT EXISTS materials_sds_not_required_idx ON materials(sds_not_required)');
 }
@@ -478,6 +654,9 @@ async function ensureSdsDocumentsTable() {
   if (!columns.has('created_at')) {
     missingColumns.push('ALTER TABLE sds_documents ADD COLUMN created_at DATETIME');
   }
+  if (!columns.has('revision_date')) {
+    missingColumns.push('ALTER TABLE sds_documents ADD COLUMN revision_date DATE');
+  }
 
   for (const statement of missingColumns) {
     await hazmatSequelize.query(statement);
@@ -488,6 +667,7 @@ async function ensureSdsDocumentsTable() {
   await hazmatSequelize.query('UPDATE sds_documents SET manufacturer_id = CASE WHEN manufacturer_id IS NULL OR CAST(manufacturer_id AS INTEGER) <= 0 THEN NULL ELSE CAST(manufacturer_id AS INTEGER) END');
   await hazmatSequelize.query("UPDATE sds_documents SET sds_file_path = NULLIF(TRIM(COALESCE(sds_file_path, '')), '')");
   await hazmatSequelize.query('UPDATE sds_documents SET created_at = COALESCE(created_at, CURRENT_TIMESTAMP)');
+  await hazmatSequelize.query('UPDATE sds_documents SET revision_date = COALESCE(revision_date, date(created_at))');
   await hazmatSequelize.query("INSERT OR IGNORE INTO manufacturers(name) SELECT DISTINCT manufacturer FROM sds_documents WHERE TRIM(COALESCE(manufacturer, '')) <> ''");
   await hazmatSequelize.query(`
     UPDATE sds_documents
@@ -566,6 +746,23 @@ async function ensureSdsDocumentsTable() {
   await hazmatSequelize.query('CREATE INDEX IF NOT EXISTS sds_documents_manufacturer_idx ON sds_documents(manufacturer)');
 }
 
+async function ensureSdsRevisionsTable() {
+  await SdsRevision.sync();
+  await hazmatSequelize.query('DELETE FROM sds_revisions WHERE sds_document_id NOT IN (SELECT id FROM sds_documents)');
+  // Documents uploaded before revisions existed get their current file recorded as revision 1.
+  await hazmatSequelize.query(`
+    INSERT INTO sds_revisions (sds_document_id, revision_number, revision_date, sds_file_path, uploaded_at)
+    SELECT id, 1, revision_date, sds_file_path, created_at
+    FROM sds_documents
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM sds_revisions
+      WHERE sds_revisions.sds_document_id = sds_documents.id
+    )
+  `);
+  await hazmatSequelize.query('CREATE UNIQUE INDEX IF NOT EXISTS sds_revisions_document_number_uidx ON sds_revisions(sds_document_id, revision_number)');
+}
+
 async function ensureCasThresholdDefaultsTable() {
   const hasTable = await tableExists(hazmatSequelize, 'cas_threshold_defaults');
   if (!hasTable) {
@@ -589,6 +786,66 @@ async function ensureCasThresholdDefaultsTable() {
   await hazmatSequelize.query("DELETE FROM cas_threshold_defaults WHERE cas_number IS NULL OR TRIM(cas_number) = ''");
   await hazmatSequelize.query('CREATE UNIQUE INDEX IF NOT EXISTS cas_threshold_defaults_cas_number_uidx ON cas_threshold_defaults(cas_number)');
 }
+async function ensureUsageLogColumns() {
+  const columns = await listTableColumns(hazmatSequelize, 'usage_logs');
+  if (!columns.has('container_id')) {
+    await hazmatSequelize.query('ALTER TABLE usage_logs ADD COLUMN container_id INTEGER');
+  }
+  if (!columns.has('transfer_id')) {
+    await hazmatSequelize.query('ALTER TABLE usage_logs ADD COLUMN transfer_id INTEGER');
+  }
+  if (!columns.has('from_department')) {
+    await hazmatSequelize.query('ALTER TABLE usage_logs ADD COLUMN from_department TEXT');
+  }
+  if (!columns.has('to_department')) {
+    await hazmatSequelize.query('ALTER TABLE usage_logs ADD COLUMN to_department TEXT');
+  }
+  if (!columns.has('kind')) {
+    await hazmatSequelize.query("ALTER TABLE usage_logs ADD COLUMN kind TEXT NOT NULL DEFAULT 'usage'");
+    // One-time classification of rows written before the column existed.
+    await hazmatSequelize.query("UPDATE usage_logs SET kind = 'transfer' WHERE transfer_id IS NOT NULL");
+    await hazmatSequelize.query("UPDATE usage_logs SET kind = 'cycle_count' WHERE transfer_id IS NULL AND container_id IS NOT NULL AND reason = 'cycle count'");
+    await hazmatSequelize.query("UPDATE usage_logs SET kind = 'disposal' WHERE transfer_id IS NULL AND container_id IS NOT NULL AND reason IN ('container disposed', 'container empty')");
+  }
+
+  await hazmatSequelize.query('CREATE INDEX IF NOT EXISTS usage_logs_container_id_idx ON usage_logs(container_id)');
+}
+
+async function ensureMaterialTransferColumns() {
+  const columns = await listTableColumns(hazmatSequelize, 'material_transfers');
+  if (!columns.has('requested_by_id')) {
+    await hazmatSequelize.query('ALTER TABLE material_transfers ADD COLUMN requested_by_id INTEGER');
+  }
+}
+
+async function ensureMaterialContainersTable() {
+  const hasTable = await tableExists(hazmatSequelize, 'material_containers');
+  if (!hasTable) {
+    await MaterialContainer.sync();
+  }
+
+  await hazmatSequelize.query(`
+    UPDATE material_containers
+    SET status = CASE WHEN remaining_quantity <= 0 THEN 'empty' ELSE 'active' END
+    WHERE status IS NULL OR TRIM(status) = ''
+  `);
+  await hazmatSequelize.query('CREATE UNIQUE INDEX IF NOT EXISTS material_containers_label_uidx ON material_containers(container_label)');
+
+  await hazmatSequelize.query(`
+    INSERT INTO material_containers(
+      material_id, container_label, lot_number, received_date, expiration_date,
+      initial_quantity, remaining_quantity, status, created_at
+    )
+    SELECT id, UPPER(label_id) || '-01', batch_id, received_date, expiration_date,
+      current_stock, current_stock, 'active', CURRENT_TIMESTAMP
+    FROM materials
+    WHERE current_stock > 0
+      AND TRIM(COALESCE(label_id, '')) <> ''
+      AND id NOT IN (SELECT material_id FROM material_containers)
+      AND UPPER(label_id) || '-01' NOT IN (SELECT container_label FROM material_containers)
+  `);
+}
+
 async function listTableColumns(sequelize, tableName) {
   const rows = await sequelize.query(`PRAGMA table_info(${tableName})`, {
     type: QueryTypes.SELECT,
@@ -615,6 +872,27 @@ async function ensureCalibrationTemplateColumns() {
   if (!columns.has('allowed_days')) {
     missingColumns.push("ALTER TABLE templates ADD COLUMN allowed_days TEXT NOT NULL DEFAULT '[1,2,3,4,5]'");
   }
+  if (!columns.has('test_points')) {
+    missingColumns.push("ALTER TABLE templates ADD COLUMN test_points TEXT NOT NULL DEFAULT '[]'");
+  }
+  if (!columns.has('interval_adjust_enabled')) {
+    missingColumns.push('ALTER TABLE templates ADD COLUMN interval_adjust_enabled TINYINT(1) NOT NULL DEFAULT 0');
+  }
+  if (!columns.has('interval_extend_after')) {
+    missingColumns.push('ALTER TABLE templates ADD COLUMN interval_extend_after INTEGER NOT NULL DEFAULT 3');
+  }
+  if (!columns.has('interval_extend_percent')) {
+    missingColumns.push('ALTER TABLE templates ADD COLUMN interval_extend_percent INTEGER NOT NULL DEFAULT 25');
+  }
+  if (!columns.has('interval_shorten_percent')) {
+    missingColumns.push('ALTER TABLE templates ADD COLUMN interval_shorten_percent INTEGER NOT NULL DEFAULT 50');
+  }
+  if (!columns.has('interval_min_days')) {
+    missingColumns.push('ALTER TABLE templates ADD COLUMN interval_min_days INTEGER');
+  }
+  if (!columns.has('interval_max_days')) {
+    missingColumns.push('ALTER TABLE templates ADD COLUMN interval_max_days INTEGER');
+  }
 
   for (const statement of missingColumns) {
     await gagesSequelize.query(statement);
@@ -685,6 +963,33 @@ async function ensureCalibrationAssetColumns() {
   if (!columns.has('assigned_department')) {
     missingColumns.push(`ALTER TABLE calibration ADD COLUMN assigned_department TEXT NOT NULL DEFAULT '${DEFAULT_DEPARTMENT}'`);
   }
+  if (!columns.has('last_cal_result')) {
+    missingColumns.push('ALTER TABLE calibration ADD COLUMN last_cal_result TEXT');
+  }
+  if (!columns.has('out_of_tolerance')) {
+    missingColumns.push('ALTER TABLE calibration ADD COLUMN out_of_tolerance TINYINT(1) NOT NULL DEFAULT 0');
+  }
+  if (!columns.has('archived_at')) {
+    missingColumns.push('ALTER TABLE calibration ADD COLUMN archived_at DATETIME');
+  }
+  if (!columns.has('archive_reason')) {
+    missingColumns.push('ALTER TABLE calibration ADD COLUMN archive_reason TEXT');
+  }
+  if (!columns.has('archived_by')) {
+    missingColumns.push('ALTER TABLE calibration ADD COLUMN archived_by TEXT');
+  }
+  if (!columns.has('planned_technician_id')) {
+    missingColumns.push('ALTER TABLE calibration ADD COLUMN planned_technician_id INTEGER');
+  }
+  if (!columns.has('gage_rr_result')) {
+    missingColumns.push('ALTER TABLE calibration ADD COLUMN gage_rr_result TEXT');
+  }
+  if (!columns.has('gage_rr_percent')) {
+    missingColumns.push('ALTER TABLE calibration ADD COLUMN gage_rr_percent REAL');
+  }
+  if (!columns.has('interval_override_days')) {
+    missingColumns.push('ALTER TABLE calibration ADD COLUMN interval_override_days INTEGER');
+  }
 
   for (const statement of missingColumns) {
     await gagesSequelize.query(statement);
@@ -693,19 +998,101 @@ async function ensureCalibrationAssetColumns() {
   await gagesSequelize.query("UPDATE calibration SET date_created = COALESCE(date_created, date('now'))");
 }
 
+async function ensureDepartmentColumns() {
+  const columns = await listTableColumns(gagesSequelize, 'departments');
+  if (!columns.has('supervisor_email')) {
+    await gagesSequelize.query("ALTER TABLE departments ADD COLUMN supervisor_email TEXT NOT NULL DEFAULT ''");
+  }
+  if (!columns.has('supervisor_user_id')) {
+    await gagesSequelize.query('ALTER TABLE departments ADD COLUMN supervisor_user_id INTEGER');
+  }
+}
+
+async function ensureCalibrationCustodyColumns() {
+  const columns = await listTableColumns(gagesSequelize, 'calibration_custody');
+  if (!columns.has('shipment_id')) {
+    await gagesSequelize.query('ALTER TABLE calibration_custody ADD COLUMN shipment_id INTEGER');
+  }
+}
+
+async function ensureCalibrationImpactReviewColumns() {
+  const columns = await listTableColumns(gagesSequelize, 'calibration_impact_reviews');
+  if (!columns.has('finding')) {
+    await gagesSequelize.query('ALTER TABLE calibration_impact_reviews ADD COLUMN finding TEXT');
+  }
+}
+
+async function ensureCalibrationRecordColumns() {
+  const columns = await listTableColumns(gagesSequelize, 'calibration_records');
+  const missingColumns = [];
+
+  if (!columns.has('issued_at')) {
+    missingColumns.push('ALTER TABLE calibration_records ADD COLUMN issued_at DATETIME');
+  }
+  if (!columns.has('valid_until')) {
+    missingColumns.push('ALTER TABLE calibration_records ADD COLUMN valid_until DATE');
+  }
+  if (!columns.has('certificate_file')) {
+    missingColumns.push('ALTER TABLE calibration_records ADD COLUMN certificate_file TEXT');
+  }
+  if (!columns.has('certificate_sha256')) {
+    missingColumns.push('ALTER TABLE calibration_records ADD COLUMN certificate_sha256 TEXT');
+  }
+  if (!columns.has('asset_snapshot')) {
+    missingColumns.push("ALTER TABLE calibration_records ADD COLUMN asset_snapshot TEXT NOT NULL DEFAULT '{}'");
+  }
+
+  for (const statement of missingColumns) {
+    await gagesSequelize.query(statement);
+  }
+}
+
 async function syncGagesModels() {
   await gagesSequelize.authenticate();
   await Department.sync();
+  await ensureDepartmentColumns();
   await CalibrationTemplate.sync();
   await ensureCalibrationTemplateColumns();
   await CalibrationAsset.sync();
   await ensureCalibrationAssetColumns();
+  await CalibrationCustody.sync();
+  await ensureCalibrationCustodyColumns();
+  await CalibrationRecord.sync();
+  await ensureCalibrationRecordColumns();
+  await CalibrationImpactReview.sync();
+  await ensureCalibrationImpactReviewColumns();
+  await CalibrationTechnician.sync();
+  await CalibrationBlackout.sync();
+  await CalibrationShipment.sync();
+  await CalibrationShipmentItem.sync();
+  await CalibrationGageStudy.sync();
+  await CalibrationIntervalProposal.sync();
   await GageLog.sync();
 }
 
+async function ensureFailureTicketColumns() {
+  const columns = await listTableColumns(debugSequelize, 'failure_tickets');
+  const missingColumns = [];
+
+  if (!columns.has('archived_at')) {
+    missingColumns.push('ALTER TABLE failure_tickets ADD COLUMN archived_at DATETIME');
+  }
+  if (!columns.has('archive_reason')) {
+    missingColumns.push('ALTER TABLE failure_tickets ADD COLUMN archive_reason TEXT');
+  }
+  if (!columns.has('archived_by')) {
+    missingColumns.push('ALTER TABLE failure_tickets ADD COLUMN archived_by TEXT');
+  }
+
+  for (const statement of missingColumns) {
+    await debugSequelize.query(statement);
+  }
+}
+
 async function syncDebugModels() {
   await debugSequelize.authenticate();
   await FailureTicket.sync();
+  await ensureFailureTicketColumns();
   await FaultyComponent.sync();
   await DebugTicketHistory.sync();
   await DebugLog.sync();
@@ -1041,9 +1428,18 @@ const hazmatDb = {
   Material,
   CasThresholdDefault,
   SdsDocument,
+  SdsRevision,
   Manufacturer,
   UsageLog,
+  MaterialContainer,
   HazmatTemplate,
+  PurchaseRequest,
+  QuantityLimit,
+  WasteContainer,
+  CycleCount,
+  MaterialTransfer,
+  Incident,
+  IncidentAction,
   CommandLog: HazmatLog,
 };
 
@@ -1052,6 +1448,15 @@ const gagesDb = {
   Department,
   CalibrationTemplate,
   CalibrationAsset,
+  CalibrationCustody,
+  CalibrationRecord,
+  CalibrationImpactReview,
+  CalibrationTechnician,
+  CalibrationBlackout,
+  CalibrationShipment,
+  CalibrationShipmentItem,
+  CalibrationGageStudy,
+  CalibrationIntervalProposal,
   CommandLog: GageLog,
 };
 
@@ -1074,12 +1479,30 @@ module.exports = {
   Material,
   CasThresholdDefault,
   SdsDocument,
+  SdsRevision,
   Manufacturer,
   UsageLog,
+  MaterialContainer,
   HazmatTemplate,
+  PurchaseRequest,
+  QuantityLimit,
+  WasteContainer,
+  CycleCount,
+  MaterialTransfer,
+  Incident,
+  IncidentAction,
   Department,
   CalibrationTemplate,
   CalibrationAsset,
+  CalibrationCustody,
+  CalibrationRecord,
+  CalibrationImpactReview,
+  CalibrationTechnician,
+  CalibrationBlackout,
+  CalibrationShipment,
+  CalibrationShipmentItem,
+  CalibrationGageStudy,
+  CalibrationIntervalProposal,
   FailureTicket,
   FaultyComponent,
   DebugTicketHistory,
@@ -0,0 +1,161 @@
+const CORROSIVE_TYPES = ['acid', 'base'];
+
+const STORAGE_GROUPS = {
+  explosive: 'Explosives',
+  flammable_gas: 'Flammable Gases',
+  inert_gas: 'Non-flammable Gases',
+  toxic_gas: 'Toxic Gases',
+  flammable: 'Flammables',
+  pyrophoric: 'Pyrophorics',
+  water_reactive: 'Water Reactives',
+  oxidizer: 'Oxidizers',
+  organic_peroxide: 'Organic Peroxides',
+  toxic: 'Toxics',
+  acid: 'Acids',
+  base: 'Bases',
+  corrosive: 'Corrosives (unclassified)',
+  general: 'General Storage',
+};
+
+const DIVISION_GROUPS = [
+  { pattern: /^1(\.|$)/, group: 'explosive' },
+  { pattern: /^2\.1$/, group: 'flammable_gas' },
+  { pattern: /^2\.2$/, group: 'inert_gas' },
+  { pattern: /^2\.3$/, group: 'toxic_gas' },
+  { pattern: /^3(\.|$)/, group: 'flammable' },
+  { pattern: /^4\.1$/, group: 'flammable' },
+  { pattern: /^4\.2$/, group: 'pyrophoric' },
+  { pattern: /^4\.3$/, group: 'water_reactive' },
+  { pattern: /^5\.1$/, group: 'oxidizer' },
+  { pattern: /^5\.2$/, group: 'organic_peroxide' },
+  { pattern: /^6\.1$/, group: 'toxic' },
+  { pattern: /^8(\.|$)/, group: 'corrosive' },
+];
+
+const SYMBOL_GROUPS = {
+  explosive: 'explosive',
+  flammable: 'flammable',
+  oxidizing: 'oxidizer',
+  toxic: 'toxic',
+  corrosive: 'corrosive',
+};
+
+// Pairs that must not share a storage area; severity drives report ordering and map highlighting.
+const INCOMPATIBLE_GROUPS = [
+  { groups: ['oxidizer', 'flammable'], severity: 'critical', reason: 'Oxidizers intensify fires involving flammables.' },
+  { groups: ['oxidizer', 'flammable_gas'], severity: 'critical', reason: 'Oxidizers intensify fires involving flammable gases.' },
+  { groups: ['oxidizer', 'pyrophoric'], severity: 'critical', reason: 'Pyrophorics ignite on contact with air; oxidizers feed the fire.' },
+  { groups: ['oxidizer', 'organic_peroxide'], severity: 'critical', reason: 'Organic peroxides decompose violently with oxidizers.' },
+  { groups: ['acid', 'base'], severity: 'critical', reason: 'Acids and bases react exothermically.' },
+  { groups: ['acid', 'water_reactive'], severity: 'critical', reason: 'Water reactives release flammable or toxic gas with aqueous acids.' },
+  { groups: ['acid', 'oxidizer'], severity: 'major', reason: 'Acids can liberate toxic gases from oxidizers.' },
+  { groups: ['flammable_gas', 'toxic_gas'], severity: 'major', reason: 'Flammable and toxic gas cylinders must be segregated.' },
+  { groups: ['flammable_gas', 'pyrophoric'], severity: 'major', reason: 'Pyrophorics are an ignition source for flammable gases.' },
+  { groups: ['organic_peroxide', 'flammable'], severity: 'major', reason: 'Organic peroxides are store-alone materials.' },
+  { groups: ['organic_peroxide', 'acid'], severity: 'major', reason: 'Acids catalyse organic peroxide decomposition.' },
+  { groups: ['organic_peroxide', 'base'], severity: 'major', reason: 'Bases catalyse organic peroxide decomposition.' },
+  { groups: ['water_reactive', 'base'], severity: 'major', reason: 'Aqueous bases react with water reactives.' },
+  { groups: ['explosive', '*'], severity: 'critical', reason: 'Explosives must be stored alone.' },
+];
+
+const SEVERITY_RANK = { critical: 2, major: 1 };
+
+function normalizeCorrosiveType(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === 'alkali' || text === 'alkaline' || text === 'caustic') return 'base';
+  return CORROSIVE_TYPES.includes(text) ? text : null;
+}
+
+function normalizeSymbolList(value) {
+  let source = value;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (error) {
+      source = source.split(/[;,|]/);
+    }
+  }
+  return (Array.isArray(source) ? source : [])
+    .map((item) => String(item || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_'))
+    .filter(Boolean);
+}
+
+function deriveStorageGroups(material) {
+  const source = material || {};
+  const groups = new Set();
+  const division = String(source.division || '').trim();
+
+  DIVISION_GROUPS.forEach((rule) => {
+    if (rule.pattern.test(division)) groups.add(rule.group);
+  });
+  normalizeSymbolList(source.ghs_symbols).forEach((symbol) => {
+    if (SYMBOL_GROUPS[symbol]) groups.add(SYMBOL_GROUPS[symbol]);
+  });
+
+  if (groups.has('corrosive')) {
+    const corrosiveType = normalizeCorrosiveType(source.corrosive_type);
+    if (corrosiveType) {
+      groups.delete('corrosive');
+      groups.add(corrosiveType);
+    }
+  }
+
+  return groups.size ? Array.from(groups) : ['general'];
+}
+
+function findIncompatibilities(groupsA, groupsB) {
+  const left = new Set(groupsA);
+  const right = new Set(groupsB);
+  const hazardous = (set) => Array.from(set).some((group) => group !== 'general');
+
+  return INCOMPATIBLE_GROUPS.filter((rule) => {
+    const [first, second] = rule.groups;
+    if (second === '*') {
+      return (left.has(first) && hazardous(right) && !right.has(first))
+        || (right.has(first) && hazardous(left) && !left.has(first));
+    }
+    return (left.has(first) && right.has(second)) || (left.has(second) && right.has(first));
+  });
+}
+
+function evaluateAreaCompatibility(materials) {
+  const entries = (Array.isArray(materials) ? materials : []).map((material) => ({
+    material,
+    groups: deriveStorageGroups(material),
+  }));
+  const violations = [];
+
+  for (let index = 0; index < entries.length; index += 1) {
+    for (let other = index + 1; other < entries.length; other += 1) {
+      findIncompatibilities(entries[index].groups, entries[other].groups).forEach((rule) => {
+        violations.push({
+          severity: rule.severity,
+          reason: rule.reason,
+          groups: rule.groups.filter((group) => group !== '*'),
+          materials: [entries[index].material, entries[other].material].map((material) => ({
+            id: material.id,
+            name: material.name,
+            label_id: material.label_id || null,
+          })),
+        });
+      });
+    }
+  }
+
+  violations.sort((left, right) => (SEVERITY_RANK[right.severity] || 0) - (SEVERITY_RANK[left.severity] || 0));
+  return {
+    groups: Array.from(new Set(entries.flatMap((entry) => entry.groups))),
+    violations,
+    severity: violations.length ? violations[0].severity : null,
+  };
+}
+
+module.exports = {
+  CORROSIVE_TYPES,
+  INCOMPATIBLE_GROUPS,
+  STORAGE_GROUPS,
+  deriveStorageGroups,
+  evaluateAreaCompatibility,
+  findIncompatibilities,
+  normalizeCorrosiveType,
+};